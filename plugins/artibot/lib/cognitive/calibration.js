@@ -0,0 +1,619 @@
+/**
+ * Confidence calibration for the cognitive router and System 1.
+ * Joins the confidence each component emitted with the outcome reported
+ * later (adaptThreshold() feedback for the router, recordPatternOutcome()
+ * for System 1), measures how well confidence tracks success (Brier score,
+ * reliability bins, expected calibration error) per domain, and remaps
+ * future confidence values through an isotonic or Platt fit once enough
+ * outcomes have been observed.
+ *
+ * Calibration is the identity until a source (or one of its domains) has
+ * `minSamples` outcomes, so fresh installs behave exactly as before.
+ * Observations and pending predictions are kept in memory;
+ * configure({ persist: true }) loads them from and writes them to
+ * ~/.claude/artibot/calibration.json, so a prediction made in one hook
+ * process can be joined with an outcome reported by another.
+ *
+ * @module lib/cognitive/calibration
+ */
+
+import path from 'node:path';
+import { mkdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from 'node:fs';
+import { ARTIBOT_DIR } from '../core/config.js';
+import { round } from '../core/index.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Components whose confidence is calibrated */
+export const CALIBRATION_SOURCES = Object.freeze(['router', 'system1']);
+
+/** Supported recalibration methods */
+export const CALIBRATION_METHODS = Object.freeze(['isotonic', 'platt']);
+
+/** Default on-disk location of the observations */
+export const CALIBRATION_STATE_PATH = path.join(ARTIBOT_DIR, 'calibration.json');
+
+/** Schema version written to disk */
+const STATE_VERSION = 1;
+
+/** Observations kept per source (oldest dropped first) */
+const MAX_OBSERVATIONS = 1000;
+
+/** Predictions awaiting an outcome, across sources */
+const MAX_PENDING = 500;
+
+/** Default outcomes required before a fit replaces raw confidence */
+const DEFAULT_MIN_SAMPLES = 30;
+
+/** Default number of equal-width reliability bins */
+const DEFAULT_BINS = 10;
+
+/** Domain used when none is known */
+const DEFAULT_DOMAIN = 'general';
+
+/** Newton iterations for the Platt fit */
+const PLATT_ITERATIONS = 50;
+
+/** Confidence values are clamped to (EPS, 1 - EPS) before the logit */
+const EPS = 1e-6;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} Observation
+ * @property {number} confidence - Raw confidence emitted (0-1)
+ * @property {boolean} success - Observed outcome
+ * @property {string} domain - Domain of the prediction
+ * @property {number} at - Epoch ms when the outcome was recorded
+ */
+
+/**
+ * @typedef {{ method: 'isotonic', x: number[], y: number[] } | { method: 'platt', a: number, b: number }} Calibrator
+ */
+
+/**
+ * @typedef {object} ReliabilityBin
+ * @property {number} lower - Inclusive lower confidence bound
+ * @property {number} upper - Upper confidence bound (inclusive for the last bin)
+ * @property {number} count - Observations in the bin
+ * @property {number|null} meanConfidence - Mean raw confidence (null when empty)
+ * @property {number|null} successRate - Observed success rate (null when empty)
+ */
+
+// ---------------------------------------------------------------------------
+// State
+// ---------------------------------------------------------------------------
+
+/** @type {Record<string, Observation[]>} Outcomes per source, oldest first */
+let observations = emptyObservations();
+
+/** @type {Map<string, { confidence: number, domain: string }>} "source:id" -> prediction */
+let pending = new Map();
+
+/** @type {Map<string, Calibrator|null>} Fitted models by "source:domain" ('*' = all domains) */
+let models = new Map();
+
+let method = 'isotonic';
+let minSamples = DEFAULT_MIN_SAMPLES;
+let binCount = DEFAULT_BINS;
+
+/** @type {string|null} State file when persistence is enabled */
+let statePath = null;
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+/**
+ * Configure calibration.
+ * With `persist: true` observations and pending predictions recorded so far
+ * are replaced by the ones on disk, and every new prediction and outcome is
+ * written back.
+ *
+ * @param {object} [config]
+ * @param {'isotonic'|'platt'} [config.method] - Recalibration method (default 'isotonic')
+ * @param {number} [config.minSamples] - Outcomes required before a fit is applied (default 30)
+ * @param {number} [config.bins] - Reliability bins in reports (default 10)
+ * @param {boolean} [config.persist] - Load and save observations on disk
+ * @param {string} [config.statePath] - Override the state file location
+ * @returns {void}
+ * @example
+ * configure({ method: 'platt', minSamples: 50, persist: true });
+ */
+export function configure(config = {}) {
+  if (CALIBRATION_METHODS.includes(config.method) && config.method !== method) {
+    method = config.method;
+    models.clear();
+  }
+  if (Number.isInteger(config.minSamples) && config.minSamples > 0) {
+    minSamples = config.minSamples;
+    models.clear();
+  }
+  if (Number.isInteger(config.bins) && config.bins > 0) {
+    binCount = config.bins;
+  }
+
+  if (config.persist === true) {
+    statePath = config.statePath ?? CALIBRATION_STATE_PATH;
+    const saved = loadState(statePath);
+    if (saved) {
+      observations = saved.observations;
+      pending = saved.pending;
+      models.clear();
+    }
+  } else if (config.persist === false) {
+    statePath = null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Remember a confidence value until recordOutcome() reports how it went.
+ * A later prediction with the same id replaces the earlier one.
+ *
+ * @param {'router'|'system1'} source
+ * @param {string} id - Key the outcome will be reported under (e.g. pattern id)
+ * @param {number} confidence - Raw (uncalibrated) confidence
+ * @param {string} [domain]
+ * @returns {void}
+ * @example
+ * recordPrediction('system1', 'deploy-pattern', 0.82, 'devops');
+ */
+export function recordPrediction(source, id, confidence, domain) {
+  if (!CALIBRATION_SOURCES.includes(source) || !isConfidence(confidence)) return;
+  const key = `${source}:${id}`;
+  pending.delete(key);
+  pending.set(key, { confidence, domain: domain || DEFAULT_DOMAIN });
+  if (pending.size > MAX_PENDING) {
+    pending.delete(pending.keys().next().value);
+  }
+  persistState();
+}
+
+/**
+ * Predictions of a source still waiting for recordOutcome(), oldest first.
+ *
+ * @param {'router'|'system1'} source
+ * @returns {Array<{ id: string, confidence: number, domain: string }>}
+ * @example
+ * for (const { id } of getPendingPredictions('system1')) await recordPatternOutcome(id, true);
+ */
+export function getPendingPredictions(source) {
+  const prefix = `${source}:`;
+  return [...pending]
+    .filter(([key]) => key.startsWith(prefix))
+    .map(([key, prediction]) => ({ id: key.slice(prefix.length), ...prediction }));
+}
+
+/**
+ * Join an outcome with the pending prediction recorded under the same id.
+ *
+ * @param {'router'|'system1'} source
+ * @param {string} id
+ * @param {boolean} success
+ * @returns {Observation|null} The stored observation, or null without a pending prediction
+ * @example
+ * recordOutcome('system1', 'deploy-pattern', true);
+ */
+export function recordOutcome(source, id, success) {
+  const key = `${source}:${id}`;
+  const prediction = pending.get(key);
+  if (!prediction) return null;
+  pending.delete(key);
+  return recordObservation(source, prediction.confidence, success, prediction.domain);
+}
+
+/**
+ * Store a confidence / outcome pair directly.
+ *
+ * @param {'router'|'system1'} source
+ * @param {number} confidence - Raw (uncalibrated) confidence
+ * @param {boolean} success
+ * @param {string} [domain]
+ * @returns {Observation|null} Null for an unknown source or invalid confidence
+ * @example
+ * recordObservation('router', 0.9, false, 'security');
+ */
+export function recordObservation(source, confidence, success, domain) {
+  if (!CALIBRATION_SOURCES.includes(source) || !isConfidence(confidence)) return null;
+
+  const observation = { confidence, success: success === true, domain: domain || DEFAULT_DOMAIN, at: Date.now() };
+  observations[source] = [...observations[source], observation].slice(-MAX_OBSERVATIONS);
+  for (const key of models.keys()) {
+    if (key.startsWith(`${source}:`)) models.delete(key);
+  }
+  persistState();
+  return observation;
+}
+
+/**
+ * Map a raw confidence to a calibrated one.
+ * Uses the domain's own fit when it has `minSamples` outcomes, otherwise
+ * the fit over all of the source's domains, otherwise the raw value.
+ *
+ * @param {'router'|'system1'} source
+ * @param {number} confidence - Raw confidence (0-1)
+ * @param {string} [domain]
+ * @returns {number} Calibrated confidence (0-1)
+ * @example
+ * calibrate('system1', 0.9, 'frontend'); // 0.72 once System 1 proved overconfident
+ */
+export function calibrate(source, confidence, domain) {
+  if (!CALIBRATION_SOURCES.includes(source) || !isConfidence(confidence)) return confidence;
+  const model = getModel(source, domain || DEFAULT_DOMAIN) ?? getModel(source, '*');
+  return model ? applyCalibrator(model, confidence) : confidence;
+}
+
+/**
+ * Fit a calibrator to confidence / outcome pairs.
+ *
+ * @param {Array<{ confidence: number, success: boolean }>} points
+ * @param {'isotonic'|'platt'} [fitMethod='isotonic']
+ * @returns {Calibrator|null} Null without points
+ * @example
+ * const model = fitCalibrator(points, 'platt');
+ * applyCalibrator(model, 0.8);
+ */
+export function fitCalibrator(points, fitMethod = 'isotonic') {
+  if (!Array.isArray(points) || points.length === 0) return null;
+  return fitMethod === 'platt' ? fitPlatt(points) : fitIsotonic(points);
+}
+
+/**
+ * Apply a fitted calibrator.
+ * Isotonic fits interpolate linearly between pooled blocks and hold the
+ * end values outside them; Platt fits apply `sigmoid(a * logit(c) + b)`.
+ *
+ * @param {Calibrator} model
+ * @param {number} confidence
+ * @returns {number}
+ */
+export function applyCalibrator(model, confidence) {
+  if (model.method === 'platt') {
+    return sigmoid(model.a * logit(confidence) + model.b);
+  }
+
+  const { x, y } = model;
+  if (confidence <= x[0]) return y[0];
+  if (confidence >= x[x.length - 1]) return y[y.length - 1];
+  let i = 1;
+  while (x[i] < confidence) i++;
+  const t = (confidence - x[i - 1]) / (x[i] - x[i - 1]);
+  return y[i - 1] + t * (y[i] - y[i - 1]);
+}
+
+/**
+ * Calibration quality per source and domain.
+ *
+ * @param {'router'|'system1'} [source] - Limit the report to one source
+ * @returns {Record<string, {
+ *   method: string,
+ *   count: number,
+ *   brier: number|null,
+ *   ece: number|null,
+ *   calibrated: boolean,
+ *   bins: ReliabilityBin[],
+ *   domains: Record<string, { count: number, brier: number|null, ece: number|null, calibrated: boolean, bins: ReliabilityBin[] }>,
+ * }>} Keyed by source; `calibrated` tells whether calibrate() applies a fit
+ * @example
+ * const { router } = getCalibrationReport('router');
+ * // router.brier === 0.18, router.domains.security.bins[9].successRate === 0.55
+ */
+export function getCalibrationReport(source) {
+  const sources = source ? [source].filter((s) => CALIBRATION_SOURCES.includes(s)) : CALIBRATION_SOURCES;
+  const report = {};
+
+  for (const s of sources) {
+    const points = observations[s];
+    const byDomain = groupBy(points, (p) => p.domain);
+    report[s] = {
+      method,
+      ...summarize(points),
+      calibrated: points.length >= minSamples,
+      domains: Object.fromEntries(
+        [...byDomain].map(([domain, list]) => [domain, { ...summarize(list), calibrated: list.length >= minSamples }]),
+      ),
+    };
+  }
+  return report;
+}
+
+/**
+ * Clear observations, pending predictions and fitted models.
+ * Persistence and settings are kept; the state file is not touched.
+ *
+ * @param {'router'|'system1'} [source] - Only clear this source
+ * @returns {void}
+ */
+export function resetCalibration(source) {
+  if (source) {
+    if (!CALIBRATION_SOURCES.includes(source)) return;
+    observations[source] = [];
+    for (const key of [...pending.keys(), ...models.keys()]) {
+      if (key.startsWith(`${source}:`)) {
+        pending.delete(key);
+        models.delete(key);
+      }
+    }
+    return;
+  }
+  observations = emptyObservations();
+  pending = new Map();
+  models = new Map();
+}
+
+// ---------------------------------------------------------------------------
+// Internal: Fitting
+// ---------------------------------------------------------------------------
+
+/**
+ * Isotonic regression by pool-adjacent-violators: the non-decreasing step
+ * function closest (least squares) to the observed outcomes.
+ * @param {Array<{ confidence: number, success: boolean }>} points
+ * @returns {Calibrator}
+ */
+function fitIsotonic(points) {
+  const sorted = [...points].sort((a, b) => a.confidence - b.confidence);
+  const blocks = [];
+
+  for (let i = 0; i < sorted.length;) {
+    // Tied confidences always share a block
+    const block = { sumX: 0, sumY: 0, n: 0 };
+    const x = sorted[i].confidence;
+    for (; i < sorted.length && sorted[i].confidence === x; i++) {
+      block.sumX += x;
+      block.sumY += sorted[i].success ? 1 : 0;
+      block.n++;
+    }
+    blocks.push(block);
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.n <= last.sumY / last.n) break;
+      blocks.pop();
+      prev.sumX += last.sumX;
+      prev.sumY += last.sumY;
+      prev.n += last.n;
+    }
+  }
+
+  return {
+    method: 'isotonic',
+    x: blocks.map((b) => b.sumX / b.n),
+    y: blocks.map((b) => b.sumY / b.n),
+  };
+}
+
+/**
+ * Platt scaling on the logit of the raw confidence, fitted with Newton's
+ * method and Platt's smoothed targets so separable data stays finite.
+ * Starts from the identity (a = 1, b = 0).
+ * @param {Array<{ confidence: number, success: boolean }>} points
+ * @returns {Calibrator}
+ */
+function fitPlatt(points) {
+  const positives = points.filter((p) => p.success).length;
+  const negatives = points.length - positives;
+  const hi = (positives + 1) / (positives + 2);
+  const lo = 1 / (negatives + 2);
+  const data = points.map((p) => ({ f: logit(p.confidence), t: p.success ? hi : lo }));
+
+  let a = 1;
+  let b = 0;
+  for (let iter = 0; iter < PLATT_ITERATIONS; iter++) {
+    let ga = 0, gb = 0, haa = 1e-9, hab = 0, hbb = 1e-9;
+    for (const { f, t } of data) {
+      const p = sigmoid(a * f + b);
+      const w = p * (1 - p);
+      ga += (p - t) * f;
+      gb += p - t;
+      haa += w * f * f;
+      hab += w * f;
+      hbb += w;
+    }
+    const det = haa * hbb - hab * hab;
+    if (det <= 0) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    a -= da;
+    b -= db;
+    if (Math.abs(da) < 1e-8 && Math.abs(db) < 1e-8) break;
+  }
+  return { method: 'platt', a, b };
+}
+
+/**
+ * Fitted model for a source and domain ('*' for all domains), or null when
+ * there are fewer than `minSamples` outcomes.
+ * @param {string} source
+ * @param {string} domain
+ * @returns {Calibrator|null}
+ */
+function getModel(source, domain) {
+  const key = `${source}:${domain}`;
+  if (!models.has(key)) {
+    const points = domain === '*' ? observations[source] : observations[source].filter((p) => p.domain === domain);
+    models.set(key, points.length >= minSamples ? fitCalibrator(points, method) : null);
+  }
+  return models.get(key);
+}
+
+// ---------------------------------------------------------------------------
+// Internal: Metrics
+// ---------------------------------------------------------------------------
+
+/**
+ * Brier score, reliability bins and expected calibration error.
+ * @param {Observation[]} points
+ * @returns {{ count: number, brier: number|null, ece: number|null, bins: ReliabilityBin[] }}
+ */
+function summarize(points) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    lower: round(i / binCount),
+    upper: round((i + 1) / binCount),
+    count: 0,
+    sumConfidence: 0,
+    successes: 0,
+  }));
+
+  let squaredError = 0;
+  for (const p of points) {
+    const y = p.success ? 1 : 0;
+    squaredError += (p.confidence - y) ** 2;
+    const bin = bins[Math.min(binCount - 1, Math.floor(p.confidence * binCount))];
+    bin.count++;
+    bin.sumConfidence += p.confidence;
+    bin.successes += y;
+  }
+
+  const n = points.length;
+  let ece = 0;
+  for (const bin of bins) {
+    if (bin.count > 0) {
+      ece += (bin.count / n) * Math.abs(bin.sumConfidence / bin.count - bin.successes / bin.count);
+    }
+  }
+
+  return {
+    count: n,
+    brier: n > 0 ? round(squaredError / n) : null,
+    ece: n > 0 ? round(ece) : null,
+    bins: bins.map(({ lower, upper, count, sumConfidence, successes }) => ({
+      lower,
+      upper,
+      count,
+      meanConfidence: count > 0 ? round(sumConfidence / count) : null,
+      successRate: count > 0 ? round(successes / count) : null,
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Internal: Persistence
+// ---------------------------------------------------------------------------
+
+/**
+ * Read persisted observations and pending predictions. Returns null when the
+ * file is missing, unreadable or from another schema version; invalid
+ * entries are dropped.
+ * @param {string} filePath
+ * @returns {{ observations: Record<string, Observation[]>, pending: Map<string, { confidence: number, domain: string }> }|null}
+ */
+function loadState(filePath) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+  if (data?.version !== STATE_VERSION || !data.observations || typeof data.observations !== 'object') {
+    return null;
+  }
+
+  const loaded = emptyObservations();
+  for (const source of CALIBRATION_SOURCES) {
+    const list = data.observations[source];
+    if (Array.isArray(list)) {
+      loaded[source] = list.filter(isValidObservation).slice(-MAX_OBSERVATIONS);
+    }
+  }
+  const predictions = Array.isArray(data.pending) ? data.pending.filter(isValidPending).slice(-MAX_PENDING) : [];
+  return {
+    observations: loaded,
+    pending: new Map(predictions.map(([key, { confidence, domain }]) => [key, { confidence, domain }])),
+  };
+}
+
+/**
+ * Atomically write observations and pending predictions when persistence
+ * is enabled.
+ * Failures are swallowed: calibration must never break routing.
+ */
+function persistState() {
+  if (!statePath) return;
+  const tmpPath = `${statePath}.tmp.${process.pid}`;
+  try {
+    mkdirSync(path.dirname(statePath), { recursive: true });
+    writeFileSync(
+      tmpPath,
+      JSON.stringify({ version: STATE_VERSION, observations, pending: [...pending], updatedAt: new Date().toISOString() }),
+      'utf-8',
+    );
+    renameSync(tmpPath, statePath);
+  } catch {
+    try { unlinkSync(tmpPath); } catch { /* temp file already gone */ }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Internal: Helpers
+// ---------------------------------------------------------------------------
+
+/** @returns {Record<string, Observation[]>} */
+function emptyObservations() {
+  return Object.fromEntries(CALIBRATION_SOURCES.map((s) => [s, []]));
+}
+
+/** @param {*} value @returns {boolean} */
+function isConfidence(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+/** @param {*} entry @returns {boolean} */
+function isValidObservation(entry) {
+  return (
+    entry !== null &&
+    typeof entry === 'object' &&
+    isConfidence(entry.confidence) &&
+    typeof entry.success === 'boolean' &&
+    typeof entry.domain === 'string' &&
+    typeof entry.at === 'number'
+  );
+}
+
+/** @param {*} entry - `[key, prediction]` pair @returns {boolean} */
+function isValidPending(entry) {
+  return (
+    Array.isArray(entry) &&
+    typeof entry[0] === 'string' &&
+    CALIBRATION_SOURCES.some((s) => entry[0].startsWith(`${s}:`)) &&
+    entry[1] !== null &&
+    typeof entry[1] === 'object' &&
+    isConfidence(entry[1].confidence) &&
+    typeof entry[1].domain === 'string'
+  );
+}
+
+/**
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => string} keyOf
+ * @returns {Map<string, T[]>}
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/** @param {number} c @returns {number} */
+function logit(c) {
+  const p = Math.min(1 - EPS, Math.max(EPS, c));
+  return Math.log(p / (1 - p));
+}
+
+/** @param {number} z @returns {number} */
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
@@ -5,6 +5,7 @@
  *   - system1: Fast, intuitive pattern-matching for simple tasks
  *   - system2: Deliberate Plan-Execute-Reflect loop for complex tasks
  *   - sandbox: Safe execution environment with dangerous command blocking
+ *     (record-only by default, opt-in process executor)
  *
  * Processing flow: input -> router (classify) -> system1 OR system2 -> output
  * @module lib/cognitive
@@ -13,21 +14,37 @@
 // Router (dual-process dispatcher)
 export {
   classifyComplexity,
+  explainClassification,
   route,
   adaptThreshold,
+  recordRoutingOutcome,
   getRoutingStats,
   resetRouter,
   getThreshold,
 } from './router.js';
+export { collectRepoSignals, scoreRepoSignals } from './repo-signals.js';
+
+// Confidence calibration (router + System 1)
+export {
+  calibrate,
+  configure as configureCalibration,
+  getCalibrationReport,
+  getPendingPredictions,
+  recordObservation,
+  resetCalibration,
+} from './calibration.js';
 
 // System 1 (fast / intuitive)
 export {
+  configure as configureSystem1,
   patternMatch,
   fastResponse,
   escalateToSystem2,
   warmCache,
+  applyHotSwap,
   savePattern,
   recordPatternOutcome,
+  recordPendingOutcomes,
   getDiagnostics,
   clearAllCaches,
 } from './system1.js';
@@ -36,25 +53,42 @@ export {
 export {
   plan,
   execute as executeSystem2,
+  executeAsync as executeSystem2Async,
   reflect,
   solve,
+  solveAsync,
+  resume,
+  resumeAsync,
   assessComplexity,
+  classifyFailure,
+  diagnoseFailure,
+  exportPlan,
+  toPlanDocument,
+  validatePlanDocument,
+  PLAN_SCHEMA_VERSION,
 } from './system2.js';
 
 // Sandbox (safe execution)
 export {
   createSandbox,
   execute as executeSandbox,
+  run as runSandbox,
   checkCommandSafety,
   recordResult,
   validate as validateSandboxResult,
   getStats as getSandboxStats,
   cleanup as cleanupSandbox,
+  getWorkspaceDiff,
+  applyWorkspace,
+  discardWorkspace,
+  toLearningResult,
 } from './sandbox.js';
 
 /**
  * Process an input through the full cognitive pipeline.
  * Routes to System 1 or System 2 based on complexity assessment.
+ * System 2 runs are checkpointed, so an interrupted run can be continued
+ * with resume(result.taskId).
  *
  * @param {string} input - User input or task description
  * @param {object} [context] - Additional context
@@ -65,11 +99,13 @@ export {
  * }>}
  */
 export async function process(input, context = {}) {
-  const { route: routeInput } = await import('./router.js');
+  const { recordRoutingOutcome, route: routeInput } = await import('./router.js');
   const routing = routeInput(input, context);
 
   if (routing.system === 1) {
-    const { fastResponse } = await import('./system1.js');
+    const { configure, fastResponse } = await import('./system1.js');
+    const { loadConfig } = await import('../core/config.js');
+    configure((await loadConfig()).cognitive?.system1);
     const result = await fastResponse(input, context);
     return { system: 'system1', result, complexity: routing };
   }
@@ -83,6 +119,67 @@ export async function process(input, context = {}) {
     domain: context.domain || 'general',
     context,
   };
-  const result = await solveTask(task);
+  const result = await solveTask(task, { checkpoint: true });
+  // The task result is a real outcome for the routing decision
+  recordRoutingOutcome(result.success === true);
+  await recordSandboxExperience(task, result);
   return { system: 'system2', result, complexity: routing };
 }
+
+/**
+ * Feed explicit feedback on the latest answer back into the router and
+ * System 1 calibration. Resolves the latest routing decision
+ * (adaptThreshold()) and every pattern answer still awaiting an outcome
+ * (recordPatternOutcome()), using the router state and calibration.json
+ * persisted by earlier hook processes. Call it only on a real signal (the
+ * user confirming or rejecting the result); decisions nobody reports on
+ * stay unresolved. Does nothing when cognitive.router.persist is false,
+ * since predictions made in other processes are not visible then.
+ *
+ * @param {boolean} success - Whether the work that followed went well
+ * @returns {Promise<{ routing: object|null, patterns: number }>}
+ *   adaptThreshold() result (null when nothing was pending) and the number
+ *   of System 1 predictions resolved
+ * @example
+ * await recordFeedback(false); // the user rejected the answer
+ */
+export async function recordFeedback(success) {
+  const { loadConfig } = await import('../core/config.js');
+  const cognitive = (await loadConfig()).cognitive ?? {};
+  if (cognitive.router?.persist === false) return { routing: null, patterns: 0 };
+
+  const router = await import('./router.js');
+  router.configure({
+    threshold: cognitive.router?.threshold,
+    adaptRate: cognitive.router?.adaptRate,
+    persist: true,
+  });
+  const { recordPendingOutcomes } = await import('./system1.js');
+
+  return {
+    routing: router.recordRoutingOutcome(success),
+    patterns: await recordPendingOutcomes(success),
+  };
+}
+
+/**
+ * Feed the executed steps of a System 2 run (exit codes, errors, side effects)
+ * into lifelong learning. Best effort: learning failures never fail the task.
+ * @param {object} task
+ * @param {object} result - solve() result
+ * @returns {Promise<void>}
+ */
+async function recordSandboxExperience(task, result) {
+  const learningResult = result.finalResult?.learningResult;
+  if (!learningResult?.steps) return;
+  try {
+    const { collectExperience } = await import('../learning/lifelong-learner.js');
+    await collectExperience({
+      type: 'sandbox',
+      category: task.type,
+      data: { ...learningResult, success: result.success },
+    });
+  } catch {
+    // Learning is optional
+  }
+}
@@ -0,0 +1,384 @@
+/**
+ * Router lexicons: keyword packs used by the complexity classifier.
+ *
+ * A lexicon pack bundles the domain, uncertainty, risk and step-connector
+ * vocabulary for one language or one team. Built-in packs cover English,
+ * Korean, Japanese, Chinese, Spanish and German; additional packs can be
+ * supplied inline via `cognitive.router.lexicons.packs` or as JSON files in
+ * a project directory (default `.artibot/lexicons/`).
+ *
+ * Matching rules:
+ *   - Terms containing CJK or Hangul characters match as substrings, since
+ *     those scripts do not separate words with spaces (and Korean attaches
+ *     particles directly to nouns).
+ *   - Other terms must start at a word boundary (Unicode-aware), so `ui`
+ *     no longer fires inside `build`, while inflections such as
+ *     `deploy` -> `deployment` still match.
+ *   - Step connectors must also end at a word boundary (whole words only).
+ *
+ * @module lib/cognitive/lexicon
+ */
+
+import path from 'node:path';
+import { readdirSync, readFileSync } from 'node:fs';
+import { validateLexiconPack } from '../core/config-schema.js';
+
+// ---------------------------------------------------------------------------
+// Built-in Packs
+// ---------------------------------------------------------------------------
+
+/**
+ * Built-in lexicon packs keyed by language code.
+ * @type {Readonly<Record<string, LexiconPack>>}
+ */
+export const BUILTIN_LEXICONS = Object.freeze({
+  en: {
+    name: 'en',
+    domains: {
+      frontend:       ['component', 'ui', 'css', 'react', 'vue', 'responsive', 'accessibility'],
+      backend:        ['api', 'database', 'server', 'endpoint', 'service', 'auth', 'db'],
+      security:       ['security', 'vulnerability', 'threat', 'compliance', 'encrypt', 'xss', 'injection', 'audit'],
+      infrastructure: ['deploy', 'docker', 'ci/cd', 'monitoring', 'k8s', 'terraform'],
+      testing:        ['test', 'e2e', 'coverage', 'spec', 'jest', 'playwright'],
+      documentation:  ['document', 'readme', 'docs', 'guide', 'wiki'],
+      design:         ['architecture', 'design', 'pattern', 'scalability'],
+    },
+    uncertainty: ['maybe', 'possibly', 'unclear', 'not sure', 'might', 'could be', 'investigate', 'explore', 'figure out'],
+    risk: [
+      'production', 'critical', 'security', 'migration', 'breaking',
+      'delete', 'drop', 'remove all', 'force push', 'rollback', 'audit', 'deploy',
+    ],
+    steps: [
+      'then', 'after that', 'next', 'afterwards', 'step', 'phase',
+      'first', 'second', 'third', 'fourth', 'fifth',
+      'and also', 'additionally', 'furthermore',
+    ],
+  },
+  ko: {
+    name: 'ko',
+    domains: {
+      frontend:       ['컴포넌트', '프론트'],
+      backend:        ['서버', '백엔드'],
+      security:       ['보안', '취약', '감사'],
+      infrastructure: ['배포'],
+      testing:        ['테스트'],
+      documentation:  ['문서'],
+      design:         ['설계', '아키텍처'],
+    },
+    uncertainty: ['아마', '불확실', '모르', '조사', '탐색'],
+    risk: ['운영', '프로덕션', '마이그레이션', '삭제', '중요', '감사', '배포'],
+    steps: ['그리고', '다음에', '그런 다음', '단계', '또한'],
+  },
+  ja: {
+    name: 'ja',
+    domains: {
+      backend:        ['データベース'],
+      security:       ['セキュリティ', '監査'],
+      infrastructure: ['インフラ'],
+      testing:        ['テスト'],
+      documentation:  ['ドキュメント'],
+      design:         ['アーキテクチャ'],
+    },
+    uncertainty: ['もしかして', '調べ', '不明'],
+    risk: ['本番', 'マイグレーション', '削除', 'デプロイ', '監査'],
+    steps: ['それから', '次に', 'フェーズ', 'さらに'],
+  },
+  zh: {
+    name: 'zh',
+    domains: {
+      frontend:       ['前端', '组件', '界面', '样式'],
+      backend:        ['后端', '服务器', '数据库', '接口', '认证'],
+      security:       ['安全', '漏洞', '审计', '加密', '威胁'],
+      infrastructure: ['部署', '容器', '监控', '运维'],
+      testing:        ['测试', '覆盖率'],
+      documentation:  ['文档'],
+      design:         ['架构', '设计', '可扩展'],
+    },
+    uncertainty: ['也许', '可能', '不确定', '调查', '探索', '搞清楚'],
+    risk: ['生产', '关键', '迁移', '删除', '回滚', '部署', '审计'],
+    steps: ['然后', '接着', '之后', '首先', '其次', '另外', '步骤'],
+  },
+  es: {
+    name: 'es',
+    domains: {
+      frontend:       ['componente', 'interfaz', 'estilos', 'accesibilidad'],
+      backend:        ['servidor', 'base de datos', 'autenticación', 'servicio'],
+      security:       ['seguridad', 'vulnerabilidad', 'amenaza', 'cifrado', 'auditoría', 'cumplimiento'],
+      infrastructure: ['despliegue', 'desplegar', 'monitoreo', 'infraestructura'],
+      testing:        ['prueba', 'cobertura'],
+      documentation:  ['documentación', 'guía'],
+      design:         ['arquitectura', 'diseño', 'patrón', 'escalabilidad'],
+    },
+    uncertainty: ['quizás', 'quizá', 'tal vez', 'posiblemente', 'no estoy seguro', 'investigar', 'explorar', 'averiguar'],
+    risk: ['producción', 'crítico', 'migración', 'eliminar', 'borrar', 'revertir', 'desplegar', 'despliegue', 'auditoría'],
+    steps: ['luego', 'después', 'a continuación', 'primero', 'segundo', 'tercero', 'además', 'paso', 'fase'],
+  },
+  de: {
+    name: 'de',
+    domains: {
+      frontend:       ['komponente', 'oberfläche', 'barrierefreiheit'],
+      backend:        ['datenbank', 'schnittstelle', 'authentifizierung'],
+      security:       ['sicherheit', 'schwachstelle', 'bedrohung', 'verschlüsselung'],
+      infrastructure: ['bereitstellung', 'bereitstellen', 'überwachung', 'infrastruktur'],
+      testing:        ['testabdeckung', 'testfall'],
+      documentation:  ['dokumentation', 'anleitung'],
+      design:         ['architektur', 'entwurf', 'skalierbarkeit'],
+    },
+    uncertainty: ['vielleicht', 'möglicherweise', 'unklar', 'nicht sicher', 'untersuchen', 'herausfinden', 'erkunden'],
+    risk: ['produktion', 'kritisch', 'löschen', 'entfernen', 'rückgängig', 'bereitstellung', 'sicherheit'],
+    steps: ['dann', 'danach', 'anschließend', 'zuerst', 'zweitens', 'drittens', 'außerdem', 'zusätzlich', 'schritt'],
+  },
+});
+
+/** Languages enabled when no lexicon config is given (historical router behaviour) */
+export const DEFAULT_LEXICON_LANGUAGES = Object.freeze(['en', 'ko', 'ja']);
+
+/** Project-relative directory scanned for additional *.json packs */
+export const DEFAULT_LEXICON_DIR = path.join('.artibot', 'lexicons');
+
+/**
+ * @typedef {object} LexiconPack
+ * @property {string} [name] - Pack identifier (defaults to file name)
+ * @property {Record<string, string[]>} [domains] - Domain name -> keywords
+ * @property {string[]} [uncertainty] - Ambiguity markers
+ * @property {string[]} [risk] - Critical-operation markers
+ * @property {string[]} [steps] - Step connectors ("then", "next", ...)
+ */
+
+/**
+ * @typedef {object} TermMatcher
+ * @property {string} term - Normalized lowercase term
+ * @property {RegExp|null} regex - Global boundary-aware regex (null for substring terms)
+ */
+
+/**
+ * @typedef {object} CompiledLexicon
+ * @property {Record<string, TermMatcher[]>} domains
+ * @property {TermMatcher[]} uncertainty
+ * @property {TermMatcher[]} risk
+ * @property {TermMatcher[]} steps
+ * @property {string[]} packs - Names of the packs merged into this lexicon
+ */
+
+// ---------------------------------------------------------------------------
+// Compilation
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge lexicon packs into a compiled lexicon with precomputed matchers.
+ * Terms are lowercased, NFC-normalized and de-duplicated.
+ *
+ * @param {LexiconPack[]} packs
+ * @returns {CompiledLexicon}
+ * @example
+ * const lex = compileLexicon([BUILTIN_LEXICONS.en, { domains: { backend: ['ledger-svc'] } }]);
+ * matchTerms('deploy ledger-svc', lex.domains.backend); // ['ledger-svc']
+ */
+export function compileLexicon(packs) {
+  const domains = {};
+  const uncertainty = new Set();
+  const risk = new Set();
+  const steps = new Set();
+  const names = [];
+
+  for (const pack of packs) {
+    if (!pack || typeof pack !== 'object') continue;
+    if (pack.name) names.push(pack.name);
+
+    for (const [domain, terms] of Object.entries(pack.domains ?? {})) {
+      if (!Array.isArray(terms)) continue;
+      domains[domain] ??= new Set();
+      addTerms(domains[domain], terms);
+    }
+    addTerms(uncertainty, pack.uncertainty);
+    addTerms(risk, pack.risk);
+    addTerms(steps, pack.steps);
+  }
+
+  return {
+    domains: Object.fromEntries(
+      Object.entries(domains).map(([d, terms]) => [d, [...terms].map((t) => createMatcher(t, false))]),
+    ),
+    uncertainty: [...uncertainty].map((t) => createMatcher(t, false)),
+    risk: [...risk].map((t) => createMatcher(t, false)),
+    steps: [...steps].map((t) => createMatcher(t, true)),
+    packs: names,
+  };
+}
+
+/**
+ * Build a compiled lexicon from router config.
+ * Sources are merged in order: built-in languages, inline packs, then
+ * project directory packs. Invalid packs are skipped and reported.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.languages] - Built-in languages to enable (default: en, ko, ja)
+ * @param {LexiconPack[]} [options.packs] - Inline packs from config
+ * @param {string|false} [options.directory] - Pack directory, relative to cwd (default: .artibot/lexicons); false disables
+ * @param {string} [options.cwd] - Project root used to resolve `directory`
+ * @returns {{ lexicon: CompiledLexicon, errors: string[] }}
+ * @example
+ * const { lexicon, errors } = loadLexicon({ languages: ['en', 'zh'], cwd: '/repo' });
+ */
+export function loadLexicon(options = {}) {
+  const errors = [];
+  const packs = [];
+
+  const languages = Array.isArray(options.languages) ? options.languages : DEFAULT_LEXICON_LANGUAGES;
+  for (const lang of languages) {
+    if (Object.hasOwn(BUILTIN_LEXICONS, lang)) {
+      packs.push(BUILTIN_LEXICONS[lang]);
+    } else {
+      errors.push(`unknown built-in lexicon language: ${lang}`);
+    }
+  }
+
+  for (const [i, pack] of (options.packs ?? []).entries()) {
+    const { valid, errors: packErrors } = validateLexiconPack(pack);
+    if (valid) {
+      packs.push(pack);
+    } else {
+      errors.push(...packErrors.map((e) => `packs[${i}]: ${e}`));
+    }
+  }
+
+  if (options.directory !== false) {
+    const dir = path.resolve(options.cwd ?? process.cwd(), options.directory ?? DEFAULT_LEXICON_DIR);
+    const loaded = readPackDirectory(dir);
+    packs.push(...loaded.packs);
+    errors.push(...loaded.errors);
+  }
+
+  return { lexicon: compileLexicon(packs), errors };
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+/**
+ * Return the terms from `matchers` that occur in `text`.
+ *
+ * @param {string} text - Lowercased input
+ * @param {TermMatcher[]} matchers
+ * @returns {string[]} Matched terms (each at most once)
+ */
+export function matchTerms(text, matchers) {
+  return matchers
+    .filter((m) => (m.regex ? text.search(m.regex) >= 0 : text.includes(m.term)))
+    .map((m) => m.term);
+}
+
+/**
+ * Count every occurrence of every matcher in `text`.
+ *
+ * @param {string} text - Lowercased input
+ * @param {TermMatcher[]} matchers
+ * @returns {{ count: number, terms: string[] }} Total occurrences and the distinct terms that fired
+ */
+export function countTerms(text, matchers) {
+  let count = 0;
+  const terms = [];
+  for (const m of matchers) {
+    const n = m.regex
+      ? (text.match(m.regex) || []).length
+      : text.split(m.term).length - 1;
+    if (n > 0) {
+      count += n;
+      terms.push(m.term);
+    }
+  }
+  return { count, terms };
+}
+
+/**
+ * Remove every occurrence of a matcher's term from `text` (used for
+ * counterfactual "what if this keyword were absent" analysis).
+ *
+ * @param {string} text - Lowercased input
+ * @param {TermMatcher} matcher
+ * @returns {string} Text with the term replaced by a space
+ */
+export function stripTerm(text, matcher) {
+  return matcher.regex ? text.replace(matcher.regex, ' ') : text.split(matcher.term).join(' ');
+}
+
+/**
+ * Check whether a term should be matched as a substring (CJK / Hangul).
+ *
+ * @param {string} term
+ * @returns {boolean}
+ */
+export function isCjkTerm(term) {
+  return /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(term);
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Add normalized terms to a set.
+ * @param {Set<string>} target
+ * @param {string[]|undefined} terms
+ */
+function addTerms(target, terms) {
+  if (!Array.isArray(terms)) return;
+  for (const term of terms) {
+    if (typeof term !== 'string') continue;
+    const normalized = term.normalize('NFC').toLowerCase().trim();
+    if (normalized) target.add(normalized);
+  }
+}
+
+/**
+ * Build a matcher for one term.
+ * @param {string} term - Normalized term
+ * @param {boolean} wholeWord - Require a trailing boundary as well
+ * @returns {TermMatcher}
+ */
+function createMatcher(term, wholeWord) {
+  if (isCjkTerm(term)) {
+    return { term, regex: null };
+  }
+  const escaped = term.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const tail = wholeWord ? '(?![\\p{L}\\p{N}_])' : '';
+  return { term, regex: new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}${tail}`, 'gu') };
+}
+
+/**
+ * Read and validate every *.json pack in a directory.
+ * A missing directory is not an error.
+ * @param {string} dir
+ * @returns {{ packs: LexiconPack[], errors: string[] }}
+ */
+function readPackDirectory(dir) {
+  const packs = [];
+  const errors = [];
+
+  let files;
+  try {
+    files = readdirSync(dir).filter((f) => f.endsWith('.json')).sort();
+  } catch {
+    return { packs, errors };
+  }
+
+  for (const file of files) {
+    let pack;
+    try {
+      pack = JSON.parse(readFileSync(path.join(dir, file), 'utf-8'));
+    } catch {
+      errors.push(`${file}: invalid JSON`);
+      continue;
+    }
+
+    const { valid, errors: packErrors } = validateLexiconPack(pack);
+    if (!valid) {
+      errors.push(...packErrors.map((e) => `${file}: ${e}`));
+      continue;
+    }
+    packs.push({ name: path.basename(file, '.json'), ...pack });
+  }
+
+  return { packs, errors };
+}
@@ -0,0 +1,288 @@
+/**
+ * Inverted keyword index for System 1 pattern matching.
+ * Maps each pattern keyword to the patterns that carry it and ranks
+ * candidates with BM25, so a lookup touches only the postings of the
+ * query terms instead of every cached pattern.
+ *
+ * Query terms that are not in the vocabulary fall back to character
+ * n-grams: padded bigrams with Dice similarity catch Latin typos
+ * ("deploi" -> "deploy"), and for Hangul / kana / CJK terms a keyword
+ * contained in the query token counts as a match, which covers particles
+ * and inflections ("버그를" -> "버그", "バグを修正" -> "修正"), single-character
+ * keywords included ("数据库连接" -> "库").
+ *
+ * The index is a plain object; serializeIndex() / deserializeIndex()
+ * convert it to and from JSON for persistence.
+ *
+ * @module lib/cognitive/pattern-index
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Serialized index format version; bump when the JSON shape changes */
+export const INDEX_VERSION = 1;
+
+/** BM25 term frequency saturation */
+const K1 = 1.2;
+
+/** BM25 document length normalization */
+const B = 0.75;
+
+/** Minimum n-gram similarity for a fuzzy term match */
+const MIN_SIMILARITY = 0.5;
+
+/** Latin query tokens shorter than this only match exactly */
+const MIN_FUZZY_LENGTH = 4;
+
+/** Hangul, kana and CJK ideographs */
+export const CJK_RE = /[\u1100-\u11FF\u3040-\u30FF\u3130-\u318F\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF]/;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} PatternIndex
+ * @property {Map<string, string[]>} docs - Pattern id -> indexed terms
+ * @property {Map<string, Set<string>>} postings - Term -> pattern ids
+ * @property {Map<string, Set<string>>} grams - Character n-gram -> terms
+ * @property {number} totalLength - Sum of indexed terms over all patterns
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an empty index.
+ * @returns {PatternIndex}
+ */
+export function createPatternIndex() {
+  return { docs: new Map(), postings: new Map(), grams: new Map(), totalLength: 0 };
+}
+
+/**
+ * Add a pattern to the index, replacing any previous entry for its id.
+ * @param {PatternIndex} index
+ * @param {string} id - Pattern id
+ * @param {string[]} keywords - Pattern keywords (lower-cased on insert)
+ */
+export function addToIndex(index, id, keywords) {
+  removeFromIndex(index, id);
+  const terms = [...new Set(keywords.map(normalizeTerm).filter(Boolean))];
+  index.docs.set(id, terms);
+  index.totalLength += terms.length;
+  for (const term of terms) {
+    if (!index.postings.has(term)) {
+      index.postings.set(term, new Set());
+      addGrams(index, term);
+    }
+    index.postings.get(term).add(id);
+  }
+}
+
+/**
+ * Remove a pattern from the index. Terms no pattern uses any more are dropped.
+ * @param {PatternIndex} index
+ * @param {string} id - Pattern id
+ * @returns {boolean} Whether the pattern was indexed
+ */
+export function removeFromIndex(index, id) {
+  const terms = index.docs.get(id);
+  if (!terms) return false;
+  index.docs.delete(id);
+  index.totalLength -= terms.length;
+  for (const term of terms) {
+    const ids = index.postings.get(term);
+    ids.delete(id);
+    if (ids.size === 0) {
+      index.postings.delete(term);
+      removeGrams(index, term);
+    }
+  }
+  return true;
+}
+
+/**
+ * Rank indexed patterns against query tokens with BM25.
+ * Exact terms count fully; n-gram matches are weighted by similarity.
+ *
+ * @param {PatternIndex} index
+ * @param {string[]} tokens - Normalized query tokens
+ * @param {object} [options]
+ * @param {number} [options.limit=50] - Maximum candidates returned
+ * @returns {Array<{ id: string, score: number, matches: Record<string, number> }>}
+ *   Best first; `matches` maps each matched term to its similarity (1 = exact)
+ * @example
+ * const index = createPatternIndex();
+ * addToIndex(index, 'deploy', ['deploy', 'release']);
+ * searchIndex(index, ['deploi']);
+ * // [{ id: 'deploy', score: 0.644, matches: { deploy: 0.71 } }]
+ */
+export function searchIndex(index, tokens, options = {}) {
+  const { limit = 50 } = options;
+  const n = index.docs.size;
+  if (n === 0) return [];
+
+  const avgLength = index.totalLength / n || 1;
+  const candidates = new Map();
+
+  for (const [term, similarity] of matchTerms(index, tokens)) {
+    const ids = index.postings.get(term);
+    const idf = Math.log(1 + (n - ids.size + 0.5) / (ids.size + 0.5));
+    for (const id of ids) {
+      const length = index.docs.get(id).length;
+      const weight = idf * similarity * (K1 + 1) / (1 + K1 * (1 - B + B * length / avgLength));
+      const entry = candidates.get(id) ?? { id, score: 0, matches: {} };
+      entry.score += weight;
+      entry.matches[term] = similarity;
+      candidates.set(id, entry);
+    }
+  }
+
+  return [...candidates.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((c) => ({ ...c, score: Math.round(c.score * 1000) / 1000 }));
+}
+
+/**
+ * Convert the index to JSON, with postings as id lists.
+ * @param {PatternIndex} index
+ * @returns {{ version: number, postings: Record<string, string[]> }}
+ */
+export function serializeIndex(index) {
+  const postings = {};
+  for (const [term, ids] of index.postings) {
+    postings[term] = [...ids];
+  }
+  return { version: INDEX_VERSION, postings };
+}
+
+/**
+ * Rebuild an index from serializeIndex() output.
+ * @param {object} data - Parsed JSON
+ * @returns {PatternIndex | null} Null for a missing or incompatible index
+ */
+export function deserializeIndex(data) {
+  if (data?.version !== INDEX_VERSION || !data.postings || typeof data.postings !== 'object') {
+    return null;
+  }
+  const index = createPatternIndex();
+  for (const [term, ids] of Object.entries(data.postings)) {
+    if (!Array.isArray(ids) || ids.length === 0) continue;
+    index.postings.set(term, new Set(ids));
+    addGrams(index, term);
+    for (const id of ids) {
+      if (!index.docs.has(id)) index.docs.set(id, []);
+      index.docs.get(id).push(term);
+      index.totalLength++;
+    }
+  }
+  return index;
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Vocabulary terms matched by the query, with their best similarity.
+ * @param {PatternIndex} index
+ * @param {string[]} tokens
+ * @returns {Map<string, number>}
+ */
+function matchTerms(index, tokens) {
+  const matched = new Map();
+  const keep = (term, similarity) => {
+    if (similarity > (matched.get(term) ?? 0)) matched.set(term, similarity);
+  };
+
+  for (const token of new Set(tokens.map(normalizeTerm))) {
+    if (!token) continue;
+    if (index.postings.has(token)) {
+      keep(token, 1);
+      continue;
+    }
+    if (token.length < MIN_FUZZY_LENGTH && !CJK_RE.test(token)) continue;
+
+    const seen = new Set();
+    if (CJK_RE.test(token)) {
+      // Single-character keywords have no bigrams to look up
+      for (const char of new Set(token)) {
+        if (!CJK_RE.test(char) || !index.postings.has(char)) continue;
+        seen.add(char);
+        keep(char, Math.round(termSimilarity(token, char) * 100) / 100);
+      }
+    }
+    for (const gram of gramsOf(token)) {
+      for (const term of index.grams.get(gram) ?? []) {
+        if (seen.has(term)) continue;
+        seen.add(term);
+        const similarity = termSimilarity(token, term);
+        if (similarity >= MIN_SIMILARITY) keep(term, Math.round(similarity * 100) / 100);
+      }
+    }
+  }
+  return matched;
+}
+
+/**
+ * Similarity of two terms in 0..1.
+ * CJK terms contained in one another score by length ratio; everything
+ * else by Dice overlap of character bigrams.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function termSimilarity(a, b) {
+  if (CJK_RE.test(a) || CJK_RE.test(b)) {
+    const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+    if (long.includes(short)) return 0.5 + 0.5 * (short.length / long.length);
+  }
+  const ga = gramsOf(a);
+  const gb = new Set(gramsOf(b));
+  const shared = ga.filter((g) => gb.has(g)).length;
+  return (2 * shared) / (ga.length + gb.size);
+}
+
+/**
+ * Distinct character bigrams; Latin terms are padded so first and last
+ * letters carry weight.
+ * @param {string} term
+ * @returns {string[]}
+ */
+function gramsOf(term) {
+  const chars = [...(CJK_RE.test(term) ? term : `^${term}$`)];
+  if (chars.length < 2) return chars;
+  const grams = new Set();
+  for (let i = 0; i < chars.length - 1; i++) {
+    grams.add(chars[i] + chars[i + 1]);
+  }
+  return [...grams];
+}
+
+/** @param {PatternIndex} index @param {string} term */
+function addGrams(index, term) {
+  for (const gram of gramsOf(term)) {
+    if (!index.grams.has(gram)) index.grams.set(gram, new Set());
+    index.grams.get(gram).add(term);
+  }
+}
+
+/** @param {PatternIndex} index @param {string} term */
+function removeGrams(index, term) {
+  for (const gram of gramsOf(term)) {
+    const terms = index.grams.get(gram);
+    if (!terms) continue;
+    terms.delete(term);
+    if (terms.size === 0) index.grams.delete(gram);
+  }
+}
+
+/** @param {*} term @returns {string} Lower-cased, trimmed term ('' for non-strings) */
+function normalizeTerm(term) {
+  return typeof term === 'string' ? term.trim().toLowerCase() : '';
+}
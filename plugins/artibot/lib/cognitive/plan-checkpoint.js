@@ -0,0 +1,305 @@
+/**
+ * On-disk checkpoints for System 2 plan execution.
+ * solve() / solveAsync() with the `checkpoint` option write the task, plan,
+ * per-step results and the sandbox execution log to
+ * ~/.claude/artibot/checkpoints/<taskId>.json after every step, so that a
+ * plan interrupted by compaction or a crash can be continued with resume().
+ * Checkpoints not updated within a TTL (default 7 days), including
+ * 'running' ones left behind by crashed processes, are removed by
+ * pruneCheckpoints(), which the SessionStart hook runs on startup.
+ *
+ * Uses synchronous I/O (like router-store.js) so a checkpoint is on disk
+ * before the next step starts.
+ *
+ * @module lib/cognitive/plan-checkpoint
+ */
+
+import path from 'node:path';
+import { mkdirSync, readdirSync, readFileSync, renameSync, statSync, unlinkSync, writeFileSync } from 'node:fs';
+import { ARTIBOT_DIR } from '../core/config.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Default checkpoint directory */
+export const CHECKPOINT_DIR = path.join(ARTIBOT_DIR, 'checkpoints');
+
+/** Default age after which an untouched checkpoint is pruned (7 days) */
+export const CHECKPOINT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Schema version written to disk */
+const CHECKPOINT_VERSION = 1;
+
+/** Checkpoint statuses */
+const STATUSES = new Set(['running', 'completed', 'failed']);
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} PlanCheckpoint
+ * @property {number} version - Schema version
+ * @property {string} taskId - Task identifier (file name key)
+ * @property {object} task - Task as passed to the current attempt (includes correction context)
+ * @property {number} attempt - Current solve attempt (1-based)
+ * @property {'running'|'completed'|'failed'} status - 'running' until the solve loop finishes
+ * @property {object} plan - Plan from plan() for the current attempt
+ * @property {Record<string, object>} steps - Step results keyed by step id
+ * @property {{ id: string, executionLog: object[], workspace?: object }} sandbox - Sandbox log for
+ *   the current attempt, plus its overlay workspace (if any) so resume() keeps running in it
+ * @property {string} createdAt - ISO timestamp of the first write for this task
+ * @property {string} updatedAt - ISO timestamp of the last write
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve the checkpoint file for a task id.
+ * Characters outside [A-Za-z0-9._-] are replaced so any id maps to a safe file name.
+ *
+ * @param {string} taskId
+ * @param {string} [dir] - Checkpoint directory (default: ~/.claude/artibot/checkpoints)
+ * @returns {string}
+ */
+export function getCheckpointPath(taskId, dir = CHECKPOINT_DIR) {
+  const safe = String(taskId).replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '_');
+  return path.join(dir, `${safe}.json`);
+}
+
+/**
+ * Atomically write a checkpoint.
+ *
+ * @param {Omit<PlanCheckpoint, 'version' | 'updatedAt'>} checkpoint
+ * @param {string} [dir] - Checkpoint directory
+ * @returns {PlanCheckpoint} The checkpoint as written
+ */
+export function saveCheckpoint(checkpoint, dir = CHECKPOINT_DIR) {
+  const now = new Date().toISOString();
+  const payload = {
+    version: CHECKPOINT_VERSION,
+    ...checkpoint,
+    createdAt: checkpoint.createdAt ?? now,
+    updatedAt: now,
+  };
+
+  const filePath = getCheckpointPath(checkpoint.taskId, dir);
+  mkdirSync(dir, { recursive: true });
+  const tmpPath = `${filePath}.tmp.${process.pid}`;
+  try {
+    writeFileSync(tmpPath, JSON.stringify(payload, null, 2), 'utf-8');
+    renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { unlinkSync(tmpPath); } catch { /* temp file already gone */ }
+    throw err;
+  }
+  return payload;
+}
+
+/**
+ * Load a checkpoint by task id.
+ * Returns `null` when the file is missing, unreadable or malformed.
+ *
+ * @param {string} taskId
+ * @param {string} [dir] - Checkpoint directory
+ * @returns {PlanCheckpoint|null}
+ * @example
+ * const cp = loadCheckpoint('task-42');
+ * if (cp?.status === 'running') resume('task-42');
+ */
+export function loadCheckpoint(taskId, dir = CHECKPOINT_DIR) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(getCheckpointPath(taskId, dir), 'utf-8'));
+  } catch {
+    return null;
+  }
+  return isValidCheckpoint(data) ? data : null;
+}
+
+/**
+ * Summarize checkpoints in a directory, most recently updated first.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] - Checkpoint directory
+ * @param {'running'|'completed'|'failed'} [options.status] - Only return this status
+ * @returns {Array<{ taskId: string, status: string, attempt: number, stepsCompleted: number, stepsTotal: number, updatedAt: string }>}
+ * @example
+ * listCheckpoints({ status: 'running' }); // plans interrupted mid-solve
+ */
+export function listCheckpoints(options = {}) {
+  const { dir = CHECKPOINT_DIR, status } = options;
+  let files;
+  try {
+    files = readdirSync(dir).filter((f) => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+
+  const summaries = [];
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(path.join(dir, file), 'utf-8'));
+    } catch {
+      continue;
+    }
+    if (!isValidCheckpoint(data) || (status && data.status !== status)) continue;
+    summaries.push({
+      taskId: data.taskId,
+      status: data.status,
+      attempt: data.attempt,
+      stepsCompleted: Object.values(data.steps).filter((s) => s.status === 'success').length,
+      stepsTotal: data.plan.steps.length,
+      updatedAt: data.updatedAt,
+    });
+  }
+
+  return summaries.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * Delete a task's checkpoint.
+ *
+ * @param {string} taskId
+ * @param {string} [dir] - Checkpoint directory
+ * @returns {boolean} `true` if a file was removed
+ */
+export function clearCheckpoint(taskId, dir = CHECKPOINT_DIR) {
+  try {
+    unlinkSync(getCheckpointPath(taskId, dir));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Delete checkpoints not updated within `maxAgeMs`, whatever their status,
+ * plus unreadable checkpoint files and temp files left by interrupted
+ * writes once they are equally old.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] - Checkpoint directory
+ * @param {number} [options.maxAgeMs] - Age limit (default: CHECKPOINT_TTL_MS)
+ * @param {number} [options.now] - Reference time in ms (default: Date.now())
+ * @returns {string[]} Removed file names
+ * @example
+ * pruneCheckpoints(); // ['task-17.json'] - crashed 'running' plan from last month
+ */
+export function pruneCheckpoints(options = {}) {
+  const { dir = CHECKPOINT_DIR, maxAgeMs = CHECKPOINT_TTL_MS, now = Date.now() } = options;
+  let files;
+  try {
+    files = readdirSync(dir).filter((f) => f.endsWith('.json') || f.includes('.json.tmp.'));
+  } catch {
+    return [];
+  }
+
+  const removed = [];
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    const touchedAt = lastUpdated(filePath);
+    if (touchedAt === null || now - touchedAt <= maxAgeMs) continue;
+    try {
+      unlinkSync(filePath);
+      removed.push(file);
+    } catch {
+      // Removed concurrently
+    }
+  }
+  return removed;
+}
+
+/**
+ * Create a writer that checkpoints one solve attempt.
+ * Writes the initial state immediately, then after every step.
+ *
+ * @param {object} attemptState
+ * @param {object} attemptState.task - Task for this attempt
+ * @param {number} attemptState.attempt - Attempt number
+ * @param {object} attemptState.plan - Plan for this attempt
+ * @param {object} attemptState.sandbox - Sandbox the attempt runs in
+ * @param {Record<string, object>} [attemptState.steps] - Step results carried over (resume)
+ * @param {string} [dir] - Checkpoint directory
+ * @returns {{ recordStep: (stepResult: object) => void, finish: (status: 'completed'|'failed') => void }}
+ */
+export function createCheckpointWriter(attemptState, dir = CHECKPOINT_DIR) {
+  const { task, attempt, plan, sandbox } = attemptState;
+  const steps = { ...attemptState.steps };
+  const createdAt = loadCheckpoint(task.id, dir)?.createdAt;
+
+  const write = (status) => saveCheckpoint({
+    taskId: task.id,
+    task,
+    attempt,
+    status,
+    plan,
+    steps,
+    sandbox: {
+      id: sandbox.id,
+      executionLog: [...sandbox.executionLog],
+      ...(sandbox.workspace && { workspace: sandbox.workspace }),
+    },
+    createdAt,
+  }, dir);
+
+  write('running');
+
+  return {
+    recordStep(stepResult) {
+      steps[stepResult.stepId] = stepResult;
+      write('running');
+    },
+    finish(status) {
+      write(status);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Last update time of a checkpoint file: its `updatedAt`, falling back to
+ * the file's mtime for temp files and unreadable checkpoints.
+ * @param {string} filePath
+ * @returns {number|null} Milliseconds since the epoch, or null when the file is gone
+ */
+function lastUpdated(filePath) {
+  if (filePath.endsWith('.json')) {
+    try {
+      const updatedAt = Date.parse(JSON.parse(readFileSync(filePath, 'utf-8')).updatedAt);
+      if (Number.isFinite(updatedAt)) return updatedAt;
+    } catch {
+      // Unreadable; judged by mtime
+    }
+  }
+  try {
+    return statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check the fields resume() relies on.
+ * @param {*} data
+ * @returns {boolean}
+ */
+function isValidCheckpoint(data) {
+  return (
+    data !== null &&
+    typeof data === 'object' &&
+    typeof data.taskId === 'string' &&
+    STATUSES.has(data.status) &&
+    Number.isInteger(data.attempt) &&
+    data.task !== null && typeof data.task === 'object' &&
+    data.plan !== null && typeof data.plan === 'object' && Array.isArray(data.plan.steps) &&
+    data.steps !== null && typeof data.steps === 'object'
+  );
+}
@@ -0,0 +1,445 @@
+/**
+ * Exporters for System 2 plans and their execution results.
+ * Renders a plan (optionally with the result of executing it) as:
+ *   - a Mermaid flowchart: one node per step, edges from the dependency
+ *     graph, fill colour by status and border by highest risk severity
+ *     (conventions in skills/library-mermaid/SKILL.md, section 10)
+ *   - a Markdown checklist suitable for a pull request description
+ *   - a versioned JSON document (PLAN_SCHEMA) other tools can consume
+ *
+ * @module lib/cognitive/plan-export
+ */
+
+import { validateAgainstSchema } from '../core/config-schema.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Version of the exported JSON document; bump on breaking shape changes */
+export const PLAN_SCHEMA_VERSION = 1;
+
+/** Supported export formats */
+export const EXPORT_FORMATS = Object.freeze(['mermaid', 'markdown', 'json']);
+
+const SEVERITIES = ['low', 'medium', 'high'];
+const STEP_STATUSES = ['pending', 'completed', 'failed', 'success', 'blocked', 'skipped'];
+const MAX_LABEL_LENGTH = 60;
+
+/** JSON schema of the document produced by toPlanDocument() */
+export const PLAN_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['schemaVersion', 'plan'],
+  properties: {
+    schemaVersion: { type: 'number', minimum: PLAN_SCHEMA_VERSION, maximum: PLAN_SCHEMA_VERSION },
+    exportedAt: { type: 'string' },
+    plan: {
+      type: 'object',
+      required: ['taskId', 'steps', 'dependencies', 'risks'],
+      properties: {
+        taskId: { type: 'string' },
+        createdAt: { type: 'string' },
+        complexity: { type: 'number', minimum: 0, maximum: 1 },
+        template: { type: ['string', 'null'] },
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'order', 'action'],
+            properties: {
+              id: { type: 'string' },
+              order: { type: 'number' },
+              action: { type: 'string' },
+              command: { type: 'string' },
+              description: { type: 'string' },
+              phase: { type: 'string' },
+              file: { type: 'string' },
+              estimatedComplexity: { type: 'string', enum: SEVERITIES },
+              status: { type: 'string', enum: STEP_STATUSES },
+            },
+          },
+        },
+        dependencies: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['from', 'to'],
+            properties: { from: { type: 'string' }, to: { type: 'string' } },
+          },
+        },
+        risks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['stepId', 'risk', 'severity'],
+            properties: {
+              stepId: { type: 'string' },
+              risk: { type: 'string' },
+              mitigation: { type: 'string' },
+              severity: { type: 'string', enum: SEVERITIES },
+            },
+          },
+        },
+        team: {
+          type: ['object', 'null'],
+          properties: {
+            pattern: { type: 'string' },
+            size: { type: 'number' },
+            teammates: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+    },
+    execution: {
+      type: ['object', 'null'],
+      required: ['success', 'steps'],
+      properties: {
+        success: { type: 'boolean' },
+        startedAt: { type: 'string' },
+        completedAt: { type: 'string' },
+        stepsCompleted: { type: 'number' },
+        stepsTotal: { type: 'number' },
+        criticalPath: { type: 'array', items: { type: 'string' } },
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['stepId', 'status'],
+            properties: {
+              stepId: { type: 'string' },
+              status: { type: 'string', enum: STEP_STATUSES },
+              exitCode: { type: ['number', 'null'] },
+              durationMs: { type: ['number', 'null'] },
+              issues: { type: 'array', items: { type: 'string' } },
+              skippedBecause: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the versioned JSON document for a plan and optional execution.
+ * Sandbox internals (stdout, side effects, workspace) are left out; each
+ * executed step keeps its status, exit code, duration and validation issues.
+ *
+ * @param {object} plan - Result of system2 plan()
+ * @param {object|null} [execution] - Result of system2 execute()/executeAsync()
+ * @returns {{ schemaVersion: number, exportedAt: string, plan: object, execution: object|null }}
+ */
+export function toPlanDocument(plan, execution = null) {
+  const team = plan.teamRecommendation;
+  return {
+    schemaVersion: PLAN_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    plan: {
+      taskId: plan.taskId,
+      createdAt: plan.createdAt,
+      complexity: plan.complexity,
+      template: plan.template ?? null,
+      steps: plan.steps.map((step) => pickDefined(step, ['id', 'order', 'action', 'command', 'description', 'phase', 'file', 'estimatedComplexity', 'status'])),
+      dependencies: plan.dependencies.map(({ from, to }) => ({ from, to })),
+      risks: plan.risks.map((risk) => pickDefined(risk, ['stepId', 'risk', 'mitigation', 'severity'])),
+      team: team ? { pattern: team.pattern, size: team.size, teammates: [...(team.teammates || [])] } : null,
+    },
+    execution: execution ? summarizeExecution(execution) : null,
+  };
+}
+
+/**
+ * Validate a plan document against PLAN_SCHEMA.
+ * Dependencies and risks must reference steps of the plan.
+ *
+ * @param {object} doc - Document to validate
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validatePlanDocument(doc) {
+  const { errors } = validateAgainstSchema(doc, PLAN_SCHEMA, 'plan document');
+  if (errors.length === 0) {
+    const ids = new Set(doc.plan.steps.map((s) => s.id));
+    for (const { from, to } of doc.plan.dependencies) {
+      if (!ids.has(from) || !ids.has(to)) errors.push(`plan document.plan.dependencies: unknown step in ${from} -> ${to}`);
+    }
+    for (const { stepId } of doc.plan.risks) {
+      if (!ids.has(stepId)) errors.push(`plan document.plan.risks: unknown step ${stepId}`);
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Render a plan as a Mermaid flowchart.
+ *
+ * @param {object} plan - Result of system2 plan()
+ * @param {object|null} [execution] - Execution result; statuses come from it when given
+ * @param {object} [options]
+ * @param {'TD'|'LR'} [options.direction='TD'] - Flowchart direction
+ * @returns {string} Mermaid source (without code fences)
+ */
+export function toMermaid(plan, execution = null, options = {}) {
+  const { direction = 'TD' } = options;
+  const statuses = stepStatuses(plan, execution);
+  const severities = stepSeverities(plan);
+  const lines = [`flowchart ${direction}`];
+
+  for (const step of plan.steps) {
+    const severity = severities.get(step.id);
+    const label = [`${step.id}: ${truncate(step.action)}`, severity ? `risk: ${severity}` : null]
+      .filter(Boolean)
+      .map(escapeLabel)
+      .join('<br/>');
+    lines.push(`  ${nodeId(step.id)}["${label}"]`);
+  }
+  for (const { from, to } of plan.dependencies) {
+    lines.push(`  ${nodeId(from)} --> ${nodeId(to)}`);
+  }
+
+  lines.push(
+    '  classDef pending fill:#f5f5f5,color:#333',
+    '  classDef success fill:#d4edda,color:#155724',
+    '  classDef failed fill:#f8d7da,color:#721c24',
+    '  classDef blocked fill:#fde2c8,color:#7a3e00',
+    '  classDef skipped fill:#e2e3e5,color:#6c757d,stroke-dasharray:4 4',
+    '  classDef riskHigh stroke:#dc3545,stroke-width:3px',
+    '  classDef riskMedium stroke:#fd7e14,stroke-width:2px',
+    '  classDef riskLow stroke:#6c757d',
+  );
+  for (const [cls, ids] of groupBy(plan.steps, (s) => statuses.get(s.id))) {
+    lines.push(`  class ${ids.map(nodeId).join(',')} ${cls}`);
+  }
+  for (const [severity, ids] of groupBy(plan.steps, (s) => severities.get(s.id))) {
+    lines.push(`  class ${ids.map(nodeId).join(',')} risk${capitalize(severity)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a plan as a Markdown checklist for a pull request description.
+ * Succeeded steps are checked; failed, blocked and skipped steps carry the
+ * reason. Risks are listed in a table.
+ *
+ * @param {object} plan - Result of system2 plan()
+ * @param {object|null} [execution] - Execution result
+ * @param {object} [options]
+ * @param {boolean} [options.diagram=false] - Embed the Mermaid flowchart
+ * @param {string} [options.title] - Heading (default: "Plan: <taskId>")
+ * @returns {string}
+ */
+export function toMarkdown(plan, execution = null, options = {}) {
+  const { diagram = false, title = `Plan: ${plan.taskId}` } = options;
+  const statuses = stepStatuses(plan, execution);
+  const results = new Map((execution?.results || []).map((r) => [r.stepId, r]));
+  const lines = [`## ${title}`, ''];
+
+  if (execution) {
+    const outcome = execution.success ? 'succeeded' : 'failed';
+    lines.push(`Execution ${outcome}: ${execution.stepsCompleted}/${execution.stepsTotal} steps completed.`, '');
+  }
+
+  lines.push('### Steps', '');
+  for (const step of plan.steps) {
+    const status = statuses.get(step.id);
+    const done = status === 'success' || status === 'completed';
+    const deps = dependenciesOf(plan, step.id);
+    const after = deps.length > 0 ? ` (after ${deps.join(', ')})` : '';
+    const note = stepNote(status, results.get(step.id));
+    lines.push(`- [${done ? 'x' : ' '}] **${step.id}** ${escapeMarkdown(step.action)}${after}${note}`);
+  }
+
+  if (plan.risks.length > 0) {
+    lines.push('', '### Risks', '', '| Step | Severity | Risk | Mitigation |', '| --- | --- | --- | --- |');
+    for (const risk of plan.risks) {
+      lines.push(`| ${risk.stepId} | ${risk.severity} | ${escapeCell(risk.risk)} | ${escapeCell(risk.mitigation || '')} |`);
+    }
+  }
+
+  const team = plan.teamRecommendation;
+  if (team?.teammates?.length > 0) {
+    lines.push('', `**Team:** ${team.pattern} (${team.teammates.join(', ')})`);
+  }
+
+  if (diagram) {
+    lines.push('', '```mermaid', toMermaid(plan, execution), '```');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Export a plan in one of EXPORT_FORMATS.
+ *
+ * @param {'mermaid'|'markdown'|'json'} format - Output format
+ * @param {object} plan - Result of system2 plan()
+ * @param {object|null} [execution] - Execution result
+ * @param {object} [options] - Format options (see toMermaid / toMarkdown)
+ * @returns {string}
+ * @throws {Error} On an unknown format
+ */
+export function exportPlan(format, plan, execution = null, options = {}) {
+  switch (format) {
+    case 'mermaid':
+      return toMermaid(plan, execution, options);
+    case 'markdown':
+      return toMarkdown(plan, execution, options);
+    case 'json':
+      return JSON.stringify(toPlanDocument(plan, execution), null, 2);
+    default:
+      throw new Error(`Unknown plan export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Reduce an execution result to the fields in PLAN_SCHEMA.
+ * @param {object} execution
+ * @returns {object}
+ */
+function summarizeExecution(execution) {
+  const summary = {
+    success: execution.success,
+    startedAt: execution.startedAt,
+    completedAt: execution.completedAt,
+    stepsCompleted: execution.stepsCompleted,
+    stepsTotal: execution.stepsTotal,
+    steps: execution.results.map((r) => pickDefined({
+      stepId: r.stepId,
+      status: r.status,
+      exitCode: r.execution?.exitCode ?? null,
+      durationMs: r.timing?.durationMs ?? r.execution?.duration ?? null,
+      issues: r.validation?.issues || [],
+      skippedBecause: r.skippedBecause,
+    }, ['stepId', 'status', 'exitCode', 'durationMs', 'issues', 'skippedBecause'])),
+  };
+  if (execution.criticalPath) summary.criticalPath = [...execution.criticalPath];
+  return summary;
+}
+
+/**
+ * Status per step id: the execution result status, else the plan step status.
+ * @param {object} plan
+ * @param {object|null} execution
+ * @returns {Map<string, string>}
+ */
+function stepStatuses(plan, execution) {
+  const statuses = new Map(plan.steps.map((s) => [s.id, s.status === 'completed' ? 'success' : s.status || 'pending']));
+  for (const result of execution?.results || []) {
+    statuses.set(result.stepId, result.status);
+  }
+  return statuses;
+}
+
+/**
+ * Highest risk severity per step id.
+ * @param {object} plan
+ * @returns {Map<string, string>}
+ */
+function stepSeverities(plan) {
+  const severities = new Map();
+  for (const { stepId, severity } of plan.risks) {
+    const current = severities.get(stepId);
+    if (!current || SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(current)) {
+      severities.set(stepId, severity);
+    }
+  }
+  return severities;
+}
+
+/**
+ * Suffix describing why a step did not succeed.
+ * @param {string} status
+ * @param {object|undefined} result
+ * @returns {string}
+ */
+function stepNote(status, result) {
+  if (status === 'failed') {
+    const reason = result?.validation?.issues?.[0] || `exit code ${result?.execution?.exitCode ?? 'unknown'}`;
+    return ` — failed: ${escapeMarkdown(reason)}`;
+  }
+  if (status === 'blocked') {
+    return ` — blocked${result?.execution?.blockedBy ? `: ${escapeMarkdown(result.execution.blockedBy)}` : ''}`;
+  }
+  if (status === 'skipped') {
+    return result?.skippedBecause ? ` — skipped (${result.skippedBecause} did not succeed)` : ' — skipped';
+  }
+  return '';
+}
+
+/**
+ * Ids of the steps a step depends on.
+ * @param {object} plan
+ * @param {string} stepId
+ * @returns {string[]}
+ */
+function dependenciesOf(plan, stepId) {
+  return plan.dependencies.filter((d) => d.to === stepId).map((d) => d.from);
+}
+
+/**
+ * Group step ids by a key, skipping empty keys; preserves first-seen order.
+ * @param {object[]} steps
+ * @param {(step: object) => string|undefined} keyFn
+ * @returns {Map<string, string[]>}
+ */
+function groupBy(steps, keyFn) {
+  const groups = new Map();
+  for (const step of steps) {
+    const key = keyFn(step);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(step.id);
+  }
+  return groups;
+}
+
+/**
+ * Copy the listed keys whose value is not undefined.
+ * @param {object} source
+ * @param {string[]} keys
+ * @returns {object}
+ */
+function pickDefined(source, keys) {
+  const out = {};
+  for (const key of keys) {
+    if (source[key] !== undefined) out[key] = source[key];
+  }
+  return out;
+}
+
+/** @param {string} id @returns {string} Mermaid-safe node id */
+function nodeId(id) {
+  return `s_${String(id).replace(/[^A-Za-z0-9_]/g, '_')}`;
+}
+
+/** @param {string} text @returns {string} */
+function truncate(text) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  return flat.length > MAX_LABEL_LENGTH ? `${flat.slice(0, MAX_LABEL_LENGTH - 1)}…` : flat;
+}
+
+/** @param {string} text @returns {string} Text safe inside a quoted Mermaid label */
+function escapeLabel(text) {
+  return text.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+}
+
+/** @param {string} text @returns {string} Text collapsed onto one line */
+function escapeMarkdown(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/** @param {string} text @returns {string} */
+function escapeCell(text) {
+  return escapeMarkdown(text).replace(/\|/g, '\\|');
+}
+
+/** @param {string} text @returns {string} */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
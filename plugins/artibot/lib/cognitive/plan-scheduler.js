@@ -0,0 +1,273 @@
+/**
+ * DAG scheduler for System 2 plans.
+ * Runs plan steps as soon as their dependencies have succeeded, up to a
+ * concurrency limit. A failed, blocked or skipped step only skips the steps
+ * that (transitively) depend on it; independent branches keep running.
+ *
+ * Used by system2-core.executeAsync(); the synchronous execute() (and so
+ * solve()) goes through scheduleStepsSync(), which applies the same skip
+ * rules one step at a time.
+ *
+ * @module lib/cognitive/plan-scheduler
+ */
+
+/** Default number of steps allowed to run at the same time */
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * @typedef {object} StepTiming
+ * @property {number} startMs - Start offset from the beginning of the run (ms)
+ * @property {number} endMs - End offset from the beginning of the run (ms)
+ * @property {number} durationMs - Time spent running the step (ms)
+ */
+
+/**
+ * Run plan steps concurrently in dependency order.
+ *
+ * `runStep` receives a step and resolves to its step result (at least
+ * `{ stepId, status }`); a rejection is recorded as a failed step. Each
+ * result is returned with a `timing` entry (null for skipped steps) and,
+ * when skipped, a `skippedBecause` reason.
+ *
+ * @param {object[]} steps - Plan steps in topological order
+ * @param {Array<{ from: string, to: string }>} dependencies - Plan dependency edges
+ * @param {(step: object) => Promise<object>} runStep - Executes one step
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4] - Maximum steps running at once
+ * @param {boolean} [options.stopOnFailure=false] - Start no new steps after any failure
+ * @returns {Promise<{
+ *   results: object[],
+ *   criticalPath: { steps: string[], durationMs: number },
+ *   wallMs: number,
+ *   concurrency: number
+ * }>}
+ * @example
+ * const { results, criticalPath } = await scheduleSteps(plan.steps, plan.dependencies, runOne, { concurrency: 2 });
+ */
+export function scheduleSteps(steps, dependencies, runStep, options = {}) {
+  const limit = Math.max(1, Math.floor(options.concurrency ?? DEFAULT_CONCURRENCY) || 1);
+  const stopOnFailure = options.stopOnFailure ?? false;
+  const startedAt = Date.now();
+
+  const known = new Set(steps.map((s) => s.id));
+  const parents = parentMap(steps, dependencies);
+
+  const done = new Map();
+  let pending = [...steps];
+  let running = 0;
+  let halted = false;
+
+  return new Promise((resolve) => {
+    const skip = (step, reason) => {
+      done.set(step.id, skippedResult(step, reason));
+    };
+
+    const launch = (step) => {
+      running += 1;
+      const startMs = Date.now() - startedAt;
+      Promise.resolve()
+        .then(() => runStep(step))
+        .catch((err) => failedResult(step, err))
+        .then((result) => {
+          const endMs = Date.now() - startedAt;
+          done.set(step.id, { ...result, timing: { startMs, endMs, durationMs: endMs - startMs } });
+          if (result.status !== 'success' && stopOnFailure) halted = true;
+          running -= 1;
+          pump();
+        });
+    };
+
+    const pump = () => {
+      const waiting = [];
+      for (const step of pending) {
+        const deps = parents.get(step.id);
+        const missing = deps.find((id) => !known.has(id));
+        const broken = deps.find((id) => done.has(id) && done.get(id).status !== 'success');
+
+        if (halted) {
+          skip(step, 'execution halted after a failure');
+        } else if (missing) {
+          skip(step, `unknown dependency ${missing}`);
+        } else if (broken) {
+          skip(step, `dependency ${broken} ${done.get(broken).status}`);
+        } else if (running < limit && deps.every((id) => done.has(id))) {
+          launch(step);
+        } else {
+          waiting.push(step);
+        }
+      }
+      pending = waiting;
+
+      // A skip may break a step listed before it (out-of-order input); settle those too
+      if (pending.some((step) => parents.get(step.id).some((id) => done.get(id)?.status === 'skipped'))) {
+        pump();
+        return;
+      }
+
+      if (running === 0) {
+        for (const step of pending) skip(step, 'circular dependency');
+        pending = [];
+        const results = steps.map((s) => done.get(s.id));
+        resolve({
+          results,
+          criticalPath: findCriticalPath(steps, parents, done),
+          wallMs: Date.now() - startedAt,
+          concurrency: limit,
+        });
+      }
+    };
+
+    pump();
+  });
+}
+
+/**
+ * Synchronous counterpart of scheduleSteps() for runners that return the
+ * step result directly. Steps run one at a time in the given order with the
+ * same skip rules: a failure only skips the steps that depend on it, unless
+ * `stopOnFailure` is set.
+ *
+ * @param {object[]} steps - Plan steps in topological order
+ * @param {Array<{ from: string, to: string }>} dependencies - Plan dependency edges
+ * @param {(step: object) => object} runStep - Executes one step
+ * @param {object} [options]
+ * @param {boolean} [options.stopOnFailure=false] - Run no more steps after any failure
+ * @returns {Awaited<ReturnType<typeof scheduleSteps>>} With `concurrency: 1`
+ * @example
+ * const { results } = scheduleStepsSync(plan.steps, plan.dependencies, (step) => runOne(step));
+ */
+export function scheduleStepsSync(steps, dependencies, runStep, options = {}) {
+  const stopOnFailure = options.stopOnFailure ?? false;
+  const startedAt = Date.now();
+  const known = new Set(steps.map((s) => s.id));
+  const parents = parentMap(steps, dependencies);
+  const done = new Map();
+  let halted = false;
+
+  for (const step of steps) {
+    const deps = parents.get(step.id);
+    const missing = deps.find((id) => !known.has(id));
+    const broken = deps.find((id) => done.has(id) && done.get(id).status !== 'success');
+
+    if (halted) {
+      done.set(step.id, skippedResult(step, 'execution halted after a failure'));
+    } else if (missing) {
+      done.set(step.id, skippedResult(step, `unknown dependency ${missing}`));
+    } else if (broken) {
+      done.set(step.id, skippedResult(step, `dependency ${broken} ${done.get(broken).status}`));
+    } else if (!deps.every((id) => done.has(id))) {
+      done.set(step.id, skippedResult(step, 'circular dependency'));
+    } else {
+      const startMs = Date.now() - startedAt;
+      let result;
+      try {
+        result = runStep(step);
+      } catch (err) {
+        result = failedResult(step, err);
+      }
+      const endMs = Date.now() - startedAt;
+      done.set(step.id, { ...result, timing: { startMs, endMs, durationMs: endMs - startMs } });
+      if (result.status !== 'success' && stopOnFailure) halted = true;
+    }
+  }
+
+  return {
+    results: steps.map((s) => done.get(s.id)),
+    criticalPath: findCriticalPath(steps, parents, done),
+    wallMs: Date.now() - startedAt,
+    concurrency: 1,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Dependency step ids per step id.
+ * @param {object[]} steps
+ * @param {Array<{ from: string, to: string }>} dependencies
+ * @returns {Map<string, string[]>}
+ */
+function parentMap(steps, dependencies) {
+  const parents = new Map(steps.map((s) => [s.id, []]));
+  for (const dep of dependencies) {
+    parents.get(dep.to)?.push(dep.from);
+  }
+  return parents;
+}
+
+/**
+ * Result of a step that was not run.
+ * @param {object} step
+ * @param {string} reason
+ * @returns {object}
+ */
+function skippedResult(step, reason) {
+  return {
+    stepId: step.id,
+    order: step.order,
+    action: step.action,
+    execution: null,
+    validation: null,
+    status: 'skipped',
+    skippedBecause: reason,
+    timing: null,
+  };
+}
+
+/**
+ * Result of a step whose runner threw.
+ * @param {object} step
+ * @param {*} err
+ * @returns {object}
+ */
+function failedResult(step, err) {
+  return {
+    stepId: step.id,
+    order: step.order,
+    action: step.action,
+    execution: null,
+    validation: null,
+    status: 'failed',
+    error: err?.message ?? String(err),
+  };
+}
+
+/**
+ * Longest chain of executed steps by duration through the dependency graph.
+ * @param {object[]} steps - Steps in topological order
+ * @param {Map<string, string[]>} parents
+ * @param {Map<string, object>} done
+ * @returns {{ steps: string[], durationMs: number }}
+ */
+function findCriticalPath(steps, parents, done) {
+  const finish = new Map();
+  const previous = new Map();
+  let tail = null;
+
+  for (const step of steps) {
+    const duration = done.get(step.id)?.timing?.durationMs;
+    if (duration === undefined) continue;
+
+    let best = 0;
+    let bestParent = null;
+    for (const id of parents.get(step.id)) {
+      const parentFinish = finish.get(id);
+      if (parentFinish !== undefined && (bestParent === null || parentFinish > best)) {
+        best = parentFinish;
+        bestParent = id;
+      }
+    }
+
+    finish.set(step.id, best + duration);
+    previous.set(step.id, bestParent);
+    if (tail === null || finish.get(step.id) > finish.get(tail)) tail = step.id;
+  }
+
+  const path = [];
+  for (let id = tail; id !== null; id = previous.get(id)) {
+    path.unshift(id);
+  }
+  return { steps: path, durationMs: tail === null ? 0 : finish.get(tail) };
+}
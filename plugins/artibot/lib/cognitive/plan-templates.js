@@ -0,0 +1,396 @@
+/**
+ * Decomposition templates for System 2 plans.
+ * A template is an ordered list of phases for one task type (bugfix:
+ * reproduce -> isolate -> fix -> regression test), optionally specialised
+ * per domain (`bugfix:security`). plan() instantiates the template that
+ * matches `task.type` / `task.domain` when the description has no explicit
+ * step list, filling placeholders from the task and its context files.
+ *
+ * Template format (also used by `.artibot/plan-templates.json`, whose
+ * entries replace built-ins of the same key):
+ *
+ *   {
+ *     "bugfix": {
+ *       "aliases": ["fix", "bug"],
+ *       "steps": [
+ *         { "id": "reproduce", "action": "Reproduce the failure: {task}", "command": "{reproduceCommand}" },
+ *         { "id": "fix", "action": "Fix the root cause in {file}", "each": "file" },
+ *         { "id": "test", "action": "Add a regression test", "command": "{testCommand}", "after": ["fix"] }
+ *       ]
+ *     }
+ *   }
+ *
+ *   - `action`: step text. Placeholders: {task} (description), {files}
+ *     (context files, or "the affected code"), {file} (in `each` steps) and
+ *     any scalar `task.context` value such as {testCommand}.
+ *   - `command`: shell command for the step, emitted as `step.command` only
+ *     when every placeholder in it resolves; `action` stays the step text.
+ *     A context value that is the whole command ({testCommand}) is inserted
+ *     as is; values inside a longer command (`eslint {file}`) are shell-quoted,
+ *     one word per file for {files}.
+ *   - `each: "file"`: one step per context file, running side by side.
+ *   - `after`: ids of the phases this one waits for (default: the previous phase).
+ *
+ * @module lib/cognitive/plan-templates
+ */
+
+import path from 'node:path';
+import { readFileSync } from 'node:fs';
+import { estimateStepComplexity } from './system2-strategies.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Project-level template file, relative to the project root */
+export const PROJECT_TEMPLATES_PATH = path.join('.artibot', 'plan-templates.json');
+
+/** Built-in templates keyed by task type, or `type:domain` */
+export const BUILTIN_TEMPLATES = deepFreeze({
+  bugfix: {
+    aliases: ['fix', 'bug', 'hotfix'],
+    steps: [
+      { id: 'reproduce', action: 'Reproduce the failure: {task}', command: '{reproduceCommand}' },
+      { id: 'isolate', action: 'Isolate the root cause in {files}' },
+      { id: 'fix', action: 'Fix the root cause in {file}', each: 'file' },
+      { id: 'regression-test', action: 'Add a regression test and run the test suite', command: '{testCommand}' },
+    ],
+  },
+  'bugfix:security': {
+    steps: [
+      { id: 'reproduce', action: 'Reproduce the vulnerability: {task}', command: '{reproduceCommand}' },
+      { id: 'assess', action: 'Assess the impact and exposure of the vulnerability' },
+      { id: 'fix', action: 'Fix the vulnerability in {file}', each: 'file' },
+      { id: 'regression-test', action: 'Add a security regression test and run the test suite', command: '{testCommand}' },
+      { id: 'audit', action: 'Audit similar code paths for the same flaw', after: ['assess'] },
+    ],
+  },
+  migration: {
+    aliases: ['migrate'],
+    steps: [
+      { id: 'backup', action: 'Back up the data and configuration affected by: {task}', command: '{backupCommand}' },
+      { id: 'dry-run', action: 'Dry-run the migration of {files}', command: '{dryRunCommand}' },
+      { id: 'migrate', action: 'Migrate {file}', each: 'file', command: '{migrateCommand}' },
+      { id: 'verify', action: 'Verify the migrated data and run the test suite', command: '{testCommand}' },
+      { id: 'rollback-plan', action: 'Document and rehearse the rollback plan' },
+    ],
+  },
+  refactor: {
+    steps: [
+      { id: 'analyze', action: 'Analyze the structure and callers of {files}' },
+      { id: 'cover', action: 'Make sure tests cover the current behavior of {files}', command: '{testCommand}' },
+      { id: 'refactor', action: 'Refactor {file} without changing behavior', each: 'file' },
+      { id: 'verify', action: 'Run the test suite to verify behavior is unchanged', command: '{testCommand}' },
+    ],
+  },
+  feature: {
+    aliases: ['feat'],
+    steps: [
+      { id: 'design', action: 'Design the change: {task}' },
+      { id: 'implement', action: 'Implement the change in {file}', each: 'file' },
+      { id: 'test', action: 'Write tests for the new behavior and run the test suite', command: '{testCommand}' },
+      { id: 'document', action: 'Update documentation for the change' },
+    ],
+  },
+  'feature:frontend': {
+    steps: [
+      { id: 'design', action: 'Design the UI change: {task}' },
+      { id: 'implement', action: 'Implement the component change in {file}', each: 'file' },
+      { id: 'accessibility', action: 'Check accessibility and responsive layout' },
+      { id: 'test', action: 'Write component tests and run the test suite', command: '{testCommand}', after: ['implement'] },
+      { id: 'document', action: 'Update documentation for the change', after: ['accessibility', 'test'] },
+    ],
+  },
+});
+
+const PLACEHOLDER_RE = /\{(\w+)\}/g;
+
+/** A command that is nothing but one placeholder */
+const WHOLE_PLACEHOLDER_RE = /^\s*\{(\w+)\}\s*$/;
+
+/** Values that need no shell quoting */
+const SHELL_SAFE_RE = /^[\w@%+=:,./-]+$/;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} TemplateStep
+ * @property {string} id - Phase id, unique in the template
+ * @property {string} action - Step text with placeholders
+ * @property {string} [command] - Command with placeholders
+ * @property {'file'} [each] - Expand once per context file
+ * @property {string[]} [after] - Phase ids this phase waits for
+ */
+
+/**
+ * @typedef {object} PlanTemplate
+ * @property {string[]} [aliases] - Other task types using this template
+ * @property {TemplateStep[]} steps
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate a template definition.
+ *
+ * @param {string} name - Template key
+ * @param {unknown} template
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateTemplate(name, template) {
+  const errors = [];
+  const at = (message) => errors.push(`template "${name}": ${message}`);
+
+  if (template === null || typeof template !== 'object' || Array.isArray(template)) {
+    at('must be an object');
+    return { valid: false, errors };
+  }
+  if (template.aliases !== undefined && !isStringArray(template.aliases)) at('aliases must be an array of strings');
+  if (!Array.isArray(template.steps) || template.steps.length === 0) {
+    at('steps must be a non-empty array');
+    return { valid: false, errors };
+  }
+
+  const seen = new Set();
+  template.steps.forEach((step, i) => {
+    const label = `step ${i + 1}`;
+    if (step === null || typeof step !== 'object') {
+      at(`${label} must be an object`);
+      return;
+    }
+    if (typeof step.id !== 'string' || step.id === '') at(`${label} needs an id`);
+    else if (seen.has(step.id)) at(`${label} repeats id "${step.id}"`);
+    if (typeof step.action !== 'string' || step.action.trim() === '') at(`${label} needs an action`);
+    if (step.command !== undefined && typeof step.command !== 'string') at(`${label} command must be a string`);
+    if (step.each !== undefined && step.each !== 'file') at(`${label} each must be "file"`);
+    if (step.after !== undefined) {
+      if (!isStringArray(step.after)) at(`${label} after must be an array of step ids`);
+      else for (const dep of step.after.filter((d) => !seen.has(d))) at(`${label} waits for unknown or later step "${dep}"`);
+    }
+    seen.add(step.id);
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Built-in templates merged with the project's `.artibot/plan-templates.json`.
+ * Invalid project templates are skipped and reported.
+ *
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Project root (default: process.cwd())
+ * @param {string|false} [options.projectPath] - Template file relative to cwd; false disables
+ * @returns {{ templates: Record<string, PlanTemplate>, errors: string[] }}
+ */
+export function loadTemplates(options = {}) {
+  const templates = { ...BUILTIN_TEMPLATES };
+  const errors = [];
+  if (options.projectPath === false) return { templates, errors };
+
+  const file = path.resolve(options.cwd ?? process.cwd(), options.projectPath ?? PROJECT_TEMPLATES_PATH);
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') errors.push(`${file}: ${err.message}`);
+    return { templates, errors };
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(`${file}: expected an object of templates`);
+    return { templates, errors };
+  }
+
+  for (const [name, template] of Object.entries(data)) {
+    const result = validateTemplate(name, template);
+    if (result.valid) templates[name] = template;
+    errors.push(...result.errors);
+  }
+  return { templates, errors };
+}
+
+/**
+ * Template for a task: `task.template` when set, otherwise the most specific
+ * of `type:domain` and `type` (aliases included).
+ *
+ * @param {Record<string, PlanTemplate>} templates
+ * @param {{ type?: string, domain?: string, template?: string }} task
+ * @returns {{ name: string, template: PlanTemplate }|null}
+ * @example
+ * findTemplate(BUILTIN_TEMPLATES, { type: 'fix', domain: 'security' }).name; // 'bugfix:security'
+ */
+export function findTemplate(templates, task) {
+  if (task.template) {
+    return templates[task.template] ? { name: task.template, template: templates[task.template] } : null;
+  }
+  if (!task.type) return null;
+
+  const type = Object.hasOwn(templates, task.type)
+    ? task.type
+    : Object.keys(templates).find((key) => templates[key].aliases?.includes(task.type));
+  if (!type) return null;
+
+  const specific = task.domain ? `${type}:${task.domain}` : null;
+  const name = specific && Object.hasOwn(templates, specific) ? specific : type;
+  return { name, template: templates[name] };
+}
+
+/**
+ * Turn a template into plan steps for a task.
+ * `each: "file"` phases expand into one step per `task.context.files` entry
+ * unless that would exceed `maxSteps`, in which case they stay one step
+ * covering all files.
+ *
+ * @param {PlanTemplate} template
+ * @param {{ description: string, context?: object }} task
+ * @param {object} [options]
+ * @param {number} [options.maxSteps=10]
+ * @returns {Array<{
+ *   id: string, order: number, action: string, description: string, phase: string,
+ *   dependencies: string[], estimatedComplexity: string, status: 'pending', command?: string, file?: string
+ * }>}
+ * @example
+ * const steps = instantiateTemplate(BUILTIN_TEMPLATES.bugfix, {
+ *   description: 'login fails', context: { files: ['src/auth.js'], testCommand: 'npm test' },
+ * });
+ * steps.map((s) => s.action); // [..., 'Fix the root cause in src/auth.js', 'Add a regression test and run the test suite']
+ * steps.at(-1).command; // 'npm test'
+ */
+export function instantiateTemplate(template, task, options = {}) {
+  const maxSteps = options.maxSteps ?? 10;
+  const context = task.context ?? {};
+  const files = Array.isArray(context.files) ? context.files.filter((f) => typeof f === 'string') : [];
+  const contextVars = scalarEntries(context);
+  const vars = {
+    ...contextVars,
+    task: task.description,
+    files: files.length > 0 ? files.join(', ') : 'the affected code',
+  };
+
+  const eachCount = template.steps.filter((s) => s.each === 'file').length;
+  const expand = files.length > 1 && template.steps.length + eachCount * (files.length - 1) <= maxSteps;
+
+  const steps = [];
+  const idsByPhase = {};
+  template.steps.forEach((phase, index) => {
+    const after = phase.after ?? (index > 0 ? [template.steps[index - 1].id] : []);
+    const dependencies = after.flatMap((id) => idsByPhase[id] ?? []);
+    const single = files.length === 1 ? files[0] : null;
+    const targets = phase.each !== 'file' ? [null] : expand ? files : [single];
+
+    idsByPhase[phase.id] = [];
+    for (const file of targets) {
+      if (steps.length >= maxSteps) return;
+      const stepVars = { ...vars, file: file ?? vars.files };
+      const text = fill(phase.action, stepVars).text;
+      const command = phase.command
+        ? fillCommand(phase.command, contextVars, { ...vars, files, file: file ? [file] : files })
+        : null;
+      const order = steps.length + 1;
+      const step = {
+        id: `step-${order}`,
+        order,
+        action: text,
+        description: text,
+        phase: phase.id,
+        dependencies,
+        estimatedComplexity: estimateStepComplexity(text),
+        status: 'pending',
+      };
+      if (command?.complete) step.command = command.text;
+      if (file) step.file = file;
+      steps.push(step);
+      idsByPhase[phase.id].push(step.id);
+    }
+  });
+
+  return steps;
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Replace `{name}` placeholders; unknown ones are left as they are.
+ * @param {string} text
+ * @param {Record<string, string>} vars
+ * @param {(value: string) => string} [format] - Applied to each substituted value
+ * @returns {{ text: string, complete: boolean }} `complete` is false when a placeholder had no value
+ */
+function fill(text, vars, format = (value) => value) {
+  let complete = true;
+  const result = text.replace(PLACEHOLDER_RE, (match, key) => {
+    if (vars[key] === undefined || vars[key] === '') {
+      complete = false;
+      return match;
+    }
+    return format(vars[key]);
+  });
+  return { text: result, complete };
+}
+
+/**
+ * Fill a command template. A lone context placeholder is a complete command
+ * and is used verbatim; otherwise every value is shell-quoted and file lists
+ * become one word per file (no files leaves the command incomplete).
+ * @param {string} command
+ * @param {Record<string, string>} contextVars - Scalar `task.context` values
+ * @param {Record<string, string|string[]>} vars - Step values; `files` and `file` as path lists
+ * @returns {{ text: string, complete: boolean }}
+ */
+function fillCommand(command, contextVars, vars) {
+  const whole = WHOLE_PLACEHOLDER_RE.exec(command)?.[1];
+  if (whole && Object.hasOwn(contextVars, whole)) return fill(command.trim(), contextVars);
+
+  const quoted = Object.fromEntries(
+    Object.entries(vars).map(([key, value]) => [key, [value].flat().filter((v) => v !== '').map(shellQuote).join(' ')]),
+  );
+  return fill(command, quoted);
+}
+
+/**
+ * Quote a value as one shell word (cmd.exe on Windows, POSIX sh elsewhere).
+ * @param {string} value
+ * @returns {string}
+ */
+function shellQuote(value) {
+  if (SHELL_SAFE_RE.test(value)) return value;
+  if (process.platform === 'win32') return `"${value.replace(/"/g, '""')}"`;
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * @param {object} context
+ * @returns {Record<string, string>} String, number and boolean context values
+ */
+function scalarEntries(context) {
+  return Object.fromEntries(
+    Object.entries(context)
+      .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+      .map(([key, value]) => [key, String(value)]),
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === 'string');
+}
+
+/**
+ * @template T
+ * @param {T} value
+ * @returns {Readonly<T>}
+ */
+function deepFreeze(value) {
+  for (const child of Object.values(value)) {
+    if (child && typeof child === 'object') deepFreeze(child);
+  }
+  return Object.freeze(value);
+}
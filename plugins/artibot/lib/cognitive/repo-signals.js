@@ -0,0 +1,320 @@
+/**
+ * Repository-aware complexity signals for the cognitive router.
+ *
+ * Looks at the working tree around a prompt: files the prompt references
+ * that actually exist, the size of the uncommitted diff, whether touched
+ * paths are churn hot spots in recent git history, and whether migrations
+ * or infrastructure files are involved. The router turns these into
+ * additional weighted factors (see scoreRepoSignals()).
+ *
+ * All git calls are synchronous, bounded by a per-command timeout and a
+ * total time budget so the UserPromptSubmit hook stays fast; commands that
+ * no longer fit the budget are skipped and any failure degrades to "no
+ * signal" rather than throwing. Short prompts (see shouldCollectRepoSignals())
+ * are not worth the git round trips at all.
+ *
+ * @module lib/cognitive/repo-signals
+ */
+
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { statSync } from 'node:fs';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Default timeout per git command (ms) */
+const DEFAULT_GIT_TIMEOUT_MS = 800;
+
+/** Default total time budget across all git commands (ms) */
+const DEFAULT_GIT_BUDGET_MS = 1000;
+
+/** Prompts shorter than this (trimmed characters) skip collection by default */
+export const DEFAULT_MIN_PROMPT_LENGTH = 20;
+
+/** Default look-back window for hot spot detection (days) */
+const DEFAULT_HOTSPOT_DAYS = 90;
+
+/** Commits touching a path within the window before it counts as a hot spot */
+const HOTSPOT_MIN_COMMITS = 5;
+
+/** Maximum commits scanned for hot spot detection */
+const HOTSPOT_MAX_COMMITS = 300;
+
+/** Maximum paths reported per list (keeps hook output small) */
+const MAX_REPORTED_PATHS = 20;
+
+/** Change size at which the scope factor saturates */
+const SCOPE_SATURATION_FILES = 40;
+const SCOPE_SATURATION_LINES = 1000;
+
+/**
+ * Paths whose modification is inherently risky.
+ * @type {[RegExp, string][]}
+ */
+const SENSITIVE_PATTERNS = [
+  [/(?:^|\/)migrations?\//i, 'migration'],
+  [/(?:^|\/)db\/(?:migrate|schema)/i, 'migration'],
+  [/\.sql$/i, 'migration'],
+  [/(?:^|\/)schema\.prisma$/i, 'migration'],
+  [/(?:^|\/)Dockerfile[^/]*$/i, 'infra'],
+  [/(?:^|\/)docker-compose[^/]*\.ya?ml$/i, 'infra'],
+  [/\.tf(?:vars)?$/i, 'infra'],
+  [/(?:^|\/)(?:k8s|kubernetes|helm|charts|terraform|infra|deploy)\//i, 'infra'],
+  [/(?:^|\/)\.github\/workflows\//i, 'ci'],
+  [/(?:^|\/)(?:\.gitlab-ci\.yml|Jenkinsfile|cloudbuild\.ya?ml)$/i, 'ci'],
+];
+
+/** Tokens in a prompt that look like file paths */
+const PATH_TOKEN_PATTERN = /(?:[\w@.-]+\/)*[\w@-][\w@.-]*\.[A-Za-z0-9]{1,10}|(?:[\w@.-]+\/)+[\w@.-]+/g;
+
+// ---------------------------------------------------------------------------
+// Collection
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} RepoSignals
+ * @property {boolean} available - Whether `cwd` is inside a git work tree
+ * @property {string[]} referencedFiles - Prompt-referenced paths that exist (root-relative)
+ * @property {number} changedFiles - Tracked files with uncommitted changes
+ * @property {number} untrackedFiles - New files not yet tracked
+ * @property {number} linesChanged - Added + deleted lines in the uncommitted diff
+ * @property {number} touchedPaths - Distinct paths referenced or changed
+ * @property {{ path: string, commits: number }[]} hotspots - Touched paths with heavy recent churn
+ * @property {{ path: string, kind: string }[]} sensitive - Touched migration / infra / CI paths
+ * @property {number} durationMs - Time spent collecting
+ */
+
+/**
+ * Collect repository signals for a prompt.
+ *
+ * @param {string} prompt - Raw user prompt
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory (default: process.cwd())
+ * @param {number} [options.timeoutMs=800] - Timeout per git command
+ * @param {number} [options.budgetMs=1000] - Total time allowed across git commands
+ * @param {number} [options.hotspotDays=90] - History window for hot spots
+ * @returns {RepoSignals}
+ * @example
+ * const repo = collectRepoSignals('fix this', { cwd: '/work/app' });
+ * route('fix this', { repo });
+ */
+export function collectRepoSignals(prompt, options = {}) {
+  const start = Date.now();
+  const cwd = options.cwd ?? process.cwd();
+  const hotspotDays = options.hotspotDays ?? DEFAULT_HOTSPOT_DAYS;
+  const deadline = start + (options.budgetMs ?? DEFAULT_GIT_BUDGET_MS);
+  const perCommandMs = options.timeoutMs ?? DEFAULT_GIT_TIMEOUT_MS;
+  const git = (args, dir) => runGit(args, dir, Math.min(perCommandMs, deadline - Date.now()));
+
+  const root = git(['rev-parse', '--show-toplevel'], cwd)?.trim() || null;
+  const base = root ?? cwd;
+  const referencedFiles = findReferencedFiles(prompt, cwd, base);
+
+  if (!root) {
+    return {
+      ...emptySignals(),
+      referencedFiles: referencedFiles.slice(0, MAX_REPORTED_PATHS),
+      touchedPaths: referencedFiles.length,
+      sensitive: classifySensitive(referencedFiles),
+      durationMs: Date.now() - start,
+    };
+  }
+
+  const diff = parseNumstat(git(['diff', '--numstat', 'HEAD'], root));
+  const untracked = (git(['ls-files', '--others', '--exclude-standard'], root) ?? '')
+    .split('\n')
+    .filter(Boolean);
+
+  const touched = [...new Set([...referencedFiles, ...diff.paths, ...untracked])];
+  const churn = parseChurn(git(
+    ['log', `--since=${hotspotDays}.days`, `--max-count=${HOTSPOT_MAX_COMMITS}`, '--name-only', '--format='],
+    root,
+  ));
+
+  const hotspots = touched
+    .map((p) => ({ path: p, commits: churn.get(p) ?? 0 }))
+    .filter((h) => h.commits >= HOTSPOT_MIN_COMMITS)
+    .sort((a, b) => b.commits - a.commits);
+
+  return {
+    available: true,
+    referencedFiles: referencedFiles.slice(0, MAX_REPORTED_PATHS),
+    changedFiles: diff.paths.length,
+    untrackedFiles: untracked.length,
+    linesChanged: diff.lines,
+    touchedPaths: touched.length,
+    hotspots: hotspots.slice(0, MAX_REPORTED_PATHS),
+    sensitive: classifySensitive(touched).slice(0, MAX_REPORTED_PATHS),
+    durationMs: Date.now() - start,
+  };
+}
+
+/**
+ * Whether a prompt warrants repository signal collection under the
+ * `cognitive.router.repoSignals` settings: collection must be enabled and
+ * the trimmed prompt at least `minPromptLength` characters long.
+ *
+ * @param {string} prompt - Raw user prompt
+ * @param {{ enabled?: boolean, minPromptLength?: number }} [settings]
+ * @returns {boolean}
+ * @example
+ * shouldCollectRepoSignals('ok', { enabled: true }); // false
+ */
+export function shouldCollectRepoSignals(prompt, settings = {}) {
+  if (!settings.enabled) return false;
+  const minLength = settings.minPromptLength ?? DEFAULT_MIN_PROMPT_LENGTH;
+  return String(prompt ?? '').trim().length >= minLength;
+}
+
+// ---------------------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert repository signals into router factor values (0.0 - 1.0).
+ *
+ *   - repoScope:     size of the change set (files or lines, log-scaled)
+ *   - repoHotspots:  share of touched paths that are churn hot spots
+ *   - repoSensitive: migrations / infra / CI paths involved
+ *
+ * @param {Partial<RepoSignals>} signals
+ * @returns {{ repoScope: number, repoHotspots: number, repoSensitive: number }}
+ * @example
+ * scoreRepoSignals({ changedFiles: 40, linesChanged: 2000 }).repoScope; // 1
+ */
+export function scoreRepoSignals(signals = {}) {
+  const referenced = signals.referencedFiles?.length ?? 0;
+  const files = Math.max(referenced, (signals.changedFiles ?? 0) + (signals.untrackedFiles ?? 0));
+  const lines = signals.linesChanged ?? 0;
+
+  const fileScore = files > 0
+    ? Math.min(1, Math.log2(1 + files) / Math.log2(1 + SCOPE_SATURATION_FILES))
+    : 0;
+  const lineScore = lines > 0
+    ? Math.min(1, Math.log10(1 + lines) / Math.log10(1 + SCOPE_SATURATION_LINES))
+    : 0;
+  const repoScope = Math.max(fileScore, lineScore);
+
+  const touched = signals.touchedPaths ?? 0;
+  const hot = signals.hotspots?.length ?? 0;
+  const repoHotspots = touched > 0 ? Math.min(1, hot / touched) : 0;
+
+  const repoSensitive = Math.min(1, (signals.sensitive?.length ?? 0) * 0.5);
+
+  return { repoScope, repoHotspots, repoSensitive };
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+function emptySignals() {
+  return {
+    available: false,
+    referencedFiles: [],
+    changedFiles: 0,
+    untrackedFiles: 0,
+    linesChanged: 0,
+    touchedPaths: 0,
+    hotspots: [],
+    sensitive: [],
+    durationMs: 0,
+  };
+}
+
+/**
+ * Run a git command, returning stdout or null on any failure / timeout.
+ * A non-positive timeout (budget exhausted) skips the command.
+ * @param {string[]} args
+ * @param {string} cwd
+ * @param {number} timeoutMs
+ * @returns {string|null}
+ */
+function runGit(args, cwd, timeoutMs) {
+  if (!(timeoutMs > 0)) return null;
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      timeout: timeoutMs,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 4 * 1024 * 1024,
+      windowsHide: true,
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract path-like tokens from the prompt that exist as files.
+ * @param {string} prompt
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @param {string} base - Directory results are reported relative to
+ * @returns {string[]} Forward-slash paths relative to `base`
+ */
+function findReferencedFiles(prompt, cwd, base) {
+  const tokens = String(prompt ?? '').match(PATH_TOKEN_PATTERN) ?? [];
+  const found = new Set();
+
+  for (const token of tokens) {
+    const abs = path.resolve(cwd, token);
+    try {
+      if (!statSync(abs).isFile()) continue;
+    } catch {
+      continue;
+    }
+    const rel = path.relative(base, abs).replace(/\\/g, '/');
+    if (!rel.startsWith('..')) found.add(rel);
+  }
+
+  return [...found];
+}
+
+/**
+ * Parse `git diff --numstat` output.
+ * Binary files report "-" for line counts and contribute no lines.
+ * @param {string|null} output
+ * @returns {{ paths: string[], lines: number }}
+ */
+function parseNumstat(output) {
+  const paths = [];
+  let lines = 0;
+  for (const line of (output ?? '').split('\n')) {
+    const [added, deleted, ...rest] = line.split('\t');
+    if (rest.length === 0) continue;
+    paths.push(rest.join('\t'));
+    lines += (Number(added) || 0) + (Number(deleted) || 0);
+  }
+  return { paths, lines };
+}
+
+/**
+ * Count commits per path from `git log --name-only --format=` output.
+ * @param {string|null} output
+ * @returns {Map<string, number>}
+ */
+function parseChurn(output) {
+  const churn = new Map();
+  for (const line of (output ?? '').split('\n')) {
+    const p = line.trim();
+    if (p) churn.set(p, (churn.get(p) ?? 0) + 1);
+  }
+  return churn;
+}
+
+/**
+ * Tag migration / infra / CI paths.
+ * @param {string[]} paths
+ * @returns {{ path: string, kind: string }[]}
+ */
+function classifySensitive(paths) {
+  const result = [];
+  for (const p of paths) {
+    const match = SENSITIVE_PATTERNS.find(([pattern]) => pattern.test(p));
+    if (match) result.push({ path: p, kind: match[1] });
+  }
+  return result;
+}
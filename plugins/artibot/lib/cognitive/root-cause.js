@@ -0,0 +1,355 @@
+/**
+ * Root-cause classification for failed System 2 steps.
+ * Maps a failed step's output (stderr, stdout, validation issues, exit
+ * code) onto a fixed taxonomy using known compiler, package manager and
+ * test runner messages, then cross-references the memory-manager error
+ * patterns for fixes that worked before. reflect() uses the diagnosis to
+ * pick corrections; suggestCorrection() uses the cause's hint.
+ *
+ * Taxonomy: missing_dependency, missing_path, type_error, syntax_error,
+ * flaky_test, test_failure, permission, network, config, timeout, unknown.
+ *
+ * @module lib/cognitive/root-cause
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Root causes in priority order (ties go to the earlier cause).
+ * Each pattern adds `weight` to its cause; `action` is a concrete
+ * corrective action where `{1}` is the first capture group.
+ */
+export const ROOT_CAUSES = Object.freeze({
+  missing_dependency: {
+    label: 'Missing dependency',
+    hint: 'install missing dependencies first',
+    retryable: false,
+    exitCodes: [127],
+    patterns: [
+      { re: /Cannot find (?:module|package) '([^./'][^']*)'/, weight: 3, action: 'Install the missing package: npm install {1}' },
+      { re: /ERR_MODULE_NOT_FOUND/, weight: 2 },
+      { re: /ModuleNotFoundError: No module named '([^']+)'/, weight: 3, action: 'Install the missing module: pip install {1}' },
+      { re: /(?:^|\s)([\w.-]+): (?:command )?not found/m, weight: 3, action: 'Install {1} or add it to PATH' },
+      { re: /npm ERR! (?:missing|peer dep missing)|ERESOLVE|Could not resolve dependency/, weight: 3, action: 'Reinstall dependencies: npm install' },
+      { re: /unresolved import|cannot find (?:crate|package)|no required module provides package/i, weight: 2 },
+    ],
+    actions: ['Install the project dependencies (npm ci / pip install -r requirements.txt) and re-run'],
+  },
+  missing_path: {
+    label: 'Missing file or path',
+    hint: 'verify paths and dependencies exist',
+    retryable: false,
+    exitCodes: [],
+    patterns: [
+      { re: /Cannot find module '(\.{0,2}\/[^']+)'/, weight: 3, action: 'Fix the import path {1}' },
+      { re: /ENOENT[^'\n]*'([^']+)'/, weight: 3, action: 'Create {1} or correct the path' },
+      { re: /No such file or directory/i, weight: 2 },
+      { re: /\bnot found\b/i, weight: 1 },
+    ],
+    actions: ['Check that the referenced paths exist relative to the working directory'],
+  },
+  type_error: {
+    label: 'Type error',
+    hint: 'fix type errors before re-running',
+    retryable: false,
+    exitCodes: [],
+    patterns: [
+      { re: /error TS\d+:/, weight: 3, action: 'Run tsc --noEmit and fix the reported type errors' },
+      { re: /is not assignable to (?:type|parameter)|Property '[^']+' does not exist on type/, weight: 3 },
+      { re: /TypeError: (.+)/, weight: 2, action: 'Guard the value that caused: {1}' },
+      { re: /error\[E0308\]|mismatched types|Incompatible types in assignment/, weight: 3 },
+    ],
+    actions: ['Fix the reported type errors and re-run the type checker'],
+  },
+  syntax_error: {
+    label: 'Syntax error',
+    hint: 'fix syntax before re-running',
+    retryable: false,
+    exitCodes: [],
+    patterns: [
+      { re: /SyntaxError: (.+)/, weight: 3, action: 'Fix the syntax error: {1}' },
+      { re: /Parsing error: (.+)/, weight: 3, action: 'Fix the parsing error: {1}' },
+      { re: /Unexpected token|unexpected EOF|\bsyntax\b/i, weight: 1 },
+    ],
+    actions: ['Fix the syntax error at the reported location and lint the file'],
+  },
+  flaky_test: {
+    label: 'Flaky test',
+    hint: 'retry the test in isolation',
+    retryable: true,
+    exitCodes: [],
+    patterns: [
+      { re: /(?:Exceeded timeout of|Test timed out in|Timeout of) \d+ ?ms/i, weight: 4, action: 'Re-run the test alone and raise its timeout if it passes' },
+      { re: /\bflaky\b|intermittent|passed on retry/i, weight: 4 },
+      { re: /EADDRINUSE|Jest did not exit|open handles? potentially keeping/i, weight: 3, action: 'Close leaked handles or use a random port, then re-run the test' },
+    ],
+    actions: ['Re-run the failing test on its own to confirm it is non-deterministic'],
+  },
+  test_failure: {
+    label: 'Test failure',
+    hint: 'fix the failing assertion before re-running',
+    retryable: false,
+    exitCodes: [],
+    patterns: [
+      { re: /AssertionError|expected .+ to (?:equal|be|deep)|Expected: .+/, weight: 2 },
+      { re: /Tests?:\s+\d+ failed|\d+ (?:failing|failed)\b|FAIL\s+\S+\.(?:test|spec)\./, weight: 2, action: 'Run the failing test file alone and fix the assertion' },
+    ],
+    actions: ['Inspect the first failing assertion and fix the code under test'],
+  },
+  permission: {
+    label: 'Permission denied',
+    hint: 'check permissions first',
+    retryable: false,
+    exitCodes: [126],
+    patterns: [
+      { re: /EACCES[^'\n]*'([^']+)'/, weight: 3, action: 'Fix ownership or permissions of {1}' },
+      { re: /EACCES|EPERM|permission denied|operation not permitted/i, weight: 2 },
+    ],
+    actions: ['Check file ownership and permissions; avoid sudo for package installs'],
+  },
+  network: {
+    label: 'Network failure',
+    hint: 'retry once the network is reachable',
+    retryable: true,
+    exitCodes: [],
+    patterns: [
+      { re: /(?:ENOTFOUND|EAI_AGAIN) ([\w.-]+)/, weight: 3, action: 'Check DNS and connectivity for {1}' },
+      { re: /ECONNREFUSED|ECONNRESET|ETIMEDOUT|socket hang up|network is unreachable|Could not resolve host/i, weight: 3 },
+      { re: /\b(?:502|503|504) (?:Bad Gateway|Service Unavailable|Gateway Time-?out)/i, weight: 2 },
+    ],
+    actions: ['Check network access and proxy settings, then retry'],
+  },
+  config: {
+    label: 'Configuration error',
+    hint: 'fix the configuration first',
+    retryable: false,
+    exitCodes: [],
+    patterns: [
+      { re: /(?:missing|undefined) (?:required )?environment variable:? ?(\w+)?/i, weight: 3, action: 'Set the environment variable {1}' },
+      { re: /couldn't find (?:a |the )?config(?:uration)?|config(?:uration)? file not found|No config(?:uration)? found/i, weight: 3, action: 'Add or point to the missing configuration file' },
+      { re: /invalid (?:configuration|config|option)|unknown (?:option|config)|Unrecognized option/i, weight: 2 },
+    ],
+    actions: ['Validate the tool configuration and required environment variables'],
+  },
+  timeout: {
+    label: 'Timeout',
+    hint: 'with extended timeout',
+    retryable: true,
+    exitCodes: [124],
+    patterns: [
+      { re: /timed? ?out|timeout/i, weight: 2 },
+    ],
+    actions: ['Re-run with a longer timeout or split the step into smaller steps'],
+  },
+  unknown: {
+    label: 'Unknown',
+    hint: 'retry with adjusted approach',
+    retryable: true,
+    exitCodes: [],
+    patterns: [],
+    actions: [],
+  },
+});
+
+const EXIT_CODE_WEIGHT = 2;
+const MAX_EVIDENCE_LENGTH = 200;
+const KNOWN_FIX_THRESHOLD = 0.3;
+const MAX_KNOWN_FIXES = 3;
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Classify a failed step into a root cause.
+ *
+ * @param {object} failure - A step result ({ execution, validation }) or { reason }
+ * @returns {{
+ *   cause: string,
+ *   label: string,
+ *   confidence: number,
+ *   evidence: string | null,
+ *   actions: string[]
+ * }}
+ * @example
+ * classifyFailure({ execution: { exitCode: 1, stderr: "Error: Cannot find module 'zod'" } });
+ * // { cause: 'missing_dependency', confidence: 0.75, evidence: "Error: Cannot find module 'zod'",
+ * //   actions: ['Install the missing package: npm install zod', ...] }
+ */
+export function classifyFailure(failure) {
+  const text = failureText(failure);
+  const exitCode = failure?.execution?.exitCode;
+  const scores = [];
+
+  for (const [cause, def] of Object.entries(ROOT_CAUSES)) {
+    let score = def.exitCodes.includes(exitCode) ? EXIT_CODE_WEIGHT : 0;
+    const matches = [];
+    for (const pattern of def.patterns) {
+      const match = pattern.re.exec(text);
+      if (match) {
+        score += pattern.weight;
+        matches.push({ pattern, match });
+      }
+    }
+    if (score > 0) scores.push({ cause, score, matches });
+  }
+
+  scores.sort((a, b) => b.score - a.score);
+  const [top, second] = scores;
+  if (!top) {
+    return { cause: 'unknown', label: ROOT_CAUSES.unknown.label, confidence: 0, evidence: null, actions: [] };
+  }
+
+  const def = ROOT_CAUSES[top.cause];
+  const concrete = top.matches
+    .filter((m) => m.pattern.action)
+    .map((m) => fillAction(m.pattern.action, m.match));
+  return {
+    cause: top.cause,
+    label: def.label,
+    confidence: round2(top.score / (top.score + (second?.score ?? 0) + 1)),
+    evidence: top.matches.length > 0 ? evidenceLine(text, top.matches[0].match) : `exit code ${exitCode}`,
+    actions: [...new Set([...concrete, ...def.actions])],
+  };
+}
+
+/**
+ * Find previously recorded fixes for a failure in memory-manager error
+ * patterns. Only entries with a `resolution` count; they are scored by
+ * word overlap with the failure output, plus a bonus when the recorded
+ * message classifies to the same root cause.
+ *
+ * @param {object} failure - A step result or { reason }
+ * @param {object[]} errorPatterns - Entries from loadErrorPatterns()
+ * @param {{ cause?: string }} [classification] - Result of classifyFailure(), computed when omitted
+ * @returns {Array<{ id: string, message: string, resolution: string, score: number }>}
+ */
+export function findKnownFixes(failure, errorPatterns, classification = classifyFailure(failure)) {
+  const words = tokenize(failureText(failure));
+  if (!Array.isArray(errorPatterns) || words.size === 0) return [];
+
+  return errorPatterns
+    .filter((entry) => entry?.data?.resolution && entry.data.message)
+    .map((entry) => {
+      const sameCause = classification.cause !== 'unknown'
+        && classifyFailure({ reason: entry.data.message }).cause === classification.cause;
+      const score = overlap(words, tokenize(entry.data.message)) + (sameCause ? KNOWN_FIX_THRESHOLD : 0);
+      return { id: entry.id, message: entry.data.message, resolution: entry.data.resolution, score: round2(score) };
+    })
+    .filter((fix) => fix.score >= KNOWN_FIX_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_KNOWN_FIXES);
+}
+
+/**
+ * Classify a failure and attach known fixes. Known fixes come first in
+ * `actions` since they have worked on this machine before.
+ *
+ * @param {object} failure - A step result or { reason }
+ * @param {object} [options]
+ * @param {object[]} [options.errorPatterns] - Entries from loadErrorPatterns()
+ * @returns {{
+ *   cause: string,
+ *   label: string,
+ *   confidence: number,
+ *   evidence: string | null,
+ *   retryable: boolean,
+ *   actions: string[],
+ *   knownFixes: Array<{ id: string, message: string, resolution: string, score: number }>
+ * }}
+ */
+export function diagnoseFailure(failure, options = {}) {
+  const classification = classifyFailure(failure);
+  const knownFixes = findKnownFixes(failure, options.errorPatterns, classification);
+  return {
+    ...classification,
+    retryable: ROOT_CAUSES[classification.cause].retryable,
+    actions: [...new Set([...knownFixes.map((f) => f.resolution), ...classification.actions])],
+    knownFixes,
+  };
+}
+
+/**
+ * Load the non-expired error patterns recorded by memory-manager.
+ * Returns an empty list when the store cannot be read.
+ * @returns {Promise<object[]>}
+ */
+export async function loadErrorPatterns() {
+  try {
+    const { loadMemories } = await import('../learning/memory-manager.js');
+    return await loadMemories('error');
+  } catch {
+    return [];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Text searched for known messages: stderr, stdout, validation issues and reason.
+ * @param {object} failure
+ * @returns {string}
+ */
+function failureText(failure) {
+  return [
+    failure?.execution?.stderr,
+    failure?.execution?.stdout,
+    ...(failure?.validation?.issues || []),
+    failure?.reason,
+  ].filter((part) => typeof part === 'string' && part.length > 0).join('\n');
+}
+
+/**
+ * The line containing a match, trimmed to MAX_EVIDENCE_LENGTH.
+ * @param {string} text
+ * @param {RegExpExecArray} match
+ * @returns {string}
+ */
+function evidenceLine(text, match) {
+  const start = text.lastIndexOf('\n', match.index) + 1;
+  const end = text.indexOf('\n', match.index + match[0].length);
+  return text.slice(start, end === -1 ? undefined : end).trim().slice(0, MAX_EVIDENCE_LENGTH);
+}
+
+/**
+ * Fill `{1}` with the first capture group; drops the placeholder when it did not capture.
+ * @param {string} template
+ * @param {RegExpExecArray} match
+ * @returns {string}
+ */
+function fillAction(template, match) {
+  return template.replace('{1}', match[1] ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lower-cased words of 3+ letters.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function tokenize(text) {
+  return new Set(String(text).toLowerCase().split(/[^a-z0-9_@/-]+/).filter((w) => w.length >= 3 && !/^\d+$/.test(w)));
+}
+
+/**
+ * Share of the recorded message's words found in the failure output.
+ * @param {Set<string>} failureWords
+ * @param {Set<string>} entryWords
+ * @returns {number} 0..1
+ */
+function overlap(failureWords, entryWords) {
+  if (entryWords.size === 0) return 0;
+  let shared = 0;
+  for (const word of entryWords) {
+    if (failureWords.has(word)) shared++;
+  }
+  return shared / entryWords.size;
+}
+
+/** @param {number} n @returns {number} */
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,489 @@
+/**
+ * Offline evaluation and weight calibration for the cognitive router.
+ * Replays a labeled prompt corpus through classifyComplexity(), reports a
+ * confusion matrix, precision/recall and calibration curves, and fits the
+ * factor weights + threshold to the labels.
+ *
+ * Corpus format (JSONL, one sample per line):
+ *   {"prompt": "fix a typo in README", "expected": 1}
+ *   {"prompt": "migrate auth to OAuth and deploy", "expected": 2, "context": {"sessionDepth": 3}}
+ *
+ * `expected` accepts 1 | 2 | "system1" | "system2". A `context.repo` object
+ * (see repo-signals.js) adds the repository factors, which are scored with
+ * the router's additive repository weights exactly as in classifyComplexity().
+ * Fitting adjusts the text factor weights and threshold; repository weights
+ * stay as configured.
+ *
+ * @module lib/cognitive/router-eval
+ */
+
+import { classifyComplexity, DEFAULT_WEIGHTS, getRepoWeights, getThreshold, getWeights, routerConfidence } from './router.js';
+import { round } from '../core/index.js';
+import { readTextFile } from '../core/file.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Threshold bounds enforced by router.configure() */
+const THRESHOLD_MIN = 0.2;
+const THRESHOLD_MAX = 0.7;
+
+/** Default number of calibration bins */
+const DEFAULT_BINS = 5;
+
+/** Maximum misrouted samples listed in an evaluation report */
+const MAX_MISROUTED = 20;
+
+/** Default optimizer settings for fitWeights() */
+const FIT_DEFAULTS = Object.freeze({
+  iterations: 2000,
+  learningRate: 0.5,
+  l2: 0.001,
+});
+
+// ---------------------------------------------------------------------------
+// Corpus
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a JSONL corpus into labeled samples.
+ * Blank lines are skipped; malformed lines are reported, not thrown.
+ *
+ * @param {string} text - JSONL content
+ * @returns {{ samples: { prompt: string, expected: 1|2, context: object }[], errors: { line: number, message: string }[] }}
+ * @example
+ * const { samples } = parseCorpus('{"prompt":"fix typo","expected":1}');
+ * // samples[0] => { prompt: 'fix typo', expected: 1, context: {} }
+ */
+export function parseCorpus(text) {
+  const samples = [];
+  const errors = [];
+
+  const lines = String(text ?? '').split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      errors.push({ line: i + 1, message: 'invalid JSON' });
+      continue;
+    }
+
+    const prompt = record?.prompt ?? record?.input;
+    const expected = normalizeLabel(record?.expected ?? record?.system);
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      errors.push({ line: i + 1, message: 'missing prompt' });
+      continue;
+    }
+    if (expected === null) {
+      errors.push({ line: i + 1, message: 'expected must be 1, 2, "system1" or "system2"' });
+      continue;
+    }
+
+    samples.push({
+      prompt,
+      expected,
+      context: record.context && typeof record.context === 'object' ? record.context : {},
+    });
+  }
+
+  return { samples, errors };
+}
+
+/**
+ * Read and parse a JSONL corpus file.
+ *
+ * @param {string} filePath - Absolute path to the corpus
+ * @returns {Promise<ReturnType<typeof parseCorpus>>}
+ * @throws {Error} When the file cannot be read.
+ * @example
+ * const { samples, errors } = await loadCorpus('/path/to/routing-corpus.jsonl');
+ */
+export async function loadCorpus(filePath) {
+  const text = await readTextFile(filePath);
+  if (text === null) {
+    throw new Error(`Corpus not found: ${filePath}`);
+  }
+  return parseCorpus(text);
+}
+
+// ---------------------------------------------------------------------------
+// Feature Extraction
+// ---------------------------------------------------------------------------
+
+/**
+ * Run each sample through the router's factor estimators.
+ * Factor values do not depend on weights or threshold, so the result can be
+ * re-scored cheaply with different parameters.
+ *
+ * @param {{ prompt: string, expected: 1|2, context?: object }[]} samples
+ * @returns {{ prompt: string, expected: 1|2, domain: string, factors: Record<string, number> }[]}
+ */
+export function extractFeatures(samples) {
+  return samples.map((s) => {
+    const { domain, factors } = classifyComplexity(s.prompt, s.context ?? {});
+    return { prompt: s.prompt, expected: s.expected, domain, factors };
+  });
+}
+
+/**
+ * Compute the weighted complexity score for a factor vector, as
+ * classifyComplexity() does: text factors times `weights`, plus each
+ * repository factor present times its additive repository weight.
+ *
+ * @param {Record<string, number>} factors
+ * @param {Record<string, number>} weights - Text factor weights
+ * @param {Record<string, number>} [repoWeights] - Repository factor weights (default: none)
+ * @returns {number} Score clamped to [0, 1]
+ * @example
+ * scoreFactors({ steps: 0.5, repoScope: 1 }, { steps: 0.3 }, { repoScope: 0.4 }); // 0.55
+ */
+export function scoreFactors(factors, weights, repoWeights = {}) {
+  const score = Object.entries(weights).reduce(
+    (sum, [key, weight]) => sum + (factors[key] ?? 0) * weight,
+    repoContribution(factors, repoWeights),
+  );
+  return Math.max(0, Math.min(1, score));
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * Evaluate routing decisions against labeled samples.
+ *
+ * Accepts raw samples (prompt + expected) or pre-extracted features.
+ * Weights and threshold default to the router's active values. Confidence
+ * is the router's calibrated confidence (routerConfidence()) for each
+ * sample's domain, so the calibration curves show what routing reports.
+ *
+ * @param {object[]} samples - Corpus samples or extractFeatures() output
+ * @param {object} [options]
+ * @param {Record<string, number>} [options.weights] - Factor weights to evaluate
+ * @param {number} [options.threshold] - System 1/2 threshold to evaluate
+ * @param {Record<string, number>} [options.repoWeights] - Repository factor weights (default: the router's)
+ * @param {number} [options.bins=5] - Number of calibration bins
+ * @returns {{
+ *   total: number,
+ *   accuracy: number,
+ *   confusion: { 1: { 1: number, 2: number }, 2: { 1: number, 2: number } },
+ *   perSystem: Record<1|2, { precision: number, recall: number, f1: number, support: number }>,
+ *   calibration: { confidence: object[], score: object[], ece: number },
+ *   misrouted: { prompt: string, expected: 1|2, predicted: 1|2, score: number }[],
+ *   weights: Record<string, number>,
+ *   repoWeights: Record<string, number>,
+ *   threshold: number,
+ * }}
+ * @example
+ * const report = evaluateRouting(samples);
+ * console.log(report.confusion[2][1]); // System 2 prompts routed to System 1
+ */
+export function evaluateRouting(samples, options = {}) {
+  const weights = options.weights ?? getWeights();
+  const repoWeights = options.repoWeights ?? getRepoWeights();
+  const threshold = options.threshold ?? getThreshold();
+  const bins = Math.max(1, Math.floor(options.bins ?? DEFAULT_BINS));
+  const features = samples.length > 0 && samples[0].factors ? samples : extractFeatures(samples);
+
+  const confusion = { 1: { 1: 0, 2: 0 }, 2: { 1: 0, 2: 0 } };
+  const predictions = features.map((f) => {
+    const score = scoreFactors(f.factors, weights, repoWeights);
+    const predicted = score < threshold ? 1 : 2;
+    const { confidence } = routerConfidence(score, f.domain, threshold);
+    confusion[f.expected][predicted]++;
+    return { prompt: f.prompt, expected: f.expected, predicted, score, confidence };
+  });
+
+  const total = predictions.length;
+  const correct = confusion[1][1] + confusion[2][2];
+
+  return {
+    total,
+    accuracy: total > 0 ? round(correct / total) : 0,
+    confusion,
+    perSystem: {
+      1: classMetrics(confusion, 1),
+      2: classMetrics(confusion, 2),
+    },
+    calibration: buildCalibration(predictions, bins),
+    misrouted: predictions
+      .filter((p) => p.predicted !== p.expected)
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, MAX_MISROUTED)
+      .map(({ prompt, expected, predicted, score }) => ({
+        prompt: prompt.slice(0, 120), expected, predicted, score: round(score),
+      })),
+    weights: roundWeights(weights),
+    repoWeights: roundWeights(repoWeights),
+    threshold: round(threshold),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Calibration (weight fitting)
+// ---------------------------------------------------------------------------
+
+/**
+ * Fit factor weights and threshold to labeled samples.
+ *
+ * Trains a logistic model `sigmoid(b + sum(beta_k * factor_k))` with
+ * non-negative coefficients (projected gradient descent), then converts it
+ * into router terms: weights = beta / sum(beta), threshold = -b / sum(beta).
+ * Repository factors enter the model as a fixed offset (their additive
+ * weights are not fitted). The threshold is finally swept within the
+ * router's bounds to maximize accuracy for the fitted weights.
+ *
+ * @param {object[]} samples - Corpus samples or extractFeatures() output
+ * @param {object} [options]
+ * @param {number} [options.iterations=2000] - Gradient descent iterations
+ * @param {number} [options.learningRate=0.5] - Step size
+ * @param {number} [options.l2=0.001] - L2 regularization strength
+ * @returns {{ weights: Record<string, number>, threshold: number, logLoss: number, before: object, after: object }}
+ * @example
+ * const fit = fitWeights(samples);
+ * console.log(fit.before.accuracy, '->', fit.after.accuracy);
+ */
+export function fitWeights(samples, options = {}) {
+  const { iterations, learningRate, l2 } = { ...FIT_DEFAULTS, ...options };
+  const features = samples.length > 0 && samples[0].factors ? samples : extractFeatures(samples);
+  const keys = Object.keys(DEFAULT_WEIGHTS);
+  const repoWeights = getRepoWeights();
+  const before = evaluateRouting(features, { repoWeights });
+
+  if (features.length === 0 || new Set(features.map((f) => f.expected)).size < 2) {
+    return { weights: before.weights, threshold: before.threshold, logLoss: 0, before, after: before };
+  }
+
+  // Start from the current router parameters (scaled so sigmoid is not flat)
+  const scale = 5;
+  const current = getWeights();
+  const beta = keys.map((k) => (current[k] ?? 0) * scale);
+  let bias = -getThreshold() * scale;
+
+  const xs = features.map((f) => keys.map((k) => f.factors[k] ?? 0));
+  const ys = features.map((f) => (f.expected === 2 ? 1 : 0));
+  const offsets = features.map((f) => repoContribution(f.factors, repoWeights) * scale);
+  const n = xs.length;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const gradBeta = new Array(keys.length).fill(0);
+    let gradBias = 0;
+
+    for (let i = 0; i < n; i++) {
+      const err = sigmoid(bias + offsets[i] + dot(beta, xs[i])) - ys[i];
+      gradBias += err;
+      for (let k = 0; k < keys.length; k++) {
+        gradBeta[k] += err * xs[i][k];
+      }
+    }
+
+    bias -= learningRate * (gradBias / n);
+    for (let k = 0; k < keys.length; k++) {
+      beta[k] = Math.max(0, beta[k] - learningRate * (gradBeta[k] / n + l2 * beta[k]));
+    }
+  }
+
+  const betaSum = beta.reduce((s, b) => s + b, 0);
+  if (betaSum <= 0) {
+    return { weights: before.weights, threshold: before.threshold, logLoss: round(logLoss(xs, ys, offsets, beta, bias)), before, after: before };
+  }
+
+  const weights = Object.fromEntries(keys.map((k, i) => [k, beta[i] / betaSum]));
+  const logisticThreshold = clampThreshold(-bias / betaSum);
+  const threshold = sweepThreshold(features, weights, repoWeights, logisticThreshold);
+  const after = evaluateRouting(features, { weights, threshold, repoWeights });
+
+  return {
+    weights: after.weights,
+    threshold: after.threshold,
+    logLoss: round(logLoss(xs, ys, offsets, beta, bias)),
+    before,
+    after,
+  };
+}
+
+/**
+ * Build an artibot.config.json fragment from a fitWeights() result.
+ *
+ * @param {{ weights: Record<string, number>, threshold: number }} fit
+ * @returns {{ cognitive: { router: { threshold: number, weights: Record<string, number> } } }}
+ * @example
+ * JSON.stringify(buildConfigBlock(fitWeights(samples)), null, 2);
+ */
+export function buildConfigBlock(fit) {
+  return {
+    cognitive: {
+      router: {
+        threshold: round(fit.threshold),
+        weights: roundWeights(fit.weights),
+      },
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize a corpus label to 1 | 2.
+ * @param {*} label
+ * @returns {1|2|null}
+ */
+function normalizeLabel(label) {
+  if (label === 1 || label === '1' || label === 'system1') return 1;
+  if (label === 2 || label === '2' || label === 'system2') return 2;
+  return null;
+}
+
+/**
+ * Precision / recall / F1 for one class of the confusion matrix.
+ * @param {object} confusion
+ * @param {1|2} cls
+ */
+function classMetrics(confusion, cls) {
+  const other = cls === 1 ? 2 : 1;
+  const tp = confusion[cls][cls];
+  const fp = confusion[other][cls];
+  const fn = confusion[cls][other];
+
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+  return {
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(f1),
+    support: tp + fn,
+  };
+}
+
+/**
+ * Build reliability (confidence vs accuracy) and score (score vs System 2 rate) curves.
+ * @param {{ expected: 1|2, predicted: 1|2, score: number, confidence: number }[]} predictions
+ * @param {number} bins
+ */
+function buildCalibration(predictions, bins) {
+  // Raw router confidence lives in [0.5, 1]; calibrated values below fall in the first bin
+  const confidence = binBy(predictions, (p) => (p.confidence - 0.5) * 2, bins, 0.5, 1)
+    .map(({ range, items }) => ({
+      range,
+      count: items.length,
+      meanConfidence: items.length > 0 ? round(mean(items.map((p) => p.confidence))) : 0,
+      accuracy: items.length > 0 ? round(items.filter((p) => p.predicted === p.expected).length / items.length) : 0,
+    }));
+
+  const score = binBy(predictions, (p) => p.score, bins, 0, 1)
+    .map(({ range, items }) => ({
+      range,
+      count: items.length,
+      meanScore: items.length > 0 ? round(mean(items.map((p) => p.score))) : 0,
+      system2Rate: items.length > 0 ? round(items.filter((p) => p.expected === 2).length / items.length) : 0,
+    }));
+
+  const total = predictions.length;
+  const ece = total > 0
+    ? confidence.reduce((sum, b) => sum + (b.count / total) * Math.abs(b.accuracy - b.meanConfidence), 0)
+    : 0;
+
+  return { confidence, score, ece: round(ece) };
+}
+
+/**
+ * Split items into equal-width bins over a unit position.
+ * @param {object[]} items
+ * @param {(item: object) => number} position - Maps an item to [0, 1]
+ * @param {number} bins
+ * @param {number} lo - Lower bound of the reported range
+ * @param {number} hi - Upper bound of the reported range
+ * @returns {{ range: [number, number], items: object[] }[]}
+ */
+function binBy(items, position, bins, lo, hi) {
+  const width = (hi - lo) / bins;
+  const result = Array.from({ length: bins }, (_, i) => ({
+    range: [round(lo + i * width), round(lo + (i + 1) * width)],
+    items: [],
+  }));
+  for (const item of items) {
+    const idx = Math.min(bins - 1, Math.max(0, Math.floor(position(item) * bins)));
+    result[idx].items.push(item);
+  }
+  return result;
+}
+
+/**
+ * Pick the accuracy-maximizing threshold within router bounds.
+ * Ties are broken towards the logistic estimate.
+ */
+function sweepThreshold(features, weights, repoWeights, preferred) {
+  const scores = features.map((f) => ({ score: scoreFactors(f.factors, weights, repoWeights), expected: f.expected }));
+  let best = preferred;
+  let bestCorrect = countCorrect(scores, preferred);
+
+  for (let t = THRESHOLD_MIN; t <= THRESHOLD_MAX + 1e-9; t += 0.01) {
+    const candidate = round(t, 2);
+    const correct = countCorrect(scores, candidate);
+    if (
+      correct > bestCorrect ||
+      (correct === bestCorrect && Math.abs(candidate - preferred) < Math.abs(best - preferred))
+    ) {
+      best = candidate;
+      bestCorrect = correct;
+    }
+  }
+  return best;
+}
+
+function countCorrect(scores, threshold) {
+  return scores.filter((s) => (s.score < threshold ? 1 : 2) === s.expected).length;
+}
+
+/**
+ * Additive score of the repository factors present in a factor vector.
+ * @param {Record<string, number>} factors
+ * @param {Record<string, number>} repoWeights
+ * @returns {number}
+ */
+function repoContribution(factors, repoWeights) {
+  return Object.entries(repoWeights).reduce(
+    (sum, [key, weight]) => sum + (factors[key] ?? 0) * weight,
+    0,
+  );
+}
+
+function clampThreshold(t) {
+  return Math.max(THRESHOLD_MIN, Math.min(THRESHOLD_MAX, t));
+}
+
+function roundWeights(weights) {
+  return Object.fromEntries(Object.entries(weights).map(([k, w]) => [k, round(w)]));
+}
+
+function logLoss(xs, ys, offsets, beta, bias) {
+  const eps = 1e-12;
+  const total = xs.reduce((sum, x, i) => {
+    const p = sigmoid(bias + offsets[i] + dot(beta, x));
+    return sum - (ys[i] * Math.log(p + eps) + (1 - ys[i]) * Math.log(1 - p + eps));
+  }, 0);
+  return total / xs.length;
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function mean(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
@@ -0,0 +1,162 @@
+/**
+ * Durable state store for the cognitive router.
+ * Persists the adaptive threshold, success streak and a bounded routing
+ * history to ~/.claude/artibot/router-state.json so that threshold
+ * adaptation survives the per-prompt hook processes.
+ *
+ * Uses synchronous I/O because router.js exposes a synchronous API and
+ * hook processes exit right after routing.
+ *
+ * @module lib/cognitive/router-store
+ */
+
+import path from 'node:path';
+import { mkdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from 'node:fs';
+import { ARTIBOT_DIR } from '../core/config.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Default on-disk location of the router state */
+export const ROUTER_STATE_PATH = path.join(ARTIBOT_DIR, 'router-state.json');
+
+/** Schema version written to disk */
+const STATE_VERSION = 1;
+
+/** Maximum history entries written to disk (keeps hook start-up cheap) */
+export const MAX_PERSISTED_HISTORY = 200;
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} RouterState
+ * @property {number} version - Schema version
+ * @property {number} threshold - Current adaptive threshold
+ * @property {number|null} baseThreshold - Configured threshold the adaptation started from
+ * @property {number} s1SuccessStreak - Consecutive System 1 successes
+ * @property {object[]} history - Most recent routing entries (oldest first)
+ * @property {string} updatedAt - ISO timestamp of last write
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Load router state from disk.
+ * Returns `null` when the file is missing, unreadable or malformed.
+ *
+ * @param {string} [filePath] - State file path (default: ~/.claude/artibot/router-state.json)
+ * @returns {RouterState|null}
+ * @example
+ * const state = loadRouterState();
+ * if (state) console.log(state.threshold); // 0.35
+ */
+export function loadRouterState(filePath = ROUTER_STATE_PATH) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  if (!data || typeof data !== 'object' || typeof data.threshold !== 'number') {
+    return null;
+  }
+
+  return {
+    version: typeof data.version === 'number' ? data.version : STATE_VERSION,
+    threshold: data.threshold,
+    baseThreshold: typeof data.baseThreshold === 'number' ? data.baseThreshold : null,
+    s1SuccessStreak: Number.isInteger(data.s1SuccessStreak) && data.s1SuccessStreak >= 0
+      ? data.s1SuccessStreak
+      : 0,
+    history: Array.isArray(data.history)
+      ? data.history.filter(isValidEntry).slice(-MAX_PERSISTED_HISTORY).map(withoutInput)
+      : [],
+    updatedAt: typeof data.updatedAt === 'string' ? data.updatedAt : null,
+  };
+}
+
+/**
+ * Atomically write router state to disk.
+ * Writes to a temp file in the same directory and renames it over the
+ * target so concurrent readers never observe a partial file.
+ *
+ * @param {{ threshold: number, baseThreshold?: number|null, s1SuccessStreak: number, history: object[] }} state
+ * @param {string} [filePath] - State file path (default: ~/.claude/artibot/router-state.json)
+ * @returns {void}
+ * @example
+ * saveRouterState({ threshold: 0.35, baseThreshold: 0.4, s1SuccessStreak: 0, history: [] });
+ */
+export function saveRouterState(state, filePath = ROUTER_STATE_PATH) {
+  const payload = {
+    version: STATE_VERSION,
+    threshold: state.threshold,
+    baseThreshold: state.baseThreshold ?? null,
+    s1SuccessStreak: state.s1SuccessStreak ?? 0,
+    history: (state.history ?? []).slice(-MAX_PERSISTED_HISTORY),
+    updatedAt: new Date().toISOString(),
+  };
+
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp.${process.pid}`;
+  try {
+    writeFileSync(tmpPath, JSON.stringify(payload, null, 2), 'utf-8');
+    renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { unlinkSync(tmpPath); } catch { /* temp file already gone */ }
+    throw err;
+  }
+}
+
+/**
+ * Delete the persisted router state.
+ *
+ * @param {string} [filePath] - State file path (default: ~/.claude/artibot/router-state.json)
+ * @returns {boolean} `true` if a file was removed
+ * @example
+ * clearRouterState(); // next configure({ persist: true }) starts fresh
+ */
+export function clearRouterState(filePath = ROUTER_STATE_PATH) {
+  try {
+    unlinkSync(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Drop the raw prompt text that state files written before inputs were
+ * hashed still carry, so the next save no longer persists it.
+ * @param {object} entry
+ * @returns {object}
+ */
+function withoutInput(entry) {
+  if (!Object.hasOwn(entry, 'input')) return entry;
+  return Object.fromEntries(Object.entries(entry).filter(([key]) => key !== 'input'));
+}
+
+/**
+ * Check that a persisted history entry has the fields getRoutingStats() reads.
+ * @param {*} entry
+ * @returns {boolean}
+ */
+function isValidEntry(entry) {
+  return (
+    entry !== null &&
+    typeof entry === 'object' &&
+    (entry.system === 1 || entry.system === 2) &&
+    typeof entry.score === 'number' &&
+    typeof entry.confidence === 'number' &&
+    typeof entry.durationMs === 'number'
+  );
+}
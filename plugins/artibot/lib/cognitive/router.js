@@ -10,7 +10,13 @@
  * @module lib/cognitive/router
  */
 
+import path from 'node:path';
+import { createHash } from 'node:crypto';
 import { round as _coreRound } from '../core/index.js';
+import { calibrate, configure as configureCalibration, recordObservation, resetCalibration } from './calibration.js';
+import { loadRouterState, ROUTER_STATE_PATH, saveRouterState } from './router-store.js';
+import { countTerms, loadLexicon, matchTerms, stripTerm } from './lexicon.js';
+import { scoreRepoSignals } from './repo-signals.js';
 
 // Router uses 2 decimal precision for display values
 const round = (n) => _coreRound(n, 2);
@@ -32,14 +38,18 @@ let adaptStep = 0.05;
 /** Maximum routing history entries kept for statistics */
 const MAX_HISTORY = 500;
 
+/** Maximum keywords removed when searching for a flipping counterfactual */
+const MAX_COUNTERFACTUAL_REMOVALS = 5;
+
 /** Consecutive System 1 successes before threshold nudges up */
 const SUCCESS_STREAK_TRIGGER = 5;
 
 /**
- * Complexity signal weights (sum = 1.0).
+ * Default complexity signal weights (sum = 1.0).
+ * Overridable via configure({ weights }).
  * @type {Readonly<Record<string, number>>}
  */
-const WEIGHTS = Object.freeze({
+export const DEFAULT_WEIGHTS = Object.freeze({
   steps:        0.25,
   domains:      0.20,
   uncertainty:  0.20,
@@ -47,6 +57,18 @@ const WEIGHTS = Object.freeze({
   novelty:      0.15,
 });
 
+/**
+ * Default weights for repository factors (see lib/cognitive/repo-signals.js).
+ * Only applied when `context.repo` is supplied, and added on top of the
+ * text score so prompts routed without repository signals are unaffected.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const DEFAULT_REPO_WEIGHTS = Object.freeze({
+  repoScope:     0.40,
+  repoHotspots:  0.15,
+  repoSensitive: 0.20,
+});
+
 // ---------------------------------------------------------------------------
 // Configuration
 // ---------------------------------------------------------------------------
@@ -55,77 +77,91 @@ const WEIGHTS = Object.freeze({
  * Configure router parameters from external config (artibot.config.json).
  * Call before routing to sync with plugin configuration.
  *
+ * With `persist: true` the adaptive state (threshold, success streak, history)
+ * is loaded from disk and written back after every route() / adaptThreshold()
+ * call. A persisted threshold takes precedence over `config.threshold` as long
+ * as the configured value has not changed since the state was saved.
+ * Calibration observations (see calibration.js) persist alongside it in
+ * calibration.json.
+ *
  * @param {object} [config] - Configuration options.
  * @param {number} [config.threshold] - Initial routing threshold (0.2-0.7).
  * @param {number} [config.adaptRate] - Threshold adaptation step size (0.001-0.2).
+ * @param {Record<string, number>} [config.weights] - Factor weights (steps/domains/uncertainty/risk/novelty), normalized to sum 1.
+ * @param {Record<string, number>} [config.repoWeights] - Additive repository factor weights (repoScope/repoHotspots/repoSensitive, each 0-1).
+ * @param {object} [config.lexicons] - Lexicon packs: `{ languages, packs, directory }` (see lexicon.js).
+ * @param {string} [config.cwd] - Project root used to resolve `lexicons.directory`.
+ * @param {boolean} [config.persist] - Load and save adaptive state on disk.
+ * @param {string} [config.statePath] - Override the state file location.
  * @returns {void}
  * @example
  * configure({ threshold: 0.5, adaptRate: 0.03 });
+ * configure({ threshold: 0.4, persist: true }); // resume learned threshold
  */
 export function configure(config = {}) {
   if (typeof config.threshold === 'number') {
-    threshold = Math.max(THRESHOLD_MIN, Math.min(THRESHOLD_MAX, config.threshold));
+    baseThreshold = Math.max(THRESHOLD_MIN, Math.min(THRESHOLD_MAX, config.threshold));
+    threshold = baseThreshold;
   }
   if (typeof config.adaptRate === 'number') {
     adaptStep = Math.max(0.001, Math.min(0.2, config.adaptRate));
   }
-}
-
-/**
- * Keyword patterns for domain detection (multi-language).
- * Maps domain names to arrays of lowercase keyword triggers.
- */
-const DOMAIN_KEYWORDS = Object.freeze({
-  frontend:       ['component', 'ui', 'css', 'react', 'vue', 'responsive', 'accessibility', '컴포넌트', '프론트'],
-  backend:        ['api', 'database', 'server', 'endpoint', 'service', 'auth', 'db', '서버', '백엔드', 'データベース'],
-  security:       ['security', 'vulnerability', 'threat', 'compliance', 'encrypt', 'xss', 'injection', 'audit', '보안', '취약', '감사', 'セキュリティ', '監査'],
-  infrastructure: ['deploy', 'docker', 'ci/cd', 'monitoring', 'k8s', 'terraform', '배포', 'インフラ'],
-  testing:        ['test', 'e2e', 'coverage', 'spec', 'jest', 'playwright', '테스트', 'テスト'],
-  documentation:  ['document', 'readme', 'docs', 'guide', 'wiki', '문서', 'ドキュメント'],
-  design:         ['architecture', 'design', 'pattern', 'scalability', '설계', '아키텍처', 'アーキテクチャ'],
-});
-
-/**
- * Keywords indicating high uncertainty / ambiguity.
- */
-const UNCERTAINTY_KEYWORDS = [
-  'maybe', 'possibly', 'unclear', 'not sure', 'might',
-  'could be', 'investigate', 'explore', 'figure out',
-  '아마', '불확실', '모르', '조사', '탐색',
-  'もしかして', '調べ', '不明',
-];
+  if (config.weights && typeof config.weights === 'object') {
+    weights = normalizeWeights(config.weights);
+  }
+  if (config.repoWeights && typeof config.repoWeights === 'object') {
+    repoWeights = sanitizeRepoWeights(config.repoWeights);
+  }
+  if (config.lexicons && typeof config.lexicons === 'object') {
+    const loaded = loadLexicon({ ...config.lexicons, cwd: config.cwd });
+    lexicon = loaded.lexicon;
+    for (const err of loaded.errors) {
+      process.stderr.write(`[artibot] lexicon warning: ${err}\n`);
+    }
+  }
 
-/**
- * Keywords indicating high risk / critical operations.
- */
-const RISK_KEYWORDS = [
-  'production', 'critical', 'security', 'migration', 'breaking',
-  'delete', 'drop', 'remove all', 'force push', 'rollback',
-  'audit', 'deploy',
-  '운영', '프로덕션', '마이그레이션', '삭제', '중요', '감사', '배포',
-  '本番', 'マイグレーション', '削除', 'デプロイ', '監査',
-];
+  if (config.persist === true) {
+    statePath = config.statePath ?? ROUTER_STATE_PATH;
+    restoreState(loadRouterState(statePath));
+    configureCalibration({ persist: true, statePath: path.join(path.dirname(statePath), 'calibration.json') });
+  } else if (config.persist === false) {
+    statePath = null;
+    configureCalibration({ persist: false });
+  }
+}
 
 /**
- * Step-count indicator patterns.
- * Each entry is [regex, estimated step count].
- * @type {[RegExp, number][]}
+ * Language-neutral numbered-list markers ("1. ", "2) ") counted as steps.
+ * Keyword vocabularies live in lexicon packs (see lib/cognitive/lexicon.js).
  */
-const STEP_PATTERNS = [
-  [/\b(?:then|after that|next|afterwards|그리고|다음에|그런 다음|それから|次に)\b/gi, 1],
-  [/\b(?:step \d|phase \d|단계|フェーズ)\b/gi, 1],
-  [/\b(?:first|second|third|fourth|fifth|1\.|2\.|3\.|4\.|5\.)/gi, 1],
-  [/\b(?:and also|additionally|furthermore|또한|さらに)\b/gi, 1],
-];
+const NUMBERED_STEP_PATTERN = /(?:^|\s)[1-9][.)](?=\s|$)/g;
 
 // ---------------------------------------------------------------------------
-// State (module-scoped, session-lifetime)
+// State (module-scoped; durable when configure({ persist: true }) is used)
 // ---------------------------------------------------------------------------
 
 /** @type {number} Current adaptive threshold */
 let threshold = DEFAULT_THRESHOLD;
 
-/** @type {{ timestamp: number, input: string, score: number, system: 1|2, confidence: number, durationMs: number, success?: boolean }[]} */
+/** @type {number} Configured threshold that adaptation starts from */
+let baseThreshold = DEFAULT_THRESHOLD;
+
+/** @type {string|null} State file path when persistence is enabled */
+let statePath = null;
+
+/** @type {Readonly<Record<string, number>>} Active factor weights */
+let weights = DEFAULT_WEIGHTS;
+
+/** @type {Readonly<Record<string, number>>} Active repository factor weights */
+let repoWeights = DEFAULT_REPO_WEIGHTS;
+
+/** @type {import('./lexicon.js').CompiledLexicon} Default lexicon (built-in en/ko/ja, no project packs) */
+const DEFAULT_LEXICON = loadLexicon({ directory: false }).lexicon;
+
+/** @type {import('./lexicon.js').CompiledLexicon} Active keyword lexicon */
+let lexicon = DEFAULT_LEXICON;
+
+/** @type {{ timestamp: number, inputHash: string, inputLength: number, score: number, system: 1|2, confidence: number, durationMs: number, success?: boolean }[]} */
 let history = [];
 
 /** @type {number} Consecutive System 1 successes */
@@ -143,6 +179,7 @@ let s1SuccessStreak = 0;
  * @param {string[]} [context.recentDomains] - Domains touched recently.
  * @param {number} [context.sessionDepth] - How deep into a session (0-based).
  * @param {Record<string, number>} [context.domainSuccessRates] - Per-domain System 1 success rates.
+ * @param {import('./repo-signals.js').RepoSignals} [context.repo] - Repository signals; adds repoScope/repoHotspots/repoSensitive factors.
  * @returns {{ score: number, system: 1|2, confidence: number, factors: Record<string, number>, threshold: number }}
  *   Classification result with complexity score, target system, confidence, factor breakdown, and current threshold.
  * @example
@@ -156,31 +193,20 @@ let s1SuccessStreak = 0;
  * }
  */
 export function classifyComplexity(input, context = {}) {
-  const lower = input.toLowerCase();
-  const factors = {
-    steps:       estimateSteps(lower),
-    domains:     estimateDomains(lower),
-    uncertainty: estimateUncertainty(lower),
-    risk:        estimateRisk(lower),
-    novelty:     estimateNovelty(lower, context),
-  };
-
-  const score = Object.entries(WEIGHTS).reduce(
-    (sum, [key, weight]) => sum + (factors[key] ?? 0) * weight,
-    0,
-  );
+  const lower = input.normalize('NFC').toLowerCase();
+  const { factors, evidence } = analyzeFactors(lower, context);
+  const score = weightedScore(factors);
 
   const clampedScore = Math.max(0, Math.min(1, score));
   const system = clampedScore < threshold ? 1 : 2;
 
-  // Confidence: higher when score is far from threshold
-  const distance = Math.abs(clampedScore - threshold);
-  const confidence = Math.min(1, 0.5 + distance * 2);
+  const domain = context.domain ?? primaryDomain(evidence.domains.domains);
 
   return {
     score: round(clampedScore),
     system,
-    confidence: round(confidence),
+    ...routerConfidence(clampedScore, domain),
+    domain,
     factors: Object.fromEntries(
       Object.entries(factors).map(([k, v]) => [k, round(v)]),
     ),
@@ -188,6 +214,73 @@ export function classifyComplexity(input, context = {}) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// Explain
+// ---------------------------------------------------------------------------
+
+/**
+ * Explain a classification: which keywords and patterns fired per factor,
+ * each factor's weighted contribution, the threshold in effect, and the
+ * smallest change that would flip the decision to the other system.
+ *
+ * Pure: does not record history or touch the adaptive threshold.
+ *
+ * @param {string} input - Raw user input text.
+ * @param {object} [context] - Same context accepted by classifyComplexity().
+ * `confidence` is calibrated against observed outcomes exactly as in
+ * classifyComplexity(); `rawConfidence` is the uncalibrated distance heuristic.
+ *
+ * @returns {{
+ *   score: number,
+ *   system: 1|2,
+ *   confidence: number,
+ *   rawConfidence: number,
+ *   domain: string,
+ *   threshold: number,
+ *   factors: Record<string, { value: number, weight: number, contribution: number, evidence: object }>,
+ *   counterfactual: {
+ *     targetSystem: 1|2,
+ *     scoreGap: number,
+ *     threshold: { required: number, withinBounds: boolean },
+ *     factorChanges: { factor: string, from: number, to: number, delta: number, feasible: boolean }[],
+ *     keywordRemovals: { terms: string[], score: number } | null,
+ *     minimal: string,
+ *   },
+ * }}
+ * @example
+ * const why = explainClassification('deploy the hotfix to production');
+ * why.factors.risk.evidence.keywords;  // ['production', 'deploy']
+ * why.counterfactual.minimal;          // 'remove "production" (score 0.27 < 0.4)'
+ */
+export function explainClassification(input, context = {}) {
+  const lower = input.normalize('NFC').toLowerCase();
+  const { factors, evidence } = analyzeFactors(lower, context);
+  const score = Math.max(0, Math.min(1, weightedScore(factors)));
+  const system = score < threshold ? 1 : 2;
+  const domain = context.domain ?? primaryDomain(evidence.domains.domains);
+
+  const trace = {};
+  for (const [key, weight] of Object.entries(activeWeights(factors))) {
+    const value = factors[key] ?? 0;
+    trace[key] = {
+      value: round(value),
+      weight: round(weight),
+      contribution: round(value * weight),
+      evidence: evidence[key] ?? {},
+    };
+  }
+
+  return {
+    score: round(score),
+    system,
+    ...routerConfidence(score, domain),
+    domain,
+    threshold: round(threshold),
+    factors: trace,
+    counterfactual: buildCounterfactual(lower, context, factors, score, system),
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Routing
 // ---------------------------------------------------------------------------
@@ -212,10 +305,14 @@ export function route(input, context = {}) {
 
   const entry = {
     timestamp: Date.now(),
-    input: input.slice(0, 200),
+    // Prompts are never stored: a hash tells repeats apart without the text
+    inputHash: hashInput(input),
+    inputLength: input.length,
     score: classification.score,
     system: classification.system,
     confidence: classification.confidence,
+    rawConfidence: classification.rawConfidence,
+    domain: classification.domain,
     durationMs,
   };
 
@@ -223,6 +320,7 @@ export function route(input, context = {}) {
   if (history.length > MAX_HISTORY) {
     history = history.slice(-MAX_HISTORY);
   }
+  persistState();
 
   return {
     system: classification.system,
@@ -279,12 +377,16 @@ export function adaptThreshold(feedback) {
   }
 
   // Mark the most recent matching history entry (immutable replacement)
+  // and record its confidence against the outcome for calibration
   const recentIdx = findRecentEntryIndex(feedback.system);
   if (recentIdx >= 0) {
+    const entry = history[recentIdx];
+    recordObservation('router', entry.rawConfidence ?? entry.confidence, feedback.success === true, entry.domain);
     history = history.map((h, i) =>
       i === recentIdx ? { ...h, success: feedback.success } : h,
     );
   }
+  persistState();
 
   return {
     previousThreshold: round(prev),
@@ -294,6 +396,25 @@ export function adaptThreshold(feedback) {
   };
 }
 
+/**
+ * Report the outcome of the latest routing decision when it has none yet.
+ * Lets callers holding a real outcome (a task result, explicit feedback)
+ * feed adaptThreshold() without knowing which system was chosen. Older
+ * unresolved decisions are left alone.
+ *
+ * @param {boolean} success - Whether the work following the decision went well.
+ * @returns {ReturnType<typeof adaptThreshold>|null} Null when the latest decision already has an outcome.
+ * @example
+ * route('fix a typo');
+ * recordRoutingOutcome(false); // the task it routed failed
+ * recordRoutingOutcome(true);  // null: already resolved
+ */
+export function recordRoutingOutcome(success) {
+  const latest = history[history.length - 1];
+  if (!latest || latest.success !== undefined) return null;
+  return adaptThreshold({ system: latest.system, success: success === true });
+}
+
 // ---------------------------------------------------------------------------
 // Statistics
 // ---------------------------------------------------------------------------
@@ -379,7 +500,9 @@ export function getRoutingStats() {
 // ---------------------------------------------------------------------------
 
 /**
- * Reset all router state to defaults.
+ * Reset all in-memory router state to defaults and detach persistence.
+ * Router calibration observations are cleared too.
+ * The state files on disk are left untouched (see clearRouterState()).
  * Intended for testing or session teardown.
  *
  * @returns {void}
@@ -388,8 +511,15 @@ export function getRoutingStats() {
  */
 export function resetRouter() {
   threshold = DEFAULT_THRESHOLD;
+  baseThreshold = DEFAULT_THRESHOLD;
   history = [];
   s1SuccessStreak = 0;
+  statePath = null;
+  configureCalibration({ persist: false });
+  resetCalibration('router');
+  weights = DEFAULT_WEIGHTS;
+  repoWeights = DEFAULT_REPO_WEIGHTS;
+  lexicon = DEFAULT_LEXICON;
 }
 
 /**
@@ -403,24 +533,116 @@ export function getThreshold() {
   return round(threshold);
 }
 
+/**
+ * Get the repository factor weights applied when `context.repo` is given.
+ *
+ * @returns {Record<string, number>} Copy of the active repository weights.
+ * @example
+ * getRepoWeights(); // { repoScope: 0.4, repoHotspots: 0.15, repoSensitive: 0.2 }
+ */
+export function getRepoWeights() {
+  return { ...repoWeights };
+}
+
+/**
+ * Get the factor weights currently used by classifyComplexity().
+ *
+ * @returns {Record<string, number>} Copy of the active weights.
+ * @example
+ * getWeights(); // { steps: 0.25, domains: 0.2, uncertainty: 0.2, risk: 0.2, novelty: 0.15 }
+ */
+export function getWeights() {
+  return { ...weights };
+}
+
+/**
+ * Confidence in a routing decision: higher when the score is far from the
+ * threshold, then recalibrated against observed outcomes for the domain
+ * (identity until enough feedback exists). classifyComplexity() reports it,
+ * and router-eval scores decisions made at other thresholds with it.
+ *
+ * @param {number} score - Clamped complexity score
+ * @param {string} [domain] - Domain whose calibration applies
+ * @param {number} [at] - Threshold the decision was made against (default: the active one)
+ * @returns {{ confidence: number, rawConfidence: number }}
+ * @example
+ * routerConfidence(0.9, 'security', 0.4); // { confidence: 1, rawConfidence: 1 } until calibrated
+ */
+export function routerConfidence(score, domain, at = threshold) {
+  const rawConfidence = Math.min(1, 0.5 + Math.abs(score - at) * 2);
+  return {
+    confidence: round(calibrate('router', rawConfidence, domain)),
+    rawConfidence: round(rawConfidence),
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Internal: Factor Estimators
 // ---------------------------------------------------------------------------
 
+/**
+ * Run every factor estimator and collect the evidence behind each value.
+ * @param {string} lower - Lowercased, NFC-normalized input
+ * @param {object} context - Routing context
+ * @returns {{ factors: Record<string, number>, evidence: Record<string, object> }}
+ */
+function analyzeFactors(lower, context) {
+  const estimates = {
+    steps:       estimateSteps(lower),
+    domains:     estimateDomains(lower),
+    uncertainty: estimateUncertainty(lower),
+    risk:        estimateRisk(lower),
+    novelty:     estimateNovelty(lower, context),
+  };
+  if (context.repo && typeof context.repo === 'object') {
+    Object.assign(estimates, estimateRepo(context.repo));
+  }
+  return {
+    factors: Object.fromEntries(Object.entries(estimates).map(([k, e]) => [k, e.value])),
+    evidence: Object.fromEntries(Object.entries(estimates).map(([k, e]) => [k, e.evidence])),
+  };
+}
+
+/**
+ * Turn repository signals into factor estimates.
+ * @param {import('./repo-signals.js').RepoSignals} repo
+ * @returns {Record<string, { value: number, evidence: object }>}
+ */
+function estimateRepo(repo) {
+  const values = scoreRepoSignals(repo);
+  return {
+    repoScope: {
+      value: values.repoScope,
+      evidence: {
+        referencedFiles: repo.referencedFiles ?? [],
+        changedFiles: repo.changedFiles ?? 0,
+        untrackedFiles: repo.untrackedFiles ?? 0,
+        linesChanged: repo.linesChanged ?? 0,
+      },
+    },
+    repoHotspots: {
+      value: values.repoHotspots,
+      evidence: { hotspots: repo.hotspots ?? [], touchedPaths: repo.touchedPaths ?? 0 },
+    },
+    repoSensitive: {
+      value: values.repoSensitive,
+      evidence: { sensitive: repo.sensitive ?? [] },
+    },
+  };
+}
+
 /**
  * Estimate number of steps in the input (0.0 - 1.0).
  * @param {string} lower - Lowercased input
- * @returns {number}
+ * @returns {{ value: number, evidence: object }}
  */
 function estimateSteps(lower) {
   let stepCount = 1; // at least one step
 
-  for (const [pattern] of STEP_PATTERNS) {
-    const matches = lower.match(pattern);
-    if (matches) {
-      stepCount += matches.length;
-    }
-  }
+  const connectors = countTerms(lower, lexicon.steps);
+  stepCount += connectors.count;
+  const numbered = (lower.match(NUMBERED_STEP_PATTERN) || []).length;
+  stepCount += numbered;
 
   // Comma-separated verb phrases signal multiple tasks
   const commaSegments = lower.split(/,\s*/).filter((s) => s.trim().length > 3);
@@ -429,10 +651,8 @@ function estimateSteps(lower) {
   }
 
   // "and" / "with" conjunctions connecting distinct actions
-  const conjunctions = lower.match(/(?:\b(?:and\s+(?:also\s+)?(?:then\s+)?|with\s+)\b|하고\s*|해서\s*|그리고\s*|까지|と\s*|して)/gi);
-  if (conjunctions) {
-    stepCount += conjunctions.length;
-  }
+  const conjunctions = lower.match(/(?:\b(?:and\s+(?:also\s+)?(?:then\s+)?|with\s+)\b|하고\s*|해서\s*|그리고\s*|까지|と\s*|して)/gi) || [];
+  stepCount += conjunctions.length;
 
   // Sentence count as fallback signal
   const sentences = lower.split(/[.!?;]\s+/).filter((s) => s.trim().length > 3);
@@ -441,125 +661,384 @@ function estimateSteps(lower) {
   }
 
   // Input length as a soft signal (long inputs tend to be multi-step)
-  if (lower.length > 150) stepCount += 1;
-  if (lower.length > 300) stepCount += 1;
+  let lengthBonus = 0;
+  if (lower.length > 150) lengthBonus += 1;
+  if (lower.length > 300) lengthBonus += 1;
+  stepCount += lengthBonus;
 
   // Normalize: 1 step = 0.0, 2 steps = 0.2, 4+ steps = 0.6+
-  return Math.min(1, (stepCount - 1) * 0.2);
+  return {
+    value: Math.min(1, (stepCount - 1) * 0.2),
+    evidence: {
+      estimatedSteps: stepCount,
+      connectors: connectors.terms,
+      numberedItems: numbered,
+      commaSegments: commaSegments.length,
+      conjunctions: conjunctions.map((c) => c.trim()),
+      sentences: sentences.length,
+      lengthBonus,
+    },
+  };
 }
 
 /**
  * Estimate number of distinct domains mentioned (0.0 - 1.0).
  * @param {string} lower - Lowercased input
- * @returns {number}
+ * @returns {{ value: number, evidence: object }}
  */
 function estimateDomains(lower) {
-  let domainCount = 0;
-
-  for (const keywords of Object.values(DOMAIN_KEYWORDS)) {
-    if (keywords.some((kw) => lower.includes(kw))) {
-      domainCount++;
-    }
-  }
+  const matched = detectDomainTerms(lower);
+  const domainCount = Object.keys(matched).length;
 
   // Normalize: 0 = 0.0, 1 = 0.2, 2 = 0.5, 3 = 0.75, 4+ = 0.9+
-  if (domainCount === 0) return 0;
-  if (domainCount === 1) return 0.2;
-  return Math.min(1, 0.25 + domainCount * 0.25);
+  let value;
+  if (domainCount === 0) value = 0;
+  else if (domainCount === 1) value = 0.2;
+  else value = Math.min(1, 0.25 + domainCount * 0.25);
+
+  return { value, evidence: { domains: matched } };
 }
 
 /**
  * Estimate uncertainty level in the input (0.0 - 1.0).
  * @param {string} lower - Lowercased input
- * @returns {number}
+ * @returns {{ value: number, evidence: object }}
  */
 function estimateUncertainty(lower) {
-  let matchCount = 0;
-
-  for (const kw of UNCERTAINTY_KEYWORDS) {
-    if (lower.includes(kw)) {
-      matchCount++;
-    }
-  }
+  const keywords = matchTerms(lower, lexicon.uncertainty);
 
   // Question marks also signal uncertainty
   const questionMarks = (lower.match(/\?/g) || []).length;
-  matchCount += Math.min(2, questionMarks);
+  const matchCount = keywords.length + Math.min(2, questionMarks);
 
-  return Math.min(1, matchCount * 0.25);
+  return {
+    value: Math.min(1, matchCount * 0.25),
+    evidence: { keywords, questionMarks },
+  };
 }
 
 /**
  * Estimate risk level of the requested operation (0.0 - 1.0).
  * @param {string} lower - Lowercased input
- * @returns {number}
+ * @returns {{ value: number, evidence: object }}
  */
 function estimateRisk(lower) {
-  let riskSignals = 0;
+  const keywords = matchTerms(lower, lexicon.risk);
 
-  for (const kw of RISK_KEYWORDS) {
-    if (lower.includes(kw)) {
-      riskSignals++;
-    }
-  }
-
-  return Math.min(1, riskSignals * 0.3);
+  return {
+    value: Math.min(1, keywords.length * 0.3),
+    evidence: { keywords },
+  };
 }
 
 /**
  * Estimate novelty based on how different this input is from recent context (0.0 - 1.0).
  * @param {string} lower - Lowercased input
  * @param {object} context - Routing context
- * @returns {number}
+ * @returns {{ value: number, evidence: object }}
  */
 function estimateNovelty(lower, context) {
   let novelty = 0;
+  const reasons = [];
 
   // If no session context, moderate novelty
   if (!context.sessionDepth && context.sessionDepth !== 0) {
-    return 0.3;
+    return { value: 0.3, evidence: { reasons: ['no session context'] } };
   }
 
   // First request in a session is somewhat novel
   if (context.sessionDepth === 0) {
     novelty += 0.4;
+    reasons.push('first request in session');
   }
 
   // Domain not seen recently
   if (context.recentDomains && context.recentDomains.length > 0) {
-    const currentDomains = Object.entries(DOMAIN_KEYWORDS)
-      .filter(([, keywords]) => keywords.some((kw) => lower.includes(kw)))
-      .map(([domain]) => domain);
+    const currentDomains = detectDomains(lower);
 
     const newDomains = currentDomains.filter(
       (d) => !context.recentDomains.includes(d),
     );
     if (newDomains.length > 0) {
       novelty += 0.3;
+      reasons.push(`new domains: ${newDomains.join(', ')}`);
     }
   }
 
   // Low historical success rate in this domain → treat as more novel/risky
   if (context.domainSuccessRates) {
-    const currentDomains = Object.entries(DOMAIN_KEYWORDS)
-      .filter(([, keywords]) => keywords.some((kw) => lower.includes(kw)))
-      .map(([domain]) => domain);
+    const currentDomains = detectDomains(lower);
 
     for (const domain of currentDomains) {
       const rate = context.domainSuccessRates[domain];
       if (rate !== undefined && rate < 0.5) {
         novelty += 0.2;
+        reasons.push(`low success rate in ${domain} (${rate})`);
       }
     }
   }
 
-  return Math.min(1, novelty);
+  return { value: Math.min(1, novelty), evidence: { reasons } };
+}
+
+// ---------------------------------------------------------------------------
+// Internal: Counterfactuals
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the minimal changes that would route the input to the other system.
+ * @param {string} lower - Lowercased input
+ * @param {object} context - Routing context
+ * @param {Record<string, number>} factors - Current factor values
+ * @param {number} score - Current clamped score
+ * @param {1|2} system - Current decision
+ */
+function buildCounterfactual(lower, context, factors, score, system) {
+  const targetSystem = system === 1 ? 2 : 1;
+  // System 1 -> 2 needs score >= threshold; System 2 -> 1 needs score < threshold
+  const EPS = 0.01;
+  const scoreGap = system === 1 ? threshold - score : score - threshold + EPS;
+
+  const requiredThreshold = system === 1 ? score : score + EPS;
+  const thresholdChange = {
+    required: round(requiredThreshold),
+    withinBounds: requiredThreshold >= THRESHOLD_MIN && requiredThreshold <= THRESHOLD_MAX,
+  };
+
+  const factorChanges = Object.entries(activeWeights(factors))
+    .filter(([, weight]) => weight > 0)
+    .map(([factor, weight]) => {
+      const from = factors[factor] ?? 0;
+      const delta = (system === 1 ? 1 : -1) * (scoreGap / weight);
+      const to = from + delta;
+      return { factor, from: round(from), to: round(to), delta: round(delta), feasible: to >= 0 && to <= 1 };
+    })
+    .sort((a, b) => Math.abs(a.delta) - Math.abs(b.delta));
+
+  const keywordRemovals = system === 2 ? findKeywordRemovals(lower, context) : null;
+
+  return {
+    targetSystem,
+    scoreGap: round(scoreGap),
+    threshold: thresholdChange,
+    factorChanges,
+    keywordRemovals,
+    minimal: describeMinimalChange(keywordRemovals, factorChanges, thresholdChange, system),
+  };
+}
+
+/**
+ * Greedily remove the fired keyword with the largest score impact until the
+ * input would route to System 1.
+ * @param {string} lower
+ * @param {object} context
+ * @returns {{ terms: string[], score: number }|null} null when no flip is reachable
+ */
+function findKeywordRemovals(lower, context) {
+  const allMatchers = [
+    ...Object.values(lexicon.domains).flat(),
+    ...lexicon.uncertainty,
+    ...lexicon.risk,
+    ...lexicon.steps,
+  ];
+
+  let text = lower;
+  const removed = [];
+  for (let i = 0; i < MAX_COUNTERFACTUAL_REMOVALS; i++) {
+    const candidates = allMatchers.filter((m) => matchTerms(text, [m]).length > 0);
+    if (candidates.length === 0) return null;
+
+    let best = null;
+    for (const matcher of candidates) {
+      const stripped = stripTerm(text, matcher);
+      const candidateScore = weightedScore(analyzeFactors(stripped, context).factors);
+      if (!best || candidateScore < best.score) {
+        best = { matcher, text: stripped, score: candidateScore };
+      }
+    }
+
+    text = best.text;
+    if (!removed.includes(best.matcher.term)) removed.push(best.matcher.term);
+    const clamped = Math.max(0, Math.min(1, best.score));
+    if (clamped < threshold) {
+      return { terms: removed, score: round(clamped) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Summarize the cheapest flipping change in one sentence.
+ */
+function describeMinimalChange(keywordRemovals, factorChanges, thresholdChange, system) {
+  if (keywordRemovals) {
+    const terms = keywordRemovals.terms.map((t) => `"${t}"`).join(', ');
+    return `remove ${terms} (score ${keywordRemovals.score} < ${round(threshold)})`;
+  }
+
+  const factor = factorChanges.find((c) => c.feasible);
+  if (factor) {
+    const verb = factor.delta >= 0 ? 'raise' : 'lower';
+    return `${verb} ${factor.factor} from ${factor.from} to ${factor.to}`;
+  }
+
+  const comparison = system === 1 ? '<=' : '>';
+  return `set threshold ${comparison} ${thresholdChange.required}${thresholdChange.withinBounds ? '' : ' (outside adaptive bounds)'}`;
+}
+
+// ---------------------------------------------------------------------------
+// Internal: Persistence
+// ---------------------------------------------------------------------------
+
+/**
+ * Apply a persisted state snapshot to the module state.
+ * The learned threshold is discarded when the configured base threshold
+ * changed since it was saved (an explicit config edit wins).
+ * @param {import('./router-store.js').RouterState|null} saved
+ */
+function restoreState(saved) {
+  if (!saved) return;
+
+  history = saved.history.slice(-MAX_HISTORY);
+  s1SuccessStreak = saved.s1SuccessStreak;
+
+  const baseUnchanged = saved.baseThreshold === null
+    || round(saved.baseThreshold) === round(baseThreshold);
+  if (baseUnchanged) {
+    threshold = Math.max(THRESHOLD_MIN, Math.min(THRESHOLD_MAX, saved.threshold));
+  }
+}
+
+/**
+ * Short, non-reversible fingerprint of a routed input.
+ * @param {string} input
+ * @returns {string} First 16 hex chars of the SHA-256 digest
+ */
+function hashInput(input) {
+  return createHash('sha256').update(input).digest('hex').slice(0, 16);
+}
+
+/**
+ * Write the current state to disk when persistence is enabled.
+ * Failures are swallowed: routing must never break on a read-only home dir.
+ */
+function persistState() {
+  if (!statePath) return;
+  try {
+    saveRouterState({ threshold, baseThreshold, s1SuccessStreak, history }, statePath);
+  } catch {
+    // Best-effort persistence
+  }
 }
 
 // ---------------------------------------------------------------------------
 // Internal: Helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Weighted sum of factor values using the active weights (unclamped).
+ * Repository factors contribute only when present.
+ * @param {Record<string, number>} factors
+ * @returns {number}
+ */
+function weightedScore(factors) {
+  return Object.entries(activeWeights(factors)).reduce(
+    (sum, [key, weight]) => sum + (factors[key] ?? 0) * weight,
+    0,
+  );
+}
+
+/**
+ * Weights that apply to a factor set: text weights plus any repository
+ * weights whose factor was estimated.
+ * @param {Record<string, number>} factors
+ * @returns {Record<string, number>}
+ */
+function activeWeights(factors) {
+  const active = { ...weights };
+  for (const [key, weight] of Object.entries(repoWeights)) {
+    if (factors[key] !== undefined) active[key] = weight;
+  }
+  return active;
+}
+
+/**
+ * Validate repository weights: known keys only, each clamped to [0, 1].
+ * @param {Record<string, number>} partial
+ * @returns {Readonly<Record<string, number>>}
+ */
+function sanitizeRepoWeights(partial) {
+  const result = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_REPO_WEIGHTS)) {
+    const value = partial[key];
+    result[key] = typeof value === 'number' && Number.isFinite(value)
+      ? Math.max(0, Math.min(1, value))
+      : fallback;
+  }
+  return Object.freeze(result);
+}
+
+/**
+ * Map each lexicon domain mentioned in the input to the terms that fired.
+ * @param {string} lower - Lowercased input
+ * @returns {Record<string, string[]>}
+ */
+function detectDomainTerms(lower) {
+  const matched = {};
+  for (const [domain, matchers] of Object.entries(lexicon.domains)) {
+    const terms = matchTerms(lower, matchers);
+    if (terms.length > 0) matched[domain] = terms;
+  }
+  return matched;
+}
+
+/**
+ * Domain with the most matched terms; ties go to the earlier lexicon domain.
+ * @param {Record<string, string[]>} matched - Output of detectDomainTerms()
+ * @returns {string} Domain name, or 'general' when none matched
+ */
+function primaryDomain(matched) {
+  let best = 'general';
+  let bestCount = 0;
+  for (const [domain, terms] of Object.entries(matched)) {
+    if (terms.length > bestCount) {
+      best = domain;
+      bestCount = terms.length;
+    }
+  }
+  return best;
+}
+
+/**
+ * List the lexicon domains mentioned in the input.
+ * @param {string} lower - Lowercased input
+ * @returns {string[]} Domain names
+ */
+function detectDomains(lower) {
+  return Object.keys(detectDomainTerms(lower));
+}
+
+/**
+ * Merge partial weights over the defaults and rescale them to sum 1.
+ * Unknown keys and negative / non-numeric values are ignored.
+ * @param {Record<string, number>} partial
+ * @returns {Readonly<Record<string, number>>}
+ */
+function normalizeWeights(partial) {
+  const merged = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_WEIGHTS)) {
+    const value = partial[key];
+    merged[key] = typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : fallback;
+  }
+
+  const total = Object.values(merged).reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return DEFAULT_WEIGHTS;
+
+  return Object.freeze(
+    Object.fromEntries(Object.entries(merged).map(([k, w]) => [k, w / total])),
+  );
+}
+
 /**
  * Find the index of the most recent history entry for a given system.
  * @param {1|2} system
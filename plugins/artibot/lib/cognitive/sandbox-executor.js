@@ -0,0 +1,234 @@
+/**
+ * Process executor backend for the System 2 sandbox.
+ * Runs an approved command through the platform shell with a timeout,
+ * working directory, environment overlay and output cap, and kills the
+ * whole process tree when the timeout fires. On POSIX the command runs
+ * under a small `sh` wrapper that reports its CPU time (the shell's own and
+ * that of its waited-for children, via the `times` builtin).
+ *
+ * Used by sandbox.run() when a sandbox is created with
+ * `executor: 'process'`; the default 'record' executor never spawns.
+ *
+ * @module lib/cognitive/sandbox-executor
+ */
+
+import { execFile, spawn } from 'node:child_process';
+
+/** Grace period between SIGTERM and SIGKILL when a command times out (ms) */
+const KILL_GRACE_MS = 1_000;
+
+const IS_WINDOWS = process.platform === 'win32';
+
+/**
+ * POSIX wrapper: runs the command (`$1`) with `eval` and writes `times`
+ * output to fd 3 on exit, including an `exit` in the command. The command
+ * itself does not see fd 3.
+ */
+const USAGE_WRAPPER = 'trap \'times >&3\' EXIT; __artibot_command=$1; shift; eval "$__artibot_command" 3>&-';
+
+/**
+ * @typedef {object} ProcessResult
+ * @property {string} stdout - Captured stdout (capped at maxOutputBytes)
+ * @property {string} stderr - Captured stderr (capped at maxOutputBytes)
+ * @property {number|null} exitCode - Exit code, or null when killed by a signal / spawn failed
+ * @property {number} duration - Wall-clock time in ms
+ * @property {boolean} timedOut - Whether the timeout fired
+ * @property {{
+ *   pid: number|null,
+ *   wallMs: number,
+ *   stdoutBytes: number,
+ *   stderrBytes: number,
+ *   truncated: boolean,
+ *   signal: string|null,
+ *   cpuUserMs: number|null,
+ *   cpuSystemMs: number|null
+ * }} resourceUsage - CPU times are null on Windows and when the command was
+ *   killed or replaced the shell with `exec`
+ */
+
+/**
+ * Run a shell command as a child process.
+ * Never rejects: spawn failures resolve with `exitCode: null` and the error
+ * message on stderr so callers can feed the result to recordResult().
+ *
+ * @param {string} command - Shell command line
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @param {Record<string, string>} [options.env] - Variables merged over process.env
+ * @param {number} [options.timeoutMs=30000] - Kill the process tree after this many ms
+ * @param {number} [options.maxOutputBytes=1048576] - Per-stream capture limit
+ * @returns {Promise<ProcessResult>}
+ * @example
+ * const result = await runProcess('npm test', { cwd: '/work/app', timeoutMs: 60_000 });
+ * if (result.timedOut) console.log('killed after', result.duration, 'ms');
+ */
+export function runProcess(command, options = {}) {
+  const {
+    cwd,
+    env = {},
+    timeoutMs = 30_000,
+    maxOutputBytes = 1_048_576,
+  } = options;
+
+  return new Promise((resolve) => {
+    const start = Date.now();
+    const stdout = createCapture(maxOutputBytes);
+    const stderr = createCapture(maxOutputBytes);
+    const usage = createCapture(1_024);
+    let timedOut = false;
+    let settled = false;
+    let killTimer = null;
+
+    const spawnOptions = {
+      cwd,
+      env: { ...process.env, ...env },
+      // Own process group on POSIX so the whole tree can be signalled
+      detached: !IS_WINDOWS,
+      windowsHide: true,
+    };
+
+    let child;
+    try {
+      child = IS_WINDOWS
+        ? spawn(command, { ...spawnOptions, shell: true, stdio: ['ignore', 'pipe', 'pipe'] })
+        : spawn('/bin/sh', ['-c', USAGE_WRAPPER, 'sh', command], { ...spawnOptions, stdio: ['ignore', 'pipe', 'pipe', 'pipe'] });
+    } catch (err) {
+      resolve(spawnFailure(err, start));
+      return;
+    }
+
+    child.stdout.on('data', stdout.push);
+    child.stderr.on('data', stderr.push);
+    child.stdio[3]?.on('data', usage.push);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killProcessTree(child.pid, 'SIGTERM');
+      killTimer = setTimeout(() => killProcessTree(child.pid, 'SIGKILL'), KILL_GRACE_MS);
+    }, timeoutMs);
+
+    // Reap background processes left holding the output pipes
+    child.on('exit', () => killProcessTree(child.pid, 'SIGKILL'));
+
+    child.on('error', (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      resolve(spawnFailure(err, start));
+    });
+
+    child.on('close', (code, signal) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      const duration = Date.now() - start;
+      resolve({
+        stdout: stdout.text(),
+        stderr: stderr.text(),
+        exitCode: code,
+        duration,
+        timedOut,
+        resourceUsage: {
+          pid: child.pid ?? null,
+          wallMs: duration,
+          stdoutBytes: stdout.bytes(),
+          stderrBytes: stderr.bytes(),
+          truncated: stdout.truncated() || stderr.truncated(),
+          signal: signal ?? null,
+          ...cpuTimes(usage.text()),
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Signal a process and all of its descendants.
+ * POSIX: signals the process group (the child is spawned detached).
+ * Windows: delegates to `taskkill /T /F`.
+ *
+ * @param {number|undefined} pid - Root process id
+ * @param {NodeJS.Signals} [signal='SIGKILL']
+ * @returns {void}
+ */
+export function killProcessTree(pid, signal = 'SIGKILL') {
+  if (!pid) return;
+  if (IS_WINDOWS) {
+    execFile('taskkill', ['/pid', String(pid), '/T', '/F'], { windowsHide: true }, () => {});
+    return;
+  }
+  try {
+    process.kill(-pid, signal);
+  } catch {
+    // Group already gone
+  }
+}
+
+// --- Internal helpers ---
+
+/**
+ * Bounded output collector. Counts every byte but keeps at most `limit`.
+ * @param {number} limit
+ */
+function createCapture(limit) {
+  const chunks = [];
+  let kept = 0;
+  let total = 0;
+
+  return {
+    push(chunk) {
+      total += chunk.length;
+      if (kept >= limit) return;
+      const slice = chunk.length > limit - kept ? chunk.subarray(0, limit - kept) : chunk;
+      chunks.push(slice);
+      kept += slice.length;
+    },
+    text: () => Buffer.concat(chunks).toString('utf-8'),
+    bytes: () => total,
+    truncated: () => total > kept,
+  };
+}
+
+/**
+ * CPU times from the output of the `times` builtin: user and system time
+ * of the shell (first line) plus those of its children (second line).
+ * @param {string} text - e.g. `0m0.01s 0m0.00s\n0m0.42s 0m0.03s`
+ * @returns {{ cpuUserMs: number|null, cpuSystemMs: number|null }}
+ */
+function cpuTimes(text) {
+  const seconds = [...text.matchAll(/(\d+)m([\d.]+)s/g)].map(([, min, sec]) => Number(min) * 60 + Number(sec));
+  if (seconds.length < 4) return { cpuUserMs: null, cpuSystemMs: null };
+  return {
+    cpuUserMs: Math.round((seconds[0] + seconds[2]) * 1000),
+    cpuSystemMs: Math.round((seconds[1] + seconds[3]) * 1000),
+  };
+}
+
+/**
+ * Result for a command that could not be started.
+ * @param {Error} err
+ * @param {number} start
+ * @returns {ProcessResult}
+ */
+function spawnFailure(err, start) {
+  const duration = Date.now() - start;
+  return {
+    stdout: '',
+    stderr: err.message,
+    exitCode: null,
+    duration,
+    timedOut: false,
+    resourceUsage: {
+      pid: null,
+      wallMs: duration,
+      stdoutBytes: 0,
+      stderrBytes: 0,
+      truncated: false,
+      signal: null,
+      cpuUserMs: null,
+      cpuSystemMs: null,
+    },
+  };
+}
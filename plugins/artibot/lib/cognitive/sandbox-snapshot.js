@@ -0,0 +1,187 @@
+/**
+ * Filesystem snapshots for sandbox side-effect tracking.
+ * takeSnapshot() records size, mtime and a content hash for every file
+ * below a directory; diffSnapshots() turns two snapshots into the lists of
+ * files created, modified and deleted in between.
+ *
+ * Used by sandbox.js around each command when file tracking is on
+ * (`trackFiles: true`, or `allowWrites: false`). Hashes are carried over
+ * from the previous snapshot for files whose size and mtime did not change,
+ * so repeated snapshots of a large tree only re-read what was touched.
+ *
+ * @module lib/cognitive/sandbox-snapshot
+ */
+
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { lstatSync, readdirSync, readFileSync, readlinkSync } from 'node:fs';
+import { globToRegExp } from '../core/file.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Paths left out of snapshots (globs relative to the snapshot root) */
+export const DEFAULT_SNAPSHOT_IGNORE = Object.freeze(['.git/**', 'node_modules/**']);
+
+/** Files larger than this are compared by size and mtime only (bytes) */
+const MAX_HASH_BYTES = 8 * 1024 * 1024;
+
+/** Stop walking after this many files */
+const MAX_SNAPSHOT_FILES = 20_000;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} FileSnapshot
+ * @property {string} root - Absolute directory the snapshot was taken of
+ * @property {Record<string, { size: number, mtimeMs: number, hash: string|null }>} files -
+ *   Entry per '/'-separated relative path (hash null when the file is too large)
+ * @property {boolean} truncated - The file limit was reached
+ */
+
+/**
+ * @typedef {object} FileChanges
+ * @property {string[]} created
+ * @property {string[]} modified
+ * @property {string[]} deleted
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Record the files below a directory.
+ *
+ * @param {string} root - Directory to snapshot
+ * @param {object} [options]
+ * @param {string[]} [options.ignore] - Globs to skip (default: .git and node_modules)
+ * @param {FileSnapshot|null} [options.previous] - Earlier snapshot of the same root to reuse hashes from
+ * @param {number} [options.maxFiles=20000] - File limit
+ * @returns {FileSnapshot}
+ * @example
+ * const before = takeSnapshot('/work/app');
+ * // ... run a command ...
+ * diffSnapshots(before, takeSnapshot('/work/app', { previous: before }));
+ */
+export function takeSnapshot(root, options = {}) {
+  const { ignore = DEFAULT_SNAPSHOT_IGNORE, previous = null, maxFiles = MAX_SNAPSHOT_FILES } = options;
+  const rootDir = path.resolve(root);
+  const ignored = ignore.map((glob) => globToRegExp(glob));
+  const reuse = previous?.root === rootDir ? previous.files : {};
+  const files = {};
+  let count = 0;
+  let truncated = false;
+
+  const walk = (dir, prefix) => {
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (truncated) return;
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const isDir = entry.isDirectory();
+      if (ignored.some((re) => re.test(key) || (isDir && re.test(`${key}/`)))) continue;
+      if (isDir) {
+        walk(path.join(dir, entry.name), key);
+      } else if (count >= maxFiles) {
+        truncated = true;
+      } else {
+        const record = describeFile(path.join(dir, entry.name), reuse[key]);
+        if (record) {
+          files[key] = record;
+          count += 1;
+        }
+      }
+    }
+  };
+  walk(rootDir, '');
+
+  return { root: rootDir, files, truncated };
+}
+
+/**
+ * Files created, modified and deleted between two snapshots.
+ * Files are compared by hash, or by size and mtime when a hash is missing.
+ *
+ * @param {FileSnapshot} before
+ * @param {FileSnapshot} after
+ * @returns {FileChanges} Sorted relative paths
+ */
+export function diffSnapshots(before, after) {
+  const created = [];
+  const modified = [];
+  const deleted = [];
+
+  for (const [key, next] of Object.entries(after.files)) {
+    const prev = before.files[key];
+    if (!prev) created.push(key);
+    else if (isModified(prev, next)) modified.push(key);
+  }
+  for (const key of Object.keys(before.files)) {
+    if (!after.files[key]) deleted.push(key);
+  }
+
+  return { created: created.sort(), modified: modified.sort(), deleted: deleted.sort() };
+}
+
+/**
+ * Total number of changed files.
+ *
+ * @param {FileChanges|null|undefined} changes
+ * @returns {number}
+ */
+export function countFileChanges(changes) {
+  if (!changes) return 0;
+  return changes.created.length + changes.modified.length + changes.deleted.length;
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Manifest entry for a file or symlink; null when it vanished or is special.
+ * @param {string} file
+ * @param {{ size: number, mtimeMs: number, hash: string|null }} [known] - Entry from the previous snapshot
+ * @returns {{ size: number, mtimeMs: number, hash: string|null }|null}
+ */
+function describeFile(file, known) {
+  let stat;
+  try {
+    stat = lstatSync(file);
+  } catch {
+    return null;
+  }
+  if (!stat.isFile() && !stat.isSymbolicLink()) return null;
+
+  const { size, mtimeMs } = stat;
+  if (known && known.size === size && known.mtimeMs === mtimeMs) {
+    return { size, mtimeMs, hash: known.hash };
+  }
+
+  let hash = null;
+  try {
+    if (stat.isSymbolicLink()) hash = `link:${readlinkSync(file)}`;
+    else if (size <= MAX_HASH_BYTES) hash = createHash('sha256').update(readFileSync(file)).digest('hex');
+  } catch {
+    // Unreadable: fall back to size/mtime comparison
+  }
+  return { size, mtimeMs, hash };
+}
+
+/**
+ * @param {{ size: number, mtimeMs: number, hash: string|null }} prev
+ * @param {{ size: number, mtimeMs: number, hash: string|null }} next
+ * @returns {boolean}
+ */
+function isModified(prev, next) {
+  if (prev.hash !== null && next.hash !== null) return prev.hash !== next.hash;
+  return prev.size !== next.size || prev.mtimeMs !== next.mtimeMs;
+}
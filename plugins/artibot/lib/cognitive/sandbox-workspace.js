@@ -0,0 +1,488 @@
+/**
+ * Copy-on-write workspace for the System 2 sandbox.
+ * createOverlay() copies a working tree into a temporary directory and
+ * records a content hash per file; commands then run in the copy, and
+ * diffOverlay() reports what they added, modified or deleted as reviewable
+ * unified diffs. The changes are written back to the real tree with
+ * applyOverlay() or dropped with discardOverlay().
+ *
+ * Used by sandbox.js when a sandbox is created with `workspace: 'overlay'`.
+ * Only files and symlinks are tracked (empty directories are not, as in git).
+ * Ignored entries (default `.git`) are neither copied nor diffed; linked
+ * entries (default `node_modules`) are symlinked into the copy so tooling
+ * keeps working, which means writes below them reach the real tree.
+ *
+ * @module lib/cognitive/sandbox-workspace
+ */
+
+import path from 'node:path';
+import { tmpdir } from 'node:os';
+import { createHash } from 'node:crypto';
+import {
+  copyFileSync,
+  lstatSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  readlinkSync,
+  rmSync,
+  symlinkSync,
+} from 'node:fs';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Entries that are not copied into the overlay */
+export const DEFAULT_WORKSPACE_IGNORE = Object.freeze(['.git']);
+
+/** Entries symlinked into the overlay instead of copied */
+export const DEFAULT_WORKSPACE_LINKS = Object.freeze(['node_modules']);
+
+/** Context lines around each patch hunk */
+const PATCH_CONTEXT = 3;
+
+/** Files larger than this get no patch (bytes) */
+const MAX_PATCH_BYTES = 256 * 1024;
+
+/** Upper bound for the line diff table; larger changes are shown as a full rewrite */
+const MAX_DIFF_CELLS = 4_000_000;
+
+let overlayIdCounter = 0;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} Overlay
+ * @property {string} id - Overlay identifier
+ * @property {string} source - Real working tree (absolute)
+ * @property {string} root - Temporary copy commands run in
+ * @property {string[]} ignore - Ignored entries
+ * @property {string[]} links - Entries symlinked to the real tree
+ * @property {Record<string, string>} baseline - Content hash per '/'-separated relative path
+ *   when the overlay was created (updated by applyOverlay())
+ * @property {'active'|'discarded'} status
+ */
+
+/**
+ * @typedef {object} WorkspaceChange
+ * @property {string} path - '/'-separated path relative to the tree
+ * @property {'added'|'modified'|'deleted'} status
+ * @property {boolean} conflict - The real tree changed this path since the overlay was created
+ * @property {boolean} binary - Content is binary (no patch)
+ * @property {string|null} patch - Unified diff, null for binary/oversized files or when not requested
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Materialize a working tree into a temporary overlay directory.
+ *
+ * @param {string} source - Directory to copy
+ * @param {object} [options]
+ * @param {string[]} [options.ignore] - Names or relative paths to leave out (default: ['.git'])
+ * @param {string[]} [options.links] - Names or relative paths to symlink (default: ['node_modules'])
+ * @param {string} [options.tmpDir] - Parent of the overlay directory (default: os.tmpdir())
+ * @returns {Overlay}
+ * @example
+ * const overlay = createOverlay('/work/app');
+ * // ... run commands with cwd: overlay.root ...
+ * diffOverlay(overlay).changes.map((c) => `${c.status} ${c.path}`);
+ */
+export function createOverlay(source, options = {}) {
+  const sourceDir = path.resolve(source);
+  if (!lstatSync(sourceDir).isDirectory()) {
+    throw new Error(`Workspace source is not a directory: ${sourceDir}`);
+  }
+  const ignore = [...(options.ignore ?? DEFAULT_WORKSPACE_IGNORE)];
+  const links = [...(options.links ?? DEFAULT_WORKSPACE_LINKS)];
+  const root = mkdtempSync(path.join(options.tmpDir ?? tmpdir(), 'artibot-overlay-'));
+
+  const baseline = {};
+  try {
+    const linked = [];
+    for (const key of listEntries(sourceDir, { ignore, links }, linked)) {
+      const target = fromKey(root, key);
+      mkdirSync(path.dirname(target), { recursive: true });
+      copyEntry(fromKey(sourceDir, key), target);
+      baseline[key] = hashEntry(target);
+    }
+    for (const key of linked) {
+      const target = fromKey(root, key);
+      mkdirSync(path.dirname(target), { recursive: true });
+      symlinkSync(fromKey(sourceDir, key), target, 'junction');
+    }
+  } catch (err) {
+    rmSync(root, { recursive: true, force: true });
+    throw err;
+  }
+
+  overlayIdCounter += 1;
+  return {
+    id: `overlay-${Date.now()}-${overlayIdCounter}`,
+    source: sourceDir,
+    root,
+    ignore,
+    links,
+    baseline,
+    status: 'active',
+  };
+}
+
+/**
+ * Compare the overlay with the state it was created from.
+ *
+ * @param {Overlay} overlay
+ * @param {object} [options]
+ * @param {boolean} [options.patch=true] - Include unified diffs for text files
+ * @returns {{ added: string[], modified: string[], deleted: string[], changes: WorkspaceChange[] }}
+ */
+export function diffOverlay(overlay, options = {}) {
+  assertActive(overlay);
+  const withPatch = options.patch !== false;
+  const current = {};
+  for (const key of listEntries(overlay.root, overlay)) {
+    current[key] = hashEntry(fromKey(overlay.root, key));
+  }
+
+  const keys = [...new Set([...Object.keys(overlay.baseline), ...Object.keys(current)])].sort();
+  const changes = [];
+  for (const key of keys) {
+    const before = overlay.baseline[key];
+    const after = current[key];
+    if (before === after) continue;
+
+    let status = 'modified';
+    if (before === undefined) status = 'added';
+    else if (after === undefined) status = 'deleted';
+
+    const sourceHash = hashEntry(fromKey(overlay.source, key));
+    const conflict = sourceHash !== before && sourceHash !== after;
+    changes.push({ path: key, status, conflict, ...describeContent(overlay, key, withPatch) });
+  }
+
+  const byStatus = (status) => changes.filter((c) => c.status === status).map((c) => c.path);
+  return { added: byStatus('added'), modified: byStatus('modified'), deleted: byStatus('deleted'), changes };
+}
+
+/**
+ * Write overlay changes back to the real tree.
+ * Paths the real tree changed in the meantime are reported as conflicts
+ * and left alone unless `force` is set. Applied paths become part of the
+ * baseline, so they no longer show up in diffOverlay().
+ *
+ * @param {Overlay} overlay
+ * @param {object} [options]
+ * @param {string[]} [options.paths] - Only apply these relative paths
+ * @param {boolean} [options.force=false] - Overwrite conflicting paths
+ * @returns {{ applied: string[], conflicts: string[] }}
+ */
+export function applyOverlay(overlay, options = {}) {
+  const { paths, force = false } = options;
+  const { changes } = diffOverlay(overlay, { patch: false });
+  const selected = paths ? changes.filter((c) => paths.includes(c.path)) : changes;
+
+  const applied = [];
+  const conflicts = [];
+  for (const change of selected) {
+    if (change.conflict && !force) {
+      conflicts.push(change.path);
+      continue;
+    }
+    const target = fromKey(overlay.source, change.path);
+    rmSync(target, { force: true });
+    if (change.status === 'deleted') {
+      delete overlay.baseline[change.path];
+    } else {
+      mkdirSync(path.dirname(target), { recursive: true });
+      copyEntry(fromKey(overlay.root, change.path), target);
+      overlay.baseline[change.path] = hashEntry(target);
+    }
+    applied.push(change.path);
+  }
+
+  return { applied, conflicts };
+}
+
+/**
+ * Delete the overlay directory. Safe to call more than once.
+ *
+ * @param {Overlay} overlay
+ * @returns {{ overlayId: string, status: 'discarded' }}
+ */
+export function discardOverlay(overlay) {
+  rmSync(overlay.root, { recursive: true, force: true });
+  overlay.status = 'discarded';
+  return { overlayId: overlay.id, status: 'discarded' };
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Overlay} overlay
+ */
+function assertActive(overlay) {
+  if (overlay?.status !== 'active') {
+    throw new Error(`Workspace overlay is not active: ${overlay?.id ?? 'none'}`);
+  }
+}
+
+/**
+ * @param {string} root
+ * @param {string} key - '/'-separated relative path
+ * @returns {string}
+ */
+function fromKey(root, key) {
+  return path.join(root, ...key.split('/'));
+}
+
+/**
+ * Whether a relative path is covered by an ignore/link entry
+ * (a bare name matches at any depth, a path matches itself and below).
+ * @param {string} key
+ * @param {string} name - Last path segment
+ * @param {string[]} entries
+ * @returns {boolean}
+ */
+function matchesEntry(key, name, entries) {
+  return entries.some((entry) => (entry.includes('/') ? key === entry || key.startsWith(`${entry}/`) : name === entry));
+}
+
+/**
+ * Files and symlinks below a root as sorted '/'-separated keys.
+ * Linked entries are skipped and, when `linked` is given, collected there.
+ * @param {string} root
+ * @param {{ ignore: string[], links: string[] }} filters
+ * @param {string[]} [linked]
+ * @returns {string[]}
+ */
+function listEntries(root, filters, linked) {
+  const keys = [];
+  const walk = (dir, prefix) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (matchesEntry(key, entry.name, filters.ignore)) continue;
+      if (matchesEntry(key, entry.name, filters.links)) {
+        linked?.push(key);
+      } else if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), key);
+      } else if (entry.isFile() || entry.isSymbolicLink()) {
+        keys.push(key);
+      }
+    }
+  };
+  walk(root, '');
+  return keys.sort();
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ */
+function copyEntry(from, to) {
+  if (lstatSync(from).isSymbolicLink()) {
+    symlinkSync(readlinkSync(from), to);
+  } else {
+    copyFileSync(from, to);
+  }
+}
+
+/**
+ * Content hash of a file or symlink target; undefined when missing.
+ * @param {string} file
+ * @returns {string|undefined}
+ */
+function hashEntry(file) {
+  let stat;
+  try {
+    stat = lstatSync(file);
+  } catch {
+    return undefined;
+  }
+  if (stat.isSymbolicLink()) return `link:${readlinkSync(file)}`;
+  if (!stat.isFile()) return `type:${stat.mode & 0o170000}`;
+  return createHash('sha256').update(readFileSync(file)).digest('hex');
+}
+
+/**
+ * Binary flag and patch for one changed path.
+ * The "before" side is read from the real tree, so a conflicting change
+ * is shown against what is there now.
+ * @param {Overlay} overlay
+ * @param {string} key
+ * @param {boolean} withPatch
+ * @returns {{ binary: boolean, patch: string|null }}
+ */
+function describeContent(overlay, key, withPatch) {
+  const before = readText(fromKey(overlay.source, key));
+  const after = readText(fromKey(overlay.root, key));
+  const binary = before.binary || after.binary;
+  if (!withPatch || binary || before.text === null || after.text === null) {
+    return { binary, patch: null };
+  }
+  return { binary, patch: formatPatch(key, before, after) };
+}
+
+/**
+ * @param {string} file
+ * @returns {{ exists: boolean, binary: boolean, text: string|null }}
+ */
+function readText(file) {
+  let stat;
+  try {
+    stat = lstatSync(file);
+  } catch {
+    return { exists: false, binary: false, text: '' };
+  }
+  if (stat.isSymbolicLink()) return { exists: true, binary: false, text: `${readlinkSync(file)}\n` };
+  if (!stat.isFile() || stat.size > MAX_PATCH_BYTES) return { exists: true, binary: false, text: null };
+  const data = readFileSync(file);
+  if (data.subarray(0, 8000).includes(0)) return { exists: true, binary: true, text: null };
+  return { exists: true, binary: false, text: data.toString('utf-8') };
+}
+
+/**
+ * Unified diff between two versions of a file.
+ * @param {string} key
+ * @param {{ exists: boolean, text: string }} before
+ * @param {{ exists: boolean, text: string }} after
+ * @returns {string}
+ */
+function formatPatch(key, before, after) {
+  const ops = diffLines(splitLines(before.text), splitLines(after.text));
+  const lines = [
+    `--- ${before.exists ? `a/${key}` : '/dev/null'}`,
+    `+++ ${after.exists ? `b/${key}` : '/dev/null'}`,
+  ];
+  for (const hunk of groupHunks(ops)) {
+    lines.push(hunk.header);
+    for (const [type, line] of hunk.ops) {
+      lines.push(type + line.replace(/\n$/, ''));
+      if (!line.endsWith('\n')) lines.push('\\ No newline at end of file');
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Lines with their terminators kept, so a missing final newline is a change.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+}
+
+/**
+ * Line diff as `[type, line]` ops (' ' keep, '-' delete, '+' insert).
+ * Common prefix and suffix are trimmed before an LCS over the rest.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<[string, string]>}
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  return [
+    ...a.slice(0, start).map((line) => [' ', line]),
+    ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map((line) => [' ', line]),
+  ];
+}
+
+/**
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<[string, string]>}
+ */
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0 || n * m > MAX_DIFF_CELLS) {
+    return [...a.map((line) => ['-', line]), ...b.map((line) => ['+', line])];
+  }
+
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push([' ', a[i]]);
+      i += 1;
+      j += 1;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push(['-', a[i]]);
+      i += 1;
+    } else {
+      ops.push(['+', b[j]]);
+      j += 1;
+    }
+  }
+  while (i < n) ops.push(['-', a[i++]]);
+  while (j < m) ops.push(['+', b[j++]]);
+  return ops;
+}
+
+/**
+ * Group diff ops into hunks with PATCH_CONTEXT lines of context.
+ * @param {Array<[string, string]>} ops
+ * @returns {Array<{ header: string, ops: Array<[string, string]> }>}
+ */
+function groupHunks(ops) {
+  // 1-based old/new line number at each op
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const [type] of ops) {
+    positions.push([oldLine, newLine]);
+    if (type !== '+') oldLine += 1;
+    if (type !== '-') newLine += 1;
+  }
+
+  const changed = ops.flatMap(([type], index) => (type === ' ' ? [] : [index]));
+  const hunks = [];
+  let k = 0;
+  while (k < changed.length) {
+    const start = Math.max(0, changed[k] - PATCH_CONTEXT);
+    let last = changed[k];
+    while (k + 1 < changed.length && changed[k + 1] - last <= PATCH_CONTEXT * 2) {
+      k += 1;
+      last = changed[k];
+    }
+    const end = Math.min(ops.length, last + PATCH_CONTEXT + 1);
+    const slice = ops.slice(start, end);
+    const oldCount = slice.filter(([type]) => type !== '+').length;
+    const newCount = slice.filter(([type]) => type !== '-').length;
+    const [oldStart, newStart] = positions[start];
+    hunks.push({
+      header: `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`,
+      ops: slice,
+    });
+    k += 1;
+  }
+  return hunks;
+}
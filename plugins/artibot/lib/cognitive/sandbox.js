@@ -1,64 +1,30 @@
 /**
  * Safe execution sandbox for System 2 reasoning.
- * Provides an isolated execution context with dangerous command blocking,
- * resource limits, and result validation.
+ * Provides an isolated execution context with dangerous command blocking
+ * (the shared rules in lib/core/command-rules.js, also used by the pre-bash
+ * hook), resource limits, and result validation.
+ *
+ * Two executors are available:
+ *   - 'record' (default): execute() only creates a record; the command is
+ *     run by the Claude Code Bash tool and reported back via recordResult().
+ *   - 'process': run() spawns approved commands locally through
+ *     sandbox-executor.js and records the outcome itself.
+ *
+ * File tracking (`trackFiles`) snapshots the working directory before and
+ * after each command and reports the files it changed. A read-only sandbox
+ * (`allowWrites: false`) always runs in an overlay workspace with tracking
+ * on, so a write is reported as a `writeViolation` and never reaches the
+ * real tree. Tracked run() calls on one sandbox are serialized so each
+ * snapshot pair covers exactly one command.
  * @module lib/cognitive/sandbox
  */
 
-// path and getPlatform reserved for future sandbox CWD/platform-specific logic
-
-/**
- * Dangerous command patterns that are always blocked.
- * Extends the patterns from scripts/hooks/pre-bash.js for sandbox scope.
- * @type {Array<{ pattern: RegExp, label: string }>}
- */
-const BLOCKED_PATTERNS = [
-  // Filesystem destruction
-  { pattern: /rm\s+(-\w*r\w*f|--recursive).*\//i, label: 'rm -rf with path' },
-  { pattern: /rm\s+-\w*f\w*r.*\//i, label: 'rm -fr with path' },
-  { pattern: /del\s+\/s\s+\/q/i, label: 'del /s /q (Windows recursive delete)' },
-  { pattern: /rmdir\s+\/s\s+\/q/i, label: 'rmdir /s /q (Windows recursive delete)' },
-  { pattern: /:\s*>\s*\//i, label: 'truncate file' },
-
-  // Disk / filesystem
-  { pattern: /mkfs\./i, label: 'format filesystem' },
-  { pattern: /dd\s+if=/i, label: 'dd raw disk write' },
-  { pattern: />\s*\/dev\/sd/i, label: 'write to disk device' },
-  { pattern: /format\s+[a-z]:/i, label: 'format drive (Windows)' },
-  { pattern: /diskpart/i, label: 'diskpart (Windows disk management)' },
-
-  // Permission escalation
-  { pattern: /chmod\s+-R\s+777/i, label: 'chmod 777 recursive' },
-  { pattern: /chown\s+-R\s+root/i, label: 'chown to root recursive' },
-
-  // Git destructive
-  { pattern: /git\s+push\s+.*--force/i, label: 'git push --force' },
-  { pattern: /git\s+push\s+-f\b/i, label: 'git push -f' },
-  { pattern: /git\s+reset\s+--hard/i, label: 'git reset --hard' },
-  { pattern: /git\s+clean\s+-\w*f/i, label: 'git clean -f' },
-
-  // Database destruction
-  { pattern: /drop\s+(database|table|schema)\b/i, label: 'DROP DATABASE/TABLE' },
-  { pattern: /truncate\s+table\b/i, label: 'TRUNCATE TABLE' },
-  { pattern: /delete\s+from\s+\w+\s*;?\s*$/i, label: 'DELETE FROM without WHERE' },
-
-  // Package publishing
-  { pattern: /npm\s+publish/i, label: 'npm publish' },
-
-  // System shutdown / reboot
-  { pattern: /shutdown\s/i, label: 'system shutdown' },
-  { pattern: /reboot\b/i, label: 'system reboot' },
-  { pattern: /init\s+0\b/i, label: 'init 0 (halt)' },
-
-  // Network abuse
-  { pattern: /:(){ :\|:& };:/i, label: 'fork bomb' },
-  { pattern: /wget\s+.*\|\s*(sh|bash)/i, label: 'pipe download to shell' },
-  { pattern: /curl\s+.*\|\s*(sh|bash)/i, label: 'pipe download to shell' },
-
-  // Environment destruction
-  { pattern: /unset\s+(PATH|HOME|USER)\b/i, label: 'unset critical env var' },
-  { pattern: /export\s+PATH\s*=\s*$/i, label: 'empty PATH' },
-];
+import { existsSync } from 'node:fs';
+import { COMMAND_RULES } from '../core/command-rules.js';
+import { describeDecisionRule, EMPTY_POLICY, evaluateCommandPolicy } from '../core/policy.js';
+import { runProcess } from './sandbox-executor.js';
+import { countFileChanges, diffSnapshots, takeSnapshot } from './sandbox-snapshot.js';
+import { applyOverlay, createOverlay, diffOverlay, discardOverlay } from './sandbox-workspace.js';
 
 /**
  * Default sandbox configuration.
@@ -74,14 +40,45 @@ const DEFAULT_OPTIONS = {
   env: {},
   /** Whether to allow network access (advisory, not enforced at OS level) */
   allowNetwork: true,
-  /** Whether to allow file writes (advisory, validated post-execution) */
+  /** Whether to allow file writes (false: forces the overlay workspace and turns on trackFiles) */
   allowWrites: true,
+  /** Snapshot cwd around each command and list the files it changed (default: !allowWrites) */
+  trackFiles: undefined,
+  /** Globs excluded from file tracking (default: .git and node_modules) */
+  trackIgnore: undefined,
   /** Maximum stdout/stderr capture size in bytes */
   maxOutputBytes: 1_048_576, // 1 MB
-  /** Additional blocked patterns beyond defaults */
+  /** Additional blocked patterns or rules beyond COMMAND_RULES */
   extraBlockedPatterns: [],
+  /** Policy from loadPolicy() applied on top of the blocked patterns */
+  policy: null,
+  /** 'record' (create records only) or 'process' (run() spawns commands) */
+  executor: 'record',
+  /** 'direct' (commands run in cwd) or 'overlay' (commands run in a temporary copy of cwd) */
+  workspace: 'direct',
+  /** Overlay entries left out of the copy (default: ['.git']) */
+  workspaceIgnore: undefined,
+  /** Overlay entries symlinked to the real tree (default: ['node_modules']) */
+  workspaceLinks: undefined,
+  /** Existing overlay to run in instead of a fresh copy (resume); implies workspace 'overlay' */
+  workspaceOverlay: undefined,
 };
 
+/** Supported executor backends */
+const EXECUTORS = new Set(['record', 'process']);
+
+/** Supported workspace modes */
+const WORKSPACES = new Set(['direct', 'overlay']);
+
+/** Latest file snapshot per sandbox (reused for hashing) */
+const latestSnapshots = new WeakMap();
+
+/** Snapshot taken before each pending execution record */
+const pendingSnapshots = new WeakMap();
+
+/** Tail of the queue of tracked run() calls per sandbox */
+const trackedRuns = new WeakMap();
+
 let sandboxIdCounter = 0;
 
 /**
@@ -93,9 +90,25 @@ let sandboxIdCounter = 0;
  * @param {string} [options.cwd] - Working directory
  * @param {object} [options.env] - Environment variable overlay
  * @param {boolean} [options.allowNetwork=true] - Allow network access
- * @param {boolean} [options.allowWrites=true] - Allow file writes
+ * @param {boolean} [options.allowWrites=true] - Allow file writes; when false, commands run in
+ *   an overlay workspace (whatever `workspace` says) so their writes never reach the real tree,
+ *   and a command that changed files fails validation (`writeViolation`)
+ * @param {boolean} [options.trackFiles] - Record `fileChanges` (created/modified/deleted) and
+ *   `sideEffects` on each execution record (default: on when allowWrites is false)
+ * @param {string[]} [options.trackIgnore] - Globs excluded from file tracking
  * @param {number} [options.maxOutputBytes=1048576] - Max output capture size
- * @param {Array<{ pattern: RegExp, label: string }>} [options.extraBlockedPatterns] - Additional blocked patterns
+ * @param {Array<import('../core/command-rules.js').CommandRule>} [options.extraBlockedPatterns] - Additional
+ *   `{ pattern, label }` entries or rules with a `test(command)` predicate
+ * @param {{ rules: object[] }|null} [options.policy=null] - Policy from loadPolicy(); `ask` decisions
+ *   are treated as blocked since the sandbox cannot prompt
+ * @param {'record'|'process'} [options.executor='record'] - Executor backend used by run()
+ * @param {'direct'|'overlay'} [options.workspace='direct'] - With 'overlay', cwd (default:
+ *   process.cwd()) is copied to a temporary directory that commands run in; review the result
+ *   with getWorkspaceDiff() and keep or drop it with applyWorkspace() / discardWorkspace()
+ * @param {string[]} [options.workspaceIgnore] - Overlay entries not copied (see sandbox-workspace.js)
+ * @param {string[]} [options.workspaceLinks] - Overlay entries symlinked instead of copied
+ * @param {import('./sandbox-workspace.js').Overlay} [options.workspaceOverlay] - Active overlay
+ *   to keep running in (e.g. from a checkpoint) instead of copying cwd again
  * @returns {{
  *   id: string,
  *   status: 'active' | 'expired' | 'cleaned',
@@ -103,16 +116,25 @@ let sandboxIdCounter = 0;
  *   expiresAt: string,
  *   options: object,
  *   executionLog: Array<object>,
- *   blockedPatterns: Array<{ pattern: RegExp, label: string }>
+ *   blockedPatterns: Array<import('../core/command-rules.js').CommandRule>,
+ *   workspace: import('./sandbox-workspace.js').Overlay | null
  * }}
  */
 export function createSandbox(options = {}) {
   const resolved = { ...DEFAULT_OPTIONS, ...options };
+  resolved.trackFiles = resolved.trackFiles ?? !resolved.allowWrites;
+  if (!resolved.allowWrites || resolved.workspaceOverlay) resolved.workspace = 'overlay';
+  if (!EXECUTORS.has(resolved.executor)) {
+    throw new Error(`Unknown sandbox executor: ${resolved.executor}`);
+  }
+  if (!WORKSPACES.has(resolved.workspace)) {
+    throw new Error(`Unknown sandbox workspace: ${resolved.workspace}`);
+  }
   const now = Date.now();
   sandboxIdCounter += 1;
 
   const blockedPatterns = [
-    ...BLOCKED_PATTERNS,
+    ...COMMAND_RULES,
     ...(resolved.extraBlockedPatterns || []),
   ];
 
@@ -124,35 +146,45 @@ export function createSandbox(options = {}) {
     options: resolved,
     executionLog: [],
     blockedPatterns,
+    workspace: resolved.workspace === 'overlay' ? openWorkspace(resolved) : null,
   };
 }
 
 /**
  * Check whether a command is safe to execute within the sandbox.
+ * Blocked patterns are evaluated through the sandbox policy (if any), so a
+ * policy rule can allow or warn about a flagged command; `ruleId` names the
+ * deciding rule.
  *
  * @param {string} command - The command string to validate
  * @param {object} sandbox - Sandbox context from createSandbox()
- * @returns {{ safe: boolean, blockedBy: string | null }}
+ * @returns {{ safe: boolean, blockedBy: string | null, ruleId: string | null, action: string }}
  */
 export function checkCommandSafety(command, sandbox) {
   if (!command || typeof command !== 'string') {
-    return { safe: false, blockedBy: 'Empty or invalid command' };
+    return { safe: false, blockedBy: 'Empty or invalid command', ruleId: null, action: 'block' };
   }
 
   const trimmed = command.trim();
   if (trimmed.length === 0) {
-    return { safe: false, blockedBy: 'Empty command' };
+    return { safe: false, blockedBy: 'Empty command', ruleId: null, action: 'block' };
   }
 
-  const patterns = sandbox?.blockedPatterns || BLOCKED_PATTERNS;
-
-  for (const { pattern, label } of patterns) {
-    if (pattern.test(trimmed)) {
-      return { safe: false, blockedBy: label };
-    }
+  const decision = evaluateCommandPolicy(trimmed, {
+    policy: sandbox?.options?.policy ?? EMPTY_POLICY,
+    rules: sandbox?.blockedPatterns || COMMAND_RULES,
+    cwd: sandbox?.options?.cwd,
+  });
+  if (decision.action === 'ask' || decision.action === 'block') {
+    return {
+      safe: false,
+      blockedBy: decision.label ?? describeDecisionRule(decision),
+      ruleId: decision.ruleId,
+      action: decision.action,
+    };
   }
 
-  return { safe: true, blockedBy: null };
+  return { safe: true, blockedBy: null, ruleId: decision.ruleId, action: decision.action };
 }
 
 /**
@@ -209,20 +241,71 @@ export function execute(command, sandbox) {
     blockedBy: null,
     startedAt,
     timeoutMs: sandbox.options.timeoutMs,
-    cwd: sandbox.options.cwd,
+    cwd: workingDirectory(sandbox),
     stdout: '',
     stderr: '',
     exitCode: null,
     duration: 0,
   };
 
+  if (sandbox.options.trackFiles) {
+    pendingSnapshots.set(result, snapshotWorkingDirectory(sandbox));
+  }
+
   sandbox.executionLog.push(result);
   return result;
 }
 
+/**
+ * Run a command in the sandbox using its configured executor.
+ * With the 'process' executor an approved command is spawned (honoring
+ * timeoutMs, cwd, env and maxOutputBytes) and its outcome recorded via
+ * recordResult(); with 'record' this is equivalent to execute().
+ * With file tracking on, calls on the same sandbox run one at a time so
+ * concurrent steps (executeAsync()) are not blamed for each other's writes.
+ *
+ * @param {string} command - Command to run
+ * @param {object} sandbox - Sandbox context from createSandbox()
+ * @returns {Promise<object>} Execution record (executed: true once the process has run)
+ * @example
+ * const sbx = createSandbox({ executor: 'process', cwd: '/work/app', timeoutMs: 60_000 });
+ * const record = await run('npm test', sbx);
+ * validate(record).success; // true when npm test exited 0
+ */
+export async function run(command, sandbox) {
+  if (!sandbox?.options?.trackFiles) {
+    return runNow(command, sandbox);
+  }
+  const queued = (trackedRuns.get(sandbox) ?? Promise.resolve()).then(() => runNow(command, sandbox));
+  trackedRuns.set(sandbox, queued.catch(() => {}));
+  return queued;
+}
+
+/**
+ * Execute a command and, with the 'process' executor, spawn it and record the outcome.
+ * @param {string} command
+ * @param {object} sandbox
+ * @returns {Promise<object>} Execution record
+ */
+async function runNow(command, sandbox) {
+  const record = execute(command, sandbox);
+  if (record.blocked || sandbox.options.executor !== 'process') {
+    return record;
+  }
+
+  const { env, timeoutMs, maxOutputBytes } = sandbox.options;
+  const actual = await runProcess(command, { cwd: workingDirectory(sandbox), env, timeoutMs, maxOutputBytes });
+  return recordResult(record, actual, sandbox);
+}
+
 /**
  * Record the actual execution result into a sandbox execution record.
- * Called after the Claude Code Bash tool returns.
+ * Called after the Claude Code Bash tool returns, or by run() once the
+ * spawned process exits. When the sandbox is given, the pending entry in
+ * its execution log is replaced with the completed record, and with file
+ * tracking on the record gets `fileChanges`, `sideEffects` (number of files
+ * changed since execute()) and `writeViolation` (files changed although
+ * allowWrites is false).
  *
  * @param {object} executionRecord - Record from execute()
  * @param {object} actualResult - Actual execution result
@@ -230,12 +313,15 @@ export function execute(command, sandbox) {
  * @param {string} [actualResult.stderr=''] - Standard error
  * @param {number} [actualResult.exitCode=1] - Exit code
  * @param {number} [actualResult.duration=0] - Duration in ms
+ * @param {boolean} [actualResult.timedOut] - Whether the process was killed on timeout
+ * @param {object} [actualResult.resourceUsage] - Resource usage reported by the executor
+ * @param {object} [sandbox] - Sandbox whose execution log holds the record
  * @returns {object} Updated execution record
  */
-export function recordResult(executionRecord, actualResult) {
-  const maxBytes = DEFAULT_OPTIONS.maxOutputBytes;
+export function recordResult(executionRecord, actualResult, sandbox) {
+  const maxBytes = sandbox?.options?.maxOutputBytes ?? DEFAULT_OPTIONS.maxOutputBytes;
 
-  return {
+  const updated = {
     ...executionRecord,
     executed: true,
     stdout: truncateOutput(actualResult.stdout || '', maxBytes),
@@ -243,6 +329,24 @@ export function recordResult(executionRecord, actualResult) {
     exitCode: actualResult.exitCode ?? 1,
     duration: actualResult.duration || 0,
   };
+  if (actualResult.timedOut !== undefined) updated.timedOut = actualResult.timedOut;
+  if (actualResult.resourceUsage) updated.resourceUsage = actualResult.resourceUsage;
+
+  const before = pendingSnapshots.get(executionRecord);
+  if (before && sandbox) {
+    pendingSnapshots.delete(executionRecord);
+    updated.fileChanges = diffSnapshots(before, snapshotWorkingDirectory(sandbox));
+    updated.sideEffects = countFileChanges(updated.fileChanges);
+    updated.writeViolation = !sandbox.options.allowWrites && updated.sideEffects > 0;
+  }
+
+  const log = sandbox?.executionLog;
+  const index = log ? log.indexOf(executionRecord) : -1;
+  if (index >= 0 && !Object.isFrozen(log)) {
+    log[index] = updated;
+  }
+
+  return updated;
 }
 
 /**
@@ -302,8 +406,13 @@ export function validate(result) {
     }
   }
 
+  // Check for writes in a read-only sandbox
+  if (result.writeViolation) {
+    issues.push(`File writes not allowed: ${result.sideEffects} file(s) changed`);
+  }
+
   // Check for timeout
-  if (result.duration > 0 && result.duration >= result.timeoutMs) {
+  if (result.timedOut || (result.duration > 0 && result.duration >= result.timeoutMs)) {
     issues.push(`Execution timed out (${result.duration}ms >= ${result.timeoutMs}ms)`);
   }
 
@@ -311,7 +420,8 @@ export function validate(result) {
   let severity = 'none';
   if (issues.length > 0) {
     const hasFatal = issues.some((i) =>
-      i.includes('fatal') || i.includes('Segmentation') || i.includes('Permission denied'),
+      i.includes('fatal') || i.includes('Segmentation') || i.includes('Permission denied') ||
+      i.includes('writes not allowed'),
     );
     const hasError = issues.some((i) => i.includes('error') || i.includes('exit code'));
     const hasTimeout = issues.some((i) => i.includes('timed out'));
@@ -341,6 +451,8 @@ export function validate(result) {
  *   failed: number,
  *   pending: number,
  *   totalDuration: number,
+ *   filesChanged: number,
+ *   writeViolations: number,
  *   status: string
  * }}
  */
@@ -353,6 +465,8 @@ export function getStats(sandbox) {
       failed: 0,
       pending: 0,
       totalDuration: 0,
+      filesChanged: 0,
+      writeViolations: 0,
       status: 'unknown',
     };
   }
@@ -362,8 +476,12 @@ export function getStats(sandbox) {
   let failed = 0;
   let pending = 0;
   let totalDuration = 0;
+  let filesChanged = 0;
+  let writeViolations = 0;
 
   for (const entry of sandbox.executionLog) {
+    filesChanged += entry.sideEffects || 0;
+    if (entry.writeViolation) writeViolations += 1;
     if (entry.blocked) {
       blocked += 1;
     } else if (!entry.executed) {
@@ -384,13 +502,58 @@ export function getStats(sandbox) {
     failed,
     pending,
     totalDuration,
+    filesChanged,
+    writeViolations,
     status: sandbox.status,
   };
 }
 
+/**
+ * Review the changes commands made in an overlay workspace.
+ *
+ * @param {object} sandbox - Sandbox created with `workspace: 'overlay'`
+ * @param {{ patch?: boolean }} [options] - See diffOverlay()
+ * @returns {ReturnType<typeof diffOverlay>}
+ * @example
+ * const sbx = createSandbox({ executor: 'process', workspace: 'overlay', cwd: repoRoot });
+ * await run('npm run codemod', sbx);
+ * for (const change of getWorkspaceDiff(sbx).changes) console.log(change.patch);
+ */
+export function getWorkspaceDiff(sandbox, options) {
+  return diffOverlay(requireWorkspace(sandbox), options);
+}
+
+/**
+ * Write the overlay workspace changes back to the real working tree.
+ * Refused for a read-only sandbox (`allowWrites: false`).
+ *
+ * @param {object} sandbox - Sandbox created with `workspace: 'overlay'`
+ * @param {{ paths?: string[], force?: boolean }} [options] - See applyOverlay()
+ * @returns {{ applied: string[], conflicts: string[] }}
+ */
+export function applyWorkspace(sandbox, options) {
+  const workspace = requireWorkspace(sandbox);
+  if (!sandbox.options.allowWrites) {
+    throw new Error(`Sandbox ${sandbox.id} is read-only (allowWrites: false); its workspace cannot be applied`);
+  }
+  return applyOverlay(workspace, options);
+}
+
+/**
+ * Delete the overlay workspace without touching the real working tree.
+ *
+ * @param {object} sandbox - Sandbox created with `workspace: 'overlay'`
+ * @returns {{ overlayId: string, status: 'discarded' }}
+ */
+export function discardWorkspace(sandbox) {
+  return discardOverlay(requireWorkspace(sandbox));
+}
+
 /**
  * Clean up sandbox resources and mark as cleaned.
  * Freezes the execution log and invalidates the sandbox for further use.
+ * An overlay workspace is kept so it can still be reviewed and applied;
+ * release it with discardWorkspace().
  *
  * @param {object} sandbox - Sandbox context to clean up
  * @returns {{
@@ -424,8 +587,85 @@ export function cleanup(sandbox) {
   };
 }
 
+/**
+ * Convert an execution record into a GRPO candidate result
+ * (see grpo-optimizer.js evaluateGroup()), with the tracked file change
+ * count as `sideEffects`.
+ *
+ * @param {object} record - Completed execution record
+ * @returns {{ exitCode: number|null, errors: number, duration: number, commandLength: number, sideEffects?: number }}
+ * @example
+ * const record = await run('npm run build', sbx); // sandbox with trackFiles: true
+ * evaluateGroup([{ id: 'build', strategy: 'balanced', result: toLearningResult(record) }, ...]);
+ */
+export function toLearningResult(record) {
+  const result = {
+    exitCode: record.exitCode,
+    errors: validate(record).issues.length,
+    duration: record.duration || 0,
+    commandLength: String(record.command ?? '').length,
+  };
+  if (record.sideEffects !== undefined) result.sideEffects = record.sideEffects;
+  return result;
+}
+
 // --- Internal helpers ---
 
+/**
+ * Snapshot the directory commands run in, reusing the sandbox's previous snapshot.
+ * @param {object} sandbox
+ * @returns {import('./sandbox-snapshot.js').FileSnapshot}
+ */
+function snapshotWorkingDirectory(sandbox) {
+  const snapshot = takeSnapshot(workingDirectory(sandbox) ?? process.cwd(), {
+    ignore: sandbox.options.trackIgnore,
+    previous: latestSnapshots.get(sandbox),
+  });
+  latestSnapshots.set(sandbox, snapshot);
+  return snapshot;
+}
+
+/**
+ * Directory commands run in: the overlay copy when there is one.
+ * @param {object} sandbox
+ * @returns {string|undefined}
+ */
+function workingDirectory(sandbox) {
+  return sandbox.workspace?.root ?? sandbox.options.cwd;
+}
+
+/**
+ * Overlay for a new sandbox: the given `workspaceOverlay` when it is still
+ * usable, otherwise a fresh copy of cwd.
+ * @param {object} options - Resolved sandbox options
+ * @returns {import('./sandbox-workspace.js').Overlay}
+ * @throws {Error} When `workspaceOverlay` was discarded or its directory is gone
+ */
+function openWorkspace(options) {
+  const overlay = options.workspaceOverlay;
+  if (!overlay) {
+    return createOverlay(options.cwd ?? process.cwd(), {
+      ignore: options.workspaceIgnore,
+      links: options.workspaceLinks,
+    });
+  }
+  if (overlay.status !== 'active' || !existsSync(overlay.root)) {
+    throw new Error(`Overlay workspace ${overlay.id} is no longer available (${overlay.root})`);
+  }
+  return overlay;
+}
+
+/**
+ * @param {object} sandbox
+ * @returns {import('./sandbox-workspace.js').Overlay}
+ */
+function requireWorkspace(sandbox) {
+  if (!sandbox?.workspace) {
+    throw new Error('Sandbox has no overlay workspace (create it with workspace: \'overlay\')');
+  }
+  return sandbox.workspace;
+}
+
 /**
  * Create a blocked execution result record.
  * @param {string} command - Command that was blocked
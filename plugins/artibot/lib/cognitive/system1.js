@@ -4,23 +4,51 @@
  * Inspired by Kahneman's dual-process theory. Provides instant responses
  * using cached patterns, memory RAG search, and tool-learner suggestions.
  * Target latency: <100ms for cached hits, <200ms with memory lookup.
+ * The latency budget and confidence floor come from `cognitive.system1`
+ * in artibot.config.json (see configure()); lookups still running when the
+ * budget expires are abandoned and the partial result is flagged `timedOut`.
  *
  * Integrates with:
  * - memory-manager: RAG-based memory search for relevant past experiences
  * - tool-learner: Optimal tool suggestion from usage history + GRPO scores
  * - Cache: In-memory pattern cache for sub-millisecond hits
  * - Pattern DB: Persistent pattern files in ~/.claude/artibot/patterns/
+ * - Pattern index: BM25 inverted index over pattern keywords (pattern-index.js),
+ *   persisted to ~/.claude/artibot/patterns-index.json (atomic rewrite) and
+ *   updated in place by savePattern() and knowledge-transfer hotSwap();
+ *   savePattern() appends to patterns-index.journal instead of rewriting the
+ *   index, and the journal is folded into the next full write
  *
  * Zero dependencies - uses node:fs, node:path, node:os only.
  * @module lib/cognitive/system1
  */
 
 import path from 'node:path';
+import fs from 'node:fs/promises';
 import { Cache } from '../core/cache.js';
-import { ensureDir, listFiles, readJsonFile, writeJsonFile } from '../core/file.js';
+import {
+  appendTextFile,
+  ensureDir,
+  listFiles,
+  readJsonFile,
+  readTextFile,
+  writeJsonFile,
+  writeJsonFileAtomic,
+  writeTextFile,
+} from '../core/file.js';
 import { getHomeDir } from '../core/platform.js';
 import { searchMemory } from '../learning/memory-manager.js';
 import { buildContextKey, suggestTool } from '../learning/tool-learner.js';
+import { calibrate, getPendingPredictions, recordOutcome, recordPrediction, resetCalibration } from './calibration.js';
+import {
+  addToIndex,
+  CJK_RE,
+  createPatternIndex,
+  deserializeIndex,
+  removeFromIndex,
+  searchIndex,
+  serializeIndex,
+} from './pattern-index.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -29,11 +57,35 @@ import { buildContextKey, suggestTool } from '../learning/tool-learner.js';
 /** Directory for persistent pattern files */
 const PATTERNS_DIR_NAME = 'patterns';
 
-/** Confidence threshold below which we escalate to System 2 */
-const ESCALATION_THRESHOLD = 0.6;
+/** Default confidence floor below which we escalate to System 2 */
+const DEFAULT_MIN_CONFIDENCE = 0.6;
 
-/** Maximum patterns loaded into warm cache */
-const MAX_WARM_CACHE_PATTERNS = 200;
+/** Default latency budget for fastResponse() in milliseconds */
+const DEFAULT_MAX_LATENCY = 100;
+
+/** Recent fastResponse() latencies kept for percentile diagnostics */
+const MAX_LATENCY_SAMPLES = 500;
+
+/** Resolution value of a lookup abandoned at the deadline */
+const TIMED_OUT = Symbol('timedOut');
+
+/** Persisted pattern index file, next to the patterns directory */
+const PATTERN_INDEX_FILE = 'patterns-index.json';
+
+/** Patterns saved since the last index write, one JSON record per line */
+const PATTERN_JOURNAL_FILE = 'patterns-index.journal';
+
+/** Journal records that trigger a full index write */
+const MAX_JOURNAL_ENTRIES = 200;
+
+/** System 1 patterns promoted by knowledge-transfer */
+const PROMOTED_PATTERNS_FILE = 'system1-patterns.json';
+
+/** Maximum patterns held in the index */
+const MAX_INDEXED_PATTERNS = 10000;
+
+/** BM25 candidates re-scored per lookup */
+const MAX_PATTERN_CANDIDATES = 50;
 
 /** Cache TTL for pattern lookups (10 minutes) */
 const PATTERN_CACHE_TTL = 10 * 60 * 1000;
@@ -63,12 +115,58 @@ const _memoryCache = new Cache(MEMORY_CACHE_TTL);
 /** In-memory cache for tool suggestions */
 const _toolCache = new Cache(TOOL_CACHE_TTL);
 
-/** Loaded patterns from disk (populated by warmCache) */
-let _loadedPatterns = [];
+/** Loaded patterns by id (populated by warmCache) */
+let _patterns = new Map();
+
+/** Inverted keyword index over _patterns */
+let _index = createPatternIndex();
+
+/** Files the patterns came from: path -> { mtimeMs, ids } */
+let _sources = {};
 
 /** Whether warmCache has been called at least once */
 let _warmed = false;
 
+/** Records in the index journal since the last full write */
+let _journalLength = 0;
+
+/** @type {number} Latency budget in ms (0 disables the deadline) */
+let _maxLatency = DEFAULT_MAX_LATENCY;
+
+/** @type {number} Confidence floor for answering without System 2 */
+let _minConfidence = DEFAULT_MIN_CONFIDENCE;
+
+/** @type {number[]} Most recent fastResponse() latencies, oldest first */
+let _latencies = [];
+
+/** @type {number} Responses that hit the latency budget */
+let _timeouts = 0;
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+/**
+ * Configure System 1 from external config (artibot.config.json `cognitive.system1`).
+ * Values that are missing or out of range keep their current setting.
+ *
+ * @param {object} [config] - Configuration options.
+ * @param {number} [config.maxLatency] - Latency budget in ms for fastResponse(); 0 disables it.
+ * @param {number} [config.minConfidence] - Confidence (0-1) below which responses escalate to System 2.
+ * @returns {{ maxLatency: number, minConfidence: number }} Effective settings
+ * @example
+ * configure({ maxLatency: 50, minConfidence: 0.7 });
+ */
+export function configure(config = {}) {
+  if (Number.isFinite(config.maxLatency) && config.maxLatency >= 0) {
+    _maxLatency = config.maxLatency;
+  }
+  if (Number.isFinite(config.minConfidence) && config.minConfidence >= 0 && config.minConfidence <= 1) {
+    _minConfidence = config.minConfidence;
+  }
+  return { maxLatency: _maxLatency, minConfidence: _minConfidence };
+}
+
 // ---------------------------------------------------------------------------
 // Path Helpers
 // ---------------------------------------------------------------------------
@@ -81,12 +179,37 @@ function getPatternsDir() {
   return path.join(getHomeDir(), '.claude', 'artibot', PATTERNS_DIR_NAME);
 }
 
+/**
+ * Get the persisted pattern index path.
+ * @returns {string}
+ */
+function getIndexPath() {
+  return path.join(getHomeDir(), '.claude', 'artibot', PATTERN_INDEX_FILE);
+}
+
+/**
+ * Get the pattern index journal path.
+ * @returns {string}
+ */
+function getJournalPath() {
+  return path.join(getHomeDir(), '.claude', 'artibot', PATTERN_JOURNAL_FILE);
+}
+
+/**
+ * Get the promoted System 1 patterns path.
+ * @returns {string}
+ */
+function getPromotedPatternsPath() {
+  return path.join(getHomeDir(), '.claude', 'artibot', PROMOTED_PATTERNS_FILE);
+}
+
 // ---------------------------------------------------------------------------
 // Tokenization
 // ---------------------------------------------------------------------------
 
 /**
  * Tokenize input text into normalized lowercase tokens.
+ * Single characters are dropped unless they are Hangul, kana or CJK.
  * @param {string} text - Text to tokenize
  * @returns {string[]}
  */
@@ -95,7 +218,7 @@ function tokenize(text) {
   return text
     .toLowerCase()
     .split(/[\s,./\\:;|_\-@#()[\]{}"'`!?=<>+*&^%$~]+/)
-    .filter((t) => t.length >= 2 && t.length <= 60)
+    .filter((t) => (t.length >= 2 || CJK_RE.test(t)) && t.length <= 60)
     .slice(0, MAX_INPUT_TOKENS);
 }
 
@@ -132,22 +255,23 @@ function buildCacheKey(input, context) {
  */
 
 /**
- * Score a pattern against tokenized input.
- * Uses keyword overlap ratio plus bonuses for domain/command match.
+ * Score a pattern against the keyword matches found by the index.
+ * Uses keyword overlap ratio (fuzzy matches count by similarity) plus
+ * bonuses for domain/command match.
  *
  * @param {PatternRecord} pattern - Pattern to score
- * @param {string[]} inputTokens - Tokenized input
+ * @param {Record<string, number>} matches - Matched term -> similarity (see searchIndex())
  * @param {object} [context] - Optional context
  * @returns {{ score: number, matchedKeywords: string[] }}
  */
-function scorePattern(pattern, inputTokens, context) {
+function scorePattern(pattern, matches, context) {
   if (!pattern.keywords || pattern.keywords.length === 0) {
     return { score: 0, matchedKeywords: [] };
   }
 
-  const inputSet = new Set(inputTokens);
-  const matchedKeywords = pattern.keywords.filter((kw) => inputSet.has(kw));
-  const overlapRatio = matchedKeywords.length / pattern.keywords.length;
+  const similarityOf = (kw) => (typeof kw === 'string' ? matches[kw.trim().toLowerCase()] : undefined);
+  const matchedKeywords = pattern.keywords.filter((kw) => similarityOf(kw) !== undefined);
+  const overlapRatio = matchedKeywords.reduce((sum, kw) => sum + similarityOf(kw), 0) / pattern.keywords.length;
 
   // Base score from keyword overlap
   let score = overlapRatio;
@@ -180,6 +304,8 @@ function scorePattern(pattern, inputTokens, context) {
 
 /**
  * Match input against loaded patterns and return the best match.
+ * The index yields BM25-ranked candidates; each is re-scored with
+ * scorePattern() so the score stays a 0-1 confidence.
  *
  * @param {string} input - Raw user input
  * @param {object} [context] - Optional context (domain, command, etc.)
@@ -201,8 +327,11 @@ export function patternMatch(input, context) {
   let bestScore = 0;
   let bestMatched = [];
 
-  for (const pattern of _loadedPatterns) {
-    const { score, matchedKeywords } = scorePattern(pattern, tokens, context);
+  // Candidates arrive in BM25 order, so ties keep the better BM25 match
+  const candidates = searchIndex(_index, tokens, { limit: MAX_PATTERN_CANDIDATES });
+  for (const candidate of candidates) {
+    const pattern = _patterns.get(candidate.id);
+    const { score, matchedKeywords } = scorePattern(pattern, candidate.matches, context);
     if (score > bestScore) {
       bestScore = score;
       bestPattern = pattern;
@@ -217,7 +346,8 @@ export function patternMatch(input, context) {
     score: Math.round(bestScore * 1000) / 1000,
     metadata: {
       tokens: tokens.length,
-      patternsChecked: _loadedPatterns.length,
+      patternsChecked: _patterns.size,
+      candidates: candidates.length,
       matchedKeywords: bestMatched,
       latencyMs,
     },
@@ -236,6 +366,10 @@ export function patternMatch(input, context) {
  * @property {number} latencyMs - Total response time in milliseconds
  * @property {object} [toolSuggestion] - Suggested tool if available
  * @property {object} [memoryHits] - Relevant memory entries
+ * @property {string} [patternId] - Matched pattern, when the response came from one
+ * @property {number} [rawConfidence] - Confidence before calibration, when calibration changed it
+ * @property {boolean} [timedOut] - Whether the latency budget cut lookups short
+ * @property {string[]} [timedOutSources] - Lookups abandoned at the deadline: 'memory' | 'tool'
  * @property {boolean} [escalate] - Whether to escalate to System 2
  * @property {string} [escalateReason] - Reason for escalation
  */
@@ -244,16 +378,30 @@ export function patternMatch(input, context) {
  * Produce a fast, intuitive response by searching cached patterns,
  * memory, and tool history. Target: <100ms for cache hits.
  *
+ * Memory search and tool suggestion race the remaining latency budget.
+ * Whatever has not answered by then is left out of the response, which is
+ * marked `timedOut` and not cached; the abandoned lookup still fills its own
+ * cache, so the next identical query can use it. Responses whose confidence
+ * is below the configured floor are escalated to System 2.
+ *
  * @param {string} input - User input or task description
  * @param {object} [context] - Session context
  * @param {string} [context.command] - Current command
  * @param {string} [context.domain] - Domain classification
  * @param {string} [context.project] - Project name
  * @param {string} [context.cwd] - Current working directory
+ * @param {object} [options] - Per-call overrides of configure() settings
+ * @param {number} [options.maxLatency] - Latency budget in ms (0 disables it)
+ * @param {number} [options.minConfidence] - Escalation confidence floor (0-1)
  * @returns {Promise<FastResponse>}
+ * @example
+ * const r = await fastResponse('fix the login bug', {}, { maxLatency: 50 });
+ * if (r.timedOut) console.log('partial result from', r.source);
  */
-export async function fastResponse(input, context = {}) {
+export async function fastResponse(input, context = {}, options = {}) {
   const start = performance.now();
+  const maxLatency = options.maxLatency ?? _maxLatency;
+  const minConfidence = options.minConfidence ?? _minConfidence;
 
   if (!input || typeof input !== 'string' || input.trim().length === 0) {
     return {
@@ -276,83 +424,141 @@ export async function fastResponse(input, context = {}) {
   // 1. Check in-memory response cache (sub-ms)
   const cached = _patternCache.get(cacheKey);
   if (cached) {
-    return {
-      ...cached,
-      source: 'cache',
-      latencyMs: Math.round((performance.now() - start) * 100) / 100,
-    };
+    const latencyMs = _elapsed(start);
+    _recordLatency(latencyMs, false);
+    _notePrediction(cached, context);
+    return { ...cached, source: 'cache', latencyMs };
   }
 
   // 2. Pattern matching against loaded patterns (sync, fast)
   const match = patternMatch(input, context);
-  let bestResponse = null;
-  let bestConfidence = 0;
-  let bestSource = 'none';
+  let best = { response: null, confidence: 0, source: 'none' };
 
   if (match.pattern && match.score >= MIN_PATTERN_MATCH_SCORE) {
-    bestResponse = match.pattern.response;
-    bestConfidence = match.score * match.pattern.confidence;
-    bestSource = 'pattern';
+    best = { response: match.pattern.response, confidence: match.score * match.pattern.confidence, source: 'pattern' };
   }
 
-  // 3. Parallel: memory search + tool suggestion (async, <100ms each)
-  const [memoryHits, toolSuggestion] = await Promise.all([
-    _searchMemoryCached(input, context),
-    _suggestToolCached(input, context),
-  ]);
-
-  // 4. If memory has high-relevance hits, boost confidence or use as response
-  if (memoryHits.length > 0 && memoryHits[0].score > 0.5) {
-    if (bestConfidence < memoryHits[0].score) {
-      bestResponse = {
-        type: 'memory_recall',
-        entries: memoryHits.slice(0, 3).map((h) => h.entry.data),
-        topScore: memoryHits[0].score,
-      };
-      bestConfidence = memoryHits[0].score;
-      bestSource = 'memory';
-    } else {
-      // Boost pattern confidence with memory corroboration
-      bestConfidence = Math.min(1, bestConfidence + 0.1);
-    }
-  }
+  // 3. Parallel: memory search + tool suggestion, bounded by the remaining budget
+  const { memoryHits, toolSuggestion, timedOutSources } = await _lookupWithinBudget(input, context, maxLatency, start);
+  const timedOut = timedOutSources.length > 0;
 
-  // 5. If tool suggestion available, attach it
+  // 4-5. Fold in memory recall and tool recommendation
   const toolResult = toolSuggestion.length > 0 ? toolSuggestion[0] : null;
-  if (toolResult && bestSource === 'none') {
-    bestResponse = {
-      type: 'tool_recommendation',
-      tool: toolResult.tool,
-      score: toolResult.weightedScore,
-      confidence: toolResult.confidence,
-    };
-    bestConfidence = toolResult.weightedScore * 0.8;
-    bestSource = 'tool';
-  }
+  const combined = _combineEvidence(best, memoryHits, toolResult);
+  const { response: bestResponse, source: bestSource } = combined;
+
+  // Recalibrate against observed pattern outcomes (identity until enough exist)
+  const { confidence: bestConfidence, provenance } = _calibrateResponse(combined, match.pattern, context);
 
   // 6. Determine if escalation is needed
-  const shouldEscalate = bestConfidence < ESCALATION_THRESHOLD;
-  const latencyMs = Math.round((performance.now() - start) * 100) / 100;
+  const shouldEscalate = bestConfidence < minConfidence;
+  const latencyMs = _elapsed(start);
+  _recordLatency(latencyMs, timedOut);
 
   const result = {
     response: bestResponse,
     confidence: Math.round(bestConfidence * 1000) / 1000,
     source: bestSource,
     latencyMs,
+    ...provenance,
     ...(toolResult && { toolSuggestion: toolResult }),
     ...(memoryHits.length > 0 && { memoryHits: memoryHits.slice(0, 5) }),
-    ...(shouldEscalate && { escalate: true }),
-    ...(shouldEscalate && { escalateReason: _getEscalationReason(bestConfidence, bestSource) }),
+    ...(timedOut && { timedOut: true, timedOutSources }),
+    ...(shouldEscalate && { escalate: true, escalateReason: _getEscalationReason(bestConfidence, bestSource, timedOut) }),
   };
 
-  // Cache the result for subsequent identical queries
-  if (!shouldEscalate) {
+  // Cache complete, confident results for subsequent identical queries
+  if (!shouldEscalate && !timedOut) {
     _patternCache.set(cacheKey, result);
   }
 
+  _notePrediction(result, context);
   return result;
 }
 
+/**
+ * Domain a System 1 prediction is calibrated under.
+ * @param {string|null} patternId - Matched pattern
+ * @param {object} context - Session context
+ * @returns {string|undefined}
+ */
+function _domainOf(patternId, context) {
+  return context.domain ?? (patternId ? _patterns.get(patternId)?.domain : undefined);
+}
+
+/**
+ * Calibrate a combined System 1 answer.
+ * @param {{ confidence: number, source: string }} combined - Output of _combineEvidence()
+ * @param {object|null} pattern - Matched pattern
+ * @param {object} context - Session context
+ * @returns {{ confidence: number, provenance: { patternId?: string, rawConfidence?: number } }}
+ *   `provenance` names the pattern behind a pattern answer and keeps the raw
+ *   confidence when calibration changed it
+ */
+function _calibrateResponse(combined, pattern, context) {
+  const patternId = combined.source === 'pattern' ? pattern.id : null;
+  const confidence = calibrate('system1', combined.confidence, _domainOf(patternId, context));
+  return {
+    confidence,
+    provenance: {
+      ...(patternId && { patternId }),
+      ...(confidence !== combined.confidence && { rawConfidence: Math.round(combined.confidence * 1000) / 1000 }),
+    },
+  };
+}
+
+/**
+ * Remember a pattern-backed response's raw confidence so that
+ * recordPatternOutcome() can join it with the outcome for calibration.
+ * @param {FastResponse} result
+ * @param {object} context - Session context
+ */
+function _notePrediction(result, context) {
+  if (!result.patternId) return;
+  recordPrediction('system1', result.patternId, result.rawConfidence ?? result.confidence, _domainOf(result.patternId, context));
+}
+
+/**
+ * Combine the pattern match with memory hits and the top tool suggestion.
+ * High-relevance memory replaces a weaker answer or corroborates a stronger
+ * one (+0.1); a tool suggestion answers only when nothing else did.
+ * @param {{ response: object|null, confidence: number, source: string }} best - Pattern result
+ * @param {Array<{entry: object, score: number}>} memoryHits - Memory search results
+ * @param {object|null} toolResult - Top tool suggestion
+ * @returns {{ response: object|null, confidence: number, source: string }}
+ */
+function _combineEvidence(best, memoryHits, toolResult) {
+  let { response, confidence, source } = best;
+
+  if (memoryHits.length > 0 && memoryHits[0].score > 0.5) {
+    if (confidence < memoryHits[0].score) {
+      response = {
+        type: 'memory_recall',
+        entries: memoryHits.slice(0, 3).map((h) => h.entry.data),
+        topScore: memoryHits[0].score,
+      };
+      confidence = memoryHits[0].score;
+      source = 'memory';
+    } else {
+      // Boost pattern confidence with memory corroboration
+      confidence = Math.min(1, confidence + 0.1);
+    }
+  }
+
+  if (toolResult && source === 'none') {
+    response = {
+      type: 'tool_recommendation',
+      tool: toolResult.tool,
+      score: toolResult.weightedScore,
+      confidence: toolResult.confidence,
+    };
+    confidence = toolResult.weightedScore * 0.8;
+    source = 'tool';
+  }
+
+  return { response, confidence, source };
+}
+
 // ---------------------------------------------------------------------------
 // Escalation
 // ---------------------------------------------------------------------------
@@ -377,9 +583,11 @@ export function escalateToSystem2(input, reason) {
  * Determine escalation reason based on confidence and source.
  * @param {number} confidence - Confidence score
  * @param {string} source - Response source
+ * @param {boolean} [timedOut] - Whether lookups were cut off by the latency budget
  * @returns {string}
  */
-function _getEscalationReason(confidence, source) {
+function _getEscalationReason(confidence, source, timedOut = false) {
+  if (timedOut) return 'latency_budget_exceeded';
   if (confidence === 0) return 'no_matching_pattern';
   if (confidence < 0.3) return 'very_low_confidence';
   if (source === 'none') return 'no_data_source';
@@ -391,7 +599,7 @@ function _getEscalationReason(confidence, source) {
 // ---------------------------------------------------------------------------
 
 /**
- * Pre-load frequently used patterns from disk into memory.
+ * Load patterns from disk into the in-memory index.
  * Called automatically on first fastResponse(), or can be called
  * explicitly at startup for better first-query latency.
  *
@@ -400,82 +608,146 @@ function _getEscalationReason(confidence, source) {
  *   2. System 1 patterns from system1-patterns.json (promoted from lifelong learning)
  *      These use key-based matching with auto-generated keywords from category/insight.
  *
- * @returns {Promise<{ loaded: number, dir: string }>}
+ * The first call starts from the persisted index (patterns-index.json);
+ * only sources whose modification time changed since are re-read, and
+ * sources that disappeared are dropped. The index is saved when anything changed.
+ *
+ * @returns {Promise<{ loaded: number, dir: string, refreshed: number }>}
  */
 export async function warmCache() {
   const dir = getPatternsDir();
   await ensureDir(dir);
+  if (!_warmed) await _loadPersistedIndex();
 
   const files = await listFiles(dir, '.json');
-  const patterns = [];
-
-  for (const file of files.slice(0, MAX_WARM_CACHE_PATTERNS)) {
-    const data = await readJsonFile(file);
-    if (data && data.id && data.keywords) {
-      patterns.push(data);
-    } else if (data && Array.isArray(data.patterns)) {
-      // Support pattern collection files (lifelong-learner format)
-      for (const p of data.patterns) {
-        if (p.id && p.keywords) {
-          patterns.push(p);
-        } else if (p.key && !p.keywords) {
-          // Convert lifelong-learner patterns to System 1 format
-          // Generate keywords from key, category, and insight
-          const keywords = _extractKeywords(p);
-          if (keywords.length > 0) {
-            patterns.push({
-              id: p.key,
-              keywords,
-              intent: p.type ?? 'learned',
-              domain: p.type,
-              confidence: p.confidence ?? 0.5,
-              response: { type: 'learned_pattern', data: p.bestData, insight: p.insight },
-              useCount: p.sampleSize ?? 0,
-              successRate: p.confidence ?? 0.5,
-              lastUsed: p.extractedAt ? new Date(p.extractedAt).getTime() : Date.now(),
-              source: 'lifelong-learner',
-            });
-          }
-        }
-      }
+  const promotedPath = getPromotedPatternsPath();
+  const live = new Set([...files, promotedPath]);
+  let refreshed = 0;
+
+  for (const file of Object.keys(_sources)) {
+    if (!live.has(file)) {
+      _dropSource(file);
+      refreshed++;
     }
   }
+  // Pattern files first: their ids win over promoted patterns with the same key
+  for (const file of files) {
+    if (await _refreshSource(file, _readPatternFile)) refreshed++;
+  }
+  if (await _refreshSource(promotedPath, _readPromotedPatterns)) refreshed++;
+
+  _warmed = true;
+  if (refreshed > 0) await _persistIndex();
 
-  // Also load System 1 promoted patterns (from knowledge-transfer)
-  const homeDir = getHomeDir();
-  const s1Path = path.join(homeDir, '.claude', 'artibot', 'system1-patterns.json');
-  const s1Data = await readJsonFile(s1Path);
-  if (s1Data && Array.isArray(s1Data.patterns)) {
-    for (const p of s1Data.patterns) {
-      if (p.status !== 'active') continue;
-      // Skip if already loaded by key
-      if (patterns.some(existing => existing.id === p.key)) continue;
+  return { loaded: _patterns.size, dir, refreshed };
+}
 
+/**
+ * Apply a knowledge-transfer hot swap to the warm index: index promoted
+ * patterns and drop demoted ones without re-reading the pattern files.
+ * No-op until warmCache() has run; the next warmCache() picks the change
+ * up from system1-patterns.json instead.
+ *
+ * @param {object} swap
+ * @param {object[]} [swap.promoted] - Promoted System 1 patterns (knowledge-transfer format)
+ * @param {string[]} [swap.demoted] - Keys of demoted patterns
+ * @returns {Promise<{ indexed: number, removed: number }>}
+ */
+export async function applyHotSwap({ promoted = [], demoted = [] } = {}) {
+  if (!_warmed) return { indexed: 0, removed: 0 };
+
+  const promotedPath = getPromotedPatternsPath();
+  const source = _sources[promotedPath] ?? { mtimeMs: null, ids: [] };
+  let removed = 0;
+  for (const key of demoted) {
+    if (source.ids.includes(key) && _removePattern(key)) removed++;
+  }
+  source.ids = source.ids.filter((id) => _patterns.has(id));
+
+  let indexed = 0;
+  for (const record of promoted.map(_fromPromotedPattern).filter(Boolean)) {
+    const owned = source.ids.includes(record.id);
+    if (!owned && (_patterns.has(record.id) || _patterns.size >= MAX_INDEXED_PATTERNS)) continue;
+    _putPattern(record);
+    if (!owned) source.ids.push(record.id);
+    indexed++;
+  }
+
+  source.mtimeMs = await _getMtime(promotedPath);
+  _sources[promotedPath] = source;
+  if (indexed > 0 || removed > 0) await _persistIndex();
+  return { indexed, removed };
+}
+
+/**
+ * Read a pattern file: a single pattern, or a collection (lifelong-learner format).
+ * @param {string} file
+ * @returns {Promise<PatternRecord[]>}
+ */
+async function _readPatternFile(file) {
+  const data = await readJsonFile(file);
+  if (data && data.id && data.keywords) return [data];
+  if (!data || !Array.isArray(data.patterns)) return [];
+
+  const patterns = [];
+  for (const p of data.patterns) {
+    if (p.id && p.keywords) {
+      patterns.push(p);
+    } else if (p.key && !p.keywords) {
+      // Convert lifelong-learner patterns to System 1 format
+      // Generate keywords from key, category, and insight
       const keywords = _extractKeywords(p);
       if (keywords.length > 0) {
         patterns.push({
           id: p.key,
           keywords,
-          intent: p.type ?? 'promoted',
+          intent: p.type ?? 'learned',
           domain: p.type,
           confidence: p.confidence ?? 0.5,
-          response: { type: 'system1_pattern', data: p.bestData, insight: p.insight },
-          useCount: p.usageCount ?? 0,
+          response: { type: 'learned_pattern', data: p.bestData, insight: p.insight },
+          useCount: p.sampleSize ?? 0,
           successRate: p.confidence ?? 0.5,
-          lastUsed: p.promotedAt ? new Date(p.promotedAt).getTime() : Date.now(),
-          source: p.source ?? 'system2',
+          lastUsed: p.extractedAt ? new Date(p.extractedAt).getTime() : Date.now(),
+          source: 'lifelong-learner',
         });
       }
     }
   }
+  return patterns;
+}
 
-  // Sort by useCount descending so most popular patterns are checked first
-  patterns.sort((a, b) => (b.useCount || 0) - (a.useCount || 0));
-
-  _loadedPatterns = patterns.slice(0, MAX_WARM_CACHE_PATTERNS);
-  _warmed = true;
+/**
+ * Read the active System 1 patterns promoted by knowledge-transfer.
+ * @param {string} file
+ * @returns {Promise<PatternRecord[]>}
+ */
+async function _readPromotedPatterns(file) {
+  const data = await readJsonFile(file);
+  if (!data || !Array.isArray(data.patterns)) return [];
+  return data.patterns.map(_fromPromotedPattern).filter(Boolean);
+}
 
-  return { loaded: _loadedPatterns.length, dir };
+/**
+ * Convert a promoted knowledge-transfer pattern to a PatternRecord.
+ * @param {object} p - Pattern with key, type, insight, bestData
+ * @returns {PatternRecord | null} Null for inactive patterns or ones without keywords
+ */
+function _fromPromotedPattern(p) {
+  if (p?.status !== 'active') return null;
+  const keywords = _extractKeywords(p);
+  if (keywords.length === 0) return null;
+  return {
+    id: p.key,
+    keywords,
+    intent: p.type ?? 'promoted',
+    domain: p.type,
+    confidence: p.confidence ?? 0.5,
+    response: { type: 'system1_pattern', data: p.bestData, insight: p.insight },
+    useCount: p.usageCount ?? 0,
+    successRate: p.confidence ?? 0.5,
+    lastUsed: p.promotedAt ? new Date(p.promotedAt).getTime() : Date.now(),
+    source: p.source ?? 'system2',
+  };
 }
 
 /**
@@ -500,7 +772,7 @@ function _extractKeywords(pattern) {
     const words = pattern.insight
       .toLowerCase()
       .split(/[\s,./\\:;|_\-@#()[\]{}"'`!?=<>+*&^%$~]+/)
-      .filter(w => w.length >= 3 && w.length <= 30);
+      .filter(w => (w.length >= 3 || CJK_RE.test(w)) && w.length <= 30);
     parts.push(...words);
   }
 
@@ -511,7 +783,7 @@ function _extractKeywords(pattern) {
   }
 
   // Deduplicate and normalize
-  const unique = [...new Set(parts.map(p => p.toLowerCase()).filter(p => p.length >= 2))];
+  const unique = [...new Set(parts.map(p => p.toLowerCase()).filter(p => p.length >= 2 || CJK_RE.test(p)))];
   return unique;
 }
 
@@ -521,6 +793,9 @@ function _extractKeywords(pattern) {
 
 /**
  * Save a new pattern or update an existing one in the pattern DB.
+ * The pattern is indexed right away. When it is new or its keywords
+ * changed, it is appended to the index journal; the persisted index is
+ * rewritten once the journal holds MAX_JOURNAL_ENTRIES records.
  *
  * @param {PatternRecord} pattern - Pattern to save
  * @returns {Promise<void>}
@@ -544,28 +819,34 @@ export async function savePattern(pattern) {
 
   await writeJsonFile(filePath, saved);
 
-  // Update in-memory cache
-  const idx = _loadedPatterns.findIndex((p) => p.id === pattern.id);
-  if (idx >= 0) {
-    _loadedPatterns[idx] = saved;
-  } else if (_loadedPatterns.length < MAX_WARM_CACHE_PATTERNS) {
-    _loadedPatterns.push(saved);
+  // Update in-memory index
+  const previous = _patterns.get(saved.id);
+  if (!previous && _patterns.size >= MAX_INDEXED_PATTERNS) return;
+  _putPattern(saved);
+  for (const source of Object.values(_sources)) {
+    source.ids = source.ids.filter((id) => id !== saved.id);
   }
+  const mtimeMs = await _getMtime(filePath);
+  _sources[filePath] = { mtimeMs, ids: [saved.id] };
+
+  const keywordsChanged = !previous || previous.keywords.join('\0') !== saved.keywords.join('\0');
+  if (_warmed && keywordsChanged) await _journalPattern(saved, filePath, mtimeMs);
 }
 
 /**
  * Record that a pattern was used and whether it succeeded.
- * Updates useCount, successRate, and lastUsed.
+ * Updates useCount, successRate, and lastUsed, and joins the outcome with
+ * the confidence fastResponse() last reported for the pattern (calibration).
  *
  * @param {string} patternId - Pattern ID
  * @param {boolean} success - Whether the response was helpful
  * @returns {Promise<void>}
  */
 export async function recordPatternOutcome(patternId, success) {
-  const idx = _loadedPatterns.findIndex((p) => p.id === patternId);
-  if (idx < 0) return;
+  recordOutcome('system1', patternId, success);
+  const pattern = _patterns.get(patternId);
+  if (!pattern) return;
 
-  const pattern = _loadedPatterns[idx];
   const newCount = (pattern.useCount || 0) + 1;
   const oldRate = pattern.successRate || 1.0;
   const oldCount = pattern.useCount || 0;
@@ -582,10 +863,181 @@ export async function recordPatternOutcome(patternId, success) {
     lastUsed: Date.now(),
   };
 
-  _loadedPatterns[idx] = updated;
   await savePattern(updated);
 }
 
+/**
+ * Report one outcome for every pattern answer still awaiting one.
+ * Closes the predictions fastResponse() made in an earlier process when a
+ * real outcome arrives (explicit feedback on the answer); with calibration
+ * persistence on, those are read back from calibration.json.
+ *
+ * @param {boolean} success - Whether the work that followed went well
+ * @returns {Promise<number>} Number of predictions resolved
+ * @example
+ * await recordPendingOutcomes(false); // the user rejected the answer
+ */
+export async function recordPendingOutcomes(success) {
+  const ids = getPendingPredictions('system1').map((p) => p.id);
+  if (ids.length === 0) return 0;
+  if (!_warmed) await warmCache();
+  for (const id of ids) {
+    await recordPatternOutcome(id, success);
+  }
+  return ids.length;
+}
+
+// ---------------------------------------------------------------------------
+// Pattern Index (Internal)
+// ---------------------------------------------------------------------------
+
+/**
+ * Add or replace a pattern in memory and in the index.
+ * @param {PatternRecord} pattern
+ */
+function _putPattern(pattern) {
+  _patterns.set(pattern.id, pattern);
+  addToIndex(_index, pattern.id, pattern.keywords);
+}
+
+/**
+ * Remove a pattern from memory and from the index.
+ * @param {string} id
+ * @returns {boolean} Whether the pattern was loaded
+ */
+function _removePattern(id) {
+  removeFromIndex(_index, id);
+  return _patterns.delete(id);
+}
+
+/**
+ * Re-read a pattern source unless its modification time is unchanged.
+ * Sources without a readable mtime are always re-read.
+ * @param {string} file - Source path
+ * @param {(file: string) => Promise<PatternRecord[]>} read - Reader for the source format
+ * @returns {Promise<boolean>} Whether the source's patterns changed
+ */
+async function _refreshSource(file, read) {
+  const mtimeMs = await _getMtime(file);
+  const previous = _sources[file];
+  if (previous && mtimeMs !== null && previous.mtimeMs === mtimeMs) return false;
+
+  _dropSource(file);
+  const ids = [];
+  for (const pattern of await read(file)) {
+    if (_patterns.has(pattern.id) || _patterns.size >= MAX_INDEXED_PATTERNS) continue;
+    _putPattern(pattern);
+    ids.push(pattern.id);
+  }
+  _sources[file] = { mtimeMs, ids };
+  return !previous || previous.mtimeMs !== mtimeMs || previous.ids.join('\0') !== ids.join('\0');
+}
+
+/**
+ * Forget a source and the patterns it contributed.
+ * @param {string} file
+ */
+function _dropSource(file) {
+  for (const id of _sources[file]?.ids ?? []) {
+    _removePattern(id);
+  }
+  delete _sources[file];
+}
+
+/**
+ * Modification time of a file, or null when it cannot be read.
+ * @param {string} file
+ * @returns {Promise<number | null>}
+ */
+async function _getMtime(file) {
+  try {
+    return (await fs.stat(file)).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Restore patterns, sources and the inverted index from patterns-index.json,
+ * then replay the journal on top. The index is rebuilt from the patterns
+ * when it does not cover them.
+ * @returns {Promise<void>}
+ */
+async function _loadPersistedIndex() {
+  const data = await readJsonFile(getIndexPath());
+  const index = deserializeIndex(data);
+  if (!index || !Array.isArray(data.patterns) || !data.sources || typeof data.sources !== 'object') return;
+
+  _patterns = new Map(data.patterns.filter((p) => p?.id && Array.isArray(p.keywords)).map((p) => [p.id, p]));
+  _sources = data.sources;
+  _index = index;
+  if (index.docs.size !== _patterns.size || [..._patterns.keys()].some((id) => !index.docs.has(id))) {
+    _index = createPatternIndex();
+    for (const pattern of _patterns.values()) addToIndex(_index, pattern.id, pattern.keywords);
+  }
+  await _replayJournal();
+}
+
+/**
+ * Apply journal records written since the last index write. A torn last
+ * line (interrupted append) is skipped.
+ * @returns {Promise<void>}
+ */
+async function _replayJournal() {
+  const lines = (await readTextFile(getJournalPath()) ?? '').split('\n').filter(Boolean);
+  for (const line of lines) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const pattern = record?.pattern;
+    if (!pattern?.id || !Array.isArray(pattern.keywords) || typeof record.source !== 'string') continue;
+    if (!_patterns.has(pattern.id) && _patterns.size >= MAX_INDEXED_PATTERNS) continue;
+    _putPattern(pattern);
+    for (const source of Object.values(_sources)) {
+      source.ids = source.ids.filter((id) => id !== pattern.id);
+    }
+    _sources[record.source] = { mtimeMs: record.mtimeMs ?? null, ids: [pattern.id] };
+  }
+  _journalLength = lines.length;
+}
+
+/**
+ * Append a saved pattern to the journal; rewrite the index when the journal is full.
+ * @param {PatternRecord} pattern
+ * @param {string} source - Pattern file
+ * @param {number | null} mtimeMs - Pattern file modification time
+ * @returns {Promise<void>}
+ */
+async function _journalPattern(pattern, source, mtimeMs) {
+  if (_journalLength + 1 >= MAX_JOURNAL_ENTRIES) {
+    await _persistIndex();
+    return;
+  }
+  await appendTextFile(getJournalPath(), `${JSON.stringify({ pattern, source, mtimeMs })}\n`);
+  _journalLength++;
+}
+
+/**
+ * Write patterns, sources and the inverted index to patterns-index.json
+ * (temp file + rename), then empty the journal it now covers.
+ * @returns {Promise<void>}
+ */
+async function _persistIndex() {
+  await writeJsonFileAtomic(getIndexPath(), {
+    ...serializeIndex(_index),
+    updatedAt: new Date().toISOString(),
+    sources: _sources,
+    patterns: [..._patterns.values()],
+  }, 0);
+  if (_journalLength > 0) {
+    await writeTextFile(getJournalPath(), '');
+    _journalLength = 0;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Cached Lookups (Internal)
 // ---------------------------------------------------------------------------
@@ -638,6 +1090,77 @@ async function _suggestToolCached(input, context) {
   }
 }
 
+/**
+ * Run memory search and tool suggestion in parallel, abandoning whichever
+ * has not settled when the budget runs out.
+ * @param {string} input - User input
+ * @param {object} context - Session context
+ * @param {number} maxLatency - Total budget in ms (0 for none)
+ * @param {number} start - performance.now() when the request started
+ * @returns {Promise<{ memoryHits: Array, toolSuggestion: Array, timedOutSources: string[] }>}
+ */
+async function _lookupWithinBudget(input, context, maxLatency, start) {
+  let timer = null;
+  const deadline = maxLatency > 0
+    ? new Promise((resolve) => {
+      timer = setTimeout(resolve, Math.max(0, maxLatency - (performance.now() - start)), TIMED_OUT);
+      timer.unref?.();
+    })
+    : null;
+  const bounded = (promise) => (deadline ? Promise.race([promise, deadline]) : promise);
+
+  const [memoryHits, toolSuggestion] = await Promise.all([
+    bounded(_searchMemoryCached(input, context)),
+    bounded(_suggestToolCached(input, context)),
+  ]);
+  clearTimeout(timer);
+
+  const timedOutSources = [];
+  if (memoryHits === TIMED_OUT) timedOutSources.push('memory');
+  if (toolSuggestion === TIMED_OUT) timedOutSources.push('tool');
+  return {
+    memoryHits: memoryHits === TIMED_OUT ? [] : memoryHits,
+    toolSuggestion: toolSuggestion === TIMED_OUT ? [] : toolSuggestion,
+    timedOutSources,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Latency Tracking (Internal)
+// ---------------------------------------------------------------------------
+
+/**
+ * Milliseconds since `start`, rounded to 0.01ms.
+ * @param {number} start - performance.now() timestamp
+ * @returns {number}
+ */
+function _elapsed(start) {
+  return Math.round((performance.now() - start) * 100) / 100;
+}
+
+/**
+ * Record a fastResponse() latency sample.
+ * @param {number} latencyMs - Response latency
+ * @param {boolean} timedOut - Whether the budget was hit
+ */
+function _recordLatency(latencyMs, timedOut) {
+  _latencies.push(latencyMs);
+  if (_latencies.length > MAX_LATENCY_SAMPLES) _latencies.shift();
+  if (timedOut) _timeouts++;
+}
+
+/**
+ * Nearest-rank percentile of ascending samples.
+ * @param {number[]} sorted - Samples sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Null when there are no samples
+ */
+function _percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
 // ---------------------------------------------------------------------------
 // Intent Detection Helpers
 // ---------------------------------------------------------------------------
@@ -705,25 +1228,47 @@ function _detectTarget(tokens, context) {
 
 /**
  * Get System 1 diagnostic information.
- * @returns {{ warmed: boolean, patternsLoaded: number, patternCacheSize: number, memoryCacheSize: number, toolCacheSize: number }}
+ * `latency` summarizes the most recent fastResponse() calls (up to 500):
+ * percentiles are null until the first sample, `timeouts` counts responses
+ * that hit the budget.
+ * @returns {{ warmed: boolean, patternsLoaded: number, indexedTerms: number, patternCacheSize: number, memoryCacheSize: number, toolCacheSize: number, latency: { samples: number, p50: number|null, p95: number|null, p99: number|null, max: number|null, timeouts: number, budgetMs: number, minConfidence: number } }}
  */
 export function getDiagnostics() {
+  const sorted = [..._latencies].sort((a, b) => a - b);
   return {
     warmed: _warmed,
-    patternsLoaded: _loadedPatterns.length,
+    patternsLoaded: _patterns.size,
+    indexedTerms: _index.postings.size,
     patternCacheSize: _patternCache.size,
     memoryCacheSize: _memoryCache.size,
     toolCacheSize: _toolCache.size,
+    latency: {
+      samples: sorted.length,
+      p50: _percentile(sorted, 50),
+      p95: _percentile(sorted, 95),
+      p99: _percentile(sorted, 99),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+      timeouts: _timeouts,
+      budgetMs: _maxLatency,
+      minConfidence: _minConfidence,
+    },
   };
 }
 
 /**
- * Clear all in-memory caches. Useful for testing.
+ * Clear all in-memory caches, latency samples and System 1 calibration
+ * observations. Useful for testing.
  */
 export function clearAllCaches() {
   _patternCache.clear();
   _memoryCache.clear();
   _toolCache.clear();
-  _loadedPatterns = [];
+  _patterns = new Map();
+  _index = createPatternIndex();
+  _sources = {};
   _warmed = false;
+  _journalLength = 0;
+  _latencies = [];
+  _timeouts = 0;
+  resetCalibration('system1');
 }
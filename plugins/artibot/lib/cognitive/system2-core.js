@@ -18,8 +18,11 @@
 import {
   cleanup,
   createSandbox,
+  discardWorkspace,
   getStats,
   execute as sandboxExecute,
+  run as sandboxRun,
+  toLearningResult,
   validate,
 } from './sandbox.js';
 
@@ -28,14 +31,30 @@ import {
   assessRisks,
   estimateComplexity,
   estimateStepComplexity,
+  inferDependencies,
   recommendTeam,
   suggestCorrection,
   TEAM_THRESHOLDS,
 } from './system2-strategies.js';
 
+import { loadTeamWeights } from '../learning/grpo-optimizer.js';
+import { scheduleSteps, scheduleStepsSync } from './plan-scheduler.js';
+import { diagnoseFailure, loadErrorPatterns } from './root-cause.js';
+import { findTemplate, instantiateTemplate, loadTemplates } from './plan-templates.js';
+import { CHECKPOINT_DIR, createCheckpointWriter, loadCheckpoint } from './plan-checkpoint.js';
+
 /** Maximum retry attempts for the solve loop */
 const MAX_RETRIES = 3;
 
+/** Longest step command executeAsync() will hand to the sandbox */
+const MAX_COMMAND_LENGTH = 4096;
+
+/** A step written entirely as one inline code span is an explicit command */
+const INLINE_COMMAND_PATTERN = /^`([^`]+)`$/;
+
+/** Checkpoint writer used when solve() runs without the `checkpoint` option */
+const NO_CHECKPOINT = Object.freeze({ recordStep() {}, finish() {} });
+
 /** Default planning configuration */
 const DEFAULT_PLAN_OPTIONS = {
   /** Maximum number of steps in a plan */
@@ -44,6 +63,8 @@ const DEFAULT_PLAN_OPTIONS = {
   analyzeDependencies: true,
   /** Whether to assess risks for each step */
   assessRisks: true,
+  /** Decomposition templates; null loads built-ins plus `.artibot/plan-templates.json`, false disables */
+  templates: null,
 };
 
 /**
@@ -60,6 +81,12 @@ const DEFAULT_PLAN_OPTIONS = {
  * @param {number} [options.maxSteps=10] - Maximum number of steps
  * @param {boolean} [options.analyzeDependencies=true] - Enable dependency analysis
  * @param {boolean} [options.assessRisks=true] - Enable risk assessment
+ * @param {Record<string, object>|false} [options.templates] - Decomposition templates
+ *   (default: built-ins plus the project's `.artibot/plan-templates.json`; false disables)
+ * @param {string} [options.cwd] - Project root for template overrides (default: process.cwd())
+ * @param {object} [options.agentRegistry] - Agent registry for team recommendations (default: agents/)
+ * @param {Record<string, number>} [options.teamWeights] - GRPO team weights for team recommendations
+ *   (default: the persisted weights, see grpo-optimizer loadTeamWeights())
  * @returns {{
  *   taskId: string,
  *   createdAt: string,
@@ -67,6 +94,7 @@ const DEFAULT_PLAN_OPTIONS = {
  *     id: string,
  *     order: number,
  *     action: string,
+ *     command?: string,
  *     description: string,
  *     dependencies: string[],
  *     estimatedComplexity: 'low' | 'medium' | 'high',
@@ -75,6 +103,7 @@ const DEFAULT_PLAN_OPTIONS = {
  *   dependencies: Array<{ from: string, to: string }>,
  *   risks: Array<{ stepId: string, risk: string, mitigation: string, severity: 'low' | 'medium' | 'high' }>,
  *   complexity: number,
+ *   template: string | null,
  *   teamRecommendation: object | null
  * }}
  */
@@ -85,11 +114,14 @@ export function plan(task, options = {}) {
     throw new Error('Task must have id and description');
   }
 
-  const steps = decomposeTask(task, opts.maxSteps);
+  const { steps, template } = decomposeTask(task, opts);
   const dependencies = opts.analyzeDependencies ? analyzeDependencies(steps) : [];
   const risks = opts.assessRisks ? assessRisks(steps, task) : [];
   const complexity = estimateComplexity(steps, dependencies, risks);
-  const teamRecommendation = recommendTeam(complexity, task);
+  const teamRecommendation = recommendTeam(complexity, task, {
+    registry: opts.agentRegistry,
+    teamWeights: opts.teamWeights ?? (complexity >= TEAM_THRESHOLDS.teamRecommendation ? loadTeamWeights() : undefined),
+  });
 
   return {
     taskId: task.id,
@@ -98,14 +130,19 @@ export function plan(task, options = {}) {
     dependencies,
     risks,
     complexity: Math.round(complexity * 100) / 100,
+    template,
     teamRecommendation,
   };
 }
 
 /**
  * Execute a plan within a sandbox, running each step in order.
- * Steps are executed sequentially respecting dependency order.
- * Each step's command is validated for safety before execution.
+ * Steps are walked one at a time in dependency order by
+ * plan-scheduler.scheduleStepsSync(), so with `stopOnFailure: false` a
+ * failure only skips the steps that depend on it. Each step's command (its `command` field, else its action) is validated
+ * for safety before execution. Commands are only recorded (see
+ * sandbox.execute()); use executeAsync() with a `executor: 'process'`
+ * sandbox to actually run them.
  *
  * @param {object} executionPlan - Plan from plan()
  * @param {object} [sandbox] - Sandbox context; creates one if not provided
@@ -113,6 +150,7 @@ export function plan(task, options = {}) {
  * @param {Function} [options.onStepStart] - Callback before each step: (step) => void
  * @param {Function} [options.onStepComplete] - Callback after each step: (step, result) => void
  * @param {boolean} [options.stopOnFailure=true] - Stop execution on first failure
+ * @param {Record<string, object>} [options.completedSteps] - Step results to reuse instead of re-running (resume)
  * @returns {{
  *   planId: string,
  *   sandboxId: string,
@@ -124,128 +162,131 @@ export function plan(task, options = {}) {
  *     action: string,
  *     execution: object,
  *     validation: object,
- *     status: 'success' | 'failed' | 'blocked' | 'skipped'
+ *     status: 'success' | 'failed' | 'blocked' | 'skipped',
+ *     timing: { startMs: number, endMs: number, durationMs: number } | null
  *   }>,
  *   success: boolean,
  *   stepsCompleted: number,
  *   stepsTotal: number,
- *   sandboxStats: object
+ *   sandboxStats: object,
+ *   criticalPath: { steps: string[], durationMs: number },
+ *   wallMs: number
  * }}
  */
 export function execute(executionPlan, sandbox, options = {}) {
-  const { onStepStart, onStepComplete, stopOnFailure = true } = options;
   const startedAt = new Date().toISOString();
-
   const ownSandbox = !sandbox;
   const sbx = sandbox || createSandbox();
 
-  const results = [];
-  let stopped = false;
+  const { onStepStart, stopOnFailure = true } = options;
 
-  // Execute steps in dependency order
   const executionOrder = resolveExecutionOrder(executionPlan.steps, executionPlan.dependencies);
+  const schedule = scheduleStepsSync(
+    executionOrder,
+    executionPlan.dependencies,
+    (step) => {
+      // Reuse a result completed before an interruption
+      const reused = options.completedSteps?.[step.id];
+      if (reused) {
+        return { ...reused, resumed: true };
+      }
+      if (onStepStart) {
+        onStepStart(step);
+      }
+      const execution = sandboxExecute(stepCommand(step) ?? step.action, sbx);
+      return buildStepResult(step, execution, options);
+    },
+    { stopOnFailure },
+  );
 
-  for (const step of executionOrder) {
-    if (stopped) {
-      results.push({
-        stepId: step.id,
-        order: step.order,
-        action: step.action,
-        execution: null,
-        validation: null,
-        status: 'skipped',
-      });
-      continue;
-    }
-
-    // Check if dependencies have been satisfied
-    const depsMet = checkDependencies(step, results, executionPlan.dependencies);
-    if (!depsMet.satisfied) {
-      results.push({
-        stepId: step.id,
-        order: step.order,
-        action: step.action,
-        execution: null,
-        validation: null,
-        status: 'skipped',
-      });
-      continue;
-    }
-
-    if (onStepStart) {
-      onStepStart(step);
-    }
-
-    // Execute via sandbox
-    const execution = sandboxExecute(step.action, sbx);
-    const validation = validate(execution);
-
-    const status = execution.blocked
-      ? 'blocked'
-      : validation.success
-        ? 'success'
-        : 'failed';
-
-    // Create updated step without mutating the original (immutability)
-    const updatedStep = {
-      ...step,
-      status: status === 'success' ? 'completed' : 'failed',
-    };
-
-    const stepResult = {
-      stepId: updatedStep.id,
-      order: updatedStep.order,
-      action: updatedStep.action,
-      execution,
-      validation,
-      status,
-    };
-
-    results.push(stepResult);
-
-    if (onStepComplete) {
-      onStepComplete(updatedStep, stepResult);
-    }
-
-    if (status !== 'success' && stopOnFailure) {
-      stopped = true;
-    }
-  }
+  return {
+    ...finishExecution(executionPlan, sbx, ownSandbox, startedAt, schedule.results),
+    criticalPath: schedule.criticalPath,
+    wallMs: schedule.wallMs,
+  };
+}
 
-  const success = results.every((r) => r.status === 'success');
-  const stepsCompleted = results.filter((r) => r.status === 'success').length;
+/**
+ * Asynchronous variant of execute() that runs each step through
+ * sandbox.run(), so a sandbox created with `executor: 'process'` actually
+ * spawns the commands and validates their real output.
+ *
+ * Only a step's explicit `command` is ever run (see plan(): a step written
+ * as one inline code span, or a fully resolved template step); its prose
+ * `action` never reaches the shell. Steps without a valid command are
+ * recorded as `{ status: 'pending', executable: false }` and their
+ * dependents are skipped.
+ *
+ * Steps are scheduled as a DAG (see plan-scheduler.js): independent steps
+ * run concurrently up to `concurrency`, and a failure only skips the steps
+ * that depend on it. Each result carries `timing`, and the execution reports
+ * the critical path through the plan.
+ *
+ * @param {object} executionPlan - Plan from plan()
+ * @param {object} [sandbox] - Sandbox context; creates one if not provided
+ * @param {object} [options] - Execution options
+ * @param {number} [options.concurrency=4] - Maximum steps running at once
+ * @param {boolean} [options.stopOnFailure=false] - Start no new steps after any failure
+ * @param {Record<string, object>} [options.completedSteps] - Step results to reuse instead of re-running (resume)
+ * @param {Function} [options.onStepStart] - Callback before each step: (step) => void
+ * @param {Function} [options.onStepComplete] - Callback after each step: (step, result) => void
+ * @returns {Promise<ReturnType<typeof execute> & { concurrency: number }>}
+ * @example
+ * const sbx = createSandbox({ executor: 'process', cwd: repoRoot });
+ * const result = await executeAsync(plan(task), sbx, { concurrency: 2 });
+ * result.criticalPath; // { steps: ['step-1', 'step-3'], durationMs: 5400 }
+ */
+export async function executeAsync(executionPlan, sandbox, options = {}) {
+  const { onStepStart, concurrency, stopOnFailure = false } = options;
+  const startedAt = new Date().toISOString();
+  const ownSandbox = !sandbox;
+  const sbx = sandbox || createSandbox();
 
-  // Cleanup if we created the sandbox
-  const sandboxStats = getStats(sbx);
-  if (ownSandbox) {
-    cleanup(sbx);
-  }
+  const executionOrder = resolveExecutionOrder(executionPlan.steps, executionPlan.dependencies);
+  const schedule = await scheduleSteps(
+    executionOrder,
+    executionPlan.dependencies,
+    async (step) => {
+      const reused = options.completedSteps?.[step.id];
+      if (reused) {
+        return { ...reused, resumed: true };
+      }
+      const command = stepCommand(step);
+      if (command === null) {
+        return nonExecutableResult(step);
+      }
+      if (onStepStart) {
+        onStepStart(step);
+      }
+      const execution = await sandboxRun(command, sbx);
+      return buildStepResult(step, execution, options);
+    },
+    { concurrency, stopOnFailure },
+  );
 
   return {
-    planId: executionPlan.taskId,
-    sandboxId: sbx.id,
-    startedAt,
-    completedAt: new Date().toISOString(),
-    results,
-    success,
-    stepsCompleted,
-    stepsTotal: executionPlan.steps.length,
-    sandboxStats,
+    ...finishExecution(executionPlan, sbx, ownSandbox, startedAt, schedule.results),
+    criticalPath: schedule.criticalPath,
+    wallMs: schedule.wallMs,
+    concurrency: schedule.concurrency,
   };
 }
 
 /**
  * Reflect on execution results to identify issues and corrections.
- * Analyzes failures, determines root causes, and suggests retry strategies.
+ * Analyzes failures, classifies their root causes (see root-cause.js),
+ * and suggests retry strategies.
  *
  * @param {object} executionResult - Result from execute()
  * @param {object} [_originalTask] - Original task for context
+ * @param {object} [options]
+ * @param {object[]} [options.errorPatterns] - memory-manager error entries to look up known fixes in
  * @returns {{
  *   reflectedAt: string,
  *   analysis: {
  *     overallSuccess: boolean,
  *     completionRate: number,
- *     failedSteps: Array<{ stepId: string, action: string, reason: string }>,
+ *     failedSteps: Array<{ stepId: string, action: string, reason: string, rootCause: object }>,
  *     blockedSteps: Array<{ stepId: string, action: string, reason: string }>,
  *     patterns: string[]
  *   },
@@ -253,7 +294,10 @@ export function execute(executionPlan, sandbox, options = {}) {
  *     stepId: string,
  *     originalAction: string,
  *     suggestedAction: string,
- *     reason: string
+ *     reason: string,
+ *     rootCause: string,
+ *     actions: string[],
+ *     knownFixes: object[]
  *   }>,
  *   retry: {
  *     shouldRetry: boolean,
@@ -262,22 +306,10 @@ export function execute(executionPlan, sandbox, options = {}) {
  *   }
  * }}
  */
-export function reflect(executionResult, _originalTask) {
-  const failedSteps = [];
-  const blockedSteps = [];
+export function reflect(executionResult, _originalTask, options = {}) {
+  const { failedSteps, blockedSteps } = collectFailures(executionResult.results, options);
   const patterns = [];
 
-  for (const r of executionResult.results) {
-    if (r.status === 'failed') {
-      const reason = extractFailureReason(r);
-      failedSteps.push({ stepId: r.stepId, action: r.action, reason });
-    }
-    if (r.status === 'blocked') {
-      const reason = r.execution?.blockedBy || 'Unknown blocked reason';
-      blockedSteps.push({ stepId: r.stepId, action: r.action, reason });
-    }
-  }
-
   // Pattern detection
   if (failedSteps.length > 0 && failedSteps.length === executionResult.stepsTotal) {
     patterns.push('all_steps_failed');
@@ -285,10 +317,10 @@ export function reflect(executionResult, _originalTask) {
   if (blockedSteps.length > 0) {
     patterns.push('safety_blocked');
   }
-  if (failedSteps.some((f) => f.reason.includes('timeout'))) {
+  if (failedSteps.some((f) => f.rootCause.cause === 'timeout')) {
     patterns.push('timeout_failures');
   }
-  if (failedSteps.some((f) => f.reason.includes('permission'))) {
+  if (failedSteps.some((f) => f.rootCause.cause === 'permission')) {
     patterns.push('permission_issues');
   }
   if (executionResult.stepsCompleted > 0 && !executionResult.success) {
@@ -305,6 +337,9 @@ export function reflect(executionResult, _originalTask) {
     originalAction: failed.action,
     suggestedAction: suggestCorrection(failed),
     reason: failed.reason,
+    rootCause: failed.rootCause.cause,
+    actions: failed.rootCause.actions,
+    knownFixes: failed.rootCause.knownFixes,
   }));
 
   // Determine retry strategy
@@ -353,9 +388,14 @@ export function reflect(executionResult, _originalTask) {
  * @param {object} [task.context] - Additional context
  * @param {object} [options] - Solve options
  * @param {number} [options.maxRetries=3] - Maximum retry attempts
- * @param {object} [options.sandboxOptions] - Options for sandbox creation
+ * @param {object} [options.sandboxOptions] - Options for sandbox creation. With
+ *   `workspace: 'overlay'` every attempt starts from a fresh copy of cwd; the final attempt's
+ *   overlay is returned as `workspace` for review (see sandbox.getWorkspaceDiff())
  * @param {object} [options.planOptions] - Options for plan creation
  * @param {Function} [options.onAttempt] - Callback per attempt: (attempt, phase, data) => void
+ * @param {boolean|{ dir: string }} [options.checkpoint] - Persist plan progress after every step (see plan-checkpoint.js)
+ * @param {object[]} [options.errorPatterns] - memory-manager error entries whose recorded
+ *   resolutions reflect() offers as corrections (see root-cause.loadErrorPatterns())
  * @returns {{
  *   taskId: string,
  *   success: boolean,
@@ -368,83 +408,71 @@ export function reflect(executionResult, _originalTask) {
  *   }>,
  *   finalResult: object | null,
  *   teamRecommendation: object | null,
- *   duration: number
+ *   duration: number,
+ *   workspace?: object
  * }}
  */
 export function solve(task, options = {}) {
-  const { maxRetries = MAX_RETRIES, sandboxOptions, planOptions, onAttempt } = options;
-  const startTime = Date.now();
-
-  const history = [];
-  let currentTask = { ...task };
-  let finalResult = null;
-  let teamRecommendation = null;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    // Phase 1: Plan
-    if (onAttempt) onAttempt(attempt, 'plan', currentTask);
-    const currentPlan = plan(currentTask, planOptions);
-
-    // Capture team recommendation from first attempt
-    if (attempt === 1 && currentPlan.teamRecommendation) {
-      teamRecommendation = currentPlan.teamRecommendation;
-    }
-
-    // Phase 2: Execute
-    if (onAttempt) onAttempt(attempt, 'execute', currentPlan);
-    const sandbox = createSandbox(sandboxOptions);
-    const execution = execute(currentPlan, sandbox);
-
-    // Phase 3: Reflect
-    if (onAttempt) onAttempt(attempt, 'reflect', execution);
-    const reflection = reflect(execution, currentTask);
-
-    history.push({
-      attempt,
-      plan: currentPlan,
-      execution,
-      reflection,
-    });
-
-    // Success - we're done
-    if (execution.success) {
-      finalResult = execution;
-      cleanup(sandbox);
-      break;
-    }
-
-    // Clean up sandbox for this attempt
-    cleanup(sandbox);
-
-    // Check if retry is recommended
-    if (!reflection.retry.shouldRetry || attempt >= maxRetries) {
-      finalResult = execution;
-      break;
-    }
+  const attempts = solveAttempts(task, options);
+  let next = attempts.next();
+  while (!next.done) {
+    next = attempts.next(execute(next.value.plan, next.value.sandbox, next.value.options));
+  }
+  return next.value;
+}
 
-    // Apply corrections for next attempt
-    if (reflection.retry.adjustedPlan) {
-      currentTask = {
-        ...currentTask,
-        context: {
-          ...currentTask.context,
-          previousAttempt: attempt,
-          corrections: reflection.corrections,
-          adjustedSteps: reflection.retry.adjustedPlan.steps,
-        },
-      };
-    }
+/**
+ * Asynchronous variant of solve() that executes each attempt with
+ * executeAsync(). Pass `sandboxOptions: { executor: 'process' }` to run
+ * plan steps for real and reflect on their actual results. Without
+ * `options.errorPatterns` the error patterns saved by memory-manager are
+ * loaded so reflection can reuse fixes that worked before.
+ *
+ * @param {object} task - Task to solve (see solve())
+ * @param {object} [options] - Same options as solve()
+ * @returns {Promise<ReturnType<typeof solve>>}
+ * @example
+ * const outcome = await solveAsync(task, { sandboxOptions: { executor: 'process', cwd } });
+ */
+export async function solveAsync(task, options = {}) {
+  const errorPatterns = options.errorPatterns ?? await loadErrorPatterns();
+  const attempts = solveAttempts(task, { ...options, errorPatterns });
+  let next = attempts.next();
+  while (!next.done) {
+    next = attempts.next(await executeAsync(next.value.plan, next.value.sandbox, next.value.options));
   }
+  return next.value;
+}
 
-  return {
-    taskId: task.id,
-    success: finalResult?.success || false,
-    attempts: history.length,
-    history,
-    finalResult,
-    teamRecommendation,
-    duration: Date.now() - startTime,
-  };
+/**
+ * Continue a checkpointed solve() that was interrupted (compaction, crash).
+ * Reloads the task and plan of the last attempt, reuses every step that
+ * already succeeded, runs the rest and carries on with the retry loop.
+ * An overlay run continues in the overlay workspace it was using, so the
+ * writes of the reused steps are kept. Checkpointing stays enabled for the
+ * resumed run.
+ *
+ * @param {string} taskId - Id of the task passed to solve()
+ * @param {object} [options] - Same options as solve()
+ * @returns {ReturnType<typeof solve> & { resumedFrom: { attempt: number, stepsReused: number } }}
+ * @throws {Error} When no checkpoint exists for the task, or its overlay workspace is gone
+ * @example
+ * const outcome = resume('task-42');
+ */
+export function resume(taskId, options = {}) {
+  return solve(...resumeArgs(taskId, options));
+}
+
+/**
+ * Asynchronous variant of resume() built on solveAsync().
+ *
+ * @param {string} taskId - Id of the task passed to solveAsync()
+ * @param {object} [options] - Same options as solveAsync()
+ * @returns {Promise<ReturnType<typeof resume>>}
+ * @throws {Error} When no checkpoint exists for the task, or its overlay workspace is gone
+ */
+export async function resumeAsync(taskId, options = {}) {
+  return solveAsync(...resumeArgs(taskId, options));
 }
 
 /**
@@ -547,12 +575,364 @@ export function assessComplexity(task) {
 // --- Internal helpers ---
 
 /**
- * Decompose a task into ordered execution steps.
+ * Validate a step's execution record and build its step result.
+ * Invokes `options.onStepComplete` with the updated step.
+ * @param {object} step
+ * @param {object} execution - Record from the sandbox
+ * @param {object} options
+ * @returns {object} Step result
+ */
+function buildStepResult(step, execution, options) {
+  const validation = validate(execution);
+
+  const status = execution.blocked
+    ? 'blocked'
+    : validation.success
+      ? 'success'
+      : 'failed';
+
+  // Create updated step without mutating the original (immutability)
+  const updatedStep = {
+    ...step,
+    status: status === 'success' ? 'completed' : 'failed',
+  };
+
+  const stepResult = {
+    stepId: updatedStep.id,
+    order: updatedStep.order,
+    action: updatedStep.action,
+    ...(step.command !== undefined && { command: step.command }),
+    execution,
+    validation,
+    status,
+  };
+
+  if (options.onStepComplete) {
+    options.onStepComplete(updatedStep, stepResult);
+  }
+
+  return stepResult;
+}
+
+/**
+ * Validated shell command of a step, or null when it has none.
+ * A command must be a single non-empty line without control characters.
+ * @param {object} step
+ * @returns {string|null}
+ */
+function stepCommand(step) {
+  if (typeof step.command !== 'string') return null;
+  const command = step.command.trim();
+  // eslint-disable-next-line no-control-regex
+  if (!command || command.length > MAX_COMMAND_LENGTH || /[\u0000-\u001f\u007f]/.test(command)) {
+    return null;
+  }
+  return command;
+}
+
+/**
+ * Result for a step executeAsync() will not run: it has no valid command.
+ * @param {object} step
+ * @returns {object}
+ */
+function nonExecutableResult(step) {
+  return {
+    stepId: step.id,
+    order: step.order,
+    action: step.action,
+    execution: null,
+    validation: null,
+    status: 'pending',
+    executable: false,
+    reason: step.command === undefined ? 'no command' : 'invalid command',
+  };
+}
+
+/**
+ * Summarize step results and release an owned sandbox.
+ * @param {object} executionPlan
+ * @param {object} sbx
+ * @param {boolean} ownSandbox
+ * @param {string} startedAt
+ * @param {object[]} results
+ * @returns {object}
+ */
+function finishExecution(executionPlan, sbx, ownSandbox, startedAt, results) {
+  const success = results.every((r) => r.status === 'success');
+  const stepsCompleted = results.filter((r) => r.status === 'success').length;
+
+  // Cleanup if we created the sandbox
+  const sandboxStats = getStats(sbx);
+  if (ownSandbox) {
+    cleanup(sbx);
+  }
+
+  return {
+    planId: executionPlan.taskId,
+    sandboxId: sbx.id,
+    startedAt,
+    completedAt: new Date().toISOString(),
+    results,
+    success,
+    stepsCompleted,
+    stepsTotal: executionPlan.steps.length,
+    sandboxStats,
+    learningResult: summarizeLearning(results),
+  };
+}
+
+/**
+ * Aggregate the executed steps into one learning result (see sandbox toLearningResult()).
+ * Exit code is the first non-zero one; errors, duration, command length and
+ * side effects are summed. Side effects are omitted when no step tracked files.
+ * @param {object[]} results - Step results
+ * @returns {{ exitCode: number|null, errors: number, duration: number, commandLength: number, sideEffects?: number, steps: number }}
+ */
+function summarizeLearning(results) {
+  const summary = { exitCode: null, errors: 0, duration: 0, commandLength: 0, steps: 0 };
+  for (const { execution } of results) {
+    if (!execution?.executed) continue;
+    const step = toLearningResult(execution);
+    if (summary.exitCode === null || (summary.exitCode === 0 && step.exitCode !== 0)) {
+      summary.exitCode = step.exitCode;
+    }
+    summary.errors += step.errors;
+    summary.duration += step.duration;
+    summary.commandLength += step.commandLength;
+    if (step.sideEffects !== undefined) summary.sideEffects = (summary.sideEffects ?? 0) + step.sideEffects;
+    summary.steps++;
+  }
+  return summary;
+}
+
+/**
+ * Attempt loop shared by solve() and solveAsync().
+ * Yields `{ plan, sandbox, options }` per attempt and expects the execution result back.
+ * With `options.resumeFrom` the first attempt continues a checkpointed plan.
+ * @param {object} task
+ * @param {object} options
+ * @returns {Generator<{ plan: object, sandbox: object }, object, object>}
+ */
+function* solveAttempts(task, options) {
+  const { maxRetries = MAX_RETRIES, sandboxOptions, planOptions, onAttempt, resumeFrom } = options;
+  const checkpointDir = resolveCheckpointDir(options.checkpoint);
+  const startTime = Date.now();
+
+  const history = [];
+  let currentTask = { ...task };
+  let finalResult = null;
+  let teamRecommendation = null;
+  let finalSandbox = null;
+
+  const firstAttempt = resumeFrom ? resumeFrom.attempt : 1;
+  for (let attempt = firstAttempt; attempt <= Math.max(maxRetries, firstAttempt); attempt++) {
+    const resumed = attempt === firstAttempt ? resumeFrom : undefined;
+
+    // Phase 1: Plan (a resumed attempt keeps its checkpointed plan)
+    if (onAttempt) onAttempt(attempt, 'plan', currentTask);
+    const currentPlan = resumed?.plan ?? plan(currentTask, planOptions);
+
+    // Capture team recommendation from first attempt
+    if (attempt === firstAttempt && currentPlan.teamRecommendation) {
+      teamRecommendation = currentPlan.teamRecommendation;
+    }
+
+    // Phase 2: Execute
+    if (onAttempt) onAttempt(attempt, 'execute', currentPlan);
+    const sandbox = createSandbox(attemptSandboxOptions(sandboxOptions, resumed));
+    const { checkpoint, executeOptions } = prepareAttempt({
+      task: currentTask,
+      attempt,
+      plan: currentPlan,
+      sandbox,
+      reuse: resumed?.steps,
+      checkpointDir,
+    });
+    const execution = yield { plan: currentPlan, sandbox, options: executeOptions };
+
+    // Phase 3: Reflect
+    if (onAttempt) onAttempt(attempt, 'reflect', execution);
+    const reflection = reflect(execution, currentTask, { errorPatterns: options.errorPatterns });
+
+    history.push({
+      attempt,
+      plan: currentPlan,
+      execution,
+      reflection,
+    });
+
+    // Success - we're done
+    if (execution.success) {
+      finalResult = execution;
+      finalSandbox = sandbox;
+      cleanup(sandbox);
+      checkpoint.finish('completed');
+      break;
+    }
+
+    // Clean up sandbox for this attempt
+    cleanup(sandbox);
+
+    // Check if retry is recommended
+    if (!reflection.retry.shouldRetry || attempt >= maxRetries) {
+      finalResult = execution;
+      finalSandbox = sandbox;
+      checkpoint.finish('failed');
+      break;
+    }
+
+    // A retry starts over from the real tree
+    releaseWorkspace(sandbox);
+
+    // Apply corrections for next attempt
+    if (reflection.retry.adjustedPlan) {
+      currentTask = {
+        ...currentTask,
+        context: {
+          ...currentTask.context,
+          previousAttempt: attempt,
+          corrections: reflection.corrections,
+          adjustedSteps: reflection.retry.adjustedPlan.steps,
+        },
+      };
+    }
+  }
+
+  return {
+    taskId: task.id,
+    success: finalResult?.success || false,
+    attempts: history.length,
+    history,
+    finalResult,
+    teamRecommendation,
+    duration: Date.now() - startTime,
+    ...describeResume(resumeFrom),
+    ...describeWorkspace(finalSandbox),
+  };
+}
+
+/**
+ * Checkpoint directory for the solve `checkpoint` option, or null when disabled.
+ * @param {boolean|{ dir?: string }} [option]
+ * @returns {string|null}
+ */
+function resolveCheckpointDir(option) {
+  if (!option) return null;
+  return option.dir ?? CHECKPOINT_DIR;
+}
+
+/**
+ * Set up checkpointing and step reuse for one solve attempt.
+ * @param {object} attemptState
+ * @param {object} attemptState.task
+ * @param {number} attemptState.attempt
+ * @param {object} attemptState.plan
+ * @param {object} attemptState.sandbox
+ * @param {Record<string, object>} [attemptState.reuse] - Checkpointed step results (resume)
+ * @param {string|null} attemptState.checkpointDir
+ * @returns {{ checkpoint: ReturnType<typeof createCheckpointWriter>, executeOptions: object }}
+ *   A no-op checkpoint writer is returned when checkpointing is disabled.
+ */
+function prepareAttempt({ task, attempt, plan: attemptPlan, sandbox, reuse, checkpointDir }) {
+  const completedSteps = reuse ? successfulSteps(reuse) : undefined;
+  if (!checkpointDir) {
+    return { checkpoint: NO_CHECKPOINT, executeOptions: { completedSteps } };
+  }
+
+  const checkpoint = createCheckpointWriter(
+    { task, attempt, plan: attemptPlan, sandbox, steps: completedSteps },
+    checkpointDir,
+  );
+  return {
+    checkpoint,
+    executeOptions: {
+      completedSteps,
+      onStepComplete: (_step, stepResult) => checkpoint.recordStep(stepResult),
+    },
+  };
+}
+
+/**
+ * Sandbox options for one attempt. A resumed attempt keeps running in the
+ * overlay workspace saved in its checkpoint, which holds the writes of the
+ * steps that are reused.
+ * @param {object} [sandboxOptions]
+ * @param {object} [resumed] - Checkpoint of the resumed attempt
+ * @returns {object|undefined}
+ */
+function attemptSandboxOptions(sandboxOptions, resumed) {
+  const overlay = resumed?.sandbox?.workspace;
+  return overlay ? { ...sandboxOptions, workspaceOverlay: overlay } : sandboxOptions;
+}
+
+/**
+ * `resumedFrom` entry for a solve result: what a resumed solve picked up
+ * from its checkpoint. Empty for a fresh solve.
+ * @param {object} [checkpoint]
+ * @returns {{ resumedFrom?: { attempt: number, stepsReused: number } }}
+ */
+function describeResume(checkpoint) {
+  if (!checkpoint) return {};
+  return {
+    resumedFrom: {
+      attempt: checkpoint.attempt,
+      stepsReused: Object.keys(successfulSteps(checkpoint.steps)).length,
+    },
+  };
+}
+
+/**
+ * Solve result fields for an overlay workspace kept for review.
+ * @param {object|null} sandbox - Sandbox of the final attempt
+ * @returns {{ workspace?: object }}
+ */
+function describeWorkspace(sandbox) {
+  return sandbox?.workspace ? { workspace: sandbox.workspace } : {};
+}
+
+/**
+ * Discard the overlay workspace of an attempt that will be retried.
+ * @param {object} sandbox
+ */
+function releaseWorkspace(sandbox) {
+  if (sandbox.workspace) discardWorkspace(sandbox);
+}
+
+/**
+ * Build solve() arguments that continue from a task's checkpoint.
+ * @param {string} taskId
+ * @param {object} options - solve() options
+ * @returns {[object, object]}
+ */
+function resumeArgs(taskId, options) {
+  const dir = options.checkpoint?.dir ?? CHECKPOINT_DIR;
+  const saved = loadCheckpoint(taskId, dir);
+  if (!saved) {
+    throw new Error(`No checkpoint found for task ${taskId}`);
+  }
+  return [saved.task, { ...options, checkpoint: { dir }, resumeFrom: saved }];
+}
+
+/**
+ * Checkpointed step results that can be reused.
+ * @param {Record<string, object>} steps
+ * @returns {Record<string, object>}
+ */
+function successfulSteps(steps) {
+  return Object.fromEntries(Object.entries(steps).filter(([, r]) => r.status === 'success'));
+}
+
+/**
+ * Decompose a task description into steps.
+ * An explicit step list in the description wins; otherwise the template for
+ * the task type and domain is instantiated (see plan-templates.js), and
+ * failing that the whole description becomes a single step.
  * @param {object} task - Task to decompose
- * @param {number} maxSteps - Maximum number of steps
- * @returns {Array<object>}
+ * @param {object} opts - Plan options (`maxSteps`, `templates`, `cwd`)
+ * @returns {{ steps: Array<object>, template: string | null }}
  */
-function decomposeTask(task, maxSteps) {
+function decomposeTask(task, opts) {
+  const { maxSteps } = opts;
   const steps = [];
 
   // Extract explicit steps from description (numbered lists, bullet points)
@@ -570,29 +950,50 @@ function decomposeTask(task, maxSteps) {
       }
     }
   }
+  if (steps.length > 0) {
+    return { steps: inferDependencies(steps), template: null };
+  }
 
-  // If no explicit steps found, create a single step from the description
-  if (steps.length === 0) {
-    steps.push(createStep(1, task.description));
+  const match = matchTemplate(task, opts);
+  if (match) {
+    return { steps: instantiateTemplate(match.template, task, { maxSteps }), template: match.name };
   }
 
-  return steps;
+  // If no explicit steps found, create a single step from the description
+  return { steps: [createStep(1, task.description)], template: null };
+}
+
+/**
+ * Template for a task, from `opts.templates` or the built-in and project templates.
+ * @param {object} task
+ * @param {object} opts - Plan options
+ * @returns {{ name: string, template: object } | null}
+ */
+function matchTemplate(task, opts) {
+  if (opts.templates === false || (!task.type && !task.template)) return null;
+  const templates = opts.templates ?? loadTemplates({ cwd: opts.cwd }).templates;
+  return findTemplate(templates, task);
 }
 
 /**
- * Create a single plan step object.
+ * Create a single plan step object, without dependencies (a step list gets
+ * them from inferDependencies()).
+ * An action written as one inline code span (`` `npm test` ``) also
+ * becomes the step's `command`.
  * @param {number} order - Step order/sequence
  * @param {string} action - Action description
  * @returns {object}
  */
 function createStep(order, action) {
   const complexity = estimateStepComplexity(action);
+  const inline = INLINE_COMMAND_PATTERN.exec(action);
   return {
     id: `step-${order}`,
     order,
     action,
+    ...(inline && { command: inline[1].trim() }),
     description: action,
-    dependencies: order > 1 ? [`step-${order - 1}`] : [],
+    dependencies: [],
     estimatedComplexity: complexity,
     status: 'pending',
   };
@@ -654,26 +1055,6 @@ function resolveExecutionOrder(steps, dependencies) {
   return ordered;
 }
 
-/**
- * Check if step dependencies are satisfied.
- * @param {object} step - Step to check
- * @param {Array<object>} completedResults - Completed step results
- * @param {Array<object>} dependencies - Dependency graph
- * @returns {{ satisfied: boolean, unmet: string[] }}
- */
-function checkDependencies(step, completedResults, dependencies) {
-  const requiredSteps = dependencies
-    .filter((d) => d.to === step.id)
-    .map((d) => d.from);
-
-  const unmet = requiredSteps.filter((reqId) => {
-    const result = completedResults.find((r) => r.stepId === reqId);
-    return !result || result.status !== 'success';
-  });
-
-  return { satisfied: unmet.length === 0, unmet };
-}
-
 /**
  * Extract a human-readable failure reason from a step result.
  * @param {object} stepResult - Step execution result
@@ -692,6 +1073,29 @@ function extractFailureReason(stepResult) {
   return `Exit code: ${stepResult.execution.exitCode}`;
 }
 
+/**
+ * Split failed and blocked step results, diagnosing each failure's root cause.
+ * @param {object[]} results - Step results from execute()
+ * @param {{ errorPatterns?: object[] }} options
+ * @returns {{ failedSteps: object[], blockedSteps: object[] }}
+ */
+function collectFailures(results, options) {
+  const failedSteps = [];
+  const blockedSteps = [];
+  for (const r of results) {
+    if (r.status === 'failed') {
+      const reason = extractFailureReason(r);
+      const rootCause = diagnoseFailure(r, { errorPatterns: options.errorPatterns });
+      failedSteps.push({ stepId: r.stepId, action: r.action, reason, rootCause });
+    }
+    if (r.status === 'blocked') {
+      const reason = r.execution?.blockedBy || 'Unknown blocked reason';
+      blockedSteps.push({ stepId: r.stepId, action: r.action, reason });
+    }
+  }
+  return { failedSteps, blockedSteps };
+}
+
 /**
  * Build an adjusted plan from reflection corrections.
  * @param {object} executionResult - Result of plan execution
@@ -702,21 +1106,25 @@ function buildAdjustedPlan(executionResult, corrections) {
   const adjustedSteps = executionResult.results.map((r) => {
     const correction = corrections.find((c) => c.stepId === r.stepId);
 
+    const command = r.command !== undefined ? { command: r.command } : {};
     if (r.status === 'success') {
       // Already succeeded - keep but mark as completed
       return {
         id: r.stepId,
         order: r.order,
         action: r.action,
+        ...command,
         status: 'completed',
         skipOnRetry: true,
       };
     }
 
+    // The correction hint is prose for the next attempt; the command stays as planned
     return {
       id: r.stepId,
       order: r.order,
       action: correction ? correction.suggestedAction : r.action,
+      ...command,
       status: 'pending',
       corrected: !!correction,
     };
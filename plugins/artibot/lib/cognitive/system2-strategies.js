@@ -9,6 +9,9 @@
  * @module lib/cognitive/system2-strategies
  */
 
+import { DOMAIN_KEYWORDS, loadAgentRegistry, modelRank, rankAgents } from '../core/agent-registry.js';
+import { classifyFailure, ROOT_CAUSES } from './root-cause.js';
+
 /** Complexity thresholds for team recommendation */
 export const TEAM_THRESHOLDS = {
   /** Score above which Agent Teams are recommended */
@@ -17,6 +20,27 @@ export const TEAM_THRESHOLDS = {
   platoonRecommendation: 0.85,
 };
 
+/** Team sizes per level; GRPO weights may pick any size in range */
+const TEAM_SIZES = {
+  squad: { default: 3, min: 2, max: 4 },
+  platoon: { default: 5, min: 5, max: 8 },
+};
+
+/** Domain fit an agent needs to be picked as a specialist */
+const SPECIALIST_MIN_SCORE = 2;
+
+/** Domains whose work is not code, so their teams get no code reviewer */
+const NON_CODE_DOMAINS = new Set(['documentation', 'marketing', 'data']);
+
+/** Leading words (or commands) of steps that can run next to their neighbours of the same kind */
+const STEP_KIND_PATTERNS = [
+  ['inspect', /^(?:analy[sz]e|audit|explore|find|gather|identify|inspect|investigate|read|research|review|search|understand)\b/],
+  ['verify', /^(?:benchmark|check|lint|test|type-?check|validate|verify|(?:npm|pnpm|yarn) (?:run )?(?:lint|test)|npx (?:eslint|jest|tsc|vitest)|eslint|jest|pytest|tsc|vitest|run (?:the )?(?:\w+ )?(?:linter|tests?))\b/],
+];
+
+/** Step kinds whose consecutive steps are independent */
+const PARALLEL_STEP_KINDS = new Set(STEP_KIND_PATTERNS.map(([kind]) => kind));
+
 /**
  * Estimate a single step's complexity level.
  * @param {string} action - Action description
@@ -32,6 +56,37 @@ export function estimateStepComplexity(action) {
   return 'medium';
 }
 
+/**
+ * Fill in the dependencies of steps decomposed from a step list.
+ * Consecutive inspection steps (analyze, read, review, ...) and consecutive
+ * verification steps (test, lint, validate, ...) do not depend on each
+ * other, so they share the dependencies of the first step of their run;
+ * every other step depends on the whole run of steps before it.
+ *
+ * @param {Array<object>} steps - Steps in list order
+ * @returns {Array<object>} Copies of the steps with `dependencies` set
+ * @example
+ * inferDependencies(steps); // analyze, analyze, implement, test, lint
+ * // -> [], [], [step-1, step-2], [step-3], [step-3]
+ */
+export function inferDependencies(steps) {
+  let group = [];
+  let groupDeps = [];
+  let groupKind = null;
+
+  return steps.map((step) => {
+    const kind = stepKind(step);
+    if (kind === groupKind && PARALLEL_STEP_KINDS.has(kind)) {
+      group.push(step.id);
+    } else {
+      groupDeps = group;
+      group = [step.id];
+      groupKind = kind;
+    }
+    return { ...step, dependencies: [...groupDeps] };
+  });
+}
+
 /**
  * Analyze and extract dependencies between steps.
  * @param {Array<object>} steps - Steps to analyze
@@ -47,6 +102,16 @@ export function analyzeDependencies(steps) {
   return deps;
 }
 
+/**
+ * Kind of a step for inferDependencies(): 'inspect', 'verify' or 'change'.
+ * @param {object} step
+ * @returns {string}
+ */
+function stepKind(step) {
+  const text = (step.command ?? step.action).trim().toLowerCase();
+  return STEP_KIND_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] ?? 'change';
+}
+
 /**
  * Assess risks for each plan step.
  * @param {Array<object>} steps - Steps to assess
@@ -123,75 +188,168 @@ export function estimateComplexity(steps, dependencies, risks) {
 
 /**
  * Recommend team composition based on complexity score.
+ * Teammates are real agents from the agent registry (see
+ * lib/core/agent-registry.js) with their assigned models. GRPO team weights
+ * (`getGrpoStats().teamWeights`, keyed `pattern|size|domain`) choose the
+ * orchestration pattern and team size within the recommended level, and the
+ * weights of that pattern and size per domain scale each candidate's fit by
+ * the domain the candidate specializes in.
+ *
  * @param {number} complexity - 0-1 complexity score
- * @param {object} task - Task to recommend team for
- * @returns {object|null}
+ * @param {object} task - Task to recommend team for (`domain`, `description`)
+ * @param {object} [options]
+ * @param {import('../core/agent-registry.js').AgentRegistry} [options.registry] - Default: loadAgentRegistry()
+ * @param {Record<string, number>} [options.teamWeights] - GRPO team weights
+ * @returns {object|null} `teammates` holds agent ids, `members` the ids with model, category and fit score
  */
-export function recommendTeam(complexity, task) {
+export function recommendTeam(complexity, task, options = {}) {
   if (complexity < TEAM_THRESHOLDS.teamRecommendation) {
     return null;
   }
 
   const domain = task.domain || 'general';
   const level = complexity >= TEAM_THRESHOLDS.platoonRecommendation ? 'platoon' : 'squad';
+  const composition = chooseComposition(domain, level, options.teamWeights);
 
-  const teammates = selectTeammates(domain, level);
+  const members = selectTeammates(domain, level, {
+    registry: options.registry,
+    size: composition.size,
+    text: task.description,
+    domainWeights: compositionWeights(composition, options.teamWeights),
+  });
 
   return {
     recommended: true,
     level,
     complexity,
-    pattern: 'leader',
+    pattern: composition.pattern,
+    size: members.length,
+    weight: composition.weight,
     domain,
-    teammates,
+    teammates: members.map((m) => m.id),
+    members,
     reason: `Task complexity (${complexity}) exceeds team threshold (${TEAM_THRESHOLDS.teamRecommendation})`,
   };
 }
 
 /**
- * Select appropriate teammates based on domain and team level.
+ * Select teammates for a domain and team level from the agent registry.
+ * Domain specialists come first, then the best-ranked builder (review,
+ * tests, build fixes; code domains only), then other agents with a positive fit. Agents that
+ * do not fit the task are never added to reach the size, so the team may be
+ * smaller. A platoon is led by the manager agent with the strongest model
+ * (domain fit breaks ties). The configured CTO agent leads every team and
+ * is never selected.
+ *
  * @param {string} domain - Domain classification
  * @param {'squad' | 'platoon'} level - Team level
- * @returns {string[]}
+ * @param {object} [options]
+ * @param {import('../core/agent-registry.js').AgentRegistry} [options.registry] - Default: loadAgentRegistry()
+ * @param {number} [options.size] - Maximum team size (default: 3 for a squad, 5 for a platoon)
+ * @param {string} [options.text] - Task description, refines domain fit
+ * @param {Record<string, number>} [options.domainWeights] - Multiplier per domain, applied to
+ *   the positive fit of agents specializing in that domain
+ * @returns {Array<{ id: string, model: string, category: string|null, score: number }>}
  */
-export function selectTeammates(domain, level) {
-  const domainTeams = {
-    frontend: ['frontend-dev', 'ui-designer', 'qa-tester'],
-    backend: ['backend-dev', 'db-specialist', 'api-designer'],
-    security: ['security-analyst', 'penetration-tester', 'compliance-reviewer'],
-    performance: ['performance-engineer', 'profiler', 'load-tester'],
-    general: ['developer', 'reviewer', 'tester'],
+export function selectTeammates(domain, level, options = {}) {
+  const registry = options.registry ?? loadAgentRegistry();
+  const size = options.size ?? TEAM_SIZES[level].default;
+  const ranked = weightRanking(registry, rankAgents(registry, { domain, text: options.text }), options.domainWeights);
+  const team = [];
+  const add = (member) => {
+    if (member && team.length < size && !team.some((m) => m.id === member.id)) team.push(member);
   };
 
-  const baseTeam = domainTeams[domain] || domainTeams.general;
-
   if (level === 'platoon') {
-    return [...baseTeam, 'architect', 'tech-lead'];
+    const managers = ranked.filter((a) => a.category === 'manager');
+    add(managers.sort((a, b) => modelRank(b) - modelRank(a) || b.score - a.score)[0]);
+  }
+
+  const reviewer = NON_CODE_DOMAINS.has(domain) ? undefined : ranked.find((a) => a.category === 'builder');
+  for (const agent of ranked.filter((a) => a.score >= SPECIALIST_MIN_SCORE)) {
+    if (team.length >= size - (reviewer ? 1 : 0)) break;
+    add(agent);
   }
+  add(reviewer);
+  for (const agent of ranked.filter((a) => a.score > 0)) add(agent);
 
-  return baseTeam;
+  return team;
 }
 
 /**
- * Suggest a correction for a failed step.
- * @param {object} failedStep - Failed step with { stepId, action, reason }
+ * Suggest a correction for a failed step from its root cause.
+ * The cause is classified from `reason` when `rootCause` is absent.
+ * @param {object} failedStep - Failed step with { stepId, action, reason, rootCause? }
  * @returns {string}
  */
 export function suggestCorrection(failedStep) {
-  const reason = failedStep.reason.toLowerCase();
+  const cause = failedStep.rootCause?.cause ?? classifyFailure({ reason: failedStep.reason }).cause;
+  return `${failedStep.action} (${ROOT_CAUSES[cause].hint})`;
+}
 
-  if (reason.includes('timeout')) {
-    return `${failedStep.action} (with extended timeout)`;
-  }
-  if (reason.includes('permission')) {
-    return `${failedStep.action} (check permissions first)`;
-  }
-  if (reason.includes('not found')) {
-    return `${failedStep.action} (verify paths and dependencies exist)`;
-  }
-  if (reason.includes('syntax')) {
-    return `${failedStep.action} (fix syntax before re-running)`;
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Pattern and size with the highest GRPO weight for the domain and level.
+ * Falls back to a leader-led team of the level's default size.
+ * @param {string} domain
+ * @param {'squad' | 'platoon'} level
+ * @param {Record<string, number>} [teamWeights]
+ * @returns {{ pattern: string, size: number, weight: number }}
+ */
+function chooseComposition(domain, level, teamWeights = {}) {
+  const { default: size, min, max } = TEAM_SIZES[level];
+  const fallback = { pattern: 'leader', size, weight: teamWeights[`leader|${size}|${domain}`] ?? 1.0 };
+
+  return Object.entries(teamWeights).reduce((best, [key, weight]) => {
+    const [pattern, entrySize, entryDomain] = key.split('|');
+    const n = Number(entrySize);
+    if (entryDomain !== domain || pattern === 'solo' || n < min || n > max) return best;
+    return weight > best.weight ? { pattern, size: n, weight } : best;
+  }, fallback);
+}
+
+/**
+ * GRPO weight per domain of the chosen pattern and size.
+ * @param {{ pattern: string, size: number }} composition
+ * @param {Record<string, number>} [teamWeights]
+ * @returns {Record<string, number>}
+ */
+function compositionWeights(composition, teamWeights = {}) {
+  const prefix = `${composition.pattern}|${composition.size}|`;
+  return Object.fromEntries(
+    Object.entries(teamWeights)
+      .filter(([key, weight]) => key.startsWith(prefix) && Number.isFinite(weight))
+      .map(([key, weight]) => [key.slice(prefix.length), weight]),
+  );
+}
+
+/**
+ * Scale each ranked agent's positive fit by the weight of its specialty:
+ * the domain it fits best. Agents without a weighted specialty keep their
+ * score; ties keep the registry order.
+ * @param {import('../core/agent-registry.js').AgentRegistry} registry
+ * @param {Array<{ id: string, score: number }>} ranked
+ * @param {Record<string, number>} [domainWeights]
+ * @returns {Array<{ id: string, score: number }>}
+ */
+function weightRanking(registry, ranked, domainWeights = {}) {
+  if (Object.keys(domainWeights).length === 0) return ranked;
+
+  const specialty = new Map();
+  for (const domain of Object.keys(DOMAIN_KEYWORDS)) {
+    for (const { id, score } of rankAgents(registry, { domain })) {
+      if (score > 0 && score > (specialty.get(id)?.score ?? 0)) specialty.set(id, { domain, score });
+    }
   }
 
-  return `${failedStep.action} (retry with adjusted approach)`;
+  return ranked
+    .map((agent) => {
+      const weight = domainWeights[specialty.get(agent.id)?.domain];
+      if (weight === undefined || agent.score <= 0) return agent;
+      return { ...agent, score: Math.round(agent.score * weight * 100) / 100 };
+    })
+    .sort((a, b) => b.score - a.score);
 }
@@ -15,6 +15,8 @@
  * This module is a barrel re-export from:
  *   - system2-core.js: Plan-Execute-Reflect loop and public API
  *   - system2-strategies.js: Strategy patterns, risk assessment, team recommendations
+ *   - root-cause.js: Failure root-cause taxonomy for reflect()
+ *   - plan-export.js: Mermaid / Markdown / JSON plan exporters
  *
  * @module lib/cognitive/system2
  */
@@ -23,15 +25,41 @@
 export {
   plan,
   execute,
+  executeAsync,
   reflect,
   solve,
+  solveAsync,
+  resume,
+  resumeAsync,
   assessComplexity,
 } from './system2-core.js';
 
+// Root causes: failure taxonomy and known fixes used by reflect()
+export {
+  ROOT_CAUSES,
+  classifyFailure,
+  diagnoseFailure,
+  findKnownFixes,
+  loadErrorPatterns,
+} from './root-cause.js';
+
+// Export: Mermaid, Markdown and versioned JSON renderings of plans
+export {
+  PLAN_SCHEMA,
+  PLAN_SCHEMA_VERSION,
+  EXPORT_FORMATS,
+  toPlanDocument,
+  validatePlanDocument,
+  toMermaid as planToMermaid,
+  toMarkdown as planToMarkdown,
+  exportPlan,
+} from './plan-export.js';
+
 // Strategies: risk, complexity, team, correction heuristics
 export {
   TEAM_THRESHOLDS,
   estimateStepComplexity,
+  inferDependencies,
   analyzeDependencies,
   assessRisks,
   estimateComplexity,
@@ -0,0 +1,325 @@
+/**
+ * Agent registry: the agents that actually exist in agents/*.md, with the
+ * category and model assigned by artibot.config.json and the capability
+ * keywords used to match them to a domain.
+ *
+ * Sources per agent:
+ *   - frontmatter `name`, `model` and `description` (its `Triggers:` and
+ *     `Do NOT use for:` paragraphs become `triggers` and `excludes`)
+ *   - `agents.categories` (manager, expert, builder, support)
+ *   - `agents.modelPolicy` tiers, which override the frontmatter model
+ *   - `agents.taskBased` keys, added to the agent's keywords
+ *
+ * Everything is read synchronously so the registry can back the pure
+ * System 2 strategy functions; the default registry is cached.
+ *
+ * @module lib/core/agent-registry
+ */
+
+import path from 'node:path';
+import { readdirSync, readFileSync } from 'node:fs';
+import { getPluginRoot } from './platform.js';
+import { parseFrontmatter } from './skill-exporter.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Keywords describing each task domain, matched against agent keywords */
+export const DOMAIN_KEYWORDS = Object.freeze({
+  frontend: ['frontend', 'ui', 'component', 'css', 'accessibility'],
+  backend: ['backend', 'api', 'server', 'endpoint', 'middleware'],
+  database: ['database', 'sql', 'schema', 'query', 'migration'],
+  security: ['security', 'vulnerability', 'audit', 'authentication', 'owasp'],
+  performance: ['performance', 'profiling', 'bottleneck', 'latency', 'optimization'],
+  infrastructure: ['infrastructure', 'deploy', 'docker', 'ci/cd', 'pipeline'],
+  documentation: ['documentation', 'readme', 'changelog', 'guide'],
+  testing: ['tdd', 'e2e', 'test', 'playwright'],
+  marketing: ['marketing strategy', 'campaign', 'seo', 'content', 'advertising'],
+  data: ['data analysis', 'analytics', 'metrics', 'dashboard', 'report'],
+  general: [],
+});
+
+/** Tie-break bonus per category: domain specialists first */
+const CATEGORY_BONUS = { expert: 0.3, builder: 0.2, manager: 0.1, support: 0 };
+
+/** Used when neither config nor frontmatter names a model */
+const DEFAULT_MODEL = 'sonnet';
+
+/** Relative model strength, for picking a team lead */
+const MODEL_RANK = { haiku: 1, sonnet: 2, opus: 3 };
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'into', 'use', 'all']);
+
+let _defaultRegistry = null;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} AgentProfile
+ * @property {string} id - Agent id (file name / frontmatter name)
+ * @property {string} description - First paragraph of the frontmatter description
+ * @property {string} model - Assigned model (modelPolicy tier, else frontmatter)
+ * @property {string|null} tier - modelPolicy tier (high, medium, low)
+ * @property {string|null} category - agents.categories entry
+ * @property {number} order - Position within its category list (ties rank in config order)
+ * @property {string[]} triggers - Lower-cased `Triggers:` keywords
+ * @property {string[]} excludes - Lower-cased `Do NOT use for:` keywords
+ * @property {string[]} tasks - agents.taskBased keys routed to this agent
+ */
+
+/**
+ * @typedef {object} AgentRegistry
+ * @property {Record<string, AgentProfile>} agents
+ * @property {string|null} cto - team.ctoAgent; never selected as a teammate
+ * @property {string[]} errors - Unreadable agent files and config references to unknown agents
+ */
+
+/**
+ * @typedef {object} RankedAgent
+ * @property {string} id
+ * @property {string} model
+ * @property {string|null} category
+ * @property {number} score - Domain fit (higher is better)
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse an agent definition file.
+ *
+ * @param {string} content - agents/<id>.md content
+ * @param {string} [fallbackId] - Id to use when the frontmatter has no name
+ * @returns {{ id: string, description: string, model: string|null, triggers: string[], excludes: string[] }}
+ */
+export function parseAgentDefinition(content, fallbackId = '') {
+  const { frontmatter } = parseFrontmatter(content);
+  const description = blockScalar(content, 'description') ?? String(frontmatter.description ?? '');
+  const paragraphs = description.split(/\n\s*\n/).map((p) => p.replace(/\s+/g, ' ').trim());
+
+  return {
+    id: frontmatter.name || fallbackId,
+    description: paragraphs[0] ?? '',
+    model: frontmatter.model || null,
+    triggers: keywordList(paragraphs, /^Triggers:\s*/i),
+    excludes: keywordList(paragraphs, /^Do NOT use for:\s*/i),
+  };
+}
+
+/**
+ * Build a registry from parsed agent definitions and the artibot config.
+ *
+ * @param {Array<ReturnType<typeof parseAgentDefinition>>} definitions
+ * @param {object} [config] - Artibot config (`agents`, `team.ctoAgent`)
+ * @returns {AgentRegistry}
+ */
+export function createAgentRegistry(definitions, config = {}) {
+  const { modelPolicy = {}, categories = {}, taskBased = {} } = config.agents ?? {};
+  const agents = {};
+  const errors = [];
+
+  for (const def of definitions) {
+    if (!def.id) continue;
+    agents[def.id] = { ...def, model: def.model ?? DEFAULT_MODEL, tier: null, category: null, order: Infinity, tasks: [] };
+  }
+
+  const assign = (source, id, apply) => {
+    if (agents[id]) apply(agents[id]);
+    else errors.push(`${source} references unknown agent "${id}"`);
+  };
+  for (const [tier, policy] of Object.entries(modelPolicy)) {
+    for (const id of policy?.agents ?? []) {
+      assign(`agents.modelPolicy.${tier}`, id, (agent) => {
+        agent.tier = tier;
+        if (policy.model) agent.model = policy.model;
+      });
+    }
+  }
+  for (const [category, ids] of Object.entries(categories)) {
+    (Array.isArray(ids) ? ids : []).forEach((id, order) => {
+      assign(`agents.categories.${category}`, id, (agent) => {
+        if (agent.category !== null) return;
+        agent.category = category;
+        agent.order = order;
+      });
+    });
+  }
+  for (const [task, id] of Object.entries(taskBased)) {
+    assign(`agents.taskBased["${task}"]`, id, (agent) => { agent.tasks.push(task.toLowerCase()); });
+  }
+
+  return { agents, cto: config.team?.ctoAgent ?? null, errors };
+}
+
+/**
+ * Load the registry from the plugin's agents/ directory and
+ * artibot.config.json. The default registry is cached; pass `force` (or a
+ * custom root or config) to rebuild.
+ *
+ * @param {object} [options]
+ * @param {string} [options.pluginRoot] - Plugin root (default: getPluginRoot())
+ * @param {object} [options.config] - Config object (default: <root>/artibot.config.json)
+ * @param {boolean} [options.force=false] - Bypass the cache
+ * @returns {AgentRegistry}
+ * @example
+ * const registry = loadAgentRegistry();
+ * registry.agents['security-reviewer'].model; // 'opus'
+ */
+export function loadAgentRegistry(options = {}) {
+  const custom = options.pluginRoot !== undefined || options.config !== undefined;
+  if (!custom && !options.force && _defaultRegistry) return _defaultRegistry;
+
+  const root = options.pluginRoot ?? getPluginRoot();
+  const errors = [];
+  let config = options.config;
+  if (config === undefined) {
+    try {
+      config = JSON.parse(readFileSync(path.join(root, 'artibot.config.json'), 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') errors.push(`artibot.config.json: ${err.message}`);
+      config = {};
+    }
+  }
+
+  const agentsDir = path.join(root, 'agents');
+  let files = [];
+  try {
+    files = readdirSync(agentsDir).filter((f) => f.endsWith('.md')).sort();
+  } catch {
+    errors.push(`${agentsDir}: agents directory not found`);
+  }
+
+  const definitions = [];
+  for (const file of files) {
+    try {
+      definitions.push(parseAgentDefinition(readFileSync(path.join(agentsDir, file), 'utf-8'), file.slice(0, -3)));
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+    }
+  }
+
+  const registry = createAgentRegistry(definitions, config);
+  registry.errors.unshift(...errors);
+  if (!custom) _defaultRegistry = registry;
+  return registry;
+}
+
+/**
+ * Drop the cached default registry.
+ */
+export function resetAgentRegistry() {
+  _defaultRegistry = null;
+}
+
+/**
+ * Rank agents by fit for a domain and optional task text.
+ * Domain keywords weigh twice as much as words from the task text; a
+ * keyword listed under an agent's `Do NOT use for` counts against it.
+ * The CTO agent is never ranked.
+ *
+ * @param {AgentRegistry} registry
+ * @param {object} [query]
+ * @param {string} [query.domain='general']
+ * @param {string} [query.text] - Task description
+ * @param {string[]} [query.exclude] - Agent ids to skip
+ * @returns {RankedAgent[]} Best fit first; ties go to experts, then builders, in config order
+ * @example
+ * rankAgents(loadAgentRegistry(), { domain: 'frontend' })[0].id; // 'frontend-developer'
+ */
+export function rankAgents(registry, query = {}) {
+  const domain = query.domain ?? 'general';
+  const domainTerms = [...new Set([domain.toLowerCase(), ...(DOMAIN_KEYWORDS[domain] ?? [])])];
+  const textTerms = tokenize(query.text ?? '').filter((t) => !domainTerms.includes(t));
+  const skip = new Set([registry.cto, ...(query.exclude ?? [])]);
+
+  const bonus = (agent) => CATEGORY_BONUS[agent.category] ?? 0;
+  return Object.values(registry.agents)
+    .filter((agent) => !skip.has(agent.id))
+    .map((agent) => {
+      const fit = domainTerms.reduce((sum, term) => sum + 2 * termFit(agent, term), 0) +
+        textTerms.reduce((sum, term) => sum + termFit(agent, term), 0);
+      return { agent, score: Math.round((fit > 0 ? fit + bonus(agent) : fit) * 100) / 100 };
+    })
+    .sort((a, b) => b.score - a.score || bonus(b.agent) - bonus(a.agent) || a.agent.order - b.agent.order)
+    .map(({ agent, score }) => ({ id: agent.id, model: agent.model, category: agent.category, score }));
+}
+
+/**
+ * Model rank of an agent (haiku < sonnet < opus); unknown models rank 0.
+ *
+ * @param {{ model: string }} agent
+ * @returns {number}
+ */
+export function modelRank(agent) {
+  return MODEL_RANK[agent.model] ?? 0;
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Raw text of a `key: |` block in the frontmatter, blank lines included
+ * (parseFrontmatter() stops a block at its first blank line).
+ * @param {string} content - Full file content
+ * @param {string} key
+ * @returns {string|null}
+ */
+function blockScalar(content, key) {
+  const yaml = /^---\r?\n([\s\S]*?)\r?\n---/.exec(content)?.[1];
+  if (!yaml) return null;
+  const lines = yaml.split(/\r?\n/);
+  const start = lines.findIndex((line) => new RegExp(`^${key}\\s*:\\s*\\|\\s*$`).test(line));
+  if (start === -1) return null;
+  const block = [];
+  for (const line of lines.slice(start + 1)) {
+    if (line.trim() !== '' && !/^\s/.test(line)) break;
+    block.push(line.trim());
+  }
+  return block.join('\n').trim();
+}
+
+/**
+ * Comma-separated keywords of the paragraph starting with `prefix`.
+ * @param {string[]} paragraphs
+ * @param {RegExp} prefix
+ * @returns {string[]}
+ */
+function keywordList(paragraphs, prefix) {
+  const paragraph = paragraphs.find((p) => prefix.test(p));
+  if (!paragraph) return [];
+  return paragraph
+    .replace(prefix, '')
+    .split(',')
+    .map((k) => k.replace(/\(.*?\)/g, '').trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} Distinct lower-cased words of 3+ characters
+ */
+function tokenize(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}/+-]{3,}/gu) ?? [];
+  return [...new Set(words.filter((w) => !STOP_WORDS.has(w)))];
+}
+
+/**
+ * How well one keyword describes an agent: 1 when it is a trigger or
+ * task-routing key, 0.5 when it is a word of a multi-word one, -1 when it
+ * appears in the agent's exclusions.
+ * @param {AgentProfile} agent
+ * @param {string} term
+ * @returns {number}
+ */
+function termFit(agent, term) {
+  const inPhrase = (keyword) => keyword.split(/\s+/).includes(term);
+  const keywords = [...agent.triggers, ...agent.tasks];
+  if (agent.excludes.some((k) => k === term || inPhrase(k))) return -1;
+  if (keywords.includes(term)) return 1;
+  return keywords.some(inPhrase) ? 0.5 : 0;
+}
@@ -0,0 +1,473 @@
+/**
+ * Dangerous command rules shared by the pre-bash hook and the System 2 sandbox.
+ * Rules are evaluated per simple command from shell-parser.collectCommands(),
+ * so quoting, chaining, substitutions and wrappers such as `sudo`, `xargs`,
+ * `eval` or `bash -c` do not hide a match.
+ *
+ * A rule either has a `test(command, commands)` predicate over a parsed
+ * command (with the whole command list for rules that span commands, such as
+ * a download later run as a script), or a `pattern` RegExp matched against the whole command line and against the
+ * text of every simple command (the form used for custom sandbox patterns).
+ *
+ * @module lib/core/command-rules
+ */
+
+import { collectCommands, inlineCode, parseShell } from './shell-parser.js';
+
+/**
+ * @typedef {object} CommandRule
+ * @property {string} [id] - Stable identifier (defaults to the label)
+ * @property {string} label - Human-readable description used in block reasons
+ * @property {(
+ *   command: import('./shell-parser.js').ShellCommand,
+ *   commands: import('./shell-parser.js').ShellCommand[]
+ * ) => boolean} [test] - Predicate over one simple command of the command line's `commands`
+ * @property {RegExp} [pattern] - Matched against the command line and each simple command's text
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const INTERPRETERS = /^(sh|bash|zsh|dash|ksh|ash|fish|python[\d.]*|perl|ruby|node|php)$/;
+const DOWNLOADERS = new Set(['curl', 'wget']);
+const SCRIPT_LOADERS = new Set(['source', '.']);
+const DECODED_EVAL = /\b(?:exec|eval|system)\b[\s\S]*\b(?:b64decode|decodebytes|unhexlify|decompress|atob|fromCharCode|decode_base64|unpack1?)\b/;
+const ELEVATORS = new Set(['sudo', 'doas']);
+const INDIRECT_TARGETS = new Set(['xargs', 'find']);
+const OUTPUT_REDIRECTS = new Set(['>', '>|', '>>', '&>', '&>>', '<>']);
+const TRUNCATE_REDIRECTS = new Set(['>', '>|', '&>']);
+const DISK_DEVICE = /^\/dev\/(sd|hd|vd|xvd|nvme|mmcblk|disk)/;
+const SQL_DESTRUCTIVE = /\b(drop\s+(table|database|schema)|truncate\s+table)\b/i;
+const SQL_DELETE_ALL = /\bdelete\s+from\s+[\w."`]+\s*(;|$)/im;
+const PRINTERS = new Set(['echo', 'printf']);
+const GIT_VALUE_OPTIONS = new Set(['-C', '-c', '--git-dir', '--work-tree', '--namespace']);
+
+/**
+ * Whether arguments contain a flag, as a short option (alone or combined,
+ * e.g. `-rf`) or one of the long forms.
+ * @param {string[]} args
+ * @param {string} short - Short option letters, any of which match
+ * @param {string[]} [long] - Long options
+ * @returns {boolean}
+ */
+function hasFlag(args, short, long = []) {
+  return args.some((a) => (
+    a.startsWith('--')
+      ? long.includes(a.split('=')[0])
+      : /^-[A-Za-z0-9]+$/.test(a) && [...short].some((letter) => a.includes(letter))
+  ));
+}
+
+/**
+ * Non-option arguments.
+ * @param {string[]} args
+ * @returns {string[]}
+ */
+function operands(args) {
+  return args.filter((a) => !a.startsWith('-') || a === '-');
+}
+
+/**
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isPathLike(target) {
+  return target.includes('/') || target.startsWith('~') || target === '.' || target === '..';
+}
+
+/**
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @returns {boolean}
+ */
+function isForcedRecursiveRm(c) {
+  return c.name === 'rm' && hasFlag(c.args, 'rR', ['--recursive']) && hasFlag(c.args, 'f', ['--force']);
+}
+
+/**
+ * Git subcommand and its arguments, skipping global options.
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @returns {{ sub: string, args: string[] }|null}
+ */
+function gitSubcommand(c) {
+  if (c.name !== 'git') return null;
+  let i = 0;
+  while (i < c.args.length && c.args[i].startsWith('-')) {
+    i += GIT_VALUE_OPTIONS.has(c.args[i]) ? 2 : 1;
+  }
+  return i < c.args.length ? { sub: c.args[i], args: c.args.slice(i + 1) } : null;
+}
+
+/**
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @param {string} sub
+ * @param {(args: string[]) => boolean} predicate
+ * @returns {boolean}
+ */
+function isGit(c, sub, predicate) {
+  const git = gitSubcommand(c);
+  return git !== null && git.sub === sub && predicate(git.args);
+}
+
+/**
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @returns {boolean}
+ */
+function isForcePush(c) {
+  return isGit(c, 'push', (args) => (
+    args.some((a) => a.startsWith('--force')) ||
+    hasFlag(args, 'f') ||
+    operands(args).some((a) => a.startsWith('+'))
+  ));
+}
+
+/**
+ * SQL passed to a command as arguments or input. Text that is only printed
+ * (echo/printf) counts once it is piped into the command that runs it.
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @param {RegExp} pattern
+ * @returns {boolean}
+ */
+function hasSql(c, pattern) {
+  return (!PRINTERS.has(c.name) && pattern.test(c.text)) || pattern.test(c.stdin ?? '');
+}
+
+/**
+ * Whether a command runs a script: an interpreter, `source` or `.`.
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @returns {boolean}
+ */
+function runsScripts(c) {
+  return INTERPRETERS.test(c.name) || SCRIPT_LOADERS.has(c.name);
+}
+
+/**
+ * Whether a script runner reads a script nobody can see: a process
+ * substitution, or stdin fed by a pipeline whose output is not static
+ * (`echo … | base64 -d | sh`).
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @returns {boolean}
+ */
+function runsOpaqueScript(c) {
+  if (!runsScripts(c) || inlineCode(c) !== null) return false;
+  const [script] = operands(c.args);
+  if (script !== undefined && script !== '-') return script.startsWith('<(');
+  return c.inputs.length > 0 && c.stdin === null;
+}
+
+/**
+ * Lower-cased base name of a file path or URL, for comparing a download
+ * with the script a later command runs.
+ * @param {string} target
+ * @returns {string}
+ */
+function fileKey(target) {
+  const file = target.split(/[?#]/)[0];
+  return file.slice(file.lastIndexOf('/') + 1).toLowerCase();
+}
+
+/**
+ * Files a downloader writes: `-o`/`--output` (curl), `-O`/`--output-document`
+ * (wget), output redirects, and URL base names for `curl -O` and plain wget.
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @returns {string[]} File keys
+ */
+function downloadedFiles(c) {
+  if (!DOWNLOADERS.has(c.name)) return [];
+  const [short, long] = c.name === 'curl' ? ['o', '--output'] : ['O', '--output-document'];
+  const files = c.redirects.filter((r) => OUTPUT_REDIRECTS.has(r.op) && r.target).map((r) => r.target);
+  c.args.forEach((arg, i) => {
+    if (arg === long) files.push(c.args[i + 1]);
+    else if (arg.startsWith(`${long}=`)) files.push(arg.slice(long.length + 1));
+    else if (/^-[A-Za-z]/.test(arg) && arg.includes(short)) files.push(arg.slice(arg.indexOf(short) + 1) || c.args[i + 1]);
+  });
+
+  const remoteName = c.name === 'wget' || hasFlag(c.args, 'O', ['--remote-name', '--remote-name-all']);
+  if (files.length === 0 && remoteName) files.push(...operands(c.args).filter((a) => /^\w+:\/\//.test(a)));
+  return files.filter((f) => f && f !== '-').map(fileKey);
+}
+
+/**
+ * Whether a command runs a file that an earlier command downloaded
+ * (`curl -o i.sh x && bash i.sh`, `wget x/i.sh; ./i.sh`).
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @param {import('./shell-parser.js').ShellCommand[]} commands - Commands of the line, in order
+ * @returns {boolean}
+ */
+function runsDownloadedFile(c, commands) {
+  const at = commands.indexOf(c);
+  const script = runsScripts(c) ? operands(c.args)[0] : c.name;
+  if (at <= 0 || !script) return false;
+  return commands.slice(0, at).some((d) => downloadedFiles(d).includes(fileKey(script)));
+}
+
+/**
+ * @param {import('./shell-parser.js').ShellCommand} c
+ * @returns {boolean}
+ */
+function isPowerCommand(c) {
+  if (['shutdown', 'reboot', 'halt', 'poweroff'].includes(c.name)) return true;
+  if (c.name === 'init' || c.name === 'telinit') return ['0', '6'].includes(c.args[0]);
+  return c.name === 'systemctl' && ['poweroff', 'reboot', 'halt'].includes(operands(c.args)[0]);
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+/**
+ * Built-in dangerous command rules.
+ * @type {ReadonlyArray<CommandRule>}
+ */
+export const COMMAND_RULES = Object.freeze([
+  // Filesystem destruction
+  {
+    id: 'rm-recursive-path',
+    label: 'rm -rf with path',
+    test: (c) => isForcedRecursiveRm(c) && operands(c.args).some(isPathLike),
+  },
+  {
+    id: 'rm-wildcard',
+    label: 'rm with wildcard',
+    test: (c) => c.name === 'rm' && hasFlag(c.args, 'rRf', ['--recursive', '--force']) && operands(c.args).some((a) => a.includes('*')),
+  },
+  {
+    id: 'rm-elevated',
+    label: 'sudo rm',
+    test: (c) => c.name === 'rm' && c.wrappers.some((w) => ELEVATORS.has(w)),
+  },
+  {
+    id: 'rm-indirect-targets',
+    label: 'rm on targets from xargs/find',
+    test: (c) => c.name === 'rm' && c.wrappers.some((w) => INDIRECT_TARGETS.has(w)),
+  },
+  {
+    id: 'find-delete',
+    label: 'find -delete',
+    test: (c) => c.name === 'find' && c.args.includes('-delete'),
+  },
+  {
+    id: 'truncate-file',
+    label: 'truncate file',
+    test: (c) => ['', ':', 'true'].includes(c.name) &&
+      c.redirects.some((r) => TRUNCATE_REDIRECTS.has(r.op) && r.target?.startsWith('/')),
+  },
+  {
+    id: 'windows-recursive-delete',
+    label: 'Windows recursive delete',
+    test: (c) => ['del', 'erase', 'rd', 'rmdir'].includes(c.name) && c.args.some((a) => a.toLowerCase() === '/s'),
+  },
+
+  // Disk / filesystem
+  {
+    id: 'format-filesystem',
+    label: 'format filesystem',
+    test: (c) => c.name.startsWith('mkfs'),
+  },
+  {
+    id: 'dd-device-write',
+    label: 'dd raw disk write',
+    test: (c) => c.name === 'dd' && c.args.some((a) => /^of=\/dev\//.test(a) && !/^of=\/dev\/(null|zero|stdout|stderr)$/.test(a)),
+  },
+  {
+    id: 'disk-device-write',
+    label: 'write to disk device',
+    test: (c) => c.redirects.some((r) => OUTPUT_REDIRECTS.has(r.op) && DISK_DEVICE.test(r.target ?? '')),
+  },
+  {
+    id: 'format-drive',
+    label: 'format drive (Windows)',
+    test: (c) => (c.name === 'format' && c.args.some((a) => /^[a-z]:$/i.test(a))) || c.name === 'diskpart',
+  },
+
+  // Permission escalation
+  {
+    id: 'chmod-777-recursive',
+    label: 'chmod 777 recursive',
+    test: (c) => c.name === 'chmod' && hasFlag(c.args, 'R', ['--recursive']) && c.args.some((a) => /^0?777$/.test(a)),
+  },
+  {
+    id: 'chown-root-recursive',
+    label: 'chown to root recursive',
+    test: (c) => c.name === 'chown' && hasFlag(c.args, 'R', ['--recursive']) && operands(c.args).some((a) => /^root(:|$)/.test(a)),
+  },
+
+  // Git destructive
+  { id: 'git-force-push', label: 'git push --force', test: isForcePush },
+  {
+    id: 'git-reset-hard',
+    label: 'git reset --hard',
+    test: (c) => isGit(c, 'reset', (args) => args.includes('--hard')),
+  },
+  {
+    id: 'git-clean-force',
+    label: 'git clean -f',
+    test: (c) => isGit(c, 'clean', (args) => hasFlag(args, 'f', ['--force'])),
+  },
+  {
+    id: 'git-discard-changes',
+    label: 'git checkout/restore . (discard all changes)',
+    test: (c) => ['checkout', 'restore'].some((sub) => isGit(c, sub, (args) => operands(args).includes('.'))),
+  },
+  {
+    id: 'git-branch-force-delete',
+    label: 'git branch -D (force delete)',
+    test: (c) => isGit(c, 'branch', (args) => hasFlag(args, 'D')),
+  },
+  {
+    id: 'git-stash-drop',
+    label: 'git stash drop/clear',
+    test: (c) => isGit(c, 'stash', (args) => ['drop', 'clear'].includes(args[0])),
+  },
+
+  // Database destruction
+  {
+    id: 'sql-destructive',
+    label: 'SQL destructive operation (DROP/TRUNCATE)',
+    test: (c) => hasSql(c, SQL_DESTRUCTIVE),
+  },
+  {
+    id: 'sql-delete-all',
+    label: 'DELETE FROM without WHERE',
+    test: (c) => hasSql(c, SQL_DELETE_ALL),
+  },
+
+  // Package publishing
+  {
+    id: 'package-publish',
+    label: 'npm publish (public registry)',
+    test: (c) => ['npm', 'pnpm', 'yarn'].includes(c.name) && operands(c.args)[0] === 'publish',
+  },
+
+  // System shutdown / reboot
+  { id: 'system-power', label: 'system shutdown/reboot', test: isPowerCommand },
+  {
+    id: 'fork-bomb',
+    label: 'fork bomb',
+    pattern: /([\w:]+)\s*\(\)\s*\{\s*\1\s*\|\s*\1\s*&?\s*;?\s*\}/,
+  },
+
+  // Remote code execution
+  {
+    id: 'download-exec',
+    label: 'pipe download to interpreter',
+    test: (c) => runsScripts(c) && c.inputs.some((name) => DOWNLOADERS.has(name)),
+  },
+  {
+    id: 'download-then-exec',
+    label: 'run downloaded script',
+    test: runsDownloadedFile,
+  },
+  {
+    id: 'opaque-script',
+    label: 'interpreter runs script from pipe or process substitution',
+    test: runsOpaqueScript,
+  },
+  {
+    id: 'decoded-inline-code',
+    label: 'interpreter evaluates decoded inline code',
+    test: (c) => INTERPRETERS.test(c.name) && DECODED_EVAL.test(inlineCode(c) ?? ''),
+  },
+  {
+    id: 'dynamic-command',
+    label: 'command name from expansion',
+    test: (c) => c.dynamicName,
+  },
+
+  // Environment destruction
+  {
+    id: 'unset-critical-env',
+    label: 'unset critical env var',
+    test: (c) => c.name === 'unset' && c.args.some((a) => ['PATH', 'HOME', 'USER'].includes(a)),
+  },
+  {
+    id: 'empty-path',
+    label: 'empty PATH',
+    test: (c) => (c.name === 'export' && c.args.some((a) => /^PATH=\s*$/.test(a))) ||
+      (c.name === '' && c.assignments.some((a) => a.name === 'PATH' && a.value.trim() === '')),
+  },
+]);
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} RuleMatch
+ * @property {string} ruleId - Matched rule id
+ * @property {string} label - Matched rule label
+ * @property {string} command - Text of the simple command (or command line) that matched
+ */
+
+/**
+ * Evaluate a command line against command rules.
+ * Every rule is reported at most once, in rule order.
+ *
+ * @param {string} command - Command line to check
+ * @param {object} [options]
+ * @param {ReadonlyArray<CommandRule>} [options.rules=COMMAND_RULES] - Rules to evaluate
+ * @returns {{
+ *   safe: boolean,
+ *   matches: RuleMatch[],
+ *   commands: import('./shell-parser.js').ShellCommand[],
+ *   errors: string[]
+ * }}
+ * @example
+ * evaluateCommand("bash -c 'git push -f'").matches[0].ruleId; // 'git-force-push'
+ */
+export function evaluateCommand(command, options = {}) {
+  const rules = options.rules ?? COMMAND_RULES;
+  const script = parseShell(command);
+  const commands = collectCommands(script);
+
+  const matches = [];
+  for (const rule of rules) {
+    const matched = findMatch(rule, String(command ?? ''), commands);
+    if (matched !== null) {
+      matches.push({ ruleId: rule.id ?? rule.label, label: rule.label, command: matched });
+    }
+  }
+
+  return { safe: matches.length === 0, matches, commands, errors: script.errors };
+}
+
+/**
+ * Rules that match one simple command (pattern rules against its text).
+ * Pass the rest of the command line's commands so rules spanning commands
+ * (a download run later) can see what came before.
+ *
+ * @param {import('./shell-parser.js').ShellCommand} command - Command from collectCommands()
+ * @param {ReadonlyArray<CommandRule>} [rules=COMMAND_RULES]
+ * @param {import('./shell-parser.js').ShellCommand[]} [commands=[command]] - collectCommands() result holding `command`
+ * @returns {CommandRule[]}
+ */
+export function matchRules(command, rules = COMMAND_RULES, commands = [command]) {
+  return rules.filter((rule) => matchesRule(rule, command, commands));
+}
+
+/**
+ * @param {CommandRule} rule
+ * @param {import('./shell-parser.js').ShellCommand} command
+ * @param {import('./shell-parser.js').ShellCommand[]} commands
+ * @returns {boolean}
+ */
+function matchesRule(rule, command, commands) {
+  if (rule.pattern) return rule.pattern.test(command.text);
+  return typeof rule.test === 'function' && rule.test(command, commands);
+}
+
+/**
+ * Text that a rule matched, or null.
+ * @param {CommandRule} rule
+ * @param {string} line - Full command line
+ * @param {import('./shell-parser.js').ShellCommand[]} commands
+ * @returns {string|null}
+ */
+function findMatch(rule, line, commands) {
+  if (rule.pattern?.test(line)) return line;
+
+  const found = commands.find((c) => matchesRule(rule, c, commands));
+  if (!found) return null;
+  // Redirect-only commands (`> /dev/sda`) have no text of their own
+  return found.text || line;
+}
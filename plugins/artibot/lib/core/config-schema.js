@@ -4,6 +4,70 @@
  * @module lib/core/config-schema
  */
 
+/**
+ * Schema for a router lexicon pack (inline in config or a JSON file in
+ * `.artibot/lexicons/`). Domain names are free-form; each maps to keywords.
+ */
+export const lexiconPackSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    language: { type: 'string' },
+    domains: {
+      type: 'object',
+      additionalProperties: { type: 'array', items: { type: 'string' } },
+    },
+    uncertainty: { type: 'array', items: { type: 'string' } },
+    risk: { type: 'array', items: { type: 'string' } },
+    steps: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+/**
+ * Schema for a command safety policy file (`.artibot/policy.json`).
+ * Rule-level constraints (actions, tools, required fields) are checked by
+ * validatePolicy().
+ */
+export const policySchema = {
+  type: 'object',
+  properties: {
+    version: { type: 'number' },
+    trustProjectPolicy: { type: 'boolean' },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          action: { type: 'string' },
+          tool: { type: 'string' },
+          reason: { type: 'string' },
+          match: {
+            type: 'object',
+            properties: {
+              rule: { type: ['string', 'array'], items: { type: 'string' } },
+              command: { type: ['string', 'array'], items: { type: 'string' } },
+              paths: { type: 'array', items: { type: 'string' } },
+            },
+          },
+          when: {
+            type: 'object',
+            properties: {
+              branch: { type: ['string', 'array'], items: { type: 'string' } },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/** Policy rule actions, in increasing severity */
+export const POLICY_ACTIONS = ['allow', 'warn', 'ask', 'block'];
+
+/** Tools a policy rule can target */
+const POLICY_TOOLS = ['bash', 'write'];
+
 /**
  * JSON Schema for artibot.config.json.
  * Documents the expected structure and constraints for the plugin configuration.
@@ -35,6 +99,8 @@ export const configSchema = {
         delegationMode: { type: 'boolean' },
         displayMode: { type: 'string' },
         spawnStrategy: { type: 'string' },
+        orchestrationPatterns: { type: 'object', additionalProperties: { type: 'string' } },
+        playbooks: { type: 'object', additionalProperties: { type: 'string' } },
       },
     },
     automation: {
@@ -62,6 +128,43 @@ export const configSchema = {
           properties: {
             threshold: { type: 'number', minimum: 0, maximum: 1 },
             adaptRate: { type: 'number', minimum: 0, maximum: 1 },
+            persist: { type: 'boolean' },
+            lexicons: {
+              type: 'object',
+              properties: {
+                languages: { type: 'array', items: { type: 'string' } },
+                packs: { type: 'array', items: lexiconPackSchema },
+                directory: { type: ['string', 'boolean'] },
+              },
+            },
+            weights: {
+              type: 'object',
+              properties: {
+                steps: { type: 'number', minimum: 0 },
+                domains: { type: 'number', minimum: 0 },
+                uncertainty: { type: 'number', minimum: 0 },
+                risk: { type: 'number', minimum: 0 },
+                novelty: { type: 'number', minimum: 0 },
+              },
+            },
+            repoSignals: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                timeoutMs: { type: 'number', minimum: 0 },
+                budgetMs: { type: 'number', minimum: 0 },
+                minPromptLength: { type: 'number', minimum: 0 },
+                hotspotDays: { type: 'number', minimum: 1 },
+              },
+            },
+            repoWeights: {
+              type: 'object',
+              properties: {
+                repoScope: { type: 'number', minimum: 0, maximum: 1 },
+                repoHotspots: { type: 'number', minimum: 0, maximum: 1 },
+                repoSensitive: { type: 'number', minimum: 0, maximum: 1 },
+              },
+            },
           },
         },
         system1: {
@@ -76,6 +179,7 @@ export const configSchema = {
           properties: {
             maxRetries: { type: 'number', minimum: 0, maximum: 10 },
             sandboxEnabled: { type: 'boolean' },
+            checkpointTtlDays: { type: 'number', minimum: 0 },
           },
         },
       },
@@ -84,6 +188,13 @@ export const configSchema = {
       type: 'object',
       properties: {
         memoryScopes: { type: 'object' },
+        memoryScrubbing: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            categories: { type: 'array', items: { type: 'string' } },
+          },
+        },
         lifelong: {
           type: 'object',
           properties: {
@@ -143,6 +254,8 @@ function validateProperty(value, schemaProp, propPath, errors) {
     return; // Skip further checks if type is wrong
   }
 
+  checkConstraints(value, schemaProp, propPath, errors);
+
   // String pattern check
   if (actualType === 'string' && schemaProp.pattern) {
     const regex = new RegExp(schemaProp.pattern);
@@ -176,6 +289,57 @@ function validateProperty(value, schemaProp, propPath, errors) {
       }
     }
   }
+
+  // Map-style objects: every undeclared key must match additionalProperties
+  if (actualType === 'object' && schemaProp.additionalProperties) {
+    const declared = schemaProp.properties ?? {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (!Object.hasOwn(declared, key)) {
+        validateProperty(entry, schemaProp.additionalProperties, `${propPath}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Check `enum` values and `required` object keys.
+ * @param {*} value - A value that already passed the type check
+ * @param {object} schemaProp - The schema property definition
+ * @param {string} propPath - Dot-separated path for error messages
+ * @param {string[]} errors - Accumulator for error messages
+ */
+function checkConstraints(value, schemaProp, propPath, errors) {
+  if (schemaProp.enum && !schemaProp.enum.includes(value)) {
+    errors.push(`${propPath}: expected one of ${schemaProp.enum.join('|')}, got ${JSON.stringify(value)}`);
+  }
+  if (schemaProp.required && value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schemaProp.required.filter((k) => value[k] === undefined)) {
+      errors.push(`${propPath}: missing required field ${key}`);
+    }
+  }
+}
+
+/**
+ * Validate a value against one of the lightweight schemas in this module
+ * style (type, properties, required, items, enum, pattern, minimum,
+ * maximum, additionalProperties). Extra properties are allowed.
+ *
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema definition
+ * @param {string} rootPath - Name used as the path prefix in error messages
+ * @returns {{ valid: boolean, errors: string[] }}
+ * @example
+ * validateAgainstSchema({ level: 'x' }, { type: 'object', properties: { level: { type: 'string', enum: ['a', 'b'] } } }, 'doc');
+ * // { valid: false, errors: ['doc.level: expected one of a|b, got "x"'] }
+ */
+export function validateAgainstSchema(value, schema, rootPath) {
+  const errors = [];
+  if (value === undefined) {
+    errors.push(`${rootPath}: value is required`);
+  } else {
+    validateProperty(value, schema, rootPath, errors);
+  }
+  return { valid: errors.length === 0, errors };
 }
 
 /**
@@ -217,3 +381,66 @@ export function validateConfig(config) {
 
   return { valid: errors.length === 0, errors };
 }
+
+/**
+ * Validate a router lexicon pack.
+ *
+ * @param {*} pack - Parsed pack object
+ * @returns {{ valid: boolean, errors: string[] }}
+ * @example
+ * validateLexiconPack({ domains: { backend: ['ledger-svc'] } });
+ * // { valid: true, errors: [] }
+ *
+ * validateLexiconPack({ risk: 'deploy' });
+ * // { valid: false, errors: ['lexicon.risk: expected array, got string'] }
+ */
+export function validateLexiconPack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    errors.push('Lexicon pack must be a plain object');
+    return { valid: false, errors };
+  }
+  validateProperty(pack, lexiconPackSchema, 'lexicon', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a command safety policy (see policySchema).
+ * Besides the schema, every rule needs a unique `id`, a known `action` and
+ * `tool`, and at least one of `match.rule`, `match.command` or `match.paths`.
+ *
+ * @param {*} policy - Parsed policy file
+ * @returns {{ valid: boolean, errors: string[] }}
+ * @example
+ * validatePolicy({ rules: [{ id: 'dist', action: 'allow', match: { rule: 'rm-recursive-path', paths: ['dist'] } }] });
+ * // { valid: true, errors: [] }
+ */
+export function validatePolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    errors.push('Policy must be a plain object');
+    return { valid: false, errors };
+  }
+  validateProperty(policy, policySchema, 'policy', errors);
+
+  const seen = new Set();
+  for (const [i, rule] of (Array.isArray(policy.rules) ? policy.rules : []).entries()) {
+    if (!rule || typeof rule !== 'object') continue;
+    const at = `policy.rules[${i}]`;
+    if (!rule.id) errors.push(`${at}: id is required`);
+    else if (seen.has(rule.id)) errors.push(`${at}: duplicate id "${rule.id}"`);
+    seen.add(rule.id);
+    if (!POLICY_ACTIONS.includes(rule.action)) {
+      errors.push(`${at}.action: expected one of ${POLICY_ACTIONS.join('|')}`);
+    }
+    if (rule.tool !== undefined && !POLICY_TOOLS.includes(rule.tool)) {
+      errors.push(`${at}.tool: expected one of ${POLICY_TOOLS.join('|')}`);
+    }
+    const match = rule.match ?? {};
+    if (match.rule === undefined && match.command === undefined && match.paths === undefined) {
+      errors.push(`${at}.match: needs at least one of rule, command, paths`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
@@ -63,6 +63,29 @@ export async function writeJsonFile(filePath, data, indent = 2) {
   await fs.writeFile(filePath, content, 'utf-8');
 }
 
+/**
+ * Write an object as JSON through a temp file in the same directory that is
+ * renamed over the target, so readers never see a partially written file.
+ *
+ * @param {string} filePath - Absolute path to write to.
+ * @param {object} data - Data to serialize as JSON.
+ * @param {number} [indent=2] - Number of spaces for JSON indentation.
+ * @returns {Promise<void>}
+ * @example
+ * await writeJsonFileAtomic('/path/to/index.json', index, 0);
+ */
+export async function writeJsonFileAtomic(filePath, data, indent = 2) {
+  await ensureDir(path.dirname(filePath));
+  const tmpPath = `${filePath}.tmp.${process.pid}`;
+  try {
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, indent) + '\n', 'utf-8');
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.rm(tmpPath, { force: true });
+    throw err;
+  }
+}
+
 /**
  * Read a file as a UTF-8 string.
  * Returns `null` if the file does not exist.
@@ -83,6 +106,34 @@ export async function readTextFile(filePath) {
   }
 }
 
+/**
+ * Write a UTF-8 string to a file, creating parent directories if needed.
+ *
+ * @param {string} filePath - Absolute path to write to.
+ * @param {string} content - Text to write.
+ * @returns {Promise<void>}
+ * @example
+ * await writeTextFile('/path/to/.gitignore', '*\n');
+ */
+export async function writeTextFile(filePath, content) {
+  await ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, content, 'utf-8');
+}
+
+/**
+ * Append a UTF-8 string to a file, creating it and its parent directories if needed.
+ *
+ * @param {string} filePath - Absolute path to append to.
+ * @param {string} content - Text to append.
+ * @returns {Promise<void>}
+ * @example
+ * await appendTextFile('/path/to/events.jsonl', `${JSON.stringify(event)}\n`);
+ */
+export async function appendTextFile(filePath, content) {
+  await ensureDir(path.dirname(filePath));
+  await fs.appendFile(filePath, content, 'utf-8');
+}
+
 /**
  * Ensure a directory exists, creating it recursively if needed.
  *
@@ -144,3 +195,40 @@ export async function listDirs(dirPath) {
     return [];
   }
 }
+
+/**
+ * Compile a glob to a regular expression.
+ * With `pathAware` (default), `*` and `?` stop at `/` and `**` spans
+ * directories, including none when followed by a slash; otherwise `*`
+ * matches anything, which suits command lines.
+ *
+ * @param {string} glob - Pattern using `*`, `**` and `?`
+ * @param {object} [options]
+ * @param {boolean} [options.pathAware=true] - Treat `/` as a separator
+ * @returns {RegExp} Anchored expression
+ * @example
+ * globToRegExp('dist/**').test('dist/a/b.js'); // true
+ * globToRegExp('*.log').test('logs/app.log'); // false
+ * globToRegExp('npm publish*', { pathAware: false }).test('npm publish --tag next'); // true
+ */
+export function globToRegExp(glob, options = {}) {
+  const pathAware = options.pathAware ?? true;
+  const any = pathAware ? '[^/]*' : '.*';
+  const one = pathAware ? '[^/]' : '.';
+  let source = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*' && pathAware) {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (ch === '*') {
+      source += any;
+    } else if (ch === '?') {
+      source += one;
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
@@ -202,3 +202,30 @@ export function extractAgentId(hookData) {
 export function extractAgentRole(hookData, defaultRole = 'teammate') {
   return hookData?.role || hookData?.agent_type || defaultRole;
 }
+
+// -------------------------------------------------------------------------
+// PreToolUse Decisions
+// -------------------------------------------------------------------------
+
+/**
+ * Build a PreToolUse hook response for a policy action.
+ * 'allow' and 'warn' approve (the reason is shown to the user), 'block'
+ * blocks, and 'ask' hands the call to Claude Code's permission prompt.
+ * @param {'allow'|'warn'|'ask'|'block'} action - Policy action
+ * @param {string} [reason] - Message for the user
+ * @returns {object}
+ */
+export function toHookDecision(action, reason) {
+  if (action === 'ask') {
+    return {
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        permissionDecision: 'ask',
+        permissionDecisionReason: reason,
+      },
+    };
+  }
+  const result = { decision: action === 'block' ? 'block' : 'approve' };
+  if (reason) result.reason = reason;
+  return result;
+}
@@ -19,7 +19,7 @@ export { loadConfig, getConfig, resetConfig, ARTIBOT_DIR } from './config.js';
 export { Cache, defaultCache } from './cache.js';
 export { readStdinJSON, readStdin, writeJSON, writeText, writeError, writeHookResult } from './io.js';
 export { debug, createDebugger, isDebugEnabled } from './debug.js';
-export { exists, readJsonFile, writeJsonFile, readTextFile, ensureDir, listFiles, listDirs } from './file.js';
+export { exists, readJsonFile, writeJsonFile, readTextFile, writeTextFile, ensureDir, listFiles, listDirs, globToRegExp } from './file.js';
 export { parseFrontmatter, loadSkills, exportForGemini, exportForCodex, exportForCursor, exportForAll } from './skill-exporter.js';
 export {
   progressBar, statusLight, teamDashboard, workflowVisualizer, playbookVisualizer,
@@ -28,3 +28,10 @@ export {
 } from './tui.js';
 export { STATES, createLifecycle, getCurrentState, defaultLifecycle } from './lifecycle.js';
 export { createExtensionRegistry, defaultRegistry } from './extension.js';
+export {
+  compilePlaybook, loadPlaybooks, createPlaybookRun, transition as transitionPlaybook, getCurrentPhaseIndex,
+  savePlaybookRun, loadPlaybookRun, clearPlaybookRun, getPlaybookRunPath, KNOWN_PATTERNS, PLAYBOOK_RUN_DIR,
+} from './playbook.js';
+export {
+  loadAgentRegistry, createAgentRegistry, parseAgentDefinition, rankAgents, resetAgentRegistry, DOMAIN_KEYWORDS,
+} from './agent-registry.js';
@@ -0,0 +1,473 @@
+/**
+ * Team playbooks: a small DSL for `team.playbooks` in artibot.config.json,
+ * compiled into phase graphs, plus a state machine that tracks a team's
+ * progress through a playbook and is persisted per team.
+ *
+ * Syntax (stages run left to right):
+ *
+ *   [leader] plan -> [council] design -> [swarm] api | [swarm] ui
+ *     -> [council] review {approved, retry: design} -> [leader] merge
+ *
+ *   - `[pattern]`: orchestration pattern of the phase. Either a known pattern
+ *     (solo, leader, council, swarm, pipeline, or any value of
+ *     `team.orchestrationPatterns`) or a key of `team.orchestrationPatterns`
+ *     (`[check]` resolves to council). Without brackets the phase name is
+ *     looked up in orchestrationPatterns (`design` -> council).
+ *   - `a | b`: phases of one stage run in parallel; the next stage starts
+ *     when all of them are complete.
+ *   - `{...}`: exit criteria that must be met before the phase can complete,
+ *     and `retry: <phase>` to send a failed phase back to an earlier phase.
+ *
+ * User-defined playbooks are read from `.artibot/playbooks.json` (project)
+ * and ~/.claude/artibot/playbooks.json (user) as `{ "<name>": "<dsl>" }` and
+ * override config playbooks of the same name (project first).
+ *
+ * Runs are stored in ~/.claude/artibot/playbook-runs/<team>.json with
+ * synchronous I/O, so hooks such as workflow-status.js can read them.
+ *
+ * @module lib/core/playbook
+ */
+
+import path from 'node:path';
+import { mkdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from 'node:fs';
+import { ARTIBOT_DIR } from './config.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Orchestration patterns available without configuration */
+export const KNOWN_PATTERNS = Object.freeze(['solo', 'leader', 'council', 'swarm', 'pipeline']);
+
+/** Directory holding one run file per team */
+export const PLAYBOOK_RUN_DIR = path.join(ARTIBOT_DIR, 'playbook-runs');
+
+/** User-level playbook file */
+export const USER_PLAYBOOKS_PATH = path.join(ARTIBOT_DIR, 'playbooks.json');
+
+/** Project-level playbook file, relative to the project root */
+export const PROJECT_PLAYBOOKS_PATH = path.join('.artibot', 'playbooks.json');
+
+/** Times a phase may send the run back through `retry` before the run fails */
+const MAX_PHASE_RETRIES = 3;
+
+/** Schema version written to disk */
+const RUN_VERSION = 1;
+
+/** Keep the last N history events per run */
+const MAX_HISTORY = 100;
+
+const PHASE_RE = /^(?:\[\s*([\w-]+)\s*\])?\s*([\w.-]+)\s*(?:\{([^}]*)\})?$/;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} PlaybookPhase
+ * @property {string} id - Unique phase id (the name, suffixed `-2`, `-3` when repeated)
+ * @property {string} name - Phase name as written
+ * @property {string} pattern - Resolved orchestration pattern
+ * @property {number} stage - Stage index
+ * @property {string[]} exit - Exit criteria
+ * @property {string|null} retry - Phase id a failure goes back to
+ * @property {string[]} next - Phase ids of the following stage
+ */
+
+/**
+ * @typedef {object} Playbook
+ * @property {string} name
+ * @property {string} source - DSL text
+ * @property {PlaybookPhase[]} phases - In stage order
+ * @property {string[][]} stages - Phase ids per stage
+ */
+
+/**
+ * @typedef {object} PlaybookRun
+ * @property {number} version - Schema version
+ * @property {string} team - Team name (file key)
+ * @property {Playbook} playbook - Compiled playbook being run
+ * @property {'running'|'completed'|'failed'} status
+ * @property {number} stage - Current stage index
+ * @property {Record<string, 'pending'|'active'|'completed'|'failed'>} phases - Status per phase id
+ * @property {Record<string, string[]>} met - Exit criteria met per phase id
+ * @property {Record<string, number>} retries - Retries taken per phase id
+ * @property {Array<{ at: string, event: string, phase: string|null, detail: string|null }>} history
+ * @property {string} startedAt
+ * @property {string} updatedAt
+ */
+
+// ---------------------------------------------------------------------------
+// Compilation
+// ---------------------------------------------------------------------------
+
+/**
+ * Compile a playbook definition.
+ *
+ * @param {string} name - Playbook name
+ * @param {string} source - DSL text
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.orchestrationPatterns] - `team.orchestrationPatterns`
+ * @returns {{ playbook: Playbook|null, errors: string[] }} `playbook` is null when there are errors
+ * @example
+ * const { playbook } = compilePlaybook('bugfix', '[leader] analyze -> [pipeline] fix -> [council] verify');
+ * playbook.phases.map((p) => `${p.pattern}:${p.id}`); // ['leader:analyze', 'pipeline:fix', 'council:verify']
+ */
+export function compilePlaybook(name, source, options = {}) {
+  const aliases = options.orchestrationPatterns ?? {};
+  const patterns = new Set([...KNOWN_PATTERNS, ...Object.values(aliases)]);
+  const errors = [];
+  const at = (message) => errors.push(`playbook "${name}": ${message}`);
+
+  if (typeof source !== 'string' || source.trim() === '') {
+    at('definition must be a non-empty string');
+    return { playbook: null, errors };
+  }
+
+  const phases = [];
+  const stages = [];
+  const pendingRetries = [];
+  const seen = {};
+
+  source.split('->').forEach((stageText, stage) => {
+    const ids = [];
+    for (const phaseText of stageText.split('|')) {
+      const match = PHASE_RE.exec(phaseText.trim());
+      if (!match) {
+        at(`cannot parse phase "${phaseText.trim()}" in stage ${stage + 1}`);
+        continue;
+      }
+      const [, bracket, phaseName, optionText] = match;
+      const pattern = resolvePattern(bracket ?? phaseName, aliases, patterns);
+      if (!pattern) {
+        at(bracket
+          ? `unknown orchestration pattern "${bracket}" for phase "${phaseName}"`
+          : `phase "${phaseName}" needs a [pattern] (no orchestrationPatterns entry)`);
+      }
+
+      seen[phaseName] = (seen[phaseName] ?? 0) + 1;
+      const id = seen[phaseName] === 1 ? phaseName : `${phaseName}-${seen[phaseName]}`;
+      const { exit, retry } = parseOptions(optionText);
+      if (retry) pendingRetries.push({ id, stage, target: retry });
+      phases.push({ id, name: phaseName, pattern: pattern ?? null, stage, exit, retry: null, next: [] });
+      ids.push(id);
+    }
+    stages.push(ids);
+  });
+
+  for (const { id, stage, target } of pendingRetries) {
+    const candidate = phases.filter((p) => p.name === target && p.stage <= stage).pop();
+    if (!candidate) at(`phase "${id}" retries unknown or later phase "${target}"`);
+    else phases.find((p) => p.id === id).retry = candidate.id;
+  }
+
+  for (const phase of phases) {
+    phase.next = stages[phase.stage + 1] ? [...stages[phase.stage + 1]] : [];
+  }
+
+  if (errors.length > 0) return { playbook: null, errors };
+  return { playbook: { name, source, phases, stages }, errors };
+}
+
+/**
+ * Compile config playbooks plus user and project playbook files.
+ * A definition that fails to compile is skipped and reported in `errors`.
+ *
+ * @param {object} [config] - Artibot config (uses `team.playbooks` and `team.orchestrationPatterns`)
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Project root (default: process.cwd())
+ * @param {string|false} [options.projectPath] - Project file relative to cwd; false disables
+ * @param {string|false} [options.userPath] - User file; false disables
+ * @returns {{ playbooks: Record<string, Playbook>, errors: string[] }}
+ * @example
+ * const { playbooks } = loadPlaybooks(await loadConfig());
+ * playbooks.feature.stages.length; // 5
+ */
+export function loadPlaybooks(config = {}, options = {}) {
+  const cwd = options.cwd ?? process.cwd();
+  const orchestrationPatterns = config.team?.orchestrationPatterns;
+  const errors = [];
+  const definitions = { ...config.team?.playbooks };
+
+  const files = [
+    options.userPath === false ? null : (options.userPath ?? USER_PLAYBOOKS_PATH),
+    options.projectPath === false ? null : path.resolve(cwd, options.projectPath ?? PROJECT_PLAYBOOKS_PATH),
+  ];
+  for (const file of files) {
+    if (!file) continue;
+    let data;
+    try {
+      data = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') errors.push(`${file}: ${err.message}`);
+      continue;
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push(`${file}: expected an object of playbook definitions`);
+      continue;
+    }
+    Object.assign(definitions, data);
+  }
+
+  const playbooks = {};
+  for (const [name, source] of Object.entries(definitions)) {
+    const compiled = compilePlaybook(name, source, { orchestrationPatterns });
+    if (compiled.playbook) playbooks[name] = compiled.playbook;
+    errors.push(...compiled.errors);
+  }
+  return { playbooks, errors };
+}
+
+// ---------------------------------------------------------------------------
+// State Machine
+// ---------------------------------------------------------------------------
+
+/**
+ * Start a run: the first stage becomes active.
+ *
+ * @param {string} team - Team name
+ * @param {Playbook} playbook - Compiled playbook
+ * @returns {PlaybookRun}
+ */
+export function createPlaybookRun(team, playbook) {
+  const now = new Date().toISOString();
+  const phases = Object.fromEntries(playbook.phases.map((p) => [p.id, p.stage === 0 ? 'active' : 'pending']));
+  return {
+    version: RUN_VERSION,
+    team,
+    playbook,
+    status: 'running',
+    stage: 0,
+    phases,
+    met: {},
+    retries: {},
+    history: [{ at: now, event: 'start', phase: null, detail: playbook.name }],
+    startedAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Apply an event to a run. Returns a new run; the input is not modified.
+ * Rejected events return the unchanged run with `ok: false` and a reason.
+ *
+ *   - `{ type: 'criterion', phase, criterion }`: mark an exit criterion as met
+ *   - `{ type: 'complete', phase, force? }`: finish a phase once its exit criteria
+ *     are met (`force` skips the check); the last phase of a stage starts the next stage
+ *   - `{ type: 'fail', phase, reason? }`: go back to the phase's `retry` target, or fail the run
+ *
+ * @param {PlaybookRun} run
+ * @param {{ type: 'criterion'|'complete'|'fail', phase: string, criterion?: string, force?: boolean, reason?: string }} event
+ * @returns {{ run: PlaybookRun, ok: boolean, reason: string|null }}
+ * @example
+ * let { run } = transition(current, { type: 'criterion', phase: 'review', criterion: 'approved' });
+ * ({ run } = transition(run, { type: 'complete', phase: 'review' })); // merge is now active
+ */
+export function transition(run, event) {
+  const phase = run.playbook.phases.find((p) => p.id === event.phase);
+  const reject = (reason) => ({ run, ok: false, reason });
+  if (run.status !== 'running') return reject(`run is ${run.status}`);
+  if (!phase) return reject(`unknown phase "${event.phase}"`);
+  if (run.phases[phase.id] !== 'active') return reject(`phase "${phase.id}" is ${run.phases[phase.id]}`);
+
+  const next = {
+    ...run,
+    phases: { ...run.phases },
+    met: { ...run.met },
+    retries: { ...run.retries },
+    history: [...run.history],
+  };
+
+  switch (event.type) {
+    case 'criterion': {
+      if (!phase.exit.includes(event.criterion)) {
+        return reject(`"${event.criterion}" is not an exit criterion of "${phase.id}"`);
+      }
+      next.met[phase.id] = [...new Set([...(next.met[phase.id] ?? []), event.criterion])];
+      break;
+    }
+    case 'complete': {
+      const missing = phase.exit.filter((c) => !(next.met[phase.id] ?? []).includes(c));
+      if (missing.length > 0 && !event.force) return reject(`exit criteria not met: ${missing.join(', ')}`);
+      next.phases[phase.id] = 'completed';
+      advanceStage(next);
+      break;
+    }
+    case 'fail': {
+      failPhase(next, phase);
+      break;
+    }
+    default:
+      return reject(`unknown event "${event.type}"`);
+  }
+
+  recordEvent(next, event.type, phase.id, event.criterion ?? event.reason ?? null);
+  return { run: next, ok: true, reason: null };
+}
+
+/**
+ * Index (in `playbook.phases`) of the first active phase; the phase count
+ * when the run has completed. Suitable for tui.playbookVisualizer().
+ *
+ * @param {PlaybookRun} run
+ * @returns {number}
+ */
+export function getCurrentPhaseIndex(run) {
+  const index = run.playbook.phases.findIndex((p) => run.phases[p.id] === 'active' || run.phases[p.id] === 'failed');
+  return index === -1 ? run.playbook.phases.length : index;
+}
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve the run file for a team.
+ *
+ * @param {string} team
+ * @param {string} [dir] - Run directory (default: ~/.claude/artibot/playbook-runs)
+ * @returns {string}
+ */
+export function getPlaybookRunPath(team, dir = PLAYBOOK_RUN_DIR) {
+  const safe = String(team).replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '_');
+  return path.join(dir, `${safe}.json`);
+}
+
+/**
+ * Atomically write a run.
+ *
+ * @param {PlaybookRun} run
+ * @param {string} [dir]
+ * @returns {PlaybookRun} The run as written
+ */
+export function savePlaybookRun(run, dir = PLAYBOOK_RUN_DIR) {
+  const payload = { ...run, updatedAt: new Date().toISOString() };
+  const filePath = getPlaybookRunPath(run.team, dir);
+  mkdirSync(dir, { recursive: true });
+  const tmpPath = `${filePath}.tmp.${process.pid}`;
+  try {
+    writeFileSync(tmpPath, JSON.stringify(payload, null, 2), 'utf-8');
+    renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { unlinkSync(tmpPath); } catch { /* temp file already gone */ }
+    throw err;
+  }
+  return payload;
+}
+
+/**
+ * Load a team's run. Returns `null` when missing or malformed.
+ *
+ * @param {string} team
+ * @param {string} [dir]
+ * @returns {PlaybookRun|null}
+ */
+export function loadPlaybookRun(team, dir = PLAYBOOK_RUN_DIR) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(getPlaybookRunPath(team, dir), 'utf-8'));
+  } catch {
+    return null;
+  }
+  const valid =
+    data !== null && typeof data === 'object' &&
+    typeof data.team === 'string' &&
+    Array.isArray(data.playbook?.phases) &&
+    data.phases !== null && typeof data.phases === 'object';
+  return valid ? data : null;
+}
+
+/**
+ * Delete a team's run.
+ *
+ * @param {string} team
+ * @param {string} [dir]
+ * @returns {boolean} `true` if a file was removed
+ */
+export function clearPlaybookRun(team, dir = PLAYBOOK_RUN_DIR) {
+  try {
+    unlinkSync(getPlaybookRunPath(team, dir));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} label - Bracket content or phase name
+ * @param {Record<string, string>} aliases - orchestrationPatterns
+ * @param {Set<string>} patterns - Valid patterns
+ * @returns {string|null}
+ */
+function resolvePattern(label, aliases, patterns) {
+  if (patterns.has(label)) return label;
+  return Object.hasOwn(aliases, label) ? aliases[label] : null;
+}
+
+/**
+ * @param {string|undefined} text - Content of `{...}`
+ * @returns {{ exit: string[], retry: string|null }}
+ */
+function parseOptions(text) {
+  const exit = [];
+  let retry = null;
+  for (const item of (text ?? '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const option = /^retry\s*:\s*(.+)$/.exec(item);
+    if (option) retry = option[1].trim();
+    else exit.push(item);
+  }
+  return { exit, retry };
+}
+
+/**
+ * Start the next stage once every phase of the current one is complete.
+ * @param {PlaybookRun} run - Mutable copy
+ */
+function advanceStage(run) {
+  const current = run.playbook.stages[run.stage];
+  if (!current.every((id) => run.phases[id] === 'completed')) return;
+
+  if (run.stage + 1 >= run.playbook.stages.length) {
+    run.status = 'completed';
+    return;
+  }
+  run.stage += 1;
+  for (const id of run.playbook.stages[run.stage]) run.phases[id] = 'active';
+}
+
+/**
+ * @param {PlaybookRun} run - Mutable copy
+ * @param {PlaybookPhase} phase
+ */
+function failPhase(run, phase) {
+  const retries = run.retries[phase.id] ?? 0;
+  if (!phase.retry || retries >= MAX_PHASE_RETRIES) {
+    run.phases[phase.id] = 'failed';
+    run.status = 'failed';
+    return;
+  }
+
+  const target = run.playbook.phases.find((p) => p.id === phase.retry);
+  run.retries[phase.id] = retries + 1;
+  run.stage = target.stage;
+  for (const p of run.playbook.phases) {
+    if (p.stage < target.stage) continue;
+    run.phases[p.id] = p.stage === target.stage ? 'active' : 'pending';
+    delete run.met[p.id];
+  }
+}
+
+/**
+ * @param {PlaybookRun} run - Mutable copy
+ * @param {string} event
+ * @param {string|null} phase
+ * @param {string|null} detail
+ */
+function recordEvent(run, event, phase, detail) {
+  run.history.push({ at: new Date().toISOString(), event, phase, detail });
+  if (run.history.length > MAX_HISTORY) run.history = run.history.slice(-MAX_HISTORY);
+}
@@ -0,0 +1,398 @@
+/**
+ * Declarative command safety policy.
+ * Policy files let a user or a team decide what happens when a Bash command
+ * or a file write is flagged, instead of the fixed block from the pre-bash
+ * and pre-write hooks:
+ *
+ *   - user level:    ~/.claude/artibot/policy.json (evaluated first)
+ *   - project level: <project>/.artibot/policy.json
+ *
+ * A repository controls its project policy, so project rules may only
+ * tighten: a project rule is ignored when its action is less severe than
+ * the built-in outcome (block for a triggered built-in rule, allow
+ * otherwise). A user policy with `"trustProjectPolicy": true` lets project
+ * rules loosen built-in blocks too; user rules always take precedence.
+ *
+ * @example
+ * // .artibot/policy.json
+ * {
+ *   "version": 1,
+ *   "rules": [
+ *     { "id": "clean-dist", "action": "allow",
+ *       "match": { "rule": "rm-recursive-path", "paths": ["dist", "build"] } },
+ *     { "id": "no-force-push-main", "action": "block",
+ *       "match": { "rule": "git-force-push" }, "when": { "branch": ["main", "release/*"] } },
+ *     { "id": "force-push-elsewhere", "action": "warn", "match": { "rule": "git-force-push" } },
+ *     { "id": "terraform", "action": "ask", "match": { "command": "terraform apply*" } },
+ *     { "id": "env-example", "action": "allow", "tool": "write",
+ *       "match": { "rule": "sensitive-file", "paths": [".env.example"] } }
+ *   ]
+ * }
+ *
+ * Each simple command of a Bash call (see shell-parser.js) is checked on its
+ * own, once per built-in rule from command-rules.js that it triggers. The
+ * first policy rule that applies (and, for a project rule, may apply)
+ * decides; a triggered built-in rule with no applicable policy rule blocks,
+ * as before. The most severe decision over all commands wins
+ * (allow < warn < ask < block).
+ *
+ * Policy rule fields:
+ *   - `action`: allow | warn | ask | block
+ *   - `tool`: bash (default) | write
+ *   - `match.rule`: built-in rule id(s) (`*` for any); pre-write reports
+ *     `sensitive-file` and `hardcoded-secret`
+ *   - `match.command`: glob(s) over the whole simple command (`*` spans spaces)
+ *   - `match.paths`: path scopes relative to the project; every path operand
+ *     must be inside one of them. Plain entries match the path and anything
+ *     below it, entries with `*` or `?` are globs (`**` spans directories)
+ *   - `when.branch`: branch glob(s); entries starting with `!` exclude
+ *   - `reason`: text appended to the hook message
+ *
+ * @module lib/core/policy
+ */
+
+import path from 'node:path';
+import { homedir } from 'node:os';
+import { readFileSync, statSync } from 'node:fs';
+import { ARTIBOT_DIR } from './config.js';
+import { COMMAND_RULES, matchRules } from './command-rules.js';
+import { POLICY_ACTIONS, validatePolicy } from './config-schema.js';
+import { collectCommands } from './shell-parser.js';
+import { globToRegExp } from './file.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** User-level policy file */
+export const USER_POLICY_PATH = path.join(ARTIBOT_DIR, 'policy.json');
+
+/** Project-level policy file, relative to the project root */
+export const PROJECT_POLICY_PATH = path.join('.artibot', 'policy.json');
+
+/** Policy with no rules: built-in rules block, everything else is allowed */
+export const EMPTY_POLICY = Object.freeze({ rules: Object.freeze([]), errors: Object.freeze([]), trustProjectPolicy: false });
+
+/** Hook message prefix per policy action */
+export const DECISION_PREFIXES = Object.freeze({
+  allow: 'ALLOWED BY POLICY',
+  warn: 'WARNING',
+  ask: 'CONFIRMATION REQUIRED',
+  block: 'BLOCKED BY POLICY',
+});
+
+const GLOB_CHARS = /[*?]/;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} PolicyDecision
+ * @property {'allow'|'warn'|'ask'|'block'} action - Resulting action
+ * @property {string|null} ruleId - Deciding policy rule id, or the built-in rule id when no policy rule applied
+ * @property {'project'|'user'|'builtin'|null} source - Where the deciding rule came from (null: nothing matched)
+ * @property {string|null} label - Label of the built-in rule involved, if any
+ * @property {string|null} subject - Command text or file path the decision is about
+ * @property {string|null} reason - `reason` text of the deciding policy rule
+ */
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Load and merge the user and project policy files.
+ * Missing files are skipped; a file that is not valid JSON or fails
+ * validatePolicy() is ignored as a whole and reported in `errors`, so a
+ * broken policy falls back to the built-in blocking behaviour.
+ * `trustProjectPolicy` is only honoured in the user file.
+ *
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Project root (default: process.cwd())
+ * @param {string|false} [options.projectPath] - Project policy path relative to cwd; false disables
+ * @param {string|false} [options.userPath] - User policy path; false disables
+ * @returns {{ rules: object[], errors: string[], trustProjectPolicy: boolean }}
+ *   Rules in evaluation order, each tagged with `source`
+ * @example
+ * const policy = loadPolicy({ cwd: '/repo' });
+ * policy.rules.map((r) => `${r.source}:${r.id}`); // ['user:ask-publish', 'project:clean-dist']
+ */
+export function loadPolicy(options = {}) {
+  const cwd = options.cwd ?? process.cwd();
+  const files = [
+    ['user', options.userPath === false ? null : (options.userPath ?? USER_POLICY_PATH)],
+    ['project', options.projectPath === false ? null : path.resolve(cwd, options.projectPath ?? PROJECT_POLICY_PATH)],
+  ];
+
+  const rules = [];
+  const errors = [];
+  let trustProjectPolicy = false;
+  for (const [source, file] of files) {
+    if (!file) continue;
+    let data;
+    try {
+      data = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') errors.push(`${file}: ${err.message}`);
+      continue;
+    }
+    const { valid, errors: invalid } = validatePolicy(data);
+    if (!valid) {
+      errors.push(...invalid.map((e) => `${file}: ${e}`));
+      continue;
+    }
+    rules.push(...(data.rules ?? []).map((rule) => ({ ...rule, source })));
+    if (source === 'user') trustProjectPolicy = data.trustProjectPolicy === true;
+  }
+
+  return { rules, errors, trustProjectPolicy };
+}
+
+/**
+ * Current git branch of a working directory, read from `.git/HEAD`
+ * (linked worktrees included). Returns null outside a repository or on a
+ * detached HEAD.
+ *
+ * @param {string} [cwd]
+ * @returns {string|null}
+ */
+export function getCurrentBranch(cwd = process.cwd()) {
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    const head = readHead(path.join(dir, '.git'));
+    if (head !== undefined) return head;
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * Decide what to do with a Bash command.
+ *
+ * @param {string} command - Command line
+ * @param {object} [options]
+ * @param {{ rules: object[], trustProjectPolicy?: boolean }} [options.policy=EMPTY_POLICY] - Policy from loadPolicy()
+ * @param {string} [options.cwd] - Directory the command runs in (path scopes, branch)
+ * @param {string|null} [options.branch] - Current branch (default: read from cwd when a rule needs it)
+ * @param {ReadonlyArray<object>} [options.rules=COMMAND_RULES] - Built-in rules
+ * @returns {PolicyDecision}
+ * @example
+ * evaluateCommandPolicy('rm -rf dist/', { policy, cwd: '/repo' });
+ * // { action: 'allow', ruleId: 'clean-dist', source: 'project', label: 'rm -rf with path', ... }
+ */
+export function evaluateCommandPolicy(command, options = {}) {
+  const rules = options.rules ?? COMMAND_RULES;
+  const ctx = createContext(options);
+  const line = String(command ?? '');
+  const commands = collectCommands(line);
+  const subjects = commands.map((c) => ({
+    tool: 'bash',
+    text: c.text || line,
+    paths: c.args.filter((a) => !a.startsWith('-')).map((a) => resolveOperand(a, ctx.cwd)),
+    hits: matchRules(c, rules, commands),
+  }));
+
+  // Pattern rules may only match across the whole line (e.g. a fork bomb)
+  const lineHits = rules.filter((r) => r.pattern?.test(line) && !subjects.some((s) => s.hits.includes(r)));
+  if (lineHits.length > 0) subjects.push({ tool: 'bash', text: line, paths: [], hits: lineHits });
+
+  return decide(subjects, options.policy ?? EMPTY_POLICY, ctx);
+}
+
+/**
+ * Decide what to do with a file write flagged by the pre-write checks.
+ *
+ * @param {string} filePath - Target file
+ * @param {Array<{ id: string, label: string }>} findings - Built-in findings (e.g. sensitive-file, hardcoded-secret)
+ * @param {object} [options]
+ * @param {{ rules: object[], trustProjectPolicy?: boolean }} [options.policy=EMPTY_POLICY]
+ * @param {string} [options.cwd]
+ * @param {string|null} [options.branch]
+ * @returns {PolicyDecision}
+ */
+export function evaluateWritePolicy(filePath, findings, options = {}) {
+  const ctx = createContext(options);
+  const subject = {
+    tool: 'write',
+    text: filePath,
+    paths: [path.resolve(ctx.cwd, filePath)],
+    hits: findings,
+  };
+  return decide([subject], options.policy ?? EMPTY_POLICY, ctx);
+}
+
+/**
+ * Name the rule behind a decision for messages,
+ * e.g. `project policy rule "no-force-push-main"` or `built-in rule "rm-recursive-path"`.
+ *
+ * @param {PolicyDecision} decision
+ * @returns {string}
+ */
+export function describeDecisionRule(decision) {
+  const origin = decision.source === 'builtin' ? 'built-in rule' : `${decision.source} policy rule`;
+  return `${origin} "${decision.ruleId}"`;
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Branch from `.git` (directory or worktree file); undefined when absent.
+ * @param {string} gitPath
+ * @returns {string|null|undefined}
+ */
+function readHead(gitPath) {
+  let gitDir = gitPath;
+  try {
+    if (statSync(gitPath).isFile()) {
+      const pointer = /^gitdir:\s*(.+)$/m.exec(readFileSync(gitPath, 'utf-8'));
+      if (!pointer) return null;
+      gitDir = path.resolve(path.dirname(gitPath), pointer[1].trim());
+    }
+    const head = readFileSync(path.join(gitDir, 'HEAD'), 'utf-8');
+    return /^ref:\s*refs\/heads\/(.+)$/m.exec(head)?.[1].trim() ?? null;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @param {object} options
+ * @returns {{ cwd: string, branch: () => string|null }}
+ */
+function createContext(options) {
+  const cwd = path.resolve(options.cwd ?? process.cwd());
+  let branch = options.branch;
+  return {
+    cwd,
+    branch: () => {
+      if (branch === undefined) branch = getCurrentBranch(cwd);
+      return branch;
+    },
+  };
+}
+
+/**
+ * Absolute path of a command operand, or null when it depends on an
+ * expansion. Glob operands resolve to the part before the first wildcard.
+ * @param {string} operand
+ * @param {string} cwd
+ * @returns {string|null}
+ */
+function resolveOperand(operand, cwd) {
+  if (/[$`]/.test(operand)) return null;
+  let literal = operand.split(/[*?[]/)[0];
+  if (literal === '~' || literal.startsWith('~/')) literal = homedir() + literal.slice(1);
+  return path.resolve(cwd, literal || '.');
+}
+
+/**
+ * Decision for a set of subjects: the most severe per-subject outcome.
+ * @param {object[]} subjects
+ * @param {{ rules: object[] }} policy
+ * @param {{ cwd: string, branch: () => string|null }} ctx
+ * @returns {PolicyDecision}
+ */
+function decide(subjects, policy, ctx) {
+  let result = { action: 'allow', ruleId: null, source: null, label: null, subject: null, reason: null };
+  for (const subject of subjects) {
+    const hits = subject.hits.length > 0 ? subject.hits : [null];
+    for (const hit of hits) {
+      const decision = decideHit(subject, hit, policy, ctx);
+      if (decision && (result.ruleId === null || severity(decision.action) > severity(result.action))) {
+        result = decision;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {object} subject
+ * @param {{ id: string, label: string }|null} hit - Built-in rule the subject triggered
+ * @param {{ rules: object[], trustProjectPolicy?: boolean }} policy
+ * @param {{ cwd: string, branch: () => string|null }} ctx
+ * @returns {PolicyDecision|null}
+ */
+function decideHit(subject, hit, policy, ctx) {
+  const hitId = hit ? (hit.id ?? hit.label) : null;
+  // Untrusted project rules may not loosen the built-in outcome
+  const floor = severity(hit ? 'block' : 'allow');
+  const permitted = (r) => r.source !== 'project' || policy.trustProjectPolicy === true || severity(r.action) >= floor;
+  const rule = policy.rules.find((r) => permitted(r) && ruleApplies(r, subject, hitId, ctx));
+  const base = { label: hit?.label ?? null, subject: subject.text };
+  if (rule) {
+    return { ...base, action: rule.action, ruleId: rule.id, source: rule.source ?? null, reason: rule.reason ?? null };
+  }
+  return hit ? { ...base, action: 'block', ruleId: hitId, source: 'builtin', reason: null } : null;
+}
+
+/**
+ * @param {object} rule - Policy rule
+ * @param {object} subject
+ * @param {string|null} hitId
+ * @param {{ cwd: string, branch: () => string|null }} ctx
+ * @returns {boolean}
+ */
+function ruleApplies(rule, subject, hitId, ctx) {
+  if ((rule.tool ?? 'bash') !== subject.tool) return false;
+  const match = rule.match ?? {};
+  if (match.rule !== undefined && !(hitId && toList(match.rule).some((id) => id === '*' || id === hitId))) {
+    return false;
+  }
+  if (match.command !== undefined && !toList(match.command).some((g) => globToRegExp(g, { pathAware: false }).test(subject.text))) {
+    return false;
+  }
+  if (match.paths !== undefined && !inScope(subject.paths, match.paths, ctx.cwd)) return false;
+  return rule.when?.branch === undefined || branchMatches(toList(rule.when.branch), ctx.branch());
+}
+
+/**
+ * Every path is inside one of the scopes.
+ * @param {Array<string|null>} paths - Absolute paths (null: unresolvable)
+ * @param {string[]} scopes
+ * @param {string} cwd
+ * @returns {boolean}
+ */
+function inScope(paths, scopes, cwd) {
+  return paths.length > 0 && paths.every((target) => target !== null && scopes.some((scope) => {
+    if (GLOB_CHARS.test(scope)) {
+      return globToRegExp(scope).test(path.relative(cwd, target).split(path.sep).join('/'));
+    }
+    const root = path.resolve(cwd, scope);
+    return target === root || target.startsWith(root + path.sep);
+  }));
+}
+
+/**
+ * @param {string[]} patterns - Branch globs, `!` prefix excludes
+ * @param {string|null} branch
+ * @returns {boolean}
+ */
+function branchMatches(patterns, branch) {
+  if (branch === null) return false;
+  const include = patterns.filter((p) => !p.startsWith('!'));
+  const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => p.slice(1));
+  if (exclude.some((p) => globToRegExp(p).test(branch))) return false;
+  return include.length === 0 || include.some((p) => globToRegExp(p).test(branch));
+}
+
+/**
+ * @param {'allow'|'warn'|'ask'|'block'} action
+ * @returns {number}
+ */
+function severity(action) {
+  return POLICY_ACTIONS.indexOf(action);
+}
+
+/**
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,1191 @@
+/**
+ * Shell command tokenizer and parser.
+ * Turns a Bash tool command line into a small AST covering the POSIX/bash
+ * subset agents actually emit: pipelines, `&&` / `||` / `;` lists, subshells,
+ * `{ }` groups, compound keywords (if/while/for/case), command and process
+ * substitution, redirections (including heredocs) and environment prefixes.
+ *
+ * collectCommands() flattens the AST into simple commands with wrappers
+ * (`sudo`, `env`, `xargs`, `find -exec`, ...) unwrapped and nested scripts
+ * (`bash -c`, `eval`, heredocs or echo output fed to a shell, and the
+ * commands `python -c` / `perl -e` style one-liners shell out to) parsed
+ * recursively. That flat list is what the rules in command-rules.js evaluate.
+ *
+ * The parser never throws: malformed input (unterminated quotes, unbalanced
+ * parentheses) is parsed as far as possible and reported in `errors`.
+ *
+ * @module lib/core/shell-parser
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Maximum nesting of substitutions and re-parsed scripts */
+export const MAX_PARSE_DEPTH = 8;
+
+/** Operators, longest first so `&&` wins over `&` */
+const OPERATORS = [
+  ';;&', '&>>', '<<<', '<<-',
+  '&&', '||', ';;', ';&', '|&', '&>', '<<', '<>', '<&', '>>', '>|', '>&',
+  '|', ';', '&', '(', ')', '>', '<',
+];
+
+const REDIRECT_OPERATORS = new Set(['&>>', '<<<', '<<-', '&>', '<<', '<>', '<&', '>>', '>|', '>&', '>', '<']);
+
+/** Operators that end a pipeline inside a list */
+const LIST_OPERATORS = new Set(['&&', '||', ';', '&', '\n']);
+
+/** Reserved words skipped at command position; their bodies are parsed as ordinary lists */
+const TRANSPARENT_KEYWORDS = new Set(['if', 'then', 'elif', 'else', 'fi', 'while', 'until', 'do', 'done', 'esac', '}']);
+
+const CASE_TERMINATORS = new Set([';;', ';&', ';;&']);
+
+const NO_STOP = { ops: new Set(), words: new Set() };
+
+const WORD_BREAK = new Set([' ', '\t', '\r', '\n', '|', '&', ';', '(', ')', '<', '>']);
+
+const ANSI_C_ESCAPES = {
+  a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v',
+  '\\': '\\', "'": "'", '"': '"', '?': '?',
+};
+
+/**
+ * Commands that run their operands as another command.
+ * `values` lists options that consume the next argument; `skip` is the
+ * number of positional operands before the wrapped command.
+ */
+const WRAPPERS = {
+  sudo: { values: ['-u', '-g', '-h', '-p', '-C', '-D', '-U', '-r', '-t', '-T', '-R', '--user', '--group'] },
+  doas: { values: ['-u', '-C'] },
+  env: { values: ['-u', '-C', '--unset', '--chdir'], assignments: true },
+  xargs: { values: ['-I', '-L', '-n', '-P', '-s', '-d', '-E', '-a'] },
+  nohup: {},
+  time: { values: ['-f', '-o'] },
+  nice: { values: ['-n'] },
+  ionice: { values: ['-c', '-n', '-p'] },
+  stdbuf: { values: ['-i', '-o', '-e'] },
+  timeout: { values: ['-s', '-k', '--signal', '--kill-after'], skip: 1 },
+  exec: { values: ['-a'] },
+  command: {},
+  builtin: {},
+  busybox: {},
+};
+
+/** `find` actions that run a command */
+const FIND_EXEC_ACTIONS = new Set(['-exec', '-execdir', '-ok', '-okdir']);
+
+/** Shells whose `-c` operand (or stdin) is a script */
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash', 'su']);
+
+/**
+ * Interpreters that take code as an option value: `short` lists the option
+ * letters (last in a cluster such as `-pe`), `long` the long forms.
+ */
+const INLINE_CODE_OPTIONS = {
+  python: { short: 'c', long: [] },
+  perl: { short: 'eE', long: [] },
+  ruby: { short: 'e', long: [] },
+  node: { short: 'ep', long: ['--eval', '--print'] },
+  php: { short: 'r', long: [] },
+};
+
+/** Calls in inline code that run their string (or list) arguments as a command */
+const SHELL_OUT_CALLS = {
+  python: /\b(?:os\.(?:system|popen)|subprocess\.(?:run|call|check_call|check_output|Popen|getoutput|getstatusoutput)|pty\.spawn)\s*\(/g,
+  perl: /\b(?:system|exec)\b\s*\(?/g,
+  ruby: /\b(?:system|exec|spawn|IO\.popen)\b\s*\(?/g,
+  node: /\b(?:exec|execSync|execFile|execFileSync|spawn|spawnSync)\s*\(/g,
+  php: /\b(?:system|exec|shell_exec|passthru|popen)\s*\(/g,
+};
+
+/** Backtick, `qx` and `%x` command literals of perl, ruby and php */
+const COMMAND_LITERALS = /`([^`]*)`|\bqx\s*\{([^}]*)\}|\bqx\s*\(([^)]*)\)|%x\{([^}]*)\}|%x\(([^)]*)\)/g;
+
+/** String literals, brackets and commas of a call's leading literal arguments */
+const LITERAL_ARGUMENT = /\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|[[\],])/y;
+
+// ---------------------------------------------------------------------------
+// AST types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} ShellWord
+ * @property {string} text - Source text of the word
+ * @property {string} value - Word after quote removal; unresolved expansions keep their source text
+ * @property {boolean} quoted - Any part of the word was quoted
+ * @property {boolean} dynamic - Contains a parameter expansion or substitution whose value is unknown
+ * @property {Array<{ kind: 'command'|'process', body: object }>} substitutions - Parsed substitutions
+ */
+
+/**
+ * @typedef {object} ShellCommand
+ * Simple command as returned by collectCommands().
+ * @property {string} name - Lower-cased base name of the command ('' for assignment/redirect-only commands)
+ * @property {string[]} args - Argument values
+ * @property {string} text - Name and arguments joined by spaces
+ * @property {Array<{ name: string, value: string }>} assignments - Environment prefixes
+ * @property {Array<{ op: string, fd: string|null, target: string|null }>} redirects
+ * @property {string|null} stdin - Statically known input (heredoc, here-string, or echo piped in)
+ * @property {string[]} inputs - Commands whose output this command consumes (pipeline and substitutions)
+ * @property {string[]} wrappers - Wrappers this command was found inside, outermost first
+ * @property {boolean} dynamicName - The command name comes from an expansion (`$cmd`, `$(which rm)`)
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a shell command line.
+ *
+ * @param {string} source - Command line
+ * @param {object} [options]
+ * @param {number} [options.depth=0] - Starting nesting depth (used for re-parsed scripts)
+ * @returns {{ type: 'script', body: object, errors: string[] }}
+ * @example
+ * const ast = parseShell('cd app && npm test | tee log.txt');
+ * ast.body.items.length; // 2
+ */
+export function parseShell(source, options = {}) {
+  const errors = [];
+  const body = parseSource(String(source ?? ''), options.depth ?? 0, errors);
+  return { type: 'script', body, errors };
+}
+
+/**
+ * Flatten a command line (or a parseShell() result) into simple commands.
+ * Wrapped commands are listed after their wrapper, and commands found in
+ * substitutions before the command that uses them.
+ *
+ * @param {string|{ body: object }} input - Command line or parsed script
+ * @returns {ShellCommand[]}
+ * @example
+ * collectCommands('sudo xargs rm -rf < list').map((c) => c.name);
+ * // ['sudo', 'xargs', 'rm']
+ */
+export function collectCommands(input) {
+  const script = typeof input === 'string' ? parseShell(input) : input;
+  return visitList(script.body, 0, NO_FEED);
+}
+
+/**
+ * Code a command runs from its arguments rather than from a file: the `-c`
+ * script of a shell, or the inline code of `python -c`, `perl -e`,
+ * `node -e` and the like. Null when the command has none.
+ *
+ * @param {ShellCommand} command - Command from collectCommands()
+ * @returns {string|null}
+ * @example
+ * inlineCode(collectCommands("perl -we 'print 1'")[0]); // 'print 1'
+ */
+export function inlineCode(command) {
+  const { name, args } = command;
+  if (SHELLS.has(name)) {
+    const flag = args.findIndex((a) => a === '--command' || (/^-[A-Za-z]*c[A-Za-z]*$/.test(a) && name !== 'su') || a === '-c');
+    return flag === -1 ? null : args[flag + 1] ?? null;
+  }
+
+  const family = interpreterFamily(name);
+  if (family === null) return null;
+  const { short, long } = INLINE_CODE_OPTIONS[family];
+  const flag = args.findIndex((a) => long.includes(a) || (/^-[A-Za-z]+$/.test(a) && short.includes(a.at(-1))));
+  return flag === -1 ? null : args[flag + 1] ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Lexer
+// ---------------------------------------------------------------------------
+
+/**
+ * Tokenize and parse source text at a nesting depth.
+ * @param {string} src
+ * @param {number} depth
+ * @param {string[]} errors
+ * @returns {object} List node
+ */
+function parseSource(src, depth, errors) {
+  const state = { src, pos: 0, depth, errors, heredocs: [], expectDelimiter: null };
+  const tokens = lex(state, false);
+  return parseTokens(tokens, errors);
+}
+
+/**
+ * Read tokens until the end of input, or the `)` closing a substitution.
+ * @param {object} state - Lexer state
+ * @param {boolean} inSubstitution - Stop at an unmatched `)`
+ * @returns {object[]}
+ */
+function lex(state, inSubstitution) {
+  const { src } = state;
+  const tokens = [];
+  let parens = 0;
+
+  while (state.pos < src.length) {
+    const blank = blankLength(src, state.pos);
+    if (blank > 0) {
+      state.pos += blank;
+      continue;
+    }
+
+    const ch = src[state.pos];
+    if (ch === '\n') {
+      state.pos += 1;
+      tokens.push({ type: 'op', value: '\n' });
+      readHeredocBodies(state);
+    } else if (ch === '#') {
+      while (state.pos < src.length && src[state.pos] !== '\n') state.pos += 1;
+    } else {
+      const op = matchOperator(src, state.pos);
+      if (op === ')' && inSubstitution && parens === 0) {
+        state.pos += 1;
+        return tokens;
+      }
+      if (op === '(') parens += 1;
+      if (op === ')') parens -= 1;
+      tokens.push(op ? readOperator(state, op) : readWordToken(state));
+    }
+  }
+
+  if (inSubstitution) state.errors.push('unterminated $(');
+  if (state.heredocs.length > 0) readHeredocBodies(state);
+  return tokens;
+}
+
+/**
+ * Length of blank space at a position: whitespace, line continuations and
+ * unquoted `$IFS`, which the shell splits on like a space.
+ * @param {string} src
+ * @param {number} pos
+ * @returns {number}
+ */
+function blankLength(src, pos) {
+  const ch = src[pos];
+  if (ch === ' ' || ch === '\t' || ch === '\r') return 1;
+  if (ch === '\\' && src[pos + 1] === '\n') return 2;
+  if (src.startsWith('${IFS}', pos)) return 6;
+  if (src.startsWith('$IFS', pos) && !/[A-Za-z0-9_]/.test(src[pos + 4] ?? '')) return 4;
+  return 0;
+}
+
+/**
+ * Operator at a position, or null. An fd number directly before a
+ * redirection (`2>`) belongs to the operator; `<(` / `>(` start a word.
+ * @param {string} src
+ * @param {number} pos
+ * @returns {string|null}
+ */
+function matchOperator(src, pos) {
+  const fd = /^\d+(?=[<>])/.exec(src.slice(pos, pos + 12));
+  const at = fd ? pos + fd[0].length : pos;
+  if ((src[at] === '<' || src[at] === '>') && src[at + 1] === '(') return null;
+  const op = OPERATORS.find((candidate) => src.startsWith(candidate, at));
+  if (!op || (fd && !REDIRECT_OPERATORS.has(op))) return null;
+  return fd ? `${fd[0]}${op}` : op;
+}
+
+/**
+ * Build an operator or redirect token and advance past it.
+ * @param {object} state
+ * @param {string} raw - Operator text including any fd prefix
+ * @returns {object}
+ */
+function readOperator(state, raw) {
+  state.pos += raw.length;
+  const fd = /^\d+/.exec(raw)?.[0] ?? null;
+  const op = fd ? raw.slice(fd.length) : raw;
+  if (!REDIRECT_OPERATORS.has(op)) return { type: 'op', value: op };
+
+  const token = { type: 'redirect', op, fd, heredoc: null };
+  if (op === '<<' || op === '<<-') state.expectDelimiter = token;
+  return token;
+}
+
+/**
+ * Read a word token, registering it as a heredoc delimiter when it follows `<<`.
+ * @param {object} state
+ * @returns {object}
+ */
+function readWordToken(state) {
+  const word = readWord(state);
+  if (state.expectDelimiter) {
+    state.heredocs.push({ token: state.expectDelimiter, delimiter: word.value });
+    state.expectDelimiter = null;
+  }
+  return { type: 'word', word };
+}
+
+/**
+ * Read heredoc bodies pending at the start of a line.
+ * @param {object} state
+ */
+function readHeredocBodies(state) {
+  const { src } = state;
+  for (const { token, delimiter } of state.heredocs) {
+    const lines = [];
+    let closed = false;
+    while (state.pos < src.length) {
+      let end = src.indexOf('\n', state.pos);
+      if (end === -1) end = src.length;
+      const line = src.slice(state.pos, end);
+      state.pos = end + 1;
+      if ((token.op === '<<-' ? line.replace(/^\t+/, '') : line) === delimiter) {
+        closed = true;
+        break;
+      }
+      lines.push(line);
+    }
+    if (!closed) state.errors.push(`unterminated heredoc (${delimiter})`);
+    token.heredoc = lines.join('\n');
+  }
+  state.heredocs = [];
+  state.pos = Math.min(state.pos, src.length);
+}
+
+/**
+ * Read one word, resolving quotes, escapes and substitutions.
+ * @param {object} state
+ * @returns {ShellWord}
+ */
+function readWord(state) {
+  const { src } = state;
+  const start = state.pos;
+  const word = { text: '', value: '', quoted: false, dynamic: false, substitutions: [] };
+
+  while (state.pos < src.length) {
+    const ch = src[state.pos];
+    if (ch === '\\' && src[state.pos + 1] === '\n') {
+      state.pos += 2;
+      continue;
+    }
+    const startsProcess = state.pos === start && (ch === '<' || ch === '>') && src[state.pos + 1] === '(';
+    if ((WORD_BREAK.has(ch) && !startsProcess) || blankLength(src, state.pos) > 0) break;
+    readWordPart(state, word);
+  }
+
+  word.text = src.slice(start, state.pos);
+  return word;
+}
+
+/**
+ * Read one part of an unquoted word.
+ * @param {object} state
+ * @param {ShellWord} word - Word being built
+ */
+function readWordPart(state, word) {
+  const { src } = state;
+  const ch = src[state.pos];
+
+  if (ch === '\\') {
+    word.value += src[state.pos + 1] ?? '';
+    state.pos += 2;
+  } else if (ch === "'") {
+    readSingleQuoted(state, word);
+  } else if (ch === '"') {
+    readDoubleQuoted(state, word);
+  } else if (ch === '`') {
+    readBackticks(state, word);
+  } else if (ch === '$' && src[state.pos + 1] === "'") {
+    readAnsiCQuoted(state, word);
+  } else if (ch === '$') {
+    readDollar(state, word);
+  } else if (ch === '<' || ch === '>') {
+    readSubstitution(state, word, 'process', 2);
+  } else {
+    word.value += ch;
+    state.pos += 1;
+  }
+}
+
+/**
+ * @param {object} state
+ * @param {ShellWord} word
+ */
+function readSingleQuoted(state, word) {
+  const end = state.src.indexOf("'", state.pos + 1);
+  word.quoted = true;
+  if (end === -1) {
+    state.errors.push('unterminated single quote');
+    word.value += state.src.slice(state.pos + 1);
+    state.pos = state.src.length;
+    return;
+  }
+  word.value += state.src.slice(state.pos + 1, end);
+  state.pos = end + 1;
+}
+
+/**
+ * @param {object} state
+ * @param {ShellWord} word
+ */
+function readAnsiCQuoted(state, word) {
+  const { src } = state;
+  let pos = state.pos + 2;
+  let raw = '';
+  while (pos < src.length && src[pos] !== "'") {
+    const step = src[pos] === '\\' ? 2 : 1;
+    raw += src.slice(pos, pos + step);
+    pos += step;
+  }
+  if (pos >= src.length) state.errors.push('unterminated $\' quote');
+  word.quoted = true;
+  word.value += decodeAnsiC(raw);
+  state.pos = Math.min(pos + 1, src.length);
+}
+
+/**
+ * Decode the escapes of a `$'...'` string.
+ * @param {string} raw
+ * @returns {string}
+ */
+function decodeAnsiC(raw) {
+  return raw.replace(/\\(x[0-9a-fA-F]{1,2}|u[0-9a-fA-F]{1,4}|[0-7]{1,3}|.)/g, (match, esc) => {
+    if (esc[0] === 'x' || esc[0] === 'u') return String.fromCharCode(parseInt(esc.slice(1), 16));
+    if (/^[0-7]/.test(esc)) return String.fromCharCode(parseInt(esc, 8));
+    return ANSI_C_ESCAPES[esc] ?? match;
+  });
+}
+
+/**
+ * @param {object} state
+ * @param {ShellWord} word
+ */
+function readDoubleQuoted(state, word) {
+  const { src } = state;
+  word.quoted = true;
+  state.pos += 1;
+
+  while (state.pos < src.length) {
+    const ch = src[state.pos];
+    if (ch === '"') {
+      state.pos += 1;
+      return;
+    }
+    if (ch === '\\' && '$`"\\\n'.includes(src[state.pos + 1] ?? '')) {
+      if (src[state.pos + 1] !== '\n') word.value += src[state.pos + 1];
+      state.pos += 2;
+    } else if (ch === '$' && src[state.pos + 1] !== "'") {
+      readDollar(state, word);
+    } else if (ch === '`') {
+      readBackticks(state, word);
+    } else {
+      word.value += ch;
+      state.pos += 1;
+    }
+  }
+  state.errors.push('unterminated double quote');
+}
+
+/**
+ * Read `$(...)`, `$((...))`, `${...}`, `$NAME` or a literal `$`.
+ * @param {object} state
+ * @param {ShellWord} word
+ */
+function readDollar(state, word) {
+  const { src } = state;
+  const next = src[state.pos + 1];
+
+  if (next === '(' && src[state.pos + 2] === '(') {
+    appendExpansion(state, word, findClosing(src, state.pos + 1, '(', ')'));
+  } else if (next === '(') {
+    readSubstitution(state, word, 'command', 2);
+  } else if (next === '{') {
+    const end = findClosing(src, state.pos + 1, '{', '}');
+    if (src.slice(state.pos, end) === '${IFS}') {
+      word.value += ' ';
+      state.pos = end;
+    } else {
+      appendExpansion(state, word, end);
+    }
+  } else if (next !== undefined && /[A-Za-z_]/.test(next)) {
+    appendExpansion(state, word, state.pos + 1 + /^[A-Za-z0-9_]*/.exec(src.slice(state.pos + 1))[0].length);
+  } else if (next !== undefined && /[0-9@*#?$!-]/.test(next)) {
+    appendExpansion(state, word, state.pos + 2);
+  } else {
+    word.value += '$';
+    state.pos += 1;
+  }
+}
+
+/**
+ * Keep an unresolved expansion's source text in the word value.
+ * @param {object} state
+ * @param {ShellWord} word
+ * @param {number} end - Exclusive end of the expansion
+ */
+function appendExpansion(state, word, end) {
+  word.value += state.src.slice(state.pos, end);
+  word.dynamic = true;
+  state.pos = end;
+}
+
+/**
+ * Index just past the bracket closing the one at `open`, or the end of input.
+ * @param {string} src
+ * @param {number} open - Index of the opening bracket
+ * @param {string} opener
+ * @param {string} closer
+ * @returns {number}
+ */
+function findClosing(src, open, opener, closer) {
+  let depth = 0;
+  for (let pos = open; pos < src.length; pos += 1) {
+    if (src[pos] === '\\') pos += 1;
+    else if (src[pos] === opener) depth += 1;
+    else if (src[pos] === closer && --depth === 0) return pos + 1;
+  }
+  return src.length;
+}
+
+/**
+ * Read `$(...)`, `<(...)` or `>(...)` and parse its body.
+ * @param {object} state
+ * @param {ShellWord} word
+ * @param {'command'|'process'} kind
+ * @param {number} prefix - Length of the opening sequence
+ */
+function readSubstitution(state, word, kind, prefix) {
+  const start = state.pos;
+  if (state.depth >= MAX_PARSE_DEPTH) {
+    state.errors.push('substitutions nested too deeply');
+    appendExpansion(state, word, findClosing(state.src, start + prefix - 1, '(', ')'));
+    return;
+  }
+
+  state.pos += prefix;
+  state.depth += 1;
+  const tokens = lex(state, true);
+  state.depth -= 1;
+  addSubstitution(word, kind, parseTokens(tokens, state.errors), state.src.slice(start, state.pos));
+}
+
+/**
+ * Read a backtick substitution; its body is unescaped and parsed separately.
+ * @param {object} state
+ * @param {ShellWord} word
+ */
+function readBackticks(state, word) {
+  const { src } = state;
+  const start = state.pos;
+  let pos = start + 1;
+  while (pos < src.length && src[pos] !== '`') pos += src[pos] === '\\' ? 2 : 1;
+  if (pos >= src.length) state.errors.push('unterminated backtick');
+  state.pos = Math.min(pos + 1, src.length);
+
+  const raw = src.slice(start, state.pos);
+  if (state.depth >= MAX_PARSE_DEPTH) {
+    state.errors.push('substitutions nested too deeply');
+    word.value += raw;
+    word.dynamic = true;
+    return;
+  }
+  const inner = src.slice(start + 1, pos).replace(/\\([\\`$])/g, '$1');
+  addSubstitution(word, 'command', parseSource(inner, state.depth + 1, state.errors), raw);
+}
+
+/**
+ * Record a parsed substitution on a word. Output of a literal `echo` is
+ * known statically and becomes part of the value; anything else keeps its
+ * source text and marks the word dynamic.
+ * @param {ShellWord} word
+ * @param {'command'|'process'} kind
+ * @param {object} body - Parsed list
+ * @param {string} raw - Source text of the substitution
+ */
+function addSubstitution(word, kind, body, raw) {
+  word.substitutions.push({ kind, body });
+  const item = body.items.length === 1 ? body.items[0].pipeline : null;
+  const output = kind === 'command' && item?.commands.length === 1 ? staticOutput(item.commands[0]) : null;
+  if (output === null) {
+    word.value += raw;
+    word.dynamic = true;
+  } else {
+    word.value += output;
+  }
+}
+
+/**
+ * Output of a command node when it is a literal echo/printf, else null.
+ * @param {object} node
+ * @returns {string|null}
+ */
+function staticOutput(node) {
+  if (node?.type !== 'command' || node.words.length === 0) return null;
+  if (node.words.some((w) => w.dynamic)) return null;
+  const [name, ...args] = node.words.map((w) => w.value);
+  if (name === 'printf') return args.join(' ');
+  if (name !== 'echo') return null;
+  while (args.length > 0 && /^-[neE]+$/.test(args[0])) args.shift();
+  return args.join(' ');
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object[]} tokens
+ * @param {string[]} errors
+ * @returns {object} List node
+ */
+function parseTokens(tokens, errors) {
+  return parseList({ tokens, i: 0, errors }, NO_STOP);
+}
+
+/**
+ * Parse pipelines separated by list operators until a stop token.
+ * @param {object} p - Parser state
+ * @param {{ ops: Set<string>, words: Set<string> }} stop
+ * @returns {{ type: 'list', items: Array<{ pipeline: object, op: string|null }> }}
+ */
+function parseList(p, stop) {
+  const items = [];
+  while (p.i < p.tokens.length) {
+    const tok = p.tokens[p.i];
+    if (isStop(tok, stop)) break;
+    if (tok.type === 'op' && tok.value !== '(') {
+      if (tok.value === ')') p.errors.push('unexpected )');
+      p.i += 1;
+      continue;
+    }
+
+    const start = p.i;
+    const pipeline = parsePipeline(p, stop);
+    const next = p.tokens[p.i];
+    const op = next?.type === 'op' && LIST_OPERATORS.has(next.value) ? next.value : null;
+    if (op) p.i += 1;
+    if (pipeline) items.push({ pipeline, op });
+    if (p.i === start) p.i += 1;
+  }
+  return { type: 'list', items };
+}
+
+/**
+ * @param {object} p
+ * @param {{ ops: Set<string>, words: Set<string> }} stop
+ * @returns {{ type: 'pipeline', negated: boolean, commands: object[] }|null}
+ */
+function parsePipeline(p, stop) {
+  let negated = false;
+  if (isKeyword(p.tokens[p.i], '!')) {
+    negated = true;
+    p.i += 1;
+  }
+
+  const commands = [];
+  for (;;) {
+    const command = parseCommand(p, stop);
+    if (command) commands.push(command);
+    const tok = p.tokens[p.i];
+    if (!command || tok?.type !== 'op' || (tok.value !== '|' && tok.value !== '|&')) break;
+    p.i += 1;
+    skipNewlines(p);
+  }
+  return commands.length > 0 ? { type: 'pipeline', negated, commands } : null;
+}
+
+/**
+ * Parse one command: subshell, group, compound keyword or simple command.
+ * @param {object} p
+ * @param {{ ops: Set<string>, words: Set<string> }} stop
+ * @returns {object|null}
+ */
+function parseCommand(p, stop) {
+  while (isKeyword(p.tokens[p.i], TRANSPARENT_KEYWORDS) && !isStop(p.tokens[p.i], stop)) p.i += 1;
+
+  const tok = p.tokens[p.i];
+  if (!tok || isStop(tok, stop)) return null;
+  if (tok.type === 'op') return tok.value === '(' ? parseGrouping(p, 'subshell', ')') : null;
+  if (isKeyword(tok, '{')) return parseGrouping(p, 'group', '}');
+  if (isKeyword(tok, 'for') || isKeyword(tok, 'select')) return parseForHeader(p);
+  if (isKeyword(tok, 'case')) return parseCase(p);
+  if (isKeyword(tok, 'function')) {
+    p.i += 1;
+    const name = p.tokens[p.i]?.type === 'word' ? p.tokens[p.i++].word : null;
+    if (isOp(p.tokens[p.i], '(') && isOp(p.tokens[p.i + 1], ')')) p.i += 2;
+    return parseFunctionBody(p, name, stop);
+  }
+  return parseSimpleCommand(p, stop);
+}
+
+/**
+ * Parse `( list )` or `{ list; }` with trailing redirections.
+ * @param {object} p
+ * @param {'subshell'|'group'} type
+ * @param {string} closer
+ * @returns {object}
+ */
+function parseGrouping(p, type, closer) {
+  p.i += 1;
+  const stop = type === 'subshell'
+    ? { ops: new Set([closer]), words: new Set() }
+    : { ops: new Set(), words: new Set([closer]) };
+  const body = parseList(p, stop);
+  if (isStop(p.tokens[p.i], stop)) p.i += 1;
+  else p.errors.push(`missing ${closer}`);
+  return { type, body, redirects: parseRedirects(p) };
+}
+
+/**
+ * Parse a `for`/`select` header up to and including `do`.
+ * The loop body then parses as an ordinary list.
+ * @param {object} p
+ * @returns {{ type: 'clause', keyword: string, words: ShellWord[] }}
+ */
+function parseForHeader(p) {
+  const keyword = p.tokens[p.i].word.value;
+  const words = [];
+  p.i += 1;
+  while (p.i < p.tokens.length && !isKeyword(p.tokens[p.i], 'do')) {
+    if (p.tokens[p.i].type === 'word') words.push(p.tokens[p.i].word);
+    p.i += 1;
+  }
+  if (p.i < p.tokens.length) p.i += 1;
+  return { type: 'clause', keyword, words };
+}
+
+/**
+ * Parse `case word in pattern) list ;; ... esac`.
+ * @param {object} p
+ * @returns {{ type: 'case', words: ShellWord[], bodies: object[] }}
+ */
+function parseCase(p) {
+  p.i += 1;
+  const words = p.tokens[p.i]?.type === 'word' ? [p.tokens[p.i++].word] : [];
+  if (isKeyword(p.tokens[p.i], 'in')) p.i += 1;
+
+  const bodies = [];
+  const stop = { ops: CASE_TERMINATORS, words: new Set(['esac']) };
+  while (p.i < p.tokens.length) {
+    skipNewlines(p);
+    if (p.i >= p.tokens.length) break;
+    if (isKeyword(p.tokens[p.i], 'esac')) {
+      p.i += 1;
+      break;
+    }
+    while (p.i < p.tokens.length && !isOp(p.tokens[p.i], ')')) p.i += 1;
+    p.i += 1;
+    bodies.push(parseList(p, stop));
+    if (p.tokens[p.i]?.type === 'op' && CASE_TERMINATORS.has(p.tokens[p.i].value)) p.i += 1;
+  }
+  return { type: 'case', words, bodies };
+}
+
+/**
+ * @param {object} p
+ * @param {ShellWord|null} name
+ * @param {{ ops: Set<string>, words: Set<string> }} stop
+ * @returns {{ type: 'function', name: string, body: object|null }}
+ */
+function parseFunctionBody(p, name, stop) {
+  skipNewlines(p);
+  return { type: 'function', name: name?.value ?? '', body: parseCommand(p, stop) };
+}
+
+/**
+ * Parse assignments, words and redirections of a simple command.
+ * @param {object} p
+ * @param {{ ops: Set<string>, words: Set<string> }} stop
+ * @returns {object|null}
+ */
+function parseSimpleCommand(p, stop) {
+  const node = { type: 'command', assignments: [], words: [], redirects: [] };
+  while (p.i < p.tokens.length) {
+    const tok = p.tokens[p.i];
+    if (tok.type === 'redirect') {
+      node.redirects.push(readRedirect(p));
+      continue;
+    }
+    if (tok.type !== 'word') break;
+    p.i += 1;
+    if (node.words.length === 0 && /^[A-Za-z_][A-Za-z0-9_]*(\[[^\]]*\])?\+?=/.test(tok.word.text)) {
+      const eq = tok.word.value.indexOf('=');
+      node.assignments.push({ name: tok.word.text.split(/[[+=]/)[0], value: tok.word.value.slice(eq + 1), word: tok.word });
+      continue;
+    }
+    node.words.push(tok.word);
+    if (node.words.length === 1 && isOp(p.tokens[p.i], '(') && isOp(p.tokens[p.i + 1], ')')) {
+      p.i += 2;
+      return parseFunctionBody(p, tok.word, stop);
+    }
+  }
+
+  const empty = node.words.length === 0 && node.assignments.length === 0 && node.redirects.length === 0;
+  return empty ? null : node;
+}
+
+/**
+ * @param {object} p
+ * @returns {object[]}
+ */
+function parseRedirects(p) {
+  const redirects = [];
+  while (p.tokens[p.i]?.type === 'redirect') redirects.push(readRedirect(p));
+  return redirects;
+}
+
+/**
+ * @param {object} p
+ * @returns {{ op: string, fd: string|null, target: ShellWord|null, heredoc: string|null }}
+ */
+function readRedirect(p) {
+  const tok = p.tokens[p.i];
+  p.i += 1;
+  let target = null;
+  if (p.tokens[p.i]?.type === 'word') {
+    target = p.tokens[p.i].word;
+    p.i += 1;
+  } else {
+    p.errors.push(`missing target for ${tok.op}`);
+  }
+  return { op: tok.op, fd: tok.fd, target, heredoc: tok.heredoc };
+}
+
+/**
+ * @param {object} p
+ */
+function skipNewlines(p) {
+  while (isOp(p.tokens[p.i], '\n')) p.i += 1;
+}
+
+/**
+ * @param {object|undefined} tok
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isOp(tok, value) {
+  return tok?.type === 'op' && tok.value === value;
+}
+
+/**
+ * Unquoted word equal to a reserved word (or one of a set).
+ * @param {object|undefined} tok
+ * @param {string|Set<string>} keyword
+ * @returns {boolean}
+ */
+function isKeyword(tok, keyword) {
+  if (tok?.type !== 'word') return false;
+  return typeof keyword === 'string' ? tok.word.text === keyword : keyword.has(tok.word.text);
+}
+
+/**
+ * @param {object|undefined} tok
+ * @param {{ ops: Set<string>, words: Set<string> }} stop
+ * @returns {boolean}
+ */
+function isStop(tok, stop) {
+  return (tok?.type === 'op' && stop.ops.has(tok.value)) || isKeyword(tok, stop.words);
+}
+
+// ---------------------------------------------------------------------------
+// Command collection
+// ---------------------------------------------------------------------------
+
+/** No pipeline input */
+const NO_FEED = { inputs: [], stdin: null };
+
+/**
+ * @param {object} list
+ * @param {number} depth
+ * @param {{ inputs: string[], stdin: string|null }} feed - Input of the list's first pipeline stage
+ * @returns {ShellCommand[]}
+ */
+function visitList(list, depth, feed) {
+  return list.items.flatMap(({ pipeline }) => visitPipeline(pipeline, depth, feed));
+}
+
+/**
+ * @param {object} pipeline
+ * @param {number} depth
+ * @param {{ inputs: string[], stdin: string|null }} feed
+ * @returns {ShellCommand[]}
+ */
+function visitPipeline(pipeline, depth, feed) {
+  const commands = [];
+  let current = feed;
+  for (const node of pipeline.commands) {
+    const produced = visitNode(node, depth, current);
+    commands.push(...produced);
+    current = {
+      inputs: [...current.inputs, ...produced.map((c) => c.name)],
+      stdin: pipedOutput(node),
+    };
+  }
+  return commands;
+}
+
+/**
+ * Statically known output of a pipeline stage: a literal echo/printf, or
+ * `cat` replaying a heredoc.
+ * @param {object} node
+ * @returns {string|null}
+ */
+function pipedOutput(node) {
+  if (node.type === 'command' && node.words.length === 1 && node.words[0].value === 'cat') {
+    return redirectInput(node.redirects);
+  }
+  return staticOutput(node);
+}
+
+/**
+ * @param {object|null} node
+ * @param {number} depth
+ * @param {{ inputs: string[], stdin: string|null }} feed
+ * @returns {ShellCommand[]}
+ */
+function visitNode(node, depth, feed) {
+  switch (node?.type) {
+    case 'command':
+      return visitSimpleCommand(node, depth, feed);
+    case 'subshell':
+    case 'group':
+      return [
+        ...node.redirects.flatMap((r) => visitSubstitutions(r.target, depth)),
+        ...visitList(node.body, depth, feed),
+      ];
+    case 'function':
+      return visitNode(node.body, depth, NO_FEED);
+    case 'clause':
+      return node.words.flatMap((w) => visitSubstitutions(w, depth));
+    case 'case':
+      return [
+        ...node.words.flatMap((w) => visitSubstitutions(w, depth)),
+        ...node.bodies.flatMap((body) => visitList(body, depth, NO_FEED)),
+      ];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Commands inside a word's substitutions.
+ * @param {ShellWord|null} word
+ * @param {number} depth
+ * @returns {ShellCommand[]}
+ */
+function visitSubstitutions(word, depth) {
+  return (word?.substitutions ?? []).flatMap((sub) => visitList(sub.body, depth, NO_FEED));
+}
+
+/**
+ * @param {object} node - Simple command node
+ * @param {number} depth
+ * @param {{ inputs: string[], stdin: string|null }} feed
+ * @returns {ShellCommand[]}
+ */
+function visitSimpleCommand(node, depth, feed) {
+  const words = [
+    ...node.assignments.map((a) => a.word),
+    ...node.words,
+    ...node.redirects.map((r) => r.target),
+  ];
+  const substituted = words.flatMap((w) => visitSubstitutions(w, depth));
+  const [name = '', ...args] = node.words.map((w) => w.value);
+
+  const command = {
+    name: commandName(name),
+    args,
+    text: node.words.map((w) => w.value).join(' '),
+    assignments: node.assignments.map(({ name: key, value }) => ({ name: key, value })),
+    redirects: node.redirects.map((r) => ({ op: r.op, fd: r.fd, target: r.target?.value ?? null })),
+    stdin: redirectInput(node.redirects) ?? feed.stdin,
+    inputs: [...feed.inputs, ...substituted.map((c) => c.name)],
+    wrappers: [],
+    dynamicName: node.words[0]?.dynamic === true && isExpansion(name),
+  };
+  return [...substituted, ...expand(command, depth)];
+}
+
+/**
+ * Heredoc or here-string text fed to a command.
+ * @param {object[]} redirects
+ * @returns {string|null}
+ */
+function redirectInput(redirects) {
+  for (const r of redirects) {
+    if (r.heredoc !== null) return r.heredoc;
+    if (r.op === '<<<') return r.target?.value ?? null;
+  }
+  return null;
+}
+
+/**
+ * Lower-cased base name of a command path (`/usr/bin/rm` -> `rm`).
+ * @param {string} value
+ * @returns {string}
+ */
+function commandName(value) {
+  return value.slice(value.lastIndexOf('/') + 1).toLowerCase();
+}
+
+/**
+ * Whether the base name of a command word is (part of) an unresolved expansion.
+ * `$HOME/bin/tool` is not: only its directory is unknown.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isExpansion(value) {
+  return /[$`]/.test(commandName(value));
+}
+
+/**
+ * A command followed by everything it runs: unwrapped wrapper operands,
+ * `find -exec` commands, and scripts given to shells or `eval`.
+ * @param {ShellCommand} command
+ * @param {number} depth
+ * @returns {ShellCommand[]}
+ */
+function expand(command, depth) {
+  const out = [command];
+  for (const inner of unwrap(command)) out.push(...expand(inner, depth));
+  out.push(...parseNestedScript(command, depth));
+  return out;
+}
+
+/**
+ * Commands run directly by a wrapper or by `find -exec`.
+ * @param {ShellCommand} command
+ * @returns {ShellCommand[]}
+ */
+function unwrap(command) {
+  const { name, args } = command;
+  if (name === 'find') {
+    const inner = [];
+    args.forEach((arg, i) => {
+      if (!FIND_EXEC_ACTIONS.has(arg) || i + 1 >= args.length) return;
+      const end = args.findIndex((a, j) => j > i && (a === ';' || a === '+'));
+      inner.push(derive(command, args[i + 1], args.slice(i + 2, end === -1 ? undefined : end)));
+    });
+    return inner;
+  }
+
+  const spec = Object.hasOwn(WRAPPERS, name) ? WRAPPERS[name] : null;
+  if (!spec || (name === 'command' && args.some((a) => a === '-v' || a === '-V'))) return [];
+  const start = skipWrapperOptions(args, spec);
+  return start < args.length ? [derive(command, args[start], args.slice(start + 1))] : [];
+}
+
+/**
+ * Index of the wrapped command in a wrapper's arguments.
+ * @param {string[]} args
+ * @param {{ values?: string[], skip?: number, assignments?: boolean }} spec
+ * @returns {number}
+ */
+function skipWrapperOptions(args, spec) {
+  const values = new Set(spec.values ?? []);
+  let i = 0;
+  while (i < args.length) {
+    const arg = args[i];
+    if (arg === '--') {
+      i += 1;
+      break;
+    }
+    const isOption = arg.startsWith('-') && arg !== '-';
+    const isAssignment = spec.assignments && /^[A-Za-z_][A-Za-z0-9_]*=/.test(arg);
+    if (!isOption && !isAssignment) break;
+    i += values.has(arg) ? 2 : 1;
+  }
+  return i + (spec.skip ?? 0);
+}
+
+/**
+ * Build the command run by a wrapper.
+ * @param {ShellCommand} outer
+ * @param {string} name
+ * @param {string[]} args
+ * @returns {ShellCommand}
+ */
+function derive(outer, name, args) {
+  return {
+    ...outer,
+    name: commandName(name),
+    args,
+    text: [name, ...args].join(' '),
+    wrappers: [...outer.wrappers, outer.name],
+    dynamicName: isExpansion(name),
+  };
+}
+
+/**
+ * Commands in a script run by a shell (`-c`, heredoc, piped echo), `eval`,
+ * or an interpreter's inline code.
+ * @param {ShellCommand} command
+ * @param {number} depth
+ * @returns {ShellCommand[]}
+ */
+function parseNestedScript(command, depth) {
+  const script = nestedScript(command);
+  if (script === null || depth >= MAX_PARSE_DEPTH) return [];
+
+  const body = parseSource(script, depth + 1, []);
+  return visitList(body, depth + 1, NO_FEED).map((inner) => ({
+    ...inner,
+    wrappers: [...command.wrappers, command.name, ...inner.wrappers],
+  }));
+}
+
+/**
+ * Script text a command will execute, or null.
+ * @param {ShellCommand} command
+ * @returns {string|null}
+ */
+function nestedScript(command) {
+  const { name, args } = command;
+  if (name === 'eval') return args.join(' ');
+
+  const code = inlineCode(command);
+  if (code !== null) return SHELLS.has(name) ? code : shellOuts(interpreterFamily(name), code);
+  if (!SHELLS.has(name)) return null;
+
+  // No -c and no script file operand: the shell reads its script from stdin
+  const readsStdin = name !== 'su' && args.every((a) => a.startsWith('-'));
+  return readsStdin ? command.stdin : null;
+}
+
+/**
+ * Interpreter family of a command name (`python3.12` -> `python`), or null.
+ * @param {string} name
+ * @returns {string|null}
+ */
+function interpreterFamily(name) {
+  const family = name.replace(/^(python)[\d.]*$/, '$1').replace(/^nodejs$/, 'node');
+  return Object.hasOwn(INLINE_CODE_OPTIONS, family) ? family : null;
+}
+
+/**
+ * Shell commands inline code runs through system()/subprocess/exec calls and
+ * command literals, one per line, or null when it runs none. Only literal
+ * arguments are seen; a call on a variable stays opaque.
+ * @param {string} family - Interpreter family
+ * @param {string} code
+ * @returns {string|null}
+ */
+function shellOuts(family, code) {
+  const found = [];
+  for (const call of code.matchAll(SHELL_OUT_CALLS[family])) {
+    found.push(literalArguments(code, call.index + call[0].length));
+  }
+  if (family !== 'python' && family !== 'node') {
+    for (const literal of code.matchAll(COMMAND_LITERALS)) found.push(literal.slice(1).find((g) => g !== undefined));
+  }
+  const script = found.filter(Boolean).join('\n');
+  return script === '' ? null : script;
+}
+
+/**
+ * Leading string literals of a call's arguments, joined by spaces
+ * (`'rm', ['-rf', '/']` -> `rm -rf /`). Stops at the first non-literal.
+ * @param {string} code
+ * @param {number} start - Index after the call's name and parenthesis
+ * @returns {string}
+ */
+function literalArguments(code, start) {
+  const parts = [];
+  LITERAL_ARGUMENT.lastIndex = start;
+  let match;
+  while ((match = LITERAL_ARGUMENT.exec(code)) !== null) {
+    const text = match[1] ?? match[2];
+    if (text !== undefined) parts.push(text.replace(/\\(.)/g, '$1'));
+  }
+  return parts.join(' ');
+}
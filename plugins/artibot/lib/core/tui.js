@@ -311,12 +311,18 @@ export function workflowVisualizer(steps, currentIndex) {
 
 /**
  * Render a playbook workflow with named phases.
- * Convenience wrapper for common Artibot playbooks.
- * @param {'feature'|'bugfix'|'refactor'|'security'} playbookName
- * @param {number} currentPhase - 0-based index of current phase
+ * Accepts a built-in playbook name, a compiled playbook, or a playbook run
+ * (see lib/core/playbook.js). Runs are rendered from their phase statuses,
+ * so `currentPhase` is optional for them.
+ * @param {'feature'|'bugfix'|'refactor'|'security'|object} playbookName
+ * @param {number} [currentPhase] - 0-based index of current phase
  * @returns {string}
  */
 export function playbookVisualizer(playbookName, currentPhase) {
+  if (playbookName && typeof playbookName === 'object') {
+    return compiledPlaybookVisualizer(playbookName, currentPhase);
+  }
+
   const playbooks = {
     feature: ['Plan', 'Design', 'Implement', 'Review', 'Test', 'Merge'],
     bugfix: ['Triage', 'Reproduce', 'Fix', 'Test', 'Review', 'Merge'],
@@ -333,6 +339,25 @@ export function playbookVisualizer(playbookName, currentPhase) {
   return workflowVisualizer(steps, currentPhase);
 }
 
+/**
+ * @param {object} source - Compiled playbook or playbook run
+ * @param {number} [currentPhase]
+ * @returns {string}
+ */
+function compiledPlaybookVisualizer(source, currentPhase) {
+  const run = source.playbook ? source : null;
+  const phases = run ? run.playbook.phases : source.phases || [];
+  const runStatus = { active: 'active', completed: 'completed', failed: 'error' };
+  const steps = phases.map((phase, idx) => ({
+    name: phase.name,
+    status: run
+      ? runStatus[run.phases?.[phase.id]] || 'pending'
+      : idx < currentPhase ? 'completed' : idx === currentPhase ? 'active' : 'pending',
+  }));
+
+  return workflowVisualizer(steps, run ? undefined : currentPhase);
+}
+
 // ─────────────────────────────────────────────
 // Task board (Kanban style)
 // ─────────────────────────────────────────────
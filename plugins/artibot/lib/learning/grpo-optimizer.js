@@ -11,6 +11,7 @@
  */
 
 import path from 'node:path';
+import { readFileSync } from 'node:fs';
 import { ensureDir, readJsonFile, writeJsonFile } from '../core/file.js';
 import { getHomeDir } from '../core/platform.js';
 
@@ -25,6 +26,8 @@ const DEFAULT_CANDIDATE_COUNT = 5;
 /**
  * Built-in rules for CLI task evaluation.
  * Each rule takes a result object and returns a score in [0, 1].
+ * `sideEffects` is the number of files a command created, modified or
+ * deleted; sandbox toLearningResult() fills it from file tracking.
  *
  * @type {Record<string, (result: object) => number>}
  * @example
@@ -521,6 +524,25 @@ export async function getGrpoStats(options = {}) {
   };
 }
 
+/**
+ * Read the persisted team composition weights synchronously, for callers
+ * such as System 2 planning that cannot await. Missing or unreadable
+ * history yields an empty map.
+ *
+ * @returns {Record<string, number>} `{ "pattern|size|domain": weight }`
+ * @example
+ * recommendTeam(0.7, task, { teamWeights: loadTeamWeights() });
+ */
+export function loadTeamWeights() {
+  try {
+    const data = JSON.parse(readFileSync(getHistoryPath(), 'utf-8'));
+    const weights = data?.teamWeights;
+    return weights && typeof weights === 'object' && !Array.isArray(weights) ? { ...weights } : {};
+  } catch {
+    return {};
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Strategy catalog
 // ---------------------------------------------------------------------------
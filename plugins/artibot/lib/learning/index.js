@@ -33,6 +33,18 @@ export {
   loadMemories,
   clearMemories,
   getMemoryStats,
+  getMemoryEntry,
+  updateMemory,
+  forgetMemories,
+  configure as configureMemory,
+  configureScrubbing,
+  scrubMemoryEntry,
+  scrubStoredMemories,
+  findProjectRoot,
+  resetMemoryScopes,
+  MEMORY_SCOPES,
+  MEMORY_STORE_KEYS,
+  DEFAULT_SCRUB_CATEGORIES,
 } from './memory-manager.js';
 
 // Self Evaluator (Self-Rewarding pattern)
@@ -53,6 +65,7 @@ export {
   updateTeamWeights,
   getRecommendation,
   getGrpoStats,
+  loadTeamWeights,
   CLI_RULES,
   TEAM_EVALUATION_RULES,
 } from './grpo-optimizer.js';
@@ -84,13 +97,18 @@ export {
 
 /**
  * Initialize all learning subsystems.
- * Prunes stale data from tool history and memory stores.
+ * Applies `learning.memoryScopes` and `learning.memoryScrubbing`, scrubs
+ * memories stored before scrubbing existed, and prunes stale data from tool
+ * history and memory stores.
  * Call once at plugin startup.
  */
 export async function initLearning() {
   const results = await Promise.allSettled([
     import('./tool-learner.js').then((m) => m.pruneOldRecords()),
-    import('./memory-manager.js').then((m) => m.pruneOldMemories()),
+    configureMemoryScopes().then(async (m) => {
+      await m.scrubStoredMemories();
+      return m.pruneOldMemories();
+    }),
   ]);
 
   const errors = results
@@ -115,7 +133,7 @@ export async function shutdownLearning(sessionData) {
 
   if (sessionData) {
     // Summarize session in memory
-    const { summarizeSession: summarize } = await import('./memory-manager.js');
+    const { summarizeSession: summarize } = await configureMemoryScopes();
     await summarize(sessionData);
     summarized = true;
 
@@ -177,13 +195,7 @@ export async function shutdownLearning(sessionData) {
           const candidates = learned.patterns.map((p, i) => ({
             id: `learn-cand-${Date.now()}-${i}`,
             strategy: p.category ?? 'default',
-            result: {
-              exitCode: p.bestComposite > 0.5 ? 0 : 1,
-              errors: p.bestComposite > 0.5 ? 0 : 1,
-              duration: 1000,
-              commandLength: 10,
-              sideEffects: 0,
-            },
+            result: patternResult(p),
           }));
           if (candidates.length >= 2) {
             const groupResult = grpoEval(candidates);
@@ -271,3 +283,54 @@ export async function runLearningCycle(task, candidateResults, options = {}) {
     memorySaved,
   };
 }
+
+// ---------------------------------------------------------------------------
+// Internal Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Load memory-manager with `learning.memoryScopes` and
+ * `learning.memoryScrubbing` applied.
+ * An unreadable config leaves the default scopes and scrubbing in place.
+ * @returns {Promise<typeof import('./memory-manager.js')>}
+ */
+async function configureMemoryScopes() {
+  const memory = await import('./memory-manager.js');
+  try {
+    const { loadConfig } = await import('../core/config.js');
+    const { learning } = await loadConfig();
+    memory.configure(learning?.memoryScopes);
+    memory.configureScrubbing(learning?.memoryScrubbing);
+  } catch {
+    // Default scopes and scrubbing
+  }
+  return memory;
+}
+
+/**
+ * GRPO result for a learned pattern. Sandbox patterns carry the measured
+ * execution summary; other patterns derive pass/fail from their composite
+ * score and report side effects only when their data records them.
+ * @param {object} pattern - Pattern from batchLearn()
+ * @returns {{ exitCode: number, errors: number, duration: number, commandLength: number, sideEffects: number }}
+ */
+function patternResult(pattern) {
+  const data = pattern.bestData ?? {};
+  const passed = pattern.bestComposite > 0.5;
+  if (pattern.type === 'sandbox') {
+    return {
+      exitCode: data.exitCode ?? (passed ? 0 : 1),
+      errors: data.errors ?? (passed ? 0 : 1),
+      duration: data.duration ?? 1000,
+      commandLength: data.commandLength ?? 10,
+      sideEffects: data.sideEffects ?? 0,
+    };
+  }
+  return {
+    exitCode: passed ? 0 : 1,
+    errors: passed ? 0 : 1,
+    duration: 1000,
+    commandLength: 10,
+    sideEffects: data.sideEffects ?? data.filesModified ?? 0,
+  };
+}
@@ -464,7 +464,8 @@ export async function getPromotionCandidates() {
 /**
  * Hot-swap: immediately reflect new or updated patterns in memory.
  * Promotes all eligible candidates and demotes all failing patterns
- * in a single atomic operation without requiring restart.
+ * in a single atomic operation without requiring restart, and applies
+ * the change to the warm System 1 pattern index.
  * Uses file-level locking to prevent concurrent execution.
  *
  * @returns {Promise<{
@@ -530,6 +531,18 @@ async function _hotSwapImpl() {
     }
   }
 
+  if (demotedKeys.length > 0) {
+    await persistSystem1Cache();
+  }
+
+  // Keep the System 1 pattern index in step without a full re-warm.
+  // Imported lazily: system1 itself depends on the learning modules.
+  const { applyHotSwap } = await import('../cognitive/system1.js');
+  await applyHotSwap({
+    promoted: promotedKeys.map((key) => cache.get(key)).filter(Boolean),
+    demoted: demotedKeys,
+  });
+
   const timestamp = new Date().toISOString();
 
   // Log the hot-swap event
@@ -43,7 +43,7 @@ const EXPERIENCE_WEIGHTS = {
 /**
  * @typedef {Object} Experience
  * @property {string} id - Unique experience identifier
- * @property {string} type - Experience type: 'tool' | 'error' | 'success' | 'team'
+ * @property {string} type - Experience type: 'tool' | 'error' | 'success' | 'team' | 'sandbox'
  * @property {string} category - Sub-category within type (e.g. tool name, error class)
  * @property {object} data - Type-specific payload
  * @property {number} timestamp - Unix ms
@@ -55,7 +55,7 @@ const EXPERIENCE_WEIGHTS = {
  * Call this during normal operation whenever a notable event occurs.
  *
  * @param {object} experience
- * @param {string} experience.type - 'tool' | 'error' | 'success' | 'team'
+ * @param {string} experience.type - 'tool' | 'error' | 'success' | 'team' | 'sandbox'
  * @param {string} experience.category - Sub-category for grouping
  * @param {object} experience.data - Event payload
  * @param {string} [experience.sessionId] - Current session ID
@@ -364,6 +364,15 @@ function scoreExperience(exp) {
         resourceEfficiency: clamp01(1.0 / (1 + (data.size ?? 1) / 5)),
       };
 
+    // System 2 sandbox execution summary (system2-core learningResult)
+    case 'sandbox':
+      return {
+        success: data.exitCode === 0 ? 1.0 : 0,
+        speed: data.duration !== null && data.duration !== undefined ? clamp01(1.0 / (1 + data.duration / 60000)) : 0.5,
+        errorRate: clamp01(1.0 / (1 + (data.errors ?? 0))),
+        resourceEfficiency: data.sideEffects === undefined ? 0.5 : clamp01(1.0 / (1 + data.sideEffects / 5)),
+      };
+
     default: {
       // For unknown types (e.g. 'agent', 'self-evaluation'), use direct score if available
       if (directScore !== null) {
@@ -629,7 +638,7 @@ export async function getLearningSummary(options = {}) {
 
   // Load all pattern files
   const patternsByType = {};
-  for (const type of ['tool', 'error', 'success', 'team', 'general']) {
+  for (const type of ['tool', 'error', 'success', 'team', 'sandbox', 'general']) {
     const filePath = path.join(PATTERNS_DIR, `${type}-patterns.json`);
     const data = await readJsonFile(filePath);
     if (data?.patterns?.length > 0) {
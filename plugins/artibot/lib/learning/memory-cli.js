@@ -0,0 +1,430 @@
+/**
+ * Memory CLI backend: parses `memory` subcommands and runs them against
+ * memory-manager, so users can see what Artibot remembers without opening
+ * the JSON stores. Used by scripts/memory.js and `/learn memory`.
+ *
+ * Commands:
+ *   stores                          Store files per scope with entry counts
+ *   list [type]                     Active entries, newest first
+ *   search <query...>               Ranked search with scores
+ *   show <id>                       One entry in full
+ *   pin <id> | unpin <id>           Keep an entry from expiring / let it expire again
+ *   tag <id> --add a,b --remove c   Edit an entry's tags
+ *   forget <id...>                  Delete entries by id
+ *   forget --query <text> [--yes]   Delete search matches (preview without --yes)
+ *   stats                           getMemoryStats()
+ *
+ * Every result is plain JSON (`--json` prints it as is); formatMemoryResult()
+ * renders it for humans.
+ *
+ * @module lib/learning/memory-cli
+ */
+
+import {
+  forgetMemories,
+  getMemoryEntry,
+  getMemoryStats,
+  loadMemories,
+  MEMORY_SCOPES,
+  MEMORY_STORE_KEYS,
+  searchMemory,
+  updateMemory,
+} from './memory-manager.js';
+import { round } from '../core/index.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Subcommands accepted by runMemoryCommand() */
+export const MEMORY_COMMANDS = Object.freeze(['stores', 'list', 'search', 'show', 'pin', 'unpin', 'tag', 'forget', 'stats']);
+
+/** Memory types, as accepted by saveMemory() */
+const MEMORY_TYPES = Object.freeze(Object.keys(MEMORY_STORE_KEYS));
+
+/** Text output verbs of the update commands */
+const UPDATE_VERBS = Object.freeze({ pin: 'Pinned', unpin: 'Unpinned', tag: 'Tagged' });
+
+/** Default result count for `list` and `search` */
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Default minimum score for `forget --query`. Entries without a keyword or
+ * semantic match score at most 0.45 (recency + access bonus), so this only
+ * deletes actual matches.
+ */
+const FORGET_THRESHOLD = 0.5;
+
+/** Longest entry summary printed in text output */
+const MAX_SUMMARY = 80;
+
+/** Flags taking a value, mapped to their option name */
+const VALUE_FLAGS = Object.freeze({
+  '--scope': 'scopes',
+  '--type': 'types',
+  '--limit': 'limit',
+  '--threshold': 'threshold',
+  '--add': 'addTags',
+  '--remove': 'removeTags',
+  '--query': 'query',
+  '--cwd': 'cwd',
+});
+
+/** Boolean flags, mapped to their option name and value */
+const SWITCH_FLAGS = Object.freeze({
+  '--json': ['json', true],
+  '--yes': ['yes', true],
+  '--no-semantic': ['semantic', false],
+});
+
+/** Help text printed by scripts/memory.js */
+export const MEMORY_CLI_USAGE = `Usage: memory <command> [args] [options]
+
+Commands:
+  stores                          Store files per scope with entry counts
+  list [type]                     Active entries, newest first
+  search <query...>               Ranked search with scores
+  show <id>                       One entry in full
+  pin <id> | unpin <id>           Keep an entry from expiring / let it expire again
+  tag <id> --add a,b --remove c   Edit an entry's tags
+  forget <id...>                  Delete entries by id
+  forget --query <text> [--yes]   Delete search matches (preview without --yes)
+  stats                           Memory statistics
+
+Options:
+  --json              Print the result as JSON
+  --scope <s[,s]>     Restrict to scopes: ${MEMORY_SCOPES.join(', ')}
+  --type <t[,t]>      Restrict to types: ${MEMORY_TYPES.join(', ')}
+  --limit <n>         Max entries for list/search (default: ${DEFAULT_LIMIT})
+  --threshold <n>     Min score for search / forget --query (default: 0.1 / ${FORGET_THRESHOLD})
+  --no-semantic       Keyword matching only
+  --cwd <dir>         Directory locating the project scope (default: current)`;
+
+// ---------------------------------------------------------------------------
+// Argument Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse CLI arguments (without the node and script paths).
+ * Comma-separated values and repeated flags both accumulate for
+ * `--scope`, `--type`, `--add` and `--remove`.
+ *
+ * @param {string[]} argv
+ * @returns {{ command: string, args: string[], options: object }}
+ * @throws {Error} On an unknown command or flag, a missing flag value or an invalid scope, type or number
+ * @example
+ * parseMemoryArgs(['search', 'auth', 'failure', '--scope', 'project', '--json']);
+ * // { command: 'search', args: ['auth', 'failure'], options: { scopes: ['project'], json: true } }
+ */
+export function parseMemoryArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!MEMORY_COMMANDS.includes(command)) {
+    throw new Error(command ? `Unknown memory command: ${command}` : 'Missing memory command');
+  }
+
+  const args = [];
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (Object.hasOwn(SWITCH_FLAGS, arg)) {
+      const [name, value] = SWITCH_FLAGS[arg];
+      options[name] = value;
+    } else if (Object.hasOwn(VALUE_FLAGS, arg)) {
+      if (i + 1 >= rest.length) throw new Error(`Missing value for ${arg}`);
+      setOption(options, VALUE_FLAGS[arg], rest[++i]);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      args.push(arg);
+    }
+  }
+
+  validateOptions(options);
+  return { command, args, options };
+}
+
+/**
+ * Store a flag value, splitting list options on commas.
+ * @param {object} options
+ * @param {string} name
+ * @param {string} value
+ */
+function setOption(options, name, value) {
+  if (name === 'limit' || name === 'threshold') {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+      throw new Error(`Invalid --${name} value: ${value}`);
+    }
+    options[name] = number;
+  } else if (name === 'query' || name === 'cwd') {
+    options[name] = value;
+  } else {
+    const items = value.split(',').map((v) => v.trim()).filter(Boolean);
+    options[name] = [...(options[name] ?? []), ...items];
+  }
+}
+
+/**
+ * Reject scopes and types memory-manager does not know.
+ * @param {object} options
+ */
+function validateOptions(options) {
+  const unknownScope = options.scopes?.find((s) => !MEMORY_SCOPES.includes(s));
+  if (unknownScope) throw new Error(`Unknown scope: ${unknownScope} (expected ${MEMORY_SCOPES.join(', ')})`);
+  const unknownType = options.types?.find((t) => !MEMORY_TYPES.includes(t));
+  if (unknownType) throw new Error(`Unknown type: ${unknownType} (expected ${MEMORY_TYPES.join(', ')})`);
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+/**
+ * Run a parsed memory command.
+ * @param {{ command: string, args: string[], options: object }} parsed - parseMemoryArgs() output
+ * @returns {Promise<object>} JSON-serializable result carrying `command`
+ * @throws {Error} On missing arguments or an unknown entry id
+ * @example
+ * const result = await runMemoryCommand(parseMemoryArgs(['pin', 'error_1712_ab12cd']));
+ * console.log(formatMemoryResult(result));
+ */
+export async function runMemoryCommand({ command, args, options }) {
+  const scope = { scopes: options.scopes, cwd: options.cwd };
+
+  switch (command) {
+    case 'stores': {
+      const { scopes } = await getMemoryStats({ cwd: options.cwd });
+      return { command, scopes: pickScopes(scopes, options.scopes) };
+    }
+    case 'list':
+      return { command, entries: await listEntries(args, options) };
+    case 'search': {
+      const query = requireArg(args.join(' '), 'search needs a query');
+      const results = await searchMemory(query, {
+        ...scope,
+        types: options.types,
+        limit: options.limit ?? DEFAULT_LIMIT,
+        threshold: options.threshold,
+        semantic: options.semantic,
+      });
+      return { command, query, results: results.map(toMatch) };
+    }
+    case 'show': {
+      const id = requireArg(args[0], 'show needs an entry id');
+      return { command, ...(await requireEntry(getMemoryEntry(id, scope), id)) };
+    }
+    case 'pin':
+    case 'unpin': {
+      const id = requireArg(args[0], `${command} needs an entry id`);
+      return { command, ...(await requireEntry(updateMemory(id, { pinned: command === 'pin' }, scope), id)) };
+    }
+    case 'tag': {
+      const id = requireArg(args[0], 'tag needs an entry id');
+      if (!options.addTags && !options.removeTags) throw new Error('tag needs --add or --remove');
+      const changes = { addTags: options.addTags, removeTags: options.removeTags };
+      return { command, ...(await requireEntry(updateMemory(id, changes, scope), id)) };
+    }
+    case 'forget':
+      return { command, ...(await forget(args, options)) };
+    case 'stats':
+      return { command, ...(await getMemoryStats({ cwd: options.cwd })) };
+    default:
+      throw new Error(`Unknown memory command: ${command}`);
+  }
+}
+
+/**
+ * Active entries of the requested types and scopes, newest first. Entries
+ * shadowed by a narrower scope are listed too, under their own scope.
+ * @param {string[]} args - Optional type
+ * @param {object} options
+ * @returns {Promise<Array<{entry: object, store: string, scope: string}>>}
+ */
+async function listEntries(args, options) {
+  const types = args[0] ? [args[0]] : options.types ?? MEMORY_TYPES;
+  validateOptions({ types });
+
+  const rows = [];
+  for (const scope of options.scopes ?? MEMORY_SCOPES) {
+    for (const type of types) {
+      const entries = await loadMemories(type, { scopes: [scope], cwd: options.cwd });
+      rows.push(...entries.map((entry) => ({ entry, store: MEMORY_STORE_KEYS[type], scope })));
+    }
+  }
+  rows.sort((a, b) => String(b.entry.createdAt).localeCompare(String(a.entry.createdAt)));
+  return rows.slice(0, options.limit ?? DEFAULT_LIMIT);
+}
+
+/**
+ * Forget entries by id, or the matches of `--query` (a preview unless `--yes`).
+ * @param {string[]} ids
+ * @param {object} options
+ * @returns {Promise<{query?: string, dryRun: boolean, matches?: object[], forgotten: object[], missing: string[]}>}
+ */
+async function forget(ids, options) {
+  const scope = { scopes: options.scopes, cwd: options.cwd };
+
+  if (options.query !== undefined) {
+    const query = requireArg(options.query.trim(), 'forget --query needs a query');
+    const results = await searchMemory(query, {
+      ...scope,
+      types: options.types,
+      limit: options.limit ?? Infinity,
+      threshold: options.threshold ?? FORGET_THRESHOLD,
+      semantic: options.semantic,
+    });
+    const matches = results.map(toMatch);
+    const forgotten = options.yes ? await forgetMemories(matches.map((m) => m.id), scope) : [];
+    return { query, dryRun: !options.yes, matches, forgotten, missing: [] };
+  }
+
+  requireArg(ids[0], 'forget needs entry ids or --query');
+  const forgotten = await forgetMemories(ids, scope);
+  const found = new Set(forgotten.map((f) => f.id));
+  return { dryRun: false, forgotten, missing: ids.filter((id) => !found.has(id)) };
+}
+
+/** @param {object} result - searchMemory() result @returns {object} */
+function toMatch({ entry, score, store, scope }) {
+  return { id: entry.id, score: round(score), store, scope, entry };
+}
+
+/**
+ * @param {Record<string, object>} scopes - getMemoryStats().scopes
+ * @param {string[]} [wanted]
+ * @returns {Record<string, object>}
+ */
+function pickScopes(scopes, wanted) {
+  if (!wanted) return scopes;
+  return Object.fromEntries(Object.entries(scopes).filter(([scope]) => wanted.includes(scope)));
+}
+
+/** @param {*} value @param {string} message @returns {*} value, unless it is empty */
+function requireArg(value, message) {
+  if (!value) throw new Error(message);
+  return value;
+}
+
+/**
+ * @param {Promise<object|null>} pending - getMemoryEntry() / updateMemory() call
+ * @param {string} id
+ * @returns {Promise<object>}
+ */
+async function requireEntry(pending, id) {
+  const found = await pending;
+  if (!found) throw new Error(`No memory entry with id ${id}`);
+  return found;
+}
+
+// ---------------------------------------------------------------------------
+// Text Output
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a runMemoryCommand() result for the terminal.
+ * @param {object} result
+ * @returns {string}
+ */
+export function formatMemoryResult(result) {
+  switch (result.command) {
+    case 'stores':
+      return formatStores(result.scopes);
+    case 'list':
+      return result.entries.length === 0
+        ? 'No memories.'
+        : result.entries.map((row) => formatRow(row)).join('\n');
+    case 'search':
+      return result.results.length === 0
+        ? `No memories match "${result.query}".`
+        : result.results.map((match) => formatRow(match, match.score)).join('\n');
+    case 'show':
+      return `${result.scope}/${result.store}\n${JSON.stringify(result.entry, null, 2)}`;
+    case 'pin':
+    case 'unpin':
+    case 'tag':
+      return `${UPDATE_VERBS[result.command]} ${formatRow(result)}`;
+    case 'forget':
+      return formatForget(result);
+    case 'stats':
+      return formatStats(result);
+    default:
+      return JSON.stringify(result, null, 2);
+  }
+}
+
+/**
+ * One line per entry: id, scope/store, pin mark, optional score, summary, tags.
+ * @param {{ entry: object, store: string, scope: string }} row
+ * @param {number} [score]
+ * @returns {string}
+ */
+function formatRow({ entry, store, scope }, score) {
+  const parts = [entry.id, `${scope}/${store}`];
+  if (entry.pinned) parts.push('[pinned]');
+  if (score !== undefined) parts.push(`score=${score.toFixed(3)}`);
+  parts.push(summarize(entry.data));
+  if (entry.tags?.length) parts.push(`#${entry.tags.slice(0, 8).join(' #')}`);
+  return parts.join('  ');
+}
+
+/**
+ * Short, single-line description of an entry payload.
+ * @param {*} data
+ * @returns {string}
+ */
+function summarize(data) {
+  let text;
+  if (data?.key !== undefined && data?.value !== undefined) {
+    text = `${data.key} = ${JSON.stringify(data.value)}`;
+  } else {
+    text = [data?.message, data?.command, data?.summary, data?.note].find((v) => typeof v === 'string') ?? JSON.stringify(data);
+  }
+  text = String(text).replace(/\s+/g, ' ');
+  return text.length > MAX_SUMMARY ? `${text.slice(0, MAX_SUMMARY - 3)}...` : text;
+}
+
+/** @param {Record<string, object>} scopes @returns {string} */
+function formatStores(scopes) {
+  const lines = [];
+  for (const [scope, { memoryDir, stores }] of Object.entries(scopes)) {
+    lines.push(`${scope}  ${memoryDir ?? '(in-memory)'}`);
+    for (const [store, s] of Object.entries(stores)) {
+      lines.push(`  ${store.padEnd(16)} active=${s.active} expired=${s.expired} pinned=${s.pinned} updated=${s.lastUpdated ?? '-'}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/** @param {object} result - forget result @returns {string} */
+function formatForget(result) {
+  const lines = [];
+  if (result.dryRun) {
+    lines.push(`${countOf(result.matches.length)} match "${result.query}" (preview; add --yes to forget them)`);
+    lines.push(...result.matches.map((match) => `  ${formatRow(match, match.score)}`));
+  } else {
+    lines.push(`Forgot ${countOf(result.forgotten.length)}.`);
+    lines.push(...result.forgotten.map((f) => `  ${f.id}  ${f.scope}/${f.store}`));
+  }
+  if (result.missing.length > 0) lines.push(`Not found: ${result.missing.join(', ')}`);
+  return lines.join('\n');
+}
+
+/** @param {number} n @returns {string} e.g. '1 memory', '3 memories' */
+function countOf(n) {
+  return `${n} ${n === 1 ? 'memory' : 'memories'}`;
+}
+
+/** @param {object} result - getMemoryStats() result @returns {string} */
+function formatStats(result) {
+  const lines = [`User memory: ${result.memoryDir}`];
+  for (const [scope, { stores }] of Object.entries(result.scopes)) {
+    const totals = { active: 0, expired: 0, pinned: 0 };
+    for (const s of Object.values(stores)) {
+      totals.active += s.active;
+      totals.expired += s.expired;
+      totals.pinned += s.pinned;
+    }
+    lines.push(`  ${scope.padEnd(8)} active=${totals.active} expired=${totals.expired} pinned=${totals.pinned}`);
+  }
+  return lines.join('\n');
+}
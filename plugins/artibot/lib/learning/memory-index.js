@@ -0,0 +1,185 @@
+/**
+ * Inverted tag index for memory-manager searches.
+ * Maps each tag to the entries carrying it with their term frequency and
+ * caches each tag's document frequency, so a search scores only the
+ * postings of the query terms instead of scanning every entry's tags per
+ * term.
+ *
+ * One index file covers the four stores of a scope. Each store index is a
+ * plain JSON object used as-is after parsing, and carries a stamp of the
+ * store it was built from; memory-manager rebuilds a store index whose stamp
+ * no longer matches (e.g. after the memory-tracker hook wrote the store
+ * directly) and otherwise updates it entry by entry.
+ *
+ * @module lib/learning/memory-index
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Serialized index format version; bump when the JSON shape changes */
+export const MEMORY_INDEX_VERSION = 1;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} StoreIndex
+ * @property {string|null} stamp - storeStamp() of the store the index matches
+ * @property {number} count - Indexed entries, including entries without tags
+ * @property {Record<string, number>} df - Tag -> number of entries carrying it
+ * @property {Record<string, Record<string, number>>} postings - Tag -> entry id -> tf
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an empty store index.
+ * @param {string|null} [stamp]
+ * @returns {StoreIndex}
+ */
+export function createStoreIndex(stamp = null) {
+  return { stamp, count: 0, df: {}, postings: {} };
+}
+
+/**
+ * Build a store index from all of a store's entries.
+ * @param {{ entries: object[], metadata?: object }} store
+ * @returns {StoreIndex}
+ */
+export function buildStoreIndex(store) {
+  const index = createStoreIndex(storeStamp(store));
+  for (const entry of store.entries) {
+    addEntry(index, entry);
+  }
+  return index;
+}
+
+/**
+ * Identify a store's on-disk version: its last update time and entry count.
+ * @param {{ entries: object[], metadata?: object }} store
+ * @returns {string}
+ */
+export function storeStamp(store) {
+  return `${store.metadata?.updatedAt ?? ''}|${store.entries.length}`;
+}
+
+/**
+ * Index an entry that is not indexed yet.
+ * tf is the share of the entry's tags equal to the term.
+ * @param {StoreIndex} index
+ * @param {{ id: string, tags?: string[] }} entry
+ */
+export function addEntry(index, entry) {
+  index.count++;
+  for (const [term, tf] of termFrequencies(entry)) {
+    if (!Object.hasOwn(index.postings, term)) {
+      index.postings[term] = {};
+      index.df[term] = 0;
+    }
+    index.postings[term][entry.id] = tf;
+    index.df[term]++;
+  }
+}
+
+/**
+ * Remove an indexed entry. The entry's tags must be the ones it was indexed
+ * with; tags no entry carries any more are dropped.
+ * @param {StoreIndex} index
+ * @param {{ id: string, tags?: string[] }} entry
+ */
+export function removeEntry(index, entry) {
+  index.count = Math.max(0, index.count - 1);
+  for (const [term] of termFrequencies(entry)) {
+    if (!Object.hasOwn(index.postings, term) || !Object.hasOwn(index.postings[term], entry.id)) continue;
+    delete index.postings[term][entry.id];
+    if (--index.df[term] <= 0) {
+      delete index.postings[term];
+      delete index.df[term];
+    }
+  }
+}
+
+/**
+ * Summed smoothed TF-IDF of the query tokens per matching entry:
+ * tf * (log((N + 1) / (df + 1)) + 1), with N the indexed entry count.
+ * Repeated tokens count repeatedly.
+ * @param {StoreIndex} index
+ * @param {string[]} tokens - Normalized query tokens
+ * @returns {Map<string, number>} Entry id -> TF-IDF sum (entries without a match are absent)
+ */
+export function scoreTerms(index, tokens) {
+  const scores = new Map();
+  for (const term of tokens) {
+    if (!Object.hasOwn(index.postings, term)) continue;
+    const idf = Math.log((index.count + 1) / (index.df[term] + 1)) + 1;
+    for (const [id, tf] of Object.entries(index.postings[term])) {
+      scores.set(id, (scores.get(id) ?? 0) + tf * idf);
+    }
+  }
+  return scores;
+}
+
+/**
+ * Wrap the store indexes of a scope for writing.
+ * @param {Record<string, StoreIndex>} stores - Store key -> index
+ * @returns {{ version: number, stores: Record<string, StoreIndex> }}
+ */
+export function serializeMemoryIndex(stores) {
+  return { version: MEMORY_INDEX_VERSION, stores };
+}
+
+/**
+ * Unwrap serializeMemoryIndex() output read back from disk.
+ * Malformed store sections are skipped, so they get rebuilt from the store.
+ * @param {object} data - Parsed JSON
+ * @returns {Record<string, StoreIndex>} Store key -> index (empty for a missing or incompatible file)
+ */
+export function deserializeMemoryIndex(data) {
+  if (data?.version !== MEMORY_INDEX_VERSION || !isObject(data.stores)) {
+    return {};
+  }
+  const stores = {};
+  for (const [storeKey, section] of Object.entries(data.stores)) {
+    if (isStoreSection(section)) stores[storeKey] = section;
+  }
+  return stores;
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Term frequencies of an entry's tags.
+ * @param {{ tags?: string[] }} entry
+ * @returns {Map<string, number>}
+ */
+function termFrequencies(entry) {
+  const tags = (entry.tags ?? []).filter((tag) => typeof tag === 'string' && tag !== '__proto__');
+  const counts = new Map();
+  for (const tag of tags) {
+    counts.set(tag, (counts.get(tag) ?? 0) + 1);
+  }
+  for (const [term, count] of counts) {
+    counts.set(term, count / tags.length);
+  }
+  return counts;
+}
+
+/** @param {*} section @returns {boolean} Whether a serialized store index is well-formed */
+function isStoreSection(section) {
+  return typeof section?.stamp === 'string'
+    && Number.isInteger(section.count)
+    && isObject(section.df)
+    && isObject(section.postings);
+}
+
+/** @param {*} value @returns {boolean} */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
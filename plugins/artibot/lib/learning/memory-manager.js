@@ -2,12 +2,54 @@
  * BlenderBot-inspired long-term memory + RAG system.
  * Manages session memory, long-term memory, keyword-based RAG search,
  * memory summarization, and TTL-based expiration.
+ *
+ * Memories live in three layered scopes (`learning.memoryScopes`):
+ *   - session: in-memory, gone when the process exits
+ *   - project: `<project>/.artibot/memory/`, shared by everyone working in the repo
+ *   - user:    `~/.claude/artibot/memory/`, follows the user across repositories
+ * Searches read every scope; when the same preference key exists in several,
+ * the narrowest scope wins. The project root is the nearest ancestor of `cwd`
+ * holding `.artibot/` or `.git/`. Project memory is git-ignored unless
+ * `commitProject` is set.
+ *
+ * Each scope keeps an inverted tag index (`memory-index.json`, see
+ * memory-index.js) next to its stores. saveMemory(), pruneOldMemories() and
+ * clearMemories() update it incrementally; searchMemory() scores from it and
+ * rebuilds the index of any store changed behind its back.
+ *
+ * Searches are hybrid: entries whose tags share a concept or stem with the
+ * query (see semantic.js) also get an offline semantic similarity, which
+ * lifts paraphrases ("login broke" ~ "auth failure") that share no keyword.
+ *
+ * Every write is scrubbed of PII first (`learning.memoryScrubbing`, see
+ * privacy/pii-scrubber.js). Scrubbed entries record the categories that
+ * replaced something in `redactions`; entries without the field predate the
+ * policy and are scrubbed by scrubStoredMemories().
+ *
+ * Pinned entries (updateMemory(id, { pinned: true })) never expire and are
+ * kept when the command and error histories hit their size limits.
+ *
  * @module lib/learning/memory-manager
  */
 
 import path from 'node:path';
-import { ensureDir, readJsonFile, writeJsonFile } from '../core/file.js';
+import { existsSync } from 'node:fs';
+import { rm } from 'node:fs/promises';
+import { ensureDir, readJsonFile, readTextFile, writeJsonFile, writeTextFile } from '../core/file.js';
 import { ARTIBOT_DIR } from '../core/config.js';
+import { getHomeDir } from '../core/platform.js';
+import { createScopedScrubber, REPLACEMENT_TOKENS } from '../privacy/pii-scrubber.js';
+import {
+  addEntry,
+  buildStoreIndex,
+  createStoreIndex,
+  deserializeMemoryIndex,
+  removeEntry,
+  scoreTerms,
+  serializeMemoryIndex,
+  storeStamp,
+} from './memory-index.js';
+import { isRelatedTerm, semanticQuery, similarityTo } from './semantic.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -21,6 +63,9 @@ const STORE_FILES = {
   errorPatterns: 'error-patterns.json',
 };
 
+/** Inverted index file, one per scope memory directory */
+const INDEX_FILE = 'memory-index.json';
+
 /** Default TTL values in milliseconds */
 const TTL = {
   session: 4 * 60 * 60 * 1000, // 4 hours
@@ -33,31 +78,191 @@ const MAX_COMMAND_HISTORY = 500;
 const MAX_ERROR_PATTERNS = 200;
 const MAX_SUMMARY_LENGTH = 500;
 
+/** Share of the relevance left over by keywords that semantic similarity can fill */
+const SEMANTIC_WEIGHT = 0.6;
+
+/** Semantic similarities below this count as unrelated */
+const MIN_SEMANTIC_SIMILARITY = 0.25;
+
+/** Memory scopes, narrowest first (precedence order for searches) */
+export const MEMORY_SCOPES = Object.freeze(['session', 'project', 'user']);
+
+/** Memory types, as accepted by saveMemory(), and the stores holding them */
+export const MEMORY_STORE_KEYS = Object.freeze({
+  preference: 'userPreferences',
+  context: 'projectContexts',
+  command: 'commandHistory',
+  error: 'errorPatterns',
+});
+
+/** Scope saveMemory() uses per type when none is given; other types go to 'user' */
+const DEFAULT_TYPE_SCOPES = Object.freeze({
+  preference: 'user',
+  context: 'project',
+  command: 'project',
+  error: 'project',
+});
+
+/** Default project memory directory, relative to the project root */
+const DEFAULT_PROJECT_DIR = '.artibot';
+
+/** Entries whose presence marks a project root */
+const PROJECT_ROOT_MARKERS = ['.artibot', '.git'];
+
+/** First line of the .gitignore written into uncommitted project memory */
+const IGNORE_MARKER = '# artibot: project memory is local (learning.memoryScopes.commitProject = false)';
+
+/** PII categories scrubbed from memory writes unless configured otherwise */
+export const DEFAULT_SCRUB_CATEGORIES = Object.freeze(['auth', 'credentials', 'secrets', 'env', 'code', 'personal', 'paths']);
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+/** @type {string} Base directory of the user scope */
+let userDir = ARTIBOT_DIR;
+
+/** @type {string} Project scope directory, relative to the project root */
+let projectDir = DEFAULT_PROJECT_DIR;
+
+/** @type {boolean} Whether the session scope is available */
+let sessionEnabled = true;
+
+/** @type {boolean} Whether project memory is meant to be committed */
+let commitProject = false;
+
+/** @type {Map<string, object>} Session-scope stores by store key */
+let sessionStores = new Map();
+
+/** @type {Record<string, import('./memory-index.js').StoreIndex>} Session-scope store indexes */
+let sessionIndexes = {};
+
+/** @type {Set<string>} Project memory directories whose ignore file was checked */
+let checkedIgnores = new Set();
+
+/** @type {boolean} Whether memory writes are scrubbed of PII */
+let scrubEnabled = true;
+
+/** @type {string[]} PII categories scrubbed from memory writes */
+let scrubCategories = [...DEFAULT_SCRUB_CATEGORIES];
+
+/**
+ * Configure memory scopes from `learning.memoryScopes` in artibot.config.json.
+ * Missing values keep their current setting.
+ *
+ * @param {object} [scopes]
+ * @param {string} [scopes.user] - User scope base directory (`~` expands to the home dir)
+ * @param {string} [scopes.project] - Project scope directory relative to the project root
+ * @param {string|false} [scopes.session] - 'in-memory' enables the session scope, false disables it
+ * @param {boolean} [scopes.commitProject] - Commit project memory instead of git-ignoring it
+ * @returns {void}
+ * @example
+ * configure({ user: '~/.claude/artibot/', project: '.artibot/', session: 'in-memory' });
+ * configure({ commitProject: true }); // share project memory through the repository
+ */
+export function configure(scopes = {}) {
+  if (typeof scopes.user === 'string' && scopes.user.trim()) {
+    userDir = expandHome(scopes.user.trim());
+  }
+  if (typeof scopes.project === 'string' && scopes.project.trim() && !path.isAbsolute(scopes.project.trim())) {
+    projectDir = path.normalize(scopes.project.trim());
+  }
+  if (scopes.session !== undefined) {
+    sessionEnabled = scopes.session === 'in-memory';
+  }
+  if (typeof scopes.commitProject === 'boolean' && scopes.commitProject !== commitProject) {
+    commitProject = scopes.commitProject;
+    checkedIgnores = new Set();
+  }
+}
+
+/**
+ * Configure PII scrubbing of memory writes from `learning.memoryScrubbing`
+ * in artibot.config.json. Missing values keep their current setting.
+ *
+ * @param {object} [policy]
+ * @param {boolean} [policy.enabled] - Scrub memory writes (default: true)
+ * @param {string[]} [policy.categories] - pii-scrubber categories to apply (default: DEFAULT_SCRUB_CATEGORIES)
+ * @returns {{ enabled: boolean, categories: string[] }} The active policy
+ * @example
+ * configureScrubbing({ categories: ['auth', 'credentials', 'secrets'] }); // keep paths and emails
+ */
+export function configureScrubbing(policy = {}) {
+  if (typeof policy.enabled === 'boolean') {
+    scrubEnabled = policy.enabled;
+  }
+  if (Array.isArray(policy.categories)) {
+    scrubCategories = [...new Set(policy.categories.filter((c) => typeof c === 'string'))];
+  }
+  return { enabled: scrubEnabled, categories: [...scrubCategories] };
+}
+
+/**
+ * Restore default scope and scrubbing settings and drop session memories.
+ * Intended for tests.
+ * @returns {void}
+ */
+export function resetMemoryScopes() {
+  userDir = ARTIBOT_DIR;
+  projectDir = DEFAULT_PROJECT_DIR;
+  sessionEnabled = true;
+  commitProject = false;
+  sessionStores = new Map();
+  sessionIndexes = {};
+  checkedIgnores = new Set();
+  scrubEnabled = true;
+  scrubCategories = [...DEFAULT_SCRUB_CATEGORIES];
+}
+
 // ---------------------------------------------------------------------------
 // Path Helpers
 // ---------------------------------------------------------------------------
 
 /**
- * Get the base memory directory: ~/.claude/artibot/memory/
- * @returns {string}
+ * Find the project root for a working directory: the nearest ancestor
+ * (including `cwd`) holding `.artibot/` or `.git/`, stopping below the
+ * home directory.
+ * @param {string} [cwd] - Working directory (default: process.cwd())
+ * @returns {string|null}
  */
+export function findProjectRoot(cwd = process.cwd()) {
+  const home = path.resolve(getHomeDir());
+  let dir = path.resolve(cwd);
+  while (dir !== home) {
+    if (PROJECT_ROOT_MARKERS.some((marker) => existsSync(path.join(dir, marker)))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+  return null;
+}
+
 /**
- * Get the base memory directory path.
- * @returns {string}
+ * Get the memory directory of a scope, or null for the session scope and
+ * for the project scope outside a project.
+ * @param {'session'|'project'|'user'} scope
+ * @param {string} [cwd]
+ * @returns {string|null}
  */
-function getMemoryDir() {
-  return path.join(ARTIBOT_DIR, MEMORY_DIR_NAME);
+function getMemoryDir(scope = 'user', cwd) {
+  if (scope === 'user') return path.join(userDir, MEMORY_DIR_NAME);
+  if (scope === 'project') {
+    const root = findProjectRoot(cwd);
+    return root ? path.join(root, projectDir, MEMORY_DIR_NAME) : null;
+  }
+  return null;
 }
 
 /**
  * Get the full path for a specific memory store file.
  * @param {string} storeKey - Key from STORE_FILES
+ * @param {string} dir - Scope memory directory
  * @returns {string}
  */
-function getStorePath(storeKey) {
+function getStorePath(storeKey, dir) {
   const filename = STORE_FILES[storeKey];
   if (!filename) throw new Error(`Unknown memory store: ${storeKey}`);
-  return path.join(getMemoryDir(), filename);
+  return path.join(dir, filename);
 }
 
 // ---------------------------------------------------------------------------
@@ -65,27 +270,169 @@ function getStorePath(storeKey) {
 // ---------------------------------------------------------------------------
 
 /**
- * Load a memory store from disk.
+ * @typedef {object} ScopeLocation
+ * @property {'session'|'project'|'user'} scope
+ * @property {string|null} dir - Memory directory (null for the session scope)
+ */
+
+/**
+ * Load a memory store of one scope.
  * @param {string} storeKey
+ * @param {ScopeLocation} [location] - Defaults to the user scope
  * @returns {Promise<object>}
  */
-async function loadStore(storeKey) {
-  const data = await readJsonFile(getStorePath(storeKey));
+async function loadStore(storeKey, location = userLocation()) {
+  const data = location.scope === 'session'
+    ? sessionStores.get(storeKey)
+    : await readJsonFile(getStorePath(storeKey, location.dir));
   return data ?? { entries: [], metadata: { createdAt: new Date().toISOString() } };
 }
 
 /**
- * Persist a memory store to disk.
+ * Persist a memory store of one scope.
  * @param {string} storeKey
  * @param {object} store
- * @returns {Promise<void>}
+ * @param {ScopeLocation} [location] - Defaults to the user scope
+ * @returns {Promise<object>} The store as written
  */
-async function persistStore(storeKey, store) {
+async function persistStore(storeKey, store, location = userLocation()) {
   const updated = {
     ...store,
     metadata: { ...store.metadata, updatedAt: new Date().toISOString() },
   };
-  await writeJsonFile(getStorePath(storeKey), updated);
+  if (location.scope === 'session') {
+    sessionStores.set(storeKey, updated);
+  } else {
+    await writeJsonFile(getStorePath(storeKey, location.dir), updated);
+  }
+  return updated;
+}
+
+/**
+ * Find the store holding an entry, narrowest scope first.
+ * @param {string} id - Entry id
+ * @param {object} options - scopes, cwd
+ * @returns {Promise<{location: ScopeLocation, storeKey: string, store: object, position: number}|null>}
+ */
+async function findEntry(id, options) {
+  for (const location of resolveLocations(options.scopes, options.cwd)) {
+    for (const storeKey of Object.keys(STORE_FILES)) {
+      const store = await loadStore(storeKey, location);
+      const position = store.entries.findIndex((e) => e.id === id);
+      if (position >= 0) return { location, storeKey, store, position };
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the store indexes of one scope.
+ * @param {ScopeLocation} location
+ * @returns {Promise<Record<string, import('./memory-index.js').StoreIndex>>}
+ */
+async function loadIndexes(location) {
+  if (location.scope === 'session') return sessionIndexes;
+  return deserializeMemoryIndex(await readJsonFile(path.join(location.dir, INDEX_FILE)));
+}
+
+/**
+ * Persist the store indexes of one scope.
+ * @param {ScopeLocation} location
+ * @param {Record<string, import('./memory-index.js').StoreIndex>} indexes
+ * @returns {Promise<void>}
+ */
+async function persistIndexes(location, indexes) {
+  if (location.scope === 'session') {
+    sessionIndexes = indexes;
+    return;
+  }
+  await writeJsonFile(path.join(location.dir, INDEX_FILE), serializeMemoryIndex(indexes), 0);
+}
+
+/**
+ * Get a store's index, rebuilding it when it does not match the store.
+ * @param {Record<string, import('./memory-index.js').StoreIndex>} indexes - Scope indexes (updated in place)
+ * @param {string} storeKey
+ * @param {object} store - The store as loaded
+ * @returns {{ index: import('./memory-index.js').StoreIndex, rebuilt: boolean }}
+ */
+function currentIndex(indexes, storeKey, store) {
+  if (indexes[storeKey]?.stamp === storeStamp(store)) {
+    return { index: indexes[storeKey], rebuilt: false };
+  }
+  indexes[storeKey] = buildStoreIndex(store);
+  return { index: indexes[storeKey], rebuilt: true };
+}
+
+/** @returns {ScopeLocation} */
+function userLocation() {
+  return { scope: 'user', dir: getMemoryDir('user') };
+}
+
+/**
+ * Locations of the requested scopes that exist for `cwd`, narrowest first.
+ * @param {string[]} [scopes] - Scope filter (default: all)
+ * @param {string} [cwd]
+ * @returns {ScopeLocation[]}
+ */
+function resolveLocations(scopes = MEMORY_SCOPES, cwd) {
+  const locations = [];
+  for (const scope of MEMORY_SCOPES) {
+    if (!scopes.includes(scope)) continue;
+    if (scope === 'session') {
+      if (sessionEnabled) locations.push({ scope, dir: null });
+      continue;
+    }
+    const dir = getMemoryDir(scope, cwd);
+    if (dir) locations.push({ scope, dir });
+  }
+  return locations;
+}
+
+/**
+ * Pick the scope a new memory is written to.
+ * An explicit scope is honoured (an explicit 'project' outside a project
+ * uses `cwd` as the root); otherwise the type's default applies, falling
+ * back to 'user' when there is no project or the session scope is off.
+ * @param {string} type
+ * @param {{ scope?: string, cwd?: string }} options
+ * @returns {ScopeLocation}
+ */
+function resolveSaveLocation(type, options) {
+  const { scope, cwd } = options;
+  if (scope !== undefined && !MEMORY_SCOPES.includes(scope)) {
+    throw new Error(`Unknown memory scope: ${scope}`);
+  }
+
+  const chosen = scope ?? DEFAULT_TYPE_SCOPES[type] ?? 'user';
+  if (chosen === 'session' && sessionEnabled) return { scope: 'session', dir: null };
+  if (chosen === 'project') {
+    const dir = getMemoryDir('project', cwd)
+      ?? (scope === 'project' ? path.join(path.resolve(cwd ?? process.cwd()), projectDir, MEMORY_DIR_NAME) : null);
+    if (dir) return { scope: 'project', dir };
+  }
+  return userLocation();
+}
+
+/**
+ * Keep project memory out of git unless `commitProject` is set: writes a
+ * `.gitignore` ignoring everything into the project memory directory, or
+ * removes one this module wrote once committing is chosen.
+ * @param {string} dir - Project memory directory
+ * @returns {Promise<void>}
+ */
+async function syncProjectIgnore(dir) {
+  if (checkedIgnores.has(dir)) return;
+  checkedIgnores.add(dir);
+
+  const ignorePath = path.join(dir, '.gitignore');
+  const current = await readTextFile(ignorePath);
+  const ours = current?.startsWith(IGNORE_MARKER) ?? false;
+  if (!commitProject && current === null) {
+    await writeTextFile(ignorePath, `${IGNORE_MARKER}\n*\n`);
+  } else if (commitProject && ours) {
+    await rm(ignorePath, { force: true });
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -142,9 +489,13 @@ function getTTLForType(type) {
 // Tag Extraction (Simple Keyword-Based)
 // ---------------------------------------------------------------------------
 
+/** Scrubber replacement tokens (`[EMAIL]`, `{USER_HOME}`), which mean nothing as tags */
+const REPLACEMENT_TOKEN = new RegExp(REPLACEMENT_TOKENS.map((t) => t.replace(/[[\]{}]/g, '\\$&')).join('|'), 'g');
+
 /**
  * Extract searchable tags from a data object.
- * Walks string values and splits into lowercase tokens.
+ * Walks string values and splits into lowercase tokens, skipping scrubber
+ * replacement tokens.
  * @param {object} data
  * @returns {string[]}
  */
@@ -153,6 +504,7 @@ function extractTags(data) {
   const walk = (value) => {
     if (typeof value === 'string') {
       value
+        .replace(REPLACEMENT_TOKEN, ' ')
         .toLowerCase()
         .split(/[\s,./\\:;|_\-@#]+/)
         .filter((t) => t.length >= 2 && t.length <= 40)
@@ -168,53 +520,101 @@ function extractTags(data) {
 }
 
 // ---------------------------------------------------------------------------
-// RAG Search (TF-IDF + Relevance Scoring)
+// PII Scrubbing
 // ---------------------------------------------------------------------------
 
 /**
- * Compute TF-IDF score for a term against a document (entry tags).
- * TF = term frequency in document, IDF = log(N / df) where df = doc frequency.
- * @param {string} term - Query term
- * @param {string[]} docTags - Tags of the candidate entry
- * @param {string[][]} allDocTags - Tags of all candidate entries (corpus)
- * @returns {number} TF-IDF score
+ * Scrub an entry's data and tags under the active policy.
+ * Tags derived from the data are re-derived from the scrubbed data, since a
+ * redacted value (e.g. an email) leaves its pieces behind as separate tags;
+ * custom tags are scrubbed one by one, and a tag left with nothing but a
+ * replacement token is dropped. Entries that already carry
+ * `redactions`, and every entry while scrubbing is disabled, are returned
+ * unchanged.
+ *
+ * @param {object} entry - Memory entry
+ * @returns {object} The scrubbed entry with `redactions`: sorted categories that replaced something
+ * @example
+ * scrubMemoryEntry({ id: 'e1', data: { note: 'ping alice@example.com' }, tags: ['ping', 'alice', 'example', 'com'] });
+ * // { id: 'e1', data: { note: 'ping [EMAIL]' }, tags: ['ping'], redactions: ['personal'] }
+ */
+export function scrubMemoryEntry(entry) {
+  if (!scrubEnabled || Array.isArray(entry.redactions)) return entry;
+
+  const scrubber = createScopedScrubber(scrubCategories);
+  const data = scrubber.redact(entry.data);
+  const derived = !Array.isArray(entry.tags) || sameTags(entry.tags, extractTags(entry.data));
+  const tags = derived ? { value: extractTags(data.value), categories: [] } : scrubber.redact(entry.tags);
+  if (!derived) tags.value = withoutReplacementTokens(tags.value);
+
+  return {
+    ...entry,
+    data: data.value,
+    tags: tags.value,
+    redactions: [...new Set([...data.categories, ...tags.categories])].sort(),
+  };
+}
+
+/**
+ * Apply tag edits to an entry. Added tags are scrubbed under the active
+ * policy, then lowercased like extracted tags.
+ * @param {object} entry
+ * @param {{ addTags?: string[], removeTags?: string[] }} changes
+ * @returns {{ tags: string[], redactions?: string[] }} Fields to merge into the entry
  */
-function computeTfIdf(term, docTags, allDocTags) {
-  // TF: fraction of doc tags matching the term
-  const tf = docTags.length > 0
-    ? docTags.filter((t) => t === term).length / docTags.length
-    : 0;
+function retag(entry, { addTags = [], removeTags = [] }) {
+  const trimmed = (tags) => tags.map((t) => String(t).trim()).filter(Boolean);
+  let added = trimmed(addTags);
+  let categories = [];
+  if (scrubEnabled && added.length > 0) {
+    ({ value: added, categories } = createScopedScrubber(scrubCategories).redact(added));
+    added = withoutReplacementTokens(added);
+  }
 
-  if (tf === 0) return 0;
+  const removed = new Set(trimmed(removeTags).map((t) => t.toLowerCase()));
+  const kept = (entry.tags ?? []).filter((t) => !removed.has(t));
+  const fields = { tags: [...new Set([...kept, ...added.map((t) => t.toLowerCase())])] };
+  if (Array.isArray(entry.redactions)) {
+    fields.redactions = [...new Set([...entry.redactions, ...categories])].sort();
+  }
+  return fields;
+}
 
-  // IDF: log(N / (1 + df)) where df = number of docs containing the term
-  const N = allDocTags.length;
-  const df = allDocTags.filter((tags) => tags.includes(term)).length;
-  const idf = Math.log((N + 1) / (df + 1)) + 1; // smoothed IDF
+/**
+ * Scrubbed tags with their replacement tokens removed; tags left empty are dropped.
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+function withoutReplacementTokens(tags) {
+  return tags.map((t) => t.replace(REPLACEMENT_TOKEN, ' ').replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
 
-  return tf * idf;
+/** @param {string[]} a @param {string[]} b @returns {boolean} Whether both hold the same tags */
+function sameTags(a, b) {
+  return a.length === b.length && a.every((tag, i) => tag === b[i]);
 }
 
+// ---------------------------------------------------------------------------
+// RAG Search (TF-IDF + Relevance Scoring)
+// ---------------------------------------------------------------------------
+
 /**
- * Score a memory entry against a search query using TF-IDF relevance.
- * Combines TF-IDF score, recency, and access frequency.
+ * Score a memory entry against a search query using hybrid relevance.
+ * Combines TF-IDF score, semantic similarity, recency, and access frequency.
  * @param {object} entry
- * @param {string[]} queryTokens
- * @param {string[][]} allDocTags - Tags of all entries in corpus for IDF calculation
+ * @param {number} tfidfSum - Summed TF-IDF of the query tokens for the entry (from the store index)
+ * @param {number} queryLength - Number of query tokens
+ * @param {number} [similarity] - Semantic similarity 0-1 (0 when not computed)
  * @returns {number} Relevance score 0-1
  */
-function scoreEntry(entry, queryTokens, allDocTags = []) {
-  if (queryTokens.length === 0) return 0;
+function scoreEntry(entry, tfidfSum, queryLength, similarity = 0) {
+  if (queryLength === 0) return 0;
 
-  const docTags = entry.tags || [];
-
-  // TF-IDF score: sum TF-IDF for each query token, then normalize
-  let tfidfSum = 0;
-  for (const term of queryTokens) {
-    tfidfSum += computeTfIdf(term, docTags, allDocTags.length > 0 ? allDocTags : [docTags]);
-  }
   // Normalize by query length; cap at 1.0
-  const tfidfScore = Math.min(1.0, tfidfSum / queryTokens.length);
+  const keywordScore = Math.min(1.0, tfidfSum / queryLength);
+  // Semantic similarity fills the gap keywords leave, so it never lowers a keyword match
+  const semanticScore = similarity >= MIN_SEMANTIC_SIMILARITY ? similarity : 0;
+  const tfidfScore = keywordScore + SEMANTIC_WEIGHT * semanticScore * (1 - keywordScore);
 
   // Recency score (0-1): newer entries score higher
   const ageMs = Date.now() - new Date(entry.createdAt).getTime();
@@ -246,28 +646,47 @@ function tokenizeQuery(query) {
 
 /**
  * Save a memory entry to the appropriate store.
+ *
+ * Scope selection: `options.scope` when given; otherwise preferences go to
+ * 'user' and context, command and error memories to 'project' (or 'user'
+ * when `cwd` is not inside a project).
+ *
+ * The entry is scrubbed of PII under the active policy before it is stored
+ * (see configureScrubbing()).
+ *
  * @param {'preference'|'context'|'command'|'error'} type
  * @param {object} data
  * @param {object} [options] - tags, ttl, source
- * @returns {Promise<object>} The saved entry
+ * @param {'session'|'project'|'user'} [options.scope] - Target scope
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
+ * @returns {Promise<object>} The saved entry, with the `scope` it was written to
+ * @example
+ * await saveMemory('error', { message: 'ECONNREFUSED', resolution: 'start db' }, { cwd });
+ * await saveMemory('preference', { key: 'style', value: 'tabs' }, { scope: 'project', cwd });
  */
 export async function saveMemory(type, data, options = {}) {
-  await ensureDir(getMemoryDir());
+  const location = resolveSaveLocation(type, options);
+  if (location.dir) {
+    await ensureDir(location.dir);
+    if (location.scope === 'project') await syncProjectIgnore(location.dir);
+  }
 
   const storeKey = typeToStoreKey(type);
-  const store = await loadStore(storeKey);
-  const entry = createEntry(type, data, options);
+  const store = await loadStore(storeKey, location);
+  const indexes = await loadIndexes(location);
+  const { index } = currentIndex(indexes, storeKey, store);
+  const entry = scrubMemoryEntry(createEntry(type, data, options));
 
   // For preferences, deduplicate by data.key if present
   let entries = store.entries;
-  if (type === 'preference' && data.key) {
-    entries = entries.filter((e) => e.data.key !== data.key);
+  if (type === 'preference' && entry.data.key) {
+    entries = entries.filter((e) => e.data.key !== entry.data.key);
   }
 
   // Enforce size limits for history-type stores
   const maxEntries = type === 'command' ? MAX_COMMAND_HISTORY : MAX_ERROR_PATTERNS;
   if (type === 'command' || type === 'error') {
-    entries = entries.slice(-(maxEntries - 1));
+    entries = trimHistory(entries, maxEntries - 1);
   }
 
   const updatedStore = {
@@ -275,43 +694,74 @@ export async function saveMemory(type, data, options = {}) {
     entries: [...entries, entry],
   };
 
-  await persistStore(storeKey, updatedStore);
-  return entry;
+  const saved = await persistStore(storeKey, updatedStore, location);
+
+  const keptIds = new Set(entries.map((e) => e.id));
+  for (const dropped of store.entries.filter((e) => !keptIds.has(e.id))) {
+    removeEntry(index, dropped);
+  }
+  addEntry(index, entry);
+  index.stamp = storeStamp(saved);
+  await persistIndexes(location, indexes);
+
+  return { ...entry, scope: location.scope };
 }
 
 /**
- * Search memories across all stores using keyword-based RAG.
+ * Search memories across all stores and scopes using keyword-based RAG.
+ * Entries saved under the same id, and preferences sharing a `data.key`,
+ * are reported once, from the narrowest scope. TF-IDF comes from the scope's
+ * inverted index; document frequencies count entries until they are pruned.
+ * Unless `semantic` is false, keyword and semantic relevance are blended so
+ * paraphrases of the query rank too.
  * @param {string} query - Natural language search query
  * @param {object} [options]
  * @param {string[]} [options.types] - Filter by memory types
+ * @param {Array<'session'|'project'|'user'>} [options.scopes] - Filter by scopes (default: all)
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
  * @param {number} [options.limit] - Max results (default: 10)
  * @param {number} [options.threshold] - Min relevance score (default: 0.1)
- * @returns {Promise<Array<{entry: object, score: number, store: string}>>}
+ * @param {boolean} [options.semantic] - Blend in semantic similarity (default: true)
+ * @returns {Promise<Array<{entry: object, score: number, store: string, scope: string}>>}
+ * @example
+ * await searchMemory('login broke'); // also finds { message: 'auth failure', ... }
  */
 export async function searchMemory(query, options = {}) {
-  const { types, limit = 10, threshold = 0.1 } = options;
+  const { types, scopes, cwd, limit = 10, threshold = 0.1, semantic = true } = options;
   const queryTokens = tokenizeQuery(query);
   if (queryTokens.length === 0) return [];
+  const meaning = semantic ? semanticQuery(queryTokens) : null;
 
   const storeKeys = types ? types.map(typeToStoreKey) : Object.keys(STORE_FILES);
   const results = [];
-
-  for (const storeKey of storeKeys) {
-    const store = await loadStore(storeKey);
-    const now = Date.now();
-
-    // Collect all non-expired entry tags for IDF calculation (corpus)
-    const activeEntries = store.entries.filter(
-      (e) => !e.expiresAt || new Date(e.expiresAt).getTime() >= now,
-    );
-    const allDocTags = activeEntries.map((e) => e.tags || []);
-
-    for (const entry of activeEntries) {
-      const score = scoreEntry(entry, queryTokens, allDocTags);
-      if (score >= threshold) {
-        results.push({ entry, score, store: storeKey });
+  const seen = new Set();
+
+  for (const location of resolveLocations(scopes, cwd)) {
+    const indexes = await loadIndexes(location);
+    let stale = false;
+
+    for (const storeKey of storeKeys) {
+      const store = await loadStore(storeKey, location);
+      const { index, rebuilt } = currentIndex(indexes, storeKey, store);
+      stale ||= rebuilt && store.entries.length > 0;
+      const tfidf = scoreTerms(index, queryTokens);
+      const related = relatedEntries(index, meaning);
+
+      for (const entry of store.entries) {
+        const identity = entryIdentity(entry);
+        if (isExpired(entry) || seen.has(identity)) continue;
+        seen.add(identity);
+
+        const similarity = related.has(entry.id) ? similarityTo(meaning, entry.tags ?? []) : 0;
+        const score = scoreEntry(entry, tfidf.get(entry.id) ?? 0, queryTokens.length, similarity);
+        if (score >= threshold) {
+          results.push({ entry, score, store: storeKey, scope: location.scope });
+        }
       }
     }
+
+    // Save rebuilt indexes so the next search starts from them
+    if (stale) await persistIndexes(location, indexes);
   }
 
   // Sort by score descending, take top N
@@ -321,13 +771,16 @@ export async function searchMemory(query, options = {}) {
 
 /**
  * Get relevant context for the current working state.
- * Searches across all stores for entries matching the provided context hints.
+ * Searches across all stores and scopes for entries matching the provided
+ * context hints; `context.cwd` also selects the project scope.
  * @param {object} context
  * @param {string} [context.cwd] - Current working directory
  * @param {string} [context.command] - Current command being executed
  * @param {string} [context.project] - Project name
  * @param {string[]} [context.keywords] - Additional keywords
- * @returns {Promise<object>} Aggregated relevant context
+ * @param {Array<'session'|'project'|'user'>} [context.scopes] - Scopes to read (default: all)
+ * @param {boolean} [context.semantic] - Also match paraphrases of the hints (default: true)
+ * @returns {Promise<object>} Aggregated relevant context; `scopes` counts the matches per scope
  */
 export async function getRelevantContext(context = {}) {
   const queryParts = [];
@@ -337,9 +790,16 @@ export async function getRelevantContext(context = {}) {
   if (context.keywords) queryParts.push(...context.keywords);
 
   const query = queryParts.join(' ');
-  if (!query) return { preferences: [], projectContext: [], recentCommands: [], errorPatterns: [] };
-
-  const results = await searchMemory(query, { limit: 20 });
+  const scopes = Object.fromEntries(MEMORY_SCOPES.map((scope) => [scope, 0]));
+  if (!query) return { preferences: [], projectContext: [], recentCommands: [], errorPatterns: [], scopes };
+
+  const results = await searchMemory(query, {
+    limit: 20,
+    cwd: context.cwd,
+    scopes: context.scopes,
+    semantic: context.semantic,
+  });
+  for (const r of results) scopes[r.scope]++;
 
   return {
     preferences: results
@@ -354,6 +814,7 @@ export async function getRelevantContext(context = {}) {
     errorPatterns: results
       .filter((r) => r.store === 'errorPatterns')
       .map((r) => r.entry.data),
+    scopes,
   };
 }
 
@@ -365,10 +826,11 @@ export async function getRelevantContext(context = {}) {
  * @param {string} [sessionData.project]
  * @param {Array<{event: string, data?: object}>} [sessionData.history]
  * @param {object} [sessionData.metadata]
+ * @param {string} [sessionData.cwd] - Working directory; the summary goes to its project scope
  * @returns {Promise<object>} The saved summary entry
  */
 export async function summarizeSession(sessionData = {}) {
-  const { sessionId, project, history = [], metadata = {} } = sessionData;
+  const { sessionId, project, history = [], metadata = {}, cwd } = sessionData;
 
   // Extract key events from history
   const commands = history.filter((h) => h.event === 'command').map((h) => h.data?.command || h.event);
@@ -397,89 +859,264 @@ export async function summarizeSession(sessionData = {}) {
     tags: ['session-summary', project, ...(summary.uniqueCommands || [])].filter(Boolean),
     source: 'session-summarizer',
     ttl: TTL.longTerm,
+    cwd,
   });
 }
 
 /**
- * Remove all expired memories across all stores.
- * @returns {Promise<{pruned: number, stores: object}>}
+ * Remove all expired memories across all stores and scopes.
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
+ * @returns {Promise<{pruned: number, stores: object, scopes: Record<string, number>}>}
+ *   `stores` sums each store over the scopes; `scopes` counts pruned entries per scope
  */
-export async function pruneOldMemories() {
+export async function pruneOldMemories(options = {}) {
   const now = Date.now();
   let totalPruned = 0;
   const storeResults = {};
+  const scopeResults = {};
+
+  for (const location of resolveLocations(MEMORY_SCOPES, options.cwd)) {
+    scopeResults[location.scope] = 0;
+    let indexes = null;
+    for (const storeKey of Object.keys(STORE_FILES)) {
+      const store = await loadStore(storeKey, location);
+      const before = store.entries.length;
+      const kept = store.entries.filter((entry) => !isExpired(entry, now));
+
+      const pruned = before - kept.length;
+      totalPruned += pruned;
+      scopeResults[location.scope] += pruned;
+      const total = storeResults[storeKey] ?? { before: 0, after: 0, pruned: 0 };
+      storeResults[storeKey] = { before: total.before + before, after: total.after + kept.length, pruned: total.pruned + pruned };
+
+      if (pruned > 0) {
+        indexes ??= await loadIndexes(location);
+        const { index } = currentIndex(indexes, storeKey, store);
+        const saved = await persistStore(storeKey, { ...store, entries: kept }, location);
+        store.entries.filter((e) => isExpired(e, now)).forEach((e) => removeEntry(index, e));
+        index.stamp = storeStamp(saved);
+      }
+    }
+    if (indexes) await persistIndexes(location, indexes);
+  }
 
-  for (const storeKey of Object.keys(STORE_FILES)) {
-    const store = await loadStore(storeKey);
-    const before = store.entries.length;
-
-    const kept = store.entries.filter(
-      (entry) => !entry.expiresAt || new Date(entry.expiresAt).getTime() > now,
-    );
-
-    const pruned = before - kept.length;
-    totalPruned += pruned;
-    storeResults[storeKey] = { before, after: kept.length, pruned };
+  return { pruned: totalPruned, stores: storeResults, scopes: scopeResults };
+}
 
-    if (pruned > 0) {
-      await persistStore(storeKey, { ...store, entries: kept });
+/**
+ * One-shot migration: scrub the entries written before memory scrubbing
+ * (those without `redactions`) in every store and scope, and rebuild the
+ * indexes of the stores it rewrote. Already scrubbed entries are left
+ * alone, so running it again is cheap. Does nothing while scrubbing is
+ * disabled.
+ *
+ * @param {object} [options]
+ * @param {Array<'session'|'project'|'user'>} [options.scopes] - Scopes to migrate (default: all)
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
+ * @returns {Promise<{scanned: number, redacted: number, scopes: Record<string, number>}>}
+ *   `scanned` counts unscrubbed entries, `redacted` those that had PII replaced;
+ *   `scopes` counts scanned entries per scope
+ */
+export async function scrubStoredMemories(options = {}) {
+  let scanned = 0;
+  let redacted = 0;
+  const scopeResults = {};
+  if (!scrubEnabled) return { scanned, redacted, scopes: scopeResults };
+
+  for (const location of resolveLocations(options.scopes, options.cwd)) {
+    scopeResults[location.scope] = 0;
+    let indexes = null;
+    for (const storeKey of Object.keys(STORE_FILES)) {
+      const store = await loadStore(storeKey, location);
+      const pending = store.entries.filter((e) => !Array.isArray(e.redactions)).length;
+      if (pending === 0) continue;
+
+      const entries = store.entries.map((e) => {
+        if (Array.isArray(e.redactions)) return e;
+        const scrubbed = scrubMemoryEntry(e);
+        if (scrubbed.redactions.length > 0) redacted++;
+        return scrubbed;
+      });
+      scanned += pending;
+      scopeResults[location.scope] += pending;
+
+      const saved = await persistStore(storeKey, { ...store, entries }, location);
+      indexes ??= await loadIndexes(location);
+      indexes[storeKey] = buildStoreIndex(saved);
     }
+    if (indexes) await persistIndexes(location, indexes);
   }
 
-  return { pruned: totalPruned, stores: storeResults };
+  return { scanned, redacted, scopes: scopeResults };
 }
 
 /**
- * Load all memories of a given type (non-expired).
+ * Load all memories of a given type (non-expired), narrowest scope first.
+ * A preference key set in several scopes is returned once, from the narrowest.
  * @param {'preference'|'context'|'command'|'error'} type
+ * @param {object} [options]
+ * @param {Array<'session'|'project'|'user'>} [options.scopes] - Scopes to read (default: all)
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
  * @returns {Promise<object[]>}
  */
-export async function loadMemories(type) {
+export async function loadMemories(type, options = {}) {
   const storeKey = typeToStoreKey(type);
-  const store = await loadStore(storeKey);
   const now = Date.now();
-  return store.entries.filter(
-    (entry) => !entry.expiresAt || new Date(entry.expiresAt).getTime() > now,
-  );
+  const seen = new Set();
+  const entries = [];
+
+  for (const location of resolveLocations(options.scopes, options.cwd)) {
+    const store = await loadStore(storeKey, location);
+    for (const entry of store.entries) {
+      const identity = entryIdentity(entry);
+      if (isExpired(entry, now) || seen.has(identity)) continue;
+      seen.add(identity);
+      entries.push(entry);
+    }
+  }
+  return entries;
 }
 
 /**
  * Clear all memories of a given type.
  * @param {'preference'|'context'|'command'|'error'} type
+ * @param {object} [options]
+ * @param {Array<'session'|'project'|'user'>} [options.scopes] - Scopes to clear (default: all)
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
  * @returns {Promise<void>}
  */
-export async function clearMemories(type) {
+export async function clearMemories(type, options = {}) {
   const storeKey = typeToStoreKey(type);
-  await persistStore(storeKey, {
-    entries: [],
-    metadata: { createdAt: new Date().toISOString(), clearedAt: new Date().toISOString() },
-  });
+  for (const location of resolveLocations(options.scopes, options.cwd)) {
+    const cleared = await persistStore(storeKey, {
+      entries: [],
+      metadata: { createdAt: new Date().toISOString(), clearedAt: new Date().toISOString() },
+    }, location);
+    const indexes = await loadIndexes(location);
+    indexes[storeKey] = createStoreIndex(storeStamp(cleared));
+    await persistIndexes(location, indexes);
+  }
 }
 
 /**
  * Get memory system statistics.
+ * `memoryDir` and `stores` describe the user scope; `scopes` covers every
+ * scope available for `cwd`.
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
  * @returns {Promise<object>}
  */
-export async function getMemoryStats() {
-  const stats = {};
+export async function getMemoryStats(options = {}) {
   const now = Date.now();
+  const scopes = {};
+
+  for (const location of resolveLocations(MEMORY_SCOPES, options.cwd)) {
+    const stats = {};
+    for (const storeKey of Object.keys(STORE_FILES)) {
+      const store = await loadStore(storeKey, location);
+      const active = store.entries.filter((e) => !isExpired(e, now));
+
+      stats[storeKey] = {
+        total: store.entries.length,
+        active: active.length,
+        expired: store.entries.length - active.length,
+        pinned: store.entries.filter((e) => e.pinned).length,
+        lastUpdated: store.metadata?.updatedAt || null,
+      };
+    }
+    scopes[location.scope] = { memoryDir: location.dir, stores: stats };
+  }
+
+  return { memoryDir: getMemoryDir('user'), stores: scopes.user.stores, scopes };
+}
+
+/**
+ * Look up an entry by id, narrowest scope first. Expired entries are found
+ * too, so they can still be inspected or pinned before the next prune.
+ * @param {string} id - Entry id
+ * @param {object} [options]
+ * @param {Array<'session'|'project'|'user'>} [options.scopes] - Scopes to search (default: all)
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
+ * @returns {Promise<{entry: object, store: string, scope: string}|null>}
+ */
+export async function getMemoryEntry(id, options = {}) {
+  const found = await findEntry(id, options);
+  if (!found) return null;
+  return { entry: found.store.entries[found.position], store: found.storeKey, scope: found.location.scope };
+}
+
+/**
+ * Pin, unpin or retag a stored entry, in the narrowest scope holding it.
+ * Pinned entries never expire and survive the history size limits; unpinning
+ * lets the original `expiresAt` apply again.
+ *
+ * @param {string} id - Entry id
+ * @param {object} changes
+ * @param {boolean} [changes.pinned] - Pin (true) or unpin (false)
+ * @param {string[]} [changes.addTags] - Tags to add (scrubbed, lowercased)
+ * @param {string[]} [changes.removeTags] - Tags to remove
+ * @param {object} [options]
+ * @param {Array<'session'|'project'|'user'>} [options.scopes] - Scopes to search (default: all)
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
+ * @returns {Promise<{entry: object, store: string, scope: string}|null>} The updated entry, or null when no scope holds `id`
+ * @example
+ * await updateMemory('error_1712_ab12cd', { pinned: true, addTags: ['flaky-ci'] });
+ */
+export async function updateMemory(id, changes = {}, options = {}) {
+  const found = await findEntry(id, options);
+  if (!found) return null;
+
+  const { location, storeKey, store, position } = found;
+  const previous = store.entries[position];
+  const entry = { ...previous, ...retag(previous, changes) };
+  if (changes.pinned === true) entry.pinned = true;
+  if (changes.pinned === false) delete entry.pinned;
+
+  const indexes = await loadIndexes(location);
+  const { index } = currentIndex(indexes, storeKey, store);
+  const entries = store.entries.map((e, i) => (i === position ? entry : e));
+  const saved = await persistStore(storeKey, { ...store, entries }, location);
+  removeEntry(index, previous);
+  addEntry(index, entry);
+  index.stamp = storeStamp(saved);
+  await persistIndexes(location, indexes);
+
+  return { entry, store: storeKey, scope: location.scope };
+}
 
-  for (const storeKey of Object.keys(STORE_FILES)) {
-    const store = await loadStore(storeKey);
-    const active = store.entries.filter(
-      (e) => !e.expiresAt || new Date(e.expiresAt).getTime() > now,
-    );
-    const expired = store.entries.length - active.length;
-
-    stats[storeKey] = {
-      total: store.entries.length,
-      active: active.length,
-      expired,
-      lastUpdated: store.metadata?.updatedAt || null,
-    };
+/**
+ * Delete entries by id from every scope holding them.
+ * @param {string[]} ids - Entry ids
+ * @param {object} [options]
+ * @param {Array<'session'|'project'|'user'>} [options.scopes] - Scopes to delete from (default: all)
+ * @param {string} [options.cwd] - Working directory locating the project (default: process.cwd())
+ * @returns {Promise<Array<{id: string, store: string, scope: string}>>} The entries deleted
+ */
+export async function forgetMemories(ids, options = {}) {
+  const wanted = new Set(ids);
+  const forgotten = [];
+
+  for (const location of resolveLocations(options.scopes, options.cwd)) {
+    let indexes = null;
+    for (const storeKey of Object.keys(STORE_FILES)) {
+      const store = await loadStore(storeKey, location);
+      const removed = store.entries.filter((e) => wanted.has(e.id));
+      if (removed.length === 0) continue;
+
+      indexes ??= await loadIndexes(location);
+      const { index } = currentIndex(indexes, storeKey, store);
+      const saved = await persistStore(storeKey, { ...store, entries: store.entries.filter((e) => !wanted.has(e.id)) }, location);
+      for (const entry of removed) {
+        removeEntry(index, entry);
+        forgotten.push({ id: entry.id, store: storeKey, scope: location.scope });
+      }
+      index.stamp = storeStamp(saved);
+    }
+    if (indexes) await persistIndexes(location, indexes);
   }
 
-  return { memoryDir: getMemoryDir(), stores: stats };
+  return forgotten;
 }
 
 // ---------------------------------------------------------------------------
@@ -488,15 +1125,71 @@ export async function getMemoryStats() {
 
 /**
  * Map a memory type string to its corresponding store key.
+ * Unknown types share the project contexts store.
  * @param {string} type - Memory type
  * @returns {string}
  */
 function typeToStoreKey(type) {
-  const mapping = {
-    preference: 'userPreferences',
-    context: 'projectContexts',
-    command: 'commandHistory',
-    error: 'errorPatterns',
-  };
-  return mapping[type] || 'projectContexts';
+  return MEMORY_STORE_KEYS[type] ?? 'projectContexts';
+}
+
+/**
+ * Ids of the entries carrying a tag that shares a concept or stem with the
+ * query: the only entries semantic similarity is computed for.
+ * @param {import('./memory-index.js').StoreIndex} index
+ * @param {import('./semantic.js').SemanticQuery|null} query - Null when semantic matching is off
+ * @returns {Set<string>}
+ */
+function relatedEntries(index, query) {
+  const ids = new Set();
+  if (!query) return ids;
+  for (const [term, postings] of Object.entries(index.postings)) {
+    if (!isRelatedTerm(query, term)) continue;
+    for (const id of Object.keys(postings)) ids.add(id);
+  }
+  return ids;
+}
+
+/**
+ * Whether an entry's TTL has run out. Pinned entries never expire.
+ * @param {object} entry
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isExpired(entry, now = Date.now()) {
+  return !entry.pinned && Boolean(entry.expiresAt) && new Date(entry.expiresAt).getTime() <= now;
+}
+
+/**
+ * Keep the newest `max` entries of a history store, never dropping pinned ones.
+ * @param {object[]} entries - Oldest first
+ * @param {number} max
+ * @returns {object[]}
+ */
+function trimHistory(entries, max) {
+  const excess = entries.length - max;
+  if (excess <= 0) return entries;
+  const dropped = new Set(entries.filter((e) => !e.pinned).slice(0, excess));
+  return entries.filter((e) => !dropped.has(e));
+}
+
+/**
+ * Key under which entries from different scopes shadow each other:
+ * preferences by `data.key`, everything else by id.
+ * @param {object} entry
+ * @returns {string}
+ */
+function entryIdentity(entry) {
+  return entry.type === 'preference' && entry.data?.key ? `preference:${entry.data.key}` : `id:${entry.id}`;
+}
+
+/**
+ * Expand a leading `~` to the home directory.
+ * @param {string} dir
+ * @returns {string}
+ */
+function expandHome(dir) {
+  return dir === '~' || dir.startsWith('~/') || dir.startsWith('~\\')
+    ? path.join(getHomeDir(), dir.slice(1))
+    : path.resolve(dir);
 }
@@ -0,0 +1,376 @@
+/**
+ * Offline semantic similarity for memory retrieval.
+ * Turns text into a sparse hashed vector so paraphrases that share no
+ * keyword still land close together ("login broke" ~ "auth failure"):
+ *   - concept features from a small en/ko/ja synonym table
+ *   - word features, lightly stemmed ("failing" -> "fail")
+ *   - character n-grams (trigrams for Latin words, bigrams for Hangul,
+ *     kana and CJK) for inflections and typos
+ * Features are hashed into a fixed number of buckets (FNV-1a with a sign
+ * bit) and L2-normalized, so similarity is a cosine in 0..1. No model, no
+ * network.
+ *
+ * @module lib/learning/semantic
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Hash buckets per vector */
+const DIMENSIONS = 1024;
+
+/** Feature weights: concepts dominate, n-grams only refine */
+const WEIGHTS = Object.freeze({ concept: 3, word: 1, gram: 0.35 });
+
+/** Cached term feature lists before the cache is reset */
+const MAX_CACHED_TERMS = 50_000;
+
+/** English suffixes stripped (longest first) when a word is not in the table */
+const SUFFIXES = ['ations', 'ation', 'ments', 'ment', 'ures', 'ure', 'ing', 'ies', 'ed', 'es', 's'];
+
+/** Hangul, kana and CJK ideographs */
+const CJK_RE = /[\u1100-\u11FF\u3040-\u30FF\u3130-\u318F\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF]/;
+
+/**
+ * Synonym table: concept -> terms in en, ko and ja.
+ * Korean and Japanese terms also match inside longer tokens, which covers
+ * particles and compounds ("로그인이", "認証エラー").
+ */
+export const CONCEPTS = Object.freeze({
+  auth: {
+    en: ['auth', 'authentication', 'authenticate', 'authenticated', 'authorization', 'authorize', 'login', 'logon', 'signin', 'oauth', 'sso', 'credential', 'password', 'jwt'],
+    ko: ['로그인', '인증', '권한', '비밀번호'],
+    ja: ['ログイン', '認証', '権限', 'パスワード'],
+  },
+  failure: {
+    en: ['fail', 'failure', 'broke', 'broken', 'break', 'crash', 'error', 'bug', 'exception', 'fault', 'issue', 'problem', 'regression'],
+    ko: ['실패', '오류', '에러', '버그', '장애', '고장', '깨짐', '문제'],
+    ja: ['失敗', 'エラー', 'バグ', '障害', '壊れ', 'クラッシュ', '例外', '不具合'],
+  },
+  fix: {
+    en: ['fix', 'resolve', 'resolution', 'repair', 'patch', 'workaround', 'solution', 'solve'],
+    ko: ['수정', '해결', '고침', '패치'],
+    ja: ['修正', '解決', '対処', 'パッチ'],
+  },
+  database: {
+    en: ['database', 'db', 'sql', 'postgres', 'postgresql', 'mysql', 'sqlite', 'mongodb', 'mongo', 'redis', 'query', 'schema', 'orm'],
+    ko: ['데이터베이스', '디비', '쿼리', '스키마'],
+    ja: ['データベース', 'クエリ', 'スキーマ'],
+  },
+  network: {
+    en: ['network', 'connection', 'connect', 'timeout', 'dns', 'http', 'https', 'request', 'fetch', 'offline', 'socket', 'econnrefused', 'etimedout'],
+    ko: ['네트워크', '연결', '접속', '타임아웃'],
+    ja: ['ネットワーク', '接続', '通信', 'タイムアウト'],
+  },
+  performance: {
+    en: ['performance', 'perf', 'slow', 'latency', 'lag', 'speed', 'fast', 'memory', 'cpu', 'optimize', 'bottleneck'],
+    ko: ['성능', '느림', '느려', '지연', '최적화', '속도'],
+    ja: ['性能', 'パフォーマンス', '遅い', '遅延', '最適化', '速度'],
+  },
+  test: {
+    en: ['test', 'testing', 'spec', 'unittest', 'e2e', 'vitest', 'jest', 'mocha', 'playwright', 'coverage', 'assertion'],
+    ko: ['테스트', '검증', '커버리지'],
+    ja: ['テスト', '検証', 'カバレッジ'],
+  },
+  build: {
+    en: ['build', 'compile', 'bundle', 'webpack', 'vite', 'rollup', 'esbuild', 'tsc', 'transpile'],
+    ko: ['빌드', '컴파일', '번들'],
+    ja: ['ビルド', 'コンパイル', 'バンドル'],
+  },
+  deploy: {
+    en: ['deploy', 'deployment', 'release', 'ship', 'publish', 'rollout', 'rollback', 'production', 'staging'],
+    ko: ['배포', '릴리스', '출시', '운영'],
+    ja: ['デプロイ', 'リリース', '本番', '公開'],
+  },
+  dependency: {
+    en: ['dependency', 'dependencies', 'package', 'module', 'npm', 'pnpm', 'yarn', 'install', 'library', 'lockfile', 'version'],
+    ko: ['의존성', '패키지', '모듈', '설치', '라이브러리'],
+    ja: ['依存', 'パッケージ', 'モジュール', 'インストール', 'ライブラリ'],
+  },
+  config: {
+    en: ['config', 'configuration', 'configure', 'setting', 'env', 'environment', 'option', 'dotenv', 'variable'],
+    ko: ['설정', '환경', '환경변수', '옵션'],
+    ja: ['設定', '環境', '環境変数', 'オプション'],
+  },
+  style: {
+    en: ['style', 'format', 'formatting', 'lint', 'linter', 'eslint', 'prettier', 'indent', 'indentation', 'tab', 'space', 'convention'],
+    ko: ['스타일', '포맷', '들여쓰기', '린트', '컨벤션'],
+    ja: ['スタイル', 'フォーマット', 'インデント', '規約'],
+  },
+  security: {
+    en: ['security', 'vulnerability', 'vuln', 'xss', 'csrf', 'injection', 'secret', 'token', 'cve', 'exploit'],
+    ko: ['보안', '취약점', '시크릿', '토큰'],
+    ja: ['セキュリティ', '脆弱性', 'シークレット', 'トークン'],
+  },
+  frontend: {
+    en: ['frontend', 'ui', 'ux', 'component', 'react', 'vue', 'css', 'layout', 'render', 'page', 'button'],
+    ko: ['프론트엔드', '화면', '컴포넌트', '레이아웃'],
+    ja: ['フロントエンド', '画面', 'コンポーネント', 'レイアウト'],
+  },
+  docs: {
+    en: ['doc', 'docs', 'documentation', 'readme', 'guide', 'changelog', 'comment'],
+    ko: ['문서', '가이드', '주석'],
+    ja: ['ドキュメント', '文書', 'ガイド', 'コメント'],
+  },
+});
+
+/** Latin term -> concept */
+const LATIN_TERMS = new Map();
+
+/** Hangul / kana / CJK term -> concept, longest terms first */
+const CJK_TERMS = [];
+
+for (const [concept, languages] of Object.entries(CONCEPTS)) {
+  for (const term of Object.values(languages).flat()) {
+    if (CJK_RE.test(term)) CJK_TERMS.push([term, concept]);
+    else LATIN_TERMS.set(term, concept);
+  }
+}
+CJK_TERMS.sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * @typedef {object} TermInfo
+ * @property {string} stem
+ * @property {string[]} concepts
+ * @property {Array<[number, number]>} features - [bucket, signed weight] pairs
+ */
+
+/** @type {Map<string, TermInfo>} Token -> analysis, cached since vocabularies repeat */
+const termCache = new Map();
+
+/** Scratch space for similarityTo(): per-bucket sums and touched marks */
+const scratch = new Float64Array(DIMENSIONS);
+const touched = new Uint8Array(DIMENSIONS);
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} SemanticQuery
+ * @property {Map<number, number>} vector - embed() of the query tokens
+ * @property {Float64Array} dense - The same vector, dense
+ * @property {Set<string>} concepts - Concepts the query mentions
+ * @property {Set<string>} stems - Stems of the query tokens
+ */
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Concepts mentioned by a set of tokens.
+ * @param {string[]} tokens - Lower-cased tokens
+ * @returns {Set<string>}
+ * @example
+ * conceptsOf(['login', 'broke']); // Set { 'auth', 'failure' }
+ * conceptsOf(['로그인이', '실패']); // Set { 'auth', 'failure' }
+ */
+export function conceptsOf(tokens) {
+  const concepts = new Set();
+  for (const token of tokens) {
+    for (const concept of termInfo(token).concepts) concepts.add(concept);
+  }
+  return concepts;
+}
+
+/**
+ * Embed tokens as a normalized sparse hashed vector.
+ * @param {string[]} tokens - Lower-cased tokens (query tokens or entry tags)
+ * @returns {Map<number, number>} Bucket -> weight, unit length (empty for no features)
+ */
+export function embed(tokens) {
+  const vector = new Map();
+  for (const token of tokens) {
+    if (typeof token !== 'string' || !token) continue;
+    for (const [bucket, weight] of termInfo(token.toLowerCase()).features) {
+      vector.set(bucket, (vector.get(bucket) ?? 0) + weight);
+    }
+  }
+
+  let norm = 0;
+  for (const value of vector.values()) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return new Map();
+  for (const [bucket, value] of vector) vector.set(bucket, value / norm);
+  return vector;
+}
+
+/**
+ * Prepare a query for semantic matching.
+ * @param {string[]} tokens - Lower-cased query tokens
+ * @returns {SemanticQuery}
+ */
+export function semanticQuery(tokens) {
+  const vector = embed(tokens);
+  const dense = new Float64Array(DIMENSIONS);
+  for (const [bucket, value] of vector) dense[bucket] = value;
+  return {
+    vector,
+    dense,
+    concepts: conceptsOf(tokens),
+    stems: new Set(tokens.map((token) => termInfo(token).stem)),
+  };
+}
+
+/**
+ * Whether a term can be semantically related to a query: it shares a
+ * concept or a stem with it. Used to pick candidates from an index
+ * vocabulary before computing similarities.
+ * @param {SemanticQuery} query
+ * @param {string} term
+ * @returns {boolean}
+ */
+export function isRelatedTerm(query, term) {
+  const info = termInfo(term);
+  return query.stems.has(info.stem) || info.concepts.some((concept) => query.concepts.has(concept));
+}
+
+/**
+ * Similarity of a prepared query to a token list; equal to
+ * cosineSimilarity(query.vector, embed(tokens)) without building the vector.
+ * @param {SemanticQuery} query
+ * @param {string[]} tokens - Lower-cased tokens, e.g. an entry's tags
+ * @returns {number} 0..1
+ */
+export function similarityTo(query, tokens) {
+  const buckets = [];
+  for (const token of tokens) {
+    if (typeof token !== 'string' || !token) continue;
+    for (const [bucket, weight] of termInfo(token.toLowerCase()).features) {
+      if (!touched[bucket]) {
+        touched[bucket] = 1;
+        buckets.push(bucket);
+      }
+      scratch[bucket] += weight;
+    }
+  }
+
+  let dot = 0;
+  let norm = 0;
+  for (const bucket of buckets) {
+    const value = scratch[bucket];
+    dot += value * query.dense[bucket];
+    norm += value * value;
+    scratch[bucket] = 0;
+    touched[bucket] = 0;
+  }
+  return norm === 0 ? 0 : Math.max(0, Math.min(1, dot / Math.sqrt(norm)));
+}
+
+/**
+ * Cosine similarity of two embed() vectors, clamped to 0..1.
+ * @param {Map<number, number>} a
+ * @param {Map<number, number>} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [bucket, value] of small) {
+    const other = large.get(bucket);
+    if (other !== undefined) dot += value * other;
+  }
+  return Math.max(0, Math.min(1, dot));
+}
+
+/**
+ * Similarity of two token lists.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number} 0..1
+ * @example
+ * semanticSimilarity(['login', 'broke'], ['auth', 'failure']); // ~0.7
+ */
+export function semanticSimilarity(a, b) {
+  return cosineSimilarity(embed(a), embed(b));
+}
+
+// ---------------------------------------------------------------------------
+// Internal
+// ---------------------------------------------------------------------------
+
+/**
+ * Stem, concepts and hashed features of one token.
+ * @param {string} token - Lower-cased token
+ * @returns {TermInfo}
+ */
+function termInfo(token) {
+  const cached = termCache.get(token);
+  if (cached) return cached;
+
+  const info = { stem: stem(token), concepts: tokenConcepts(token), features: [] };
+  const add = (feature, weight) => {
+    const hash = fnv1a(feature);
+    info.features.push([hash % DIMENSIONS, (hash >>> 31) === 0 ? weight : -weight]);
+  };
+  for (const concept of info.concepts) add(`c:${concept}`, WEIGHTS.concept);
+  add(`w:${info.stem}`, WEIGHTS.word);
+  for (const gram of charGrams(token)) add(`g:${gram}`, WEIGHTS.gram);
+
+  if (termCache.size >= MAX_CACHED_TERMS) termCache.clear();
+  termCache.set(token, info);
+  return info;
+}
+
+/**
+ * Concepts of one token: the table entry for the word or its stem, and for
+ * Hangul / kana / CJK tokens every table term contained in the token.
+ * @param {string} token
+ * @returns {string[]}
+ */
+function tokenConcepts(token) {
+  if (CJK_RE.test(token)) {
+    return CJK_TERMS.filter(([term]) => token.includes(term)).map(([, concept]) => concept);
+  }
+  const concept = LATIN_TERMS.get(token) ?? LATIN_TERMS.get(stem(token));
+  return concept ? [concept] : [];
+}
+
+/**
+ * Strip one common English suffix, keeping at least three letters.
+ * Table terms and non-Latin tokens are returned unchanged.
+ * @param {string} token
+ * @returns {string}
+ */
+function stem(token) {
+  if (LATIN_TERMS.has(token) || CJK_RE.test(token)) return token;
+  for (const suffix of SUFFIXES) {
+    if (token.length - suffix.length >= 3 && token.endsWith(suffix)) {
+      return token.slice(0, -suffix.length);
+    }
+  }
+  return token;
+}
+
+/**
+ * Character n-grams: padded trigrams for Latin words, bigrams otherwise.
+ * @param {string} token
+ * @returns {string[]}
+ */
+function charGrams(token) {
+  const cjk = CJK_RE.test(token);
+  const chars = [...(cjk ? token : `^${token}$`)];
+  const size = cjk ? 2 : 3;
+  if (chars.length <= size) return [chars.join('')];
+  const grams = [];
+  for (let i = 0; i <= chars.length - size; i++) {
+    grams.push(chars.slice(i, i + size).join(''));
+  }
+  return grams;
+}
+
+/**
+ * 32-bit FNV-1a hash.
+ * @param {string} text
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -37,6 +37,9 @@ const TOKENS = {
   HASH: '[HASH]',
 };
 
+/** Every replacement token the built-in patterns leave in scrubbed text */
+export const REPLACEMENT_TOKENS = Object.freeze(Object.values(TOKENS));
+
 // ---------------------------------------------------------------------------
 // Platform-Aware Path Detection
 // ---------------------------------------------------------------------------
@@ -869,13 +872,18 @@ export function resetPatterns() {
 /**
  * Create a scoped scrubber with a subset of categories.
  * Useful for applying only path scrubbing or only auth scrubbing.
+ * `redact()` also walks arrays and objects and reports which categories
+ * actually replaced something.
  *
  * @param {string[]} categories - Categories to include (e.g. ['auth', 'secrets'])
- * @returns {{ scrub: (text: string) => string }}
+ * @returns {{ scrub: (text: string) => string, redact: (value: *) => { value: *, categories: string[] } }}
  * @example
  * const personalScrubber = createScopedScrubber(['personal']);
  * const result = personalScrubber.scrub('Email: user@example.com');
  * // result: 'Email: [EMAIL]'
+ *
+ * personalScrubber.redact({ to: ['user@example.com'], retries: 3 });
+ * // { value: { to: ['[EMAIL]'], retries: 3 }, categories: ['personal'] }
  */
 export function createScopedScrubber(categories) {
   const categorySet = new Set(categories);
@@ -883,19 +891,42 @@ export function createScopedScrubber(categories) {
     .filter((p) => categorySet.has(p.category))
     .sort((a, b) => a.priority - b.priority);
 
+  /** Apply the scoped patterns to a string, noting hit categories in `hits`. */
+  const apply = (text, hits) => {
+    let result = text;
+    let lower = text.toLowerCase();
+    for (const pat of scoped) {
+      if (!hintMatches(pat.hint, result, lower, pat.regex.ignoreCase)) continue;
+      if (pat.regex.global) pat.regex.lastIndex = 0;
+      const before = result;
+      result = result.replace(pat.regex, pat.replacement);
+      if (result !== before) {
+        lower = result.toLowerCase();
+        hits?.add(pat.category);
+      }
+    }
+    return result;
+  };
+
+  /** Scrub string values anywhere in a value (immutable). */
+  const walk = (value, hits) => {
+    if (typeof value === 'string') return value ? apply(value, hits) : value;
+    if (Array.isArray(value)) return value.map((item) => walk(item, hits));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item, hits)]));
+    }
+    return value;
+  };
+
   return {
     scrub(text) {
       if (!text || typeof text !== 'string') return text ?? '';
-      let result = text;
-      let lower = text.toLowerCase();
-      for (const pat of scoped) {
-        if (!hintMatches(pat.hint, result, lower, pat.regex.ignoreCase)) continue;
-        if (pat.regex.global) pat.regex.lastIndex = 0;
-        const before = result;
-        result = result.replace(pat.regex, pat.replacement);
-        if (result !== before) lower = result.toLowerCase();
-      }
-      return result;
+      return apply(text);
+    },
+    redact(value) {
+      const hits = new Set();
+      const scrubbed = walk(value, hits);
+      return { value: scrubbed, categories: [...hits].sort() };
     },
   };
 }
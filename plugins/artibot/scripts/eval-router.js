@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * eval-router.js - Offline evaluation of the System 1/2 cognitive router.
+ *
+ * Replays a labeled JSONL corpus through classifyComplexity() using the
+ * weights/threshold from artibot.config.json, prints a confusion matrix,
+ * precision/recall and calibration curves, and optionally fits new weights.
+ * Confidence is calibrated with the router outcomes recorded in
+ * ~/.claude/artibot/calibration.json, which is read but never written.
+ *
+ * Usage:
+ *   node scripts/eval-router.js <corpus.jsonl> [--fit] [--json] [--bins N]
+ *
+ * Flags:
+ *   --fit      Fit factor weights + threshold and print a proposed config block
+ *   --json     Emit the full report as JSON instead of text
+ *   --bins N   Number of calibration bins (default: 5)
+ *
+ * Corpus lines: {"prompt": "...", "expected": 1 | 2}
+ */
+
+import path from 'node:path';
+import { readFileSync } from 'node:fs';
+import { getPluginRoot } from '../lib/core/platform.js';
+import { configure } from '../lib/cognitive/router.js';
+import { configure as configureCalibration } from '../lib/cognitive/calibration.js';
+import { buildConfigBlock, evaluateRouting, extractFeatures, fitWeights, loadCorpus } from '../lib/cognitive/router-eval.js';
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+
+const args = process.argv.slice(2);
+const FIT  = args.includes('--fit');
+const JSON_OUTPUT = args.includes('--json');
+const binsIdx = args.indexOf('--bins');
+const BINS = binsIdx >= 0 ? Number(args[binsIdx + 1]) || 5 : 5;
+const corpusArg = args.find((a, i) => !a.startsWith('--') && (binsIdx < 0 || i !== binsIdx + 1));
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function loadRouterConfig() {
+  try {
+    const config = JSON.parse(readFileSync(path.join(getPluginRoot(), 'artibot.config.json'), 'utf-8'));
+    return config.cognitive?.router ?? {};
+  } catch {
+    return {};
+  }
+}
+
+function printReport(title, report) {
+  const pct = (n) => `${(n * 100).toFixed(1)}%`;
+  console.log(`\n=== ${title} ===`);
+  console.log(`  threshold=${report.threshold} weights=${JSON.stringify(report.weights)} repoWeights=${JSON.stringify(report.repoWeights)}`);
+  console.log(`  samples=${report.total} accuracy=${pct(report.accuracy)}`);
+  console.log('\n  Confusion (rows=expected, cols=predicted)');
+  console.log('              S1     S2');
+  console.log(`    S1   ${String(report.confusion[1][1]).padStart(6)} ${String(report.confusion[1][2]).padStart(6)}`);
+  console.log(`    S2   ${String(report.confusion[2][1]).padStart(6)} ${String(report.confusion[2][2]).padStart(6)}`);
+  for (const sys of [1, 2]) {
+    const m = report.perSystem[sys];
+    console.log(`  System ${sys}: precision=${pct(m.precision)} recall=${pct(m.recall)} f1=${m.f1} support=${m.support}`);
+  }
+
+  console.log(`\n  Reliability (confidence -> accuracy), ECE=${report.calibration.ece}`);
+  for (const b of report.calibration.confidence) {
+    console.log(`    [${b.range[0].toFixed(2)}, ${b.range[1].toFixed(2)})  n=${String(b.count).padStart(4)}  conf=${b.meanConfidence.toFixed(2)}  acc=${b.accuracy.toFixed(2)}`);
+  }
+  console.log('\n  Score curve (score -> share labeled System 2)');
+  for (const b of report.calibration.score) {
+    console.log(`    [${b.range[0].toFixed(2)}, ${b.range[1].toFixed(2)})  n=${String(b.count).padStart(4)}  score=${b.meanScore.toFixed(2)}  s2=${b.system2Rate.toFixed(2)}`);
+  }
+
+  if (report.misrouted.length > 0) {
+    console.log('\n  Most confident misroutes');
+    for (const m of report.misrouted.slice(0, 10)) {
+      console.log(`    expected S${m.expected} got S${m.predicted} (score ${m.score}): ${m.prompt}`);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  if (!corpusArg) {
+    console.error('Usage: node scripts/eval-router.js <corpus.jsonl> [--fit] [--json] [--bins N]');
+    process.exit(1);
+  }
+
+  const routerConfig = loadRouterConfig();
+  configure({
+    threshold: routerConfig.threshold,
+    weights: routerConfig.weights,
+    repoWeights: routerConfig.repoWeights,
+    lexicons: routerConfig.lexicons,
+  });
+  // Load recorded outcomes, then detach so nothing is written back
+  configureCalibration({ persist: true });
+  configureCalibration({ persist: false });
+
+  const { samples, errors } = await loadCorpus(path.resolve(corpusArg));
+  for (const e of errors) {
+    console.error(`  line ${e.line}: ${e.message}`);
+  }
+  if (samples.length === 0) {
+    console.error('No valid samples in corpus.');
+    process.exit(1);
+  }
+
+  const features = extractFeatures(samples);
+  const report = evaluateRouting(features, { bins: BINS });
+  const fit = FIT ? fitWeights(features) : null;
+  const fittedReport = fit ? evaluateRouting(features, { weights: fit.weights, threshold: fit.threshold, bins: BINS }) : null;
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify({
+      report,
+      fit: fit ? { report: fittedReport, logLoss: fit.logLoss, config: buildConfigBlock(fit) } : null,
+      skippedLines: errors,
+    }, null, 2));
+    return;
+  }
+
+  printReport('Current router', report);
+  if (fit) {
+    printReport('Fitted router', fittedReport);
+    console.log('\n=== Proposed artibot.config.json block ===');
+    console.log(JSON.stringify(buildConfigBlock(fit), null, 2));
+  }
+}
+
+main().catch((err) => {
+  console.error('Router evaluation failed:', err.message);
+  process.exit(1);
+});
@@ -3,6 +3,23 @@
  * UserPromptSubmit hook - Cognitive Router.
  * Delegates to lib/cognitive/router.js for unified complexity classification.
  * Configures router with artibot.config.json values before each classification.
+ * Adaptive router state (threshold, history) is persisted between prompts
+ * unless cognitive.router.persist is false.
+ *
+ * When cognitive.router.repoSignals.enabled is set (off by default), git
+ * state around the prompt (referenced files, diff size, hot spots,
+ * migrations/infra) is fed to the router as additional factors. Prompts
+ * shorter than repoSignals.minPromptLength skip the git calls, and the
+ * calls together stay within repoSignals.budgetMs.
+ *
+ * `--explain` anywhere in the prompt appends a per-factor trace and the
+ * minimal change that would flip the routing decision.
+ *
+ * With persistence on, System 1 prompts are matched against learned
+ * patterns and the answer's confidence is kept as a pending prediction.
+ * Outcomes come only from real signals (recordPatternOutcome(), explicit
+ * feedback through recordFeedback(), task results); a prompt without one
+ * stays unresolved.
  *
  * Fallback: if router module import fails, uses simple keyword-based detection.
  */
@@ -22,12 +39,59 @@ const SYSTEM2_KEYWORDS = [
   '배포', '프로덕션', '복잡', '종합', '시스템',
 ];
 
+/** Prompt flag that requests a routing explanation */
+const EXPLAIN_FLAG = /(?:^|\s)--explain(?=\s|$)/gi;
+
+/**
+ * Remove the --explain flag from a prompt.
+ * @param {string} prompt
+ * @returns {{ prompt: string, explain: boolean }}
+ */
+export function stripExplainFlag(prompt) {
+  const stripped = prompt.replace(EXPLAIN_FLAG, '').trim();
+  return { prompt: stripped, explain: stripped !== prompt.trim() };
+}
+
+/**
+ * Whether an evidence value is worth printing (non-empty / non-zero).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasEvidence(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return Object.keys(value).length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Render an explainClassification() result as compact text lines.
+ * @param {ReturnType<import('../../lib/cognitive/router.js').explainClassification>} explanation
+ * @returns {string}
+ */
+export function formatExplanation(explanation) {
+  const lines = [
+    `[cognitive:explain] score=${explanation.score} threshold=${explanation.threshold} -> SYSTEM${explanation.system}`
+      + ` confidence=${explanation.confidence} (uncalibrated ${explanation.rawConfidence})`,
+  ];
+
+  for (const [name, f] of Object.entries(explanation.factors)) {
+    const fired = Object.entries(f.evidence)
+      .filter(([, v]) => hasEvidence(v))
+      .map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`)
+      .join(' ');
+    lines.push(`  ${name}: ${f.value} x ${f.weight} = ${f.contribution}${fired ? ` | ${fired}` : ''}`);
+  }
+
+  lines.push(`  flip to SYSTEM${explanation.counterfactual.targetSystem}: ${explanation.counterfactual.minimal}`);
+  return lines.join('\n');
+}
+
 /**
  * Load cognitive config from artibot.config.json.
  */
 function loadConfig() {
   const defaults = {
-    router: { threshold: 0.4, adaptRate: 0.05 },
+    router: { threshold: 0.4, adaptRate: 0.05, persist: true },
     system1: { maxLatency: 100, minConfidence: 0.6 },
     system2: { maxRetries: 3, sandboxEnabled: true },
   };
@@ -41,12 +105,34 @@ function loadConfig() {
   }
 }
 
+/**
+ * Record the learned pattern's answer to a System 1 prompt as a pending
+ * prediction. Best-effort: pattern lookup never blocks routing.
+ * @param {string} pluginRoot
+ * @param {string} prompt
+ * @param {object} [system1Config] - cognitive.system1 config
+ * @returns {Promise<string>} Message suffix naming the matched pattern, or ''
+ */
+async function predictPattern(pluginRoot, prompt, system1Config) {
+  try {
+    const { configure, fastResponse } = await import(
+      toFileUrl(path.join(pluginRoot, 'lib', 'cognitive', 'system1.js'))
+    );
+    configure(system1Config);
+    const answer = await fastResponse(prompt);
+    return answer.patternId ? ` | pattern=${answer.patternId} confidence=${answer.confidence}` : '';
+  } catch {
+    return '';
+  }
+}
+
 async function main() {
   const raw = await readStdin();
   const hookData = parseJSON(raw);
 
-  const prompt = hookData?.user_prompt || hookData?.content || '';
-  if (!prompt) return;
+  const rawPrompt = hookData?.user_prompt || hookData?.content || '';
+  if (!rawPrompt) return;
+  const { prompt, explain } = stripExplainFlag(rawPrompt);
 
   const config = loadConfig();
   const pluginRoot = getPluginRoot();
@@ -54,19 +140,44 @@ async function main() {
   // Delegate to the unified cognitive router module + intent detection
   try {
     const routerPath = path.join(pluginRoot, 'lib', 'cognitive', 'router.js');
-    const { configure, classifyComplexity } = await import(
+    const { configure, explainClassification, route } = await import(
       toFileUrl(routerPath)
     );
+    const cwd = hookData?.cwd || process.cwd();
 
-    // Sync config values (threshold, adaptRate) from artibot.config.json
+    // Sync config values (threshold, adaptRate, weights) and restore persisted state
     configure({
       threshold: config.router?.threshold,
       adaptRate: config.router?.adaptRate,
+      weights: config.router?.weights,
+      repoWeights: config.router?.repoWeights,
+      lexicons: config.router?.lexicons,
+      cwd,
+      persist: config.router?.persist !== false,
     });
 
-    // Classify using the unified 5-factor model
-    const result = classifyComplexity(prompt);
+    // Repository signals (best-effort; absent when disabled or unavailable)
+    const context = {};
+    if (config.router?.repoSignals?.enabled) {
+      const { collectRepoSignals, shouldCollectRepoSignals } = await import(
+        toFileUrl(path.join(pluginRoot, 'lib', 'cognitive', 'repo-signals.js'))
+      );
+      if (shouldCollectRepoSignals(prompt, config.router.repoSignals)) {
+        context.repo = collectRepoSignals(prompt, {
+          cwd,
+          timeoutMs: config.router.repoSignals.timeoutMs,
+          budgetMs: config.router.repoSignals.budgetMs,
+          hotspotDays: config.router.repoSignals.hotspotDays,
+        });
+      }
+    }
+
+    // Classify using the unified 5-factor model and record it in history
+    const result = route(prompt, context).classification;
     const system = result.system === 1 ? 'system1' : 'system2';
+    const patternInfo = result.system === 1 && config.router?.persist !== false
+      ? await predictPattern(pluginRoot, prompt, config.system1)
+      : '';
 
     // Enrich with intent detection from lib/intent
     let intentInfo = '';
@@ -93,8 +204,10 @@ async function main() {
       // Intent module unavailable — continue without it
     }
 
+    const explainInfo = explain ? `\n${formatExplanation(explainClassification(prompt, context))}` : '';
+
     writeStdout({
-      message: `[cognitive] ${system.toUpperCase()} | complexity=${result.score} confidence=${result.confidence} factors=${JSON.stringify(result.factors)} | threshold=${result.threshold}${intentInfo}`,
+      message: `[cognitive] ${system.toUpperCase()} | complexity=${result.score} confidence=${result.confidence} factors=${JSON.stringify(result.factors)} | threshold=${result.threshold}${patternInfo}${intentInfo}${explainInfo}`,
     });
   } catch (err) {
     // Fallback: simple keyword-based routing if router module fails
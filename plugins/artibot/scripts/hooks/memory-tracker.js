@@ -2,94 +2,74 @@
 /**
  * Memory tracker hook.
  * Collects and persists memories at session lifecycle events:
- * - SessionStart: loads previous memories and injects relevant context
+ * - SessionStart: scrubs memories saved before PII scrubbing, then loads
+ *   previous memories and injects relevant context
  * - SessionEnd: summarizes session and saves learnings
  * - Error events: saves error pattern + resolution pairs
  *
+ * Memories are written through memory-manager, so `learning.memoryScopes`
+ * applies: session summaries, errors and commands land in the project scope
+ * of the hook's working directory (the user scope outside a project), and
+ * entries are scrubbed of PII under `learning.memoryScrubbing`.
+ *
  * Designed to be invoked by the hook system with event data on stdin.
  */
 
-import { parseJSON, readStdin, writeStdout } from '../utils/index.js';
+import { getPluginRoot, parseJSON, readStdin, writeStdout } from '../utils/index.js';
 import path from 'node:path';
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { readFileSync } from 'node:fs';
 import { logHookError, createErrorHandler } from '../../lib/core/hook-utils.js';
+import {
+  configure,
+  configureScrubbing,
+  loadMemories,
+  saveMemory,
+  scrubStoredMemories,
+} from '../../lib/learning/memory-manager.js';
 
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
-const MEMORY_STORE_FILES = {
-  userPreferences: 'user-preferences.json',
-  projectContexts: 'project-contexts.json',
-  commandHistory: 'command-history.json',
-  errorPatterns: 'error-patterns.json',
-};
-
-const MAX_COMMAND_HISTORY = 500;
-const MAX_ERROR_PATTERNS = 200;
-
-// ---------------------------------------------------------------------------
-// Path Helpers
-// ---------------------------------------------------------------------------
-
-function getMemoryDir() {
-  const home = process.env.USERPROFILE || process.env.HOME || '';
-  return path.join(home, '.claude', 'artibot', 'memory');
-}
-
-function getStorePath(storeKey) {
-  return path.join(getMemoryDir(), MEMORY_STORE_FILES[storeKey]);
-}
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // ---------------------------------------------------------------------------
-// File Helpers (sync for hook scripts)
+// Config
 // ---------------------------------------------------------------------------
 
-function loadStoreSync(storeKey) {
-  const filePath = getStorePath(storeKey);
+/**
+ * Apply `learning.memoryScopes` and `learning.memoryScrubbing` from
+ * artibot.config.json. An unreadable config keeps the defaults.
+ */
+function loadMemoryPolicy() {
   try {
-    const content = readFileSync(filePath, 'utf-8');
-    return JSON.parse(content);
+    const configPath = path.join(getPluginRoot(), 'artibot.config.json');
+    const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+    configure(config.learning?.memoryScopes);
+    configureScrubbing(config.learning?.memoryScrubbing);
   } catch {
-    return { entries: [], metadata: { createdAt: new Date().toISOString() } };
+    // Default scopes and policy
   }
 }
 
-function saveStoreSync(storeKey, store) {
-  const memDir = getMemoryDir();
-  mkdirSync(memDir, { recursive: true });
-  const updated = {
-    ...store,
-    metadata: { ...store.metadata, updatedAt: new Date().toISOString() },
-  };
-  writeFileSync(getStorePath(storeKey), JSON.stringify(updated, null, 2), 'utf-8');
-}
-
 // ---------------------------------------------------------------------------
 // Event Handlers
 // ---------------------------------------------------------------------------
 
 /**
- * Handle SessionStart: load previous memories, return relevant context.
+ * Handle SessionStart: scrub legacy entries, load previous memories,
+ * return relevant context.
  * @param {object} hookData
- * @returns {object} Message for stdout
+ * @returns {Promise<object>} Message for stdout
  */
-function handleSessionStart(_hookData) {
-  const memDir = getMemoryDir();
-  if (!existsSync(memDir)) {
-    return { message: 'Memory system: no previous memories found.' };
-  }
-
-  // Load preferences and recent project contexts
-  const prefs = loadStoreSync('userPreferences');
-  const contexts = loadStoreSync('projectContexts');
-
-  const activePrefs = prefs.entries.filter((e) => !isExpired(e));
-  const recentContexts = contexts.entries
-    .filter((e) => !isExpired(e))
-    .slice(-5);
-
-  const prefCount = activePrefs.length;
+async function handleSessionStart(hookData) {
+  const cwd = getCwd(hookData);
+  // Entries saved before scrubbing existed; cheap once they are migrated
+  await scrubStoredMemories({ cwd });
+  const prefs = await loadMemories('preference', { cwd });
+  const recentContexts = (await loadMemories('context', { cwd })).slice(-5);
+
+  const prefCount = prefs.length;
   const contextCount = recentContexts.length;
 
   if (prefCount === 0 && contextCount === 0) {
@@ -108,103 +88,80 @@ function handleSessionStart(_hookData) {
 /**
  * Handle SessionEnd: summarize session and save to project contexts.
  * @param {object} hookData
+ * @returns {Promise<void>}
  */
-function handleSessionEnd(hookData) {
+async function handleSessionEnd(hookData) {
+  const cwd = getCwd(hookData);
   const summary = {
     sessionId: hookData?.session_id || null,
-    project: hookData?.project || path.basename(process.cwd()),
+    project: hookData?.project || path.basename(cwd),
     endedAt: new Date().toISOString(),
-    cwd: process.cwd(),
+    cwd,
     metadata: {
       platform: process.platform,
       nodeVersion: process.version,
     },
   };
 
-  // Save session summary to project contexts
-  const store = loadStoreSync('projectContexts');
-  const entry = {
-    id: `context_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-    type: 'context',
-    data: summary,
+  await saveMemory('context', summary, {
     tags: ['session-summary', summary.project].filter(Boolean),
     source: 'memory-tracker',
-    createdAt: new Date().toISOString(),
-    expiresAt: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString(),
-    accessCount: 0,
-    lastAccessedAt: null,
-  };
-
-  // Keep only non-expired entries, enforce reasonable limits
-  const kept = store.entries.filter((e) => !isExpired(e)).slice(-100);
-  saveStoreSync('projectContexts', { ...store, entries: [...kept, entry] });
+    ttl: 90 * DAY_MS,
+    cwd,
+  });
 }
 
 /**
  * Handle error events: save error pattern + resolution.
  * @param {object} hookData
+ * @returns {Promise<void>}
  */
-function handleError(hookData) {
+async function handleError(hookData) {
   const errorData = hookData?.error || hookData;
-
-  const entry = {
-    id: `error_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-    type: 'error',
-    data: {
-      message: errorData?.message || String(errorData),
-      command: errorData?.command || null,
-      file: errorData?.file || null,
-      resolution: errorData?.resolution || null,
-      project: path.basename(process.cwd()),
-    },
+  const cwd = getCwd(hookData);
+
+  await saveMemory('error', {
+    message: errorData?.message || String(errorData),
+    command: errorData?.command || null,
+    file: errorData?.file || null,
+    resolution: errorData?.resolution || null,
+    project: path.basename(cwd),
+  }, {
     tags: extractErrorTags(errorData),
     source: 'memory-tracker',
-    createdAt: new Date().toISOString(),
-    expiresAt: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString(),
-    accessCount: 0,
-    lastAccessedAt: null,
-  };
-
-  const store = loadStoreSync('errorPatterns');
-  const kept = store.entries.filter((e) => !isExpired(e)).slice(-(MAX_ERROR_PATTERNS - 1));
-  saveStoreSync('errorPatterns', { ...store, entries: [...kept, entry] });
+    ttl: 90 * DAY_MS,
+    cwd,
+  });
 }
 
 /**
  * Handle command events: track command usage.
  * @param {object} hookData
+ * @returns {Promise<void>}
  */
-function handleCommand(hookData) {
+async function handleCommand(hookData) {
   const commandData = hookData?.command || hookData;
+  const cwd = getCwd(hookData);
 
-  const entry = {
-    id: `command_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-    type: 'command',
-    data: {
-      command: typeof commandData === 'string' ? commandData : commandData?.name || 'unknown',
-      args: commandData?.args || null,
-      project: path.basename(process.cwd()),
-    },
+  await saveMemory('command', {
+    command: typeof commandData === 'string' ? commandData : commandData?.name || 'unknown',
+    args: commandData?.args || null,
+    project: path.basename(cwd),
+  }, {
     tags: extractCommandTags(commandData),
     source: 'memory-tracker',
-    createdAt: new Date().toISOString(),
-    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-    accessCount: 0,
-    lastAccessedAt: null,
-  };
-
-  const store = loadStoreSync('commandHistory');
-  const kept = store.entries.filter((e) => !isExpired(e)).slice(-(MAX_COMMAND_HISTORY - 1));
-  saveStoreSync('commandHistory', { ...store, entries: [...kept, entry] });
+    ttl: 7 * DAY_MS,
+    cwd,
+  });
 }
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
-function isExpired(entry) {
-  if (!entry.expiresAt) return false;
-  return new Date(entry.expiresAt).getTime() < Date.now();
+/** Working directory the memories belong to: the hook's `cwd`, else the process's. */
+function getCwd(hookData) {
+  return hookData?.cwd || process.cwd();
 }
 
 function extractErrorTags(errorData) {
@@ -252,31 +209,32 @@ async function main() {
   const hookData = parseJSON(raw);
 
   const eventType = hookData?.event_type || hookData?.hook_type || 'unknown';
+  loadMemoryPolicy();
 
   try {
     switch (eventType) {
       case 'SessionStart':
       case 'session_start': {
-        const result = handleSessionStart(hookData);
+        const result = await handleSessionStart(hookData);
         writeStdout(result);
         break;
       }
       case 'SessionEnd':
       case 'session_end':
-        handleSessionEnd(hookData);
+        await handleSessionEnd(hookData);
         break;
       case 'error':
       case 'Error':
-        handleError(hookData);
+        await handleError(hookData);
         break;
       case 'command':
       case 'Command':
-        handleCommand(hookData);
+        await handleCommand(hookData);
         break;
       default:
         // For unrecognized events, attempt error tracking if error data present
         if (hookData?.error) {
-          handleError(hookData);
+          await handleError(hookData);
         }
         break;
     }
@@ -2,12 +2,37 @@
 /**
  * PreCompact hook.
  * Saves current in-progress task state to a temporary file before compaction.
+ * System 2 plans with a 'running' checkpoint are listed in the snapshot and
+ * in the hook message so they can be continued with resume(taskId).
  */
 
 import { parseJSON, readStdin, writeStdout } from '../utils/index.js';
 import path from 'node:path';
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
 import { createErrorHandler, getClaudeDir, getStatePath, logHookError } from '../../lib/core/hook-utils.js';
+import { listCheckpoints } from '../../lib/cognitive/plan-checkpoint.js';
+
+/** Maximum interrupted plans mentioned in the hook message */
+const MAX_LISTED_PLANS = 5;
+
+/**
+ * Describe interrupted System 2 plans for the post-compaction context.
+ * @param {ReturnType<typeof listCheckpoints>} plans
+ * @returns {string}
+ */
+export function formatInterruptedPlans(plans) {
+  if (plans.length === 0) return '';
+  const lines = plans.slice(0, MAX_LISTED_PLANS).map((p) =>
+    `  - ${p.taskId}: attempt ${p.attempt}, ${p.stepsCompleted}/${p.stepsTotal} steps done`,
+  );
+  if (plans.length > MAX_LISTED_PLANS) {
+    lines.push(`  - ... and ${plans.length - MAX_LISTED_PLANS} more`);
+  }
+  return [
+    '[compact] Interrupted System 2 plan(s) checkpointed; continue with resume(taskId) from lib/cognitive:',
+    ...lines,
+  ].join('\n');
+}
 
 async function main() {
   const raw = await readStdin();
@@ -27,19 +52,24 @@ async function main() {
     }
   }
 
+  // Plans still running when compaction hits
+  const interruptedPlans = listCheckpoints({ status: 'running' });
+
   // Save snapshot before compaction
   const snapshot = {
     savedAt: new Date().toISOString(),
     reason: 'pre-compact',
     state: currentState,
+    interruptedPlans,
     hookData: hookData || {},
   };
 
   try {
     mkdirSync(claudeDir, { recursive: true });
     writeFileSync(compactBackupPath, JSON.stringify(snapshot, null, 2), 'utf-8');
+    const plansInfo = formatInterruptedPlans(interruptedPlans);
     writeStdout({
-      message: '[compact] Task state saved before compaction.',
+      message: `[compact] Task state saved before compaction.${plansInfo ? `\n${plansInfo}` : ''}`,
     });
   } catch (err) {
     logHookError('pre-compact', 'Failed to save snapshot', err);
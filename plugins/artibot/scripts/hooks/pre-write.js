@@ -2,11 +2,21 @@
 /**
  * PreToolUse hook for Write/Edit.
  * Warns if the target file is a sensitive file (.env, credentials, keys, etc.).
+ * Findings can be allowed, downgraded or escalated per path with `tool: "write"`
+ * rules in the user policy; .artibot/policy.json may only escalate them
+ * (see lib/core/policy.js).
  */
 
 import { parseJSON, readStdin, writeStdout } from '../utils/index.js';
 import path from 'node:path';
-import { createErrorHandler, extractFilePath, matchesPathPattern } from '../../lib/core/hook-utils.js';
+import {
+  createErrorHandler,
+  extractFilePath,
+  logHookError,
+  matchesPathPattern,
+  toHookDecision,
+} from '../../lib/core/hook-utils.js';
+import { DECISION_PREFIXES, describeDecisionRule, evaluateWritePolicy, loadPolicy } from '../../lib/core/policy.js';
 
 const SENSITIVE_PATTERNS = [
   /\.env($|\.)/i,
@@ -55,6 +65,47 @@ const SECRET_CONTENT_PATTERNS = [
   /\bsk-[A-Za-z0-9]{20,}\b/g,
 ];
 
+/** Built-in write findings reported to the policy */
+const FINDINGS = {
+  sensitiveFile: { id: 'sensitive-file', label: 'sensitive file' },
+  hardcodedSecret: { id: 'hardcoded-secret', label: 'hardcoded secret' },
+};
+
+/**
+ * Whether content (ignoring comment lines) contains a hardcoded secret.
+ * @param {string} content
+ * @returns {boolean}
+ */
+function containsSecret(content) {
+  const nonCommentLines = content
+    .split('\n')
+    .filter((line) => !/^\s*(\/\/|#|\/\*)/.test(line))
+    .join('\n');
+  return SECRET_CONTENT_PATTERNS.some((secretPattern) => {
+    secretPattern.lastIndex = 0;
+    return secretPattern.test(nonCommentLines);
+  });
+}
+
+/**
+ * Hook message for a policy decision.
+ * @param {import('../../lib/core/policy.js').PolicyDecision} decision
+ * @param {string} basename - Target file name
+ * @returns {string|undefined}
+ */
+function formatReason(decision, basename) {
+  if (decision.ruleId === FINDINGS.sensitiveFile.id && decision.source === 'builtin') {
+    return `SECURITY WARNING: "${basename}" appears to be a sensitive file. Writing to credential or secret files is blocked by default. If intentional, add an allow rule for "${decision.ruleId}" to ~/.claude/artibot/policy.json.`;
+  }
+  if (decision.ruleId === FINDINGS.hardcodedSecret.id && decision.source === 'builtin') {
+    return `SECURITY WARNING: The content being written appears to contain a hardcoded secret or credential. Writing hardcoded secrets is blocked by default. Remove the secret and use environment variables or a secrets manager instead (rule: ${decision.ruleId}).`;
+  }
+  if (decision.ruleId === null) return undefined;
+  const matched = decision.label ? ` matched "${decision.label}"` : '';
+  const note = decision.reason ? ` ${decision.reason}` : '';
+  return `${DECISION_PREFIXES[decision.action]}: ${describeDecisionRule(decision)}${matched}. File: "${basename}".${note}`;
+}
+
 async function main() {
   const raw = await readStdin();
   const hookData = parseJSON(raw);
@@ -65,39 +116,24 @@ async function main() {
     return;
   }
 
+  const findings = [];
   const basename = path.basename(filePath);
-  const isSensitive =
-    SENSITIVE_FILENAMES.has(basename) ||
-    matchesPathPattern(basename, SENSITIVE_PATTERNS);
-
-  if (isSensitive) {
-    writeStdout({
-      decision: 'block',
-      reason: `SECURITY WARNING: "${basename}" appears to be a sensitive file. Writing to credential or secret files is blocked by default. If intentional, remove this hook temporarily.`,
-    });
-    return;
+  if (SENSITIVE_FILENAMES.has(basename) || matchesPathPattern(basename, SENSITIVE_PATTERNS)) {
+    findings.push(FINDINGS.sensitiveFile);
   }
 
   // Check content for hardcoded secrets (H3)
   const content = hookData?.tool_input?.content || hookData?.tool_input?.new_string || '';
-  if (content) {
-    const nonCommentLines = content
-      .split('\n')
-      .filter((line) => !/^\s*(\/\/|#|\/\*)/.test(line))
-      .join('\n');
-    for (const secretPattern of SECRET_CONTENT_PATTERNS) {
-      secretPattern.lastIndex = 0;
-      if (secretPattern.test(nonCommentLines)) {
-        writeStdout({
-          decision: 'block',
-          reason: `SECURITY WARNING: The content being written appears to contain a hardcoded secret or credential. Writing hardcoded secrets is blocked by default. Remove the secret and use environment variables or a secrets manager instead.`,
-        });
-        return;
-      }
-    }
+  if (content && containsSecret(content)) {
+    findings.push(FINDINGS.hardcodedSecret);
   }
 
-  writeStdout({ decision: 'approve' });
+  const cwd = hookData?.cwd || process.cwd();
+  const policy = loadPolicy({ cwd });
+  for (const error of policy.errors) logHookError('pre-write', `ignoring invalid policy: ${error}`);
+
+  const decision = evaluateWritePolicy(filePath, findings, { policy, cwd });
+  writeStdout(toHookDecision(decision.action, formatReason(decision, basename)));
 }
 
 main().catch(createErrorHandler('pre-write', {
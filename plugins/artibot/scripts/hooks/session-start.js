@@ -1,7 +1,9 @@
 #!/usr/bin/env node
 /**
  * SessionStart hook.
- * Detects environment, loads config, restores previous session state.
+ * Detects environment, loads config, restores previous session state and
+ * prunes System 2 plan checkpoints older than
+ * cognitive.system2.checkpointTtlDays (default 7).
  * Outputs a welcome message to stdout.
  */
 
@@ -11,6 +13,10 @@ import path from 'node:path';
 import os from 'node:os';
 import { checkForUpdate } from '../../lib/core/version-checker.js';
 import { createErrorHandler } from '../../lib/core/hook-utils.js';
+import { CHECKPOINT_TTL_MS, pruneCheckpoints } from '../../lib/cognitive/plan-checkpoint.js';
+
+/** Milliseconds per day */
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 async function main() {
   const raw = await readStdin();
@@ -59,6 +65,14 @@ async function main() {
     }
   }
 
+  // Expire checkpoints of plans that crashed or were abandoned
+  try {
+    const ttlDays = config.cognitive?.system2?.checkpointTtlDays;
+    pruneCheckpoints({ maxAgeMs: typeof ttlDays === 'number' ? ttlDays * DAY_MS : CHECKPOINT_TTL_MS });
+  } catch {
+    // Never block session start on cleanup failures
+  }
+
   const version = config.version || '1.0.0';
   const restored = previousState ? ` | Session restored from ${previousState.startedAt || 'unknown'}` : '';
 
@@ -5,12 +5,41 @@
  * and error events. Integrates with the TUI module for visual output.
  *
  * Usage: node workflow-status.js <event-type>
- * Events: teammate-update | task-complete | task-error | workflow-advance
+ * Events: teammate-update | task-complete | task-error | workflow-start | workflow-advance
+ *
+ * With a team name, `workflow-start` creates the team's playbook run and
+ * `workflow-advance` applies a phase event to it:
+ * `{ team_name, phase: '<phase id>', event?: 'criterion'|'complete'|'fail', criterion?, reason?, force? }`
+ * (`event` defaults to 'complete'). A numeric `phase` only moves the
+ * built-in phase table.
+ *
+ * `workflow-start` runs as a PostToolUse hook on TeamCreate (hooks.json),
+ * taking the team from `tool_input.team_name` and the playbook from the
+ * orchestrator's team naming convention (`feat-*` -> feature, `fix-*` ->
+ * bugfix, ...). The orchestrator agent sends `workflow-advance` itself at
+ * each phase gate (agents/orchestrator.md).
  */
 
 import { atomicWriteSync, parseJSON, readStdin, writeStdout } from '../utils/index.js';
 import { existsSync, readFileSync } from 'node:fs';
 import { createErrorHandler, extractAgentId, extractAgentRole, getStatePath as getStateFilePath } from '../../lib/core/hook-utils.js';
+import { loadConfig } from '../../lib/core/config.js';
+import {
+  createPlaybookRun,
+  getCurrentPhaseIndex,
+  loadPlaybookRun,
+  loadPlaybooks,
+  savePlaybookRun,
+  transition,
+} from '../../lib/core/playbook.js';
+
+/** Team name prefixes of the orchestrator playbooks (agents/orchestrator.md) */
+const TEAM_PLAYBOOKS = [
+  ['feat-', 'feature'],
+  ['fix-', 'bugfix'],
+  ['refactor-', 'refactor'],
+  ['security-audit-', 'security'],
+];
 
 const PHASE_NAMES = {
   feature: ['Plan', 'Design', 'Implement', 'Review', 'Test', 'Merge'],
@@ -49,6 +78,71 @@ function addEvent(state, type, agent, message) {
   }
 }
 
+/**
+ * Phase names and current index for the summary line. A persisted playbook
+ * run for the team takes precedence over the built-in phase tables.
+ */
+function describeWorkflow(workflow, run) {
+  if (run) {
+    return {
+      phases: run.playbook.phases.map((p) => p.name),
+      index: getCurrentPhaseIndex(run),
+    };
+  }
+  return {
+    phases: PHASE_NAMES[workflow.playbook] || PHASE_NAMES.feature,
+    index: workflow.currentPhase,
+  };
+}
+
+/**
+ * Create and persist a run of the named playbook for a team.
+ * Returns null when no playbook of that name compiles.
+ */
+async function startPlaybookRun(team, name) {
+  let config = {};
+  try {
+    config = await loadConfig();
+  } catch {
+    // User and project playbooks only
+  }
+  const playbook = loadPlaybooks(config).playbooks[name];
+  return playbook ? savePlaybookRun(createPlaybookRun(team, playbook)) : null;
+}
+
+/**
+ * Apply the phase event in hookData to a team's run (started on demand) and
+ * persist it. Rejected events leave the run unchanged and are reported.
+ */
+async function advancePlaybookRun(state, team, playbook, hookData, agentId) {
+  const run = loadPlaybookRun(team) ?? await startPlaybookRun(team, playbook);
+  if (!run || typeof hookData?.phase !== 'string') return run;
+
+  const event = {
+    type: hookData.event || 'complete',
+    phase: hookData.phase,
+    ...(hookData.criterion && { criterion: hookData.criterion }),
+    ...(hookData.reason && { reason: hookData.reason }),
+    ...(hookData.force === true && { force: true }),
+  };
+  const result = transition(run, event);
+  if (!result.ok) {
+    addEvent(state, 'warning', agentId, `Playbook ${event.type} rejected: ${result.reason}`);
+    return run;
+  }
+  return savePlaybookRun(result.run);
+}
+
+/**
+ * Playbook named in hookData, else the one the team name follows, else 'feature'.
+ */
+function resolvePlaybookName(hookData, team) {
+  const named = hookData?.playbook || hookData?.tool_input?.playbook;
+  if (named) return named;
+  const convention = TEAM_PLAYBOOKS.find(([prefix]) => String(team ?? '').startsWith(prefix));
+  return convention ? convention[1] : 'feature';
+}
+
 function mapAgentStatus(agent) {
   if (!agent.active) return 'idle';
   if (agent.blocked) return 'blocked';
@@ -80,6 +174,7 @@ async function main() {
 
   const agentId = extractAgentId(hookData);
   const agentRole = extractAgentRole(hookData, '');
+  let playbookRun = null;
 
   switch (eventType) {
     case 'teammate-update': {
@@ -138,18 +233,38 @@ async function main() {
       break;
     }
 
+    case 'workflow-start': {
+      const team = hookData?.team_name || hookData?.team || hookData?.tool_input?.team_name;
+      const playbook = resolvePlaybookName(hookData, team);
+      playbookRun = team ? await startPlaybookRun(team, playbook) : null;
+
+      state.workflow = {
+        playbook,
+        currentPhase: 0,
+        ...(team && { team }),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const started = playbookRun ? `Playbook "${playbook}" started for ${team}` : `Workflow started: ${playbook}`;
+      addEvent(state, 'action', agentId || 'orchestrator', started);
+      break;
+    }
+
     case 'workflow-advance': {
       const phase = hookData?.phase ?? hookData?.step ?? 0;
       const playbook = hookData?.playbook || state.workflow?.playbook || 'feature';
+      const team = hookData?.team_name || hookData?.team || state.workflow?.team;
+      playbookRun = team ? await advancePlaybookRun(state, team, playbook, hookData, agentId || 'orchestrator') : null;
 
       state.workflow = {
         playbook,
-        currentPhase: phase,
+        currentPhase: playbookRun ? getCurrentPhaseIndex(playbookRun) : phase,
+        ...(team && { team }),
         updatedAt: new Date().toISOString(),
       };
 
-      const phases = PHASE_NAMES[playbook] || PHASE_NAMES.feature;
-      const phaseName = phases[phase] || `Phase ${phase}`;
+      const { phases, index } = describeWorkflow(state.workflow, playbookRun);
+      const phaseName = phases[index] || `Phase ${index}`;
 
       addEvent(state, 'action', agentId || 'orchestrator', `Workflow advanced to: ${phaseName}`);
       break;
@@ -176,9 +291,10 @@ async function main() {
   if (errorCnt > 0) parts.push(`ERRORS: ${errorCnt}`);
 
   if (state.workflow) {
-    const phases = PHASE_NAMES[state.workflow.playbook] || PHASE_NAMES.feature;
-    const currentName = phases[state.workflow.currentPhase] || '?';
-    parts.push(`Phase: ${currentName} (${state.workflow.currentPhase + 1}/${phases.length})`);
+    const run = playbookRun ?? (state.workflow.team ? loadPlaybookRun(state.workflow.team) : null);
+    const { phases, index } = describeWorkflow(state.workflow, run);
+    const currentName = phases[index] || (run?.status === 'completed' ? 'done' : '?');
+    parts.push(`Phase: ${currentName} (${Math.min(index + 1, phases.length)}/${phases.length})`);
   }
 
   writeStdout({ message: parts.join(' | ') });
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * memory.js - Inspect, search and forget Artibot memories.
+ *
+ * Applies `learning.memoryScopes` and `learning.memoryScrubbing` from
+ * artibot.config.json, then runs one memory-cli command. Backs `/learn memory`.
+ *
+ * Usage:
+ *   node scripts/memory.js <command> [args] [--json] [--scope s] [--type t] ...
+ *
+ * Examples:
+ *   node scripts/memory.js search "auth failure" --json
+ *   node scripts/memory.js pin error_1712_ab12cd
+ *   node scripts/memory.js forget --query "old staging host" --yes
+ *
+ * Exits 1 on invalid arguments or an unknown entry id.
+ */
+
+import { loadConfig } from '../lib/core/config.js';
+import { configure, configureScrubbing } from '../lib/learning/memory-manager.js';
+import { formatMemoryResult, MEMORY_CLI_USAGE, parseMemoryArgs, runMemoryCommand } from '../lib/learning/memory-cli.js';
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv.length === 0 || argv.includes('--help') || argv.includes('-h')) {
+    console.log(MEMORY_CLI_USAGE);
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseMemoryArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${MEMORY_CLI_USAGE}`);
+    process.exit(1);
+  }
+
+  try {
+    const { learning } = await loadConfig();
+    configure(learning?.memoryScopes);
+    configureScrubbing(learning?.memoryScrubbing);
+  } catch {
+    // Default scopes and scrubbing
+  }
+
+  const result = await runMemoryCommand(parsed);
+  console.log(parsed.options.json ? JSON.stringify(result, null, 2) : formatMemoryResult(result));
+}
+
+main().catch((err) => {
+  console.error('Memory command failed:', err.message);
+  process.exit(1);
+});
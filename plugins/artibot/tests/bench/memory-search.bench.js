@@ -0,0 +1,137 @@
+/**
+ * Memory search benchmarks: the inverted index against the previous full
+ * scan, which recomputed document frequencies over every entry's tags for
+ * each query term and entry. The hybrid line adds the semantic layer on top
+ * of the index.
+ *
+ * Run: npx vitest bench tests/bench/memory-search.bench.js
+ * @module tests/bench/memory-search
+ */
+
+import { afterAll, bench, describe } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { configure, resetMemoryScopes, searchMemory } from '../../lib/learning/memory-manager.js';
+import { readJsonFile } from '../../lib/core/file.js';
+
+// ---------------------------------------------------------------------------
+// Fixture: stores written straight to a temporary user scope
+// ---------------------------------------------------------------------------
+
+const SIZES = [500, 2000, 5000];
+const STORE_FILE = 'project-contexts.json';
+
+/** Terms of decreasing popularity: in roughly 27%, 11%, 2% and 0.2% of entries */
+const QUERY = 'term1 term5 term40 term300';
+
+/** Deterministic PRNG (mulberry32) so every run indexes the same corpus */
+function prng(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Entries with 12 tags drawn from a skewed vocabulary, so that like real
+ * memories (commands, project names, "session-summary") a few tags recur
+ * in a large share of entries.
+ */
+function buildStore(size) {
+  const random = prng(size);
+  const vocabulary = Array.from({ length: 3000 }, (_, i) => `term${i}`);
+  const now = Date.now();
+  const entries = Array.from({ length: size }, (_, i) => ({
+    id: `context_${i}`,
+    type: 'context',
+    data: { note: `entry ${i}` },
+    tags: Array.from({ length: 12 }, () => vocabulary[Math.floor(vocabulary.length * random() ** 4)]),
+    createdAt: new Date(now - i * 60_000).toISOString(),
+    expiresAt: null,
+    accessCount: 0,
+  }));
+  return { entries, metadata: { createdAt: new Date(now).toISOString(), updatedAt: new Date(now).toISOString() } };
+}
+
+const homes = new Map();
+for (const size of SIZES) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), `artibot-memory-bench-${size}-`));
+  fs.mkdirSync(path.join(home, 'memory'));
+  fs.writeFileSync(path.join(home, 'memory', STORE_FILE), JSON.stringify(buildStore(size)));
+  homes.set(size, home);
+
+  // Build and persist the index once, as the first search after a write does
+  configure({ user: home });
+  await searchMemory(QUERY, { scopes: ['user'], types: ['context'] });
+}
+resetMemoryScopes();
+
+afterAll(() => {
+  resetMemoryScopes();
+  for (const home of homes.values()) fs.rmSync(home, { recursive: true, force: true });
+});
+
+// ---------------------------------------------------------------------------
+// Previous implementation: TF-IDF over a full scan of the store
+// ---------------------------------------------------------------------------
+
+async function fullScanSearch(home, query) {
+  const tokens = query.toLowerCase().split(/[\s,./\\:;|_\-@#]+/).filter((t) => t.length >= 2);
+  const store = await readJsonFile(path.join(home, 'memory', STORE_FILE));
+  const active = store.entries.filter((e) => !e.expiresAt || new Date(e.expiresAt).getTime() >= Date.now());
+  const allDocTags = active.map((e) => e.tags || []);
+
+  const results = [];
+  for (const entry of active) {
+    const docTags = entry.tags || [];
+    let tfidfSum = 0;
+    for (const term of tokens) {
+      const tf = docTags.length > 0 ? docTags.filter((t) => t === term).length / docTags.length : 0;
+      if (tf === 0) continue;
+      const df = allDocTags.filter((tags) => tags.includes(term)).length;
+      tfidfSum += tf * (Math.log((allDocTags.length + 1) / (df + 1)) + 1);
+    }
+    const tfidfScore = Math.min(1.0, tfidfSum / tokens.length);
+    const recencyScore = Math.max(0, 1 - (Date.now() - new Date(entry.createdAt).getTime()) / (90 * 24 * 60 * 60 * 1000));
+    const score = tfidfScore * 0.6 + recencyScore * 0.25 + 0.15 * (tfidfScore > 0 ? 1 : 0);
+    if (score >= 0.1) results.push({ entry, score });
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, 10);
+}
+
+// ---------------------------------------------------------------------------
+// Benchmarks
+// ---------------------------------------------------------------------------
+
+for (const size of SIZES) {
+  describe(`searchMemory - ${size} entries`, () => {
+    const home = homes.get(size);
+
+    bench(
+      'inverted index',
+      async () => {
+        await searchMemory(QUERY, { scopes: ['user'], types: ['context'], semantic: false });
+      },
+      { setup: () => configure({ user: home }) },
+    );
+
+    bench(
+      'inverted index + semantic (hybrid)',
+      async () => {
+        await searchMemory(QUERY, { scopes: ['user'], types: ['context'] });
+      },
+      { setup: () => configure({ user: home }) },
+    );
+
+    bench(
+      'full scan (previous implementation)',
+      async () => {
+        await fullScanSearch(home, QUERY);
+      },
+    );
+  });
+}
@@ -9,6 +9,7 @@
  * integrated with a simulated team lifecycle manager.
  */
 import { describe, it, expect, beforeEach } from 'vitest';
+import fs from 'node:fs';
 import {
   recommendTeam,
   selectTeammates,
@@ -465,14 +466,15 @@ describe('Agent Teams Integration - Cognitive Layer (system2-strategies)', () =>
       expect(result).not.toBeNull();
       expect(result.recommended).toBe(true);
       expect(result.level).toBe('squad');
-      expect(result.teammates).toEqual(['frontend-dev', 'ui-designer', 'qa-tester']);
+      expect(result.teammates).toEqual(['frontend-developer', 'code-reviewer']);
+      expect(result.members[0]).toMatchObject({ id: 'frontend-developer', model: 'sonnet', category: 'expert' });
     });
 
     it('recommends platoon for high complexity tasks', () => {
       const result = recommendTeam(0.9, { domain: 'backend' });
       expect(result.level).toBe('platoon');
-      expect(result.teammates).toContain('architect');
-      expect(result.teammates).toContain('tech-lead');
+      expect(result.teammates).toEqual(['architect', 'backend-developer', 'code-reviewer', 'doc-updater']);
+      expect(result.size).toBe(4);
     });
 
     it('returns null for low complexity tasks (no team needed)', () => {
@@ -499,7 +501,7 @@ describe('Agent Teams Integration - Cognitive Layer (system2-strategies)', () =>
     it('defaults domain to general when not specified', () => {
       const result = recommendTeam(0.7, {});
       expect(result.domain).toBe('general');
-      expect(result.teammates).toEqual(['developer', 'reviewer', 'tester']);
+      expect(result.teammates).toEqual(['code-reviewer']);
     });
 
     it('includes complexity and reason in recommendation', () => {
@@ -509,44 +511,85 @@ describe('Agent Teams Integration - Cognitive Layer (system2-strategies)', () =>
       expect(result.reason).toContain(String(TEAM_THRESHOLDS.teamRecommendation));
     });
 
-    it('sets pattern to leader for all recommendations', () => {
+    it('sets pattern to leader without GRPO team weights', () => {
       const result = recommendTeam(0.7, { domain: 'frontend' });
       expect(result.pattern).toBe('leader');
+      expect(result.weight).toBe(1.0);
+    });
+
+    it('picks pattern and size from the best GRPO team weight within the level', () => {
+      const teamWeights = { 'swarm|2|security': 1.4, 'council|3|security': 1.2, 'swarm|5|security': 3, 'solo|0|security': 4 };
+      const result = recommendTeam(0.7, { domain: 'security' }, { teamWeights });
+      expect(result).toMatchObject({ pattern: 'swarm', size: 2, weight: 1.4 });
+      expect(result.teammates).toEqual(['security-reviewer', 'tdd-guide']);
+      expect(recommendTeam(0.7, { domain: 'frontend' }, { teamWeights: { 'council|3|frontend': 0.5 } }).pattern).toBe('leader');
+    });
+
+    it('scales teammate fit by the weight of their specialty for the chosen composition', () => {
+      const weakBackend = recommendTeam(0.7, { domain: 'security' }, { teamWeights: { 'leader|3|backend': 0.1 } });
+      expect(weakBackend.pattern).toBe('leader');
+      expect(weakBackend.teammates).toEqual(['security-reviewer', 'tdd-guide', 'backend-developer']);
+
+      const otherPattern = recommendTeam(0.7, { domain: 'security' }, { teamWeights: { 'swarm|3|backend': 0.1 } });
+      expect(otherPattern.teammates).toEqual(['security-reviewer', 'backend-developer', 'tdd-guide']);
     });
   });
 
   describe('selectTeammates for different domains', () => {
+    const ids = (domain, level) => selectTeammates(domain, level).map((m) => m.id);
+
     it('selects frontend team for frontend domain', () => {
-      expect(selectTeammates('frontend', 'squad')).toEqual(['frontend-dev', 'ui-designer', 'qa-tester']);
+      expect(ids('frontend', 'squad')).toEqual(['frontend-developer', 'code-reviewer']);
     });
 
     it('selects backend team for backend domain', () => {
-      expect(selectTeammates('backend', 'squad')).toEqual(['backend-dev', 'db-specialist', 'api-designer']);
+      expect(ids('backend', 'squad')).toEqual(['backend-developer', 'code-reviewer', 'doc-updater']);
     });
 
     it('selects security team for security domain', () => {
-      expect(selectTeammates('security', 'squad')).toEqual(['security-analyst', 'penetration-tester', 'compliance-reviewer']);
+      expect(ids('security', 'squad')).toEqual(['security-reviewer', 'backend-developer', 'tdd-guide']);
     });
 
     it('selects performance team for performance domain', () => {
-      expect(selectTeammates('performance', 'squad')).toEqual(['performance-engineer', 'profiler', 'load-tester']);
+      expect(ids('performance', 'squad')).toEqual(['performance-engineer', 'code-reviewer', 'cro-specialist']);
+    });
+
+    it('gives an unknown domain only the code reviewer', () => {
+      expect(ids('unknown-domain', 'squad')).toEqual(['code-reviewer']);
     });
 
-    it('falls back to general team for unknown domain', () => {
-      expect(selectTeammates('unknown-domain', 'squad')).toEqual(['developer', 'reviewer', 'tester']);
+    it('does not pad a team with agents that do not fit the domain', () => {
+      expect(ids('marketing', 'squad')).toEqual(['content-marketer', 'marketing-strategist']);
+      expect(ids('documentation', 'platoon')).toEqual(['architect', 'doc-updater']);
+      expect(ids('frontend', 'platoon')).not.toContain('build-error-resolver');
     });
 
-    it('adds architect and tech-lead for platoon level', () => {
-      const team = selectTeammates('frontend', 'platoon');
-      expect(team).toContain('architect');
-      expect(team).toContain('tech-lead');
-      expect(team).toHaveLength(5);
+    it('gives the builder slot to the builder the task text fits best', () => {
+      const team = selectTeammates('frontend', 'squad', { text: 'build a react component with accessible css' });
+      expect(team.map((m) => m.id)).toEqual(['frontend-developer', 'build-error-resolver']);
+      expect(team[1].score).toBeGreaterThan(0);
+    });
+
+    it('adds a manager lead for platoon level', () => {
+      expect(ids('frontend', 'platoon')).toEqual(['architect', 'frontend-developer', 'code-reviewer']);
     });
 
     it('does not add architect for squad level', () => {
-      const team = selectTeammates('frontend', 'squad');
+      const team = ids('frontend', 'squad');
       expect(team).not.toContain('architect');
-      expect(team).toHaveLength(3);
+      expect(team).toHaveLength(2);
+    });
+
+    it('returns only agents that exist, with their assigned models', () => {
+      for (const member of selectTeammates('security', 'platoon')) {
+        expect(fs.existsSync(new URL(`../../agents/${member.id}.md`, import.meta.url))).toBe(true);
+        expect(['opus', 'sonnet', 'haiku']).toContain(member.model);
+      }
+      expect(selectTeammates('security', 'squad')[0]).toMatchObject({ id: 'security-reviewer', model: 'opus' });
+    });
+
+    it('never selects the CTO agent', () => {
+      expect(ids('general', 'platoon')).not.toContain('orchestrator');
     });
   });
 
@@ -644,19 +687,19 @@ describe('Agent Teams Integration - End-to-End Lifecycle', () => {
   it('runs complete lifecycle for platoon-level security audit', () => {
     const recommendation = recommendTeam(0.9, { domain: 'security' });
     expect(recommendation.level).toBe('platoon');
-    expect(recommendation.teammates).toHaveLength(5);
+    expect(recommendation.teammates).toEqual(['architect', 'security-reviewer', 'backend-developer', 'tdd-guide']);
 
     const { spawnedNames } = runFeatureLifecycle(api, 'security-audit', recommendation);
 
-    // 5 teammates spawned (3 security + architect + tech-lead)
-    expect(spawnedNames).toHaveLength(5);
+    // 4 teammates spawned (architect lead + security specialists + reviewer)
+    expect(spawnedNames).toHaveLength(4);
 
     // Team cleaned up
     expect(api.state.teams['security-audit']).toBeUndefined();
 
     // All shutdown messages sent
     const shutdowns = api.state.messages.filter((m) => m.type === 'shutdown_request');
-    expect(shutdowns).toHaveLength(5);
+    expect(shutdowns).toHaveLength(4);
   });
 
   it('runs complete lifecycle for squad-level backend task', () => {
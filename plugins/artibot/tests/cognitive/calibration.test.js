@@ -0,0 +1,254 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  applyCalibrator,
+  calibrate,
+  configure,
+  fitCalibrator,
+  getCalibrationReport,
+  getPendingPredictions,
+  recordObservation,
+  recordOutcome,
+  recordPrediction,
+  resetCalibration,
+} from '../../lib/cognitive/calibration.js';
+import { adaptThreshold, configure as configureRouter, explainClassification, resetRouter, route } from '../../lib/cognitive/router.js';
+import {
+  clearAllCaches,
+  fastResponse,
+  recordPatternOutcome,
+  recordPendingOutcomes,
+  warmCache,
+} from '../../lib/cognitive/system1.js';
+
+vi.mock('../../lib/core/file.js', () => ({
+  readJsonFile: vi.fn(() => Promise.resolve(null)),
+  writeJsonFile: vi.fn(() => Promise.resolve()),
+  writeJsonFileAtomic: vi.fn(() => Promise.resolve()),
+  readTextFile: vi.fn(() => Promise.resolve(null)),
+  writeTextFile: vi.fn(() => Promise.resolve()),
+  appendTextFile: vi.fn(() => Promise.resolve()),
+  listFiles: vi.fn(() => Promise.resolve([])),
+  ensureDir: vi.fn(() => Promise.resolve()),
+}));
+
+vi.mock('../../lib/learning/memory-manager.js', () => ({
+  searchMemory: vi.fn(() => Promise.resolve([])),
+}));
+
+vi.mock('../../lib/learning/tool-learner.js', () => ({
+  suggestTool: vi.fn(() => Promise.resolve([])),
+  buildContextKey: vi.fn((op, target) => `${op}::${target}`),
+}));
+
+const { readJsonFile, listFiles } = await import('../../lib/core/file.js');
+
+/** Record `n` outcomes at `confidence`, `successes` of them successful. */
+function observe(source, confidence, n, successes, domain) {
+  for (let i = 0; i < n; i++) recordObservation(source, confidence, i < successes, domain);
+}
+
+describe('calibration', () => {
+  beforeEach(() => {
+    resetCalibration();
+    configure({ method: 'isotonic', minSamples: 30, bins: 10, persist: false });
+  });
+
+  afterEach(() => {
+    resetRouter();
+    resetCalibration();
+  });
+
+  // -------------------------------------------------------------------------
+  describe('getCalibrationReport()', () => {
+    it('computes Brier score, reliability bins and ECE per domain', () => {
+      observe('router', 0.9, 10, 6, 'security');
+      observe('router', 0.3, 10, 3, 'docs');
+
+      const { router } = getCalibrationReport('router');
+      expect(router.count).toBe(20);
+      expect(router.brier).toBeCloseTo((6 * 0.01 + 4 * 0.81 + 3 * 0.49 + 7 * 0.09) / 20, 3);
+      expect(router.ece).toBeCloseTo(0.15, 3);
+      expect(router.bins[9]).toEqual({ lower: 0.9, upper: 1, count: 10, meanConfidence: 0.9, successRate: 0.6 });
+      expect(router.bins[0].meanConfidence).toBeNull();
+      expect(router.domains.security).toMatchObject({ count: 10, ece: 0.3, calibrated: false });
+      expect(router.domains.docs.ece).toBe(0);
+      expect(getCalibrationReport().system1).toMatchObject({ count: 0, brier: null, ece: null });
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('fitCalibrator() / applyCalibrator()', () => {
+    const points = [
+      ...Array.from({ length: 20 }, (_, i) => ({ confidence: 0.9, success: i < 12 })),
+      ...Array.from({ length: 20 }, (_, i) => ({ confidence: 0.6, success: i < 14 })),
+      ...Array.from({ length: 20 }, (_, i) => ({ confidence: 0.2, success: i < 2 })),
+    ];
+
+    it('isotonic pools violators into a non-decreasing map', () => {
+      const model = fitCalibrator(points, 'isotonic');
+      expect(model.y).toEqual([0.1, 0.65]);
+      expect(applyCalibrator(model, 0.1)).toBe(0.1);
+      expect(applyCalibrator(model, 0.95)).toBe(0.65);
+      expect(applyCalibrator(model, 0.45)).toBeCloseTo(0.1 + 0.55 * (0.25 / 0.55), 6);
+    });
+
+    it('platt fits a monotone sigmoid that shrinks overconfidence', () => {
+      const model = fitCalibrator(points, 'platt');
+      expect(model.method).toBe('platt');
+      expect(applyCalibrator(model, 0.9)).toBeLessThan(0.9);
+      expect(applyCalibrator(model, 0.9)).toBeGreaterThan(applyCalibrator(model, 0.2));
+      expect(fitCalibrator([])).toBeNull();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('calibrate()', () => {
+    it('is the identity until enough outcomes exist', () => {
+      observe('router', 0.9, 29, 15);
+      expect(calibrate('router', 0.9)).toBe(0.9);
+      observe('router', 0.9, 1, 0);
+      expect(calibrate('router', 0.9)).toBeCloseTo(0.5, 6);
+    });
+
+    it('prefers a domain fit and falls back to the source-wide fit', () => {
+      configure({ minSamples: 10 });
+      observe('system1', 0.8, 10, 10, 'frontend');
+      observe('system1', 0.8, 10, 0, 'backend');
+      observe('system1', 0.8, 5, 5, 'docs');
+      expect(calibrate('system1', 0.8, 'frontend')).toBe(1);
+      expect(calibrate('system1', 0.8, 'backend')).toBe(0);
+      expect(calibrate('system1', 0.8, 'docs')).toBeCloseTo(0.6, 6);
+      expect(calibrate('unknown', 0.8)).toBe(0.8);
+    });
+
+    it('joins predictions with outcomes by id', () => {
+      recordPrediction('system1', 'p1', 0.7, 'api');
+      expect(recordOutcome('system1', 'p1', true)).toMatchObject({ confidence: 0.7, success: true, domain: 'api' });
+      expect(recordOutcome('system1', 'p1', true)).toBeNull();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('integration', () => {
+    it('router: adaptThreshold() feedback recalibrates future route() confidence', () => {
+      configure({ minSamples: 5 });
+      for (let i = 0; i < 5; i++) {
+        route('read the file', { domain: 'docs' });
+        adaptThreshold({ system: 1, success: false });
+      }
+      const { classification } = route('read the file', { domain: 'docs' });
+      expect(classification.rawConfidence).toBeGreaterThan(0.5);
+      expect(classification.confidence).toBe(0);
+      expect(getCalibrationReport('router').router.domains.docs.count).toBe(5);
+    });
+
+    it('router: explainClassification() reports the calibrated confidence and the raw one', () => {
+      configure({ minSamples: 5 });
+      for (let i = 0; i < 5; i++) {
+        route('read the file', { domain: 'docs' });
+        adaptThreshold({ system: 1, success: false });
+      }
+      const why = explainClassification('read the file', { domain: 'docs' });
+      expect(why).toMatchObject({ domain: 'docs', confidence: 0 });
+      expect(why.rawConfidence).toBeGreaterThan(0.5);
+    });
+
+    it('system1: recordPatternOutcome() recalibrates and escalates future answers', async () => {
+      configure({ minSamples: 3 });
+      readJsonFile.mockResolvedValue({ id: 'p-fix', keywords: ['fix', 'bug'], response: { ok: true }, confidence: 1, domain: 'backend' });
+      listFiles.mockResolvedValue(['p-fix.json']);
+      await warmCache();
+
+      const first = await fastResponse('fix bug');
+      expect(first).toMatchObject({ source: 'pattern', patternId: 'p-fix' });
+      expect(first.escalate).toBeUndefined();
+
+      for (const input of ['fix the bug', 'fix this bug', 'fix that bug']) {
+        await fastResponse(input);
+        await recordPatternOutcome('p-fix', false);
+      }
+      expect(getCalibrationReport('system1').system1.domains.backend.count).toBe(3);
+
+      const after = await fastResponse('please fix bug');
+      expect(after).toMatchObject({ source: 'pattern', confidence: 0, escalate: true });
+      expect(after.rawConfidence).toBeGreaterThan(0.6);
+
+      clearAllCaches();
+      expect(getCalibrationReport('system1').system1.count).toBe(0);
+    });
+
+    it('system1: recordPendingOutcomes() settles every answer awaiting an outcome', async () => {
+      clearAllCaches();
+      readJsonFile.mockResolvedValue({ id: 'p-fix', keywords: ['fix', 'bug'], response: { ok: true }, confidence: 1, domain: 'backend' });
+      listFiles.mockResolvedValue(['p-fix.json']);
+
+      await fastResponse('fix bug');
+      expect(getPendingPredictions('system1')).toEqual([{ id: 'p-fix', confidence: expect.any(Number), domain: 'backend' }]);
+      expect(await recordPendingOutcomes(false)).toBe(1);
+      expect(getPendingPredictions('system1')).toEqual([]);
+      expect(getCalibrationReport('system1').system1.domains.backend.count).toBe(1);
+      expect(await recordPendingOutcomes(true)).toBe(0);
+      clearAllCaches();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('persistence', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-calibration-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('writes observations next to the router state and restores them', () => {
+      configureRouter({ persist: true, statePath: path.join(tmpDir, 'router-state.json') });
+      route('read the file');
+      adaptThreshold({ system: 1, success: true });
+
+      const file = path.join(tmpDir, 'calibration.json');
+      expect(JSON.parse(fs.readFileSync(file, 'utf-8')).observations.router).toHaveLength(1);
+
+      resetCalibration();
+      configure({ persist: true, statePath: file });
+      expect(getCalibrationReport('router').router.count).toBe(1);
+    });
+
+    it('keeps pending predictions for an outcome reported by another process', () => {
+      const file = path.join(tmpDir, 'calibration.json');
+      configure({ persist: true, statePath: file });
+      recordPrediction('system1', 'p-fix', 0.8, 'backend');
+
+      resetCalibration();
+      configure({ persist: true, statePath: file });
+      expect(getPendingPredictions('system1')).toEqual([{ id: 'p-fix', confidence: 0.8, domain: 'backend' }]);
+      expect(recordOutcome('system1', 'p-fix', true)).toMatchObject({ confidence: 0.8, success: true });
+
+      resetCalibration();
+      configure({ persist: true, statePath: file });
+      expect(getPendingPredictions('system1')).toEqual([]);
+      expect(getCalibrationReport('system1').system1.count).toBe(1);
+      configure({ persist: false });
+    });
+
+    it('ignores malformed state files', () => {
+      const file = path.join(tmpDir, 'calibration.json');
+      fs.writeFileSync(file, JSON.stringify({
+        version: 1,
+        observations: { router: [{ confidence: 2 }] },
+        pending: [['other:x', { confidence: 0.5, domain: 'general' }], ['router:y', { confidence: 2, domain: 'general' }]],
+      }));
+      observe('router', 0.5, 1, 1);
+      configure({ persist: true, statePath: file });
+      expect(getCalibrationReport('router').router.count).toBe(0);
+      expect(getPendingPredictions('router')).toEqual([]);
+      configure({ persist: false });
+    });
+  });
+});
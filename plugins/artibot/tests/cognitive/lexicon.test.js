@@ -0,0 +1,181 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  BUILTIN_LEXICONS,
+  compileLexicon,
+  countTerms,
+  DEFAULT_LEXICON_LANGUAGES,
+  isCjkTerm,
+  loadLexicon,
+  matchTerms,
+} from '../../lib/cognitive/lexicon.js';
+import { classifyComplexity, configure, resetRouter } from '../../lib/cognitive/router.js';
+
+describe('lexicon', () => {
+  describe('BUILTIN_LEXICONS', () => {
+    it('ships en, ko, ja, zh, es and de packs', () => {
+      expect(Object.keys(BUILTIN_LEXICONS).sort()).toEqual(['de', 'en', 'es', 'ja', 'ko', 'zh']);
+    });
+
+    it('defaults to the historical en/ko/ja set', () => {
+      expect(DEFAULT_LEXICON_LANGUAGES).toEqual(['en', 'ko', 'ja']);
+    });
+  });
+
+  describe('isCjkTerm()', () => {
+    it('detects Han, Kana and Hangul', () => {
+      expect(isCjkTerm('数据库')).toBe(true);
+      expect(isCjkTerm('デプロイ')).toBe(true);
+      expect(isCjkTerm('배포')).toBe(true);
+      expect(isCjkTerm('deploy')).toBe(false);
+      expect(isCjkTerm('löschen')).toBe(false);
+    });
+  });
+
+  describe('matchTerms()', () => {
+    const lex = compileLexicon([BUILTIN_LEXICONS.en, BUILTIN_LEXICONS.zh, BUILTIN_LEXICONS.de]);
+
+    it('requires a leading word boundary for Latin terms', () => {
+      expect(matchTerms('build the app', lex.domains.frontend)).toEqual([]);
+      expect(matchTerms('fix the ui', lex.domains.frontend)).toEqual(['ui']);
+    });
+
+    it('still matches inflected forms', () => {
+      expect(matchTerms('deployment failed', lex.risk)).toContain('deploy');
+    });
+
+    it('matches CJK terms inside unspaced text', () => {
+      expect(matchTerms('请把数据库迁移到新的服务器', lex.domains.backend)).toEqual(['服务器', '数据库']);
+      expect(matchTerms('请把数据库迁移到新的服务器', lex.risk)).toEqual(['迁移']);
+    });
+
+    it('treats accented letters as word characters', () => {
+      expect(matchTerms('die datenbank löschen', lex.risk)).toEqual(['löschen']);
+      expect(matchTerms('entlöschen', lex.risk)).toEqual([]);
+    });
+
+    it('escapes regex metacharacters in terms', () => {
+      expect(matchTerms('set up ci/cd', lex.domains.infrastructure)).toEqual(['ci/cd']);
+    });
+  });
+
+  describe('countTerms()', () => {
+    it('counts every occurrence of whole-word step connectors', () => {
+      const lex = compileLexicon([BUILTIN_LEXICONS.en]);
+      const result = countTerms('fix it, then test, then ship. nextjs is fine', lex.steps);
+      expect(result).toEqual({ count: 2, terms: ['then'] });
+    });
+
+    it('counts CJK substrings', () => {
+      const lex = compileLexicon([BUILTIN_LEXICONS.zh]);
+      expect(countTerms('先修复然后测试然后部署', lex.steps).count).toBe(2);
+    });
+  });
+
+  describe('compileLexicon()', () => {
+    it('merges domains across packs and de-duplicates terms', () => {
+      const lex = compileLexicon([
+        { name: 'a', domains: { backend: ['API', 'ledger'] } },
+        { name: 'b', domains: { backend: ['api'], payments: ['stripe'] } },
+        null,
+      ]);
+      expect(lex.domains.backend.map((m) => m.term)).toEqual(['api', 'ledger']);
+      expect(Object.keys(lex.domains)).toEqual(['backend', 'payments']);
+      expect(lex.packs).toEqual(['a', 'b']);
+    });
+
+    it('ignores non-string terms and non-array lists', () => {
+      const lex = compileLexicon([{ risk: ['ok', 5, '  '], steps: 'then', domains: { x: 'y' } }]);
+      expect(lex.risk.map((m) => m.term)).toEqual(['ok']);
+      expect(lex.steps).toEqual([]);
+      expect(lex.domains).toEqual({});
+    });
+  });
+
+  describe('loadLexicon()', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-lexicon-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('loads default languages without project packs', () => {
+      const { lexicon, errors } = loadLexicon({ cwd: tmpDir });
+      expect(errors).toEqual([]);
+      expect(lexicon.packs).toEqual(['en', 'ko', 'ja']);
+    });
+
+    it('reports unknown languages and invalid inline packs', () => {
+      const { lexicon, errors } = loadLexicon({
+        languages: ['en', 'xx'],
+        packs: [{ name: 'ok', risk: ['prod-east'] }, { risk: 'bad' }],
+        directory: false,
+      });
+      expect(lexicon.packs).toEqual(['en', 'ok']);
+      expect(errors).toEqual([
+        'unknown built-in lexicon language: xx',
+        'packs[1]: lexicon.risk: expected array, got string',
+      ]);
+    });
+
+    it('reads *.json packs from the project directory', () => {
+      const dir = path.join(tmpDir, '.artibot', 'lexicons');
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'acme.json'), JSON.stringify({ domains: { backend: ['ledger-svc'] } }));
+      fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+      fs.writeFileSync(path.join(dir, 'invalid.json'), JSON.stringify({ steps: [1] }));
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+      const { lexicon, errors } = loadLexicon({ languages: [], cwd: tmpDir });
+      expect(lexicon.packs).toEqual(['acme']);
+      expect(matchTerms('restart ledger-svc', lexicon.domains.backend)).toEqual(['ledger-svc']);
+      expect(errors).toEqual(['broken.json: invalid JSON', 'invalid.json: lexicon.steps[0]: expected string, got number']);
+    });
+
+    it('supports a custom directory', () => {
+      fs.writeFileSync(path.join(tmpDir, 'team.json'), JSON.stringify({ name: 'team', risk: ['prod-east'] }));
+      const { lexicon } = loadLexicon({ languages: [], directory: '.', cwd: tmpDir });
+      expect(lexicon.packs).toEqual(['team']);
+    });
+  });
+
+  describe('router integration', () => {
+    beforeEach(() => {
+      resetRouter();
+    });
+
+    afterEach(() => {
+      resetRouter();
+    });
+
+    it('scores Chinese, Spanish and German prompts once their packs are enabled', () => {
+      const zh = '迁移生产数据库并部署';
+      const es = 'eliminar la base de datos de producción';
+      const de = 'die produktion datenbank löschen';
+      const before = [zh, es, de].map((p) => classifyComplexity(p).factors.risk);
+      expect(before).toEqual([0, 0, 0]);
+
+      configure({ lexicons: { languages: ['en', 'zh', 'es', 'de'], directory: false } });
+      for (const p of [zh, es, de]) {
+        expect(classifyComplexity(p).factors.risk).toBeGreaterThan(0);
+      }
+    });
+
+    it('counts custom domains from inline packs', () => {
+      configure({ lexicons: { packs: [{ domains: { payments: ['ledger-svc'] } }], directory: false } });
+      expect(classifyComplexity('restart ledger-svc').factors.domains).toBe(0.2);
+    });
+
+    it('resetRouter() restores the default lexicon', () => {
+      configure({ lexicons: { languages: ['zh'], directory: false } });
+      resetRouter();
+      expect(classifyComplexity('deploy to production').factors.risk).toBeGreaterThan(0);
+    });
+  });
+});
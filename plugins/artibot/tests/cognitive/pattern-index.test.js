@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addToIndex,
+  createPatternIndex,
+  deserializeIndex,
+  INDEX_VERSION,
+  removeFromIndex,
+  searchIndex,
+  serializeIndex,
+} from '../../lib/cognitive/pattern-index.js';
+
+function buildIndex() {
+  const index = createPatternIndex();
+  addToIndex(index, 'deploy', ['deploy', 'release', 'production']);
+  addToIndex(index, 'fix', ['fix', 'bug', 'error']);
+  addToIndex(index, 'test', ['test', 'bug', 'vitest']);
+  addToIndex(index, 'ko', ['버그', '수정']);
+  addToIndex(index, 'ja', ['修正', 'テスト']);
+  return index;
+}
+
+describe('pattern-index', () => {
+  // -------------------------------------------------------------------------
+  describe('searchIndex()', () => {
+    it('ranks by BM25 so rare terms outweigh common ones', () => {
+      const results = searchIndex(buildIndex(), ['bug', 'error']);
+      expect(results.map((r) => r.id)).toEqual(['fix', 'test']);
+      expect(results[0].matches).toEqual({ bug: 1, error: 1 });
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('matches typos through character n-grams', () => {
+      const [hit] = searchIndex(buildIndex(), ['deploi']);
+      expect(hit.id).toBe('deploy');
+      expect(hit.matches.deploy).toBeGreaterThan(0.5);
+      expect(hit.matches.deploy).toBeLessThan(1);
+      expect(searchIndex(buildIndex(), ['dep'])).toEqual([]);
+    });
+
+    it('matches Korean particles and Japanese compounds', () => {
+      expect(searchIndex(buildIndex(), ['버그를', '수정해줘'])[0]).toMatchObject({ id: 'ko', matches: { 버그: 0.83, 수정: 0.75 } });
+      expect(searchIndex(buildIndex(), ['バグを修正'])[0].id).toBe('ja');
+    });
+
+    it('honours the limit and handles an empty index', () => {
+      expect(searchIndex(buildIndex(), ['bug'], { limit: 1 })).toHaveLength(1);
+      expect(searchIndex(createPatternIndex(), ['bug'])).toEqual([]);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('addToIndex() / removeFromIndex()', () => {
+    it('replaces a pattern and drops unused terms', () => {
+      const index = buildIndex();
+      addToIndex(index, 'deploy', ['ship', 'Release']);
+      expect(index.postings.has('deploy')).toBe(false);
+      expect(index.postings.get('release')).toEqual(new Set(['deploy']));
+      expect(searchIndex(index, ['deploi'])).toEqual([]);
+
+      expect(removeFromIndex(index, 'deploy')).toBe(true);
+      expect(removeFromIndex(index, 'deploy')).toBe(false);
+      expect(index.postings.has('ship')).toBe(false);
+      expect(index.docs.size).toBe(4);
+      expect(index.totalLength).toBe(10);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('serializeIndex() / deserializeIndex()', () => {
+    it('round-trips through JSON', () => {
+      const index = buildIndex();
+      const restored = deserializeIndex(JSON.parse(JSON.stringify(serializeIndex(index))));
+      for (const [id, terms] of index.docs) {
+        expect([...restored.docs.get(id)].sort()).toEqual([...terms].sort());
+      }
+      expect(restored.totalLength).toBe(index.totalLength);
+      expect(searchIndex(restored, ['deploi', 'bug'])).toEqual(searchIndex(index, ['deploi', 'bug']));
+    });
+
+    it('rejects other versions and malformed data', () => {
+      expect(deserializeIndex(null)).toBeNull();
+      expect(deserializeIndex({ version: INDEX_VERSION + 1, postings: {} })).toBeNull();
+      expect(deserializeIndex({ version: INDEX_VERSION })).toBeNull();
+    });
+  });
+});
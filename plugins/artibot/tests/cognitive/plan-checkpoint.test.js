@@ -0,0 +1,221 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  clearCheckpoint,
+  createCheckpointWriter,
+  getCheckpointPath,
+  listCheckpoints,
+  loadCheckpoint,
+  pruneCheckpoints,
+  saveCheckpoint,
+} from '../../lib/cognitive/plan-checkpoint.js';
+import { createSandbox } from '../../lib/cognitive/sandbox.js';
+import { plan, resume, resumeAsync, solve, solveAsync } from '../../lib/cognitive/system2-core.js';
+
+function minimalCheckpoint(taskId, extra = {}) {
+  return {
+    taskId,
+    task: { id: taskId, description: 'x' },
+    attempt: 1,
+    status: 'running',
+    plan: { taskId, steps: [{ id: 'step-1' }, { id: 'step-2' }], dependencies: [] },
+    steps: { 'step-1': { stepId: 'step-1', status: 'success' } },
+    sandbox: { id: 'sbx', executionLog: [] },
+    ...extra,
+  };
+}
+
+describe('plan-checkpoint', () => {
+  let tmpDir;
+  let dir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-checkpoint-'));
+    dir = path.join(tmpDir, 'checkpoints');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('store', () => {
+    it('round-trips a checkpoint and keeps createdAt across writes', () => {
+      const first = saveCheckpoint(minimalCheckpoint('task-1'), dir);
+      const loaded = loadCheckpoint('task-1', dir);
+      expect(loaded).toMatchObject({ version: 1, taskId: 'task-1', status: 'running', attempt: 1 });
+      saveCheckpoint({ ...minimalCheckpoint('task-1'), createdAt: loaded.createdAt }, dir);
+      expect(loadCheckpoint('task-1', dir).createdAt).toBe(first.createdAt);
+    });
+
+    it('maps unsafe task ids to a file inside the directory', () => {
+      const file = getCheckpointPath('../evil/id', dir);
+      expect(path.dirname(file)).toBe(dir);
+      expect(path.basename(file)).toBe('__evil_id.json');
+    });
+
+    it('returns null for missing or malformed checkpoints', () => {
+      expect(loadCheckpoint('nope', dir)).toBeNull();
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(getCheckpointPath('bad', dir), '{"taskId":"bad"}');
+      expect(loadCheckpoint('bad', dir)).toBeNull();
+    });
+
+    it('lists summaries filtered by status, newest first', async () => {
+      saveCheckpoint(minimalCheckpoint('old'), dir);
+      await new Promise((r) => setTimeout(r, 5));
+      saveCheckpoint(minimalCheckpoint('new'), dir);
+      saveCheckpoint(minimalCheckpoint('done', { status: 'completed' }), dir);
+      fs.writeFileSync(path.join(dir, 'junk.json'), 'not json');
+
+      const running = listCheckpoints({ dir, status: 'running' });
+      expect(running.map((c) => c.taskId)).toEqual(['new', 'old']);
+      expect(running[0]).toMatchObject({ attempt: 1, stepsCompleted: 1, stepsTotal: 2 });
+      expect(listCheckpoints({ dir })).toHaveLength(3);
+      expect(listCheckpoints({ dir: path.join(tmpDir, 'missing') })).toEqual([]);
+    });
+
+    it('clears a checkpoint', () => {
+      saveCheckpoint(minimalCheckpoint('gone'), dir);
+      expect(clearCheckpoint('gone', dir)).toBe(true);
+      expect(clearCheckpoint('gone', dir)).toBe(false);
+    });
+
+    it('prunes checkpoints, junk and temp files older than the TTL', () => {
+      const day = 24 * 60 * 60 * 1000;
+      saveCheckpoint(minimalCheckpoint('crashed'), dir);
+      saveCheckpoint(minimalCheckpoint('done', { status: 'completed' }), dir);
+      fs.writeFileSync(path.join(dir, 'junk.json'), 'not json');
+      fs.writeFileSync(path.join(dir, 'crashed.json.tmp.4242'), '{');
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'keep');
+
+      expect(pruneCheckpoints({ dir, now: Date.now() + day, maxAgeMs: 2 * day })).toEqual([]);
+      const removed = pruneCheckpoints({ dir, now: Date.now() + 8 * day });
+      expect(removed.sort()).toEqual(['crashed.json', 'crashed.json.tmp.4242', 'done.json', 'junk.json']);
+      expect(fs.readdirSync(dir)).toEqual(['notes.txt']);
+      expect(pruneCheckpoints({ dir: path.join(tmpDir, 'missing') })).toEqual([]);
+    });
+
+    it('keeps a running checkpoint that is still being updated', () => {
+      const day = 24 * 60 * 60 * 1000;
+      saveCheckpoint({ ...minimalCheckpoint('active'), createdAt: new Date(Date.now() - 30 * day).toISOString() }, dir);
+      expect(pruneCheckpoints({ dir })).toEqual([]);
+      expect(loadCheckpoint('active', dir).status).toBe('running');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('createCheckpointWriter()', () => {
+    it('writes on creation, after every step and on finish', () => {
+      const task = { id: 'writer', description: '1. echo one\n2. echo two' };
+      const p = plan(task);
+      const sandbox = createSandbox();
+      const writer = createCheckpointWriter({ task, attempt: 1, plan: p, sandbox }, dir);
+      expect(loadCheckpoint('writer', dir).steps).toEqual({});
+
+      sandbox.executionLog.push({ command: 'echo one' });
+      writer.recordStep({ stepId: 'step-1', status: 'success' });
+      const afterStep = loadCheckpoint('writer', dir);
+      expect(afterStep.steps['step-1'].status).toBe('success');
+      expect(afterStep.sandbox.executionLog).toHaveLength(1);
+
+      writer.finish('failed');
+      expect(loadCheckpoint('writer', dir).status).toBe('failed');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('solve with checkpoints and resume', () => {
+    let work;
+    const runs = () => fs.readFileSync(path.join(work, 'runs.log'), 'utf-8').trim().split('\n');
+
+    beforeEach(() => {
+      work = path.join(tmpDir, 'work');
+      fs.mkdirSync(work);
+      fs.writeFileSync(
+        path.join(work, 'append.js'),
+        "require('fs').appendFileSync(require('path').join(__dirname, 'runs.log'), process.argv[2] + '\\n');",
+      );
+    });
+
+    const task = () => ({
+      id: 'resumable',
+      description: '1. `node append.js alpha`\n2. `node append.js beta`\n3. `node append.js gamma`',
+    });
+
+    it('persists progress so an interrupted run can be resumed without redoing steps', async () => {
+      const sandboxOptions = { executor: 'process', cwd: work };
+
+      // Simulate a crash right after the steps ran, before the attempt finished
+      await expect(solveAsync(task(), {
+        sandboxOptions,
+        checkpoint: { dir },
+        onAttempt: (_attempt, phase) => {
+          if (phase === 'reflect') throw new Error('crash');
+        },
+      })).rejects.toThrow('crash');
+
+      const saved = loadCheckpoint('resumable', dir);
+      expect(saved.status).toBe('running');
+      expect(Object.values(saved.steps).map((s) => s.status)).toEqual(['success', 'success', 'success']);
+      expect(saved.sandbox.executionLog.every((e) => e.executed)).toBe(true);
+
+      // Pretend only the first step had completed
+      saveCheckpoint({ ...saved, steps: { 'step-1': saved.steps['step-1'] } }, dir);
+      fs.writeFileSync(path.join(work, 'runs.log'), 'alpha\n');
+
+      const outcome = await resumeAsync('resumable', { sandboxOptions, checkpoint: { dir } });
+      expect(outcome.success).toBe(true);
+      expect(outcome.resumedFrom).toEqual({ attempt: 1, stepsReused: 1 });
+      expect(outcome.finalResult.results[0].resumed).toBe(true);
+      expect(runs()).toEqual(['alpha', 'beta', 'gamma']);
+      expect(loadCheckpoint('resumable', dir).status).toBe('completed');
+    });
+
+    it('resumes an overlay run in the overlay that holds the finished steps', async () => {
+      const sandboxOptions = { executor: 'process', workspace: 'overlay', cwd: work };
+      await expect(solveAsync(task(), {
+        sandboxOptions,
+        checkpoint: { dir },
+        onAttempt: (_attempt, phase) => {
+          if (phase === 'reflect') throw new Error('crash');
+        },
+      })).rejects.toThrow('crash');
+
+      const saved = loadCheckpoint('resumable', dir);
+      const overlay = saved.sandbox.workspace;
+      try {
+        expect(overlay).toMatchObject({ source: work, status: 'active' });
+        saveCheckpoint({ ...saved, steps: { 'step-1': saved.steps['step-1'] } }, dir);
+        fs.writeFileSync(path.join(overlay.root, 'runs.log'), 'alpha\n');
+
+        const outcome = await resumeAsync('resumable', { sandboxOptions, checkpoint: { dir } });
+        expect(outcome.success).toBe(true);
+        expect(outcome.workspace.root).toBe(overlay.root);
+        expect(fs.readFileSync(path.join(overlay.root, 'runs.log'), 'utf-8')).toBe('alpha\nbeta\ngamma\n');
+        expect(fs.existsSync(path.join(work, 'runs.log'))).toBe(false);
+      } finally {
+        fs.rmSync(overlay.root, { recursive: true, force: true });
+      }
+
+      expect(() => resume('resumable', { sandboxOptions, checkpoint: { dir } })).toThrow(/no longer available/);
+    });
+
+    it('does not write checkpoints unless asked', () => {
+      solve(task(), { maxRetries: 1 });
+      expect(listCheckpoints({ dir })).toEqual([]);
+    });
+
+    it('marks the checkpoint failed when the sync solve gives up', () => {
+      const outcome = solve(task(), { maxRetries: 1, checkpoint: { dir } });
+      expect(outcome.success).toBe(false);
+      expect(loadCheckpoint('resumable', dir).status).toBe('failed');
+    });
+
+    it('resume() throws when there is no checkpoint', () => {
+      expect(() => resume('unknown-task', { checkpoint: { dir } })).toThrow(/No checkpoint found/);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, expect, it } from 'vitest';
+import {
+  exportPlan,
+  PLAN_SCHEMA_VERSION,
+  toMarkdown,
+  toMermaid,
+  toPlanDocument,
+  validatePlanDocument,
+} from '../../lib/cognitive/plan-export.js';
+import { validateAgainstSchema } from '../../lib/core/config-schema.js';
+import { plan } from '../../lib/cognitive/system2-core.js';
+
+const makePlan = () => ({
+  taskId: 'ship-auth',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  complexity: 0.6,
+  template: null,
+  steps: [
+    { id: 'step-1', order: 1, action: 'npm ci', description: 'npm ci', dependencies: [], estimatedComplexity: 'low', status: 'pending' },
+    { id: 'step-2', order: 2, action: 'npm run migrate "users"', description: 'migrate', dependencies: ['step-1'], estimatedComplexity: 'medium', status: 'pending' },
+    { id: 'step-3', order: 3, action: 'npm test', description: 'test', dependencies: ['step-2'], estimatedComplexity: 'low', status: 'pending' },
+  ],
+  dependencies: [{ from: 'step-1', to: 'step-2' }, { from: 'step-2', to: 'step-3' }],
+  risks: [
+    { stepId: 'step-2', risk: 'Schema change | data loss', mitigation: 'Back up first', severity: 'medium' },
+    { stepId: 'step-2', risk: 'Irreversible', mitigation: 'Dry run', severity: 'high' },
+  ],
+  teamRecommendation: { pattern: 'leader', size: 3, teammates: ['database-reviewer', 'code-reviewer', 'tdd-guide'] },
+});
+
+const makeExecution = () => ({
+  planId: 'ship-auth',
+  sandboxId: 'sbx-1',
+  startedAt: '2026-01-01T00:00:01.000Z',
+  completedAt: '2026-01-01T00:00:05.000Z',
+  success: false,
+  stepsCompleted: 1,
+  stepsTotal: 3,
+  results: [
+    { stepId: 'step-1', status: 'success', execution: { exitCode: 0, duration: 120, stdout: 'ok' }, validation: { issues: [] } },
+    { stepId: 'step-2', status: 'failed', execution: { exitCode: 1, duration: 40 }, validation: { issues: ['Non-zero exit code: 1'] } },
+    { stepId: 'step-3', status: 'skipped', execution: null, validation: null, skippedBecause: 'step-2' },
+  ],
+});
+
+describe('plan-export', () => {
+  // -------------------------------------------------------------------------
+  describe('toMermaid()', () => {
+    it('renders nodes, dependency edges and escaped labels', () => {
+      const out = toMermaid(makePlan());
+      expect(out.split('\n')[0]).toBe('flowchart TD');
+      expect(out).toContain('  s_step_1["step-1: npm ci"]');
+      expect(out).toContain('  s_step_2["step-2: npm run migrate #quot;users#quot;<br/>risk: high"]');
+      expect(out).toContain('  s_step_1 --> s_step_2');
+      expect(out).toContain('  class s_step_1,s_step_2,s_step_3 pending');
+      expect(out).toContain('  class s_step_2 riskHigh');
+      expect(toMermaid(makePlan(), null, { direction: 'LR' })).toMatch(/^flowchart LR/);
+    });
+
+    it('colours nodes by execution status', () => {
+      const out = toMermaid(makePlan(), makeExecution());
+      expect(out).toContain('  class s_step_1 success');
+      expect(out).toContain('  class s_step_2 failed');
+      expect(out).toContain('  class s_step_3 skipped');
+      expect(out).not.toContain('pending\n  class');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('toMarkdown()', () => {
+    it('renders a PR checklist with failure notes, risks and team', () => {
+      const out = toMarkdown(makePlan(), makeExecution());
+      expect(out).toContain('## Plan: ship-auth');
+      expect(out).toContain('Execution failed: 1/3 steps completed.');
+      expect(out).toContain('- [x] **step-1** npm ci');
+      expect(out).toContain('- [ ] **step-2** npm run migrate "users" (after step-1) — failed: Non-zero exit code: 1');
+      expect(out).toContain('- [ ] **step-3** npm test (after step-2) — skipped (step-2 did not succeed)');
+      expect(out).toContain('| step-2 | medium | Schema change \\| data loss | Back up first |');
+      expect(out).toContain('**Team:** leader (database-reviewer, code-reviewer, tdd-guide)');
+      expect(out).not.toContain('```mermaid');
+    });
+
+    it('embeds the flowchart on request', () => {
+      const out = toMarkdown(makePlan(), null, { diagram: true, title: 'Auth rollout' });
+      expect(out).toMatch(/^## Auth rollout/);
+      expect(out).toContain('```mermaid\nflowchart TD');
+      expect(out).not.toContain('Execution');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('toPlanDocument() / validatePlanDocument()', () => {
+    it('produces a versioned document without sandbox internals', () => {
+      const doc = toPlanDocument(makePlan(), makeExecution());
+      expect(doc.schemaVersion).toBe(PLAN_SCHEMA_VERSION);
+      expect(doc.plan.team).toEqual({ pattern: 'leader', size: 3, teammates: ['database-reviewer', 'code-reviewer', 'tdd-guide'] });
+      expect(doc.plan.steps[0]).not.toHaveProperty('dependencies');
+      expect(doc.execution.steps).toEqual([
+        { stepId: 'step-1', status: 'success', exitCode: 0, durationMs: 120, issues: [] },
+        { stepId: 'step-2', status: 'failed', exitCode: 1, durationMs: 40, issues: ['Non-zero exit code: 1'] },
+        { stepId: 'step-3', status: 'skipped', exitCode: null, durationMs: null, issues: [], skippedBecause: 'step-2' },
+      ]);
+      expect(JSON.stringify(doc)).not.toContain('sbx-1');
+      expect(validatePlanDocument(doc)).toEqual({ valid: true, errors: [] });
+      expect(validatePlanDocument(toPlanDocument(makePlan()))).toEqual({ valid: true, errors: [] });
+    });
+
+    it('reports schema violations and dangling references', () => {
+      const doc = toPlanDocument(makePlan());
+      doc.schemaVersion = 2;
+      doc.plan.risks[0].severity = 'extreme';
+      delete doc.plan.steps[0].action;
+      expect(validatePlanDocument(doc).errors).toEqual([
+        'plan document.schemaVersion: value 2 exceeds maximum 1',
+        'plan document.plan.steps[0]: missing required field action',
+        'plan document.plan.risks[0].severity: expected one of low|medium|high, got "extreme"',
+      ]);
+
+      const dangling = toPlanDocument(makePlan());
+      dangling.plan.dependencies.push({ from: 'step-3', to: 'step-9' });
+      expect(validatePlanDocument(dangling).errors).toEqual(['plan document.plan.dependencies: unknown step in step-3 -> step-9']);
+      expect(validatePlanDocument(undefined).valid).toBe(false);
+    });
+
+    it('accepts documents built from plan() and rejects numeric step complexity', () => {
+      const planned = plan(
+        { id: 'real', description: '1. `npm ci`\n2. Migrate the production database\n3. `npm test`', type: 'chore' },
+        { templates: false, teamWeights: {} },
+      );
+      expect(validatePlanDocument(toPlanDocument(planned))).toEqual({ valid: true, errors: [] });
+
+      const doc = toPlanDocument(makePlan());
+      doc.plan.steps[1].estimatedComplexity = 0.5;
+      expect(validatePlanDocument(doc).errors).toEqual([
+        'plan document.plan.steps[1].estimatedComplexity: expected string, got number',
+      ]);
+    });
+
+    it('is accepted by the generic schema validator for required and enum', () => {
+      const schema = { type: 'object', required: ['a'], properties: { a: { type: 'string', enum: ['x'] } } };
+      expect(validateAgainstSchema({ a: 'x' }, schema, 'doc').valid).toBe(true);
+      expect(validateAgainstSchema({}, schema, 'doc').errors).toEqual(['doc: missing required field a']);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('exportPlan()', () => {
+    it('dispatches by format and rejects unknown formats', () => {
+      expect(exportPlan('mermaid', makePlan())).toMatch(/^flowchart TD/);
+      expect(exportPlan('markdown', makePlan())).toMatch(/^## Plan: ship-auth/);
+      expect(JSON.parse(exportPlan('json', makePlan())).schemaVersion).toBe(1);
+      expect(() => exportPlan('svg', makePlan())).toThrow(/Unknown plan export format "svg"/);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CONCURRENCY, scheduleSteps, scheduleStepsSync } from '../../lib/cognitive/plan-scheduler.js';
+
+function step(id, order = 1) {
+  return { id, order, action: `run ${id}` };
+}
+
+function edge(from, to) {
+  return { from, to };
+}
+
+/** runStep that sleeps per step and records concurrency */
+function makeRunner({ delays = {}, failures = [] } = {}) {
+  const log = { started: [], maxActive: 0 };
+  let active = 0;
+  const runStep = async (s) => {
+    log.started.push(s.id);
+    active += 1;
+    log.maxActive = Math.max(log.maxActive, active);
+    await new Promise((r) => setTimeout(r, delays[s.id] ?? 5));
+    active -= 1;
+    return { stepId: s.id, order: s.order, action: s.action, status: failures.includes(s.id) ? 'failed' : 'success' };
+  };
+  return { runStep, log };
+}
+
+describe('plan-scheduler', () => {
+  // -------------------------------------------------------------------------
+  describe('scheduleSteps()', () => {
+    it('runs independent steps concurrently up to the limit', async () => {
+      const steps = ['a', 'b', 'c', 'd'].map((id, i) => step(id, i + 1));
+      const { runStep, log } = makeRunner({ delays: { a: 20, b: 20, c: 20, d: 20 } });
+      const out = await scheduleSteps(steps, [], runStep, { concurrency: 2 });
+      expect(log.maxActive).toBe(2);
+      expect(out.concurrency).toBe(2);
+      expect(out.results.every((r) => r.status === 'success')).toBe(true);
+    });
+
+    it('runs strictly one at a time with concurrency 1', async () => {
+      const steps = ['a', 'b', 'c'].map((id, i) => step(id, i + 1));
+      const { runStep, log } = makeRunner();
+      await scheduleSteps(steps, [], runStep, { concurrency: 1 });
+      expect(log.maxActive).toBe(1);
+      expect(log.started).toEqual(['a', 'b', 'c']);
+    });
+
+    it('defaults to DEFAULT_CONCURRENCY and coerces invalid limits to 1', async () => {
+      const { runStep } = makeRunner();
+      expect((await scheduleSteps([step('a')], [], runStep)).concurrency).toBe(DEFAULT_CONCURRENCY);
+      expect((await scheduleSteps([step('a')], [], runStep, { concurrency: 0 })).concurrency).toBe(1);
+    });
+
+    it('waits for dependencies before starting a step', async () => {
+      const steps = [step('build', 1), step('lint', 2), step('test', 3)];
+      const deps = [edge('build', 'test')];
+      const { runStep, log } = makeRunner({ delays: { build: 20, lint: 5 } });
+      const out = await scheduleSteps(steps, deps, runStep);
+      expect(log.started.indexOf('test')).toBeGreaterThan(log.started.indexOf('build'));
+      const byId = Object.fromEntries(out.results.map((r) => [r.stepId, r]));
+      expect(byId.test.timing.startMs).toBeGreaterThanOrEqual(byId.build.timing.endMs);
+    });
+
+    it('propagates failures only to dependent branches', async () => {
+      // a -> b -> c, and an independent d
+      const steps = [step('a', 1), step('b', 2), step('c', 3), step('d', 4)];
+      const deps = [edge('a', 'b'), edge('b', 'c')];
+      const { runStep, log } = makeRunner({ failures: ['a'] });
+      const out = await scheduleSteps(steps, deps, runStep);
+      const status = Object.fromEntries(out.results.map((r) => [r.stepId, r.status]));
+      expect(status).toEqual({ a: 'failed', b: 'skipped', c: 'skipped', d: 'success' });
+      expect(log.started).not.toContain('b');
+      expect(out.results[1].skippedBecause).toBe('dependency a failed');
+      expect(out.results[2].skippedBecause).toBe('dependency b skipped');
+    });
+
+    it('halts new work after a failure when stopOnFailure is set', async () => {
+      const steps = [step('a', 1), step('b', 2)];
+      const { runStep } = makeRunner({ failures: ['a'] });
+      const out = await scheduleSteps(steps, [], runStep, { concurrency: 1, stopOnFailure: true });
+      expect(out.results[1]).toMatchObject({ status: 'skipped', skippedBecause: 'execution halted after a failure' });
+    });
+
+    it('records a rejected step as failed', async () => {
+      const out = await scheduleSteps([step('a')], [], async () => {
+        throw new Error('boom');
+      });
+      expect(out.results[0]).toMatchObject({ stepId: 'a', status: 'failed', error: 'boom' });
+      expect(out.results[0].timing.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('skips steps in cycles or with unknown dependencies', async () => {
+      const steps = [step('a', 1), step('b', 2), step('c', 3)];
+      const deps = [edge('a', 'b'), edge('b', 'a'), edge('ghost', 'c')];
+      const { runStep, log } = makeRunner();
+      const out = await scheduleSteps(steps, deps, runStep);
+      expect(log.started).toEqual([]);
+      expect(out.results.map((r) => r.skippedBecause)).toEqual([
+        'circular dependency',
+        'circular dependency',
+        'unknown dependency ghost',
+      ]);
+    });
+
+    it('resolves immediately for an empty plan', async () => {
+      const out = await scheduleSteps([], [], async () => ({}));
+      expect(out.results).toEqual([]);
+      expect(out.criticalPath).toEqual({ steps: [], durationMs: 0 });
+    });
+
+    it('reports the longest dependency chain as the critical path', async () => {
+      // a(30) -> c(10); b(5) -> c
+      const steps = [step('a', 1), step('b', 2), step('c', 3)];
+      const deps = [edge('a', 'c'), edge('b', 'c')];
+      const { runStep } = makeRunner({ delays: { a: 30, b: 5, c: 10 } });
+      const out = await scheduleSteps(steps, deps, runStep);
+      expect(out.criticalPath.steps).toEqual(['a', 'c']);
+      const byId = Object.fromEntries(out.results.map((r) => [r.stepId, r]));
+      expect(out.criticalPath.durationMs).toBe(byId.a.timing.durationMs + byId.c.timing.durationMs);
+      expect(out.wallMs).toBeGreaterThanOrEqual(out.criticalPath.durationMs);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('scheduleStepsSync()', () => {
+    /** Synchronous runStep failing the given step ids */
+    const runner = (failures = []) => (s) => ({ stepId: s.id, order: s.order, action: s.action, status: failures.includes(s.id) ? 'failed' : 'success' });
+
+    it('propagates failures only to dependent branches', () => {
+      const steps = [step('a', 1), step('b', 2), step('c', 3), step('d', 4)];
+      const out = scheduleStepsSync(steps, [edge('a', 'b'), edge('b', 'c')], runner(['a']));
+      expect(out.results.map((r) => r.status)).toEqual(['failed', 'skipped', 'skipped', 'success']);
+      expect(out.results[1].skippedBecause).toBe('dependency a failed');
+      expect(out.results[3].timing.durationMs).toBeGreaterThanOrEqual(0);
+      expect(out.concurrency).toBe(1);
+    });
+
+    it('halts after a failure when stopOnFailure is set and records thrown steps as failed', () => {
+      const out = scheduleStepsSync([step('a', 1), step('b', 2)], [], () => {
+        throw new Error('boom');
+      }, { stopOnFailure: true });
+      expect(out.results[0]).toMatchObject({ status: 'failed', error: 'boom' });
+      expect(out.results[1]).toMatchObject({ status: 'skipped', skippedBecause: 'execution halted after a failure' });
+    });
+
+    it('skips steps in cycles or with unknown dependencies', () => {
+      const steps = [step('a', 1), step('b', 2), step('c', 3)];
+      const out = scheduleStepsSync(steps, [edge('b', 'a'), edge('a', 'b'), edge('ghost', 'c')], runner());
+      expect(out.results.map((r) => r.skippedBecause)).toEqual([
+        'circular dependency',
+        'dependency a skipped',
+        'unknown dependency ghost',
+      ]);
+    });
+
+    it('reports the longest dependency chain as the critical path', () => {
+      // a(10) -> c(10); b(1)
+      const delays = { a: 10, b: 1, c: 10 };
+      const busy = (s) => {
+        const until = Date.now() + delays[s.id];
+        while (Date.now() < until) { /* spin */ }
+        return runner()(s);
+      };
+      const out = scheduleStepsSync([step('a', 1), step('b', 2), step('c', 3)], [edge('a', 'c')], busy);
+      expect(out.criticalPath.steps).toEqual(['a', 'c']);
+    });
+  });
+});
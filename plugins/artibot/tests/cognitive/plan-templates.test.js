@@ -0,0 +1,213 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  BUILTIN_TEMPLATES,
+  findTemplate,
+  instantiateTemplate,
+  loadTemplates,
+  validateTemplate,
+} from '../../lib/cognitive/plan-templates.js';
+import { executeAsync, plan } from '../../lib/cognitive/system2-core.js';
+import { createSandbox } from '../../lib/cognitive/sandbox.js';
+
+describe('plan-templates', () => {
+  // -------------------------------------------------------------------------
+  describe('findTemplate()', () => {
+    it('matches type, aliases and type:domain specialisations', () => {
+      expect(findTemplate(BUILTIN_TEMPLATES, { type: 'bugfix' }).name).toBe('bugfix');
+      expect(findTemplate(BUILTIN_TEMPLATES, { type: 'fix', domain: 'backend' }).name).toBe('bugfix');
+      expect(findTemplate(BUILTIN_TEMPLATES, { type: 'bug', domain: 'security' }).name).toBe('bugfix:security');
+      expect(findTemplate(BUILTIN_TEMPLATES, { type: 'migrate' }).name).toBe('migration');
+      expect(findTemplate(BUILTIN_TEMPLATES, { type: 'lint' })).toBeNull();
+      expect(findTemplate(BUILTIN_TEMPLATES, {})).toBeNull();
+    });
+
+    it('prefers an explicit task.template', () => {
+      expect(findTemplate(BUILTIN_TEMPLATES, { type: 'bugfix', template: 'refactor' }).name).toBe('refactor');
+      expect(findTemplate(BUILTIN_TEMPLATES, { template: 'nope' })).toBeNull();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('instantiateTemplate()', () => {
+    it('builds the bugfix sequence with sequential dependencies', () => {
+      const steps = instantiateTemplate(BUILTIN_TEMPLATES.bugfix, { description: 'login fails on empty password' });
+      expect(steps.map((s) => s.phase)).toEqual(['reproduce', 'isolate', 'fix', 'regression-test']);
+      expect(steps[0]).toMatchObject({
+        id: 'step-1',
+        order: 1,
+        action: 'Reproduce the failure: login fails on empty password',
+        dependencies: [],
+        status: 'pending',
+      });
+      expect(steps[2].description).toBe('Fix the root cause in the affected code');
+      expect(steps[3].dependencies).toEqual(['step-3']);
+    });
+
+    it('expands per-file phases and fills commands from context', () => {
+      const steps = instantiateTemplate(BUILTIN_TEMPLATES.migration, {
+        description: 'move users to the new schema',
+        context: { files: ['db/users.sql', 'db/orders.sql'], testCommand: 'npm test', migrateCommand: 'npm run migrate' },
+      });
+      expect(steps.map((s) => s.phase)).toEqual(['backup', 'dry-run', 'migrate', 'migrate', 'verify', 'rollback-plan']);
+      expect(steps[1].action).toBe('Dry-run the migration of db/users.sql, db/orders.sql');
+      expect(steps[2]).toMatchObject({
+        action: 'Migrate db/users.sql',
+        command: 'npm run migrate',
+        description: 'Migrate db/users.sql',
+        file: 'db/users.sql',
+      });
+      expect(steps[3]).toMatchObject({ dependencies: ['step-2'], file: 'db/orders.sql' });
+      expect(steps[4]).toMatchObject({
+        action: 'Verify the migrated data and run the test suite',
+        command: 'npm test',
+        dependencies: ['step-3', 'step-4'],
+      });
+      expect(steps[0]).not.toHaveProperty('command');
+    });
+
+    it('shell-quotes values inside commands and keeps whole-command context values verbatim', () => {
+      const template = { steps: [
+        { id: 'lint', action: 'Lint {file}', command: 'eslint {file}', each: 'file' },
+        { id: 'all', action: 'Format {files}', command: 'prettier --write {files}' },
+        { id: 'grep', action: 'Search for {needle}', command: 'grep -rn {needle} src' },
+        { id: 'test', action: 'Run the tests', command: '{testCommand}' },
+      ] };
+      const steps = instantiateTemplate(template, {
+        description: 'x',
+        context: { files: ['src/a.js', 'src/my file.js'], needle: "it's; rm -rf /", testCommand: 'npm test -- --run' },
+      });
+      expect(steps.map((s) => s.command)).toEqual([
+        'eslint src/a.js',
+        "eslint 'src/my file.js'",
+        "prettier --write src/a.js 'src/my file.js'",
+        "grep -rn 'it'\\''s; rm -rf /' src",
+        'npm test -- --run',
+      ]);
+      expect(steps.map((s) => s.action)).toEqual([
+        'Lint src/a.js', 'Lint src/my file.js', 'Format src/a.js, src/my file.js', "Search for it's; rm -rf /", 'Run the tests',
+      ]);
+
+      const noFiles = instantiateTemplate(template, { description: 'x' });
+      expect(noFiles.map((s) => s.command)).toEqual([undefined, undefined, undefined, undefined]);
+    });
+
+    it('keeps per-file phases as one step when expanding would exceed maxSteps', () => {
+      const files = Array.from({ length: 12 }, (_, i) => `src/m${i}.js`);
+      const steps = instantiateTemplate(BUILTIN_TEMPLATES.refactor, { description: 'x', context: { files } });
+      expect(steps).toHaveLength(4);
+      expect(steps[2].description).toBe(`Refactor ${files.join(', ')} without changing behavior`);
+    });
+
+    it('honours after for parallel phases', () => {
+      const steps = instantiateTemplate(BUILTIN_TEMPLATES['bugfix:security'], { description: 'xss in comments' });
+      const audit = steps.find((s) => s.phase === 'audit');
+      expect(audit.dependencies).toEqual(['step-2']);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('validateTemplate() / loadTemplates()', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-templates-'));
+      fs.mkdirSync(path.join(tmpDir, '.artibot'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const writeProject = (data) => fs.writeFileSync(path.join(tmpDir, '.artibot', 'plan-templates.json'), JSON.stringify(data));
+
+    it('accepts the built-in templates', () => {
+      for (const [name, template] of Object.entries(BUILTIN_TEMPLATES)) {
+        expect(validateTemplate(name, template)).toEqual({ valid: true, errors: [] });
+      }
+    });
+
+    it('reports malformed templates', () => {
+      expect(validateTemplate('x', { steps: [] }).errors).toEqual(['template "x": steps must be a non-empty array']);
+      const { errors } = validateTemplate('x', {
+        steps: [{ id: 'a', action: 'A', after: ['b'] }, { id: 'a', action: '', each: 'dir' }],
+      });
+      expect(errors).toEqual([
+        'template "x": step 1 waits for unknown or later step "b"',
+        'template "x": step 2 repeats id "a"',
+        'template "x": step 2 needs an action',
+        'template "x": step 2 each must be "file"',
+      ]);
+    });
+
+    it('lets the project override and add templates', () => {
+      writeProject({
+        bugfix: { steps: [{ id: 'bisect', action: 'git bisect the regression' }, { id: 'fix', action: 'Fix {file}', each: 'file' }] },
+        docs: { steps: [{ id: 'write', action: 'Write docs for {task}' }] },
+        broken: { steps: 'nope' },
+      });
+      const { templates, errors } = loadTemplates({ cwd: tmpDir });
+      expect(templates.bugfix.steps[0].id).toBe('bisect');
+      expect(templates.docs).toBeDefined();
+      expect(templates.broken).toBeUndefined();
+      expect(templates.migration).toBe(BUILTIN_TEMPLATES.migration);
+      expect(errors).toEqual(['template "broken": steps must be a non-empty array']);
+    });
+
+    it('is used by plan() for typed tasks without an explicit step list', () => {
+      writeProject({ docs: { steps: [{ id: 'write', action: 'Write docs for {task}' }] } });
+      const result = plan({ id: 'd', description: 'the API', type: 'docs' }, { cwd: tmpDir });
+      expect(result.template).toBe('docs');
+      expect(result.steps.map((s) => s.action)).toEqual(['Write docs for the API']);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('plan() integration', () => {
+    it('instantiates the template for the task type and domain', () => {
+      const result = plan({
+        id: 'fix-login',
+        description: 'login fails on empty password',
+        type: 'bugfix',
+        context: { files: ['src/auth.js'], testCommand: 'npm test' },
+      });
+      expect(result.template).toBe('bugfix');
+      expect(result.steps.map((s) => s.action)).toEqual([
+        'Reproduce the failure: login fails on empty password',
+        'Isolate the root cause in src/auth.js',
+        'Fix the root cause in src/auth.js',
+        'Add a regression test and run the test suite',
+      ]);
+      expect(result.steps.at(-1).command).toBe('npm test');
+      expect(result.dependencies).toHaveLength(3);
+    });
+
+    it('keeps an explicit step list and untyped tasks as before', () => {
+      const explicit = plan({ id: 'e', description: '1. npm ci\n2. npm test', type: 'bugfix' });
+      expect(explicit.template).toBeNull();
+      expect(explicit.steps.map((s) => s.action)).toEqual(['npm ci', 'npm test']);
+
+      const untyped = plan({ id: 'u', description: 'fix the login bug' });
+      expect(untyped.template).toBeNull();
+      expect(untyped.steps).toHaveLength(1);
+      expect(plan({ id: 't', description: 'x', type: 'bugfix' }, { templates: false }).steps).toHaveLength(1);
+    });
+
+    it('runs parallel template phases through the DAG scheduler', async () => {
+      const result = plan(
+        { id: 'multi', description: 'x', type: 'feature', context: { files: ['a.js', 'b.js'] } },
+        { templates: { feature: { steps: [
+          { id: 'start', action: 'start', command: 'echo start' },
+          { id: 'build', action: 'build {file}', command: 'echo {file}', each: 'file' },
+          { id: 'done', action: 'done', command: 'echo done' },
+        ] } } },
+      );
+      const execution = await executeAsync(result, createSandbox({ executor: 'process' }));
+      expect(execution.success).toBe(true);
+      expect(execution.results.map((r) => r.action)).toEqual(['start', 'build a.js', 'build b.js', 'done']);
+      expect(execution.results.map((r) => r.execution.stdout.trim())).toEqual(['start', 'a.js', 'b.js', 'done']);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { execFileSync } from 'node:child_process';
+import { collectRepoSignals, scoreRepoSignals, shouldCollectRepoSignals } from '../../lib/cognitive/repo-signals.js';
+
+function git(cwd, ...args) {
+  execFileSync('git', args, { cwd, stdio: 'ignore' });
+}
+
+function write(root, rel, content) {
+  const abs = path.join(root, rel);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content);
+}
+
+function commit(root, message) {
+  git(root, 'add', '-A');
+  git(root, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', message);
+}
+
+describe('repo-signals', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-repo-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('collectRepoSignals()', () => {
+    it('reports unavailable outside a git work tree but still finds referenced files', () => {
+      write(tmpDir, 'src/app.js', 'export {};\n');
+      const signals = collectRepoSignals('look at src/app.js and missing.js', { cwd: tmpDir });
+      expect(signals.available).toBe(false);
+      expect(signals.referencedFiles).toEqual(['src/app.js']);
+      expect(signals.changedFiles).toBe(0);
+    });
+
+    it('measures the uncommitted diff, untracked files and sensitive paths', () => {
+      git(tmpDir, 'init', '-q');
+      write(tmpDir, 'src/app.js', 'a\nb\n');
+      write(tmpDir, 'README.md', 'readme\n');
+      commit(tmpDir, 'init');
+
+      write(tmpDir, 'src/app.js', 'a\nc\nd\n');
+      write(tmpDir, 'db/migrations/002_add.sql', 'ALTER TABLE t ADD c int;\n');
+
+      const signals = collectRepoSignals('fix this', { cwd: tmpDir });
+      expect(signals.available).toBe(true);
+      expect(signals.changedFiles).toBe(1);
+      expect(signals.untrackedFiles).toBe(1);
+      expect(signals.linesChanged).toBe(3);
+      expect(signals.touchedPaths).toBe(2);
+      expect(signals.sensitive).toEqual([{ path: 'db/migrations/002_add.sql', kind: 'migration' }]);
+    });
+
+    it('flags referenced files with heavy recent churn as hot spots', () => {
+      git(tmpDir, 'init', '-q');
+      for (let i = 0; i < 5; i++) {
+        write(tmpDir, 'lib/core.js', `v${i}\n`);
+        commit(tmpDir, `change ${i}`);
+      }
+      write(tmpDir, 'lib/quiet.js', 'x\n');
+      commit(tmpDir, 'quiet');
+
+      const signals = collectRepoSignals('refactor lib/core.js and lib/quiet.js', { cwd: tmpDir });
+      expect(signals.referencedFiles.sort()).toEqual(['lib/core.js', 'lib/quiet.js']);
+      expect(signals.hotspots).toEqual([{ path: 'lib/core.js', commits: 5 }]);
+    });
+
+    it('resolves referenced paths from a subdirectory relative to the repo root', () => {
+      git(tmpDir, 'init', '-q');
+      write(tmpDir, 'pkg/index.js', 'x\n');
+      commit(tmpDir, 'init');
+
+      const signals = collectRepoSignals('check index.js', { cwd: path.join(tmpDir, 'pkg') });
+      expect(signals.referencedFiles).toEqual(['pkg/index.js']);
+    });
+
+    it('skips git commands once the total budget is spent', () => {
+      git(tmpDir, 'init', '-q');
+      write(tmpDir, 'db/migrations/001.sql', 'create table t();\n');
+      commit(tmpDir, 'init');
+      write(tmpDir, 'db/migrations/001.sql', 'create table u();\n');
+
+      const signals = collectRepoSignals('update db/migrations/001.sql', { cwd: tmpDir, budgetMs: 0 });
+      expect(signals.available).toBe(false);
+      expect(signals.changedFiles).toBe(0);
+      expect(signals.referencedFiles).toEqual(['db/migrations/001.sql']);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('shouldCollectRepoSignals()', () => {
+    it('requires collection to be enabled', () => {
+      const prompt = 'refactor the payment module and its migrations';
+      expect(shouldCollectRepoSignals(prompt)).toBe(false);
+      expect(shouldCollectRepoSignals(prompt, { enabled: false })).toBe(false);
+      expect(shouldCollectRepoSignals(prompt, { enabled: true })).toBe(true);
+    });
+
+    it('skips prompts shorter than minPromptLength', () => {
+      expect(shouldCollectRepoSignals('  fix typo  ', { enabled: true })).toBe(false);
+      expect(shouldCollectRepoSignals('fix typo', { enabled: true, minPromptLength: 5 })).toBe(true);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('scoreRepoSignals()', () => {
+    it('returns zeros for empty signals', () => {
+      expect(scoreRepoSignals({})).toEqual({ repoScope: 0, repoHotspots: 0, repoSensitive: 0 });
+    });
+
+    it('saturates scope for large change sets', () => {
+      expect(scoreRepoSignals({ changedFiles: 40, linesChanged: 10 }).repoScope).toBe(1);
+      expect(scoreRepoSignals({ changedFiles: 1, linesChanged: 1000 }).repoScope).toBe(1);
+    });
+
+    it('keeps scope small for a single-line edit', () => {
+      const { repoScope } = scoreRepoSignals({ changedFiles: 1, linesChanged: 2 });
+      expect(repoScope).toBeGreaterThan(0);
+      expect(repoScope).toBeLessThan(0.25);
+    });
+
+    it('scores hot spot share and caps sensitive paths at 1', () => {
+      const scores = scoreRepoSignals({
+        touchedPaths: 4,
+        hotspots: [{ path: 'a', commits: 6 }],
+        sensitive: [{ path: 'x', kind: 'infra' }, { path: 'y', kind: 'ci' }, { path: 'z', kind: 'migration' }],
+      });
+      expect(scores.repoHotspots).toBe(0.25);
+      expect(scores.repoSensitive).toBe(1);
+    });
+  });
+});
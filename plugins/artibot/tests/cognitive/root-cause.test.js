@@ -0,0 +1,145 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  classifyFailure,
+  diagnoseFailure,
+  findKnownFixes,
+  loadErrorPatterns,
+} from '../../lib/cognitive/root-cause.js';
+import { reflect, solveAsync } from '../../lib/cognitive/system2-core.js';
+import { suggestCorrection } from '../../lib/cognitive/system2-strategies.js';
+import { loadMemories } from '../../lib/learning/memory-manager.js';
+
+vi.mock('../../lib/learning/memory-manager.js', () => ({
+  loadMemories: vi.fn(async () => [
+    { id: 'error_1', data: { message: "Cannot find module 'zod'", resolution: 'pnpm add zod' } },
+  ]),
+}));
+
+const failed = (stderr, exitCode = 1, issues = []) => ({
+  stepId: 's1',
+  action: 'npm test',
+  status: 'failed',
+  execution: { exitCode, stderr, stdout: '' },
+  validation: { issues },
+});
+
+describe('root-cause', () => {
+  // -------------------------------------------------------------------------
+  describe('classifyFailure()', () => {
+    it.each([
+      ["Error: Cannot find module 'zod'\n    at Module._resolveFilename", 'missing_dependency'],
+      ['sh: 1: jest: not found', 'missing_dependency'],
+      ["Error: Cannot find module './utils/helpers.js'", 'missing_path'],
+      ["src/app.ts(4,7): error TS2322: Type 'string' is not assignable to type 'number'.", 'type_error'],
+      ['SyntaxError: Unexpected token }', 'syntax_error'],
+      ['Error: Test timed out in 5000ms.', 'flaky_test'],
+      ['AssertionError: expected 2 to equal 3\nTests: 1 failed, 4 passed', 'test_failure'],
+      ["Error: EACCES: permission denied, open '/usr/lib/node_modules/x'", 'permission'],
+      ['npm ERR! network request failed, reason: getaddrinfo ENOTFOUND registry.npmjs.org', 'network'],
+      ['Error: Missing required environment variable DATABASE_URL', 'config'],
+      ['Command timed out after 30000ms', 'timeout'],
+      ['something went wrong', 'unknown'],
+    ])('classifies %j as %s', (stderr, cause) => {
+      expect(classifyFailure(failed(stderr)).cause).toBe(cause);
+    });
+
+    it('returns concrete actions and the evidence line', () => {
+      const result = classifyFailure(failed("> node app.js\nError: Cannot find module 'zod'\n    at x"));
+      expect(result).toMatchObject({
+        label: 'Missing dependency',
+        evidence: "Error: Cannot find module 'zod'",
+      });
+      expect(result.actions[0]).toBe('Install the missing package: npm install zod');
+      expect(result.confidence).toBeGreaterThan(0.5);
+      expect(classifyFailure(failed('', 127))).toMatchObject({ cause: 'missing_dependency', evidence: 'exit code 127' });
+      expect(classifyFailure(failed('Error: ENOTFOUND api.example.com')).actions[0]).toBe('Check DNS and connectivity for api.example.com');
+    });
+
+    it('reads validation issues and plain reasons', () => {
+      expect(classifyFailure(failed('', 1, ['Execution timed out (30000ms >= 30000ms)'])).cause).toBe('timeout');
+      expect(classifyFailure({ reason: 'EPERM: operation not permitted' }).cause).toBe('permission');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('findKnownFixes() / diagnoseFailure()', () => {
+    const errorPatterns = [
+      { id: 'e1', data: { message: "Cannot find module 'zod'", resolution: 'pnpm add zod' } },
+      { id: 'e2', data: { message: "Cannot find module 'lodash'", resolution: 'pnpm add lodash' } },
+      { id: 'e3', data: { message: 'Port 3000 already in use', resolution: null } },
+      { id: 'e4', data: { message: 'EACCES writing cache', resolution: 'chown -R $USER ~/.npm' } },
+    ];
+
+    it('ranks recorded resolutions by overlap and shared root cause', () => {
+      const fixes = findKnownFixes(failed("Error: Cannot find module 'zod'"), errorPatterns);
+      expect(fixes.map((f) => f.id)).toEqual(['e1', 'e2']);
+      expect(fixes[0].score).toBeGreaterThan(fixes[1].score);
+      expect(findKnownFixes(failed('SyntaxError: x'), errorPatterns)).toEqual([]);
+      expect(findKnownFixes(failed('x'), undefined)).toEqual([]);
+    });
+
+    it('puts known fixes ahead of the taxonomy actions', () => {
+      const diagnosis = diagnoseFailure(failed("Cannot find module 'zod'"), { errorPatterns });
+      expect(diagnosis.retryable).toBe(false);
+      expect(diagnosis.actions.slice(0, 3)).toEqual(['pnpm add zod', 'pnpm add lodash', 'Install the missing package: npm install zod']);
+    });
+
+    it('loads error patterns through memory-manager', async () => {
+      expect(await loadErrorPatterns()).toHaveLength(1);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('reflect() integration', () => {
+    const execution = (results) => ({
+      planId: 't',
+      results,
+      success: false,
+      stepsCompleted: 1,
+      stepsTotal: results.length,
+    });
+
+    it('attaches root causes, concrete actions and known fixes to corrections', () => {
+      const r = reflect(
+        execution([
+          { stepId: 's0', action: 'npm ci', status: 'success', execution: { exitCode: 0 }, validation: { issues: [] } },
+          failed("Error: Cannot find module 'zod'"),
+        ]),
+        null,
+        { errorPatterns: [{ id: 'e1', data: { message: "Cannot find module 'zod'", resolution: 'pnpm add zod' } }] },
+      );
+      expect(r.analysis.failedSteps[0].rootCause.cause).toBe('missing_dependency');
+      expect(r.corrections[0]).toMatchObject({
+        rootCause: 'missing_dependency',
+        suggestedAction: 'npm test (install missing dependencies first)',
+        actions: ['pnpm add zod', 'Install the missing package: npm install zod', expect.any(String)],
+      });
+      expect(r.corrections[0].knownFixes[0].id).toBe('e1');
+    });
+
+    it('no longer mistakes a network timeout for a slow step', () => {
+      const r = reflect(execution([
+        { stepId: 's0', action: 'npm ci', status: 'success', execution: { exitCode: 0 }, validation: { issues: [] } },
+        failed('npm ERR! code ETIMEDOUT\nnpm ERR! connect ETIMEDOUT 104.16.0.35:443'),
+      ]));
+      expect(r.corrections[0].rootCause).toBe('network');
+      expect(r.analysis.patterns).not.toContain('timeout_failures');
+    });
+
+    it('suggestCorrection() classifies a bare reason', () => {
+      expect(suggestCorrection({ action: 'build', reason: 'error TS2304: Cannot find name' })).toBe('build (fix type errors before re-running)');
+    });
+
+    it('solveAsync() loads error patterns from memory when none are given', async () => {
+      loadMemories.mockClear();
+      const outcome = await solveAsync(
+        { id: 'rc', description: "1. `node -e \"require('zod-missing-for-test')\"`" },
+        { maxRetries: 1, sandboxOptions: { executor: 'process' }, planOptions: { templates: false } },
+      );
+      const correction = outcome.history[0].reflection.corrections[0];
+      expect(correction.rootCause).toBe('missing_dependency');
+      expect(correction.actions).toContain('Install the missing package: npm install zod-missing-for-test');
+      expect(loadMemories).toHaveBeenCalledWith('error');
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  buildConfigBlock,
+  evaluateRouting,
+  extractFeatures,
+  fitWeights,
+  loadCorpus,
+  parseCorpus,
+  scoreFactors,
+} from '../../lib/cognitive/router-eval.js';
+import { classifyComplexity, configure, DEFAULT_WEIGHTS, getWeights, resetRouter, routerConfidence } from '../../lib/cognitive/router.js';
+import { configure as configureCalibration, recordObservation } from '../../lib/cognitive/calibration.js';
+
+const CORPUS = [
+  { prompt: 'fix a typo in README', expected: 1 },
+  { prompt: 'rename variable foo to bar', expected: 1 },
+  { prompt: 'list files', expected: 1 },
+  { prompt: 'format this file', expected: 1 },
+  {
+    prompt: 'security audit: migrate the production database, deploy to kubernetes, and fix the authentication vulnerability',
+    expected: 2,
+  },
+  { prompt: 'design the architecture for a scalable api server with database and frontend components', expected: 2 },
+  { prompt: 'maybe investigate why the deploy is failing?', expected: 2 },
+  { prompt: 'not sure why the server crashes, could be the db? explore the logs', expected: 2 },
+];
+
+describe('router-eval', () => {
+  beforeEach(() => {
+    resetRouter();
+  });
+
+  describe('parseCorpus()', () => {
+    it('parses valid lines and normalizes labels', () => {
+      const text = [
+        '{"prompt":"a","expected":1}',
+        '',
+        '{"input":"b","expected":"system2","context":{"sessionDepth":2}}',
+        '{"prompt":"c","system":"2"}',
+      ].join('\n');
+      const { samples, errors } = parseCorpus(text);
+      expect(errors).toEqual([]);
+      expect(samples.map((s) => s.expected)).toEqual([1, 2, 2]);
+      expect(samples[1]).toEqual({ prompt: 'b', expected: 2, context: { sessionDepth: 2 } });
+      expect(samples[0].context).toEqual({});
+    });
+
+    it('reports malformed lines with line numbers', () => {
+      const text = 'not json\n{"expected":1}\n{"prompt":"x","expected":3}\r\n{"prompt":"ok","expected":1}';
+      const { samples, errors } = parseCorpus(text);
+      expect(samples).toHaveLength(1);
+      expect(errors.map((e) => e.line)).toEqual([1, 2, 3]);
+      expect(errors[0].message).toBe('invalid JSON');
+      expect(errors[1].message).toBe('missing prompt');
+    });
+
+    it('handles empty input', () => {
+      expect(parseCorpus(undefined)).toEqual({ samples: [], errors: [] });
+    });
+  });
+
+  describe('loadCorpus()', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-eval-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('reads a JSONL file', async () => {
+      const file = path.join(tmpDir, 'corpus.jsonl');
+      fs.writeFileSync(file, CORPUS.map((s) => JSON.stringify(s)).join('\n'));
+      const { samples } = await loadCorpus(file);
+      expect(samples).toHaveLength(CORPUS.length);
+    });
+
+    it('throws when the file is missing', async () => {
+      await expect(loadCorpus(path.join(tmpDir, 'nope.jsonl'))).rejects.toThrow('Corpus not found');
+    });
+  });
+
+  describe('scoreFactors()', () => {
+    it('computes the weighted sum clamped to [0, 1]', () => {
+      expect(scoreFactors({ steps: 1, domains: 0 }, { steps: 0.5, domains: 0.5 })).toBe(0.5);
+      expect(scoreFactors({ steps: 3 }, { steps: 1 })).toBe(1);
+      expect(scoreFactors({}, { steps: 1 })).toBe(0);
+    });
+
+    it('adds repository factors with their additive weights', () => {
+      expect(scoreFactors({ steps: 0.5, repoScope: 1 }, { steps: 0.3 }, { repoScope: 0.4, repoHotspots: 0.15 })).toBe(0.55);
+    });
+  });
+
+  describe('evaluateRouting()', () => {
+    it('builds a confusion matrix and per-system metrics', () => {
+      const report = evaluateRouting(CORPUS);
+      const { confusion } = report;
+      expect(report.total).toBe(CORPUS.length);
+      expect(confusion[1][1] + confusion[1][2]).toBe(4);
+      expect(confusion[2][1] + confusion[2][2]).toBe(4);
+      expect(report.perSystem[1].support).toBe(4);
+      expect(report.accuracy).toBe((confusion[1][1] + confusion[2][2]) / CORPUS.length);
+      expect(report.threshold).toBe(0.4);
+    });
+
+    it('reports calibration curves with the requested bin count', () => {
+      const report = evaluateRouting(CORPUS, { bins: 4 });
+      expect(report.calibration.confidence).toHaveLength(4);
+      expect(report.calibration.score).toHaveLength(4);
+      expect(report.calibration.confidence[0].range).toEqual([0.5, 0.625]);
+      const counted = report.calibration.score.reduce((s, b) => s + b.count, 0);
+      expect(counted).toBe(CORPUS.length);
+      expect(report.calibration.ece).toBeGreaterThanOrEqual(0);
+    });
+
+    it("bins the router's calibrated confidence", () => {
+      const features = extractFeatures(CORPUS);
+      configureCalibration({ minSamples: 2 });
+      try {
+        for (const f of features) recordObservation('router', routerConfidence(0.9, f.domain).rawConfidence, false, f.domain);
+
+        const report = evaluateRouting(features);
+        const binned = report.calibration.confidence.flatMap((b) => (b.count > 0 ? [b.meanConfidence] : []));
+        expect(binned).toEqual([0]);
+        expect(report.calibration.confidence[0].count).toBe(CORPUS.length);
+      } finally {
+        configureCalibration({ minSamples: 30 });
+      }
+    });
+
+    it('lists misrouted samples', () => {
+      const report = evaluateRouting(CORPUS, { threshold: 0.7 });
+      expect(report.misrouted.length).toBe(report.confusion[2][1] + report.confusion[1][2]);
+      expect(report.misrouted.every((m) => m.expected !== m.predicted)).toBe(true);
+    });
+
+    it('accepts pre-extracted features and explicit weights', () => {
+      const features = extractFeatures(CORPUS);
+      const allSteps = evaluateRouting(features, { weights: { steps: 1 }, threshold: 0.99 });
+      expect(allSteps.confusion[1][2] + allSteps.confusion[2][2]).toBe(0);
+    });
+
+    it('scores repository factors with the configured repository weights', () => {
+      const repo = {
+        available: true,
+        referencedFiles: [],
+        changedFiles: 40,
+        untrackedFiles: 2,
+        linesChanged: 1800,
+        touchedPaths: 42,
+        hotspots: [],
+        sensitive: [],
+      };
+      const samples = [{ prompt: 'fix this', expected: 2, context: { repo } }];
+
+      configure({ repoWeights: { repoScope: 0.1 } });
+      const light = evaluateRouting(samples);
+      expect(light.repoWeights.repoScope).toBe(0.1);
+      expect(light.confusion[2][1]).toBe(1);
+
+      configure({ repoWeights: { repoScope: 0.4 } });
+      const report = evaluateRouting(samples);
+      expect(report.confusion[2][2]).toBe(1);
+      expect(report.calibration.score.find((b) => b.count === 1).meanScore).toBeCloseTo(classifyComplexity('fix this', { repo }).score, 1);
+    });
+
+    it('returns zero metrics for an empty corpus', () => {
+      const report = evaluateRouting([]);
+      expect(report.total).toBe(0);
+      expect(report.accuracy).toBe(0);
+      expect(report.perSystem[2]).toEqual({ precision: 0, recall: 0, f1: 0, support: 0 });
+    });
+  });
+
+  describe('fitWeights()', () => {
+    it('does not reduce accuracy and yields normalized weights', () => {
+      const fit = fitWeights(CORPUS);
+      expect(fit.after.accuracy).toBeGreaterThanOrEqual(fit.before.accuracy);
+      const sum = Object.values(fit.weights).reduce((s, w) => s + w, 0);
+      expect(sum).toBeCloseTo(1, 2);
+      expect(Object.values(fit.weights).every((w) => w >= 0)).toBe(true);
+      expect(fit.threshold).toBeGreaterThanOrEqual(0.2);
+      expect(fit.threshold).toBeLessThanOrEqual(0.7);
+      expect(Object.keys(fit.weights)).toEqual(Object.keys(DEFAULT_WEIGHTS));
+    });
+
+    it('falls back to current parameters when only one class is present', () => {
+      const fit = fitWeights(CORPUS.filter((s) => s.expected === 1));
+      expect(fit.weights).toEqual(getWeights());
+      expect(fit.after).toBe(fit.before);
+    });
+
+    it('does not mutate router state', () => {
+      fitWeights(CORPUS);
+      expect(getWeights()).toEqual({ ...DEFAULT_WEIGHTS });
+    });
+  });
+
+  describe('buildConfigBlock()', () => {
+    it('produces a cognitive.router block accepted by configure()', () => {
+      const block = buildConfigBlock({ threshold: 0.33333, weights: { steps: 0.5, risk: 0.5 } });
+      expect(block).toEqual({ cognitive: { router: { threshold: 0.333, weights: { steps: 0.5, risk: 0.5 } } } });
+
+      configure(block.cognitive.router);
+      const applied = getWeights();
+      const sum = Object.values(applied).reduce((s, w) => s + w, 0);
+      expect(sum).toBeCloseTo(1, 5);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  clearRouterState,
+  loadRouterState,
+  MAX_PERSISTED_HISTORY,
+  saveRouterState,
+} from '../../lib/cognitive/router-store.js';
+import {
+  adaptThreshold,
+  configure,
+  getRoutingStats,
+  getThreshold,
+  resetRouter,
+  route,
+} from '../../lib/cognitive/router.js';
+
+function entry(system, extra = {}) {
+  return { timestamp: 1, input: 'x', score: 0.1, system, confidence: 0.8, durationMs: 0, ...extra };
+}
+
+describe('router-store', () => {
+  let tmpDir;
+  let statePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-router-'));
+    statePath = path.join(tmpDir, 'nested', 'router-state.json');
+    resetRouter();
+  });
+
+  afterEach(() => {
+    resetRouter();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loadRouterState()', () => {
+    it('returns null when the file does not exist', () => {
+      expect(loadRouterState(statePath)).toBeNull();
+    });
+
+    it('returns null for malformed JSON', () => {
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      fs.writeFileSync(statePath, '{not json');
+      expect(loadRouterState(statePath)).toBeNull();
+    });
+
+    it('returns null when threshold is missing', () => {
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      fs.writeFileSync(statePath, JSON.stringify({ history: [] }));
+      expect(loadRouterState(statePath)).toBeNull();
+    });
+
+    it('drops invalid history entries and normalizes fields', () => {
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      fs.writeFileSync(statePath, JSON.stringify({
+        threshold: 0.35,
+        s1SuccessStreak: -2,
+        history: [entry(1), { system: 3 }, null, entry(2)],
+      }));
+      const state = loadRouterState(statePath);
+      expect(state.threshold).toBe(0.35);
+      expect(state.baseThreshold).toBeNull();
+      expect(state.s1SuccessStreak).toBe(0);
+      expect(state.history).toHaveLength(2);
+    });
+  });
+
+  describe('saveRouterState()', () => {
+    it('creates parent directories and round-trips state', () => {
+      saveRouterState({ threshold: 0.3, baseThreshold: 0.4, s1SuccessStreak: 2, history: [entry(1)] }, statePath);
+      const state = loadRouterState(statePath);
+      expect(state).toMatchObject({ version: 1, threshold: 0.3, baseThreshold: 0.4, s1SuccessStreak: 2 });
+      expect(state.history).toHaveLength(1);
+      expect(typeof state.updatedAt).toBe('string');
+    });
+
+    it('bounds persisted history', () => {
+      const history = Array.from({ length: MAX_PERSISTED_HISTORY + 50 }, (_, i) => entry(1, { timestamp: i }));
+      saveRouterState({ threshold: 0.4, s1SuccessStreak: 0, history }, statePath);
+      const state = loadRouterState(statePath);
+      expect(state.history).toHaveLength(MAX_PERSISTED_HISTORY);
+      expect(state.history[0].timestamp).toBe(50);
+    });
+
+    it('leaves no temp files behind', () => {
+      saveRouterState({ threshold: 0.4, s1SuccessStreak: 0, history: [] }, statePath);
+      expect(fs.readdirSync(path.dirname(statePath))).toEqual(['router-state.json']);
+    });
+  });
+
+  describe('clearRouterState()', () => {
+    it('removes the file and reports whether it existed', () => {
+      saveRouterState({ threshold: 0.4, s1SuccessStreak: 0, history: [] }, statePath);
+      expect(clearRouterState(statePath)).toBe(true);
+      expect(clearRouterState(statePath)).toBe(false);
+    });
+  });
+
+  describe('router persistence', () => {
+    it('accumulates threshold adaptation across simulated processes', () => {
+      configure({ threshold: 0.4, adaptRate: 0.05, persist: true, statePath });
+      route('fix a typo');
+      adaptThreshold({ system: 1, success: false });
+      expect(getThreshold()).toBe(0.35);
+
+      // Simulate a fresh hook process
+      resetRouter();
+      configure({ threshold: 0.4, adaptRate: 0.05, persist: true, statePath });
+      expect(getThreshold()).toBe(0.35);
+      route('fix another typo');
+
+      const stats = getRoutingStats();
+      expect(stats.totalRouted).toBe(2);
+      expect(stats.successRate.system1).toBe(0);
+    });
+
+    it('restores the success streak', () => {
+      configure({ persist: true, statePath });
+      for (let i = 0; i < 3; i++) {
+        adaptThreshold({ system: 1, success: true });
+      }
+      resetRouter();
+      configure({ persist: true, statePath });
+      const result = adaptThreshold({ system: 1, success: true });
+      expect(result.streak).toBe(4);
+    });
+
+    it('discards the learned threshold when the configured threshold changes', () => {
+      configure({ threshold: 0.4, persist: true, statePath });
+      adaptThreshold({ system: 1, success: false });
+      resetRouter();
+      configure({ threshold: 0.6, persist: true, statePath });
+      expect(getThreshold()).toBe(0.6);
+    });
+
+    it('does not write when persistence is disabled', () => {
+      configure({ persist: true, statePath });
+      configure({ persist: false });
+      route('hello');
+      expect(fs.existsSync(statePath)).toBe(false);
+    });
+
+    it('persists a hash of the input instead of the prompt text', () => {
+      const prompt = 'deploy with password hunter2 to prod';
+      configure({ persist: true, statePath });
+      route(prompt);
+
+      const raw = fs.readFileSync(statePath, 'utf-8');
+      expect(raw).not.toContain('hunter2');
+      const [saved] = JSON.parse(raw).history;
+      expect(saved).not.toHaveProperty('input');
+      expect(saved.inputHash).toMatch(/^[0-9a-f]{16}$/);
+      expect(saved.inputLength).toBe(prompt.length);
+    });
+
+    it('drops prompt text left in older state files', () => {
+      saveRouterState({ threshold: 0.4, s1SuccessStreak: 0, history: [entry(1, { input: 'secret prompt' })] }, statePath);
+      expect(loadRouterState(statePath).history[0]).not.toHaveProperty('input');
+    });
+
+    it('keeps routing when the state file cannot be written', () => {
+      fs.writeFileSync(path.join(tmpDir, 'blocker'), '');
+      configure({ persist: true, statePath: path.join(tmpDir, 'blocker', 'state.json') });
+      expect(() => route('hello')).not.toThrow();
+      expect(getRoutingStats().totalRouted).toBe(1);
+    });
+  });
+});
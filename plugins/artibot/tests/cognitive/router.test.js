@@ -3,10 +3,16 @@ import {
   classifyComplexity,
   route,
   adaptThreshold,
+  recordRoutingOutcome,
   configure,
   getRoutingStats,
   resetRouter,
   getThreshold,
+  getWeights,
+  DEFAULT_WEIGHTS,
+  DEFAULT_REPO_WEIGHTS,
+  getRepoWeights,
+  explainClassification,
 } from '../../lib/cognitive/router.js';
 
 describe('router', () => {
@@ -77,6 +83,13 @@ describe('router', () => {
       expect(result.factors.domains).toBeGreaterThan(0);
     });
 
+    it('reports the domain with the most matched terms', () => {
+      const input = 'tweak the css, then deploy with docker and terraform';
+      expect(classifyComplexity(input).domain).toBe('infrastructure');
+      expect(explainClassification(input).domain).toBe('infrastructure');
+      expect(classifyComplexity('hello').domain).toBe('general');
+    });
+
     it('novelty defaults to 0.3 when no session context', () => {
       const result = classifyComplexity('do something');
       expect(result.factors.novelty).toBe(0.3);
@@ -546,6 +559,23 @@ describe('router', () => {
     });
   });
 
+  // -------------------------------------------------------------------------
+  describe('recordRoutingOutcome()', () => {
+    it('resolves only the latest decision, once', () => {
+      route('task1');
+      route('task2');
+      const prev = getThreshold();
+      expect(recordRoutingOutcome(false)).toMatchObject({ direction: 'lowered', previousThreshold: prev });
+      expect(recordRoutingOutcome(false)).toBeNull();
+      expect(getThreshold()).toBeLessThan(prev);
+      expect(getRoutingStats().successRate.system1).toBe(0);
+    });
+
+    it('returns null without history', () => {
+      expect(recordRoutingOutcome(true)).toBeNull();
+    });
+  });
+
   // -------------------------------------------------------------------------
   describe('adaptThreshold() - findRecentEntry branches', () => {
     it('marks success on correct history entry (most recent unseen)', () => {
@@ -564,4 +594,193 @@ describe('router', () => {
       expect(result.direction).toBe('unchanged');
     });
   });
+
+  // -------------------------------------------------------------------------
+  describe('configure() - weights', () => {
+    it('uses default weights until configured', () => {
+      expect(getWeights()).toEqual({ ...DEFAULT_WEIGHTS });
+    });
+
+    it('merges partial weights over defaults and normalizes to 1', () => {
+      configure({ weights: { risk: 0.8 } });
+      const w = getWeights();
+      const sum = Object.values(w).reduce((s, v) => s + v, 0);
+      expect(sum).toBeCloseTo(1, 10);
+      expect(w.risk).toBeGreaterThan(DEFAULT_WEIGHTS.risk);
+    });
+
+    it('ignores negative and non-numeric weights', () => {
+      configure({ weights: { steps: -1, domains: 'x', bogus: 5 } });
+      expect(getWeights()).toEqual({ ...DEFAULT_WEIGHTS });
+    });
+
+    it('keeps defaults when all weights are zero', () => {
+      configure({ weights: { steps: 0, domains: 0, uncertainty: 0, risk: 0, novelty: 0 } });
+      expect(getWeights()).toEqual({ ...DEFAULT_WEIGHTS });
+    });
+
+    it('changes classification scores', () => {
+      const input = 'deploy to production';
+      const before = classifyComplexity(input).score;
+      configure({ weights: { steps: 0, domains: 0, uncertainty: 0, risk: 1, novelty: 0 } });
+      expect(classifyComplexity(input).score).toBeGreaterThan(before);
+    });
+
+    it('is restored by resetRouter()', () => {
+      configure({ weights: { risk: 1 } });
+      resetRouter();
+      expect(getWeights()).toEqual({ ...DEFAULT_WEIGHTS });
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('explainClassification()', () => {
+    it('agrees with classifyComplexity()', () => {
+      const input = 'first fix the bug, then run tests, then deploy to production';
+      const plain = classifyComplexity(input);
+      const why = explainClassification(input);
+      expect(why.score).toBe(plain.score);
+      expect(why.system).toBe(plain.system);
+      expect(why.threshold).toBe(plain.threshold);
+      expect(why.confidence).toBe(plain.confidence);
+      expect(why.rawConfidence).toBe(plain.rawConfidence);
+      expect(why.domain).toBe(plain.domain);
+      for (const [k, v] of Object.entries(plain.factors)) {
+        expect(why.factors[k].value).toBe(v);
+      }
+    });
+
+    it('reports fired keywords and patterns per factor', () => {
+      const why = explainClassification('maybe deploy the react component to production? then test it');
+      expect(why.factors.risk.evidence.keywords).toEqual(expect.arrayContaining(['production', 'deploy']));
+      expect(why.factors.uncertainty.evidence).toEqual({ keywords: ['maybe'], questionMarks: 1 });
+      expect(why.factors.domains.evidence.domains.frontend).toEqual(['component', 'react']);
+      expect(why.factors.steps.evidence.connectors).toEqual(['then']);
+      expect(why.factors.novelty.evidence.reasons).toEqual(['no session context']);
+    });
+
+    it('computes weighted contributions', () => {
+      const why = explainClassification('delete production data');
+      expect(why.factors.risk.weight).toBe(0.2);
+      expect(why.factors.risk.contribution).toBeCloseTo(why.factors.risk.value * 0.2, 2);
+    });
+
+    it('explains novelty reasons from context', () => {
+      const why = explainClassification('create a react component', {
+        sessionDepth: 0,
+        recentDomains: ['backend'],
+        domainSuccessRates: { frontend: 0.2 },
+      });
+      expect(why.factors.novelty.evidence.reasons).toEqual([
+        'first request in session',
+        'new domains: frontend',
+        'low success rate in frontend (0.2)',
+      ]);
+    });
+
+    it('finds keyword removals that flip System 2 to System 1', () => {
+      const input = 'security audit: migrate the production database, deploy to kubernetes, and fix the authentication vulnerability';
+      const why = explainClassification(input);
+      expect(why.system).toBe(2);
+      const cf = why.counterfactual;
+      expect(cf.targetSystem).toBe(1);
+      expect(cf.keywordRemovals.terms.length).toBeGreaterThan(0);
+      expect(cf.keywordRemovals.score).toBeLessThan(why.threshold);
+      expect(cf.minimal).toMatch(/^remove "/);
+      expect(cf.threshold.required).toBeGreaterThan(why.score);
+    });
+
+    it('suggests the smallest factor increase for System 1 decisions', () => {
+      const why = explainClassification('deploy the hotfix to production');
+      expect(why.system).toBe(1);
+      const cf = why.counterfactual;
+      expect(cf.targetSystem).toBe(2);
+      expect(cf.keywordRemovals).toBeNull();
+      const deltas = cf.factorChanges.map((c) => Math.abs(c.delta));
+      expect(deltas).toEqual([...deltas].sort((a, b) => a - b));
+      expect(cf.minimal).toMatch(/^raise /);
+    });
+
+    it('falls back to a threshold change when no factor can flip alone', () => {
+      const why = explainClassification('fix a typo');
+      expect(why.counterfactual.factorChanges.every((c) => !c.feasible)).toBe(true);
+      expect(why.counterfactual.threshold.withinBounds).toBe(false);
+      expect(why.counterfactual.minimal).toMatch(/^set threshold <= .*outside adaptive bounds/);
+    });
+
+    it('does not record history', () => {
+      explainClassification('deploy to production');
+      expect(getRoutingStats().totalRouted).toBe(0);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('repository signals', () => {
+    const largeChange = {
+      available: true,
+      referencedFiles: [],
+      changedFiles: 40,
+      untrackedFiles: 2,
+      linesChanged: 1800,
+      touchedPaths: 42,
+      hotspots: [],
+      sensitive: [],
+    };
+    const typoChange = {
+      available: true,
+      referencedFiles: ['README.md'],
+      changedFiles: 1,
+      untrackedFiles: 0,
+      linesChanged: 2,
+      touchedPaths: 1,
+      hotspots: [],
+      sensitive: [],
+    };
+
+    it('leaves the five-factor model unchanged without repo context', () => {
+      const result = classifyComplexity('fix this');
+      expect(Object.keys(result.factors)).toEqual(['steps', 'domains', 'uncertainty', 'risk', 'novelty']);
+    });
+
+    it('routes a terse prompt to System 2 when the working tree has a large change', () => {
+      expect(classifyComplexity('fix this').system).toBe(1);
+      const result = classifyComplexity('fix this', { repo: largeChange });
+      expect(result.system).toBe(2);
+      expect(result.factors.repoScope).toBe(1);
+    });
+
+    it('keeps a one-line typo fix on System 1', () => {
+      const result = classifyComplexity('fix the typo in README.md', { repo: typoChange });
+      expect(result.system).toBe(1);
+      expect(result.factors.repoScope).toBeGreaterThan(0);
+    });
+
+    it('adds weight for hot spots and sensitive paths', () => {
+      const repo = {
+        ...typoChange,
+        referencedFiles: ['db/migrations/001_init.sql'],
+        hotspots: [{ path: 'db/migrations/001_init.sql', commits: 9 }],
+        sensitive: [{ path: 'db/migrations/001_init.sql', kind: 'migration' }],
+      };
+      const plain = classifyComplexity('update this file', { repo: typoChange });
+      const risky = classifyComplexity('update this file', { repo });
+      expect(risky.factors.repoHotspots).toBe(1);
+      expect(risky.factors.repoSensitive).toBe(0.5);
+      expect(risky.score).toBeGreaterThan(plain.score);
+    });
+
+    it('includes repo factors and their evidence in explanations', () => {
+      const why = explainClassification('fix this', { repo: largeChange });
+      expect(why.factors.repoScope.weight).toBe(DEFAULT_REPO_WEIGHTS.repoScope);
+      expect(why.factors.repoScope.evidence.linesChanged).toBe(1800);
+      expect(why.counterfactual.factorChanges.some((c) => c.factor === 'repoScope')).toBe(true);
+    });
+
+    it('configure() clamps repo weights and resetRouter() restores defaults', () => {
+      configure({ repoWeights: { repoScope: 2, repoHotspots: -1, repoSensitive: 'x' } });
+      expect(getRepoWeights()).toEqual({ repoScope: 1, repoHotspots: 0, repoSensitive: DEFAULT_REPO_WEIGHTS.repoSensitive });
+      resetRouter();
+      expect(getRepoWeights()).toEqual({ ...DEFAULT_REPO_WEIGHTS });
+    });
+  });
 });
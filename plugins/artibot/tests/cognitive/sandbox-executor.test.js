@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { killProcessTree, runProcess } from '../../lib/cognitive/sandbox-executor.js';
+
+const NODE = `"${process.execPath}"`;
+const isWindows = process.platform === 'win32';
+
+function isAlive(pid) {
+  // Killed orphans may linger as zombies when nothing reaps them (e.g. containers)
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf-8');
+    return stat.slice(stat.lastIndexOf(')') + 2)[0] !== 'Z';
+  } catch {
+    // No procfs: fall through to a signal probe
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe('sandbox-executor', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-exec-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('runProcess()', () => {
+    it('captures stdout, stderr and the exit code', async () => {
+      const result = await runProcess(
+        `${NODE} -e "console.log('out'); console.error('err'); process.exit(2)"`,
+      );
+      expect(result.stdout.trim()).toBe('out');
+      expect(result.stderr.trim()).toBe('err');
+      expect(result.exitCode).toBe(2);
+      expect(result.timedOut).toBe(false);
+      expect(result.resourceUsage.wallMs).toBe(result.duration);
+      expect(result.resourceUsage.pid).toBeGreaterThan(0);
+    });
+
+    it('runs in the given cwd with the env overlay', async () => {
+      const result = await runProcess(
+        `${NODE} -e "process.stdout.write(process.cwd() + '|' + process.env.ARTIBOT_TEST_VAR)"`,
+        { cwd: tmpDir, env: { ARTIBOT_TEST_VAR: 'overlay' } },
+      );
+      const [cwd, value] = result.stdout.split('|');
+      expect(fs.realpathSync(cwd)).toBe(fs.realpathSync(tmpDir));
+      expect(value).toBe('overlay');
+    });
+
+    it('caps captured output at maxOutputBytes but counts every byte', async () => {
+      const result = await runProcess(`${NODE} -e "process.stdout.write('x'.repeat(5000))"`, {
+        maxOutputBytes: 100,
+      });
+      expect(result.stdout).toHaveLength(100);
+      expect(result.resourceUsage.stdoutBytes).toBe(5000);
+      expect(result.resourceUsage.truncated).toBe(true);
+    });
+
+    it.skipIf(isWindows)('reports the CPU time of the command and its children', async () => {
+      const busy = `${NODE} -e "const end = Date.now() + 300; while (Date.now() < end);"`;
+      const result = await runProcess(`${busy}; exit 3`);
+      expect(result.exitCode).toBe(3);
+      expect(result.resourceUsage.cpuUserMs + result.resourceUsage.cpuSystemMs).toBeGreaterThanOrEqual(150);
+    });
+
+    it.skipIf(isWindows)('keeps fd 3 away from the command and reports no CPU time after exec', async () => {
+      const result = await runProcess('echo x >&3; exec echo done');
+      expect(result.stdout.trim()).toBe('done');
+      expect(result.stderr).toMatch(/bad file descriptor/i);
+      expect(result.resourceUsage).toMatchObject({ cpuUserMs: null, cpuSystemMs: null });
+    });
+
+    it('resolves with the error on stderr when the command cannot start', async () => {
+      const result = await runProcess('echo hi', { cwd: path.join(tmpDir, 'missing') });
+      expect(result.exitCode).toBeNull();
+      expect(result.stderr).toMatch(/ENOENT/);
+    });
+
+    it.skipIf(isWindows)('kills the whole process tree on timeout', async () => {
+      const pidFile = path.join(tmpDir, 'grandchild.pid');
+      const script = [
+        "const { spawn } = require('child_process');",
+        "const c = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });",
+        `require('fs').writeFileSync(${JSON.stringify(pidFile)}, String(c.pid));`,
+        'setInterval(() => {}, 1000);',
+      ].join(' ');
+      fs.writeFileSync(path.join(tmpDir, 'tree.js'), script);
+
+      const result = await runProcess(`${NODE} tree.js`, { cwd: tmpDir, timeoutMs: 500 });
+      expect(result.timedOut).toBe(true);
+      expect(result.exitCode).toBeNull();
+      expect(result.resourceUsage.signal).toBeTruthy();
+
+      const grandchild = Number(fs.readFileSync(pidFile, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 100));
+      expect(isAlive(grandchild)).toBe(false);
+    }, 10_000);
+  });
+
+  // -------------------------------------------------------------------------
+  describe('killProcessTree()', () => {
+    it('ignores missing pids', () => {
+      expect(() => killProcessTree(undefined)).not.toThrow();
+      expect(() => killProcessTree(2 ** 22 + 123)).not.toThrow();
+    });
+  });
+});
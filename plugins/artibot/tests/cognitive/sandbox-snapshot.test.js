@@ -0,0 +1,155 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { countFileChanges, diffSnapshots, takeSnapshot } from '../../lib/cognitive/sandbox-snapshot.js';
+import {
+  applyWorkspace,
+  createSandbox,
+  discardWorkspace,
+  execute,
+  getStats,
+  recordResult,
+  run,
+  toLearningResult,
+  validate,
+} from '../../lib/cognitive/sandbox.js';
+
+const NODE = `"${process.execPath}"`;
+
+describe('sandbox-snapshot', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-snapshot-'));
+    fs.mkdirSync(path.join(tmpDir, 'src'));
+    fs.mkdirSync(path.join(tmpDir, 'node_modules', 'dep'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), 'a');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), 'b');
+    fs.writeFileSync(path.join(tmpDir, 'node_modules', 'dep', 'index.js'), '');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('takeSnapshot()', () => {
+    it('records size, mtime and hash and skips ignored globs', () => {
+      const snapshot = takeSnapshot(tmpDir);
+      expect(Object.keys(snapshot.files).sort()).toEqual(['src/a.js', 'src/b.js']);
+      expect(snapshot.files['src/a.js']).toMatchObject({ size: 1, hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+      expect(Object.keys(takeSnapshot(tmpDir, { ignore: ['src/b.js', 'node_modules/**'] }).files)).toEqual(['src/a.js']);
+    });
+
+    it('stops at the file limit', () => {
+      const snapshot = takeSnapshot(tmpDir, { maxFiles: 1 });
+      expect(Object.keys(snapshot.files)).toHaveLength(1);
+      expect(snapshot.truncated).toBe(true);
+    });
+
+    it('reuses hashes of unchanged files from the previous snapshot', () => {
+      const first = takeSnapshot(tmpDir);
+      const stale = { ...first, files: { ...first.files, 'src/a.js': { ...first.files['src/a.js'], hash: 'cached' } } };
+      expect(takeSnapshot(tmpDir, { previous: stale }).files['src/a.js'].hash).toBe('cached');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('diffSnapshots()', () => {
+    it('lists created, modified and deleted files', () => {
+      const before = takeSnapshot(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), 'changed');
+      fs.rmSync(path.join(tmpDir, 'src', 'b.js'));
+      fs.writeFileSync(path.join(tmpDir, 'src', 'c.js'), 'c');
+
+      const changes = diffSnapshots(before, takeSnapshot(tmpDir, { previous: before }));
+      expect(changes).toEqual({ created: ['src/c.js'], modified: ['src/a.js'], deleted: ['src/b.js'] });
+      expect(countFileChanges(changes)).toBe(3);
+    });
+
+    it('ignores a touch that leaves content unchanged', () => {
+      const before = takeSnapshot(tmpDir);
+      const future = new Date(Date.now() + 60_000);
+      fs.utimesSync(path.join(tmpDir, 'src', 'a.js'), future, future);
+      expect(countFileChanges(diffSnapshots(before, takeSnapshot(tmpDir, { previous: before })))).toBe(0);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('sandbox file tracking', () => {
+    it('records the files each command changed', async () => {
+      const sbx = createSandbox({ executor: 'process', cwd: tmpDir, trackFiles: true });
+      const record = await run(`${NODE} -e "require('fs').writeFileSync('src/new.js', '1')"`, sbx);
+      expect(record.fileChanges).toEqual({ created: ['src/new.js'], modified: [], deleted: [] });
+      expect(record).toMatchObject({ sideEffects: 1, writeViolation: false });
+      expect(validate(record).success).toBe(true);
+
+      const quiet = await run(`${NODE} -e "1"`, sbx);
+      expect(quiet.sideEffects).toBe(0);
+      expect(getStats(sbx)).toMatchObject({ filesChanged: 1, writeViolations: 0 });
+    });
+
+    it('serializes concurrent tracked runs so each command owns its changes', async () => {
+      const sbx = createSandbox({ executor: 'process', cwd: tmpDir, trackFiles: true });
+      const [slow, fast] = await Promise.all([
+        run(`${NODE} -e "setTimeout(() => require('fs').writeFileSync('slow.txt', '1'), 200)"`, sbx),
+        run(`${NODE} -e "require('fs').writeFileSync('fast.txt', '1')"`, sbx),
+      ]);
+      expect(slow.fileChanges.created).toEqual(['slow.txt']);
+      expect(fast.fileChanges.created).toEqual(['fast.txt']);
+      expect(Date.parse(fast.startedAt)).toBeGreaterThanOrEqual(Date.parse(slow.startedAt) + 200);
+    });
+
+    it('does not track by default', async () => {
+      const sbx = createSandbox({ executor: 'process', cwd: tmpDir });
+      const record = await run(`${NODE} -e "require('fs').writeFileSync('x.txt', '1')"`, sbx);
+      expect(record.fileChanges).toBeUndefined();
+      expect(record.sideEffects).toBeUndefined();
+    });
+
+    it('fails validation when a read-only sandbox writes', async () => {
+      const sbx = createSandbox({ executor: 'process', cwd: tmpDir, allowWrites: false });
+      expect(sbx.options).toMatchObject({ trackFiles: true, workspace: 'overlay' });
+      try {
+        const record = await run(`${NODE} -e "require('fs').rmSync('src/a.js')"`, sbx);
+        expect(record).toMatchObject({ exitCode: 0, writeViolation: true, sideEffects: 1 });
+
+        const validation = validate(record);
+        expect(validation).toMatchObject({ success: false, safe: false, severity: 'critical' });
+        expect(validation.issues).toContain('File writes not allowed: 1 file(s) changed');
+        expect(getStats(sbx).writeViolations).toBe(1);
+      } finally {
+        discardWorkspace(sbx);
+      }
+    });
+
+    it('keeps the writes of a read-only sandbox out of the real tree', async () => {
+      const sbx = createSandbox({ executor: 'process', cwd: tmpDir, allowWrites: false, workspace: 'direct' });
+      try {
+        await run(`${NODE} -e "require('fs').rmSync('src/a.js')"`, sbx);
+        expect(fs.readFileSync(path.join(tmpDir, 'src', 'a.js'), 'utf-8')).toBe('a');
+        expect(() => applyWorkspace(sbx)).toThrow(/read-only/);
+        expect(fs.existsSync(path.join(tmpDir, 'src', 'a.js'))).toBe(true);
+      } finally {
+        discardWorkspace(sbx);
+      }
+    });
+
+    it('tracks commands run outside the sandbox between execute() and recordResult()', () => {
+      const sbx = createSandbox({ cwd: tmpDir, trackFiles: true });
+      const pending = execute('touch generated.txt', sbx);
+      fs.writeFileSync(path.join(tmpDir, 'generated.txt'), '');
+      const record = recordResult(pending, { exitCode: 0 }, sbx);
+      expect(record.fileChanges.created).toEqual(['generated.txt']);
+    });
+
+    it('feeds the side-effect count into the GRPO result', async () => {
+      const sbx = createSandbox({ executor: 'process', cwd: tmpDir, trackFiles: true });
+      const record = await run(`${NODE} -e "require('fs').writeFileSync('src/a.js', 'z')"`, sbx);
+      expect(toLearningResult(record)).toMatchObject({ exitCode: 0, errors: 0, sideEffects: 1 });
+      expect(toLearningResult({ command: 'ls', exitCode: 0, executed: true, duration: 5 }))
+        .toEqual({ exitCode: 0, errors: 0, duration: 5, commandLength: 2 });
+    });
+  });
+});
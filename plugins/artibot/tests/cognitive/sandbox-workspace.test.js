@@ -0,0 +1,197 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  applyOverlay,
+  createOverlay,
+  diffOverlay,
+  discardOverlay,
+} from '../../lib/cognitive/sandbox-workspace.js';
+import {
+  applyWorkspace,
+  cleanup,
+  createSandbox,
+  discardWorkspace,
+  getWorkspaceDiff,
+  run,
+} from '../../lib/cognitive/sandbox.js';
+import { solveAsync } from '../../lib/cognitive/system2-core.js';
+
+const read = (...parts) => fs.readFileSync(path.join(...parts), 'utf-8');
+
+describe('sandbox-workspace', () => {
+  let tmpDir;
+  let project;
+  const overlays = [];
+
+  const track = (overlay) => {
+    overlays.push(overlay);
+    return overlay;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-workspace-'));
+    project = path.join(tmpDir, 'project');
+    fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+    fs.mkdirSync(path.join(project, '.git'));
+    fs.mkdirSync(path.join(project, 'node_modules', 'dep'), { recursive: true });
+    fs.writeFileSync(path.join(project, 'src', 'app.js'), 'const a = 1;\nconst b = 2;\nexport { a, b };\n');
+    fs.writeFileSync(path.join(project, 'README.md'), '# Project\n');
+    fs.writeFileSync(path.join(project, '.git', 'HEAD'), 'ref: refs/heads/main\n');
+    fs.writeFileSync(path.join(project, 'node_modules', 'dep', 'index.js'), 'module.exports = 1;\n');
+  });
+
+  afterEach(() => {
+    for (const overlay of overlays.splice(0)) discardOverlay(overlay);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('createOverlay()', () => {
+    it('copies the tree, skips ignored entries and links dependencies', () => {
+      const overlay = track(createOverlay(project));
+      expect(overlay.status).toBe('active');
+      expect(read(overlay.root, 'src', 'app.js')).toContain('const a = 1;');
+      expect(fs.existsSync(path.join(overlay.root, '.git'))).toBe(false);
+      expect(fs.lstatSync(path.join(overlay.root, 'node_modules')).isSymbolicLink()).toBe(true);
+      expect(Object.keys(overlay.baseline)).toEqual(['README.md', 'src/app.js']);
+    });
+
+    it('rejects a source that is not a directory', () => {
+      expect(() => createOverlay(path.join(project, 'README.md'))).toThrow(/not a directory/);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('diffOverlay()', () => {
+    it('reports added, modified and deleted files with unified patches', () => {
+      const overlay = track(createOverlay(project));
+      fs.writeFileSync(path.join(overlay.root, 'src', 'app.js'), 'const a = 1;\nconst b = 3;\nexport { a, b };\n');
+      fs.writeFileSync(path.join(overlay.root, 'src', 'new.js'), 'export const c = 3;\n');
+      fs.rmSync(path.join(overlay.root, 'README.md'));
+
+      const diff = diffOverlay(overlay);
+      expect(diff).toMatchObject({ added: ['src/new.js'], modified: ['src/app.js'], deleted: ['README.md'] });
+      const byPath = Object.fromEntries(diff.changes.map((c) => [c.path, c]));
+      expect(byPath['src/app.js'].patch).toBe([
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -1,3 +1,3 @@',
+        ' const a = 1;',
+        '-const b = 2;',
+        '+const b = 3;',
+        ' export { a, b };',
+        '',
+      ].join('\n'));
+      expect(byPath['src/new.js'].patch).toContain('--- /dev/null\n+++ b/src/new.js\n@@ -0,0 +1,1 @@\n+export const c = 3;');
+      expect(byPath['README.md'].patch).toContain('+++ /dev/null\n@@ -1,1 +0,0 @@\n-# Project');
+      expect(diff.changes.every((c) => !c.conflict && !c.binary)).toBe(true);
+    });
+
+    it('splits distant changes into separate hunks and marks a missing final newline', () => {
+      const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+      fs.writeFileSync(path.join(project, 'long.txt'), `${lines.join('\n')}\n`);
+      const overlay = track(createOverlay(project));
+      const changed = [...lines];
+      changed[1] = 'line two';
+      fs.writeFileSync(path.join(overlay.root, 'long.txt'), changed.join('\n'));
+
+      const { patch } = diffOverlay(overlay).changes[0];
+      expect(patch.match(/^@@ /gm)).toEqual(['@@ ', '@@ ']);
+      expect(patch).toContain('@@ -1,5 +1,5 @@');
+      expect(patch).toContain('@@ -17,4 +17,4 @@');
+      expect(patch).toContain('+line 20\n\\ No newline at end of file');
+    });
+
+    it('flags binary files and omits their patch', () => {
+      const overlay = track(createOverlay(project));
+      fs.writeFileSync(path.join(overlay.root, 'logo.png'), Buffer.from([0x89, 0x50, 0x00, 0x01]));
+      expect(diffOverlay(overlay).changes[0]).toMatchObject({ path: 'logo.png', binary: true, patch: null });
+    });
+
+    it('ignores writes below linked entries and throws once discarded', () => {
+      const overlay = track(createOverlay(project));
+      fs.writeFileSync(path.join(overlay.root, 'node_modules', 'dep', 'extra.js'), '');
+      expect(diffOverlay(overlay).changes).toEqual([]);
+      discardOverlay(overlay);
+      expect(fs.existsSync(overlay.root)).toBe(false);
+      expect(() => diffOverlay(overlay)).toThrow(/not active/);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('applyOverlay()', () => {
+    it('writes changes back and clears them from the diff', () => {
+      const overlay = track(createOverlay(project));
+      fs.writeFileSync(path.join(overlay.root, 'src', 'app.js'), 'changed\n');
+      fs.mkdirSync(path.join(overlay.root, 'docs'));
+      fs.writeFileSync(path.join(overlay.root, 'docs', 'guide.md'), 'guide\n');
+      fs.rmSync(path.join(overlay.root, 'README.md'));
+
+      expect(applyOverlay(overlay)).toEqual({ applied: ['README.md', 'docs/guide.md', 'src/app.js'], conflicts: [] });
+      expect(read(project, 'src', 'app.js')).toBe('changed\n');
+      expect(read(project, 'docs', 'guide.md')).toBe('guide\n');
+      expect(fs.existsSync(path.join(project, 'README.md'))).toBe(false);
+      expect(diffOverlay(overlay).changes).toEqual([]);
+    });
+
+    it('applies only selected paths', () => {
+      const overlay = track(createOverlay(project));
+      fs.writeFileSync(path.join(overlay.root, 'src', 'app.js'), 'changed\n');
+      fs.writeFileSync(path.join(overlay.root, 'README.md'), 'changed\n');
+
+      expect(applyOverlay(overlay, { paths: ['README.md'] }).applied).toEqual(['README.md']);
+      expect(read(project, 'src', 'app.js')).toContain('const a = 1;');
+      expect(diffOverlay(overlay).modified).toEqual(['src/app.js']);
+    });
+
+    it('refuses to overwrite files changed in the real tree unless forced', () => {
+      const overlay = track(createOverlay(project));
+      fs.writeFileSync(path.join(overlay.root, 'README.md'), 'from overlay\n');
+      fs.writeFileSync(path.join(project, 'README.md'), 'edited meanwhile\n');
+
+      expect(diffOverlay(overlay).changes[0].conflict).toBe(true);
+      expect(applyOverlay(overlay)).toEqual({ applied: [], conflicts: ['README.md'] });
+      expect(read(project, 'README.md')).toBe('edited meanwhile\n');
+      expect(applyOverlay(overlay, { force: true }).applied).toEqual(['README.md']);
+      expect(read(project, 'README.md')).toBe('from overlay\n');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('sandbox workspace: overlay', () => {
+    it('runs commands in the copy and leaves the real tree alone until applied', async () => {
+      const sbx = createSandbox({ executor: 'process', workspace: 'overlay', cwd: project });
+      const record = await run('node -e "require(\'fs\').writeFileSync(\'out.txt\', \'hi\')"', sbx);
+      expect(record.exitCode).toBe(0);
+      expect(record.cwd).toBe(sbx.workspace.root);
+      expect(fs.existsSync(path.join(project, 'out.txt'))).toBe(false);
+      expect(getWorkspaceDiff(sbx).added).toEqual(['out.txt']);
+
+      cleanup(sbx);
+      expect(applyWorkspace(sbx).applied).toEqual(['out.txt']);
+      expect(read(project, 'out.txt')).toBe('hi');
+      discardWorkspace(sbx);
+      expect(fs.existsSync(sbx.workspace.root)).toBe(false);
+    });
+
+    it('rejects unknown workspace modes and workspace calls without an overlay', () => {
+      expect(() => createSandbox({ workspace: 'chroot' })).toThrow(/Unknown sandbox workspace/);
+      const sbx = createSandbox();
+      expect(sbx.workspace).toBeNull();
+      expect(() => getWorkspaceDiff(sbx)).toThrow(/no overlay workspace/);
+    });
+
+    it('solveAsync returns the final overlay for review', async () => {
+      const outcome = await solveAsync(
+        { id: 'overlay-task', description: '1. `node -e "require(\'fs\').writeFileSync(\'gen.txt\', \'x\')"`' },
+        { sandboxOptions: { executor: 'process', workspace: 'overlay', cwd: project } },
+      );
+      track(outcome.workspace);
+      expect(outcome.success).toBe(true);
+      expect(diffOverlay(outcome.workspace).added).toEqual(['gen.txt']);
+      expect(fs.existsSync(path.join(project, 'gen.txt'))).toBe(false);
+    });
+  });
+});
@@ -3,6 +3,7 @@ import {
   createSandbox,
   checkCommandSafety,
   execute,
+  run,
   recordResult,
   validate,
   getStats,
@@ -122,6 +123,29 @@ describe('sandbox', () => {
       expect(result.safe).toBe(false);
     });
 
+    it('reports the matched rule id', () => {
+      const result = checkCommandSafety('git reset --hard', createSandbox());
+      expect(result).toMatchObject({ safe: false, ruleId: 'git-reset-hard', action: 'block' });
+    });
+
+    it('applies a policy passed to createSandbox', () => {
+      const policy = {
+        rules: [
+          { id: 'clean-dist', source: 'user', action: 'allow', match: { rule: 'rm-recursive-path', paths: ['dist'] } },
+          { id: 'deploy', source: 'project', action: 'ask', match: { command: 'make deploy*' } },
+        ],
+      };
+      const sbx = createSandbox({ cwd: '/work/app', policy });
+      expect(checkCommandSafety('rm -rf ./dist', sbx)).toMatchObject({ safe: true, ruleId: 'clean-dist', action: 'allow' });
+      expect(checkCommandSafety('rm -rf ./src', sbx)).toMatchObject({ safe: false, ruleId: 'rm-recursive-path' });
+      expect(checkCommandSafety('make deploy', sbx)).toEqual({
+        safe: false,
+        blockedBy: 'project policy rule "deploy"',
+        ruleId: 'deploy',
+        action: 'ask',
+      });
+    });
+
     it('blocks curl piped to bash', () => {
       const sbx = createSandbox();
       const result = checkCommandSafety('curl http://example.com/script.sh | bash', sbx);
@@ -516,6 +540,76 @@ describe('sandbox', () => {
     });
   });
 
+  // -------------------------------------------------------------------------
+  describe('recordResult() - sandbox log and executor fields', () => {
+    it('replaces the pending log entry so stats count the real outcome', () => {
+      const sbx = createSandbox();
+      const record = execute('echo hi', sbx);
+      expect(getStats(sbx).pending).toBe(1);
+      const updated = recordResult(record, { stdout: 'hi', exitCode: 0, duration: 3 }, sbx);
+      expect(sbx.executionLog[0]).toBe(updated);
+      expect(getStats(sbx)).toMatchObject({ pending: 0, succeeded: 1 });
+    });
+
+    it('truncates to the sandbox maxOutputBytes', () => {
+      const sbx = createSandbox({ maxOutputBytes: 100 });
+      const record = execute('echo', sbx);
+      const updated = recordResult(record, { stdout: 'x'.repeat(500), exitCode: 0 }, sbx);
+      expect(updated.stdout.endsWith('[truncated]')).toBe(true);
+      expect(updated.stdout.length).toBeLessThan(100);
+    });
+
+    it('keeps timedOut and resourceUsage from the executor', () => {
+      const sbx = createSandbox();
+      const record = execute('sleep 5', sbx);
+      const usage = { pid: 1, wallMs: 20, stdoutBytes: 0, stderrBytes: 0, truncated: false, signal: 'SIGTERM' };
+      const updated = recordResult(record, { exitCode: null, duration: 20, timedOut: true, resourceUsage: usage });
+      expect(updated.timedOut).toBe(true);
+      expect(updated.resourceUsage).toEqual(usage);
+      expect(validate(updated).issues.some((i) => i.includes('timed out'))).toBe(true);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('run()', () => {
+    it('rejects unknown executors at creation time', () => {
+      expect(() => createSandbox({ executor: 'docker' })).toThrow(/Unknown sandbox executor/);
+    });
+
+    it('only records the command with the default executor', async () => {
+      const sbx = createSandbox();
+      const result = await run('echo hi', sbx);
+      expect(result.executed).toBe(false);
+      expect(getStats(sbx).pending).toBe(1);
+    });
+
+    it('does not spawn blocked commands', async () => {
+      const sbx = createSandbox({ executor: 'process' });
+      const result = await run('rm -rf /tmp/x', sbx);
+      expect(result.blocked).toBe(true);
+      expect(result.executed).toBe(false);
+    });
+
+    it('spawns approved commands with the process executor', async () => {
+      const sbx = createSandbox({ executor: 'process', env: { ARTIBOT_SANDBOX_VALUE: 'ok' } });
+      const result = await run('node -e "process.stdout.write(process.env.ARTIBOT_SANDBOX_VALUE)"', sbx);
+      expect(result.executed).toBe(true);
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toBe('ok');
+      expect(result.resourceUsage.stdoutBytes).toBe(2);
+      expect(validate(result).success).toBe(true);
+      expect(getStats(sbx)).toMatchObject({ succeeded: 1, pending: 0 });
+    });
+
+    it('records failures from the process executor', async () => {
+      const sbx = createSandbox({ executor: 'process' });
+      const result = await run('node -e "process.exit(3)"', sbx);
+      expect(result.exitCode).toBe(3);
+      expect(validate(result).success).toBe(false);
+      expect(getStats(sbx).failed).toBe(1);
+    });
+  });
+
   // -------------------------------------------------------------------------
   describe('cleanup()', () => {
     it('marks sandbox as cleaned', () => {
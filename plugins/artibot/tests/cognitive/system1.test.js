@@ -1,5 +1,10 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, afterEach, beforeEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import {
+  applyHotSwap,
+  configure,
   patternMatch,
   fastResponse,
   escalateToSystem2,
@@ -14,6 +19,10 @@ import {
 vi.mock('../../lib/core/file.js', () => ({
   readJsonFile: vi.fn(() => Promise.resolve(null)),
   writeJsonFile: vi.fn(() => Promise.resolve()),
+  writeJsonFileAtomic: vi.fn(() => Promise.resolve()),
+  readTextFile: vi.fn(() => Promise.resolve(null)),
+  writeTextFile: vi.fn(() => Promise.resolve()),
+  appendTextFile: vi.fn(() => Promise.resolve()),
   listFiles: vi.fn(() => Promise.resolve([])),
   ensureDir: vi.fn(() => Promise.resolve()),
 }));
@@ -29,7 +38,15 @@ vi.mock('../../lib/learning/tool-learner.js', () => ({
   buildContextKey: vi.fn((op, target) => `${op}::${target}`),
 }));
 
-const { readJsonFile, writeJsonFile, listFiles } = await import('../../lib/core/file.js');
+const {
+  appendTextFile,
+  listFiles,
+  readJsonFile,
+  readTextFile,
+  writeJsonFile,
+  writeJsonFileAtomic,
+  writeTextFile,
+} = await import('../../lib/core/file.js');
 const { searchMemory } = await import('../../lib/learning/memory-manager.js');
 const { suggestTool } = await import('../../lib/learning/tool-learner.js');
 
@@ -130,6 +147,7 @@ describe('system1', () => {
       const p2 = makePattern({ id: 'p2', keywords: ['beta'] });
       listFiles.mockResolvedValue(['p1.json', 'p2.json']);
       readJsonFile
+        .mockResolvedValueOnce(null) // persisted index
         .mockResolvedValueOnce(p1)
         .mockResolvedValueOnce(p2);
       await warmCache();
@@ -342,6 +360,7 @@ describe('system1', () => {
       listFiles.mockResolvedValue(['o.json']);
       readJsonFile.mockResolvedValue(pattern);
       await warmCache();
+      writeJsonFile.mockClear(); // index written by warmCache
 
       await recordPatternOutcome('outcome-1', true);
       expect(writeJsonFile).toHaveBeenCalled();
@@ -354,6 +373,7 @@ describe('system1', () => {
       listFiles.mockResolvedValue(['r.json']);
       readJsonFile.mockResolvedValue(pattern);
       await warmCache();
+      writeJsonFile.mockClear(); // index written by warmCache
 
       await recordPatternOutcome('rate-1', false);
       const written = writeJsonFile.mock.calls[0][1];
@@ -392,6 +412,7 @@ describe('system1', () => {
 
       listFiles.mockResolvedValue(['r.json', 'o.json']);
       readJsonFile
+        .mockResolvedValueOnce(null) // persisted index
         .mockResolvedValueOnce(recentPattern)
         .mockResolvedValueOnce(oldPattern);
       await warmCache();
@@ -591,6 +612,7 @@ describe('system1', () => {
       listFiles.mockResolvedValue(['bt.json']);
       readJsonFile.mockResolvedValue(pattern);
       await warmCache();
+      writeJsonFile.mockClear(); // index written by warmCache
 
       expect(getDiagnostics().patternsLoaded).toBe(1);
       await recordPatternOutcome('branch-test', false);
@@ -635,4 +657,204 @@ describe('system1', () => {
       expect(diag.patternsLoaded).toBe(0);
     });
   });
+
+  // -------------------------------------------------------------------------
+  describe('pattern index', () => {
+    const indexWrite = () => writeJsonFileAtomic.mock.calls.filter(([p]) => p.endsWith('patterns-index.json')).at(-1)?.[1];
+    const journal = () => appendTextFile.mock.calls.filter(([p]) => p.endsWith('patterns-index.journal')).map(([, line]) => line).join('');
+
+    it('indexes thousands of patterns and stays within the latency budget', async () => {
+      const patterns = Array.from({ length: 5000 }, (_, i) => ({ id: `p${i}`, keywords: [`kw${i}`, 'common', `topic${i % 50}`] }));
+      listFiles.mockResolvedValue(['collection.json']);
+      readJsonFile.mockImplementation(async (file) => (file === 'collection.json' ? { patterns } : null));
+      await warmCache();
+
+      const result = patternMatch('common kw4321 topic21');
+      expect(getDiagnostics().patternsLoaded).toBe(5000);
+      expect(result.pattern.id).toBe('p4321');
+      expect(result.metadata.candidates).toBeLessThanOrEqual(50);
+      expect(result.metadata.latencyMs).toBeLessThan(100);
+    });
+
+    it('matches typos and Korean particles', async () => {
+      listFiles.mockResolvedValue(['a.json', 'b.json']);
+      readJsonFile.mockImplementation(async (file) => ({
+        'a.json': makePattern({ id: 'deploy', keywords: ['deploy', 'production'] }),
+        'b.json': makePattern({ id: 'ko-fix', keywords: ['버그', '수정'] }),
+      })[file] ?? null);
+      await warmCache();
+
+      expect(patternMatch('deploi production').pattern.id).toBe('deploy');
+      expect(patternMatch('버그를 수정해줘').pattern.id).toBe('ko-fix');
+    });
+
+    it('restores the persisted index without re-reading unchanged files', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-s1-'));
+      const file = path.join(dir, 'p.json');
+      fs.writeFileSync(file, '{}');
+      try {
+        listFiles.mockResolvedValue([file]);
+        readJsonFile.mockImplementation(async (f) => (f === file ? makePattern({ id: 'kept', keywords: ['lint', 'eslint'] }) : null));
+        await warmCache();
+        const persisted = indexWrite();
+        expect(persisted.postings.eslint).toEqual(['kept']);
+
+        clearAllCaches();
+        writeJsonFileAtomic.mockClear();
+        readJsonFile.mockClear();
+        readJsonFile.mockImplementation(async (f) => (f.endsWith('patterns-index.json') ? persisted : null));
+        const warm = await warmCache();
+
+        expect(readJsonFile).not.toHaveBeenCalledWith(file);
+        expect(warm).toMatchObject({ loaded: 1, refreshed: 0 });
+        expect(indexWrite()).toBeUndefined();
+        expect(patternMatch('eslint lint').pattern.id).toBe('kept');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('drops patterns whose source file disappeared', async () => {
+      listFiles.mockResolvedValue(['gone.json']);
+      readJsonFile.mockResolvedValue(makePattern({ id: 'gone', keywords: ['gone'] }));
+      await warmCache();
+      listFiles.mockResolvedValue([]);
+      expect(await warmCache()).toMatchObject({ loaded: 0, refreshed: 1 });
+      expect(patternMatch('gone').pattern).toBeNull();
+    });
+
+    it('savePattern() updates the index in place and journals instead of rewriting it', async () => {
+      await warmCache();
+      writeJsonFileAtomic.mockClear();
+      await savePattern(makePattern({ id: 'fresh', keywords: ['docker', 'compose'] }));
+      expect(patternMatch('docker compose').pattern.id).toBe('fresh');
+      expect(indexWrite()).toBeUndefined();
+      expect(JSON.parse(journal())).toMatchObject({ pattern: { id: 'fresh', keywords: ['docker', 'compose'] } });
+
+      appendTextFile.mockClear();
+      await recordPatternOutcome('fresh', true);
+      expect(journal()).toBe('');
+    });
+
+    it('replays the journal over the persisted index and skips a torn last line', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-s1-'));
+      const file = path.join(dir, 'journaled.json');
+      fs.writeFileSync(file, '{}');
+      try {
+        listFiles.mockResolvedValue([file]);
+        await warmCache();
+        const persisted = indexWrite();
+        const record = { pattern: makePattern({ id: 'journaled', keywords: ['helm', 'chart'] }), source: file, mtimeMs: fs.statSync(file).mtimeMs };
+
+        clearAllCaches();
+        readJsonFile.mockClear();
+        readJsonFile.mockImplementation(async (f) => (f.endsWith('patterns-index.json') ? persisted : null));
+        readTextFile.mockImplementation(async (f) => (f.endsWith('patterns-index.journal') ? `${JSON.stringify(record)}\n{"pattern":{"id":"tor` : null));
+        expect(await warmCache()).toMatchObject({ loaded: 1, refreshed: 0 });
+        expect(readJsonFile).not.toHaveBeenCalledWith(file);
+        expect(patternMatch('helm chart').pattern.id).toBe('journaled');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('folds a full journal into one atomic index write', async () => {
+      await warmCache();
+      writeJsonFileAtomic.mockClear();
+      for (let i = 0; i < 200; i++) {
+        await savePattern(makePattern({ id: `bulk-${i}`, keywords: [`bulk${i}`] }));
+      }
+      expect(appendTextFile).toHaveBeenCalledTimes(199);
+      expect(writeJsonFileAtomic).toHaveBeenCalledTimes(1);
+      expect(Object.keys(indexWrite().postings)).toHaveLength(200);
+      expect(writeTextFile).toHaveBeenCalledWith(expect.stringMatching(/patterns-index\.journal$/), '');
+    });
+
+    it('matches single-character CJK keywords inside longer query tokens', async () => {
+      listFiles.mockResolvedValue(['zh.json']);
+      readJsonFile.mockImplementation(async (file) => (file === 'zh.json' ? makePattern({ id: 'zh-db', keywords: ['库', '连接'] }) : null));
+      await warmCache();
+
+      expect(patternMatch('数据库连接失败').pattern?.id).toBe('zh-db');
+      expect(patternMatch('库').pattern?.id).toBe('zh-db');
+    });
+
+    it('applyHotSwap() indexes promoted and drops demoted patterns', async () => {
+      expect(await applyHotSwap({ promoted: [] })).toEqual({ indexed: 0, removed: 0 });
+      await warmCache();
+
+      const promoted = { key: 'tool::Grep', type: 'tool', category: 'Grep', status: 'active', insight: 'Grep finds symbols quickly' };
+      expect(await applyHotSwap({ promoted: [promoted] })).toEqual({ indexed: 1, removed: 0 });
+      expect(patternMatch('grep symbols').pattern.id).toBe('tool::Grep');
+
+      expect(await applyHotSwap({ demoted: ['tool::Grep'] })).toEqual({ indexed: 0, removed: 1 });
+      expect(patternMatch('grep symbols').pattern).toBeNull();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('latency budget and confidence floor', () => {
+    const slow = (value, ms) => () => new Promise((resolve) => setTimeout(resolve, ms, value));
+
+    afterEach(() => {
+      configure({ maxLatency: 100, minConfidence: 0.6 });
+    });
+
+    it('returns partial results flagged timedOut when a lookup misses the budget', async () => {
+      searchMemory.mockImplementation(slow([{ entry: { data: { action: 'late' } }, score: 0.9 }], 300));
+      suggestTool.mockResolvedValue([{ tool: 'grep', weightedScore: 0.9, confidence: 0.8 }]);
+
+      const result = await fastResponse('search files for pattern', {}, { maxLatency: 20 });
+      expect(result).toMatchObject({
+        source: 'tool',
+        timedOut: true,
+        timedOutSources: ['memory'],
+      });
+      expect(result.escalate).toBeUndefined();
+      expect(result.memoryHits).toBeUndefined();
+      expect(result.latencyMs).toBeLessThan(250);
+      expect(getDiagnostics().patternCacheSize).toBe(0);
+    });
+
+    it('waits for slow lookups when the budget is disabled', async () => {
+      searchMemory.mockImplementation(slow([{ entry: { data: { action: 'late' } }, score: 0.9 }], 30));
+      const result = await fastResponse('recall the late answer', {}, { maxLatency: 0 });
+      expect(result.source).toBe('memory');
+      expect(result.timedOut).toBeUndefined();
+    });
+
+    it('escalates below the configured confidence floor', async () => {
+      suggestTool.mockResolvedValue([{ tool: 'grep', weightedScore: 0.7, confidence: 0.8 }]);
+      expect((await fastResponse('search files for pattern')).escalate).toBe(true);
+
+      expect(configure({ minConfidence: 0.5 })).toEqual({ maxLatency: 100, minConfidence: 0.5 });
+      clearAllCaches();
+      expect((await fastResponse('search files for pattern')).escalate).toBeUndefined();
+      expect((await fastResponse('search files again', {}, { minConfidence: 0.9 })).escalateReason).toBe('below_threshold');
+    });
+
+    it('ignores out-of-range settings', () => {
+      expect(configure({ maxLatency: -1, minConfidence: 1.5 })).toEqual({ maxLatency: 100, minConfidence: 0.6 });
+      expect(configure()).toEqual({ maxLatency: 100, minConfidence: 0.6 });
+    });
+
+    it('records latency percentiles and timeouts in getDiagnostics()', async () => {
+      expect(getDiagnostics().latency).toMatchObject({ samples: 0, p50: null, p99: null, timeouts: 0, budgetMs: 100 });
+
+      await fastResponse('first request');
+      await fastResponse('second request');
+      searchMemory.mockImplementation(slow([], 200));
+      const partial = await fastResponse('third request', {}, { maxLatency: 10 });
+      expect(partial.escalateReason).toBe('latency_budget_exceeded');
+
+      const { latency } = getDiagnostics();
+      expect(latency).toMatchObject({ samples: 3, timeouts: 1, minConfidence: 0.6 });
+      expect(latency.p50).toBeLessThanOrEqual(latency.p95);
+      expect(latency.p99).toBe(latency.max);
+      expect(latency.max).toBeGreaterThan(5);
+
+      clearAllCaches();
+      expect(getDiagnostics().latency).toMatchObject({ samples: 0, timeouts: 0 });
+    });
+  });
 });
@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  createAgentRegistry,
+  loadAgentRegistry,
+  parseAgentDefinition,
+  rankAgents,
+  resetAgentRegistry,
+} from '../../lib/core/agent-registry.js';
+
+const agentFile = (name, { model = 'sonnet', triggers = '', excludes = '' } = {}) => [
+  '---',
+  `name: ${name}`,
+  'description: |',
+  `  ${name} specialist.`,
+  '',
+  `  Triggers: ${triggers}`,
+  '',
+  `  Do NOT use for: ${excludes}`,
+  `model: ${model}`,
+  'tools:',
+  '  - Read',
+  '---',
+  '',
+  `# ${name}`,
+].join('\n');
+
+describe('agent-registry', () => {
+  // -------------------------------------------------------------------------
+  describe('parseAgentDefinition()', () => {
+    it('reads name, model, triggers and exclusions across blank lines', () => {
+      const def = parseAgentDefinition(agentFile('ui-dev', {
+        triggers: 'component, UI,\n  Frontend, 프론트엔드',
+        excludes: 'database queries, security audits (use security-reviewer)',
+      }));
+      expect(def).toEqual({
+        id: 'ui-dev',
+        description: 'ui-dev specialist.',
+        model: 'sonnet',
+        triggers: ['component', 'ui', 'frontend', '프론트엔드'],
+        excludes: ['database queries', 'security audits'],
+      });
+    });
+
+    it('falls back to the file id without frontmatter', () => {
+      expect(parseAgentDefinition('# Plain', 'plain')).toMatchObject({ id: 'plain', model: null, triggers: [] });
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('createAgentRegistry()', () => {
+    const definitions = [
+      parseAgentDefinition(agentFile('lead', { model: 'opus' })),
+      parseAgentDefinition(agentFile('api-dev', { triggers: 'api, server, backend' })),
+      parseAgentDefinition(agentFile('reviewer', { triggers: 'review', excludes: 'security audits' })),
+    ];
+    const config = {
+      agents: {
+        modelPolicy: { low: { model: 'haiku', agents: ['reviewer', 'ghost'] } },
+        categories: { manager: ['lead'], expert: ['api-dev'], builder: ['reviewer'] },
+        taskBased: { 'code review': 'reviewer' },
+      },
+      team: { ctoAgent: 'lead' },
+    };
+
+    it('applies model policy, categories and task routing', () => {
+      const registry = createAgentRegistry(definitions, config);
+      expect(registry.agents.reviewer).toMatchObject({ model: 'haiku', tier: 'low', category: 'builder', tasks: ['code review'] });
+      expect(registry.agents['api-dev']).toMatchObject({ model: 'sonnet', tier: null, category: 'expert' });
+      expect(registry.cto).toBe('lead');
+      expect(registry.errors).toEqual(['agents.modelPolicy.low references unknown agent "ghost"']);
+    });
+
+    it('ranks by domain fit, penalises exclusions and skips the CTO agent', () => {
+      const registry = createAgentRegistry(definitions, config);
+      const ranked = rankAgents(registry, { domain: 'backend' });
+      expect(ranked.map((a) => a.id)).toEqual(['api-dev', 'reviewer']);
+      expect(ranked[0].score).toBeGreaterThan(2);
+
+      const security = rankAgents(registry, { domain: 'security', text: 'review the login code' });
+      expect(security.find((a) => a.id === 'reviewer').score).toBeLessThan(0);
+      expect(rankAgents(registry, { domain: 'general', text: 'please review' })[0].id).toBe('reviewer');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('loadAgentRegistry()', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-agents-'));
+      fs.mkdirSync(path.join(tmpDir, 'agents'));
+    });
+
+    afterEach(() => {
+      resetAgentRegistry();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('loads every shipped agent with a model and category', () => {
+      const registry = loadAgentRegistry({ force: true });
+      const files = fs.readdirSync(new URL('../../agents/', import.meta.url)).filter((f) => f.endsWith('.md'));
+      expect(Object.keys(registry.agents)).toHaveLength(files.length);
+      expect(registry.errors).toEqual([]);
+      expect(registry.agents['security-reviewer']).toMatchObject({ model: 'opus', category: 'expert' });
+      expect(registry.agents['frontend-developer'].triggers).toContain('accessibility');
+      expect(loadAgentRegistry()).toBe(registry);
+    });
+
+    it('reads a custom plugin root and config', () => {
+      fs.writeFileSync(path.join(tmpDir, 'agents', 'solo.md'), agentFile('solo', { model: 'haiku' }));
+      fs.writeFileSync(path.join(tmpDir, 'artibot.config.json'), JSON.stringify({ agents: { categories: { expert: ['solo'] } } }));
+      const registry = loadAgentRegistry({ pluginRoot: tmpDir });
+      expect(registry.agents.solo).toMatchObject({ model: 'haiku', category: 'expert' });
+      expect(loadAgentRegistry({ pluginRoot: path.join(tmpDir, 'missing') }).errors[0]).toMatch(/agents directory not found/);
+    });
+  });
+});
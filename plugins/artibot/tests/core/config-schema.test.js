@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { configSchema, validateConfig } from '../../lib/core/config-schema.js';
+import { configSchema, validateConfig, validateLexiconPack, validatePolicy } from '../../lib/core/config-schema.js';
 
 describe('config-schema', () => {
   describe('configSchema', () => {
@@ -274,5 +274,87 @@ describe('config-schema', () => {
       expect(result.valid).toBe(false);
       expect(result.errors.length).toBeGreaterThanOrEqual(3);
     });
+    it('validates team playbook and orchestration pattern maps', () => {
+      const ok = validateConfig({
+        version: '1.0.0',
+        team: { orchestrationPatterns: { plan: 'leader' }, playbooks: { hotfix: '[solo] patch' } },
+      });
+      expect(ok.valid).toBe(true);
+      const bad = validateConfig({ version: '1.0.0', team: { playbooks: { hotfix: ['patch'] } } });
+      expect(bad.valid).toBe(false);
+      expect(bad.errors[0]).toContain('team.playbooks.hotfix');
+    });
+  });
+
+  describe('validateLexiconPack()', () => {
+    it('accepts a pack with free-form domain names', () => {
+      const result = validateLexiconPack({
+        name: 'acme',
+        domains: { backend: ['ledger-svc'], payments: ['stripe', 'invoice'] },
+        risk: ['prod-east'],
+      });
+      expect(result).toEqual({ valid: true, errors: [] });
+    });
+
+    it('rejects non-object packs', () => {
+      expect(validateLexiconPack(null).valid).toBe(false);
+      expect(validateLexiconPack(['x']).errors).toEqual(['Lexicon pack must be a plain object']);
+    });
+
+    it('validates map values through additionalProperties', () => {
+      const result = validateLexiconPack({ domains: { backend: 'api' } });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['lexicon.domains.backend: expected array, got string']);
+    });
+
+    it('validates keyword items', () => {
+      const result = validateLexiconPack({ uncertainty: ['maybe', 3] });
+      expect(result.errors).toEqual(['lexicon.uncertainty[1]: expected string, got number']);
+    });
+
+    it('is applied to cognitive.router.lexicons.packs in config', () => {
+      const result = validateConfig({
+        version: '1.4.0',
+        cognitive: { router: { lexicons: { languages: ['en', 'zh'], packs: [{ steps: 'then' }], directory: false } } },
+      });
+      expect(result.errors).toEqual(['cognitive.router.lexicons.packs[0].steps: expected array, got string']);
+    });
+  });
+
+  describe('validatePolicy()', () => {
+    it('accepts a policy with every rule kind', () => {
+      const result = validatePolicy({
+        version: 1,
+        rules: [
+          { id: 'a', action: 'allow', match: { rule: 'rm-recursive-path', paths: ['dist'] } },
+          { id: 'b', action: 'block', match: { rule: ['git-force-push'] }, when: { branch: ['main'] } },
+          { id: 'c', action: 'ask', match: { command: 'terraform apply*' }, reason: 'check the plan' },
+          { id: 'd', tool: 'write', action: 'warn', match: { paths: ['db/migrations'] } },
+        ],
+      });
+      expect(result).toEqual({ valid: true, errors: [] });
+    });
+
+    it('rejects non-object policies', () => {
+      expect(validatePolicy([]).errors).toEqual(['Policy must be a plain object']);
+    });
+
+    it('reports rule problems by index', () => {
+      const result = validatePolicy({
+        rules: [
+          { id: 'x', action: 'deny', match: { rule: '*' } },
+          { id: 'x', action: 'allow', tool: 'edit', match: {} },
+          { action: 'warn', match: { command: 'ls' } },
+        ],
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'policy.rules[0].action: expected one of allow|warn|ask|block',
+        'policy.rules[1]: duplicate id "x"',
+        'policy.rules[1].tool: expected one of bash|write',
+        'policy.rules[1].match: needs at least one of rule, command, paths',
+        'policy.rules[2]: id is required',
+      ]);
+    });
   });
 });
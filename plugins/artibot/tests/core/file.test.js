@@ -1,5 +1,16 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { exists, readJsonFile, writeJsonFile, readTextFile, ensureDir, listFiles, listDirs } from '../../lib/core/file.js';
+import {
+  appendTextFile,
+  exists,
+  readJsonFile,
+  writeJsonFile,
+  writeJsonFileAtomic,
+  readTextFile,
+  ensureDir,
+  listFiles,
+  listDirs,
+  globToRegExp,
+} from '../../lib/core/file.js';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import os from 'node:os';
@@ -81,6 +92,35 @@ describe('file', () => {
     });
   });
 
+  describe('writeJsonFileAtomic()', () => {
+    it('replaces the file without leaving a temp file behind', async () => {
+      const file = path.join(tmpDir, 'nested', 'index.json');
+      await writeJsonFileAtomic(file, { v: 1 });
+      await writeJsonFileAtomic(file, { v: 2 }, 0);
+      expect(await fs.readFile(file, 'utf-8')).toBe('{"v":2}\n');
+      expect(await fs.readdir(path.dirname(file))).toEqual(['index.json']);
+    });
+
+    it('keeps the previous file and removes the temp file when writing fails', async () => {
+      const file = path.join(tmpDir, 'index.json');
+      await writeJsonFileAtomic(file, { v: 1 });
+      const cyclic = {};
+      cyclic.self = cyclic;
+      await expect(writeJsonFileAtomic(file, cyclic)).rejects.toThrow();
+      expect(await readJsonFile(file)).toEqual({ v: 1 });
+      expect(await fs.readdir(tmpDir)).toEqual(['index.json']);
+    });
+  });
+
+  describe('appendTextFile()', () => {
+    it('creates the file and appends to it', async () => {
+      const file = path.join(tmpDir, 'logs', 'events.jsonl');
+      await appendTextFile(file, 'a\n');
+      await appendTextFile(file, 'b\n');
+      expect(await readTextFile(file)).toBe('a\nb\n');
+    });
+  });
+
   describe('readTextFile()', () => {
     it('reads file as string', async () => {
       const file = path.join(tmpDir, 'readme.md');
@@ -161,4 +201,23 @@ describe('file', () => {
       expect(dirs).toEqual([]);
     });
   });
+
+  describe('globToRegExp()', () => {
+    it('keeps * and ? within a path segment', () => {
+      expect(globToRegExp('src/*.js').test('src/app.js')).toBe(true);
+      expect(globToRegExp('src/*.js').test('src/lib/app.js')).toBe(false);
+      expect(globToRegExp('v?.txt').test('v1.txt')).toBe(true);
+    });
+
+    it('lets ** span directories, including none before a slash', () => {
+      expect(globToRegExp('dist/**').test('dist/a/b.js')).toBe(true);
+      expect(globToRegExp('**/test/*.js').test('test/a.js')).toBe(true);
+      expect(globToRegExp('**/test/*.js').test('pkg/core/test/a.js')).toBe(true);
+    });
+
+    it('escapes regex characters and matches anything without pathAware', () => {
+      expect(globToRegExp('a+b(1).md').test('a+b(1).md')).toBe(true);
+      expect(globToRegExp('npm publish*', { pathAware: false }).test('npm publish --tag next/beta')).toBe(true);
+    });
+  });
 });
@@ -16,6 +16,7 @@ import {
   extractToolName,
   extractAgentId,
   extractAgentRole,
+  toHookDecision,
 } from '../../lib/core/hook-utils.js';
 
 // -------------------------------------------------------------------------
@@ -409,3 +410,26 @@ describe('hook-utils / Hook Input Extraction', () => {
     });
   });
 });
+
+// -------------------------------------------------------------------------
+// PreToolUse Decisions
+// -------------------------------------------------------------------------
+
+describe('hook-utils / PreToolUse Decisions', () => {
+  describe('toHookDecision()', () => {
+    it('maps allow and warn to approve', () => {
+      expect(toHookDecision('allow')).toEqual({ decision: 'approve' });
+      expect(toHookDecision('warn', 'careful')).toEqual({ decision: 'approve', reason: 'careful' });
+    });
+
+    it('maps block to block', () => {
+      expect(toHookDecision('block', 'no')).toEqual({ decision: 'block', reason: 'no' });
+    });
+
+    it('maps ask to a permission prompt', () => {
+      expect(toHookDecision('ask', 'sure?')).toEqual({
+        hookSpecificOutput: { hookEventName: 'PreToolUse', permissionDecision: 'ask', permissionDecisionReason: 'sure?' },
+      });
+    });
+  });
+});
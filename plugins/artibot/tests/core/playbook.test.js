@@ -0,0 +1,228 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  clearPlaybookRun,
+  compilePlaybook,
+  createPlaybookRun,
+  getCurrentPhaseIndex,
+  getPlaybookRunPath,
+  loadPlaybookRun,
+  loadPlaybooks,
+  savePlaybookRun,
+  transition,
+} from '../../lib/core/playbook.js';
+import { playbookVisualizer, stripAnsi } from '../../lib/core/tui.js';
+
+const PATTERNS = { plan: 'leader', design: 'council', do: 'swarm', check: 'council', act: 'leader' };
+
+const compile = (source, name = 'test') => compilePlaybook(name, source, { orchestrationPatterns: PATTERNS });
+
+describe('playbook', () => {
+  // -------------------------------------------------------------------------
+  describe('compilePlaybook()', () => {
+    it('compiles stages, patterns and the phase graph', () => {
+      const { playbook, errors } = compile('[leader] plan -> [council] design -> [swarm] implement');
+      expect(errors).toEqual([]);
+      expect(playbook.stages).toEqual([['plan'], ['design'], ['implement']]);
+      expect(playbook.phases[0]).toEqual({
+        id: 'plan', name: 'plan', pattern: 'leader', stage: 0, exit: [], retry: null, next: ['design'],
+      });
+      expect(playbook.phases[2].next).toEqual([]);
+    });
+
+    it('supports parallel phases, exit criteria and retry targets', () => {
+      const { playbook } = compile('plan -> [swarm] api | [swarm] ui -> [check] review {approved, tests pass, retry: api}');
+      expect(playbook.stages).toEqual([['plan'], ['api', 'ui'], ['review']]);
+      expect(playbook.phases[0]).toMatchObject({ pattern: 'leader', next: ['api', 'ui'] });
+      expect(playbook.phases[3]).toMatchObject({ pattern: 'council', exit: ['approved', 'tests pass'], retry: 'api' });
+    });
+
+    it('gives repeated phase names unique ids', () => {
+      const { playbook } = compile('[solo] review -> [swarm] fix -> [solo] review {retry: fix}');
+      expect(playbook.phases.map((p) => p.id)).toEqual(['review', 'fix', 'review-2']);
+      expect(playbook.phases[2].retry).toBe('fix');
+    });
+
+    it('reports unknown patterns, unparseable phases and bad retry targets', () => {
+      expect(compile('[mob] plan').errors).toEqual(['playbook "test": unknown orchestration pattern "mob" for phase "plan"']);
+      expect(compile('ship').errors[0]).toMatch(/phase "ship" needs a \[pattern\]/);
+      expect(compile('[leader] plan -> ').errors[0]).toMatch(/cannot parse phase "" in stage 2/);
+      expect(compile('[leader] plan {retry: merge} -> [leader] merge').errors[0]).toMatch(/retries unknown or later phase "merge"/);
+      expect(compile('').playbook).toBeNull();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('loadPlaybooks()', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-playbook-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('compiles the shipped config playbooks without errors', () => {
+      const config = JSON.parse(fs.readFileSync(new URL('../../artibot.config.json', import.meta.url), 'utf-8'));
+      const { playbooks, errors } = loadPlaybooks(config, { userPath: false, projectPath: false });
+      expect(errors).toEqual([]);
+      expect(playbooks.feature.phases.map((p) => p.pattern)).toEqual(['leader', 'council', 'swarm', 'council', 'leader']);
+    });
+
+    it('lets user and project files add and override playbooks', () => {
+      const userPath = path.join(tmpDir, 'user.json');
+      fs.writeFileSync(userPath, JSON.stringify({ hotfix: '[solo] patch', docs: '[solo] write' }));
+      fs.mkdirSync(path.join(tmpDir, '.artibot'));
+      fs.writeFileSync(path.join(tmpDir, '.artibot', 'playbooks.json'), JSON.stringify({ hotfix: '[pipeline] patch -> [council] verify' }));
+
+      const config = { team: { orchestrationPatterns: PATTERNS, playbooks: { feature: 'plan -> design' } } };
+      const { playbooks, errors } = loadPlaybooks(config, { cwd: tmpDir, userPath });
+      expect(errors).toEqual([]);
+      expect(Object.keys(playbooks).sort()).toEqual(['docs', 'feature', 'hotfix']);
+      expect(playbooks.hotfix.stages).toEqual([['patch'], ['verify']]);
+    });
+
+    it('skips invalid definitions and reports malformed files', () => {
+      const userPath = path.join(tmpDir, 'user.json');
+      fs.writeFileSync(userPath, '{ broken');
+      const { playbooks, errors } = loadPlaybooks({ team: { playbooks: { bad: '[nope] x', ok: '[solo] x' } } }, { cwd: tmpDir, userPath });
+      expect(Object.keys(playbooks)).toEqual(['ok']);
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toContain('user.json');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('transition()', () => {
+    const source = '[leader] plan -> [swarm] api | [swarm] ui -> [council] review {approved, retry: api} -> [leader] merge';
+    let run;
+
+    beforeEach(() => {
+      run = createPlaybookRun('alpha', compile(source).playbook);
+    });
+
+    const step = (event) => {
+      const result = transition(run, event);
+      run = result.run;
+      return result;
+    };
+
+    it('starts with the first stage active', () => {
+      expect(run).toMatchObject({ team: 'alpha', status: 'running', stage: 0 });
+      expect(run.phases).toEqual({ plan: 'active', api: 'pending', ui: 'pending', review: 'pending', merge: 'pending' });
+      expect(getCurrentPhaseIndex(run)).toBe(0);
+    });
+
+    it('advances a stage only when all its parallel phases are complete', () => {
+      step({ type: 'complete', phase: 'plan' });
+      expect(run.phases).toMatchObject({ plan: 'completed', api: 'active', ui: 'active' });
+
+      step({ type: 'complete', phase: 'ui' });
+      expect(run.stage).toBe(1);
+      expect(getCurrentPhaseIndex(run)).toBe(1);
+      step({ type: 'complete', phase: 'api' });
+      expect(run.phases.review).toBe('active');
+    });
+
+    it('requires exit criteria before completing a phase unless forced', () => {
+      for (const phase of ['plan', 'api', 'ui']) step({ type: 'complete', phase });
+
+      expect(step({ type: 'complete', phase: 'review' })).toMatchObject({ ok: false, reason: 'exit criteria not met: approved' });
+      expect(step({ type: 'criterion', phase: 'review', criterion: 'lgtm' }).ok).toBe(false);
+      expect(step({ type: 'criterion', phase: 'review', criterion: 'approved' }).ok).toBe(true);
+      expect(step({ type: 'complete', phase: 'review' }).ok).toBe(true);
+      step({ type: 'complete', phase: 'merge' });
+      expect(run.status).toBe('completed');
+      expect(getCurrentPhaseIndex(run)).toBe(5);
+      expect(step({ type: 'complete', phase: 'merge' }).reason).toBe('run is completed');
+    });
+
+    it('sends a failed phase back to its retry target and resets later stages', () => {
+      for (const phase of ['plan', 'api', 'ui']) step({ type: 'complete', phase });
+      step({ type: 'criterion', phase: 'review', criterion: 'approved' });
+
+      expect(step({ type: 'fail', phase: 'review', reason: 'tests red' }).ok).toBe(true);
+      expect(run).toMatchObject({ status: 'running', stage: 1, retries: { review: 1 }, met: {} });
+      expect(run.phases).toMatchObject({ plan: 'completed', api: 'active', ui: 'active', review: 'pending' });
+      expect(run.history.at(-1)).toMatchObject({ event: 'fail', phase: 'review', detail: 'tests red' });
+    });
+
+    it('fails the run when retries run out or no retry target exists', () => {
+      run = createPlaybookRun('alpha', compile('[swarm] fix -> [council] review {retry: fix}').playbook);
+      for (let i = 0; i < 3; i++) {
+        step({ type: 'complete', phase: 'fix' });
+        step({ type: 'fail', phase: 'review' });
+        expect(run.status).toBe('running');
+      }
+      step({ type: 'complete', phase: 'fix' });
+      step({ type: 'fail', phase: 'review' });
+      expect(run.status).toBe('failed');
+      expect(run.phases.review).toBe('failed');
+
+      const single = createPlaybookRun('beta', compile('[solo] only').playbook);
+      expect(transition(single, { type: 'fail', phase: 'only' }).run.status).toBe('failed');
+    });
+
+    it('rejects events for inactive or unknown phases without changing the run', () => {
+      const before = run;
+      expect(step({ type: 'complete', phase: 'merge' })).toMatchObject({ ok: false, reason: 'phase "merge" is pending' });
+      expect(step({ type: 'complete', phase: 'deploy' }).reason).toBe('unknown phase "deploy"');
+      expect(step({ type: 'skip', phase: 'plan' }).reason).toBe('unknown event "skip"');
+      expect(run).toBe(before);
+      step({ type: 'complete', phase: 'plan' });
+      expect(before.phases.plan).toBe('active');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('persistence', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-playbook-runs-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('saves, loads and clears a run per team', () => {
+      const run = createPlaybookRun('my team/1', compile('[leader] plan -> [swarm] build').playbook);
+      savePlaybookRun(run, tmpDir);
+      expect(path.basename(getPlaybookRunPath('my team/1', tmpDir))).toBe('my_team_1.json');
+
+      const loaded = loadPlaybookRun('my team/1', tmpDir);
+      expect(loaded.phases).toEqual(run.phases);
+      expect(loadPlaybookRun('other', tmpDir)).toBeNull();
+
+      expect(clearPlaybookRun('my team/1', tmpDir)).toBe(true);
+      expect(loadPlaybookRun('my team/1', tmpDir)).toBeNull();
+      expect(clearPlaybookRun('my team/1', tmpDir)).toBe(false);
+    });
+
+    it('treats malformed run files as missing', () => {
+      fs.writeFileSync(getPlaybookRunPath('alpha', tmpDir), JSON.stringify({ team: 'alpha' }));
+      expect(loadPlaybookRun('alpha', tmpDir)).toBeNull();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('tui.playbookVisualizer()', () => {
+    it('renders compiled playbooks and runs', () => {
+      const { playbook } = compile('[leader] plan -> [swarm] build -> [council] review');
+      expect(stripAnsi(playbookVisualizer(playbook, 1))).toContain('[plan ✓]');
+
+      let run = createPlaybookRun('alpha', playbook);
+      ({ run } = transition(run, { type: 'complete', phase: 'plan' }));
+      ({ run } = transition(run, { type: 'fail', phase: 'build' }));
+      const rendered = stripAnsi(playbookVisualizer(run));
+      expect(rendered).toContain('[plan ✓]');
+      expect(rendered).toContain('[build ✗]');
+      expect(rendered).toContain('[review ○]');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, expect, it } from 'vitest';
+import { collectCommands, inlineCode, MAX_PARSE_DEPTH, parseShell } from '../../lib/core/shell-parser.js';
+
+/** Command names in collection order */
+function names(source) {
+  return collectCommands(source).map((c) => c.name);
+}
+
+/** First collected command with a given name */
+function find(source, name) {
+  return collectCommands(source).find((c) => c.name === name);
+}
+
+describe('shell-parser', () => {
+  // -------------------------------------------------------------------------
+  describe('parseShell()', () => {
+    it('splits lists and pipelines', () => {
+      const ast = parseShell('cd app && npm test | tee log.txt; echo done &');
+      expect(ast.errors).toEqual([]);
+      expect(ast.body.items.map((item) => item.op)).toEqual(['&&', ';', '&']);
+      expect(ast.body.items[1].pipeline.commands).toHaveLength(2);
+    });
+
+    it('parses subshells and groups with redirections', () => {
+      const ast = parseShell('(cd x && make) 2>&1 | grep err; { echo a; echo b; } > out.txt');
+      const [first, second] = ast.body.items;
+      expect(first.pipeline.commands[0].type).toBe('subshell');
+      expect(first.pipeline.commands[0].redirects[0]).toMatchObject({ op: '>&', fd: '2' });
+      expect(second.pipeline.commands[0]).toMatchObject({ type: 'group' });
+      expect(second.pipeline.commands[0].redirects[0].target.value).toBe('out.txt');
+    });
+
+    it('removes quotes and escapes from word values', () => {
+      const [command] = parseShell(`'r'm "-rf" \\/tmp $'\\x41\\n'`).body.items[0].pipeline.commands;
+      expect(command.words.map((w) => w.value)).toEqual(['rm', '-rf', '/tmp', 'A\n']);
+      expect(command.words[0].quoted).toBe(true);
+    });
+
+    it('separates environment prefixes from words', () => {
+      const [command] = parseShell('NODE_ENV=test DEBUG="a b" npm test').body.items[0].pipeline.commands;
+      expect(command.assignments.map(({ name, value }) => ({ name, value }))).toEqual([
+        { name: 'NODE_ENV', value: 'test' },
+        { name: 'DEBUG', value: 'a b' },
+      ]);
+      expect(command.words.map((w) => w.value)).toEqual(['npm', 'test']);
+    });
+
+    it('keeps unresolved expansions as dynamic source text', () => {
+      const [command] = parseShell('rm -rf "$HOME"/cache ${TMP:-/tmp}').body.items[0].pipeline.commands;
+      expect(command.words[2]).toMatchObject({ value: '$HOME/cache', dynamic: true });
+      expect(command.words[3].value).toBe('${TMP:-/tmp}');
+    });
+
+    it('reads heredoc bodies onto their redirection', () => {
+      const ast = parseShell('cat <<-EOF > out\n\tline one\n\tEOF\necho next');
+      const [cat] = ast.body.items[0].pipeline.commands;
+      expect(cat.redirects[0].heredoc).toBe('\tline one');
+      expect(ast.body.items[1].pipeline.commands[0].words[0].value).toBe('echo');
+    });
+
+    it('reports malformed input instead of throwing', () => {
+      expect(parseShell('echo "unterminated').errors).toContain('unterminated double quote');
+      expect(parseShell('echo $(ls').errors).toContain('unterminated $(');
+      expect(parseShell('cat <<EOF').errors[0]).toMatch(/unterminated heredoc/);
+      expect(() => parseShell(null)).not.toThrow();
+    });
+
+    it('stops nesting at MAX_PARSE_DEPTH', () => {
+      const deep = `${'$('.repeat(MAX_PARSE_DEPTH + 2)}ls${')'.repeat(MAX_PARSE_DEPTH + 2)}`;
+      expect(parseShell(deep).errors).toContain('substitutions nested too deeply');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('collectCommands()', () => {
+    it('collects commands from compound statements', () => {
+      expect(names('if test -f x; then rm x; else touch x; fi')).toEqual(['test', 'rm', 'touch']);
+      expect(names('for f in $(ls); do cat "$f"; done')).toEqual(['ls', 'cat']);
+      expect(names('case $1 in a) make;; *) exit 1;; esac')).toEqual(['make', 'exit']);
+      expect(names('cleanup() { rm -f tmp; }; cleanup')).toEqual(['rm', 'cleanup']);
+    });
+
+    it('lists substitution commands before the command using them', () => {
+      expect(names('echo `date` $(whoami)')).toEqual(['date', 'whoami', 'echo']);
+      expect(find('diff <(ls a) <(ls b)', 'diff').inputs).toEqual(['ls', 'ls']);
+    });
+
+    it('resolves literal echo substitutions into the word', () => {
+      expect(find('$(echo rm) -rf /', 'rm').args).toEqual(['-rf', '/']);
+    });
+
+    it('splits words on unquoted $IFS', () => {
+      expect(find('rm${IFS}-rf${IFS}/', 'rm').args).toEqual(['-rf', '/']);
+    });
+
+    it('unwraps sudo, env, nice, timeout and xargs', () => {
+      const git = find('sudo -u root env -i A=1 nice -n 5 timeout 10 git push', 'git');
+      expect(git.args).toEqual(['push']);
+      expect(git.wrappers).toEqual(['sudo', 'env', 'nice', 'timeout']);
+      expect(find('ls | xargs -I{} rm {}', 'rm').wrappers).toEqual(['xargs']);
+    });
+
+    it('does not treat `command -v` as running its operand', () => {
+      expect(names('command -v rm')).toEqual(['command']);
+    });
+
+    it('extracts find -exec commands', () => {
+      const rm = find('find . -type f -exec rm -f {} \\; -print', 'rm');
+      expect(rm.args).toEqual(['-f', '{}']);
+      expect(rm.wrappers).toEqual(['find']);
+    });
+
+    it('parses scripts run by shells and eval', () => {
+      expect(find("bash -lc 'cd /; rm -rf x'", 'rm').wrappers).toEqual(['bash']);
+      expect(find('eval "git reset --hard"', 'git').wrappers).toEqual(['eval']);
+      expect(find('sh <<EOF\nmake clean\nEOF', 'make').wrappers).toEqual(['sh']);
+      expect(find('echo "npm publish" | sh', 'npm').args).toEqual(['publish']);
+      expect(names('bash script.sh')).toEqual(['bash']);
+    });
+
+    it('parses the commands inline interpreter code shells out to', () => {
+      expect(find("python3 -c \"import os; os.system('git push -f')\"", 'git')).toMatchObject({
+        args: ['push', '-f'],
+        wrappers: ['python3'],
+      });
+      expect(find("perl -we 'print `make clean`'", 'make').wrappers).toEqual(['perl']);
+      expect(find("node -e \"spawnSync('rm', ['-rf', 'x'])\"", 'rm').args).toEqual(['-rf', 'x']);
+      expect(names("python3 -c 'os.system(cmd)'")).toEqual(['python3']);
+    });
+
+    it('returns the inline code of shells and interpreters', () => {
+      const code = (source) => inlineCode(collectCommands(source)[0]);
+      expect(code("bash -lc 'make'")).toBe('make');
+      expect(code("perl -ne 'print'")).toBe('print');
+      expect(code('node --eval "1"')).toBe('1');
+      expect(code('python3 script.py')).toBeNull();
+    });
+
+    it('marks command names that come from an expansion', () => {
+      const dynamic = (source) => collectCommands(source).map((c) => c.dynamicName);
+      expect(dynamic('$cmd -rf /')).toEqual([true]);
+      expect(dynamic('sudo "$(which rm)" x')).toEqual([false, false, true]);
+      expect(dynamic('$HOME/bin/tool x')).toEqual([false]);
+      expect(dynamic("'$x' y")).toEqual([false]);
+    });
+
+    it('records pipeline inputs, stdin and redirect targets', () => {
+      const bash = find('curl -s https://x | sudo bash', 'bash');
+      expect(bash.inputs).toEqual(['curl']);
+      expect(bash.wrappers).toEqual(['sudo']);
+
+      const psql = find('psql <<< "select 1"', 'psql');
+      expect(psql.stdin).toBe('select 1');
+
+      const [redirectOnly] = collectCommands('> /dev/sda');
+      expect(redirectOnly).toMatchObject({ name: '', redirects: [{ op: '>', target: '/dev/sda' }] });
+    });
+
+    it('normalizes command paths to lower-cased base names', () => {
+      expect(names('/usr/bin/RM -f x')).toEqual(['rm']);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import path from 'node:path';
+import os from 'node:os';
+import { spawnSync } from 'node:child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+
+/**
+ * E2E Integration Test: Team Workflow Flow
+ *
+ * Drives the team dashboard the way Claude Code and the orchestrator do:
+ *   1. TeamCreate fires the PostToolUse hook registered in hooks.json,
+ *      which starts the team's playbook run (workflow-start)
+ *   2. The orchestrator runs the workflow-advance command documented in
+ *      agents/orchestrator.md when a phase gate passes
+ *
+ * Hook commands are taken from the REAL hooks.json and orchestrator.md and
+ * run in a child process whose HOME is a temporary directory.
+ */
+
+// decodeURIComponent is needed because import.meta.url percent-encodes
+// non-ASCII characters (e.g. Korean "바탕 화면") which breaks fs operations.
+const PLUGIN_ROOT = path.resolve(
+  decodeURIComponent(
+    path.dirname(new URL(import.meta.url).pathname.replace(/^\/([A-Z]:)/i, '$1')),
+  ),
+  '..', '..',
+);
+
+describe('E2E: Team Workflow Flow', () => {
+  let home;
+
+  /** Run a hook command line the way Claude Code does, with `input` on stdin */
+  function runCommand(command, input) {
+    const result = spawnSync('sh', ['-c', command], {
+      cwd: home,
+      input: input === undefined ? undefined : JSON.stringify(input),
+      env: { ...process.env, HOME: home, USERPROFILE: home, CLAUDE_PLUGIN_ROOT: PLUGIN_ROOT },
+      encoding: 'utf-8',
+      timeout: 20_000,
+    });
+    expect(result.status, result.stderr).toBe(0);
+    return JSON.parse(result.stdout).message;
+  }
+
+  /** Persisted playbook run of a team */
+  const readRun = (team) => JSON.parse(
+    readFileSync(path.join(home, '.claude', 'artibot', 'playbook-runs', `${team}.json`), 'utf-8'),
+  );
+
+  beforeEach(() => {
+    home = mkdtempSync(path.join(os.tmpdir(), 'artibot-team-flow-'));
+  });
+
+  afterEach(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('starts the playbook on TeamCreate and advances it with the documented command', () => {
+    const hooks = JSON.parse(readFileSync(path.join(PLUGIN_ROOT, 'hooks', 'hooks.json'), 'utf-8')).hooks;
+    const teamCreate = hooks.PostToolUse.find((entry) => entry.matcher.includes('"TeamCreate"'));
+    expect(teamCreate).toBeDefined();
+
+    const started = runCommand(teamCreate.hooks[0].command, {
+      hook_event_name: 'PostToolUse',
+      tool_name: 'TeamCreate',
+      tool_input: { team_name: 'feat-auth', description: 'Authentication feature' },
+    });
+    expect(started).toContain('Phase: plan (1/5)');
+    expect(readRun('feat-auth')).toMatchObject({ team: 'feat-auth', phases: { plan: 'active', design: 'pending' } });
+
+    const orchestrator = readFileSync(path.join(PLUGIN_ROOT, 'agents', 'orchestrator.md'), 'utf-8');
+    const advance = orchestrator.split('\n').find((line) => line.includes('workflow-status.js" workflow-advance'));
+    expect(advance).toBeDefined();
+
+    const advanced = runCommand(advance);
+    expect(advanced).toContain('Phase: design (2/5)');
+    expect(readRun('feat-auth').phases).toMatchObject({ plan: 'completed', design: 'active' });
+    expect(existsSync(path.join(home, '.claude', 'artibot-state.json'))).toBe(true);
+  });
+});
@@ -215,4 +215,35 @@ describe('cognitive-router hook', () => {
       );
     });
   });
+
+  describe('--explain helpers', () => {
+    it('stripExplainFlag() removes the flag and reports it', async () => {
+      readStdin.mockResolvedValue('');
+      const { stripExplainFlag } = await import('../../scripts/hooks/cognitive-router.js');
+      expect(stripExplainFlag('deploy now --explain')).toEqual({ prompt: 'deploy now', explain: true });
+      expect(stripExplainFlag('--explain deploy --explain now')).toEqual({ prompt: 'deploy now', explain: true });
+      expect(stripExplainFlag('deploy --explainer')).toEqual({ prompt: 'deploy --explainer', explain: false });
+    });
+
+    it('formatExplanation() prints fired evidence and the flip hint', async () => {
+      readStdin.mockResolvedValue('');
+      const { formatExplanation } = await import('../../scripts/hooks/cognitive-router.js');
+      const text = formatExplanation({
+        score: 0.21,
+        threshold: 0.4,
+        system: 1,
+        confidence: 0.55,
+        rawConfidence: 0.88,
+        factors: {
+          risk: { value: 0.6, weight: 0.2, contribution: 0.12, evidence: { keywords: ['production'] } },
+          uncertainty: { value: 0, weight: 0.2, contribution: 0, evidence: { keywords: [], questionMarks: 0 } },
+        },
+        counterfactual: { targetSystem: 2, minimal: 'raise steps from 0 to 0.78' },
+      });
+      expect(text).toContain('score=0.21 threshold=0.4 -> SYSTEM1 confidence=0.55 (uncalibrated 0.88)');
+      expect(text).toContain('risk: 0.6 x 0.2 = 0.12 | keywords=["production"]');
+      expect(text).toContain('  uncertainty: 0 x 0.2 = 0\n');
+      expect(text).toContain('flip to SYSTEM2: raise steps from 0 to 0.78');
+    });
+  });
 });
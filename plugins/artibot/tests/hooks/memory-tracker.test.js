@@ -1,9 +1,15 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 
 // ---------------------------------------------------------------------------
-// Mocks
+// Shared mock state container - survives vi.resetModules()
 // ---------------------------------------------------------------------------
+const mockState = { pluginRoot: '' };
+
 vi.mock('../../scripts/utils/index.js', () => ({
+  getPluginRoot: vi.fn(() => mockState.pluginRoot),
   readStdin: vi.fn(),
   writeStdout: vi.fn(),
   parseJSON: vi.fn((str) => {
@@ -12,393 +18,257 @@ vi.mock('../../scripts/utils/index.js', () => ({
   }),
 }));
 
-vi.mock('node:fs', async () => {
-  const actual = await vi.importActual('node:fs');
-  return {
-    ...actual,
-    readFileSync: vi.fn(),
-    writeFileSync: vi.fn(),
-    mkdirSync: vi.fn(),
-    existsSync: vi.fn(() => false),
-  };
-});
-
 const { readStdin, writeStdout } = await import('../../scripts/utils/index.js');
-const { readFileSync, writeFileSync, mkdirSync, existsSync } = await import('node:fs');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const future = () => new Date(Date.now() + 86400000).toISOString();
+const past = () => new Date(Date.now() - 86400000).toISOString();
 
 // ---------------------------------------------------------------------------
 // Tests
 // ---------------------------------------------------------------------------
 
 describe('memory-tracker hook', () => {
-  let originalEnv;
+  let tmpDir;
+  let userDir;
+  let projectDir;
+
+  /** Memory directory of the project scope */
+  const projectMemory = () => path.join(projectDir, '.artibot', 'memory');
+  /** Memory directory of the user scope */
+  const userMemory = () => path.join(userDir, 'memory');
+
+  /** Write artibot.config.json `learning` settings; the user scope always points into tmpDir */
+  function writeConfig(learning = {}) {
+    fs.writeFileSync(
+      path.join(mockState.pluginRoot, 'artibot.config.json'),
+      JSON.stringify({ learning: { ...learning, memoryScopes: { user: userDir, ...learning.memoryScopes } } }),
+    );
+  }
+
+  /** Seed a store file */
+  function writeStore(memoryDir, file, entries) {
+    fs.mkdirSync(memoryDir, { recursive: true });
+    fs.writeFileSync(path.join(memoryDir, file), typeof entries === 'string' ? entries : JSON.stringify({ entries, metadata: {} }));
+  }
+
+  /** Read a store file, or null when it was never written */
+  function readStore(memoryDir, file) {
+    const filePath = path.join(memoryDir, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : null;
+  }
+
+  /** Run the hook with `hookData` on stdin (cwd defaults to the project) */
+  async function runHook(hookData) {
+    readStdin.mockResolvedValue(typeof hookData === 'string' ? hookData : JSON.stringify({ cwd: projectDir, ...hookData }));
+    await import('../../scripts/hooks/memory-tracker.js');
+  }
+
+  /** Wait until the store holds an entry, then return the newest one */
+  async function lastEntry(memoryDir, file) {
+    let store = null;
+    await vi.waitFor(() => {
+      store = readStore(memoryDir, file);
+      expect(store?.entries.length).toBeGreaterThan(0);
+    });
+    return store.entries[store.entries.length - 1];
+  }
 
   beforeEach(() => {
     vi.clearAllMocks();
     vi.resetModules();
-    originalEnv = { ...process.env };
-    process.env.USERPROFILE = 'C:\\Users\\TestUser';
-    process.env.HOME = '/home/testuser';
     vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-memory-tracker-'));
+    userDir = path.join(tmpDir, 'home');
+    projectDir = path.join(tmpDir, 'project');
+    mockState.pluginRoot = path.join(tmpDir, 'plugin');
+    fs.mkdirSync(path.join(projectDir, '.git'), { recursive: true });
+    fs.mkdirSync(mockState.pluginRoot);
+    writeConfig();
   });
 
   afterEach(() => {
-    process.env = originalEnv;
+    vi.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
   });
 
   describe('SessionStart event', () => {
-    it('outputs "no previous memories" when memory dir does not exist', async () => {
-      existsSync.mockReturnValue(false);
-      readStdin.mockResolvedValue(
-        JSON.stringify({ event_type: 'SessionStart' }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
-
-      expect(writeStdout).toHaveBeenCalledWith(
-        expect.objectContaining({
-          message: expect.stringContaining('no previous memories'),
-        }),
-      );
-    });
+    it('outputs "initialized" when there are no memories', async () => {
+      await runHook({ event_type: 'SessionStart' });
 
-    it('outputs "initialized" when memory dir exists but is empty', async () => {
-      existsSync.mockReturnValue(true);
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: [], metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({ event_type: 'SessionStart' }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
-
-      expect(writeStdout).toHaveBeenCalledWith(
-        expect.objectContaining({
-          message: expect.stringContaining('initialized'),
-        }),
-      );
+      await vi.waitFor(() => expect(writeStdout).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.stringContaining('initialized') }),
+      ));
     });
 
-    it('reports loaded preferences count', async () => {
-      existsSync.mockReturnValue(true);
-      readFileSync.mockImplementation((filePath) => {
-        const fp = String(filePath);
-        if (fp.includes('user-preferences')) {
-          return JSON.stringify({
-            entries: [
-              { id: 'p1', expiresAt: new Date(Date.now() + 86400000).toISOString() },
-              { id: 'p2', expiresAt: new Date(Date.now() + 86400000).toISOString() },
-            ],
-            metadata: {},
-          });
-        }
-        if (fp.includes('project-contexts')) {
-          return JSON.stringify({ entries: [], metadata: {} });
-        }
-        return JSON.stringify({ entries: [], metadata: {} });
-      });
-      readStdin.mockResolvedValue(
-        JSON.stringify({ event_type: 'SessionStart' }),
-      );
+    it('reports active preferences and project contexts from every scope', async () => {
+      writeStore(userMemory(), 'user-preferences.json', [
+        { id: 'p1', type: 'preference', data: { key: 'a' }, expiresAt: future() },
+        { id: 'p2', type: 'preference', data: { key: 'b' }, expiresAt: past() },
+      ]);
+      writeStore(projectMemory(), 'project-contexts.json', [{ id: 'c1', type: 'context', data: {}, expiresAt: future() }]);
 
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+      await runHook({ event_type: 'session_start' });
 
-      expect(writeStdout).toHaveBeenCalledWith(
-        expect.objectContaining({
-          message: expect.stringContaining('2 preferences'),
-        }),
-      );
+      await vi.waitFor(() => expect(writeStdout).toHaveBeenCalledWith({
+        message: 'Memory system: loaded 1 preferences, 1 project contexts.',
+      }));
     });
 
-    it('handles session_start event type (lowercase)', async () => {
-      existsSync.mockReturnValue(false);
-      readStdin.mockResolvedValue(
-        JSON.stringify({ event_type: 'session_start' }),
-      );
+    it('scrubs entries saved before memory scrubbing', async () => {
+      writeStore(userMemory(), 'error-patterns.json', [
+        { id: 'e1', type: 'error', data: { message: 'mail alice@example.com' }, tags: ['error'], expiresAt: future() },
+      ]);
 
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+      await runHook({ event_type: 'SessionStart' });
 
-      expect(writeStdout).toHaveBeenCalledWith(
-        expect.objectContaining({
-          message: expect.stringContaining('no previous memories'),
-        }),
-      );
+      await vi.waitFor(() => expect(writeStdout).toHaveBeenCalled());
+      const [entry] = readStore(userMemory(), 'error-patterns.json').entries;
+      expect(entry.data.message).toBe('mail [EMAIL]');
+      expect(entry.redactions).toEqual(['personal']);
     });
 
-    it('filters out expired entries', async () => {
-      existsSync.mockReturnValue(true);
-      readFileSync.mockImplementation((filePath) => {
-        const fp = String(filePath);
-        if (fp.includes('user-preferences')) {
-          return JSON.stringify({
-            entries: [
-              { id: 'p1', expiresAt: new Date(Date.now() - 86400000).toISOString() }, // expired
-              { id: 'p2', expiresAt: new Date(Date.now() + 86400000).toISOString() }, // valid
-            ],
-            metadata: {},
-          });
-        }
-        return JSON.stringify({ entries: [], metadata: {} });
-      });
-      readStdin.mockResolvedValue(
-        JSON.stringify({ event_type: 'SessionStart' }),
-      );
+    it('does not crash when a store file is corrupted', async () => {
+      writeStore(userMemory(), 'user-preferences.json', 'corrupted json data');
 
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+      await runHook({ event_type: 'SessionStart' });
 
-      expect(writeStdout).toHaveBeenCalledWith(
-        expect.objectContaining({
-          message: expect.stringContaining('1 preferences'),
-        }),
-      );
+      await vi.waitFor(() => expect(writeStdout).toHaveBeenCalled());
     });
   });
 
   describe('SessionEnd event', () => {
-    it('saves session summary to project contexts store', async () => {
-      existsSync.mockReturnValue(true);
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: [], metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({
-          event_type: 'SessionEnd',
-          session_id: 'sess-123',
-          project: 'artibot',
-        }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+    it('saves the session summary to the project scope of the hook cwd', async () => {
+      await runHook({ event_type: 'SessionEnd', session_id: 'sess-123', project: 'artibot' });
 
-      expect(mkdirSync).toHaveBeenCalledWith(
-        expect.stringContaining('memory'),
-        { recursive: true },
-      );
-      expect(writeFileSync).toHaveBeenCalled();
-      const writtenData = JSON.parse(writeFileSync.mock.calls[0][1]);
-      expect(writtenData.entries.length).toBeGreaterThanOrEqual(1);
-      const lastEntry = writtenData.entries[writtenData.entries.length - 1];
-      expect(lastEntry.type).toBe('context');
-      expect(lastEntry.data.sessionId).toBe('sess-123');
+      const entry = await lastEntry(projectMemory(), 'project-contexts.json');
+      expect(entry).toMatchObject({ type: 'context', source: 'memory-tracker', data: { sessionId: 'sess-123' } });
+      expect(entry.tags).toEqual(['session-summary', 'artibot']);
+      expect(readStore(userMemory(), 'project-contexts.json')).toBeNull();
     });
 
-    it('handles session_end event type (lowercase)', async () => {
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: [], metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({ event_type: 'session_end', session_id: 'sess-456' }),
-      );
+    it('falls back to the configured user scope outside a project', async () => {
+      const loose = path.join(tmpDir, 'loose');
+      fs.mkdirSync(loose);
 
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+      await runHook({ event_type: 'session_end', session_id: 'sess-456', cwd: loose });
 
-      expect(writeFileSync).toHaveBeenCalled();
+      const entry = await lastEntry(userMemory(), 'project-contexts.json');
+      expect(entry.data).toMatchObject({ sessionId: 'sess-456', project: 'loose' });
     });
   });
 
   describe('Error event', () => {
-    it('saves error pattern to error-patterns store', async () => {
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: [], metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({
-          event_type: 'error',
-          error: {
-            message: 'Cannot read property of undefined',
-            command: '/build',
-            file: 'src/app.js',
-          },
-        }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+    it('saves the error pattern to the project error-patterns store', async () => {
+      await runHook({
+        event_type: 'error',
+        error: { message: 'Cannot read property of undefined', command: '/build', file: 'src/app.js' },
+      });
 
-      expect(writeFileSync).toHaveBeenCalled();
-      const writtenData = JSON.parse(writeFileSync.mock.calls[0][1]);
-      const lastEntry = writtenData.entries[writtenData.entries.length - 1];
-      expect(lastEntry.type).toBe('error');
-      expect(lastEntry.data.message).toContain('Cannot read property');
-      expect(lastEntry.tags).toContain('error');
+      const entry = await lastEntry(projectMemory(), 'error-patterns.json');
+      expect(entry.type).toBe('error');
+      expect(entry.data).toMatchObject({ message: 'Cannot read property of undefined', project: 'project' });
+      expect(entry.tags).toContain('error');
     });
 
-    it('handles Error event type (capitalized)', async () => {
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: [], metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({
-          event_type: 'Error',
-          error: { message: 'Something failed' },
-        }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+    it('handles unknown events with an error field', async () => {
+      await runHook({ event_type: 'unknown_event', error: { message: 'Unexpected error occurred' } });
 
-      expect(writeFileSync).toHaveBeenCalled();
+      expect((await lastEntry(projectMemory(), 'error-patterns.json')).data.message).toBe('Unexpected error occurred');
     });
 
-    it('handles unknown event with error field present', async () => {
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: [], metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({
-          event_type: 'unknown_event',
-          error: { message: 'Unexpected error occurred' },
-        }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+    it('scrubs PII from the entry and records the redactions', async () => {
+      await runHook({
+        event_type: 'Error',
+        error: { message: 'auth failed for alice@example.com with sk-abcdefghijklmnopqrstuv12345' },
+      });
+
+      const entry = await lastEntry(projectMemory(), 'error-patterns.json');
+      expect(entry.data.message).toBe('auth failed for [EMAIL] with [REDACTED_KEY]');
+      expect(entry.tags).toEqual(['error', 'auth', 'failed', 'for', 'with']);
+      expect(entry.redactions).toEqual(['auth', 'personal']);
+    });
+
+    it('writes entries unscrubbed when learning.memoryScrubbing is disabled', async () => {
+      writeConfig({ memoryScrubbing: { enabled: false } });
+
+      await runHook({ event_type: 'error', error: { message: 'mail alice@example.com' } });
 
-      // Default case: if hookData.error exists, handleError is called
-      expect(writeFileSync).toHaveBeenCalled();
+      const entry = await lastEntry(projectMemory(), 'error-patterns.json');
+      expect(entry.data.message).toBe('mail alice@example.com');
+      expect(entry).not.toHaveProperty('redactions');
+    });
+
+    it('honours a configured project memory directory', async () => {
+      writeConfig({ memoryScopes: { project: '.memories/' } });
+
+      await runHook({ event_type: 'error', error: { message: 'Something failed' } });
+
+      const entry = await lastEntry(path.join(projectDir, '.memories', 'memory'), 'error-patterns.json');
+      expect(entry.data.message).toBe('Something failed');
     });
   });
 
   describe('Command event', () => {
-    it('saves command to command-history store', async () => {
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: [], metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({
-          event_type: 'command',
-          command: { name: '/build', args: '--api' },
-        }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+    it('saves the command to the command-history store', async () => {
+      await runHook({ event_type: 'command', command: { name: '/build', args: '--api' } });
 
-      expect(writeFileSync).toHaveBeenCalled();
-      const writtenData = JSON.parse(writeFileSync.mock.calls[0][1]);
-      const lastEntry = writtenData.entries[writtenData.entries.length - 1];
-      expect(lastEntry.type).toBe('command');
-      expect(lastEntry.data.command).toBe('/build');
+      const entry = await lastEntry(projectMemory(), 'command-history.json');
+      expect(entry).toMatchObject({ type: 'command', data: { command: '/build', args: '--api' } });
+      expect(entry.tags).toEqual(['command', 'build']);
     });
 
     it('handles string command data', async () => {
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: [], metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({
-          event_type: 'Command',
-          command: '/analyze src/',
-        }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+      await runHook({ event_type: 'Command', command: '/analyze src/' });
 
-      expect(writeFileSync).toHaveBeenCalled();
-      const writtenData = JSON.parse(writeFileSync.mock.calls[0][1]);
-      const lastEntry = writtenData.entries[writtenData.entries.length - 1];
-      expect(lastEntry.data.command).toBe('/analyze src/');
+      expect((await lastEntry(projectMemory(), 'command-history.json')).data.command).toBe('/analyze src/');
     });
   });
 
   describe('store management', () => {
-    it('enforces MAX_ERROR_PATTERNS limit', async () => {
-      const existingEntries = Array.from({ length: 250 }, (_, i) => ({
+    it('keeps pinned entries past the error pattern limit', async () => {
+      const existing = Array.from({ length: 200 }, (_, i) => ({
         id: `error_${i}`,
         type: 'error',
         data: { message: `Error ${i}` },
         tags: ['error'],
-        source: 'memory-tracker',
         createdAt: new Date().toISOString(),
-        expiresAt: new Date(Date.now() + 86400000).toISOString(),
+        expiresAt: future(),
       }));
+      existing[0] = { ...existing[0], pinned: true };
+      writeStore(projectMemory(), 'error-patterns.json', existing);
 
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: existingEntries, metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({
-          event_type: 'error',
-          error: { message: 'New error' },
-        }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
+      await runHook({ event_type: 'error', error: { message: 'New error' } });
 
-      expect(writeFileSync).toHaveBeenCalled();
-      const writtenData = JSON.parse(writeFileSync.mock.calls[0][1]);
-      // MAX_ERROR_PATTERNS = 200, so kept = slice(-(200-1)) = slice(-199) + 1 new = 200
-      expect(writtenData.entries.length).toBeLessThanOrEqual(200);
-    });
-
-    it('creates memory directory if not exists', async () => {
-      readFileSync.mockImplementation(() =>
-        JSON.stringify({ entries: [], metadata: {} }),
-      );
-      readStdin.mockResolvedValue(
-        JSON.stringify({
-          event_type: 'session_end',
-          session_id: 'sess-new',
-        }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
-
-      expect(mkdirSync).toHaveBeenCalledWith(
-        expect.stringContaining('memory'),
-        { recursive: true },
-      );
+      await vi.waitFor(() => expect(readStore(projectMemory(), 'error-patterns.json').entries.at(-1).data.message).toBe('New error'));
+      const ids = readStore(projectMemory(), 'error-patterns.json').entries.map((e) => e.id);
+      expect(ids).toHaveLength(200);
+      expect(ids).toContain('error_0');
+      expect(ids).not.toContain('error_1');
     });
   });
 
   describe('null/empty input', () => {
     it('does nothing for invalid JSON input', async () => {
-      readStdin.mockResolvedValue('not json');
-
-      await import('../../scripts/hooks/memory-tracker.js');
+      await runHook('not json');
       await new Promise((r) => setTimeout(r, 50));
 
       expect(writeStdout).not.toHaveBeenCalled();
-      expect(writeFileSync).not.toHaveBeenCalled();
+      expect(fs.existsSync(projectMemory())).toBe(false);
+      expect(fs.existsSync(userMemory())).toBe(false);
     });
 
     it('does nothing for unknown event type without error', async () => {
-      readStdin.mockResolvedValue(
-        JSON.stringify({ event_type: 'unknown', data: 'something' }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
+      await runHook({ event_type: 'unknown', data: 'something' });
       await new Promise((r) => setTimeout(r, 50));
 
       expect(writeStdout).not.toHaveBeenCalled();
-      expect(writeFileSync).not.toHaveBeenCalled();
-    });
-  });
-
-  describe('error resilience', () => {
-    it('writes to stderr but does not crash when store file is corrupted', async () => {
-      existsSync.mockReturnValue(true);
-      readFileSync.mockImplementation(() => 'corrupted json data');
-      readStdin.mockResolvedValue(
-        JSON.stringify({ event_type: 'SessionStart' }),
-      );
-
-      await import('../../scripts/hooks/memory-tracker.js');
-      await new Promise((r) => setTimeout(r, 50));
-
-      // loadStoreSync catches JSON.parse errors and returns default
-      expect(writeStdout).toHaveBeenCalled();
+      expect(fs.existsSync(projectMemory())).toBe(false);
+      expect(fs.existsSync(userMemory())).toBe(false);
     });
   });
 });
@@ -1,4 +1,7 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 
 // ---------------------------------------------------------------------------
 // Mocks
@@ -203,6 +206,38 @@ describe('pre-bash hook', () => {
     });
   });
 
+  describe('block evasion through shell constructs', () => {
+    it.each([
+      ['eval "rm -rf /"', 'eval'],
+      ["bash -c 'git push --force'", 'bash -c'],
+      ['ls | xargs rm', 'xargs rm'],
+      ['find . -name "*.tmp" -delete', 'find -delete'],
+      ['bash <<EOF\nrm -rf /var/data\nEOF', 'heredoc fed to a shell'],
+      ['$(echo rm) -rf /srv', 'command substitution'],
+      ['cd /tmp && sudo env FOO=1 git reset --hard', 'wrappers after &&'],
+    ])('blocks: %s (%s)', async (command, _label) => {
+      readStdin.mockResolvedValue(makeHookData(command));
+
+      await import('../../scripts/hooks/pre-bash.js');
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(writeStdout).toHaveBeenCalledWith(
+        expect.objectContaining({ decision: 'block' }),
+      );
+    });
+
+    it('approves dangerous text that is only echoed', async () => {
+      readStdin.mockResolvedValue(makeHookData('echo "never run rm -rf /"'));
+
+      await import('../../scripts/hooks/pre-bash.js');
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(writeStdout).toHaveBeenCalledWith(
+        expect.objectContaining({ decision: 'approve' }),
+      );
+    });
+  });
+
   describe('error handling', () => {
     it('blocks by default when hook errors', async () => {
       readStdin.mockRejectedValue(new Error('stdin read failed'));
@@ -227,6 +262,60 @@ describe('pre-bash hook', () => {
       expect(call.decision).toBe('block');
       expect(call.reason).toContain('DANGEROUS COMMAND DETECTED');
       expect(call.reason).toContain('rm -rf /important');
+      expect(call.reason).toContain('rule: rm-recursive-path');
+    });
+  });
+
+  describe('project policy file', () => {
+    let projectDir;
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-pre-bash-'));
+      fs.mkdirSync(path.join(projectDir, '.artibot'));
+      fs.writeFileSync(path.join(projectDir, '.artibot', 'policy.json'), JSON.stringify({
+        version: 1,
+        rules: [
+          { id: 'clean-dist', action: 'allow', match: { rule: 'rm-recursive-path', paths: ['dist'] } },
+          { id: 'reset-warn', action: 'warn', match: { rule: 'git-reset-hard' }, reason: 'Unpushed work is lost.' },
+          { id: 'terraform', action: 'ask', match: { command: 'terraform apply*' } },
+        ],
+      }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    async function run(command) {
+      readStdin.mockResolvedValue(JSON.stringify({ tool_name: 'Bash', tool_input: { command }, cwd: projectDir }));
+      await import('../../scripts/hooks/pre-bash.js');
+      await new Promise((r) => setTimeout(r, 50));
+      return writeStdout.mock.calls[0][0];
+    }
+
+    it('ignores a project allow for a built-in block', async () => {
+      const call = await run('rm -rf ./dist');
+      expect(call.decision).toBe('block');
+      expect(call.reason).toContain('rule: rm-recursive-path');
+    });
+
+    it('ignores a project warning that would loosen a built-in block', async () => {
+      const call = await run('git reset --hard HEAD~1');
+      expect(call.decision).toBe('block');
+      expect(call.reason).toContain('rule: git-reset-hard');
+    });
+
+    it('asks for confirmation', async () => {
+      const call = await run('terraform apply');
+      expect(call.decision).toBeUndefined();
+      expect(call.hookSpecificOutput).toMatchObject({ hookEventName: 'PreToolUse', permissionDecision: 'ask' });
+      expect(call.hookSpecificOutput.permissionDecisionReason).toContain('"terraform"');
+    });
+
+    it('falls back to built-in blocking when the policy is invalid', async () => {
+      fs.writeFileSync(path.join(projectDir, '.artibot', 'policy.json'), '{"rules": [{"action": "allow"}]}');
+      const call = await run('rm -rf ./dist');
+      expect(call.decision).toBe('block');
     });
   });
 });
@@ -23,7 +23,12 @@ vi.mock('node:fs', async () => {
   };
 });
 
+vi.mock('../../lib/cognitive/plan-checkpoint.js', () => ({
+  listCheckpoints: vi.fn(() => []),
+}));
+
 const { readStdin, writeStdout } = await import('../../scripts/utils/index.js');
+const { listCheckpoints } = await import('../../lib/cognitive/plan-checkpoint.js');
 const { readFileSync, existsSync, writeFileSync, mkdirSync } = await import('node:fs');
 
 // ---------------------------------------------------------------------------
@@ -39,6 +44,7 @@ describe('pre-compact hook', () => {
     readFileSync.mockImplementation(() => { throw new Error('ENOENT'); });
     writeFileSync.mockImplementation(() => {});
     mkdirSync.mockImplementation(() => {});
+    listCheckpoints.mockReturnValue([]);
     stderrSpy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
   });
 
@@ -135,6 +141,40 @@ describe('pre-compact hook', () => {
     });
   });
 
+  describe('interrupted System 2 plans', () => {
+    const running = [
+      { taskId: 'task-a', status: 'running', attempt: 1, stepsCompleted: 2, stepsTotal: 5, updatedAt: '2026-01-02T00:00:00.000Z' },
+      { taskId: 'task-b', status: 'running', attempt: 2, stepsCompleted: 0, stepsTotal: 3, updatedAt: '2026-01-01T00:00:00.000Z' },
+    ];
+
+    it('lists running checkpoints in the snapshot and the message', async () => {
+      listCheckpoints.mockReturnValue(running);
+      readStdin.mockResolvedValue(JSON.stringify({}));
+
+      await import('../../scripts/hooks/pre-compact.js');
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(listCheckpoints).toHaveBeenCalledWith({ status: 'running' });
+      const snapshot = JSON.parse(writeFileSync.mock.calls[0][1]);
+      expect(snapshot.interruptedPlans).toEqual(running);
+      const { message } = writeStdout.mock.calls[0][0];
+      expect(message).toContain('resume(taskId)');
+      expect(message).toContain('task-a: attempt 1, 2/5 steps done');
+      expect(message).toContain('task-b: attempt 2, 0/3 steps done');
+    });
+
+    it('formatInterruptedPlans() returns empty text without plans and caps the list', async () => {
+      readStdin.mockResolvedValue(JSON.stringify({}));
+      const { formatInterruptedPlans } = await import('../../scripts/hooks/pre-compact.js');
+      expect(formatInterruptedPlans([])).toBe('');
+      const many = Array.from({ length: 7 }, (_, i) => ({ ...running[0], taskId: `t${i}` }));
+      const text = formatInterruptedPlans(many);
+      expect(text).toContain('t4');
+      expect(text).not.toContain('t5:');
+      expect(text).toContain('... and 2 more');
+    });
+  });
+
   describe('hookData handling', () => {
     it('stores hookData from stdin in the snapshot', async () => {
       readStdin.mockResolvedValue(JSON.stringify({
@@ -1,4 +1,6 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
 
 // ---------------------------------------------------------------------------
 // Mocks
@@ -323,6 +325,57 @@ describe('pre-write hook', () => {
       const call = writeStdout.mock.calls[0][0];
       expect(call.decision).toBe('block');
       expect(call.reason).toContain('hardcoded secret');
+      expect(call.reason).toContain('rule: hardcoded-secret');
+    });
+  });
+
+  describe('project policy file', () => {
+    let projectDir;
+
+    beforeEach(async () => {
+      const { join } = await vi.importActual('node:path');
+      projectDir = fs.mkdtempSync(join(os.tmpdir(), 'artibot-pre-write-'));
+      fs.mkdirSync(join(projectDir, '.artibot'));
+      fs.writeFileSync(join(projectDir, '.artibot', 'policy.json'), JSON.stringify({
+        version: 1,
+        rules: [
+          { id: 'env-example', tool: 'write', action: 'allow', match: { rule: 'sensitive-file', paths: ['.env.example'] } },
+          { id: 'migrations', tool: 'write', action: 'ask', match: { paths: ['db/migrations'] } },
+        ],
+      }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    async function run(filePath) {
+      readStdin.mockResolvedValue(JSON.stringify({
+        tool_name: 'Write',
+        tool_input: { file_path: filePath, content: 'X=1' },
+        cwd: projectDir,
+      }));
+      await import('../../scripts/hooks/pre-write.js');
+      await new Promise((r) => setTimeout(r, 50));
+      return writeStdout.mock.calls[0][0];
+    }
+
+    it('ignores a project allow for a sensitive file', async () => {
+      const call = await run('.env.example');
+      expect(call.decision).toBe('block');
+      expect(call.reason).toContain('"sensitive-file"');
+    });
+
+    it('keeps blocking other sensitive files', async () => {
+      const call = await run('.env');
+      expect(call.decision).toBe('block');
+      expect(call.reason).toContain('"sensitive-file"');
+    });
+
+    it('asks before writing inside a scoped directory', async () => {
+      const call = await run('db/migrations/001_init.sql');
+      expect(call.hookSpecificOutput.permissionDecision).toBe('ask');
+      expect(call.hookSpecificOutput.permissionDecisionReason).toContain('"migrations"');
     });
   });
 
@@ -57,6 +57,11 @@ vi.mock('../../lib/core/version-checker.js', () => ({
   checkForUpdate: vi.fn(() => mockState.checkForUpdateFactory()),
 }));
 
+vi.mock('../../lib/cognitive/plan-checkpoint.js', () => ({
+  CHECKPOINT_TTL_MS: 604_800_000,
+  pruneCheckpoints: vi.fn(() => []),
+}));
+
 // ---------------------------------------------------------------------------
 // Tests
 // ---------------------------------------------------------------------------
@@ -168,6 +173,28 @@ describe('session-start hook', () => {
       expect(output.message).toContain('v2.0.0');
     });
 
+    it('prunes plan checkpoints using the configured TTL', async () => {
+      const { pruneCheckpoints } = await import('../../lib/cognitive/plan-checkpoint.js');
+      mockState.readFileSyncImpl = (filePath) => {
+        if (String(filePath).includes('artibot.config.json')) {
+          return JSON.stringify({ cognitive: { system2: { checkpointTtlDays: 2 } } });
+        }
+        throw new Error('ENOENT');
+      };
+
+      await importAndWait();
+
+      expect(pruneCheckpoints).toHaveBeenCalledWith({ maxAgeMs: 2 * 24 * 60 * 60 * 1000 });
+    });
+
+    it('prunes plan checkpoints after the default TTL without config', async () => {
+      const { pruneCheckpoints } = await import('../../lib/cognitive/plan-checkpoint.js');
+
+      await importAndWait();
+
+      expect(pruneCheckpoints).toHaveBeenCalledWith({ maxAgeMs: 604_800_000 });
+    });
+
     it('falls back to version 1.0.0 when config is missing', async () => {
       mockState.readStdinResult = Promise.resolve(JSON.stringify({}));
 
@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// ---------------------------------------------------------------------------
+// Mocks
+// ---------------------------------------------------------------------------
+vi.mock('../../scripts/utils/index.js', () => ({
+  readStdin: vi.fn(),
+  writeStdout: vi.fn(),
+  parseJSON: vi.fn((str) => {
+    try { return JSON.parse(str); }
+    catch { return null; }
+  }),
+  atomicWriteSync: vi.fn(),
+}));
+
+vi.mock('node:fs', async () => {
+  const actual = await vi.importActual('node:fs');
+  return {
+    ...actual,
+    readFileSync: vi.fn(() => { throw new Error('ENOENT'); }),
+    existsSync: vi.fn(() => false),
+  };
+});
+
+vi.mock('../../lib/core/playbook.js', async () => {
+  const actual = await vi.importActual('../../lib/core/playbook.js');
+  return { ...actual, loadPlaybookRun: vi.fn(() => null), savePlaybookRun: vi.fn((run) => run) };
+});
+
+const { readStdin, writeStdout, atomicWriteSync } = await import('../../scripts/utils/index.js');
+const { compilePlaybook, createPlaybookRun, loadPlaybookRun, savePlaybookRun, transition } = await import('../../lib/core/playbook.js');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+async function runHook(event, data) {
+  process.argv = ['node', 'workflow-status.js', event];
+  readStdin.mockResolvedValue(JSON.stringify(data));
+  await import('../../scripts/hooks/workflow-status.js');
+  await new Promise((r) => setTimeout(r, 50));
+  return writeStdout.mock.calls[0]?.[0]?.message;
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe('workflow-status hook', () => {
+  let originalArgv;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    originalArgv = process.argv;
+    loadPlaybookRun.mockReturnValue(null);
+  });
+
+  afterEach(() => {
+    process.argv = originalArgv;
+  });
+
+  it('uses the built-in phase names without a playbook run', async () => {
+    const message = await runHook('workflow-advance', { playbook: 'bugfix', phase: 2 });
+    expect(message).toContain('Phase: Fix (3/6)');
+    expect(atomicWriteSync.mock.calls[0][1].workflow).toMatchObject({ playbook: 'bugfix', currentPhase: 2 });
+  });
+
+  it('reads phase names and progress from the team playbook run', async () => {
+    const { playbook } = compilePlaybook('hotfix', '[solo] patch -> [council] verify -> [leader] ship');
+    const { run } = transition(createPlaybookRun('alpha', playbook), { type: 'complete', phase: 'patch' });
+    loadPlaybookRun.mockReturnValue(run);
+
+    const message = await runHook('workflow-advance', { playbook: 'hotfix', team_name: 'alpha' });
+    expect(loadPlaybookRun).toHaveBeenCalledWith('alpha');
+    expect(message).toContain('Phase: verify (2/3)');
+    expect(atomicWriteSync.mock.calls[0][1].workflow.team).toBe('alpha');
+    expect(atomicWriteSync.mock.calls[0][1].events.at(-1).message).toBe('Workflow advanced to: verify');
+  });
+
+  it('workflow-start creates and saves the team run from the configured playbook', async () => {
+    const message = await runHook('workflow-start', { playbook: 'bugfix', team_name: 'beta' });
+    expect(savePlaybookRun).toHaveBeenCalledTimes(1);
+    expect(savePlaybookRun.mock.calls[0][0]).toMatchObject({ team: 'beta', status: 'running', playbook: { name: 'bugfix' } });
+    expect(message).toContain('Phase: analyze (1/3)');
+    expect(atomicWriteSync.mock.calls[0][1].events.at(-1).message).toBe('Playbook "bugfix" started for beta');
+  });
+
+  it('workflow-advance applies the phase event to the run and saves it', async () => {
+    const { playbook } = compilePlaybook('hotfix', '[solo] patch -> [council] verify {approved} -> [leader] ship');
+    loadPlaybookRun.mockReturnValue(createPlaybookRun('alpha', playbook));
+
+    const message = await runHook('workflow-advance', { team_name: 'alpha', phase: 'patch' });
+    expect(savePlaybookRun.mock.calls[0][0].phases).toMatchObject({ patch: 'completed', verify: 'active' });
+    expect(message).toContain('Phase: verify (2/3)');
+    expect(atomicWriteSync.mock.calls[0][1].workflow.currentPhase).toBe(1);
+  });
+
+  it('reports rejected phase events without saving', async () => {
+    const { playbook } = compilePlaybook('hotfix', '[council] verify {approved} -> [leader] ship');
+    loadPlaybookRun.mockReturnValue(createPlaybookRun('alpha', playbook));
+
+    const message = await runHook('workflow-advance', { team_name: 'alpha', phase: 'verify' });
+    expect(savePlaybookRun).not.toHaveBeenCalled();
+    expect(message).toContain('Phase: verify (1/2)');
+    expect(atomicWriteSync.mock.calls[0][1].events.at(-2)).toMatchObject({
+      type: 'warning',
+      message: 'Playbook complete rejected: exit criteria not met: approved',
+    });
+  });
+});
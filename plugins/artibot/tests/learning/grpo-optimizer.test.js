@@ -8,6 +8,7 @@ import {
   generateTeamCandidates,
   updateTeamWeights,
   getGrpoStats,
+  loadTeamWeights,
   CLI_RULES,
   TEAM_EVALUATION_RULES,
 } from '../../lib/learning/grpo-optimizer.js';
@@ -18,7 +19,13 @@ vi.mock('../../lib/core/file.js', () => ({
   ensureDir: vi.fn(() => Promise.resolve()),
 }));
 
+vi.mock('node:fs', async () => {
+  const actual = await vi.importActual('node:fs');
+  return { ...actual, readFileSync: vi.fn(() => { throw new Error('ENOENT'); }) };
+});
+
 const { readJsonFile, writeJsonFile } = await import('../../lib/core/file.js');
+const { readFileSync } = await import('node:fs');
 
 describe('grpo-optimizer', () => {
   beforeEach(() => {
@@ -645,6 +652,23 @@ describe('grpo-optimizer', () => {
     });
   });
 
+  // ---------------------------------------------------------------------------
+  describe('loadTeamWeights()', () => {
+    it('reads team weights from the persisted history', () => {
+      readFileSync.mockReturnValueOnce(JSON.stringify({ rounds: [], teamWeights: { 'leader|3|frontend': 1.2 } }));
+      expect(loadTeamWeights()).toEqual({ 'leader|3|frontend': 1.2 });
+      expect(readFileSync.mock.calls[0][0]).toMatch(/grpo-history\.json$/);
+    });
+
+    it('returns an empty map for missing or malformed history', () => {
+      expect(loadTeamWeights()).toEqual({});
+      readFileSync.mockReturnValueOnce('{ broken');
+      expect(loadTeamWeights()).toEqual({});
+      readFileSync.mockReturnValueOnce(JSON.stringify({ teamWeights: ['x'] }));
+      expect(loadTeamWeights()).toEqual({});
+    });
+  });
+
   // ---------------------------------------------------------------------------
   describe('getGrpoStats()', () => {
     it('returns stats with all required fields', async () => {
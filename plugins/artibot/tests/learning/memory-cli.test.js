@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  formatMemoryResult,
+  parseMemoryArgs,
+  runMemoryCommand,
+} from '../../lib/learning/memory-cli.js';
+import { configure, resetMemoryScopes, saveMemory } from '../../lib/learning/memory-manager.js';
+
+/** Parse and run a command line */
+const run = (...argv) => runMemoryCommand(parseMemoryArgs(argv));
+
+describe('memory-cli', () => {
+  // -------------------------------------------------------------------------
+  describe('parseMemoryArgs()', () => {
+    it('splits positionals from options', () => {
+      expect(parseMemoryArgs(['search', 'auth', 'failure', '--scope', 'project,user', '--json', '--no-semantic'])).toEqual({
+        command: 'search',
+        args: ['auth', 'failure'],
+        options: { scopes: ['project', 'user'], json: true, semantic: false },
+      });
+    });
+
+    it('accumulates repeated list flags and parses numbers', () => {
+      const { options } = parseMemoryArgs(['tag', 'id1', '--add', 'a,b', '--add', 'c', '--remove', 'd', '--limit', '5', '--threshold', '0.3']);
+      expect(options).toEqual({ addTags: ['a', 'b', 'c'], removeTags: ['d'], limit: 5, threshold: 0.3 });
+    });
+
+    it('rejects unknown commands, options, scopes, types and bad values', () => {
+      expect(() => parseMemoryArgs([])).toThrow('Missing memory command');
+      expect(() => parseMemoryArgs(['remember'])).toThrow('Unknown memory command: remember');
+      expect(() => parseMemoryArgs(['list', '--all'])).toThrow('Unknown option: --all');
+      expect(() => parseMemoryArgs(['list', '--scope', 'galaxy'])).toThrow('Unknown scope: galaxy');
+      expect(() => parseMemoryArgs(['list', '--type', 'note'])).toThrow('Unknown type: note');
+      expect(() => parseMemoryArgs(['search', 'x', '--limit', 'ten'])).toThrow('Invalid --limit value: ten');
+      expect(() => parseMemoryArgs(['forget', '--query'])).toThrow('Missing value for --query');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('runMemoryCommand()', () => {
+    let home;
+    let cwdSpy;
+    let auth;
+    let build;
+
+    beforeEach(async () => {
+      resetMemoryScopes();
+      home = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-memory-cli-'));
+      configure({ user: home });
+      // Outside any project, so only the session and user scopes exist
+      cwdSpy = vi.spyOn(process, 'cwd').mockReturnValue(os.tmpdir());
+
+      auth = await saveMemory('error', { message: 'auth failure after token refresh', resolution: 'clear the cookie' });
+      build = await saveMemory('command', { command: '/build --prod' });
+      await saveMemory('preference', { key: 'indent', value: 'tabs' });
+    });
+
+    afterEach(() => {
+      cwdSpy.mockRestore();
+      resetMemoryScopes();
+      fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('stores lists every store per scope with counts', async () => {
+      const result = await run('stores', '--scope', 'user');
+      expect(Object.keys(result.scopes)).toEqual(['user']);
+      expect(result.scopes.user.memoryDir).toBe(path.join(home, 'memory'));
+      expect(result.scopes.user.stores.errorPatterns).toMatchObject({ active: 1, expired: 0, pinned: 0 });
+      expect(formatMemoryResult(result)).toContain('errorPatterns    active=1 expired=0 pinned=0');
+    });
+
+    it('list returns active entries, filtered by type', async () => {
+      const all = await run('list');
+      expect(all.entries).toHaveLength(3);
+      expect(all.entries.every((row) => row.scope === 'user')).toBe(true);
+
+      const commands = await run('list', 'command');
+      expect(commands.entries).toEqual([{ entry: expect.objectContaining({ id: build.id }), store: 'commandHistory', scope: 'user' }]);
+      expect(formatMemoryResult(commands)).toBe(`${build.id}  user/commandHistory  /build --prod  #build #prod`);
+    });
+
+    it('search returns scored matches, paraphrases included', async () => {
+      const result = await run('search', 'login', 'broke', '--threshold', '0.3');
+      expect(result.query).toBe('login broke');
+      expect(result.results).toEqual([expect.objectContaining({ id: auth.id, store: 'errorPatterns', scope: 'user' })]);
+      expect(result.results[0].score).toBeGreaterThan(0.3);
+      expect(formatMemoryResult(result)).toMatch(new RegExp(`^${auth.id}  user/errorPatterns  score=0\\.\\d{3}  auth failure`));
+
+      const none = await run('search', 'login', 'broke', '--threshold', '0.3', '--no-semantic');
+      expect(formatMemoryResult(none)).toBe('No memories match "login broke".');
+    });
+
+    it('show, pin, unpin and tag operate on one entry', async () => {
+      expect(await run('show', auth.id)).toMatchObject({ command: 'show', entry: { id: auth.id }, store: 'errorPatterns' });
+
+      const pinned = await run('pin', auth.id);
+      expect(pinned.entry.pinned).toBe(true);
+      expect(formatMemoryResult(pinned)).toContain('[pinned]');
+      expect((await run('stats')).stores.errorPatterns.pinned).toBe(1);
+
+      expect((await run('unpin', auth.id)).entry).not.toHaveProperty('pinned');
+
+      const tagged = await run('tag', auth.id, '--add', 'Flaky', '--remove', 'after');
+      expect(tagged.entry.tags).toContain('flaky');
+      expect(tagged.entry.tags).not.toContain('after');
+      expect(formatMemoryResult(tagged)).toMatch(/^Tagged /);
+    });
+
+    it('fails on unknown ids and missing arguments', async () => {
+      await expect(run('show', 'missing')).rejects.toThrow('No memory entry with id missing');
+      await expect(run('pin')).rejects.toThrow('pin needs an entry id');
+      await expect(run('tag', auth.id)).rejects.toThrow('tag needs --add or --remove');
+      await expect(run('search')).rejects.toThrow('search needs a query');
+      await expect(run('forget')).rejects.toThrow('forget needs entry ids or --query');
+    });
+
+    it('forget deletes by id and reports unknown ids', async () => {
+      const result = await run('forget', build.id, 'missing');
+      expect(result).toMatchObject({ dryRun: false, forgotten: [{ id: build.id, store: 'commandHistory', scope: 'user' }], missing: ['missing'] });
+      expect(formatMemoryResult(result)).toBe(`Forgot 1 memory.\n  ${build.id}  user/commandHistory\nNot found: missing`);
+      expect((await run('list', 'command')).entries).toEqual([]);
+    });
+
+    it('forget --query previews matches and deletes them only with --yes', async () => {
+      const preview = await run('forget', '--query', 'auth failure');
+      expect(preview).toMatchObject({ dryRun: true, forgotten: [] });
+      expect(preview.matches.map((m) => m.id)).toEqual([auth.id]);
+      expect(formatMemoryResult(preview)).toContain('1 memory match "auth failure" (preview; add --yes to forget them)');
+      expect((await run('list', 'error')).entries).toHaveLength(1);
+
+      const done = await run('forget', '--query', 'auth failure', '--yes');
+      expect(done.forgotten.map((f) => f.id)).toEqual([auth.id]);
+      expect((await run('list', 'error')).entries).toEqual([]);
+    });
+
+    it('stats returns getMemoryStats() and stays JSON-serializable', async () => {
+      const result = await run('stats', '--json');
+      expect(result).toMatchObject({ command: 'stats', memoryDir: path.join(home, 'memory'), stores: { userPreferences: { active: 1 } } });
+      expect(JSON.parse(JSON.stringify(result))).toEqual(result);
+      expect(formatMemoryResult(result)).toContain('user     active=3 expired=0 pinned=0');
+    });
+  });
+});
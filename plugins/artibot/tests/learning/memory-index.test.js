@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addEntry,
+  buildStoreIndex,
+  createStoreIndex,
+  deserializeMemoryIndex,
+  MEMORY_INDEX_VERSION,
+  removeEntry,
+  scoreTerms,
+  serializeMemoryIndex,
+  storeStamp,
+} from '../../lib/learning/memory-index.js';
+
+const store = {
+  entries: [
+    { id: 'a', tags: ['redis', 'timeout'] },
+    { id: 'b', tags: ['postgres', 'timeout'] },
+    { id: 'c', tags: ['redis', 'redis', 'cache', 'ttl'] },
+    { id: 'd' },
+  ],
+  metadata: { updatedAt: '2026-01-01T00:00:00.000Z' },
+};
+
+describe('memory-index', () => {
+  // -------------------------------------------------------------------------
+  describe('buildStoreIndex() / scoreTerms()', () => {
+    it('stores tf per posting and caches document frequencies', () => {
+      const index = buildStoreIndex(store);
+      expect(index).toMatchObject({ stamp: '2026-01-01T00:00:00.000Z|4', count: 4 });
+      expect(index.postings.redis).toEqual({ a: 0.5, c: 0.5 });
+      expect(index.df).toEqual({ redis: 2, timeout: 2, postgres: 1, cache: 1, ttl: 1 });
+
+      const idf = (df) => Math.log(5 / (df + 1)) + 1;
+      const scores = scoreTerms(index, ['redis', 'timeout']);
+      expect(scores.get('a')).toBeCloseTo(0.5 * idf(2) + 0.5 * idf(2), 10);
+      expect(scores.get('c')).toBeCloseTo(0.5 * idf(2), 10);
+      expect(scores.has('d')).toBe(false);
+      expect(scoreTerms(index, ['missing', 'constructor']).size).toBe(0);
+    });
+
+    it('stamps stores by update time and entry count', () => {
+      expect(storeStamp({ entries: [] })).toBe('|0');
+      expect(storeStamp(store)).not.toBe(storeStamp({ ...store, entries: store.entries.slice(1) }));
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('addEntry() / removeEntry()', () => {
+    it('keeps counts in step and drops unused terms', () => {
+      const index = createStoreIndex();
+      addEntry(index, { id: 'a', tags: ['redis', 'kafka'] });
+      addEntry(index, { id: 'b', tags: ['kafka', '__proto__'] });
+      expect(index.df).toEqual({ redis: 1, kafka: 2 });
+
+      removeEntry(index, { id: 'a', tags: ['redis', 'kafka'] });
+      expect(index).toMatchObject({ count: 1, df: { kafka: 1 }, postings: { kafka: { b: 1 } } });
+      expect(Object.hasOwn(index.postings, 'redis')).toBe(false);
+
+      removeEntry(index, { id: 'b', tags: ['kafka', '__proto__'] });
+      expect(index).toEqual(createStoreIndex());
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('serializeMemoryIndex() / deserializeMemoryIndex()', () => {
+    it('round-trips through JSON', () => {
+      const json = JSON.parse(JSON.stringify(serializeMemoryIndex({ errorPatterns: buildStoreIndex(store) })));
+      const restored = deserializeMemoryIndex(json).errorPatterns;
+      expect(restored).toEqual(buildStoreIndex(store));
+      expect(scoreTerms(restored, ['redis'])).toEqual(scoreTerms(buildStoreIndex(store), ['redis']));
+    });
+
+    it('rejects other versions and skips malformed stores', () => {
+      expect(deserializeMemoryIndex(null)).toEqual({});
+      expect(deserializeMemoryIndex({ version: MEMORY_INDEX_VERSION + 1, stores: {} })).toEqual({});
+      expect(deserializeMemoryIndex({ entries: [] })).toEqual({});
+      const partial = deserializeMemoryIndex({
+        version: MEMORY_INDEX_VERSION,
+        stores: {
+          a: createStoreIndex('x'),
+          b: { stamp: 'x', df: {}, postings: {} },
+          c: { stamp: 'x', count: 0, df: [], postings: {} },
+        },
+      });
+      expect(Object.keys(partial)).toEqual(['a']);
+    });
+  });
+});
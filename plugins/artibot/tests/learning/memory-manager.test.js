@@ -1,5 +1,12 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import {
+  configure,
+  configureScrubbing,
+  findProjectRoot,
+  resetMemoryScopes,
   saveMemory,
   searchMemory,
   getRelevantContext,
@@ -8,20 +15,37 @@ import {
   loadMemories,
   clearMemories,
   getMemoryStats,
+  getMemoryEntry,
+  MEMORY_STORE_KEYS,
+  updateMemory,
+  forgetMemories,
+  scrubMemoryEntry,
+  scrubStoredMemories,
 } from '../../lib/learning/memory-manager.js';
 
 vi.mock('../../lib/core/file.js', () => ({
   readJsonFile: vi.fn(() => Promise.resolve(null)),
   writeJsonFile: vi.fn(() => Promise.resolve()),
   ensureDir: vi.fn(() => Promise.resolve()),
+  readTextFile: vi.fn(() => Promise.resolve(null)),
+  writeTextFile: vi.fn(() => Promise.resolve()),
 }));
 
-const { readJsonFile, writeJsonFile, ensureDir } = await import('../../lib/core/file.js');
+const { readJsonFile, writeJsonFile, ensureDir, writeTextFile } = await import('../../lib/core/file.js');
 
 describe('memory-manager', () => {
+  let cwdSpy;
+
   beforeEach(() => {
     vi.clearAllMocks();
     readJsonFile.mockResolvedValue(null);
+    resetMemoryScopes();
+    // Outside any project, so only the session and user scopes exist
+    cwdSpy = vi.spyOn(process, 'cwd').mockReturnValue(os.tmpdir());
+  });
+
+  afterEach(() => {
+    cwdSpy.mockRestore();
   });
 
   // ---------------------------------------------------------------------------
@@ -49,9 +73,22 @@ describe('memory-manager', () => {
       expect(entry.type).toBe('error');
     });
 
+    it('writes each type to the store MEMORY_STORE_KEYS names', async () => {
+      for (const [type, storeKey] of Object.entries(MEMORY_STORE_KEYS)) {
+        writeJsonFile.mockClear();
+        await saveMemory(type, { key: 'k', message: 'm' }, { scope: 'user' });
+        const file = `${storeKey.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}.json`;
+        expect(writeJsonFile.mock.calls[0][0]).toContain(file);
+      }
+      expect(Object.isFrozen(MEMORY_STORE_KEYS)).toBe(true);
+    });
+
     it('persists entry to disk', async () => {
       await saveMemory('preference', { key: 'lang', value: 'en' });
-      expect(writeJsonFile).toHaveBeenCalledTimes(1);
+      // The store, then the scope's search index
+      expect(writeJsonFile).toHaveBeenCalledTimes(2);
+      expect(writeJsonFile.mock.calls[0][0]).toContain('user-preferences.json');
+      expect(writeJsonFile.mock.calls[1][0]).toContain('memory-index.json');
     });
 
     it('ensures memory directory exists before saving', async () => {
@@ -812,7 +849,7 @@ describe('memory-manager', () => {
   describe('clearMemories()', () => {
     it('clears all entries for a given type', async () => {
       await clearMemories('preference');
-      expect(writeJsonFile).toHaveBeenCalledTimes(1);
+      expect(writeJsonFile).toHaveBeenCalledTimes(2);
       const written = writeJsonFile.mock.calls[0][1];
       expect(written.entries).toEqual([]);
       expect(written.metadata).toHaveProperty('createdAt');
@@ -916,4 +953,338 @@ describe('memory-manager', () => {
       }
     });
   });
+
+  // ---------------------------------------------------------------------------
+  describe('memory scopes', () => {
+    let root;
+    let files;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'artibot-memory-'));
+      fs.mkdirSync(path.join(root, '.git'));
+      fs.mkdirSync(path.join(root, 'src'));
+      files = new Map();
+      readJsonFile.mockImplementation((p) => Promise.resolve(files.get(p) ?? null));
+      writeJsonFile.mockImplementation((p, data) => Promise.resolve(void files.set(p, data)));
+      configure({ user: path.join(root, 'home') });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const projectStore = (file) => path.join(root, '.artibot', 'memory', file);
+
+    it('finds the project root from a subdirectory', () => {
+      expect(findProjectRoot(path.join(root, 'src'))).toBe(root);
+      expect(findProjectRoot(os.tmpdir())).toBeNull();
+    });
+
+    it('routes each type to its default scope', async () => {
+      const cwd = path.join(root, 'src');
+      expect((await saveMemory('error', { message: 'ECONNREFUSED' }, { cwd })).scope).toBe('project');
+      expect(files.get(projectStore('error-patterns.json')).entries).toHaveLength(1);
+
+      expect((await saveMemory('preference', { key: 'style', value: 'tabs' }, { cwd })).scope).toBe('user');
+      expect(files.has(path.join(root, 'home', 'memory', 'user-preferences.json'))).toBe(true);
+
+      expect((await saveMemory('command', { command: 'ls' })).scope).toBe('user');
+    });
+
+    it('honours an explicit scope and keeps session memory off disk', async () => {
+      const entry = await saveMemory('command', { command: 'npm test' }, { scope: 'session', cwd: root });
+      expect(entry.scope).toBe('session');
+      expect(writeJsonFile).not.toHaveBeenCalled();
+      expect(await loadMemories('command', { cwd: root })).toEqual([expect.objectContaining({ id: entry.id })]);
+
+      await expect(saveMemory('command', {}, { scope: 'team' })).rejects.toThrow('Unknown memory scope: team');
+    });
+
+    it('lets the narrowest scope win and reports it in search results', async () => {
+      await saveMemory('preference', { key: 'indent', value: 'spaces' }, { cwd: root });
+      await saveMemory('preference', { key: 'indent', value: 'tabs' }, { scope: 'project', cwd: root });
+
+      const results = await searchMemory('indent', { cwd: root });
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ scope: 'project', entry: { data: { value: 'tabs' } } });
+
+      const [user] = await searchMemory('indent', { cwd: root, scopes: ['user'] });
+      expect(user).toMatchObject({ scope: 'user', entry: { data: { value: 'spaces' } } });
+
+      const context = await getRelevantContext({ cwd: root, keywords: ['indent'] });
+      expect(context.preferences).toEqual([{ key: 'indent', value: 'tabs' }]);
+      expect(context.scopes).toEqual({ session: 0, project: 1, user: 0 });
+    });
+
+    it('git-ignores project memory unless commitProject is set', async () => {
+      await saveMemory('context', { note: 'a' }, { cwd: root });
+      expect(writeTextFile).toHaveBeenCalledWith(
+        path.join(root, '.artibot', 'memory', '.gitignore'),
+        expect.stringMatching(/\n\*\n$/),
+      );
+
+      writeTextFile.mockClear();
+      configure({ commitProject: true, project: '.shared-memory/' });
+      await saveMemory('context', { note: 'b' }, { cwd: root });
+      expect(writeTextFile).not.toHaveBeenCalled();
+      expect(files.has(path.join(root, '.shared-memory', 'memory', 'project-contexts.json'))).toBe(true);
+    });
+
+    it('reports stats per scope', async () => {
+      await saveMemory('error', { message: 'boom' }, { cwd: root });
+      const stats = await getMemoryStats({ cwd: root });
+      expect(Object.keys(stats.scopes)).toEqual(['session', 'project', 'user']);
+      expect(stats.scopes.project.stores.errorPatterns.total).toBe(1);
+      expect(stats.stores.errorPatterns.total).toBe(0);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('search index', () => {
+    const home = path.join(os.tmpdir(), 'artibot-memory-index-home');
+    const indexPath = path.join(home, 'memory', 'memory-index.json');
+    const storePath = path.join(home, 'memory', 'error-patterns.json');
+    let files;
+
+    beforeEach(() => {
+      files = new Map();
+      readJsonFile.mockImplementation((p) => Promise.resolve(files.get(p) ?? null));
+      writeJsonFile.mockImplementation((p, data) => Promise.resolve(void files.set(p, data)));
+      configure({ user: home });
+    });
+
+    it('is updated incrementally by saveMemory()', async () => {
+      const first = await saveMemory('error', { message: 'redis timeout' });
+      await saveMemory('error', { message: 'postgres timeout' });
+
+      const { errorPatterns } = files.get(indexPath).stores;
+      expect(errorPatterns).toMatchObject({ count: 2, df: { redis: 1, postgres: 1, timeout: 2 } });
+      expect(errorPatterns.postings.redis).toEqual({ [first.id]: 0.5 });
+
+      writeJsonFile.mockClear();
+      const [hit] = await searchMemory('redis');
+      expect(hit.entry.id).toBe(first.id);
+      expect(writeJsonFile).not.toHaveBeenCalled();
+    });
+
+    it('rebuilds the index of a store written behind its back', async () => {
+      await saveMemory('error', { message: 'redis timeout' });
+      const store = files.get(storePath);
+      files.set(storePath, {
+        entries: [...store.entries, { id: 'hook_1', type: 'error', tags: ['kafka'], createdAt: new Date().toISOString() }],
+        metadata: { ...store.metadata, updatedAt: new Date(Date.now() + 1000).toISOString() },
+      });
+
+      expect((await searchMemory('kafka'))[0].entry.id).toBe('hook_1');
+      expect(files.get(indexPath).stores.errorPatterns.postings.kafka).toEqual({ hook_1: 1 });
+    });
+
+    it('drops pruned and cleared entries', async () => {
+      const expired = await saveMemory('error', { message: 'stale' }, { ttl: -1 });
+      const kept = await saveMemory('error', { message: 'fresh' });
+
+      await pruneOldMemories();
+      expect(files.get(indexPath).stores.errorPatterns).toMatchObject({
+        count: 1,
+        df: { fresh: 1 },
+        postings: { fresh: { [kept.id]: 1 } },
+      });
+      expect(files.get(indexPath).stores.errorPatterns.postings[expired.data.message]).toBeUndefined();
+
+      await clearMemories('error');
+      expect(files.get(indexPath).stores.errorPatterns).toMatchObject({ count: 0, df: {}, postings: {} });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('semantic retrieval', () => {
+    beforeEach(() => {
+      const files = new Map();
+      readJsonFile.mockImplementation((p) => Promise.resolve(files.get(p) ?? null));
+      writeJsonFile.mockImplementation((p, data) => Promise.resolve(void files.set(p, data)));
+      configure({ user: path.join(os.tmpdir(), 'artibot-memory-semantic-home') });
+    });
+
+    it('surfaces paraphrases through getRelevantContext()', async () => {
+      await saveMemory('error', { message: 'auth failure after token refresh', resolution: 'clear the session cookie' });
+      await saveMemory('error', { message: 'css grid layout overflow' });
+
+      const context = await getRelevantContext({ keywords: ['login', 'broke'] });
+      expect(context.errorPatterns[0]).toMatchObject({ resolution: 'clear the session cookie' });
+
+      // Without the semantic layer nothing matches; only recency orders the entries
+      expect(await searchMemory('login broke', { semantic: false, threshold: 0.3 })).toEqual([]);
+      const [hit] = await searchMemory('login broke', { threshold: 0.3 });
+      expect(hit.entry.data.message).toBe('auth failure after token refresh');
+    });
+
+    it('ranks a paraphrase below an exact match and never lowers keyword scores', async () => {
+      const exact = await saveMemory('error', { message: 'login broke' });
+      const paraphrase = await saveMemory('error', { message: 'authentication failure' });
+
+      const results = await searchMemory('login broke');
+      expect(results.map((r) => r.entry.id)).toEqual([exact.id, paraphrase.id]);
+
+      const [keywordOnly] = await searchMemory('login broke', { semantic: false });
+      expect(results[0].score).toBeGreaterThanOrEqual(keywordOnly.score);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('PII scrubbing', () => {
+    const home = path.join(os.tmpdir(), 'artibot-memory-scrub-home');
+    const storePath = path.join(home, 'memory', 'error-patterns.json');
+    const indexPath = path.join(home, 'memory', 'memory-index.json');
+    let files;
+
+    beforeEach(() => {
+      files = new Map();
+      readJsonFile.mockImplementation((p) => Promise.resolve(files.get(p) ?? null));
+      writeJsonFile.mockImplementation((p, data) => Promise.resolve(void files.set(p, data)));
+      configure({ user: home });
+    });
+
+    it('scrubs data and re-derives tags before saveMemory() writes', async () => {
+      const entry = await saveMemory('error', { message: 'smtp rejected alice@example.com', token: 'sk-abcdefghijklmnopqrstuv12345' });
+
+      expect(entry.data).toEqual({ message: 'smtp rejected [EMAIL]', token: '[REDACTED_KEY]' });
+      expect(entry.redactions).toEqual(['auth', 'personal']);
+      expect(entry.tags).toEqual(['smtp', 'rejected']);
+      expect(JSON.stringify(files.get(storePath))).not.toContain('alice');
+    });
+
+    it('scrubs custom tags one by one and records clean writes', async () => {
+      const entry = await saveMemory('context', { note: 'deploy' }, { tags: ['deploy', 'alice@example.com'] });
+      expect(entry.tags).toEqual(['deploy']);
+      expect(entry.redactions).toEqual(['personal']);
+
+      const clean = await saveMemory('context', { note: 'nothing to hide' });
+      expect(clean.redactions).toEqual([]);
+    });
+
+    it('follows the configured policy', async () => {
+      configureScrubbing({ categories: ['auth'] });
+      const entry = await saveMemory('error', { message: 'alice@example.com sk-abcdefghijklmnopqrstuv12345' });
+      expect(entry.data.message).toBe('alice@example.com [REDACTED_KEY]');
+
+      expect(configureScrubbing({ enabled: false })).toEqual({ enabled: false, categories: ['auth'] });
+      const raw = await saveMemory('error', { message: 'alice@example.com' });
+      expect(raw.data.message).toBe('alice@example.com');
+      expect(raw).not.toHaveProperty('redactions');
+    });
+
+    it('leaves entries that already carry redactions alone', () => {
+      const entry = { id: 'e1', data: { message: 'alice@example.com' }, tags: [], redactions: [] };
+      expect(scrubMemoryEntry(entry)).toBe(entry);
+    });
+
+    it('scrubStoredMemories() migrates legacy entries and rebuilds the index', async () => {
+      const now = new Date().toISOString();
+      files.set(storePath, {
+        entries: [
+          { id: 'legacy_1', type: 'error', data: { message: 'mail alice@example.com' }, tags: ['mail', 'alice', 'example', 'com'], createdAt: now },
+          { id: 'legacy_2', type: 'error', data: { message: 'redis timeout' }, tags: ['redis', 'timeout'], createdAt: now },
+          { id: 'done_1', type: 'error', data: { message: 'bob@example.com' }, tags: ['kept'], createdAt: now, redactions: [] },
+        ],
+        metadata: { createdAt: now, updatedAt: now },
+      });
+
+      const result = await scrubStoredMemories({ scopes: ['user'] });
+      expect(result).toEqual({ scanned: 2, redacted: 1, scopes: { user: 2 } });
+
+      const [legacy, clean, done] = files.get(storePath).entries;
+      expect(legacy).toMatchObject({ data: { message: 'mail [EMAIL]' }, tags: ['mail'], redactions: ['personal'] });
+      expect(clean).toMatchObject({ tags: ['redis', 'timeout'], redactions: [] });
+      expect(done.data.message).toBe('bob@example.com');
+      expect(files.get(indexPath).stores.errorPatterns.df).not.toHaveProperty('alice');
+
+      expect(await scrubStoredMemories({ scopes: ['user'] })).toEqual({ scanned: 0, redacted: 0, scopes: { user: 0 } });
+    });
+
+    it('scrubStoredMemories() does nothing while scrubbing is disabled', async () => {
+      configureScrubbing({ enabled: false });
+      files.set(storePath, { entries: [{ id: 'legacy_1', data: { message: 'alice@example.com' }, tags: [] }], metadata: {} });
+
+      expect(await scrubStoredMemories()).toEqual({ scanned: 0, redacted: 0, scopes: {} });
+      expect(writeJsonFile).not.toHaveBeenCalled();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('entry management', () => {
+    const home = path.join(os.tmpdir(), 'artibot-memory-entries-home');
+    const storePath = path.join(home, 'memory', 'error-patterns.json');
+    const indexPath = path.join(home, 'memory', 'memory-index.json');
+    let files;
+
+    beforeEach(() => {
+      files = new Map();
+      readJsonFile.mockImplementation((p) => Promise.resolve(files.get(p) ?? null));
+      writeJsonFile.mockImplementation((p, data) => Promise.resolve(void files.set(p, data)));
+      configure({ user: home });
+    });
+
+    it('getMemoryEntry() finds an entry by id, narrowest scope first', async () => {
+      const saved = await saveMemory('error', { message: 'redis timeout' });
+      const session = await saveMemory('command', { command: '/test' }, { scope: 'session' });
+
+      expect(await getMemoryEntry(saved.id)).toMatchObject({ entry: { id: saved.id }, store: 'errorPatterns', scope: 'user' });
+      expect((await getMemoryEntry(session.id)).scope).toBe('session');
+      expect(await getMemoryEntry(saved.id, { scopes: ['session'] })).toBeNull();
+      expect(await getMemoryEntry('missing')).toBeNull();
+    });
+
+    it('pinned entries never expire and survive pruning', async () => {
+      const stale = await saveMemory('error', { message: 'stale' }, { ttl: -1 });
+      await updateMemory(stale.id, { pinned: true });
+
+      expect(await loadMemories('error')).toHaveLength(1);
+      expect((await pruneOldMemories()).pruned).toBe(0);
+      expect((await getMemoryStats()).stores.errorPatterns).toMatchObject({ active: 1, expired: 0, pinned: 1 });
+
+      const { entry } = await updateMemory(stale.id, { pinned: false });
+      expect(entry).not.toHaveProperty('pinned');
+      expect((await pruneOldMemories()).pruned).toBe(1);
+    });
+
+    it('keeps pinned entries when a history store hits its size limit', async () => {
+      const now = new Date().toISOString();
+      const entries = Array.from({ length: 200 }, (_, i) => ({ id: `error_${i}`, type: 'error', data: {}, tags: [], createdAt: now }));
+      entries[0].pinned = true;
+      files.set(storePath, { entries, metadata: { createdAt: now, updatedAt: now } });
+
+      await saveMemory('error', { message: 'newest' });
+      const ids = files.get(storePath).entries.map((e) => e.id);
+      expect(ids).toHaveLength(200);
+      expect(ids).toContain('error_0');
+      expect(ids).not.toContain('error_1');
+    });
+
+    it('updateMemory() edits tags, scrubbing added ones, and keeps the index in step', async () => {
+      const saved = await saveMemory('error', { message: 'redis timeout' });
+      const { entry } = await updateMemory(saved.id, { addTags: ['Flaky-CI', 'alice@example.com'], removeTags: ['timeout'] });
+
+      expect(entry.tags).toEqual(['redis', 'flaky-ci']);
+      expect(entry.redactions).toEqual(['personal']);
+      const { df } = files.get(indexPath).stores.errorPatterns;
+      expect(df).toMatchObject({ redis: 1, 'flaky-ci': 1 });
+      expect(df).not.toHaveProperty('timeout');
+      expect((await searchMemory('flaky-ci'))[0].entry.id).toBe(saved.id);
+      expect(await updateMemory('missing', { pinned: true })).toBeNull();
+    });
+
+    it('forgetMemories() deletes entries in every scope and drops them from the index', async () => {
+      const first = await saveMemory('error', { message: 'redis timeout' });
+      const second = await saveMemory('error', { message: 'kafka lag' });
+      const session = await saveMemory('error', { message: 'kafka lag' }, { scope: 'session' });
+
+      const forgotten = await forgetMemories([first.id, session.id, 'missing']);
+      expect(forgotten).toEqual([
+        { id: session.id, store: 'errorPatterns', scope: 'session' },
+        { id: first.id, store: 'errorPatterns', scope: 'user' },
+      ]);
+      expect(files.get(storePath).entries.map((e) => e.id)).toEqual([second.id]);
+      expect(files.get(indexPath).stores.errorPatterns.df).not.toHaveProperty('redis');
+    });
+  });
 });
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import {
+  conceptsOf,
+  cosineSimilarity,
+  embed,
+  isRelatedTerm,
+  semanticQuery,
+  semanticSimilarity,
+  similarityTo,
+} from '../../lib/learning/semantic.js';
+
+describe('semantic', () => {
+  // -------------------------------------------------------------------------
+  describe('conceptsOf()', () => {
+    it('maps en/ko/ja synonyms and inflections to shared concepts', () => {
+      expect(conceptsOf(['login', 'broke'])).toEqual(new Set(['auth', 'failure']));
+      expect(conceptsOf(['authentication', 'failing'])).toEqual(new Set(['auth', 'failure']));
+      expect(conceptsOf(['로그인이', '실패했어요'])).toEqual(new Set(['auth', 'failure']));
+      expect(conceptsOf(['認証エラー'])).toEqual(new Set(['auth', 'failure']));
+      expect(conceptsOf(['banana'])).toEqual(new Set());
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('semanticSimilarity()', () => {
+    it('scores paraphrases high and unrelated text near zero', () => {
+      expect(semanticSimilarity(['login', 'broke'], ['auth', 'failure'])).toBeGreaterThan(0.7);
+      expect(semanticSimilarity(['ログイン', '失敗'], ['login', 'error'])).toBeGreaterThan(0.7);
+      expect(semanticSimilarity(['deploying'], ['deployment'])).toBeGreaterThan(0.7);
+      expect(semanticSimilarity(['login', 'broke'], ['database', 'migration', 'slow'])).toBeLessThan(0.1);
+      expect(semanticSimilarity([], ['auth'])).toBe(0);
+    });
+
+    it('uses unit vectors so identical text scores 1', () => {
+      const vector = embed(['redis', 'timeout']);
+      expect(cosineSimilarity(vector, vector)).toBeCloseTo(1, 10);
+      expect(embed([])).toEqual(new Map());
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('semanticQuery() / similarityTo() / isRelatedTerm()', () => {
+    it('matches cosineSimilarity() of embed() without building vectors', () => {
+      const query = semanticQuery(['login', 'broke']);
+      const tags = ['auth', 'failure', 'after', 'upgrade'];
+      expect(similarityTo(query, tags)).toBeCloseTo(cosineSimilarity(query.vector, embed(tags)), 10);
+      expect(similarityTo(query, [])).toBe(0);
+    });
+
+    it('flags terms sharing a concept or stem with the query', () => {
+      const query = semanticQuery(['login', 'deploying']);
+      expect(isRelatedTerm(query, 'oauth')).toBe(true);
+      expect(isRelatedTerm(query, '인증')).toBe(true);
+      expect(isRelatedTerm(query, 'deployed')).toBe(true);
+      expect(isRelatedTerm(query, 'banana')).toBe(false);
+    });
+  });
+});
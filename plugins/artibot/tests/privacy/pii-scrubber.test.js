@@ -579,4 +579,18 @@ describe('createScopedScrubber()', () => {
     const text = 'some safe text here';
     expect(scrubber.scrub(text)).toBe(text);
   });
+
+  it('redact() scrubs nested values and reports the categories applied', () => {
+    const scrubber = createScopedScrubber(['auth', 'personal', 'paths']);
+    const input = { to: ['user@example.com'], body: { note: 'safe' }, retries: 3, key: null };
+    const { value, categories } = scrubber.redact(input);
+    expect(value).toEqual({ to: ['[EMAIL]'], body: { note: 'safe' }, retries: 3, key: null });
+    expect(categories).toEqual(['personal']);
+    expect(input.to[0]).toBe('user@example.com'); // input is not mutated
+  });
+
+  it('redact() reports no categories when nothing matched', () => {
+    const scrubber = createScopedScrubber(['auth']);
+    expect(scrubber.redact(['plain', 'text'])).toEqual({ value: ['plain', 'text'], categories: [] });
+  });
 });